@@ -22,14 +22,33 @@ import {
     fillCircle,
     drawPolygon,
     fillPolygon,
-    floodFill 
+    floodFill,
+    CellAttribute,
+    StyledBuffer,
+    cellStyleToCSS
 } from './core/ascii/rasterizer.js';
 import { ditherToAscii, bayerDither, floydSteinbergDither } from './core/ascii/dither.js';
+import { figletFonts, renderFigletText, FigletLayout } from './core/ascii/figlet.js';
 import { SmartGuides, CanvasResizeHandler } from './core/smartguides.js';
+import { OrthogonalRouter } from './core/routing.js';
+import { CommandHistory } from './core/document/history.js';
+import { BlendModes, BlendModeLabels, CompositingLayer, LayerCompositor } from './core/document/compositing.js';
+import { PathBoolean, pathToPolygons, polygonsToPath, splitSubpaths } from './tools/boolean.js';
+import { ClipRegion, ClippingMask, ClippedBuffer } from './tools/clipping.js';
+import {
+    FillType, createFill, createFillPaint, isGradientFill, PaintedBuffer,
+    getGradientHandles, moveGradientHandle, moveGradientStop, paintColorToHex, hexToPaintColor
+} from './tools/paint.js';
+import { Patterns } from './tools/patterns.js';
 import { EventEmitter, globalEventBus } from './utils/events.js';
 import { $, $$, createElement, domReady, getMousePos, debounce, throttle } from './utils/dom.js';
 import { clamp, uniqueId, uuid, deepClone, hexToRgb, rgbToHex } from './utils/helpers.js';
 import { componentLibraryManager, Component, ComponentLibrary } from './components/ComponentLibrary.js';
+import { ChartDataSource, DataMapping, DataTable, detectFormat } from './charts/datasource.js';
+import { formatNumber, generateTicks } from './charts/base.js';
+import { ChartFactory } from './charts/index.js';
+import { PlotResolution } from './charts/canvas.js';
+import { parseSequenceDiagram, layoutSequenceDiagram, renderSequenceDiagram } from './io/sequenceDiagram.js';
 
 // ==========================================
 // SPATIAL INDEXING - QUADTREE
@@ -787,22 +806,28 @@ function createStroke() {
     };
 }
 
+// ==========================================
+// CELL STYLE PROPERTIES
+// ==========================================
+
+/**
+ * Properties panel toggles for the text attributes of an object's cells
+ */
+const CELL_ATTRIBUTE_INPUTS = [
+    ['#prop-cell-bold', CellAttribute.BOLD],
+    ['#prop-cell-italic', CellAttribute.ITALIC],
+    ['#prop-cell-underline', CellAttribute.UNDERLINE],
+    ['#prop-cell-reverse', CellAttribute.REVERSE]
+];
+
 // ==========================================
 // FILL PROPERTIES (Figma-style)
 // ==========================================
 
 /**
- * Fill types
+ * Closed shape types whose fill can be a gradient or pattern
  */
-const FillType = {
-    SOLID: 'solid',
-    GRADIENT_LINEAR: 'gradientLinear',
-    GRADIENT_RADIAL: 'gradientRadial',
-    GRADIENT_ANGULAR: 'gradientAngular',
-    GRADIENT_DIAMOND: 'gradientDiamond',
-    IMAGE: 'image',
-    PATTERN: 'pattern'       // Extended for ASCII patterns
-};
+const PAINTABLE_TYPES = new Set(['rectangle', 'ellipse', 'polygon', 'star', 'path', 'frame']);
 
 /**
  * Image scaling mode
@@ -814,46 +839,6 @@ const ImageScaleMode = {
     TILE: 'tile'
 };
 
-/**
- * Create a default fill configuration
- */
-function createFill(type = FillType.SOLID) {
-    const base = {
-        type: type,
-        visible: true,
-        opacity: 1,
-        blendMode: BlendMode.NORMAL
-    };
-    
-    switch (type) {
-        case FillType.SOLID:
-            return {
-                ...base,
-                color: null  // null = transparent/none
-            };
-        case FillType.GRADIENT_LINEAR:
-        case FillType.GRADIENT_RADIAL:
-        case FillType.GRADIENT_ANGULAR:
-        case FillType.GRADIENT_DIAMOND:
-            return {
-                ...base,
-                gradientStops: [
-                    { position: 0, color: { r: 255, g: 255, b: 255, a: 1 } },
-                    { position: 1, color: { r: 0, g: 0, b: 0, a: 1 } }
-                ],
-                gradientTransform: { angle: 0, scale: 1 }
-            };
-        case FillType.PATTERN:
-            return {
-                ...base,
-                patternChar: '.',
-                patternScale: 1
-            };
-        default:
-            return base;
-    }
-}
-
 // ==========================================
 // CONSTRAINTS SYSTEM (Figma-style) - Optimized
 // ==========================================
@@ -1473,6 +1458,11 @@ class SceneObject {
         this.locked = false;
         this.opacity = 1;
         
+        // Terminal cell style: background color and text attributes
+        // (CellAttribute flags) of every cell the object draws
+        this.cellBackground = null;
+        this.cellAttributes = CellAttribute.NONE;
+        
         // Blend mode (Figma-style)
         this.blendMode = BlendMode.NORMAL;
         
@@ -2321,6 +2311,21 @@ class SceneObject {
         // Override in subclasses
     }
     
+    /**
+     * Render with the object's cell background and text attributes
+     * @param {AsciiBuffer} buffer - Target buffer
+     */
+    renderStyled(buffer) {
+        if (!this.cellBackground && !this.cellAttributes) {
+            this.render(buffer);
+            return;
+        }
+        this.render(new StyledBuffer(buffer, {
+            background: this.cellBackground,
+            attributes: this.cellAttributes
+        }));
+    }
+    
     /**
      * Render children (called by subclasses after rendering self)
      */
@@ -2339,7 +2344,7 @@ class SceneObject {
             
             for (const child of this.children) {
                 if (child.visible) {
-                    child.render(buffer);
+                    child.renderStyled(buffer);
                     child.renderChildren?.(buffer);
                 }
             }
@@ -2348,7 +2353,7 @@ class SceneObject {
         } else {
             for (const child of this.children) {
                 if (child.visible) {
-                    child.render(buffer);
+                    child.renderStyled(buffer);
                     child.renderChildren?.(buffer);
                 }
             }
@@ -2376,6 +2381,8 @@ class SceneObject {
                 if (firstFill && firstFill.type === 'SOLID' && firstFill.color) {
                     this.fillColor = SceneObject.figmaColorToHex(firstFill.color);
                 }
+                // Gradient and pattern fills draw even without a fill character
+                if (this.getPaintFill()) this.filled = true;
             }
             return true;
         }
@@ -2508,6 +2515,30 @@ class SceneObject {
         return this.fills || [];
     }
     
+    /**
+     * Get the buffer a closed shape draws its fill into.
+     * Gradient and pattern fills repaint each filled cell, sampled against
+     * the current bounds so they follow moves and resizes.
+     * @param {AsciiBuffer} buffer - Target buffer
+     * @returns {object|null} Buffer to fill, or null when the shape has no fill
+     */
+    getFillBuffer(buffer) {
+        if (!this.filled) return null;
+        const paint = createFillPaint(this.getEffectiveFills(), this.getBounds());
+        if (paint) return new PaintedBuffer(buffer, paint);
+        return this.fillChar ? buffer : null;
+    }
+    
+    /**
+     * Get the topmost visible gradient or pattern fill
+     * @returns {object|null}
+     */
+    getPaintFill() {
+        return this.getEffectiveFills().slice().reverse().find(fill =>
+            fill.visible !== false && (isGradientFill(fill.type) || fill.type === FillType.PATTERN)
+        ) || null;
+    }
+    
     /**
      * Get effective stroke (from style if linked, or local)
      * @returns {Object} Stroke definition
@@ -2581,6 +2612,9 @@ class SceneObject {
         copy.id = uuid();
         copy.parentId = null;
         
+        // Gradient stops and handles are edited in place, so copies get their own fills
+        copy.fills = deepClone(this.fills || []);
+        
         // Clone children
         copy.children = this.children.map(child => {
             const clonedChild = child.clone();
@@ -2647,6 +2681,10 @@ class SceneObject {
         if (this.textStyleId) json.textStyleId = this.textStyleId;
         if (this.effectStyleId) json.effectStyleId = this.effectStyleId;
         
+        // Include terminal cell style if set
+        if (this.cellBackground) json.cellBackground = this.cellBackground;
+        if (this.cellAttributes) json.cellAttributes = this.cellAttributes;
+        
         // Include UI component properties if present
         if (this.uiComponentType) {
             json.uiComponentType = this.uiComponentType;
@@ -2730,6 +2768,14 @@ class RectangleObject extends SceneObject {
         );
     }
     
+    /**
+     * Outline as polygons, through the centres of the border cells
+     * @returns {Polygon[]}
+     */
+    toPolygons() {
+        return [Polygon.rectangle(this.x, this.y, this.width - 1, this.height - 1)];
+    }
+    
     render(buffer) {
         if (!this.visible) return;
         
@@ -2741,8 +2787,9 @@ class RectangleObject extends SceneObject {
             style = 'rounded';
         }
         
-        if (this.filled && this.fillChar) {
-            fillRect(buffer, this.x, this.y, this.width, this.height, {
+        const fillBuffer = this.getFillBuffer(buffer);
+        if (fillBuffer) {
+            fillRect(fillBuffer, this.x, this.y, this.width, this.height, {
                 fillChar: this.fillChar,
                 fillColor: this.fillColor,
                 border: false  // We draw border separately below
@@ -2832,6 +2879,16 @@ class EllipseObject extends SceneObject {
         return normalizedDist <= 1.2; // Slightly larger for easier selection
     }
     
+    /**
+     * Outline as polygons, with the aspect correction of the rendering
+     * @returns {Polygon[]}
+     */
+    toPolygons() {
+        const r = Math.max(this.radiusX, this.radiusY) || 1;
+        const center = new Vector2D(this.getCenterX(), this.getCenterY());
+        return [new Ellipse(center, Math.round(r * EllipseObject.ASPECT_RATIO), r).toPolygon(32)];
+    }
+    
     render(buffer) {
         if (!this.visible) return;
         
@@ -2839,8 +2896,9 @@ class EllipseObject extends SceneObject {
         const cy = this.getCenterY();
         const r = Math.max(this.radiusX, this.radiusY) || 1;
         
-        if (this.filled && this.fillChar) {
-            fillCircle(buffer, cx, cy, r, {
+        const fillBuffer = this.getFillBuffer(buffer);
+        if (fillBuffer) {
+            fillCircle(fillBuffer, cx, cy, r, {
                 fillChar: this.fillChar,
                 color: this.fillColor
             });
@@ -3003,21 +3061,33 @@ class TextObject extends SceneObject {
 }
 
 /**
- * ASCII Art Text object (large banner-style text)
+ * ASCII Art Text object (large banner-style text rendered with a FIGlet font)
  */
 class AsciiTextObject extends SceneObject {
-    constructor(x = 0, y = 0, text = 'TEXT') {
+    constructor(x = 0, y = 0, text = 'TEXT', fontName = figletFonts.defaultFont) {
         super('ascii-text');
         this.x = x;
         this.y = y;
         this.text = text;
+        this.fontName = fontName;
+        this.fontLayout = FigletLayout.DEFAULT; // 'default', 'full', 'kerning', 'smushing'
         this._updateBounds();
     }
     
+    /**
+     * Get the rendered banner rows for the current text and font
+     * @returns {string[]}
+     */
+    getBannerLines() {
+        return renderFigletText(this.text || '', this.fontName, { layout: this.fontLayout });
+    }
+    
     _updateBounds() {
-        // Each character is 6 wide x 5 tall
-        this.width = this.text ? this.text.length * 6 : 6;
-        this.height = 5;
+        // Bounds follow the real glyph metrics of the selected font
+        const lines = this.getBannerLines();
+        const width = lines.reduce((max, line) => Math.max(max, line.replace(/\s+$/, '').length), 0);
+        this.width = Math.max(1, width);
+        this.height = Math.max(1, lines.length);
     }
     
     getBounds() {
@@ -3038,80 +3108,25 @@ class AsciiTextObject extends SceneObject {
                py >= b.y - padding && py < b.y + b.height + padding;
     }
     
-    _getCharArt(char) {
-        // Simple 5x5 ASCII art for letters
-        const arts = {
-            'A': ['  █  ', ' █ █ ', '█████', '█   █', '█   █'],
-            'B': ['████ ', '█   █', '████ ', '█   █', '████ '],
-            'C': [' ████', '█    ', '█    ', '█    ', ' ████'],
-            'D': ['████ ', '█   █', '█   █', '█   █', '████ '],
-            'E': ['█████', '█    ', '████ ', '█    ', '█████'],
-            'F': ['█████', '█    ', '████ ', '█    ', '█    '],
-            'G': [' ████', '█    ', '█  ██', '█   █', ' ████'],
-            'H': ['█   █', '█   █', '█████', '█   █', '█   █'],
-            'I': ['█████', '  █  ', '  █  ', '  █  ', '█████'],
-            'J': ['█████', '   █ ', '   █ ', '█  █ ', ' ██  '],
-            'K': ['█   █', '█  █ ', '███  ', '█  █ ', '█   █'],
-            'L': ['█    ', '█    ', '█    ', '█    ', '█████'],
-            'M': ['█   █', '██ ██', '█ █ █', '█   █', '█   █'],
-            'N': ['█   █', '██  █', '█ █ █', '█  ██', '█   █'],
-            'O': [' ███ ', '█   █', '█   █', '█   █', ' ███ '],
-            'P': ['████ ', '█   █', '████ ', '█    ', '█    '],
-            'Q': [' ███ ', '█   █', '█   █', '█  █ ', ' ██ █'],
-            'R': ['████ ', '█   █', '████ ', '█  █ ', '█   █'],
-            'S': [' ████', '█    ', ' ███ ', '    █', '████ '],
-            'T': ['█████', '  █  ', '  █  ', '  █  ', '  █  '],
-            'U': ['█   █', '█   █', '█   █', '█   █', ' ███ '],
-            'V': ['█   █', '█   █', '█   █', ' █ █ ', '  █  '],
-            'W': ['█   █', '█   █', '█ █ █', '██ ██', '█   █'],
-            'X': ['█   █', ' █ █ ', '  █  ', ' █ █ ', '█   █'],
-            'Y': ['█   █', ' █ █ ', '  █  ', '  █  ', '  █  '],
-            'Z': ['█████', '   █ ', '  █  ', ' █   ', '█████'],
-            '0': [' ███ ', '█  ██', '█ █ █', '██  █', ' ███ '],
-            '1': ['  █  ', ' ██  ', '  █  ', '  █  ', '█████'],
-            '2': [' ███ ', '█   █', '  ██ ', ' █   ', '█████'],
-            '3': ['█████', '   █ ', '  ██ ', '   █ ', '████ '],
-            '4': ['█   █', '█   █', '█████', '    █', '    █'],
-            '5': ['█████', '█    ', '████ ', '    █', '████ '],
-            '6': [' ███ ', '█    ', '████ ', '█   █', ' ███ '],
-            '7': ['█████', '    █', '   █ ', '  █  ', '  █  '],
-            '8': [' ███ ', '█   █', ' ███ ', '█   █', ' ███ '],
-            '9': [' ███ ', '█   █', ' ████', '    █', ' ███ '],
-            ' ': ['     ', '     ', '     ', '     ', '     '],
-            '!': ['  █  ', '  █  ', '  █  ', '     ', '  █  '],
-            '?': [' ███ ', '█   █', '  █  ', '     ', '  █  '],
-            '.': ['     ', '     ', '     ', '     ', '  █  '],
-            ',': ['     ', '     ', '     ', '  █  ', ' █   '],
-            '-': ['     ', '     ', '████ ', '     ', '     '],
-            '+': ['     ', '  █  ', '█████', '  █  ', '     '],
-            '=': ['     ', '█████', '     ', '█████', '     '],
-        };
-        return arts[char.toUpperCase()] || ['     ', '     ', '  █  ', '     ', '     '];
-    }
-    
     render(buffer) {
         if (!this.visible) return;
         
-        const chars = this.text.toUpperCase().split('');
-        let offsetX = 0;
-        
-        chars.forEach(char => {
-            const art = this._getCharArt(char);
-            art.forEach((line, row) => {
-                for (let col = 0; col < line.length; col++) {
-                    if (line[col] !== ' ') {
-                        buffer.setChar(this.x + offsetX + col, this.y + row, line[col], this.strokeColor);
-                    }
+        const lines = this.getBannerLines();
+        lines.forEach((line, row) => {
+            for (let col = 0; col < line.length; col++) {
+                if (line[col] !== ' ') {
+                    buffer.setChar(this.x + col, this.y + row, line[col], this.strokeColor);
                 }
-            });
-            offsetX += 6; // Character width + spacing
+            }
         });
     }
     
     toJSON() {
         return {
             ...super.toJSON(),
-            text: this.text
+            text: this.text,
+            fontName: this.fontName,
+            fontLayout: this.fontLayout
         };
     }
 }
@@ -3172,6 +3187,14 @@ class PolygonObject extends SceneObject {
         return inside;
     }
     
+    /**
+     * Outline as polygons, on the vertices that are drawn
+     * @returns {Polygon[]}
+     */
+    toPolygons() {
+        return [new Polygon(this._getPoints().map(p => new Vector2D(p.x, p.y)))];
+    }
+    
     containsPoint(px, py) {
         // Check if point is inside polygon or near any edge
         const points = this._getPoints();
@@ -3219,13 +3242,12 @@ class PolygonObject extends SceneObject {
         const points = this._getPoints();
         
         // Fill if needed
-        if (this.filled && this.fillChar) {
+        const fillBuffer = this.getFillBuffer(buffer);
+        if (fillBuffer) {
             for (let y = this.y; y < this.y + this.height; y++) {
                 for (let x = this.x; x < this.x + this.width; x++) {
                     if (this._isPointInPolygon(x, y, points)) {
-                        if (buffer[y] && x >= 0 && x < buffer[y].length) {
-                            buffer[y][x] = { char: this.fillChar, color: this.fillColor };
-                        }
+                        fillBuffer.setChar(x, y, this.fillChar, this.fillColor);
                     }
                 }
             }
@@ -3291,6 +3313,14 @@ class StarObject extends SceneObject {
         return vertices;
     }
     
+    /**
+     * Outline as polygons, on the vertices that are drawn
+     * @returns {Polygon[]}
+     */
+    toPolygons() {
+        return [new Polygon(this._getVertices().map(p => new Vector2D(p.x, p.y)))];
+    }
+    
     _isPointInPolygon(px, py, vertices) {
         let inside = false;
         for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
@@ -3310,13 +3340,12 @@ class StarObject extends SceneObject {
         const vertices = this._getVertices();
         
         // Fill if needed
-        if (this.filled && this.fillChar) {
+        const fillBuffer = this.getFillBuffer(buffer);
+        if (fillBuffer) {
             for (let y = this.y; y < this.y + this.height; y++) {
                 for (let x = this.x; x < this.x + this.width; x++) {
                     if (this._isPointInPolygon(x, y, vertices)) {
-                        if (buffer[y] && x >= 0 && x < buffer[y].length) {
-                            buffer[y][x] = { char: this.fillChar, color: this.fillColor };
-                        }
+                        fillBuffer.setChar(x, y, this.fillChar, this.fillColor);
                     }
                 }
             }
@@ -3431,6 +3460,63 @@ class TableObject extends SceneObject {
 /**
  * Chart object with improved rendering
  */
+/**
+ * Sample data for charts drawn by the chart engine (scripts/charts), in the
+ * shape each type expects
+ */
+const ChartSamples = {
+    histogram: `Latency (ms)
+120
+135
+128
+150
+210
+190
+145
+133
+160
+175
+122
+128
+140
+300
+155
+149
+162
+171
+180
+138`,
+    'box-plot': `api,web,db
+120,140,35
+135,152,42
+128,149,38
+150,171,51
+210,230,47
+145,160,40
+133,158,390
+160,181,44`,
+    heatmap: `Day,00h,04h,08h,12h,16h,20h
+Mon,1,5,9,12,7,3
+Tue,2,8,15,20,9,4
+Wed,0,4,10,18,11,2
+Thu,1,3,6,9,5,1
+Fri,0,1,2,3,2,0`,
+    candlestick: `Date,Open,High,Low,Close
+2026-09-01,100,104,98,103
+2026-09-02,103,109,102,108
+2026-09-03,108,110,101,102
+2026-09-04,102,105,97,98
+2026-09-07,98,103,96,101
+2026-09-08,101,107,100,106`,
+    'stacked-area': `Week,Logs,Backups,Media
+W38,3,5,2
+W39,4,5,3
+W40,4,6,3
+W41,5,6,4
+W42,6,7,4
+W43,7,7,6`
+};
+
 class ChartObject extends SceneObject {
     constructor(x = 0, y = 0, width = 30, height = 15) {
         super('chart');
@@ -3438,35 +3524,172 @@ class ChartObject extends SceneObject {
         this.y = y;
         this.width = width;
         this.height = height;
-        this.chartType = 'bar'; // bar, line, pie, scatter
+        this.chartType = 'bar'; // bar, line, pie, scatter, or a type in ChartSamples
         this.data = [0.3, 0.7, 0.5, 0.9, 0.4, 0.6]; // Sample data (values 0-1)
         this.labels = ['A', 'B', 'C', 'D', 'E', 'F'];
         this.title = '';
         this.showAxes = true;
         this.showLabels = true;
+        this.dataSource = null; // ChartDataSource the data comes from
+        this.series = null;     // Every mapped series when bound, values 0-1
+        this.scaleMax = 1;      // Value at the top of the value axis
+        this.resolution = PlotResolution.CELL; // Sub-character plotting of line, scatter and area charts
+        this._onDataSourceChange = null;
+    }
+    
+    /**
+     * Plot the data of a data source and follow its changes
+     * @param {ChartDataSource|null} source - Data source, or null to unbind
+     *   and keep the current values
+     */
+    setDataSource(source) {
+        if (this.dataSource) {
+            this.dataSource.off('change', this._onDataSourceChange);
+        }
+        this.dataSource = source;
+        this._onDataSourceChange = null;
+        if (!source) return;
+        
+        this._onDataSourceChange = () => this.applyDataSource();
+        source.on('change', this._onDataSourceChange);
+        this.applyDataSource();
+    }
+    
+    /**
+     * Take labels and series from the data source, scaled so the largest
+     * value stays below a round maximum
+     */
+    applyDataSource() {
+        const { labels, datasets } = this.dataSource.toChartData();
+        const values = datasets.map(dataset => dataset.data.map(point => Math.max(0, point.y ?? 0)));
+        const max = Math.max(0, ...values.flat());
+        const ticks = generateTicks(0, max);
+        
+        this.scaleMax = max > 0 ? Math.max(max, ticks[ticks.length - 1]) : 1;
+        this.series = datasets.map((dataset, i) => ({
+            name: dataset.name,
+            data: values[i].map(value => value / this.scaleMax)
+        }));
+        this.data = this.series[0]?.data ?? [];
+        this.labels = labels;
+    }
+    
+    /**
+     * Series to plot: every mapped series when bound, else the typed-in data
+     * @returns {Array<Array<number>>}
+     */
+    _plotSeries() {
+        return this.series?.length > 0 ? this.series.map(series => series.data) : [this.data];
+    }
+    
+    /**
+     * Labels of the value axis at the top, middle and bottom
+     * @returns {Array<string>}
+     */
+    _valueLabels() {
+        if (!(this.series?.length > 0)) return ['1', '.5', '0'];
+        return [formatNumber(this.scaleMax), formatNumber(this.scaleMax / 2), '0'];
+    }
+    
+    /**
+     * Draw the value axis and category axis
+     * @returns {number} Columns left of the value axis
+     */
+    _drawAxes(buffer, chartHeight, showValueLabels) {
+        const labels = this._valueLabels();
+        const gutter = Math.max(2, ...labels.map(label => label.length));
+        const chartWidth = this.width - gutter - 1;
+        
+        for (let i = 0; i < chartHeight; i++) {
+            buffer.setChar(this.x + gutter, this.y + 1 + i, '│', this.strokeColor);
+        }
+        buffer.setChar(this.x + gutter, this.y + chartHeight + 1, '└', this.strokeColor);
+        for (let i = 1; i < chartWidth; i++) {
+            buffer.setChar(this.x + gutter + i, this.y + chartHeight + 1, '─', this.strokeColor);
+        }
+        
+        if (showValueLabels) {
+            buffer.drawText(this.x, this.y + 1, labels[0], this.strokeColor);
+            buffer.drawText(this.x, this.y + Math.floor(chartHeight / 2), labels[1], this.strokeColor);
+            buffer.drawText(this.x, this.y + chartHeight, labels[2], this.strokeColor);
+        }
+        
+        return gutter;
     }
     
     render(buffer) {
         if (!this.visible) return;
         
+        // Only the chart engine plots below one point per character
+        const engine = this.resolution !== PlotResolution.CELL;
+        
         switch (this.chartType) {
             case 'line':
-                this._renderLineChart(buffer);
+                if (engine) this._renderEngineChart(buffer);
+                else this._renderLineChart(buffer);
                 break;
             case 'pie':
                 this._renderPieChart(buffer);
                 break;
             case 'scatter':
-                this._renderScatterChart(buffer);
+                if (engine) this._renderEngineChart(buffer);
+                else this._renderScatterChart(buffer);
+                break;
+            case 'histogram':
+            case 'box-plot':
+            case 'heatmap':
+            case 'candlestick':
+            case 'stacked-area':
+                this._renderEngineChart(buffer);
                 break;
             default:
                 this._renderBarChart(buffer);
         }
     }
     
+    /**
+     * Labels and series in unscaled values, for the chart engine
+     * @returns {{labels: string[], datasets: Array}} Configuration for Chart.setData
+     */
+    _chartData() {
+        if (this.dataSource) return this.dataSource.toChartData();
+        
+        const series = this.series?.length > 0 ? this.series : [{ name: 'Data', data: this.data }];
+        return {
+            labels: this.labels,
+            datasets: series.map(s => ({
+                name: s.name,
+                data: s.data.map((value, i) => ({ x: i, y: value * this.scaleMax, label: this.labels[i] }))
+            }))
+        };
+    }
+    
+    /**
+     * Render with the chart engine and copy the result onto the canvas
+     */
+    _renderEngineChart(buffer) {
+        const chart = ChartFactory.createSync(this.chartType, {
+            width: this.width,
+            height: this.height,
+            title: { text: this.title },
+            showAxes: this.showAxes,
+            resolution: this.resolution
+        });
+        chart.setData(this._chartData());
+        
+        const rendered = chart.render();
+        for (let row = 0; row < this.height; row++) {
+            for (let col = 0; col < this.width; col++) {
+                const char = rendered.getChar(col, row);
+                if (char && char !== ' ') {
+                    buffer.setChar(this.x + col, this.y + row, char, this.strokeColor);
+                }
+            }
+        }
+    }
+    
     _renderBarChart(buffer) {
         const chartHeight = this.height - 3; // Leave room for axis and labels
-        const chartWidth = this.width - 3;   // Leave room for Y axis
         
         // Draw title if present
         if (this.title) {
@@ -3474,88 +3697,85 @@ class ChartObject extends SceneObject {
             buffer.drawText(titleX, this.y, this.title, this.strokeColor);
         }
         
-        // Draw Y axis
-        for (let i = 0; i < chartHeight; i++) {
-            buffer.setChar(this.x + 2, this.y + 1 + i, '│', this.strokeColor);
-        }
-        
-        // Draw X axis
-        buffer.setChar(this.x + 2, this.y + chartHeight + 1, '└', this.strokeColor);
-        for (let i = 1; i < chartWidth; i++) {
-            buffer.setChar(this.x + 2 + i, this.y + chartHeight + 1, '─', this.strokeColor);
-        }
+        // Draw axes and Y axis labels
+        const gutter = this._drawAxes(buffer, chartHeight, true);
+        const chartWidth = this.width - gutter - 1;
         
-        // Draw Y axis labels
-        buffer.drawText(this.x, this.y + 1, '1', this.strokeColor);
-        buffer.drawText(this.x, this.y + Math.floor(chartHeight / 2), '.5', this.strokeColor);
-        buffer.drawText(this.x, this.y + chartHeight, '0', this.strokeColor);
-        
-        // Draw bars with better spacing
+        // Draw bars with better spacing; series of one category stand side by side
+        const series = this._plotSeries();
         const barAreaWidth = chartWidth - 1;
         const numBars = this.data.length;
+        if (numBars === 0) return;
         const totalBarSpace = barAreaWidth;
         const barWidth = Math.max(1, Math.floor(totalBarSpace / numBars) - 1);
         const spacing = Math.floor((totalBarSpace - barWidth * numBars) / (numBars + 1));
-        
-        this.data.forEach((value, i) => {
-            const barHeight = Math.max(1, Math.round(value * (chartHeight - 1)));
-            const barX = this.x + 3 + spacing + i * (barWidth + spacing);
-            
-            // Draw bar using block characters
-            for (let h = 0; h < barHeight; h++) {
-                const barY = this.y + chartHeight - h;
-                for (let w = 0; w < barWidth; w++) {
-                    // Use different shading for visual interest
-                    const char = h === barHeight - 1 ? '▀' : '█';
-                    buffer.setChar(barX + w, barY, char, this.strokeColor);
+        const seriesWidth = Math.max(1, Math.floor(barWidth / series.length));
+        
+        this.data.forEach((_, i) => {
+            const barX = this.x + gutter + 1 + spacing + i * (barWidth + spacing);
+            
+            series.forEach((values, s) => {
+                const value = values[i] ?? 0;
+                const barHeight = Math.max(1, Math.round(value * (chartHeight - 1)));
+                const shades = ['█', '▓', '▒', '░'];
+                const fill = series.length > 1 ? shades[s % shades.length] : '█';
+                const left = barX + s * seriesWidth;
+                const width = series.length > 1 ? seriesWidth : barWidth;
+                
+                // Draw bar using block characters
+                for (let h = 0; h < barHeight; h++) {
+                    const barY = this.y + chartHeight - h;
+                    for (let w = 0; w < width; w++) {
+                        // Use different shading for visual interest
+                        const char = h === barHeight - 1 && series.length === 1 ? '▀' : fill;
+                        buffer.setChar(left + w, barY, char, this.strokeColor);
+                    }
                 }
-            }
+            });
             
-            // Draw label below
+            // Draw label below, cut to the bar width
             if (this.showLabels && this.labels[i]) {
-                buffer.setChar(barX, this.y + chartHeight + 2, this.labels[i][0], this.strokeColor);
+                buffer.drawText(barX, this.y + chartHeight + 2, String(this.labels[i]).slice(0, barWidth), this.strokeColor);
             }
         });
     }
     
     _renderLineChart(buffer) {
         const chartHeight = this.height - 3;
-        const chartWidth = this.width - 3;
         
         // Draw axes
-        for (let i = 0; i < chartHeight; i++) {
-            buffer.setChar(this.x + 2, this.y + 1 + i, '│', this.strokeColor);
-        }
-        buffer.setChar(this.x + 2, this.y + chartHeight + 1, '└', this.strokeColor);
-        for (let i = 1; i < chartWidth; i++) {
-            buffer.setChar(this.x + 2 + i, this.y + chartHeight + 1, '─', this.strokeColor);
-        }
-        
-        // Plot points and connect with lines
-        const points = [];
-        const numPoints = this.data.length;
-        const stepX = Math.floor((chartWidth - 2) / Math.max(1, numPoints - 1));
-        
-        this.data.forEach((value, i) => {
-            const px = this.x + 3 + i * stepX;
-            const py = this.y + chartHeight - Math.round(value * (chartHeight - 1));
-            points.push({ x: px, y: py });
+        const gutter = this._drawAxes(buffer, chartHeight, this.series?.length > 0);
+        const chartWidth = this.width - gutter - 1;
+        
+        // Plot points and connect with lines, one marker per series
+        const markers = ['●', '○', '◆', '■'];
+        this._plotSeries().forEach((values, s) => {
+            const marker = markers[s % markers.length];
+            const points = [];
+            const numPoints = values.length;
+            const stepX = Math.floor((chartWidth - 2) / Math.max(1, numPoints - 1));
+            
+            values.forEach((value, i) => {
+                const px = this.x + gutter + 1 + i * stepX;
+                const py = this.y + chartHeight - Math.round(value * (chartHeight - 1));
+                points.push({ x: px, y: py });
+                
+                // Draw point marker
+                buffer.setChar(px, py, marker, this.strokeColor);
+            });
             
-            // Draw point marker
-            buffer.setChar(px, py, '●', this.strokeColor);
+            // Connect points with lines
+            for (let i = 1; i < points.length; i++) {
+                const p1 = points[i - 1];
+                const p2 = points[i];
+                drawLine(buffer, p1.x, p1.y, p2.x, p2.y, { char: '·', color: this.strokeColor });
+                // Redraw points on top
+                buffer.setChar(p1.x, p1.y, marker, this.strokeColor);
+            }
+            if (points.length > 0) {
+                buffer.setChar(points[points.length - 1].x, points[points.length - 1].y, marker, this.strokeColor);
+            }
         });
-        
-        // Connect points with lines
-        for (let i = 1; i < points.length; i++) {
-            const p1 = points[i - 1];
-            const p2 = points[i];
-            drawLine(buffer, p1.x, p1.y, p2.x, p2.y, { char: '·', color: this.strokeColor });
-            // Redraw points on top
-            buffer.setChar(p1.x, p1.y, '●', this.strokeColor);
-        }
-        if (points.length > 0) {
-            buffer.setChar(points[points.length - 1].x, points[points.length - 1].y, '●', this.strokeColor);
-        }
     }
     
     _renderPieChart(buffer) {
@@ -3595,23 +3815,21 @@ class ChartObject extends SceneObject {
     
     _renderScatterChart(buffer) {
         const chartHeight = this.height - 3;
-        const chartWidth = this.width - 3;
         
         // Draw axes
-        for (let i = 0; i < chartHeight; i++) {
-            buffer.setChar(this.x + 2, this.y + 1 + i, '│', this.strokeColor);
-        }
-        buffer.setChar(this.x + 2, this.y + chartHeight + 1, '└', this.strokeColor);
-        for (let i = 1; i < chartWidth; i++) {
-            buffer.setChar(this.x + 2 + i, this.y + chartHeight + 1, '─', this.strokeColor);
-        }
+        const gutter = this._drawAxes(buffer, chartHeight, this.series?.length > 0);
+        const chartWidth = this.width - gutter - 1;
         
-        // Plot scattered points
+        // Plot scattered points; with several series each has its own marker
         const markers = ['●', '○', '◆', '◇', '■', '□'];
-        this.data.forEach((value, i) => {
-            const px = this.x + 3 + Math.floor((i / (this.data.length - 1 || 1)) * (chartWidth - 2));
-            const py = this.y + chartHeight - Math.round(value * (chartHeight - 1));
-            buffer.setChar(px, py, markers[i % markers.length], this.strokeColor);
+        const series = this._plotSeries();
+        series.forEach((values, s) => {
+            values.forEach((value, i) => {
+                const px = this.x + gutter + 1 + Math.floor((i / (values.length - 1 || 1)) * (chartWidth - 2));
+                const py = this.y + chartHeight - Math.round(value * (chartHeight - 1));
+                const marker = markers[(series.length > 1 ? s : i) % markers.length];
+                buffer.setChar(px, py, marker, this.strokeColor);
+            });
         });
     }
     
@@ -3623,7 +3841,67 @@ class ChartObject extends SceneObject {
             labels: this.labels,
             title: this.title,
             showAxes: this.showAxes,
-            showLabels: this.showLabels
+            showLabels: this.showLabels,
+            series: this.series,
+            scaleMax: this.scaleMax,
+            resolution: this.resolution,
+            dataSource: this.dataSource ? this.dataSource.toJSON() : null
+        };
+    }
+}
+
+/**
+ * Source of a new sequence diagram
+ */
+const SequenceSample = `sequenceDiagram
+    actor U as User
+    U->>+App: Sign in
+    App->>+Auth: Check credentials
+    Auth-->>-App: Token
+    alt valid
+        App-->>U: Dashboard
+    else invalid
+        App-->>U: Error
+    end
+    deactivate App`;
+
+/**
+ * UML sequence diagram written in the sequence diagram text syntax. The
+ * size follows from the automatic layout of the source.
+ */
+class SequenceDiagramObject extends SceneObject {
+    constructor(x = 0, y = 0, source = SequenceSample) {
+        super('sequence');
+        this.x = x;
+        this.y = y;
+        this.source = '';
+        this._layout = null;
+        this.setSource(source);
+    }
+
+    /**
+     * Parse and lay out new source
+     * @param {string} source - Diagram source
+     * @throws {Error} When the source cannot be parsed; the diagram is unchanged
+     */
+    setSource(source) {
+        const layout = layoutSequenceDiagram(parseSequenceDiagram(source));
+        this.source = source;
+        this._layout = layout;
+        this.width = layout.width;
+        this.height = layout.height;
+        this.invalidateBounds();
+    }
+
+    render(buffer) {
+        if (!this.visible || !this._layout) return;
+        renderSequenceDiagram(this._layout, buffer, this.x, this.y, this.strokeColor);
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            source: this.source
         };
     }
 }
@@ -3634,8 +3912,13 @@ class ChartObject extends SceneObject {
 class PathObject extends SceneObject {
     constructor() {
         super('path');
-        this.points = []; // Array of {x, y}
+        // Array of {x, y}; `moveTo` starts a subpath, and handleIn/handleOut
+        // are bezier control points as offsets from the point, so they
+        // follow it when the path moves
+        this.points = [];
         this.brushSize = 0; // 0 = thin line, >0 = brush with radius
+        this.closed = false;
+        this.filled = false;
     }
     
     addPoint(x, y) {
@@ -3661,6 +3944,15 @@ class PathObject extends SceneObject {
             minY = Math.min(minY, p.y - padding);
             maxX = Math.max(maxX, p.x + padding);
             maxY = Math.max(maxY, p.y + padding);
+            
+            // Curves stay within their control points
+            for (const handle of [p.handleIn, p.handleOut]) {
+                if (!handle) continue;
+                minX = Math.min(minX, Math.floor(p.x + handle.x));
+                minY = Math.min(minY, Math.floor(p.y + handle.y));
+                maxX = Math.max(maxX, Math.ceil(p.x + handle.x));
+                maxY = Math.max(maxY, Math.ceil(p.y + handle.y));
+            }
         }
         
         this.x = minX;
@@ -3679,10 +3971,30 @@ class PathObject extends SceneObject {
         };
     }
     
+    /**
+     * Subpaths as point lists, with curves flattened
+     * @returns {Array<Array<{x: number, y: number}>>}
+     */
+    getSubpaths() {
+        const curved = this.points.some(p => p.handleIn || p.handleOut);
+        if (!curved) return splitSubpaths(this.points);
+        return pathToPolygons(this.points, { closed: this.closed }).map(polygon => polygon.vertices);
+    }
+    
+    /**
+     * Outline as polygons, one per subpath, each closed
+     * @returns {Polygon[]}
+     */
+    toPolygons() {
+        return pathToPolygons(this.points);
+    }
+    
     containsPoint(px, py) {
         // Check if point is near any segment of the path
         if (this.points.length === 0) return false;
         
+        if (this.closed && this.filled && this._isInside(px, py)) return true;
+        
         const hitRadius = Math.max(1.5, this.brushSize || 0);
         
         // Single point
@@ -3692,15 +4004,29 @@ class PathObject extends SceneObject {
         }
         
         // Check distance to each line segment
-        for (let i = 1; i < this.points.length; i++) {
-            const p1 = this.points[i - 1];
-            const p2 = this.points[i];
-            const dist = this._pointToSegmentDistance(px, py, p1.x, p1.y, p2.x, p2.y);
-            if (dist <= hitRadius) return true;
+        for (const subpath of this.getSubpaths()) {
+            const count = this.closed ? subpath.length + 1 : subpath.length;
+            for (let i = 1; i < count; i++) {
+                const p1 = subpath[i - 1];
+                const p2 = subpath[i % subpath.length];
+                const dist = this._pointToSegmentDistance(px, py, p1.x, p1.y, p2.x, p2.y);
+                if (dist <= hitRadius) return true;
+            }
         }
         return false;
     }
     
+    /**
+     * Even-odd test against the subpaths, so inner subpaths are holes
+     */
+    _isInside(px, py, polygons = this.toPolygons()) {
+        let inside = false;
+        for (const polygon of polygons) {
+            if (polygon.containsPoint({ x: px, y: py })) inside = !inside;
+        }
+        return inside;
+    }
+    
     _pointToSegmentDistance(px, py, x1, y1, x2, y2) {
         const A = px - x1;
         const B = py - y1;
@@ -3746,17 +4072,45 @@ class PathObject extends SceneObject {
                 }
             }
         } else {
+            const fillBuffer = this.closed ? this.getFillBuffer(buffer) : null;
+            if (fillBuffer) {
+                this._fill(fillBuffer);
+            }
+            
             // Thin line mode: draw simple lines
-            for (let i = 0; i < this.points.length; i++) {
-                const p = this.points[i];
-                if (i > 0) {
-                    const prev = this.points[i - 1];
-                    drawLine(buffer, prev.x, prev.y, p.x, p.y, {
+            for (const subpath of this.getSubpaths()) {
+                for (let i = 0; i < subpath.length; i++) {
+                    const p = subpath[i];
+                    if (i > 0) {
+                        const prev = subpath[i - 1];
+                        drawLine(buffer, prev.x, prev.y, p.x, p.y, {
+                            char: this.strokeChar,
+                            color: this.strokeColor
+                        });
+                    }
+                    buffer.setChar(p.x, p.y, this.strokeChar, this.strokeColor);
+                }
+                
+                if (this.closed && subpath.length > 2) {
+                    const first = subpath[0];
+                    const last = subpath[subpath.length - 1];
+                    drawLine(buffer, last.x, last.y, first.x, first.y, {
                         char: this.strokeChar,
                         color: this.strokeColor
                     });
                 }
-                buffer.setChar(p.x, p.y, this.strokeChar, this.strokeColor);
+            }
+        }
+    }
+    
+    _fill(buffer) {
+        const bounds = this.getBounds();
+        const polygons = this.toPolygons();
+        for (let y = bounds.y; y < bounds.y + bounds.height; y++) {
+            for (let x = bounds.x; x < bounds.x + bounds.width; x++) {
+                if (this._isInside(x, y, polygons)) {
+                    buffer.setChar(x, y, this.fillChar, this.fillColor);
+                }
             }
         }
     }
@@ -3794,7 +4148,9 @@ class PathObject extends SceneObject {
         return {
             ...super.toJSON(),
             points: this.points,
-            brushSize: this.brushSize
+            brushSize: this.brushSize,
+            closed: this.closed,
+            filled: this.filled
         };
     }
 }
@@ -3806,6 +4162,9 @@ class GroupObject extends SceneObject {
     constructor() {
         super('group');
         this.children = [];
+        // Mask: the first child clips the other children and is not drawn
+        this.useMask = false;
+        this.invertMask = false;
     }
     
     /**
@@ -3868,6 +4227,43 @@ class GroupObject extends SceneObject {
         this._updateBounds();
     }
     
+    /**
+     * Get the child whose shape masks the others
+     * @returns {SceneObject|null}
+     */
+    getMaskShape() {
+        return this.useMask && this.children.length > 0 ? this.children[0] : null;
+    }
+    
+    /**
+     * Get the children that are drawn (all but the mask shape)
+     * @returns {SceneObject[]}
+     */
+    getMaskedChildren() {
+        return this.getMaskShape() ? this.children.slice(1) : this.children;
+    }
+    
+    /**
+     * Build the clip region of the mask from the current geometry of the
+     * mask shape, so the mask follows it through moves and resizes
+     * @returns {ClipRegion|null}
+     */
+    getClipRegion() {
+        const shape = this.getMaskShape();
+        if (!shape) return null;
+        
+        let region;
+        if (typeof shape.toPolygons === 'function') {
+            region = ClipRegion.path(shape.toPolygons().map(polygon => polygon.vertices));
+        } else {
+            // Text, images and containers mask with their bounds
+            const b = shape.getBounds();
+            region = ClipRegion.rect(b.x, b.y, b.width, b.height);
+        }
+        region.invert = this.invertMask;
+        return region;
+    }
+    
     _updateBounds() {
         if (this.children.length === 0) {
             this.width = 0;
@@ -3878,7 +4274,11 @@ class GroupObject extends SceneObject {
         let minX = Infinity, minY = Infinity;
         let maxX = -Infinity, maxY = -Infinity;
         
-        for (const child of this.children) {
+        // Nothing shows outside a mask unless it is inverted
+        const mask = this.getMaskShape();
+        const sources = mask && !this.invertMask ? [mask] : this.children;
+        
+        for (const child of sources) {
             const b = child.getBounds();
             minX = Math.min(minX, b.x);
             minY = Math.min(minY, b.y);
@@ -3903,8 +4303,11 @@ class GroupObject extends SceneObject {
     }
     
     containsPoint(px, py) {
-        // Check if any child contains the point
-        for (const child of this.children) {
+        const region = this.getClipRegion();
+        if (region && !region.containsPoint(px, py)) return false;
+        
+        // Check if any drawn child contains the point
+        for (const child of this.getMaskedChildren()) {
             if (child.containsPoint && child.containsPoint(px, py)) {
                 return true;
             }
@@ -3914,14 +4317,18 @@ class GroupObject extends SceneObject {
     
     render(buffer) {
         if (!this.visible) return;
-        for (const child of this.children) {
-            child.render(buffer);
+        const region = this.getClipRegion();
+        const target = region ? new ClippedBuffer(buffer, new ClippingMask(region)) : buffer;
+        for (const child of this.getMaskedChildren()) {
+            child.renderStyled(target);
         }
     }
     
     toJSON() {
         return {
             ...super.toJSON(),
+            useMask: this.useMask,
+            invertMask: this.invertMask,
             children: this.children.map(c => c.toJSON())
         };
     }
@@ -4644,14 +5051,29 @@ class FrameObject extends SceneObject {
         }
     }
     
-    render(buffer) {
+    /**
+     * Frames fill their background; gradient and pattern fills paint it
+     * whether or not the frame is marked as filled
+     */
+    getFillBuffer(buffer) {
+        const paint = createFillPaint(this.getEffectiveFills(), this.getBounds());
+        if (paint) return new PaintedBuffer(buffer, paint);
+        return this.backgroundColor || this.backgroundChar !== ' ' ? buffer : null;
+    }
+    
+    render(buffer) {
         if (!this.visible) return;
         
-        // Draw background if set
-        if (this.backgroundColor || this.backgroundChar !== ' ') {
+        // Draw background if set; a blank background character shows the
+        // background color as the cell background
+        const fillBuffer = this.getFillBuffer(buffer);
+        if (fillBuffer) {
+            const fillStyle = this.backgroundChar === ' ' && this.backgroundColor
+                ? { color: null, background: this.backgroundColor }
+                : this.backgroundColor;
             for (let y = this.y; y < this.y + this.height; y++) {
                 for (let x = this.x; x < this.x + this.width; x++) {
-                    buffer.setChar(x, y, this.backgroundChar, this.backgroundColor);
+                    fillBuffer.setChar(x, y, this.backgroundChar, fillStyle);
                 }
             }
         }
@@ -4692,11 +5114,11 @@ class FrameObject extends SceneObject {
                         originalSetChar(x, y, char, color);
                     }
                 };
-                child.render(buffer);
+                child.renderStyled(buffer);
                 buffer.setChar = originalSetChar;
             } else {
                 // No clipping - either disabled or child is being dragged
-                child.render(buffer);
+                child.renderStyled(buffer);
             }
         }
     }
@@ -5566,6 +5988,9 @@ class FlowchartConnector extends SceneObject {
         
         // For orthogonal routing
         this.waypoints = [];
+        
+        // Text drawn at the middle of the path
+        this.label = '';
     }
     
     /**
@@ -5593,8 +6018,10 @@ class FlowchartConnector extends SceneObject {
     
     /**
      * Update endpoint positions from connected shapes
+     * @param {Array} shapes - Flowchart shapes to look attachments up in
+     * @param {OrthogonalRouter} [router] - Routes orthogonal connectors around obstacles
      */
-    updateFromShapes(shapes) {
+    updateFromShapes(shapes, router = null) {
         if (this.fromShapeId) {
             const fromShape = shapes.find(s => s.id === this.fromShapeId);
             if (fromShape) {
@@ -5618,25 +6045,44 @@ class FlowchartConnector extends SceneObject {
         
         // Recalculate waypoints for orthogonal routing
         if (this.connectorStyle === 'orthogonal') {
-            this._calculateOrthogonalRoute();
+            this._calculateOrthogonalRoute(router);
         }
     }
     
     /**
-     * Calculate orthogonal routing waypoints
+     * Calculate orthogonal routing waypoints. With a router the route
+     * avoids shapes; otherwise, or when no route exists, a simple
+     * two-bend route is used.
+     * @param {OrthogonalRouter} [router] - Obstacle-avoiding router
      */
-    _calculateOrthogonalRoute() {
+    _calculateOrthogonalRoute(router = null) {
         const x1 = this.startX, y1 = this.startY;
         const x2 = this.endX, y2 = this.endY;
         
         this.waypoints = [];
         
+        if (router) {
+            const path = router.route({ x: x1, y: y1 }, { x: x2, y: y2 }, {
+                startSide: this.fromShapeId ? this.fromSnapPoint : null,
+                endSide: this.toShapeId ? this.toSnapPoint : null
+            });
+            if (path) {
+                this.waypoints = path.slice(1, -1);
+                return;
+            }
+        }
+        
+        // Aligned endpoints need no bends
+        if (x1 === x2 || y1 === y2) return;
+        
         // Simple orthogonal routing: go horizontal then vertical, or vertical then horizontal
-        // Choose based on start direction
+        // Choose based on start direction, leaving the shape the way its snap point faces
         const midX = Math.floor((x1 + x2) / 2);
         const midY = Math.floor((y1 + y2) / 2);
+        const leavesVertically = this.fromSnapPoint === 'top' || this.fromSnapPoint === 'bottom';
+        const leavesHorizontally = this.fromSnapPoint === 'left' || this.fromSnapPoint === 'right';
         
-        if (Math.abs(x2 - x1) > Math.abs(y2 - y1)) {
+        if (leavesHorizontally || (!leavesVertically && Math.abs(x2 - x1) > Math.abs(y2 - y1))) {
             // Prefer horizontal-vertical-horizontal
             this.waypoints = [
                 { x: midX, y: y1 },
@@ -5751,6 +6197,55 @@ class FlowchartConnector extends SceneObject {
         if (this.arrowStart) {
             this._drawArrow(buffer, this.startX, this.startY, this._getStartDirection());
         }
+        
+        if (this.label) {
+            this._renderLabel(buffer);
+        }
+    }
+    
+    /**
+     * Draw the label halfway along the path: on top of horizontal
+     * segments, beside vertical ones
+     */
+    _renderLabel(buffer) {
+        const points = [
+            { x: this.startX, y: this.startY },
+            ...(this.connectorStyle === 'orthogonal' ? this.waypoints : []),
+            { x: this.endX, y: this.endY }
+        ];
+        
+        const lengths = [];
+        let total = 0;
+        for (let i = 0; i < points.length - 1; i++) {
+            const len = Math.hypot(points[i + 1].x - points[i].x, points[i + 1].y - points[i].y);
+            lengths.push(len);
+            total += len;
+        }
+        
+        // Find the segment containing the halfway point
+        let remaining = total / 2;
+        let index = 0;
+        while (index < lengths.length - 1 && remaining > lengths[index]) {
+            remaining -= lengths[index];
+            index++;
+        }
+        const p1 = points[index];
+        const p2 = points[index + 1];
+        const t = lengths[index] > 0 ? remaining / lengths[index] : 0;
+        const midX = Math.round(p1.x + (p2.x - p1.x) * t);
+        const midY = Math.round(p1.y + (p2.y - p1.y) * t);
+        
+        const lines = String(this.label).split('\n');
+        const vertical = p1.x === p2.x && p1.y !== p2.y;
+        const top = midY - Math.floor(lines.length / 2);
+        
+        lines.forEach((line, i) => {
+            const text = vertical ? line : ` ${line} `;
+            const x = vertical ? midX + 2 : midX - Math.floor(text.length / 2);
+            for (let j = 0; j < text.length; j++) {
+                buffer.setChar(x + j, top + i, text[j], this.strokeColor);
+            }
+        });
     }
     
     _drawSegment(buffer, x1, y1, x2, y2) {
@@ -5856,20 +6351,31 @@ class FlowchartConnector extends SceneObject {
             lineType: this.lineType,
             arrowStart: this.arrowStart,
             arrowEnd: this.arrowEnd,
-            waypoints: this.waypoints
+            waypoints: this.waypoints,
+            label: this.label
         };
     }
 }
 
 /**
  * Flowchart auto-layout engine
+ *
+ * Layered (Sugiyama) layout: cycles are broken by reversing back edges,
+ * shapes are assigned to ranks by longest path, edges spanning several
+ * ranks are split with dummy nodes, crossings are reduced with barycenter
+ * sweeps and coordinates are assigned in whole character cells. Connectors
+ * are then routed orthogonally through the gaps between ranks.
  */
 class FlowchartLayout {
     constructor() {
-        this.horizontalSpacing = 20;
-        this.verticalSpacing = 8;
+        // Gap between neighbouring shapes in a rank (columns / rows)
+        this.nodeSpacing = { x: 4, y: 2 };
+        // Minimum gap between ranks (columns / rows)
+        this.rankSpacing = { x: 8, y: 4 };
+        this.crossingIterations = 12;
+        this.coordinateIterations = 8;
     }
-    
+
     /**
      * Auto-layout flowchart shapes in a top-down hierarchy
      * @param {Array} shapes - Array of FlowchartShape objects
@@ -5878,148 +6384,490 @@ class FlowchartLayout {
      * @param {number} startY - Starting Y position
      */
     layoutTopDown(shapes, connectors, startX = 10, startY = 5) {
-        if (shapes.length === 0) return;
-        
-        // Build adjacency list from connectors
-        const graph = new Map();
-        const inDegree = new Map();
-        
-        for (const shape of shapes) {
-            graph.set(shape.id, []);
-            inDegree.set(shape.id, 0);
-        }
-        
+        this.layoutLayered(shapes, connectors, { direction: 'TB', startX, startY });
+    }
+
+    /**
+     * Auto-layout in left-to-right fashion
+     */
+    layoutLeftRight(shapes, connectors, startX = 10, startY = 5) {
+        this.layoutLayered(shapes, connectors, { direction: 'LR', startX, startY });
+    }
+
+    /**
+     * Layered layout of shapes and the connectors between them
+     * @param {Array} shapes - Array of FlowchartShape objects
+     * @param {Array} connectors - Array of FlowchartConnector objects
+     * @param {Object} [options]
+     * @param {string} [options.direction='TB'] - 'TB', 'BT', 'LR' or 'RL'
+     * @param {number} [options.startX=10] - Left edge of the layout
+     * @param {number} [options.startY=5] - Top edge of the layout
+     * @returns {{width: number, height: number, crossings: number}} Layout extent and remaining crossings
+     */
+    layoutLayered(shapes, connectors, options = {}) {
+        const { direction = 'TB', startX = 10, startY = 5 } = options;
+        if (shapes.length === 0) return { width: 0, height: 0, crossings: 0 };
+
+        const horizontal = direction === 'LR' || direction === 'RL';
+        const graph = this._buildGraph(shapes, connectors, horizontal);
+
+        this._breakCycles(graph);
+        this._assignRanks(graph);
+        const layers = this._insertDummies(graph);
+        const crossings = this._minimizeCrossings(layers);
+        const ranks = this._assignCoordinates(graph, layers, horizontal);
+
+        const frame = { direction, horizontal, startX, startY, ...ranks };
+        this._applyPositions(graph, frame);
+        this._routeConnectors(graph, shapes, connectors, frame);
+
+        return horizontal
+            ? { width: frame.depth, height: frame.breadth, crossings }
+            : { width: frame.breadth, height: frame.depth, crossings };
+    }
+
+    /**
+     * Build the layout graph. Breadth runs along a rank, depth across ranks.
+     */
+    _buildGraph(shapes, connectors, horizontal) {
+        const nodes = new Map();
+        shapes.forEach((shape, index) => {
+            nodes.set(shape.id, {
+                id: shape.id,
+                shape,
+                index,
+                dummy: false,
+                breadth: horizontal ? shape.height : shape.width,
+                depth: horizontal ? shape.width : shape.height,
+                rank: 0,
+                order: 0,
+                center: 0,
+                up: [],
+                down: []
+            });
+        });
+
+        const edges = [];
         for (const conn of connectors) {
-            if (conn.fromShapeId && conn.toShapeId) {
-                const edges = graph.get(conn.fromShapeId);
-                if (edges) edges.push(conn.toShapeId);
-                inDegree.set(conn.toShapeId, (inDegree.get(conn.toShapeId) || 0) + 1);
+            const from = nodes.get(conn.fromShapeId);
+            const to = nodes.get(conn.toShapeId);
+            // Self-loops do not take part in ranking
+            if (!from || !to || from === to) continue;
+            edges.push({ conn, from, to, reversed: false, chain: [] });
+        }
+
+        return { nodes, edges };
+    }
+
+    /**
+     * Reverse the back edges found by a depth-first search, starting from
+     * shapes without incoming edges, so the graph becomes acyclic.
+     */
+    _breakCycles(graph) {
+        const outgoing = new Map();
+        const hasIncoming = new Set();
+        for (const node of graph.nodes.values()) outgoing.set(node, []);
+        for (const edge of graph.edges) {
+            outgoing.get(edge.from).push(edge);
+            hasIncoming.add(edge.to);
+        }
+
+        const roots = [...graph.nodes.values()].sort((a, b) =>
+            (hasIncoming.has(a) - hasIncoming.has(b)) || a.index - b.index);
+        const state = new Map(); // 1 = on the DFS stack, 2 = finished
+
+        for (const root of roots) {
+            if (state.has(root)) continue;
+            state.set(root, 1);
+            const stack = [{ node: root, next: 0 }];
+
+            while (stack.length > 0) {
+                const frame = stack[stack.length - 1];
+                const edges = outgoing.get(frame.node);
+                if (frame.next >= edges.length) {
+                    state.set(frame.node, 2);
+                    stack.pop();
+                    continue;
+                }
+
+                const edge = edges[frame.next++];
+                const visited = state.get(edge.to);
+                if (visited === 1) {
+                    edge.reversed = true;
+                } else if (!visited) {
+                    state.set(edge.to, 1);
+                    stack.push({ node: edge.to, next: 0 });
+                }
             }
         }
-        
-        // Topological sort to determine levels
-        const levels = [];
-        const queue = [];
-        
-        for (const [id, degree] of inDegree.entries()) {
-            if (degree === 0) queue.push(id);
+
+        for (const edge of graph.edges) {
+            edge.tail = edge.reversed ? edge.to : edge.from;
+            edge.head = edge.reversed ? edge.from : edge.to;
         }
-        
+    }
+
+    /**
+     * Longest-path ranking, then sources are pulled down next to their
+     * successors so they do not stretch edges across the whole diagram.
+     */
+    _assignRanks(graph) {
+        const successors = new Map();
+        const inDegree = new Map();
+        for (const node of graph.nodes.values()) {
+            successors.set(node, []);
+            inDegree.set(node, 0);
+        }
+        for (const edge of graph.edges) {
+            successors.get(edge.tail).push(edge.head);
+            inDegree.set(edge.head, inDegree.get(edge.head) + 1);
+        }
+
+        const order = [];
+        const queue = [...graph.nodes.values()].filter(node => inDegree.get(node) === 0);
         while (queue.length > 0) {
-            const level = [];
-            const nextQueue = [];
-            
-            for (const id of queue) {
-                level.push(id);
-                const edges = graph.get(id) || [];
-                for (const toId of edges) {
-                    const newDegree = (inDegree.get(toId) || 0) - 1;
-                    inDegree.set(toId, newDegree);
-                    if (newDegree === 0) nextQueue.push(toId);
-                }
+            const node = queue.shift();
+            order.push(node);
+            for (const next of successors.get(node)) {
+                next.rank = Math.max(next.rank, node.rank + 1);
+                inDegree.set(next, inDegree.get(next) - 1);
+                if (inDegree.get(next) === 0) queue.push(next);
             }
-            
-            levels.push(level);
-            queue.length = 0;
-            queue.push(...nextQueue);
         }
-        
-        // Position shapes by level
-        let currentY = startY;
-        
-        for (const level of levels) {
-            const levelShapes = level.map(id => shapes.find(s => s.id === id)).filter(Boolean);
-            const totalWidth = levelShapes.reduce((sum, s) => sum + s.width + this.horizontalSpacing, -this.horizontalSpacing);
-            let currentX = startX + Math.max(0, (80 - totalWidth) / 2); // Center on assumed 80-char width
-            
-            let maxHeight = 0;
-            for (const shape of levelShapes) {
-                shape.x = currentX;
-                shape.y = currentY;
-                if (shape._updateSnapPoints) shape._updateSnapPoints();
-                currentX += shape.width + this.horizontalSpacing;
-                maxHeight = Math.max(maxHeight, shape.height);
+
+        const isTarget = new Set(graph.edges.map(edge => edge.head));
+        for (let i = order.length - 1; i >= 0; i--) {
+            const node = order[i];
+            const next = successors.get(node);
+            if (isTarget.has(node) || next.length === 0) continue;
+            node.rank = Math.min(...next.map(n => n.rank)) - 1;
+        }
+    }
+
+    /**
+     * Split edges spanning more than one rank into chains of dummy nodes
+     * and group all nodes into layers.
+     * @returns {Array<Array<Object>>} Nodes per rank
+     */
+    _insertDummies(graph) {
+        const layers = [];
+        const addToLayer = node => {
+            while (layers.length <= node.rank) layers.push([]);
+            layers[node.rank].push(node);
+        };
+
+        [...graph.nodes.values()]
+            .sort((a, b) => a.index - b.index)
+            .forEach(addToLayer);
+
+        graph.edges.forEach((edge, edgeIndex) => {
+            const chain = [edge.tail];
+            for (let rank = edge.tail.rank + 1; rank < edge.head.rank; rank++) {
+                const dummy = {
+                    id: `dummy-${edgeIndex}-${rank}`,
+                    dummy: true,
+                    breadth: 1,
+                    depth: 0,
+                    rank,
+                    order: 0,
+                    center: 0,
+                    up: [],
+                    down: []
+                };
+                chain.push(dummy);
+                addToLayer(dummy);
+            }
+            chain.push(edge.head);
+
+            for (let i = 0; i < chain.length - 1; i++) {
+                chain[i].down.push(chain[i + 1]);
+                chain[i + 1].up.push(chain[i]);
+            }
+            edge.chain = chain;
+        });
+
+        return layers;
+    }
+
+    /**
+     * Reorder nodes within layers using alternating barycenter sweeps
+     * followed by adjacent swaps, keeping the best ordering seen.
+     * @returns {number} Number of edge crossings left
+     */
+    _minimizeCrossings(layers) {
+        const setOrder = layer => layer.forEach((node, i) => { node.order = i; });
+        layers.forEach(setOrder);
+
+        let best = layers.map(layer => [...layer]);
+        let bestCrossings = this._countCrossings(layers);
+
+        for (let iter = 0; iter < this.crossingIterations && bestCrossings > 0; iter++) {
+            if (iter % 2 === 0) {
+                for (let r = 1; r < layers.length; r++) this._sortByBarycenter(layers[r], 'up');
+            } else {
+                for (let r = layers.length - 2; r >= 0; r--) this._sortByBarycenter(layers[r], 'down');
+            }
+            this._transpose(layers);
+
+            const crossings = this._countCrossings(layers);
+            if (crossings < bestCrossings) {
+                bestCrossings = crossings;
+                best = layers.map(layer => [...layer]);
             }
-            
-            currentY += maxHeight + this.verticalSpacing;
         }
-        
-        // Update connector waypoints
-        for (const conn of connectors) {
-            conn.updateFromShapes(shapes);
+
+        best.forEach((layer, r) => { layers[r] = layer; });
+        layers.forEach(setOrder);
+        return bestCrossings;
+    }
+
+    _sortByBarycenter(layer, side) {
+        const keys = new Map();
+        for (const node of layer) {
+            const neighbors = node[side];
+            keys.set(node, neighbors.length > 0
+                ? neighbors.reduce((sum, n) => sum + n.order, 0) / neighbors.length
+                : node.order);
         }
+        layer.sort((a, b) => (keys.get(a) - keys.get(b)) || a.order - b.order);
+        layer.forEach((node, i) => { node.order = i; });
     }
-    
+
     /**
-     * Auto-layout in left-to-right fashion
+     * Swap neighbouring nodes while that removes crossings
      */
-    layoutLeftRight(shapes, connectors, startX = 10, startY = 5) {
-        // Similar to topDown but swap X and Y logic
-        if (shapes.length === 0) return;
-        
-        const graph = new Map();
-        const inDegree = new Map();
-        
-        for (const shape of shapes) {
-            graph.set(shape.id, []);
-            inDegree.set(shape.id, 0);
+    _transpose(layers) {
+        const pairCrossings = (u, v, side) => {
+            let count = 0;
+            for (const a of u[side]) {
+                for (const b of v[side]) {
+                    if (a.order > b.order) count++;
+                }
+            }
+            return count;
+        };
+        const cost = (u, v) => pairCrossings(u, v, 'up') + pairCrossings(u, v, 'down');
+
+        let improved = true;
+        for (let pass = 0; improved && pass < 4; pass++) {
+            improved = false;
+            for (const layer of layers) {
+                for (let i = 0; i < layer.length - 1; i++) {
+                    const u = layer[i];
+                    const v = layer[i + 1];
+                    if (cost(v, u) < cost(u, v)) {
+                        layer[i] = v;
+                        layer[i + 1] = u;
+                        u.order = i + 1;
+                        v.order = i;
+                        improved = true;
+                    }
+                }
+            }
         }
-        
-        for (const conn of connectors) {
-            if (conn.fromShapeId && conn.toShapeId) {
-                const edges = graph.get(conn.fromShapeId);
-                if (edges) edges.push(conn.toShapeId);
-                inDegree.set(conn.toShapeId, (inDegree.get(conn.toShapeId) || 0) + 1);
+    }
+
+    _countCrossings(layers) {
+        let crossings = 0;
+        for (let r = 0; r < layers.length - 1; r++) {
+            const segments = [];
+            for (const node of layers[r]) {
+                for (const next of node.down) segments.push([node.order, next.order]);
+            }
+            for (let i = 0; i < segments.length; i++) {
+                for (let j = i + 1; j < segments.length; j++) {
+                    const [a1, b1] = segments[i];
+                    const [a2, b2] = segments[j];
+                    if ((a1 - a2) * (b1 - b2) < 0) crossings++;
+                }
             }
         }
-        
-        const levels = [];
-        const queue = [];
-        
-        for (const [id, degree] of inDegree.entries()) {
-            if (degree === 0) queue.push(id);
+        return crossings;
+    }
+
+    /**
+     * Minimum distance between the centers of two neighbours in a layer
+     */
+    _separation(a, b, horizontal) {
+        let gap = horizontal ? this.nodeSpacing.y : this.nodeSpacing.x;
+        if (a.dummy && b.dummy) gap = 1;
+        else if (a.dummy || b.dummy) gap = Math.min(gap, 2);
+        return Math.ceil(a.breadth / 2) + Math.floor(b.breadth / 2) + gap;
+    }
+
+    /**
+     * Assign integer centers along each layer, pulling nodes towards the
+     * mean of their neighbours, and position the ranks so connector labels
+     * fit into the gaps between them.
+     */
+    _assignCoordinates(graph, layers, horizontal) {
+        for (const layer of layers) {
+            layer.forEach((node, i) => {
+                node.center = i === 0
+                    ? Math.floor(node.breadth / 2)
+                    : layer[i - 1].center + this._separation(layer[i - 1], node, horizontal);
+            });
         }
-        
-        while (queue.length > 0) {
-            const level = [];
-            const nextQueue = [];
-            
-            for (const id of queue) {
-                level.push(id);
-                const edges = graph.get(id) || [];
-                for (const toId of edges) {
-                    const newDegree = (inDegree.get(toId) || 0) - 1;
-                    inDegree.set(toId, newDegree);
-                    if (newDegree === 0) nextQueue.push(toId);
-                }
+
+        const place = (layer, side) => {
+            const n = layer.length;
+            if (n === 0) return;
+            const desired = layer.map(node => {
+                const neighbors = node[side];
+                if (neighbors.length === 0) return node.center;
+                return neighbors.reduce((sum, m) => sum + m.center, 0) / neighbors.length;
+            });
+            const seps = layer.map((node, i) => i === 0 ? 0 : this._separation(layer[i - 1], node, horizontal));
+
+            const forward = desired.slice();
+            for (let i = 1; i < n; i++) forward[i] = Math.max(desired[i], forward[i - 1] + seps[i]);
+            const backward = desired.slice();
+            for (let i = n - 2; i >= 0; i--) backward[i] = Math.min(desired[i], backward[i + 1] - seps[i + 1]);
+
+            layer.forEach((node, i) => { node.center = Math.round((forward[i] + backward[i]) / 2); });
+            for (let i = 1; i < n; i++) {
+                layer[i].center = Math.max(layer[i].center, layer[i - 1].center + seps[i]);
+            }
+        };
+
+        for (let iter = 0; iter < this.coordinateIterations; iter++) {
+            if (iter % 2 === 0) {
+                for (let r = 1; r < layers.length; r++) place(layers[r], 'up');
+            } else {
+                for (let r = layers.length - 2; r >= 0; r--) place(layers[r], 'down');
             }
-            
-            levels.push(level);
-            queue.length = 0;
-            queue.push(...nextQueue);
         }
-        
-        let currentX = startX;
-        
-        for (const level of levels) {
-            const levelShapes = level.map(id => shapes.find(s => s.id === id)).filter(Boolean);
-            let currentY = startY;
-            let maxWidth = 0;
-            
-            for (const shape of levelShapes) {
-                shape.x = currentX;
-                shape.y = currentY;
-                if (shape._updateSnapPoints) shape._updateSnapPoints();
-                currentY += shape.height + this.verticalSpacing;
-                maxWidth = Math.max(maxWidth, shape.width);
+
+        // Shift everything so the layout starts at breadth 0
+        let minEdge = Infinity;
+        let maxEdge = -Infinity;
+        for (const layer of layers) {
+            for (const node of layer) {
+                minEdge = Math.min(minEdge, node.center - Math.floor(node.breadth / 2));
+                maxEdge = Math.max(maxEdge, node.center + Math.ceil(node.breadth / 2));
             }
-            
-            currentX += maxWidth + this.horizontalSpacing;
         }
-        
-        for (const conn of connectors) {
+        for (const layer of layers) {
+            for (const node of layer) node.center -= minEdge;
+        }
+
+        // Rank depths and the gaps after them, widened for connector labels
+        const rankDepth = layers.map(layer => Math.max(1, ...layer.map(node => node.depth)));
+        const gaps = layers.map(() => horizontal ? this.rankSpacing.x : this.rankSpacing.y);
+        for (const edge of graph.edges) {
+            const label = edge.conn.label;
+            if (!label) continue;
+            const lines = String(label).split('\n');
+            const rank = edge.tail.rank + Math.floor((edge.head.rank - edge.tail.rank - 1) / 2);
+            const needed = horizontal
+                ? Math.max(...lines.map(line => line.length)) + 4
+                : lines.length + 3;
+            gaps[rank] = Math.max(gaps[rank], needed);
+        }
+
+        const rankPos = [];
+        let pos = 0;
+        for (let r = 0; r < layers.length; r++) {
+            rankPos.push(pos);
+            pos += rankDepth[r] + (r < layers.length - 1 ? gaps[r] : 0);
+        }
+
+        return { rankPos, rankDepth, gaps, breadth: maxEdge - minEdge, depth: pos };
+    }
+
+    /**
+     * Convert layout coordinates (breadth, depth) to canvas coordinates
+     */
+    _toCanvas(frame, breadth, depth) {
+        const reversed = frame.direction === 'BT' || frame.direction === 'RL';
+        const d = reversed ? frame.depth - 1 - depth : depth;
+        return frame.horizontal
+            ? { x: frame.startX + d, y: frame.startY + breadth }
+            : { x: frame.startX + breadth, y: frame.startY + d };
+    }
+
+    _applyPositions(graph, frame) {
+        for (const node of graph.nodes.values()) {
+            const near = frame.rankPos[node.rank] + Math.floor((frame.rankDepth[node.rank] - node.depth) / 2);
+            const far = near + node.depth - 1;
+            const low = node.center - Math.floor(node.breadth / 2);
+            const a = this._toCanvas(frame, low, near);
+            const b = this._toCanvas(frame, low, far);
+            node.shape.x = Math.min(a.x, b.x);
+            node.shape.y = Math.min(a.y, b.y);
+            if (node.shape._updateSnapPoints) node.shape._updateSnapPoints();
+        }
+    }
+
+    /**
+     * Attach connectors to the snap points facing along the flow and route
+     * them through the middle of the gaps between ranks, following the
+     * dummy nodes of long edges.
+     */
+    _routeConnectors(graph, shapes, connectors, frame) {
+        const sides = {
+            TB: ['bottom', 'top'],
+            BT: ['top', 'bottom'],
+            LR: ['right', 'left'],
+            RL: ['left', 'right']
+        }[frame.direction] || ['bottom', 'top'];
+        const routed = new Set();
+
+        for (const edge of graph.edges) {
+            const conn = edge.conn;
+            routed.add(conn);
+            conn.connectorStyle = 'orthogonal';
+            if (edge.reversed) {
+                conn.fromSnapPoint = sides[1];
+                conn.toSnapPoint = sides[0];
+            } else {
+                conn.fromSnapPoint = sides[0];
+                conn.toSnapPoint = sides[1];
+            }
             conn.updateFromShapes(shapes);
+
+            const points = [];
+            const chain = edge.chain;
+            for (let i = 0; i < chain.length - 1; i++) {
+                const rank = chain[i].rank;
+                const middle = frame.rankPos[rank] + frame.rankDepth[rank] + Math.floor(frame.gaps[rank] / 2);
+                points.push(this._toCanvas(frame, chain[i].center, middle));
+                points.push(this._toCanvas(frame, chain[i + 1].center, middle));
+            }
+
+            const start = edge.reversed
+                ? { x: conn.endX, y: conn.endY }
+                : { x: conn.startX, y: conn.startY };
+            const end = edge.reversed
+                ? { x: conn.startX, y: conn.startY }
+                : { x: conn.endX, y: conn.endY };
+            const path = this._simplifyPath([start, ...points, end]);
+            if (edge.reversed) path.reverse();
+            conn.waypoints = path.slice(1, -1);
+        }
+
+        for (const conn of connectors) {
+            if (!routed.has(conn)) conn.updateFromShapes(shapes);
+        }
+    }
+
+    /**
+     * Drop repeated and collinear points from an orthogonal path
+     */
+    _simplifyPath(points) {
+        const path = [];
+        for (const p of points) {
+            const last = path[path.length - 1];
+            if (last && last.x === p.x && last.y === p.y) continue;
+            if (path.length >= 2) {
+                const prev = path[path.length - 2];
+                if ((prev.x === last.x && last.x === p.x) || (prev.y === last.y && last.y === p.y)) {
+                    path.pop();
+                }
+            }
+            path.push({ x: p.x, y: p.y });
         }
+        return path;
     }
 }
 
@@ -6277,6 +7125,7 @@ const AppState = {
     strokeColor: null,
     fillColor: null,
     lineStyle: 'single',
+    asciiTextFont: 'block',
     
     // Grid
     showGrid: true,
@@ -6303,10 +7152,8 @@ const AppState = {
     layers: [],
     activeLayerId: null,
     
-    // History
-    undoStack: [],
-    redoStack: [],
-    maxHistorySize: 50,
+    // History (see Asciistrator.history)
+    maxHistorySize: 100,
     
     // Clipboard
     clipboard: [],
@@ -6350,7 +7197,7 @@ class RenderMode {
      */
     renderObject(obj, buffer, options = {}) {
         // Default: call object's native render method
-        obj.render(buffer);
+        obj.renderStyled(buffer);
     }
     
     /**
@@ -6388,7 +7235,7 @@ class AsciiRenderMode extends RenderMode {
     }
     
     renderObject(obj, buffer, options = {}) {
-        obj.render(buffer);
+        obj.renderStyled(buffer);
     }
 }
 
@@ -6570,16 +7417,19 @@ class OutlineRenderMode extends RenderMode {
     _renderPathOutline(obj, buffer) {
         // Get path points and draw them
         if (obj.points && obj.points.length > 1) {
-            for (let i = 0; i < obj.points.length - 1; i++) {
-                const p1 = obj.points[i];
-                const p2 = obj.points[i + 1];
-                this._drawLineSegment(buffer, p1.x, p1.y, p2.x, p2.y);
-            }
-            // Close path if needed
-            if (obj.closed && obj.points.length > 2) {
-                const first = obj.points[0];
-                const last = obj.points[obj.points.length - 1];
-                this._drawLineSegment(buffer, last.x, last.y, first.x, first.y);
+            const subpaths = obj.getSubpaths ? obj.getSubpaths() : [obj.points];
+            for (const points of subpaths) {
+                for (let i = 0; i < points.length - 1; i++) {
+                    const p1 = points[i];
+                    const p2 = points[i + 1];
+                    this._drawLineSegment(buffer, p1.x, p1.y, p2.x, p2.y);
+                }
+                // Close path if needed
+                if (obj.closed && points.length > 2) {
+                    const first = points[0];
+                    const last = points[points.length - 1];
+                    this._drawLineSegment(buffer, last.x, last.y, first.x, first.y);
+                }
             }
         } else {
             // Fallback to bounding box
@@ -7407,19 +8257,41 @@ class ShapeRenderMode extends RenderMode {
         this.ctx.lineCap = 'round';
         this.ctx.lineJoin = 'round';
         
-        this.ctx.beginPath();
-        const first = this._charToPixel(obj.points[0].x, obj.points[0].y);
-        this.ctx.moveTo(first.x + this.charWidth / 2, first.y + this.charHeight / 2);
+        // Cell centre of a point, optionally offset by a handle
+        const toPixel = (point, handle = null) => {
+            const pt = this._charToPixel(point.x + (handle?.x ?? 0), point.y + (handle?.y ?? 0));
+            return { x: pt.x + this.charWidth / 2, y: pt.y + this.charHeight / 2 };
+        };
+        const segmentTo = (from, to) => {
+            const end = toPixel(to);
+            if (from.handleOut || to.handleIn) {
+                const cp1 = toPixel(from, from.handleOut);
+                const cp2 = toPixel(to, to.handleIn);
+                this.ctx.bezierCurveTo(cp1.x, cp1.y, cp2.x, cp2.y, end.x, end.y);
+            } else {
+                this.ctx.lineTo(end.x, end.y);
+            }
+        };
         
-        for (let i = 1; i < obj.points.length; i++) {
-            const pt = this._charToPixel(obj.points[i].x, obj.points[i].y);
-            this.ctx.lineTo(pt.x + this.charWidth / 2, pt.y + this.charHeight / 2);
+        this.ctx.beginPath();
+        for (const points of splitSubpaths(obj.points)) {
+            const first = toPixel(points[0]);
+            this.ctx.moveTo(first.x, first.y);
+            
+            for (let i = 1; i < points.length; i++) {
+                segmentTo(points[i - 1], points[i]);
+            }
+            
+            if (obj.closed) {
+                segmentTo(points[points.length - 1], points[0]);
+                this.ctx.closePath();
+            }
         }
         
         if (obj.closed) {
-            this.ctx.closePath();
+            // Inner subpaths of compound paths are holes
             this.ctx.fillStyle = fillColor;
-            this.ctx.fill();
+            this.ctx.fill('evenodd');
         }
         
         this.ctx.stroke();
@@ -8253,29 +9125,32 @@ class RoughRenderMode extends ShapeRenderMode {
     _renderRoughPath(obj, fillColor, strokeColor) {
         if (!obj.points || obj.points.length < 2) return;
         
-        // Convert points to pixel coordinates
-        const pixelPoints = obj.points.map(p => {
-            const pos = this._charToPixel(p.x, p.y);
-            return { x: pos.x + this.charWidth / 2, y: pos.y + this.charHeight / 2 };
-        });
-        
-        // Draw each segment with wobble
-        for (let i = 0; i < pixelPoints.length - 1; i++) {
-            for (let iter = 0; iter < this.strokeIterations; iter++) {
-                this._drawWobblyLine(
-                    pixelPoints[i].x, pixelPoints[i].y,
-                    pixelPoints[i + 1].x, pixelPoints[i + 1].y,
-                    strokeColor, iter
-                );
+        const subpaths = obj.getSubpaths ? obj.getSubpaths() : [obj.points];
+        for (const points of subpaths) {
+            // Convert points to pixel coordinates
+            const pixelPoints = points.map(p => {
+                const pos = this._charToPixel(p.x, p.y);
+                return { x: pos.x + this.charWidth / 2, y: pos.y + this.charHeight / 2 };
+            });
+            
+            // Draw each segment with wobble
+            for (let i = 0; i < pixelPoints.length - 1; i++) {
+                for (let iter = 0; iter < this.strokeIterations; iter++) {
+                    this._drawWobblyLine(
+                        pixelPoints[i].x, pixelPoints[i].y,
+                        pixelPoints[i + 1].x, pixelPoints[i + 1].y,
+                        strokeColor, iter
+                    );
+                }
             }
-        }
-        
-        // Close path if needed
-        if (obj.closed && pixelPoints.length > 2) {
-            const first = pixelPoints[0];
-            const last = pixelPoints[pixelPoints.length - 1];
-            for (let iter = 0; iter < this.strokeIterations; iter++) {
-                this._drawWobblyLine(last.x, last.y, first.x, first.y, strokeColor, iter);
+            
+            // Close path if needed
+            if (obj.closed && pixelPoints.length > 2) {
+                const first = pixelPoints[0];
+                const last = pixelPoints[pixelPoints.length - 1];
+                for (let iter = 0; iter < this.strokeIterations; iter++) {
+                    this._drawWobblyLine(last.x, last.y, first.x, first.y, strokeColor, iter);
+                }
             }
         }
     }
@@ -8637,7 +9512,7 @@ class RenderModeManager {
             this.activeMode.renderObject(obj, buffer, options);
         } else {
             // Fallback to native render
-            obj.render(buffer);
+            obj.renderStyled(buffer);
         }
     }
     
@@ -9558,7 +10433,7 @@ class AsciiCanvasRenderer extends EventEmitter {
         } else {
             // For ASCII modes, render to preview buffer using object's render method
             if (obj.render) {
-                obj.render(this.previewBuffer);
+                obj.renderStyled(this.previewBuffer);
             }
         }
     }
@@ -9660,8 +10535,12 @@ class AsciiCanvasRenderer extends EventEmitter {
         // Cache buffer arrays
         const mainChars = this.buffer.chars;
         const mainColors = this.buffer.colors;
+        const mainBackgrounds = this.buffer.backgrounds;
+        const mainAttributes = this.buffer.attributes;
         const previewChars = this.previewBuffer.chars;
         const previewColors = this.previewBuffer.colors;
+        const previewBackgrounds = this.previewBuffer.backgrounds;
+        const previewAttributes = this.previewBuffer.attributes;
         
         // Build rows
         const rows = [];
@@ -9669,11 +10548,15 @@ class AsciiCanvasRenderer extends EventEmitter {
         for (let y = 0; y < height; y++) {
             const mainRow = mainChars[y];
             const mainColorRow = mainColors[y];
+            const mainBackgroundRow = mainBackgrounds[y];
+            const mainAttributeRow = mainAttributes[y];
             const previewRow = previewChars[y];
             const previewColorRow = previewColors[y];
+            const previewBackgroundRow = previewBackgrounds[y];
+            const previewAttributeRow = previewAttributes[y];
             
             const parts = [];
-            let color = null;
+            let style = '';
             let batch = '';
             
             for (let x = 0; x < width; x++) {
@@ -9681,14 +10564,21 @@ class AsciiCanvasRenderer extends EventEmitter {
                 const hasP = pc !== ' ';
                 const ch = hasP ? pc : mainRow[x];
                 const col = hasP ? previewColorRow[x] : mainColorRow[x];
+                const bg = previewBackgroundRow[x] || mainBackgroundRow[x];
+                const attrs = hasP ? previewAttributeRow[x] : mainAttributeRow[x];
+                
+                // Plain colored cells skip building the full cell style
+                const cellStyle = bg || attrs
+                    ? cellStyleToCSS(col, bg, attrs)
+                    : col ? `color:${col}` : '';
                 
-                // Color change - flush batch
-                if (col !== color) {
+                // Style change - flush batch
+                if (cellStyle !== style) {
                     if (batch) {
-                        parts.push(color ? `<span style="color:${color}">${batch}</span>` : batch);
+                        parts.push(style ? `<span style="${style}">${batch}</span>` : batch);
                         batch = '';
                     }
-                    color = col;
+                    style = cellStyle;
                 }
                 
                 // Escape and append
@@ -9697,7 +10587,7 @@ class AsciiCanvasRenderer extends EventEmitter {
             
             // Flush remaining
             if (batch) {
-                parts.push(color ? `<span style="color:${color}">${batch}</span>` : batch);
+                parts.push(style ? `<span style="${style}">${batch}</span>` : batch);
             }
             
             rows.push(parts.join(''));
@@ -9835,6 +10725,7 @@ class SelectTool extends Tool {
         this.isResizing = false;
         this.resizeHandle = null;
         this.resizeStartBounds = null;
+        this.paintHandle = null; // Gradient handle or stop being dragged
         this.moveOffsetX = 0;
         this.moveOffsetY = 0;
         this.selectionRect = null; // For marquee selection
@@ -10232,10 +11123,20 @@ class SelectTool extends Tool {
                 }
             }
             
-            // First check for resize handles (only when no multi-select modifier)
-            if (!isMultiSelectModifier && app && AppState.selectedObjects.length === 1) {
-                const handleInfo = app._getResizeHandleAt(x, y);
-                if (handleInfo) {
+            // Gradient handles sit on the shape, so they win over the resize handles around it
+            if (!isMultiSelectModifier && app?._getPaintHandleAt) {
+                const paintHandle = app._getPaintHandleAt(x, y);
+                if (paintHandle) {
+                    this.paintHandle = paintHandle;
+                    if (app.saveStateForUndo) app.saveStateForUndo();
+                    return;
+                }
+            }
+            
+            // First check for resize handles (only when no multi-select modifier)
+            if (!isMultiSelectModifier && app && AppState.selectedObjects.length === 1) {
+                const handleInfo = app._getResizeHandleAt(x, y);
+                if (handleInfo) {
                     this.isResizing = true;
                     this.resizeHandle = handleInfo.handle;
                     this.resizeStartX = x;
@@ -10386,7 +11287,7 @@ class SelectTool extends Tool {
                 obj.width = newText.length || 1;
             } else if (obj.type === 'ascii-text') {
                 obj.text = newText;
-                // ASCII text width is 6 chars per letter
+                // Bounds are recomputed from the FIGlet glyph metrics below
             } else {
                 // Flowchart shapes use label
                 obj.label = newText;
@@ -10517,7 +11418,9 @@ class SelectTool extends Tool {
     }
     
     onMouseMove(x, y, renderer, app) {
-        if (this.isDragging) {
+        if (this.paintHandle) {
+            app._dragPaintHandle(this.paintHandle, x, y);
+        } else if (this.isDragging) {
             // Drawing selection rectangle
             renderer.clearPreview();
             const minX = Math.min(this.startX, x);
@@ -10674,6 +11577,10 @@ class SelectTool extends Tool {
                     ConstraintEngine.applyConstraints(obj, oldBounds, newBounds);
                 }
                 
+                if (app?._rerouteAttachedConnectors) {
+                    app._rerouteAttachedConnectors([obj]);
+                }
+                
                 if (app && app.renderAllObjects) {
                     app.renderAllObjects();
                     
@@ -10749,6 +11656,11 @@ class SelectTool extends Tool {
                 this._applyMoveDelta(pos, dx, dy);
             }
             
+            // Keep attached connectors following the shapes
+            if (app?._rerouteAttachedConnectors) {
+                app._rerouteAttachedConnectors(AppState.selectedObjects);
+            }
+            
             // Find potential drop target for nesting (if drag distance is significant)
             const dragDistance = Math.sqrt(dx * dx + dy * dy);
             if (this.isDraggingToNest && dragDistance > 3) {
@@ -10899,6 +11811,13 @@ class SelectTool extends Tool {
     }
     
     onMouseUp(x, y, button, renderer, app) {
+        if (this.paintHandle) {
+            this.paintHandle = null;
+            this._updatePropertiesPanel(AppState.selectedObjects[0]);
+            this._updateStatus('Moved gradient handle');
+            return;
+        }
+        
         if (this.isResizing) {
             this.isResizing = false;
             this.resizeHandle = null;
@@ -11313,6 +12232,19 @@ class SelectTool extends Tool {
             }
         }
         
+        // Update FIGlet font controls (ASCII banner text only)
+        const figletGroup = $('#prop-figlet-group');
+        if (figletGroup) {
+            const isAsciiText = obj.type === 'ascii-text';
+            figletGroup.style.display = isAsciiText ? 'block' : 'none';
+            if (isAsciiText) {
+                const fontSelect = $('#prop-figlet-font');
+                const layoutSelect = $('#prop-figlet-layout');
+                if (fontSelect) fontSelect.value = figletFonts.has(obj.fontName) ? obj.fontName : figletFonts.defaultFont;
+                if (layoutSelect) layoutSelect.value = obj.fontLayout || FigletLayout.DEFAULT;
+            }
+        }
+        
         // Update color inputs
         const strokeColorInput = $('#prop-stroke-color');
         const fillColorInput = $('#prop-fill-color');
@@ -11324,6 +12256,9 @@ class SelectTool extends Tool {
         const fillCharInput = $('#prop-fill-char');
         if (fillCharInput) fillCharInput.value = obj.fillChar || '';
         
+        // Update gradient and pattern fill controls
+        this._updatePaintFill(obj);
+        
         // Update border style
         const borderStyle = $('#prop-border-style');
         if (borderStyle) borderStyle.value = obj.lineStyle || 'single';
@@ -11400,6 +12335,23 @@ class SelectTool extends Tool {
             blendModeInput.value = obj.blendMode || 'normal';
         }
         
+        // Update terminal cell style; backgrounds may carry alpha (#rrggbbaa)
+        const cellBackgroundEnabled = $('#prop-cell-background-enabled');
+        const cellBackgroundInput = $('#prop-cell-background');
+        const cellBackgroundAlpha = $('#prop-cell-background-alpha');
+        
+        if (cellBackgroundEnabled) cellBackgroundEnabled.checked = !!obj.cellBackground;
+        if (cellBackgroundInput) cellBackgroundInput.value = (obj.cellBackground || '#000000').slice(0, 7);
+        if (cellBackgroundAlpha) {
+            cellBackgroundAlpha.value = obj.cellBackground?.length === 9
+                ? Math.round(parseInt(obj.cellBackground.slice(7), 16) / 2.55)
+                : 100;
+        }
+        for (const [id, flag] of CELL_ATTRIBUTE_INPUTS) {
+            const input = $(id);
+            if (input) input.checked = !!(obj.cellAttributes & flag);
+        }
+        
         // Update Stroke properties (Figma-style)
         const strokeWeightInput = $('#prop-stroke-weight');
         const strokeAlignInput = $('#prop-stroke-align');
@@ -11526,6 +12478,89 @@ class SelectTool extends Tool {
         });
     }
     
+    /**
+     * Update the fill paint controls in properties panel
+     */
+    _updatePaintFill(obj) {
+        const paintGroup = $('#prop-paint-group');
+        if (!paintGroup) return;
+        
+        const canPaint = PAINTABLE_TYPES.has(obj.type) && typeof obj.getPaintFill === 'function';
+        paintGroup.style.display = canPaint ? 'block' : 'none';
+        if (!canPaint) return;
+        
+        const fill = obj.getPaintFill();
+        const isGradient = !!fill && isGradientFill(fill.type);
+        const isPattern = fill?.type === FillType.PATTERN;
+        
+        const typeSelect = $('#prop-paint-type');
+        const patternRow = $('#prop-paint-pattern-row');
+        const patternSelect = $('#prop-paint-pattern');
+        const addStopBtn = $('#btn-add-paint-stop');
+        const saveStyleBtn = $('#btn-save-paint-style');
+        
+        if (typeSelect) typeSelect.value = fill ? fill.type : '';
+        if (patternRow) patternRow.style.display = isPattern ? '' : 'none';
+        if (patternSelect && isPattern) {
+            patternSelect.value = Array.isArray(fill.pattern) ? '' : fill.pattern;
+        }
+        if (addStopBtn) addStopBtn.style.display = isGradient ? '' : 'none';
+        if (saveStyleBtn) saveStyleBtn.style.display = fill ? '' : 'none';
+        
+        const stopsList = $('#prop-paint-stops');
+        if (!stopsList) return;
+        stopsList.innerHTML = '';
+        if (!isGradient) return;
+        
+        const appRef = this.appRef || window.Asciistrator?.app;
+        const editStop = (index, change) => appRef?._editPaintFill(obj, f => change(f.gradientStops[index]));
+        
+        fill.gradientStops.forEach((stop, index) => {
+            const stopRow = document.createElement('div');
+            stopRow.className = 'property-row';
+            
+            // Position in percent along the gradient line
+            const positionInput = document.createElement('input');
+            positionInput.type = 'number';
+            positionInput.min = 0;
+            positionInput.max = 100;
+            positionInput.value = Math.round(stop.position * 100);
+            positionInput.title = 'Position (%)';
+            positionInput.style.width = '50px';
+            positionInput.onchange = () => {
+                const position = Math.max(0, Math.min(100, parseInt(positionInput.value) || 0)) / 100;
+                editStop(index, s => { s.position = position; });
+            };
+            
+            // Character drawn at this stop (empty = shape fill character)
+            const charInput = document.createElement('input');
+            charInput.type = 'text';
+            charInput.maxLength = 1;
+            charInput.value = stop.char || '';
+            charInput.title = 'Character (empty = fill character)';
+            charInput.style.cssText = 'width: 28px; text-align: center; font-family: monospace;';
+            charInput.onchange = () => editStop(index, s => { s.char = charInput.value || null; });
+            
+            const colorInput = document.createElement('input');
+            colorInput.type = 'color';
+            colorInput.value = paintColorToHex(stop.color) || '#ffffff';
+            colorInput.onchange = () => editStop(index, s => { s.color = hexToPaintColor(colorInput.value); });
+            
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'icon-btn small';
+            removeBtn.textContent = '×';
+            removeBtn.title = 'Remove stop';
+            removeBtn.disabled = fill.gradientStops.length <= 2;
+            removeBtn.onclick = () => appRef?._editPaintFill(obj, f => f.gradientStops.splice(index, 1));
+            
+            stopRow.appendChild(positionInput);
+            stopRow.appendChild(charInput);
+            stopRow.appendChild(colorInput);
+            stopRow.appendChild(removeBtn);
+            stopsList.appendChild(stopRow);
+        });
+    }
+    
     _updateUIComponentProperties(obj) {
         const uiGroup = $('#prop-ui-component-group');
         const uiType = $('#prop-ui-type');
@@ -12335,7 +13370,7 @@ class FillTool extends Tool {
                 const obj = app.findObjectAt(x, y);
                 if (obj && (obj.type === 'rectangle' || obj.type === 'ellipse' || 
                     obj.type === 'polygon' || obj.type === 'star')) {
-                    app.saveStateForUndo();
+                    app.saveStateForUndo(null, [obj]);
                     obj.filled = true;
                     obj.fillChar = AppState.fillChar;
                     obj.fillColor = AppState.fillColor;
@@ -12951,6 +13986,7 @@ class AsciiTextTool extends Tool {
                 textObj.x = this.textX;
                 textObj.y = this.textY;
                 textObj.text = this.text;
+                textObj.fontName = AppState.asciiTextFont;
                 textObj.strokeColor = AppState.strokeColor;
                 textObj.name = `ASCII Text ${Date.now() % 10000}`;
                 textObj._updateBounds();
@@ -12975,61 +14011,30 @@ class AsciiTextTool extends Tool {
         
         // Update preview
         renderer.clearPreview();
-        this._drawAsciiText(renderer.previewBuffer, this.textX, this.textY, this.text + '│');
+        this._drawAsciiText(renderer.previewBuffer, this.textX, this.textY, this.text, true);
         renderer.render();
     }
     
-    _drawAsciiText(buffer, x, y, text) {
-        // Simple banner-style ASCII text
-        const chars = text.toUpperCase().split('');
-        let offsetX = 0;
+    _drawAsciiText(buffer, x, y, text, showCursor = false) {
+        // Banner-style text using the current FIGlet font
+        const lines = renderFigletText(text, AppState.asciiTextFont);
+        let width = 0;
         
-        chars.forEach(char => {
-            const art = this._getCharArt(char);
-            art.forEach((line, row) => {
-                for (let col = 0; col < line.length; col++) {
-                    if (line[col] !== ' ') {
-                        buffer.setChar(x + offsetX + col, y + row, line[col], AppState.strokeColor);
-                    }
+        lines.forEach((line, row) => {
+            for (let col = 0; col < line.length; col++) {
+                if (line[col] !== ' ') {
+                    buffer.setChar(x + col, y + row, line[col], AppState.strokeColor);
                 }
-            });
-            offsetX += 6; // Character width + spacing
+            }
+            width = Math.max(width, line.replace(/\s+$/, '').length);
         });
-    }
-    
-    _getCharArt(char) {
-        // Simple 5x5 ASCII art for letters
-        const arts = {
-            'A': ['  █  ', ' █ █ ', '█████', '█   █', '█   █'],
-            'B': ['████ ', '█   █', '████ ', '█   █', '████ '],
-            'C': [' ████', '█    ', '█    ', '█    ', ' ████'],
-            'D': ['████ ', '█   █', '█   █', '█   █', '████ '],
-            'E': ['█████', '█    ', '████ ', '█    ', '█████'],
-            'F': ['█████', '█    ', '████ ', '█    ', '█    '],
-            'G': [' ████', '█    ', '█  ██', '█   █', ' ████'],
-            'H': ['█   █', '█   █', '█████', '█   █', '█   █'],
-            'I': ['█████', '  █  ', '  █  ', '  █  ', '█████'],
-            'J': ['█████', '   █ ', '   █ ', '█  █ ', ' ██  '],
-            'K': ['█   █', '█  █ ', '███  ', '█  █ ', '█   █'],
-            'L': ['█    ', '█    ', '█    ', '█    ', '█████'],
-            'M': ['█   █', '██ ██', '█ █ █', '█   █', '█   █'],
-            'N': ['█   █', '██  █', '█ █ █', '█  ██', '█   █'],
-            'O': [' ███ ', '█   █', '█   █', '█   █', ' ███ '],
-            'P': ['████ ', '█   █', '████ ', '█    ', '█    '],
-            'Q': [' ███ ', '█   █', '█   █', '█  █ ', ' ██ █'],
-            'R': ['████ ', '█   █', '████ ', '█  █ ', '█   █'],
-            'S': [' ████', '█    ', ' ███ ', '    █', '████ '],
-            'T': ['█████', '  █  ', '  █  ', '  █  ', '  █  '],
-            'U': ['█   █', '█   █', '█   █', '█   █', ' ███ '],
-            'V': ['█   █', '█   █', '█   █', ' █ █ ', '  █  '],
-            'W': ['█   █', '█   █', '█ █ █', '██ ██', '█   █'],
-            'X': ['█   █', ' █ █ ', '  █  ', ' █ █ ', '█   █'],
-            'Y': ['█   █', ' █ █ ', '  █  ', '  █  ', '  █  '],
-            'Z': ['█████', '   █ ', '  █  ', ' █   ', '█████'],
-            ' ': ['     ', '     ', '     ', '     ', '     '],
-            '│': ['  │  ', '  │  ', '  │  ', '  │  ', '  │  ']
-        };
-        return arts[char] || ['     ', '     ', '     ', '     ', '     '];
+        
+        if (showCursor) {
+            const cursorX = x + width + (width > 0 ? 1 : 0);
+            for (let row = 0; row < Math.max(1, lines.length); row++) {
+                buffer.setChar(cursorX, y + row, '│', AppState.strokeColor);
+            }
+        }
     }
 }
 
@@ -13503,6 +14508,8 @@ class ConnectorTool extends Tool {
             
             // Check if ending on a shape
             let endX = x, endY = y;
+            let toShape = null;
+            let toSnapPoint = null;
             
             // Show snap point highlights for nearby shapes
             if (app) {
@@ -13514,6 +14521,8 @@ class ConnectorTool extends Tool {
                         renderer.previewBuffer.setChar(snapPoint.x, snapPoint.y, '◉', '#00ff00');
                         endX = snapPoint.x;
                         endY = snapPoint.y;
+                        toShape = obj;
+                        toSnapPoint = snapPoint.id;
                     }
                 }
             }
@@ -13530,9 +14539,15 @@ class ConnectorTool extends Tool {
             connector.startY = this.startY;
             connector.endX = endX;
             connector.endY = endY;
+            if (this.fromShape) connector.setFromShape(this.fromShape, this.fromSnapPoint);
+            if (toShape) connector.setToShape(toShape, toSnapPoint);
             
             if (this.connectorStyle === 'orthogonal') {
-                connector._calculateOrthogonalRoute();
+                if (app?.rerouteConnectors) {
+                    app.rerouteConnectors([connector]);
+                } else {
+                    connector._calculateOrthogonalRoute();
+                }
             }
             
             renderer.renderPreviewObject(connector);
@@ -13591,7 +14606,11 @@ class ConnectorTool extends Tool {
             
             // Calculate waypoints for orthogonal routing
             if (this.connectorStyle === 'orthogonal') {
-                connector._calculateOrthogonalRoute();
+                if (app?.rerouteConnectors) {
+                    app.rerouteConnectors([connector]);
+                } else {
+                    connector._calculateOrthogonalRoute();
+                }
             }
             
             if (app && app.addObject) {
@@ -13743,6 +14762,25 @@ class ChartTool extends Tool {
     }
 }
 
+/**
+ * Sequence Diagram Tool - click to place a diagram and edit its source
+ */
+class SequenceTool extends Tool {
+    constructor() {
+        super('sequence', '⇄', null);
+    }
+    
+    onMouseDown(x, y, button, renderer, app) {
+        if (button !== 0 || !app) return;
+        
+        const diagram = new SequenceDiagramObject(x, y);
+        diagram.strokeColor = AppState.strokeColor;
+        diagram.name = `Sequence ${Date.now() % 10000}`;
+        app.addObject(diagram, true);
+        app.editSequenceDiagram(diagram);
+    }
+}
+
 // ==========================================
 // TOOL MANAGER
 // ==========================================
@@ -13779,6 +14817,7 @@ class ToolManager extends EventEmitter {
         this.register(new FlowchartTool());
         this.register(new ConnectorTool());
         this.register(new ChartTool());
+        this.register(new SequenceTool());
         this.register(new FillTool());
         this.register(new EraserTool());
         
@@ -13872,6 +14911,24 @@ class Asciistrator extends EventEmitter {
         
         // Canvas resize handler for Figma-like canvas border handles
         this.canvasResizeHandler = new CanvasResizeHandler();
+        
+        // Undo/redo history of document patches
+        this.history = new CommandHistory({
+            maxEntries: AppState.maxHistorySize,
+            capture: (include) => this._captureState(include),
+            apply: (patch) => this._applyHistoryPatch(patch),
+            scope: () => this._historyScope(AppState.selectedObjects)
+        });
+        
+        // Collaborative editing session (see collaborate())
+        this.collab = null;
+        this._collabCursor = null;
+        this._collabDirty = false;
+        this._collabSyncTimer = null;
+        
+        // Chart data files watched for changes (see refreshChartData())
+        this._chartDataFiles = new Map();
+        this._chartDataTimer = null;
     }
     
     /**
@@ -13899,19 +14956,32 @@ class Asciistrator extends EventEmitter {
         this.renderer.setSyncCallback(() => this.syncToActiveLayer());
         
         // Set up pre-render callback to always show guides on top
-        this.renderer.setPreRenderCallback(() => this._renderGuidesOverlay());
+        this.renderer.setPreRenderCallback(() => {
+            this._renderGuidesOverlay();
+            this._renderCollaboratorsOverlay();
+        });
         
         // Connect renderer events to tool manager
+        let pointerDown = false;
         this.renderer.on('mousedown', ({ x, y, button, event }) => {
+            pointerDown = true;
             this.toolManager.handleMouseDown(x, y, button, this.renderer, this, event);
         });
         
         this.renderer.on('mousemove', ({ x, y }) => {
             this.toolManager.handleMouseMove(x, y, this.renderer, this);
+            if (this.collab) {
+                this._collabCursor = { x, y };
+                // Drags edit objects after their undo checkpoint
+                if (pointerDown) this._markCollabDirty();
+                this._scheduleCollabSync();
+            }
         });
         
         this.renderer.on('mouseup', ({ x, y, button }) => {
+            pointerDown = false;
             this.toolManager.handleMouseUp(x, y, button, this.renderer, this);
+            this._markCollabDirty();
         });
         
         // Listen for transform changes to update rulers and re-render for canvas modes
@@ -14144,11 +15214,17 @@ class Asciistrator extends EventEmitter {
             if (isGroup || isFrame) {
                 items.push({ label: 'Ungroup', action: () => this.ungroupSelected(), shortcut: 'Ctrl+Shift+G' });
             }
+            if (isGroup) {
+                items.push({ label: selectedObj.useMask ? 'Release Mask' : 'Use as Mask', action: () => this.toggleGroupMask() });
+                if (selectedObj.useMask) {
+                    items.push({ label: selectedObj.invertMask ? 'Uninvert Mask' : 'Invert Mask', action: () => this.invertGroupMask() });
+                }
+            }
             
             // Boolean operations (need 2+ shapes)
             if (hasMultiSelection) {
-                const hasShapes = AppState.selectedObjects.some(o => o.type === 'rectangle' || o.type === 'ellipse');
-                if (hasShapes) {
+                const shapeCount = AppState.selectedObjects.filter(o => typeof o.toPolygons === 'function').length;
+                if (shapeCount >= 2) {
                     items.push(
                         { type: 'separator' },
                         { label: 'Union', action: () => this.booleanOperation('union') },
@@ -15208,8 +16284,9 @@ class Asciistrator extends EventEmitter {
                 }
             }
             
-            // Pass key to active tool
+            // Pass key to active tool (the text tool edits as you type)
             this.toolManager.handleKeyDown(e.key, this.renderer, this);
+            this._markCollabDirty();
             
             // Global shortcuts
             if (e.ctrlKey || e.metaKey) {
@@ -15675,6 +16752,12 @@ class Asciistrator extends EventEmitter {
                 { label: 'Open...', action: 'open', shortcut: 'Ctrl+O' },
                 { label: 'Save', action: 'save', shortcut: 'Ctrl+S' },
                 { type: 'separator' },
+                { label: 'Import ANSI Art...', action: 'import-ansi' },
+                { label: 'Import XAML...', action: 'import-xaml' },
+                { label: 'Import HTML...', action: 'import-html' },
+                { type: 'separator' },
+                { label: 'Collaborate...', action: 'collaborate' },
+                { type: 'separator' },
                 { label: 'Page Size...', action: 'page-size' },
                 { type: 'separator' },
                 { label: 'Export...', action: 'export-dialog', shortcut: 'Ctrl+E' },
@@ -15704,6 +16787,29 @@ class Asciistrator extends EventEmitter {
                         { label: 'Web Component...', action: 'export-webcomponent' }
                     ]
                 },
+                { 
+                    label: 'Export to Mobile', 
+                    submenu: [
+                        { label: 'Flutter Widget...', action: 'export-flutter' },
+                        { label: 'SwiftUI View...', action: 'export-swiftui' }
+                    ]
+                },
+                { 
+                    label: 'Export to Desktop', 
+                    submenu: [
+                        { label: 'Qt Quick QML...', action: 'export-qml' },
+                        { label: 'GTK 4 Builder UI...', action: 'export-gtk' },
+                        { label: 'GTK 4 Blueprint...', action: 'export-gtk-blueprint' }
+                    ]
+                },
+                { 
+                    label: 'Export to Terminal UI', 
+                    submenu: [
+                        { label: 'Textual (Python)...', action: 'export-textual' },
+                        { label: 'Bubble Tea (Go)...', action: 'export-bubbletea' },
+                        { label: 'Ratatui (Rust)...', action: 'export-ratatui' }
+                    ]
+                },
             ],
             edit: [
                 { label: 'Undo', action: 'undo', shortcut: 'Ctrl+Z' },
@@ -15788,6 +16894,8 @@ class Asciistrator extends EventEmitter {
                 { label: 'Group Selection', action: 'group', shortcut: 'Ctrl+G' },
                 { label: 'Frame Selection', action: 'frame-selection', shortcut: 'Ctrl+Alt+G' },
                 { label: 'Ungroup', action: 'ungroup', shortcut: 'Ctrl+Shift+G' },
+                { label: 'Use as Mask', action: 'mask-toggle', checked: () => AppState.selectedObjects[0]?.useMask === true },
+                { label: 'Invert Mask', action: 'mask-invert', checked: () => AppState.selectedObjects[0]?.invertMask === true },
                 { type: 'separator' },
                 { label: 'Rename...', action: 'rename', shortcut: 'Ctrl+R' },
                 { label: 'Duplicate', action: 'duplicate', shortcut: 'Ctrl+D' },
@@ -15892,6 +17000,23 @@ class Asciistrator extends EventEmitter {
                 { label: 'Insert Line Chart', action: 'chart-line' },
                 { label: 'Insert Pie Chart', action: 'chart-pie' },
                 { label: 'Insert Scatter Plot', action: 'chart-scatter' },
+                { label: 'Insert Stacked Area Chart', action: 'chart-stacked-area' },
+                { label: 'Insert Histogram', action: 'chart-histogram' },
+                { label: 'Insert Box Plot', action: 'chart-box-plot' },
+                { label: 'Insert Heatmap', action: 'chart-heatmap' },
+                { label: 'Insert Candlestick Chart', action: 'chart-candlestick' },
+                { type: 'separator' },
+                {
+                    label: 'Plot Resolution',
+                    submenu: [
+                        { label: 'Character Cells', action: 'chart-resolution-cell' },
+                        { label: 'Braille (2×4)', action: 'chart-resolution-braille' },
+                        { label: 'Quadrants (2×2)', action: 'chart-resolution-quadrant' },
+                        { label: 'Sextants (2×3)', action: 'chart-resolution-sextant' }
+                    ]
+                },
+                { label: 'Chart Data Source...', action: 'chart-data-source' },
+                { label: 'Refresh Chart Data', action: 'chart-refresh-data' },
             ],
             flow: [
                 { label: 'Insert Process', action: 'flow-process' },
@@ -15899,6 +17024,13 @@ class Asciistrator extends EventEmitter {
                 { label: 'Insert Terminator', action: 'flow-terminator' },
                 { type: 'separator' },
                 { label: 'Auto-layout', action: 'flow-autolayout' },
+                { label: 'Auto-layout Left to Right', action: 'flow-autolayout-lr' },
+                { label: 'Re-route Connectors', action: 'flow-reroute' },
+                { type: 'separator' },
+                { label: 'Import Mermaid / DOT...', action: 'flow-import' },
+                { type: 'separator' },
+                { label: 'Insert Sequence Diagram', action: 'flow-sequence' },
+                { label: 'Edit Sequence Diagram...', action: 'flow-sequence-edit' },
             ],
             window: [
                 { label: 'Layers Panel', action: 'panel-layers' },
@@ -16040,6 +17172,18 @@ class Asciistrator extends EventEmitter {
             case 'open':
                 this.open();
                 break;
+            case 'import-ansi':
+                this.importAnsi();
+                break;
+            case 'import-xaml':
+                this.importXaml();
+                break;
+            case 'import-html':
+                this.importHtml();
+                break;
+            case 'collaborate':
+                this.collaborate();
+                break;
             case 'save':
                 this.save();
                 break;
@@ -16092,6 +17236,33 @@ class Asciistrator extends EventEmitter {
             case 'export-webcomponent':
                 this.exportToWebFramework('webcomponent');
                 break;
+            // Mobile framework exports
+            case 'export-flutter':
+                this.exportToMobileFramework('flutter');
+                break;
+            case 'export-swiftui':
+                this.exportToMobileFramework('swiftui');
+                break;
+            // Desktop framework exports
+            case 'export-qml':
+                this.exportToDesktopFramework('qml');
+                break;
+            case 'export-gtk':
+                this.exportToDesktopFramework('gtk');
+                break;
+            case 'export-gtk-blueprint':
+                this.exportToDesktopFramework('gtk-blueprint');
+                break;
+            // Terminal UI exports
+            case 'export-textual':
+                this.exportToTerminalFramework('textual');
+                break;
+            case 'export-bubbletea':
+                this.exportToTerminalFramework('bubbletea');
+                break;
+            case 'export-ratatui':
+                this.exportToTerminalFramework('ratatui');
+                break;
             case 'undo':
                 this.undo();
                 break;
@@ -16226,6 +17397,12 @@ class Asciistrator extends EventEmitter {
             case 'ungroup':
                 this.ungroupSelected();
                 break;
+            case 'mask-toggle':
+                this.toggleGroupMask();
+                break;
+            case 'mask-invert':
+                this.invertGroupMask();
+                break;
             case 'duplicate':
                 this.duplicate();
                 break;
@@ -16424,6 +17601,33 @@ class Asciistrator extends EventEmitter {
             case 'chart-scatter':
                 this.insertChart('scatter');
                 break;
+            case 'chart-stacked-area':
+                this.insertChart('stacked-area');
+                break;
+            case 'chart-histogram':
+                this.insertChart('histogram');
+                break;
+            case 'chart-box-plot':
+                this.insertChart('box-plot');
+                break;
+            case 'chart-heatmap':
+                this.insertChart('heatmap');
+                break;
+            case 'chart-candlestick':
+                this.insertChart('candlestick');
+                break;
+            case 'chart-resolution-cell':
+            case 'chart-resolution-braille':
+            case 'chart-resolution-quadrant':
+            case 'chart-resolution-sextant':
+                this.setChartResolution(action.slice('chart-resolution-'.length));
+                break;
+            case 'chart-data-source':
+                this.showChartDataSourceDialog();
+                break;
+            case 'chart-refresh-data':
+                this.refreshChartData();
+                break;
             // Flowchart
             case 'flow-process':
                 this.insertFlowchartShape('process');
@@ -16437,6 +17641,21 @@ class Asciistrator extends EventEmitter {
             case 'flow-autolayout':
                 this.autoLayoutFlowchart();
                 break;
+            case 'flow-autolayout-lr':
+                this.autoLayoutFlowchart('LR');
+                break;
+            case 'flow-reroute':
+                this.rerouteAllConnectors();
+                break;
+            case 'flow-import':
+                this.importFlowchartText();
+                break;
+            case 'flow-sequence':
+                this.insertSequenceDiagram();
+                break;
+            case 'flow-sequence-edit':
+                this.editSequenceDiagram();
+                break;
             // Window - Panels
             case 'panel-layers':
                 this.togglePanel('layers');
@@ -16645,6 +17864,45 @@ class Asciistrator extends EventEmitter {
             });
         }
         
+        // FIGlet font controls for ASCII banner text
+        const propFigletFont = $('#prop-figlet-font');
+        const propFigletLayout = $('#prop-figlet-layout');
+        const btnLoadFigletFont = $('#btn-load-figlet-font');
+        
+        try {
+            figletFonts.restoreFrom(localStorage);
+        } catch (e) {
+            console.warn('Failed to restore FIGlet fonts:', e);
+        }
+        this._refreshFigletFontOptions();
+        
+        if (propFigletFont) {
+            propFigletFont.addEventListener('change', (e) => {
+                AppState.asciiTextFont = e.target.value;
+                const obj = AppState.selectedObjects[0];
+                if (obj?.type === 'ascii-text') {
+                    this.saveStateForUndo();
+                    updateSelectedObject('fontName', e.target.value);
+                    this._updatePropertiesPanel();
+                }
+            });
+        }
+        
+        if (propFigletLayout) {
+            propFigletLayout.addEventListener('change', (e) => {
+                const obj = AppState.selectedObjects[0];
+                if (obj?.type === 'ascii-text') {
+                    this.saveStateForUndo();
+                    updateSelectedObject('fontLayout', e.target.value);
+                    this._updatePropertiesPanel();
+                }
+            });
+        }
+        
+        if (btnLoadFigletFont) {
+            btnLoadFigletFont.addEventListener('click', () => this.loadFigletFont());
+        }
+        
         // Position inputs
         const propX = $('#prop-x');
         const propY = $('#prop-y');
@@ -16715,6 +17973,57 @@ class Asciistrator extends EventEmitter {
             });
         }
         
+        // Gradient and pattern fill controls
+        const paintType = $('#prop-paint-type');
+        const paintPattern = $('#prop-paint-pattern');
+        const addPaintStopBtn = $('#btn-add-paint-stop');
+        const savePaintStyleBtn = $('#btn-save-paint-style');
+        
+        if (paintType) {
+            paintType.addEventListener('change', (e) => {
+                const obj = AppState.selectedObjects[0];
+                if (obj) self._setPaintFillType(obj, e.target.value);
+            });
+        }
+        
+        if (paintPattern) {
+            for (const name of Object.keys(Patterns)) {
+                paintPattern.appendChild(createElement('option', { value: name }, name));
+            }
+            paintPattern.addEventListener('change', (e) => {
+                const obj = AppState.selectedObjects[0];
+                if (obj) self._editPaintFill(obj, fill => { fill.pattern = e.target.value; });
+            });
+        }
+        
+        if (addPaintStopBtn) {
+            addPaintStopBtn.addEventListener('click', () => {
+                const obj = AppState.selectedObjects[0];
+                if (!obj) return;
+                self._editPaintFill(obj, fill => {
+                    // Split the widest gap between neighbouring stops
+                    const stops = [...fill.gradientStops].sort((a, b) => a.position - b.position);
+                    let index = 0;
+                    for (let i = 1; i < stops.length - 1; i++) {
+                        const gap = stops[i + 1].position - stops[i].position;
+                        if (gap > stops[index + 1].position - stops[index].position) index = i;
+                    }
+                    const [before, after] = [stops[index], stops[index + 1] || stops[index]];
+                    fill.gradientStops.push({
+                        position: (before.position + after.position) / 2,
+                        color: { ...(before.color || after.color) },
+                        char: before.char
+                    });
+                });
+            });
+        }
+        
+        if (savePaintStyleBtn) {
+            savePaintStyleBtn.addEventListener('click', () => {
+                self._createStyleFromSelectionByType(StyleType.FILL);
+            });
+        }
+        
         // Border style selector
         const borderStyle = $('#prop-border-style');
         if (borderStyle) {
@@ -16901,6 +18210,43 @@ class Asciistrator extends EventEmitter {
             });
         }
         
+        // Terminal cell style inputs
+        const cellBackgroundEnabled = $('#prop-cell-background-enabled');
+        const cellBackgroundInput = $('#prop-cell-background');
+        const cellBackgroundAlpha = $('#prop-cell-background-alpha');
+        
+        const updateCellBackground = (e) => {
+            if (AppState.selectedObjects.length === 0 || !cellBackgroundEnabled || !cellBackgroundInput) return;
+            
+            // Picking a color or alpha turns the background on
+            if (e.target !== cellBackgroundEnabled) cellBackgroundEnabled.checked = true;
+            
+            const alpha = Math.round((parseInt(cellBackgroundAlpha?.value ?? 100) / 100) * 255);
+            const color = alpha < 255
+                ? cellBackgroundInput.value + alpha.toString(16).padStart(2, '0')
+                : cellBackgroundInput.value;
+            
+            self.saveStateForUndo('Change Cell Background');
+            AppState.selectedObjects[0].cellBackground = cellBackgroundEnabled.checked ? color : null;
+            self.renderAllObjects();
+        };
+        
+        for (const input of [cellBackgroundEnabled, cellBackgroundInput, cellBackgroundAlpha]) {
+            if (input) input.addEventListener('change', updateCellBackground);
+        }
+        
+        for (const [id, flag] of CELL_ATTRIBUTE_INPUTS) {
+            const input = $(id);
+            if (!input) continue;
+            input.addEventListener('change', (e) => {
+                if (AppState.selectedObjects.length === 0) return;
+                const obj = AppState.selectedObjects[0];
+                self.saveStateForUndo('Change Text Attributes');
+                obj.cellAttributes = e.target.checked ? (obj.cellAttributes | flag) : (obj.cellAttributes & ~flag);
+                self.renderAllObjects();
+            });
+        }
+        
         // Stroke inputs (Figma-style)
         const strokeWeightInput = $('#prop-stroke-weight');
         const strokeAlignInput = $('#prop-stroke-align');
@@ -17082,6 +18428,8 @@ class Asciistrator extends EventEmitter {
                 name: 'Layer 1',
                 visible: true,
                 locked: false,
+                blendMode: BlendModes.NORMAL,
+                opacity: 1,
                 buffer: null, // Will be initialized when first used
                 objects: []   // Array of SceneObjects
             }];
@@ -17101,6 +18449,8 @@ class Asciistrator extends EventEmitter {
                     name: `Layer ${newId + 1}`,
                     visible: true,
                     locked: false,
+                    blendMode: BlendModes.NORMAL,
+                    opacity: 1,
                     buffer: new AsciiBuffer(AppState.canvasWidth, AppState.canvasHeight),
                     objects: []
                 };
@@ -17131,6 +18481,44 @@ class Asciistrator extends EventEmitter {
             });
         }
         
+        // Blend mode of the active layer
+        const blendSelect = $('#layer-blend');
+        if (blendSelect) {
+            blendSelect.innerHTML = Object.entries(BlendModeLabels)
+                .map(([mode, label]) => `<option value="${mode}">${label}</option>`)
+                .join('');
+            blendSelect.addEventListener('change', () => {
+                const layer = this._getActiveLayer();
+                if (!layer) return;
+                this.saveStateForUndo();
+                layer.blendMode = blendSelect.value;
+                this.renderAllObjects();
+                this._updateLayerList();
+                this._updateStatus(`${layer.name}: ${BlendModeLabels[layer.blendMode]} blending`);
+            });
+        }
+        
+        // Opacity of the active layer; one undo step per drag
+        const opacityInput = $('#layer-opacity');
+        if (opacityInput) {
+            let dragging = false;
+            opacityInput.addEventListener('input', () => {
+                const layer = this._getActiveLayer();
+                if (!layer) return;
+                if (!dragging) {
+                    this.saveStateForUndo();
+                    dragging = true;
+                }
+                layer.opacity = parseInt(opacityInput.value, 10) / 100;
+                $('#layer-opacity-value').textContent = `${opacityInput.value}%`;
+                this.renderAllObjects();
+            });
+            opacityInput.addEventListener('change', () => {
+                dragging = false;
+                this._updateLayerList();
+            });
+        }
+        
         // Setup initial layer list
         this._updateLayerList();
     }
@@ -17169,8 +18557,6 @@ class Asciistrator extends EventEmitter {
         }
         
         const mainBuffer = this.renderer.buffer;
-        const width = mainBuffer.width;
-        const height = mainBuffer.height;
         
         // Clear main buffer
         mainBuffer.clear();
@@ -17178,26 +18564,7 @@ class Asciistrator extends EventEmitter {
         // Composite all visible layers (bottom to top) using direct array access
         for (const layer of AppState.layers) {
             if (!layer.visible || !layer.buffer) continue;
-            
-            const srcChars = layer.buffer.chars;
-            const srcColors = layer.buffer.colors;
-            const dstChars = mainBuffer.chars;
-            const dstColors = mainBuffer.colors;
-            
-            for (let y = 0; y < height; y++) {
-                const srcRow = srcChars[y];
-                const srcColorRow = srcColors[y];
-                const dstRow = dstChars[y];
-                const dstColorRow = dstColors[y];
-                
-                for (let x = 0; x < width; x++) {
-                    const char = srcRow[x];
-                    if (char !== ' ') {
-                        dstRow[x] = char;
-                        dstColorRow[x] = srcColorRow[x];
-                    }
-                }
-            }
+            mainBuffer.overlay(layer.buffer);
         }
         
         this.renderer.markFullDirty();
@@ -17220,6 +18587,8 @@ class Asciistrator extends EventEmitter {
         for (let y = 0; y < srcBuffer.height; y++) {
             dstBuffer.chars[y] = [...srcBuffer.chars[y]];
             dstBuffer.colors[y] = [...srcBuffer.colors[y]];
+            dstBuffer.backgrounds[y] = [...srcBuffer.backgrounds[y]];
+            dstBuffer.attributes[y] = [...srcBuffer.attributes[y]];
         }
     }
     
@@ -17235,6 +18604,8 @@ class Asciistrator extends EventEmitter {
         for (let y = 0; y < srcBuffer.height; y++) {
             dstBuffer.chars[y] = [...srcBuffer.chars[y]];
             dstBuffer.colors[y] = [...srcBuffer.colors[y]];
+            dstBuffer.backgrounds[y] = [...srcBuffer.backgrounds[y]];
+            dstBuffer.attributes[y] = [...srcBuffer.attributes[y]];
         }
     }
     
@@ -17503,8 +18874,6 @@ class Asciistrator extends EventEmitter {
     // Render all objects from all visible layers to buffer
     renderAllObjects() {
         const mainBuffer = this.renderer.buffer;
-        const width = mainBuffer.width;
-        const height = mainBuffer.height;
         
         // Clear main buffer once
         mainBuffer.clear();
@@ -17512,6 +18881,42 @@ class Asciistrator extends EventEmitter {
         // Pre-render hook for render mode
         renderModeManager.preRender(mainBuffer);
         
+        this.renderLayersToBuffer(AppState.layers, mainBuffer);
+        
+        // Post-render hook for render mode
+        renderModeManager.postRender(mainBuffer);
+        
+        // Render current editing container highlight
+        this._renderContainerEditingIndicator();
+        
+        // Render selection indicators for selected objects
+        this._renderSelectionIndicators();
+        
+        // Update ruler selection indicators
+        this._updateRulerSelectionIndicators();
+        
+        // Render guides on canvas
+        this._renderGuides();
+        
+        // Update guide markers on rulers
+        this._renderGuideMarkersOnRulers();
+        
+        // Mark full redraw needed and render
+        this.renderer.markFullDirty();
+        this.renderer.render();
+    }
+    
+    /**
+     * Render layers and their object hierarchies into a buffer.
+     * Does not touch the DOM, so it is shared by the live canvas and headless rendering.
+     * @param {Array} layers - Layers to render, bottom to top
+     * @param {AsciiBuffer} mainBuffer - Target buffer (not cleared)
+     * @param {string} [backdrop] - Background translucent layers are blended onto
+     */
+    renderLayersToBuffer(layers, mainBuffer, backdrop = AppState.backgroundColor || '#1a1a2e') {
+        const width = mainBuffer.width;
+        const height = mainBuffer.height;
+        
         // Helper function to recursively render an object and its children
         const renderObjectHierarchy = (obj, buffer, clipBounds = null) => {
             if (!obj.visible) return;
@@ -17543,32 +18948,63 @@ class Asciistrator extends EventEmitter {
                     }
                 }
                 
-                // Render each child
-                for (const child of obj.children) {
-                    if (child.visible) {
-                        // Apply clipping during render if needed
-                        if (childClipBounds) {
-                            this._renderWithClipping(child, buffer, childClipBounds);
-                        } else {
-                            renderObjectHierarchy(child, buffer, clipBounds);
+                // Render each child (through the mask of a masked group)
+                const renderChildren = (target) => {
+                    const children = obj.getMaskedChildren ? obj.getMaskedChildren() : obj.children;
+                    for (const child of children) {
+                        if (child.visible) {
+                            // Apply clipping during render if needed
+                            if (childClipBounds) {
+                                this._renderWithClipping(child, target, childClipBounds);
+                            } else {
+                                renderObjectHierarchy(child, target, clipBounds);
+                            }
                         }
                     }
+                };
+                
+                const maskRegion = obj.getClipRegion ? obj.getClipRegion() : null;
+                if (maskRegion) {
+                    this._renderMasked(maskRegion, buffer, renderChildren);
+                } else {
+                    renderChildren(buffer);
                 }
             }
         };
         
         // Track which layers need buffer clear
-        const layersToRender = AppState.layers.filter(l => l.visible && l.objects && l.objects.length > 0);
+        const layersToRender = layers.filter(l => l.visible && l.objects && l.objects.length > 0);
+        
+        // Blend modes and opacity go through the compositor; plain layers
+        // are drawn over each other directly
+        const isBlended = layer => (layer.blendMode || BlendModes.NORMAL) !== BlendModes.NORMAL || (layer.opacity ?? 1) < 1;
         
-        // If single layer or no intermediate buffers needed, render directly to main
-        if (layersToRender.length === 1) {
+        if (layersToRender.some(isBlended)) {
+            const compositor = new LayerCompositor();
+            compositor.addLayer(CompositingLayer.fromBuffer(mainBuffer));
+            
+            for (const layer of layersToRender) {
+                const layerBuffer = layer.buffer || new AsciiBuffer(width, height);
+                layerBuffer.clear();
+                for (const obj of layer.objects) {
+                    renderObjectHierarchy(obj, layerBuffer);
+                }
+                compositor.addLayer(CompositingLayer.fromBuffer(layerBuffer, {
+                    blendMode: layer.blendMode,
+                    opacity: layer.opacity
+                }));
+            }
+            
+            compositor.compositeInto(mainBuffer, backdrop);
+        } else if (layersToRender.length === 1) {
+            // Single layer: render directly to main
             const layer = layersToRender[0];
             for (const obj of layer.objects) {
                 renderObjectHierarchy(obj, mainBuffer);
             }
         } else {
             // Multi-layer: composite from bottom to top
-            for (const layer of AppState.layers) {
+            for (const layer of layers) {
                 if (!layer.visible || !layer.objects || layer.objects.length === 0) continue;
                 
                 // Clear layer buffer
@@ -17584,50 +19020,10 @@ class Asciistrator extends EventEmitter {
                 
                 // Composite layer buffer to main buffer using direct array access
                 if (layer.buffer && layer.buffer !== mainBuffer) {
-                    const srcChars = layer.buffer.chars;
-                    const srcColors = layer.buffer.colors;
-                    const dstChars = mainBuffer.chars;
-                    const dstColors = mainBuffer.colors;
-                    
-                    for (let y = 0; y < height; y++) {
-                        const srcRow = srcChars[y];
-                        const srcColorRow = srcColors[y];
-                        const dstRow = dstChars[y];
-                        const dstColorRow = dstColors[y];
-                        
-                        for (let x = 0; x < width; x++) {
-                            const char = srcRow[x];
-                            if (char !== ' ') {
-                                dstRow[x] = char;
-                                dstColorRow[x] = srcColorRow[x];
-                            }
-                        }
-                    }
+                    mainBuffer.overlay(layer.buffer);
                 }
             }
         }
-        
-        // Post-render hook for render mode
-        renderModeManager.postRender(mainBuffer);
-        
-        // Render current editing container highlight
-        this._renderContainerEditingIndicator();
-        
-        // Render selection indicators for selected objects
-        this._renderSelectionIndicators();
-        
-        // Update ruler selection indicators
-        this._updateRulerSelectionIndicators();
-        
-        // Render guides on canvas
-        this._renderGuides();
-        
-        // Update guide markers on rulers
-        this._renderGuideMarkersOnRulers();
-        
-        // Mark full redraw needed and render
-        this.renderer.markFullDirty();
-        this.renderer.render();
     }
     
     /**
@@ -17658,14 +19054,24 @@ class Asciistrator extends EventEmitter {
             
             // Render children recursively with same clipping
             if (obj.children && obj.children.length > 0) {
-                for (const child of obj.children) {
-                    if (child.visible) {
-                        // Recursively render with clipping (clipping is already set)
-                        renderModeManager.renderObject(child, buffer);
-                        if (child.children && child.children.length > 0) {
-                            this._renderWithClipping(child, buffer, clipBounds);
+                const renderChildren = (target) => {
+                    const children = obj.getMaskedChildren ? obj.getMaskedChildren() : obj.children;
+                    for (const child of children) {
+                        if (child.visible) {
+                            // Recursively render with clipping (clipping is already set)
+                            renderModeManager.renderObject(child, target);
+                            if (child.children && child.children.length > 0) {
+                                this._renderWithClipping(child, target, clipBounds);
+                            }
                         }
                     }
+                };
+                
+                const maskRegion = obj.getClipRegion ? obj.getClipRegion() : null;
+                if (maskRegion) {
+                    this._renderMasked(maskRegion, buffer, renderChildren);
+                } else {
+                    renderChildren(buffer);
                 }
             }
             
@@ -17707,10 +19113,10 @@ class Asciistrator extends EventEmitter {
             colors: buffer.colors
         };
         
-        obj.render(tempBuffer);
+        obj.renderStyled(tempBuffer);
         
-        // Also render children with clipping
-        if (obj.children && obj.children.length > 0) {
+        // Also render children with clipping (groups draw their own, through their mask)
+        if (obj.children && obj.children.length > 0 && !obj.getClipRegion) {
             for (const child of obj.children) {
                 if (child.visible) {
                     this._renderWithClipping(child, buffer, clipBounds);
@@ -17719,6 +19125,52 @@ class Asciistrator extends EventEmitter {
         }
     }
     
+    /**
+     * Render through the clip region of a group mask. Buffer-based modes
+     * draw into a clipped buffer; canvas modes also clip the context to
+     * the cells the region covers.
+     * @param {ClipRegion} region - Mask region in cell coordinates
+     * @param {AsciiBuffer} buffer - Target buffer
+     * @param {Function} draw - Called with the buffer to draw into
+     */
+    _renderMasked(region, buffer, draw) {
+        const clipped = new ClippedBuffer(buffer, new ClippingMask(region));
+        const activeMode = renderModeManager.activeMode;
+        const isCanvasMode = activeMode && ['shape', 'rough'].includes(activeMode.name);
+        
+        if (!isCanvasMode || !activeMode.ctx) {
+            draw(clipped);
+            return;
+        }
+        
+        const ctx = activeMode.ctx;
+        ctx.save();
+        ctx.beginPath();
+        
+        // One rectangle per run of covered cells in each row
+        for (let y = 0; y < buffer.height; y++) {
+            let start = -1;
+            for (let x = 0; x <= buffer.width; x++) {
+                const inside = x < buffer.width && region.containsPoint(x, y);
+                if (inside && start < 0) {
+                    start = x;
+                } else if (!inside && start >= 0) {
+                    ctx.rect(
+                        activeMode.paddingLeft + start * activeMode.charWidth,
+                        activeMode.paddingTop + y * activeMode.charHeight,
+                        (x - start) * activeMode.charWidth,
+                        activeMode.charHeight
+                    );
+                    start = -1;
+                }
+            }
+        }
+        
+        ctx.clip();
+        draw(clipped);
+        ctx.restore();
+    }
+    
     /**
      * Render indicator for current editing container
      */
@@ -18232,6 +19684,119 @@ class Asciistrator extends EventEmitter {
                 }
             }
         }
+        
+        if (AppState.selectedObjects.length === 1) {
+            this._renderPaintHandles(buffer, AppState.selectedObjects[0]);
+        }
+    }
+    
+    /**
+     * Draw the gradient line, stops and handles of an object's gradient fill
+     */
+    _renderPaintHandles(buffer, obj) {
+        const fill = obj.getPaintFill?.();
+        if (!fill || !isGradientFill(fill.type)) return;
+        
+        const { handles, stops } = getGradientHandles(fill, obj.getBounds());
+        const [origin, end] = handles;
+        drawLine(buffer, Math.round(origin.x), Math.round(origin.y), Math.round(end.x), Math.round(end.y), {
+            char: '·',
+            color: '#888888'
+        });
+        
+        stops.forEach((stop, i) => {
+            buffer.setChar(stop.x, stop.y, '●', paintColorToHex(fill.gradientStops[i].color));
+        });
+        handles.forEach((handle, i) => {
+            buffer.setChar(handle.x, handle.y, i === 0 ? '◆' : '◇', '#ffaa00');
+        });
+    }
+    
+    /**
+     * Change the gradient or pattern fill of an object and refresh
+     * @param {SceneObject} obj - Object to edit
+     * @param {Function} change - Receives the fill to modify
+     */
+    _editPaintFill(obj, change) {
+        this.saveStateForUndo('Edit Fill', [obj]);
+        
+        // Editing a linked style's fill detaches it; the object keeps a copy
+        if (obj.fillStyleId) obj.detachFillStyle();
+        const fill = obj.getPaintFill();
+        if (fill) change(fill);
+        
+        AppState.modified = true;
+        this.renderAllObjects();
+        this._updatePropertiesPanel();
+    }
+    
+    /**
+     * Replace an object's gradient or pattern fill with a new one of another type.
+     * Gradient stops carry over between gradient types; an empty type goes back
+     * to the plain fill color and character.
+     * @param {SceneObject} obj - Object to edit
+     * @param {string} type - FillType, or '' for none
+     */
+    _setPaintFillType(obj, type) {
+        this.saveStateForUndo('Change Fill', [obj]);
+        if (obj.fillStyleId) obj.detachFillStyle();
+        
+        const current = obj.getPaintFill();
+        const fills = (obj.fills || []).filter(fill => fill !== current);
+        if (type) {
+            const keepStops = current && isGradientFill(current.type) && isGradientFill(type);
+            fills.push(createFill(type, keepStops ? { gradientStops: current.gradientStops } : {}));
+            obj.filled = true;
+        }
+        obj.fills = fills;
+        
+        AppState.modified = true;
+        this.renderAllObjects();
+        this._updatePropertiesPanel();
+        this._updateStatus(type ? `Fill: ${type.replace('_', ' ').toLowerCase()}` : 'Fill: solid');
+    }
+    
+    /**
+     * Get gradient handle or stop at position for the selected object
+     * Returns: { obj, kind: 'handle'|'stop', index } or null
+     */
+    _getPaintHandleAt(x, y) {
+        if (AppState.selectedObjects.length !== 1) return null;
+        
+        const obj = AppState.selectedObjects[0];
+        const fill = obj?.getPaintFill?.();
+        if (!fill || !isGradientFill(fill.type)) return null;
+        
+        const { handles, stops } = getGradientHandles(fill, obj.getBounds());
+        const isAt = (point) => Math.round(point.x) === x && Math.round(point.y) === y;
+        
+        // Handles win over the end stops drawn beneath them
+        const handle = handles.findIndex(isAt);
+        if (handle >= 0) return { obj, kind: 'handle', index: handle };
+        const stop = stops.findIndex(isAt);
+        if (stop >= 0) return { obj, kind: 'stop', index: stop };
+        return null;
+    }
+    
+    /**
+     * Drag a gradient handle or stop found by _getPaintHandleAt
+     */
+    _dragPaintHandle(handleInfo, x, y) {
+        const { obj, kind, index } = handleInfo;
+        
+        // Editing a linked style's fill detaches it; the object keeps a copy
+        if (obj.fillStyleId) obj.detachFillStyle();
+        const fill = obj.getPaintFill();
+        if (!fill) return;
+        
+        if (kind === 'handle') {
+            moveGradientHandle(fill, obj.getBounds(), index, { x, y });
+        } else {
+            moveGradientStop(fill, obj.getBounds(), index, { x, y });
+        }
+        
+        AppState.modified = true;
+        this.renderAllObjects();
     }
     
     /**
@@ -18291,6 +19856,17 @@ class Asciistrator extends EventEmitter {
         
         layerList.innerHTML = '';
         
+        // Show the active layer's blend mode and opacity
+        const activeLayer = this._getActiveLayer();
+        const blendSelect = $('#layer-blend');
+        const opacityInput = $('#layer-opacity');
+        if (activeLayer && blendSelect && opacityInput) {
+            const opacity = Math.round((activeLayer.opacity ?? 1) * 100);
+            blendSelect.value = activeLayer.blendMode || BlendModes.NORMAL;
+            opacityInput.value = opacity;
+            $('#layer-opacity-value').textContent = `${opacity}%`;
+        }
+        
         // Render layers in reverse order (top layer first)
         [...AppState.layers].reverse().forEach(layer => {
             const layerContainer = document.createElement('div');
@@ -18307,11 +19883,22 @@ class Asciistrator extends EventEmitter {
             const lockIcon = layer.locked ? '🔒' : '🔓';
             const objectCount = layer.objects ? layer.objects.length : 0;
             
+            // Show blend mode and opacity when they are not the defaults
+            const blendMode = layer.blendMode || BlendModes.NORMAL;
+            const opacity = layer.opacity ?? 1;
+            const blendParts = [];
+            if (blendMode !== BlendModes.NORMAL) blendParts.push(BlendModeLabels[blendMode] || blendMode);
+            if (opacity < 1) blendParts.push(`${Math.round(opacity * 100)}%`);
+            const blendBadge = blendParts.length > 0
+                ? `<span class="layer-blend-badge" title="Blend mode and opacity">${blendParts.join(' ')}</span>`
+                : '';
+            
             layerItem.innerHTML = `
                 <button class="layer-expand" title="Expand/Collapse">${expandIcon}</button>
                 <button class="layer-visibility" title="Toggle Visibility">${visibilityIcon}</button>
                 <button class="layer-lock" title="Toggle Lock">${lockIcon}</button>
                 <span class="layer-name">${layer.name}</span>
+                ${blendBadge}
                 <span class="layer-count">(${objectCount})</span>
             `;
             
@@ -18403,11 +19990,15 @@ class Asciistrator extends EventEmitter {
         // Show auto-layout indicator
         const autoLayoutBadge = SceneObject.hasAutoLayout(obj) ? '<span class="auto-layout-badge" title="Auto Layout">⚡</span>' : '';
         
+        // Show mask indicator
+        const maskBadge = obj.useMask ? `<span class="mask-badge" title="${obj.invertMask ? 'Inverted mask' : 'Mask'}: first child clips the others">◐</span>` : '';
+        
         objItem.innerHTML = `
             <span class="object-expand" style="cursor: ${(hasChildren || canContain) ? 'pointer' : 'default'}">${expandIcon}</span>
             <span class="object-icon">${typeIcon}</span>
             ${containerBadge}
             ${autoLayoutBadge}
+            ${maskBadge}
             <span class="object-name" title="${objName}">${objName}</span>
             ${hasChildren ? `<span class="object-count">(${obj.children.length})</span>` : ''}
         `;
@@ -18490,6 +20081,7 @@ class Asciistrator extends EventEmitter {
             'panel': '📋',
             'chart': '📊',
             'table': '▤',
+            'sequence': '⇄',
             'tree': '🌳',
             'freehand': '✎',
             // Flowchart shape type aliases
@@ -18977,7 +20569,7 @@ class Asciistrator extends EventEmitter {
                 
                 const method = applyMethod[styleType];
                 if (method && typeof targetObj[method] === 'function') {
-                    this.saveStateForUndo();
+                    this.saveStateForUndo(null, [targetObj]);
                     targetObj[method](styleKey);
                     this.renderAllObjects();
                     this._updatePropertiesPanel();
@@ -19160,6 +20752,11 @@ class Asciistrator extends EventEmitter {
                 if (def.name) chart.name = def.name;
                 return chart;
                 
+            case 'sequence':
+                const sequence = new SequenceDiagramObject(def.x, def.y, def.source);
+                if (def.name) sequence.name = def.name;
+                return sequence;
+                
             // Flowchart shapes
             case 'terminal-shape':
                 const terminal = new TerminalShape(def.x, def.y, def.width, def.height);
@@ -20394,8 +21991,9 @@ class Asciistrator extends EventEmitter {
         
         switch (styleType) {
             case StyleType.FILL:
+                // Gradient and pattern fills are saved whole
                 data = {
-                    fills: [{
+                    fills: obj.getPaintFill?.() ? JSON.parse(JSON.stringify(obj.getEffectiveFills())) : [{
                         type: 'SOLID',
                         color: this._hexToFigmaColor(obj.fillColor || '#ffffff'),
                         visible: true
@@ -20517,8 +22115,10 @@ class Asciistrator extends EventEmitter {
                         const color = this._figmaColorToHex(fill.color);
                         preview.style.setProperty('--style-color', color);
                         preview.style.backgroundColor = color;
-                    } else if (fill.type === 'GRADIENT_LINEAR' || fill.type === 'GRADIENT_RADIAL') {
+                    } else if (isGradientFill(fill.type)) {
                         preview.style.background = this._figmaGradientToCss(fill);
+                    } else if (fill.type === FillType.PATTERN) {
+                        preview.textContent = Patterns[fill.pattern]?.pattern[0] || '░';
                     }
                 }
                 break;
@@ -20590,7 +22190,11 @@ class Asciistrator extends EventEmitter {
             return `${color} ${(stop.position * 100).toFixed(0)}%`;
         }).join(', ');
         
-        const type = fill.type === 'GRADIENT_RADIAL' ? 'radial-gradient' : 'linear-gradient';
+        if (fill.type === 'GRADIENT_ANGULAR') {
+            return `conic-gradient(from 90deg, ${stops})`;
+        }
+        
+        const type = fill.type === 'GRADIENT_LINEAR' ? 'linear-gradient' : 'radial-gradient';
         const angle = fill.type === 'GRADIENT_LINEAR' ? '90deg, ' : '';
         
         return `${type}(${angle}${stops})`;
@@ -20625,6 +22229,9 @@ class Asciistrator extends EventEmitter {
                     if (fill.type === 'SOLID') {
                         return this._figmaColorToHex(fill.color);
                     }
+                    if (fill.type === FillType.PATTERN) {
+                        return `pattern ${Array.isArray(fill.pattern) ? 'custom' : fill.pattern}`;
+                    }
                     return fill.type?.replace('_', ' ').toLowerCase() || 'fill';
                 }
                 return 'No fills';
@@ -20824,6 +22431,8 @@ class Asciistrator extends EventEmitter {
     _collectStyleDataFromDialog(styleType) {
         switch (styleType) {
             case StyleType.FILL: {
+                // Gradient and pattern fill styles have no color field to read
+                if (!$('#style-fill-color')) return {};
                 const color = this._hexToFigmaColor($('#style-fill-color')?.value || '#ffffff');
                 const opacity = (parseInt($('#style-fill-opacity')?.value) || 100) / 100;
                 color.a = opacity;
@@ -20960,6 +22569,17 @@ class Asciistrator extends EventEmitter {
         switch (style.styleType) {
             case StyleType.FILL: {
                 const fill = data.fills?.[0] || {};
+                
+                // Gradient and pattern fills are edited on a shape and saved again
+                if (data.fills?.some(f => f.type !== 'SOLID')) {
+                    return `
+                    <div class="form-group">
+                        <label>Fill</label>
+                        <span>${this._escapeHtml(this._getStyleDescription(style))} (edit it on a shape, then save it as a style)</span>
+                    </div>
+                `;
+                }
+                
                 const color = fill.color ? this._figmaColorToHex(fill.color) : '#6366f1';
                 const opacity = Math.round((fill.opacity ?? 1) * 100);
                 
@@ -21855,7 +23475,7 @@ class Asciistrator extends EventEmitter {
         // File open dialog
         const input = createElement('input', {
             type: 'file',
-            accept: '.asc,.txt,.ascii,.json',
+            accept: '.asc,.txt,.ascii,.json,.ans,.ansi,.nfo,.diz',
             style: { display: 'none' }
         });
         
@@ -21870,7 +23490,13 @@ class Asciistrator extends EventEmitter {
                     try {
                         await this._loadFromNativeFormat(text);
                         AppState.filename = file.name;
-                        this._updateStatus(`Opened ${file.name}`);
+                        const missingFonts = [...this._figletFontsInUse()].filter(name => !figletFonts.has(name));
+                        if (missingFonts.length > 0) {
+                            this._updateStatus(`Opened ${file.name} - missing FIGlet fonts ${missingFonts.join(', ')}, ` +
+                                `showing ${figletFonts.defaultFont} instead`);
+                        } else {
+                            this._updateStatus(`Opened ${file.name}`);
+                        }
                         return;
                     } catch (err) {
                         // Not a valid native format, fall through to plain text
@@ -21878,8 +23504,22 @@ class Asciistrator extends EventEmitter {
                     }
                 }
                 
+                // ANSI art: classic .ans files or text with escape sequences
+                if (['ans', 'ansi', 'nfo', 'diz'].includes(ext) || text.includes('\x1b[')) {
+                    try {
+                        await this._loadFromAnsi(file);
+                    } catch (err) {
+                        console.error('ANSI open error:', err);
+                        this._updateStatus(`Failed to open ${file.name}: ${err.message}`);
+                        return;
+                    }
+                    AppState.filename = file.name;
+                    this._updateStatus(`Opened ${file.name}`);
+                    return;
+                }
+                
                 // Load as plain text
-                this._loadFromText(text);
+                await this._loadFromText(text);
                 AppState.filename = file.name;
                 this._updateStatus(`Opened ${file.name}`);
             }
@@ -21910,12 +23550,22 @@ class Asciistrator extends EventEmitter {
         AppState.selectionContext.hoverTarget = null;
         AppState.selectionContext.dropIndicator = null;
         
+        // Embedded FIGlet fonts must be known before banner text measures itself
+        if (data.figletFonts && typeof data.figletFonts === 'object' &&
+            figletFonts.registerSources(data.figletFonts).length > 0) {
+            try {
+                figletFonts.saveTo(localStorage);
+            } catch (storageError) {
+                console.warn('Failed to persist FIGlet fonts:', storageError);
+            }
+            this._refreshFigletFontOptions();
+        }
+        
         // Load v2 format (Figma-compatible nested structure)
         await this._loadFromNativeFormatV2(data, ColorUtils, TypeMapping);
         
-        // Clear undo/redo stacks for fresh document
-        AppState.undoStack = [];
-        AppState.redoStack = [];
+        // Start a fresh history for the loaded document
+        this.history.reset();
         
         // Load shared styles
         if (data.styles && typeof data.styles === 'object') {
@@ -21959,54 +23609,77 @@ class Asciistrator extends EventEmitter {
      * Load v2 format document (Figma-compatible nested structure)
      */
     async _loadFromNativeFormatV2(data, ColorUtils, TypeMapping) {
+        const { layers, canvasWidth, canvasHeight, backgroundColor } = 
+            this._createLayersFromV2Document(data, ColorUtils, TypeMapping);
+        
+        if (canvasWidth !== null) {
+            AppState.canvasWidth = canvasWidth;
+            AppState.canvasHeight = canvasHeight;
+        }
+        if (backgroundColor) {
+            AppState.backgroundColor = backgroundColor;
+        }
+        
+        AppState.layers = layers;
+        
+        // Set active layer to first layer
+        AppState.activeLayerId = AppState.layers[0]?.id || 0;
+    }
+    
+    /**
+     * Convert the pages of a v2 document into layers with scene objects.
+     * Does not modify AppState, so it can also be used for headless rendering.
+     * @returns {{layers: Array, canvasWidth: number|null, canvasHeight: number|null, backgroundColor: string|null}}
+     */
+    _createLayersFromV2Document(data, ColorUtils, TypeMapping) {
         const doc = data.document;
         
         // Default canvas settings
         let canvasWidth = 120;
         let canvasHeight = 60;
+        let backgroundColor = null;
         
         // Get pages (children of DOCUMENT node)
         const pages = doc.children || [];
         
         if (pages.length === 0) {
             // No pages, create default layer
-            AppState.layers = [{
-                id: 0,
-                name: 'Layer 1',
-                visible: true,
-                locked: false,
-                buffer: new AsciiBuffer(canvasWidth, canvasHeight),
-                objects: []
-            }];
-            AppState.activeLayerId = 0;
-            return;
+            return {
+                layers: [{
+                    id: 0,
+                    name: 'Layer 1',
+                    visible: true,
+                    locked: false,
+                    buffer: new AsciiBuffer(canvasWidth, canvasHeight),
+                    objects: []
+                }],
+                canvasWidth: null,
+                canvasHeight: null,
+                backgroundColor
+            };
+        }
+        
+        // Get canvas settings from first page
+        canvasWidth = pages[0].canvasWidth || 120;
+        canvasHeight = pages[0].canvasHeight || 60;
+        
+        // Restore background color
+        if (pages[0].backgroundColor) {
+            backgroundColor = ColorUtils.figmaToHex(pages[0].backgroundColor) || '#1a1a2e';
         }
         
         // Convert pages to layers
-        AppState.layers = pages.map((page, index) => {
+        const layers = pages.map((page, index) => {
             // Extract layer ID from page ID
             const idMatch = page.id?.match(/page:(\d+)/);
             const layerId = idMatch ? parseInt(idMatch[1]) : index;
             
-            // Get canvas settings from first page
-            if (index === 0) {
-                canvasWidth = page.canvasWidth || 120;
-                canvasHeight = page.canvasHeight || 60;
-                AppState.canvasWidth = canvasWidth;
-                AppState.canvasHeight = canvasHeight;
-                
-                // Restore background color
-                if (page.backgroundColor) {
-                    AppState.backgroundColor = ColorUtils.figmaToHex(page.backgroundColor) || '#1a1a2e';
-                }
-            }
-            
             const layer = {
                 id: layerId,
                 name: page.name || `Layer ${index + 1}`,
                 visible: page.visible !== false,
                 locked: page.locked || false,
-                opacity: page.opacity || 1,
+                opacity: page.opacity ?? 1,
                 blendMode: (page.blendMode || 'NORMAL').toLowerCase(),
                 buffer: new AsciiBuffer(canvasWidth, canvasHeight),
                 objects: []
@@ -22025,8 +23698,7 @@ class Asciistrator extends EventEmitter {
             return layer;
         });
         
-        // Set active layer to first layer
-        AppState.activeLayerId = AppState.layers[0]?.id || 0;
+        return { layers, canvasWidth, canvasHeight, backgroundColor };
     }
     
     /**
@@ -22054,10 +23726,13 @@ class Asciistrator extends EventEmitter {
             // Restore ASCII properties from ascii namespace
             strokeChar: node.ascii?.strokeChar || '*',
             fillChar: node.ascii?.fillChar || '',
+            filled: node.ascii?.filled ?? false,
             lineStyle: node.ascii?.lineStyle || 'single',
             boxStyle: node.ascii?.boxStyle,
             strokeColor: node.ascii?.strokeColor || (node.strokes?.[0]?.color ? ColorUtils.figmaToHex(node.strokes[0].color) : null),
             fillColor: node.ascii?.fillColor || (node.fills?.[0]?.color ? ColorUtils.figmaToHex(node.fills[0].color) : null),
+            cellBackground: node.ascii?.cellBackground ?? null,
+            cellAttributes: node.ascii?.cellAttributes || 0,
             
             // Constraints (now using Figma naming internally)
             constraints: {
@@ -22068,6 +23743,11 @@ class Asciistrator extends EventEmitter {
             clipContent: node.clipsContent || false
         };
         
+        // Restore gradient and pattern fills; plain solid fills are carried by fillColor
+        if (node.fills?.some(fill => fill.type !== 'SOLID')) {
+            json.fills = node.fills;
+        }
+        
         // Restore layout properties (flat Figma-style)
         json.layoutMode = node.layoutMode || 'NONE';
         json.primaryAxisAlignItems = node.primaryAxisAlignItems || 'MIN';
@@ -22108,7 +23788,11 @@ class Asciistrator extends EventEmitter {
                 json.text = node.characters || '';
                 json.fontFamily = node.fontFamily;
                 json.fontSize = node.fontSize;
-                if (node.ascii?.isAsciiText) json.type = 'ascii-text';
+                if (node.ascii?.isAsciiText) {
+                    json.type = 'ascii-text';
+                    json.fontName = node.ascii.figletFont || figletFonts.defaultFont;
+                    json.fontLayout = node.ascii.figletLayout || FigletLayout.DEFAULT;
+                }
                 break;
                 
             case 'line':
@@ -22146,6 +23830,10 @@ class Asciistrator extends EventEmitter {
             case 'path':
                 json.commands = node.pathCommands;
                 json.segments = node.segments;
+                // Restore from ascii namespace
+                json.points = node.ascii?.pathPoints ?? [];
+                json.closed = node.ascii?.closed ?? false;
+                json.brushSize = node.ascii?.brushSize ?? 0;
                 break;
                 
             case 'frame':
@@ -22206,6 +23894,17 @@ class Asciistrator extends EventEmitter {
                 // Restore from ascii namespace (with fallback to old locations)
                 json.chartData = node.ascii?.chartData || node.chartData;
                 json.chartOptions = node.ascii?.chartOptions || node.chartOptions;
+                Object.assign(json, json.chartData, json.chartOptions);
+                break;
+                
+            case 'sequence':
+                json.source = node.ascii?.sequenceSource;
+                break;
+                
+            case 'group':
+                // Figma files mark the mask layer instead of the group
+                json.useMask = node.ascii?.useMask ?? node.children?.[0]?.isMask === true;
+                json.invertMask = node.ascii?.invertMask ?? false;
                 break;
                 
             // Flowchart shapes
@@ -22237,6 +23936,7 @@ class Asciistrator extends EventEmitter {
                 json.arrowStart = node.ascii?.arrowStart || node.arrowStart;
                 json.arrowEnd = node.ascii?.arrowEnd || node.arrowEnd;
                 json.waypoints = node.ascii?.waypoints || node.waypoints;
+                json.label = node.ascii?.label || node.label || '';
                 break;
         }
         
@@ -22303,70 +24003,509 @@ class Asciistrator extends EventEmitter {
         }
     }
     
-    _loadFromText(text) {
+    /**
+     * Load a plain-text diagram, recognizing boxes, connectors and labels
+     * as editable objects
+     * @param {string} text - Plain-text diagram
+     */
+    async _loadFromText(text) {
+        const { TextDiagramRecognizer, createObjectsFromDiagram } = await import('./io/textDiagram.js');
+        const diagram = new TextDiagramRecognizer().recognize(text);
+        
         this.renderer.clear();
-        const lines = text.split('\n');
-        for (let y = 0; y < lines.length && y < AppState.canvasHeight; y++) {
-            for (let x = 0; x < lines[y].length && x < AppState.canvasWidth; x++) {
-                this.renderer.buffer.setChar(x, y, lines[y][x]);
-            }
-        }
-        this.renderer.render();
-    }
-    
-    save() {
-        // Check if there are any objects in layers
-        const hasObjects = AppState.layers.some(layer => layer.objects && layer.objects.length > 0);
+        AppState.selectedObjects = [];
+        AppState.selectionContext.currentContainer = null;
+        AppState.selectionContext.breadcrumb = [];
         
-        if (hasObjects) {
-            // Save in native format to preserve objects
-            this._saveNativeFormat();
-        } else {
-            // Save as plain text for simple documents
-            const text = this.renderer.exportText();
-            const blob = new Blob([text], { type: 'text/plain' });
-            const url = URL.createObjectURL(blob);
-            
-            const a = createElement('a', {
-                href: url,
-                download: AppState.filename.endsWith('.ascii') ? AppState.filename : AppState.filename
-            });
-            a.click();
-            
-            URL.revokeObjectURL(url);
+        if (diagram.width > AppState.canvasWidth || diagram.height > AppState.canvasHeight) {
+            this.resizeCanvas(
+                Math.max(AppState.canvasWidth, diagram.width),
+                Math.max(AppState.canvasHeight, diagram.height)
+            );
         }
+        
+        const objects = createObjectsFromDiagram(diagram)
+            .map(json => this._createObjectFromJSON(json))
+            .filter(obj => obj !== null);
+        
+        AppState.layers = [{
+            id: 0,
+            name: 'Layer 1',
+            visible: true,
+            locked: false,
+            buffer: new AsciiBuffer(AppState.canvasWidth, AppState.canvasHeight),
+            objects
+        }];
+        AppState.activeLayerId = 0;
+        this.history.reset();
+        
+        this._spatialIndexDirty = true;
+        this.renderAllObjects();
+        this._updateLayerList();
+        this._updateUndoRedoButtons();
         AppState.modified = false;
     }
     
-    async _saveNativeFormat() {
-        const { saveNativeDocument } = await import('./io/native.js');
+    /**
+     * Import ANSI art into a new layer of the current document
+     */
+    importAnsi() {
+        const input = createElement('input', {
+            type: 'file',
+            accept: '.ans,.ansi,.asc,.txt,.nfo,.diz',
+            style: { display: 'none' }
+        });
         
-        // Ensure filename has .ascii extension
-        let filename = AppState.filename;
-        if (!filename.endsWith('.ascii')) {
-            // Replace any existing extension with .ascii
-            const lastDot = filename.lastIndexOf('.');
-            if (lastDot > 0) {
-                filename = filename.substring(0, lastDot) + '.ascii';
-            } else {
-                filename = filename + '.ascii';
+        input.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            
+            try {
+                this.saveStateForUndo('Import ANSI art');
+                const { layer, result } = await this._createAnsiLayer(file);
+                
+                AppState.layers.push(layer);
+                AppState.activeLayerId = layer.id;
+                
+                this._spatialIndexDirty = true;
+                this.renderAllObjects();
+                this._updateLayerList();
+                this._updateStatus(`Imported ${file.name} (${result.width}×${result.height}, ${layer.objects.length} objects)`);
+            } catch (err) {
+                console.error('ANSI import error:', err);
+                this._updateStatus(`Failed to import ${file.name}: ${err.message}`);
             }
-            AppState.filename = filename;
-        }
+        });
         
-        // Get user component libraries (non-built-in)
-        const componentLibraries = componentLibraryManager.getAllLibraries()
-            .filter(lib => !lib.isBuiltIn)
-            .map(lib => lib.toJSON());
+        input.click();
+    }
+    
+    /**
+     * Replace the document with ANSI art
+     * @param {File} file - .ans file or text with escape sequences
+     */
+    async _loadFromAnsi(file) {
+        // Parse first so a file that fails to import leaves the open document alone
+        const { layer } = await this._createAnsiLayer(file);
+        layer.id = 0;
         
-        // Export shared styles
-        const styles = styleManager.exportToDocument();
+        this.renderer.clear();
+        AppState.selectedObjects = [];
+        AppState.selectionContext.currentContainer = null;
+        AppState.selectionContext.breadcrumb = [];
+        AppState.layers = [layer];
+        AppState.activeLayerId = layer.id;
+        this.history.reset();
         
-        saveNativeDocument(AppState, AppState.layers, filename, componentLibraries, styles);
-        this._updateStatus(`Saved ${filename}`);
+        this._spatialIndexDirty = true;
+        this.renderAllObjects();
+        this._updateLayerList();
+        this._updateUndoRedoButtons();
+        AppState.modified = false;
     }
     
-    export(format = 'txt') {
+    /**
+     * Parse ANSI art into a layer of colored text objects, growing the
+     * canvas when the art does not fit
+     * @param {File} file
+     * @returns {Promise<{layer: object, result: object}>}
+     */
+    async _createAnsiLayer(file) {
+        const { ANSIImporter, createTextObjectsFromAnsi } = await import('./io/ansi.js');
+        const result = await new ANSIImporter().importFile(file);
+        
+        if (result.width > AppState.canvasWidth || result.height > AppState.canvasHeight) {
+            this.resizeCanvas(
+                Math.max(AppState.canvasWidth, result.width),
+                Math.max(AppState.canvasHeight, result.height)
+            );
+        }
+        
+        const objects = createTextObjectsFromAnsi(result, 0, 0)
+            .map(json => this._createObjectFromJSON(json))
+            .filter(obj => obj !== null);
+        
+        const id = AppState.layers.length > 0 ? Math.max(...AppState.layers.map(l => l.id)) + 1 : 0;
+        const layer = {
+            id,
+            name: result.sauce?.title || file.name.replace(/\.[^.]+$/, ''),
+            visible: true,
+            locked: false,
+            buffer: new AsciiBuffer(AppState.canvasWidth, AppState.canvasHeight),
+            objects
+        };
+        
+        return { layer, result };
+    }
+    
+    /**
+     * Import a Mermaid flowchart or Graphviz DOT graph, pasted or from a
+     * file, into a new laid-out layer
+     */
+    importFlowchartText() {
+        const dialogHtml = `
+            <div class="flowchart-import-form">
+                <div class="form-group">
+                    <label>Mermaid flowchart or Graphviz DOT source</label>
+                    <textarea id="flow-import-source" rows="14" spellcheck="false"
+                        placeholder="flowchart TD&#10;    A[Start] --> B{OK?}&#10;    B -->|yes| C[Done]"></textarea>
+                </div>
+            </div>
+        `;
+        
+        this._showDialog('Import Flowchart', dialogHtml, [
+            {
+                label: 'Cancel',
+                action: () => {}
+            },
+            {
+                label: 'Open File...',
+                action: () => {
+                    const input = createElement('input', {
+                        type: 'file',
+                        accept: '.mmd,.mermaid,.dot,.gv,.txt',
+                        style: { display: 'none' }
+                    });
+                    input.addEventListener('change', async (e) => {
+                        const file = e.target.files[0];
+                        if (file) {
+                            await this._importFlowchartSource(await file.text(), file.name.replace(/\.[^.]+$/, ''));
+                        }
+                    });
+                    input.click();
+                }
+            },
+            {
+                label: 'Import',
+                primary: true,
+                action: () => {
+                    const source = $('#flow-import-source').value;
+                    if (!source.trim()) {
+                        this._updateStatus('Paste a Mermaid flowchart or DOT graph to import');
+                        return false;
+                    }
+                    this._importFlowchartSource(source);
+                }
+            }
+        ]);
+    }
+    
+    /**
+     * Parse Mermaid or DOT source into flowchart shapes and connectors on
+     * a new layer, laid out in the graph's direction
+     * @param {string} source - Mermaid flowchart or DOT graph
+     * @param {string} [name] - Layer name
+     */
+    async _importFlowchartSource(source, name) {
+        const [{ isDotGraph, parseDot }, { parseMermaid }, { createFlowchartObjectsFromGraph }] = await Promise.all([
+            import('./io/dot.js'),
+            import('./io/mermaid.js'),
+            import('./io/flowchartGraph.js')
+        ]);
+        
+        const isDot = isDotGraph(source);
+        let graph;
+        try {
+            graph = isDot ? parseDot(source) : parseMermaid(source);
+        } catch (err) {
+            console.error('Flowchart import error:', err);
+            this._updateStatus(`Failed to import flowchart: ${err.message}`);
+            return;
+        }
+        
+        const data = createFlowchartObjectsFromGraph(graph);
+        const shapes = data.shapes.map(json => this._createObjectFromJSON(json)).filter(obj => obj !== null);
+        const connectors = data.connectors.map(json => this._createObjectFromJSON(json));
+        
+        new FlowchartLayout().layoutLayered(shapes, connectors, { direction: graph.direction, startX: 2, startY: 1 });
+        
+        const bounds = [...shapes, ...connectors].map(obj => obj.getBounds());
+        const right = Math.max(0, ...bounds.map(b => b.x + b.width)) + 2;
+        const bottom = Math.max(0, ...bounds.map(b => b.y + b.height)) + 2;
+        if (right > AppState.canvasWidth || bottom > AppState.canvasHeight) {
+            this.resizeCanvas(Math.max(AppState.canvasWidth, right), Math.max(AppState.canvasHeight, bottom));
+        }
+        
+        this.saveStateForUndo('Import flowchart');
+        
+        const id = AppState.layers.length > 0 ? Math.max(...AppState.layers.map(l => l.id)) + 1 : 0;
+        const layer = {
+            id,
+            name: name || (isDot ? 'Graphviz Graph' : 'Mermaid Flowchart'),
+            visible: true,
+            locked: false,
+            buffer: new AsciiBuffer(AppState.canvasWidth, AppState.canvasHeight),
+            objects: [...shapes, ...connectors]
+        };
+        AppState.layers.push(layer);
+        AppState.activeLayerId = layer.id;
+        
+        this._spatialIndexDirty = true;
+        this.renderAllObjects();
+        this._updateLayerList();
+        this._updateStatus(`Imported flowchart: ${shapes.length} shapes, ${connectors.length} connectors`);
+    }
+    
+    /**
+     * Import an Avalonia or WPF view, pasted or from a file, as UI
+     * components and frames on a new layer
+     */
+    importXaml() {
+        const dialogHtml = `
+            <div class="xaml-import-form">
+                <div class="form-group">
+                    <label>Avalonia or WPF XAML</label>
+                    <textarea id="xaml-import-source" rows="14" spellcheck="false"
+                        placeholder="&lt;Window xmlns=&quot;https://github.com/avaloniaui&quot; ...&gt;"></textarea>
+                </div>
+            </div>
+        `;
+        
+        this._showDialog('Import XAML', dialogHtml, [
+            {
+                label: 'Cancel',
+                action: () => {}
+            },
+            {
+                label: 'Open File...',
+                action: () => {
+                    const input = createElement('input', {
+                        type: 'file',
+                        accept: '.axaml,.xaml',
+                        style: { display: 'none' }
+                    });
+                    input.addEventListener('change', async (e) => {
+                        const file = e.target.files[0];
+                        if (file) {
+                            await this._importXamlSource(await file.text(), file.name.replace(/\.[^.]+$/, ''));
+                        }
+                    });
+                    input.click();
+                }
+            },
+            {
+                label: 'Import',
+                primary: true,
+                action: () => {
+                    const source = $('#xaml-import-source').value;
+                    if (!source.trim()) {
+                        this._updateStatus('Paste Avalonia or WPF XAML to import');
+                        return false;
+                    }
+                    this._importXamlSource(source);
+                }
+            }
+        ]);
+    }
+    
+    /**
+     * Lay out XAML at cell scale and add its controls and panels to a new
+     * layer as UI components and frames
+     * @param {string} source - Avalonia or WPF XAML
+     * @param {string} [name] - Layer name
+     */
+    async _importXamlSource(source, name) {
+        const { importXaml, createObjectsFromXaml } = await import('./io/xaml.js');
+        
+        let view;
+        try {
+            view = importXaml(source);
+        } catch (err) {
+            console.error('XAML import error:', err);
+            this._updateStatus(`Failed to import XAML: ${err.message}`);
+            return;
+        }
+        view.warnings.forEach(warning => console.warn('XAML import:', warning));
+        
+        const objects = createObjectsFromXaml(view, 2, 1)
+            .map(json => this._createObjectFromJSON(json))
+            .filter(obj => obj !== null);
+        
+        const right = view.width + 4;
+        const bottom = view.height + 2;
+        if (right > AppState.canvasWidth || bottom > AppState.canvasHeight) {
+            this.resizeCanvas(Math.max(AppState.canvasWidth, right), Math.max(AppState.canvasHeight, bottom));
+        }
+        
+        this.saveStateForUndo('Import XAML');
+        
+        const id = AppState.layers.length > 0 ? Math.max(...AppState.layers.map(l => l.id)) + 1 : 0;
+        const layer = {
+            id,
+            name: name || view.title,
+            visible: true,
+            locked: false,
+            buffer: new AsciiBuffer(AppState.canvasWidth, AppState.canvasHeight),
+            objects
+        };
+        AppState.layers.push(layer);
+        AppState.activeLayerId = layer.id;
+        
+        this._spatialIndexDirty = true;
+        this.renderAllObjects();
+        this._updateLayerList();
+        const skipped = view.warnings.length > 0 ? ` (${view.warnings.length} skipped, see console)` : '';
+        this._updateStatus(`Imported ${view.title}: ${objects.length} objects${skipped}`);
+    }
+    
+    /**
+     * Import an HTML page, pasted or from a file, as a wireframe of
+     * frames, UI components and text on a new layer
+     */
+    importHtml() {
+        const dialogHtml = `
+            <div class="html-import-form">
+                <div class="form-group">
+                    <label>HTML with inline or &lt;style&gt; CSS</label>
+                    <textarea id="html-import-source" rows="14" spellcheck="false"
+                        placeholder="&lt;form style=&quot;display: flex&quot;&gt; ..."></textarea>
+                </div>
+            </div>
+        `;
+        
+        this._showDialog('Import HTML', dialogHtml, [
+            {
+                label: 'Cancel',
+                action: () => {}
+            },
+            {
+                label: 'Open File...',
+                action: () => {
+                    const input = createElement('input', {
+                        type: 'file',
+                        accept: '.html,.htm',
+                        style: { display: 'none' }
+                    });
+                    input.addEventListener('change', async (e) => {
+                        const file = e.target.files[0];
+                        if (file) {
+                            await this._importHtmlSource(await file.text(), file.name.replace(/\.[^.]+$/, ''));
+                        }
+                    });
+                    input.click();
+                }
+            },
+            {
+                label: 'Import',
+                primary: true,
+                action: () => {
+                    const source = $('#html-import-source').value;
+                    if (!source.trim()) {
+                        this._updateStatus('Paste HTML to import');
+                        return false;
+                    }
+                    this._importHtmlSource(source);
+                }
+            }
+        ]);
+    }
+    
+    /**
+     * Lay out HTML and CSS at cell scale and add the page to a new layer
+     * as frames, UI components and text
+     * @param {string} source - HTML page or fragment
+     * @param {string} [name] - Layer name
+     */
+    async _importHtmlSource(source, name) {
+        const { importHtml, createObjectsFromHtml } = await import('./io/html.js');
+        
+        let page;
+        try {
+            page = importHtml(source);
+        } catch (err) {
+            console.error('HTML import error:', err);
+            this._updateStatus(`Failed to import HTML: ${err.message}`);
+            return;
+        }
+        page.warnings.forEach(warning => console.warn('HTML import:', warning));
+        
+        const objects = createObjectsFromHtml(page, 2, 1)
+            .map(json => this._createObjectFromJSON(json))
+            .filter(obj => obj !== null);
+        
+        const right = page.width + 4;
+        const bottom = page.height + 2;
+        if (right > AppState.canvasWidth || bottom > AppState.canvasHeight) {
+            this.resizeCanvas(Math.max(AppState.canvasWidth, right), Math.max(AppState.canvasHeight, bottom));
+        }
+        
+        this.saveStateForUndo('Import HTML');
+        
+        const id = AppState.layers.length > 0 ? Math.max(...AppState.layers.map(l => l.id)) + 1 : 0;
+        const layer = {
+            id,
+            name: name || page.title,
+            visible: true,
+            locked: false,
+            buffer: new AsciiBuffer(AppState.canvasWidth, AppState.canvasHeight),
+            objects
+        };
+        AppState.layers.push(layer);
+        AppState.activeLayerId = layer.id;
+        
+        this._spatialIndexDirty = true;
+        this.renderAllObjects();
+        this._updateLayerList();
+        const warned = page.warnings.length > 0 ? ` (${page.warnings.length} warnings, see console)` : '';
+        this._updateStatus(`Imported ${page.title}: ${objects.length} objects${warned}`);
+    }
+    
+    save() {
+        // Check if there are any objects in layers
+        const hasObjects = AppState.layers.some(layer => layer.objects && layer.objects.length > 0);
+        
+        if (hasObjects) {
+            // Save in native format to preserve objects
+            this._saveNativeFormat();
+        } else {
+            // Save as plain text for simple documents
+            const text = this.renderer.exportText();
+            const blob = new Blob([text], { type: 'text/plain' });
+            const url = URL.createObjectURL(blob);
+            
+            const a = createElement('a', {
+                href: url,
+                download: AppState.filename.endsWith('.ascii') ? AppState.filename : AppState.filename
+            });
+            a.click();
+            
+            URL.revokeObjectURL(url);
+        }
+        AppState.modified = false;
+    }
+    
+    async _saveNativeFormat() {
+        const { saveNativeDocument } = await import('./io/native.js');
+        
+        // Ensure filename has .ascii extension
+        let filename = AppState.filename;
+        if (!filename.endsWith('.ascii')) {
+            // Replace any existing extension with .ascii
+            const lastDot = filename.lastIndexOf('.');
+            if (lastDot > 0) {
+                filename = filename.substring(0, lastDot) + '.ascii';
+            } else {
+                filename = filename + '.ascii';
+            }
+            AppState.filename = filename;
+        }
+        
+        // Get user component libraries (non-built-in)
+        const componentLibraries = componentLibraryManager.getAllLibraries()
+            .filter(lib => !lib.isBuiltIn)
+            .map(lib => lib.toJSON());
+        
+        // Export shared styles
+        const styles = styleManager.exportToDocument();
+        
+        // Embed fonts loaded from .flf files; others only have them if they loaded them too
+        const fonts = figletFonts.getSources(this._figletFontsInUse());
+        
+        saveNativeDocument(AppState, AppState.layers, filename, componentLibraries, styles, fonts);
+        this._updateStatus(`Saved ${filename}`);
+    }
+    
+    async export(format = 'txt') {
         let content, mimeType, extension;
         
         switch (format) {
@@ -22386,7 +24525,7 @@ pre { font-family: monospace; line-height: 1; background: #1a1a2e; color: #eee;
                 extension = 'html';
                 break;
             case 'svg':
-                content = this._exportToSVG();
+                content = await this._exportToSVG();
                 mimeType = 'image/svg+xml';
                 extension = 'svg';
                 break;
@@ -22412,72 +24551,29 @@ pre { font-family: monospace; line-height: 1; background: #1a1a2e; color: #eee;
     }
     
     /**
-     * Export to SVG format
+     * Export to SVG format, with cell colors and attributes
      * @private
      */
-    _exportToSVG() {
-        const asciiContent = this.renderer.exportText();
-        const lines = asciiContent.split('\n');
-        const width = Math.max(...lines.map(l => l.length)) * 10;
-        const height = lines.length * 18;
-        
-        let svg = `<?xml version="1.0" encoding="UTF-8"?>
-<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
-  <style>
-    text { font-family: 'Courier New', monospace; font-size: 14px; fill: #e0e0e0; }
-  </style>
-  <rect width="100%" height="100%" fill="#1a1a2e"/>
-`;
-        
-        lines.forEach((line, i) => {
-            const escaped = line.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
-            svg += `  <text x="5" y="${18 + i * 18}">${escaped}</text>\n`;
-        });
-        
-        svg += '</svg>';
-        return svg;
+    async _exportToSVG() {
+        const { SVGExporter } = await import('./io/exporters/SVGExporter.js');
+        return new SVGExporter().export({ buffer: this.renderer.buffer }).content;
     }
     
     /**
-     * Export to PNG format
+     * Export to PNG format, with cell colors and attributes
      * @private
      */
-    _exportToPNG() {
-        const asciiContent = this.renderer.exportText();
-        const lines = asciiContent.split('\n');
-        const charWidth = 10;
-        const charHeight = 18;
-        const padding = 20;
-        
-        const canvas = document.createElement('canvas');
-        const maxLineLength = Math.max(...lines.map(l => l.length));
-        canvas.width = maxLineLength * charWidth + padding * 2;
-        canvas.height = lines.length * charHeight + padding * 2;
-        
-        const ctx = canvas.getContext('2d');
-        
-        // Background
-        ctx.fillStyle = '#1a1a2e';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
-        
-        // Text
-        ctx.fillStyle = '#e0e0e0';
-        ctx.font = '14px "Courier New", monospace';
-        ctx.textBaseline = 'top';
-        
-        lines.forEach((line, i) => {
-            ctx.fillText(line, padding, padding + i * charHeight);
-        });
+    async _exportToPNG() {
+        const { PNGExporter } = await import('./io/exporters/PNGExporter.js');
+        const blob = await new PNGExporter().exportBlob({ buffer: this.renderer.buffer });
         
         // Download
-        canvas.toBlob(blob => {
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = AppState.filename.replace(/\.[^.]+$/, '.png');
-            a.click();
-            URL.revokeObjectURL(url);
-        }, 'image/png');
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = AppState.filename.replace(/\.[^.]+$/, '.png');
+        a.click();
+        URL.revokeObjectURL(url);
     }
     
     /**
@@ -22564,11 +24660,165 @@ pre { font-family: monospace; line-height: 1; background: #1a1a2e; color: #eee;
             
             const a = document.createElement('a');
             a.href = url;
-            a.download = `${className}.${exporter.fileExtension.replace('.', '')}`;
+            a.download = `${className}.${exporter.fileExtension.replace('.', '')}`;
+            a.click();
+            
+            URL.revokeObjectURL(url);
+            this._updateStatus(`Exported to ${framework}`);
+        } catch (error) {
+            console.error(`${framework} export error:`, error);
+            this._updateStatus(`Export failed: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Export UI components to a mobile framework
+     * @param {string} framework - 'flutter' or 'swiftui'
+     */
+    async exportToMobileFramework(framework) {
+        let exporter;
+        switch (framework) {
+            case 'flutter': {
+                const { FlutterExporter } = await import('./io/exporters/FlutterExporter.js');
+                exporter = new FlutterExporter();
+                break;
+            }
+            case 'swiftui': {
+                const { SwiftUIExporter } = await import('./io/exporters/SwiftUIExporter.js');
+                exporter = new SwiftUIExporter();
+                break;
+            }
+            default:
+                this._updateStatus(`Unknown framework: ${framework}`);
+                return;
+        }
+        
+        const scene = this._prepareExportDocument();
+        const className = this._generateClassName();
+        
+        try {
+            const result = exporter.export(scene, { className });
+            if (!result.success) {
+                this._updateStatus(`Export failed: ${result.errors.join(', ')}`);
+                return;
+            }
+            
+            const blob = new Blob([result.content], { type: 'text/plain' });
+            const url = URL.createObjectURL(blob);
+            
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `${className}${exporter.fileExtension}`;
+            a.click();
+            
+            URL.revokeObjectURL(url);
+            this._updateStatus(`Exported to ${exporter.name}`);
+        } catch (error) {
+            console.error(`${framework} export error:`, error);
+            this._updateStatus(`Export failed: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Export UI components to a desktop framework
+     * @param {string} framework - 'qml', 'gtk' or 'gtk-blueprint'
+     */
+    async exportToDesktopFramework(framework) {
+        let exporter;
+        switch (framework) {
+            case 'qml': {
+                const { QmlExporter } = await import('./io/exporters/QmlExporter.js');
+                exporter = new QmlExporter();
+                break;
+            }
+            case 'gtk': {
+                const { GtkExporter } = await import('./io/exporters/GtkExporter.js');
+                exporter = new GtkExporter();
+                break;
+            }
+            case 'gtk-blueprint': {
+                const { GtkBlueprintExporter } = await import('./io/exporters/GtkExporter.js');
+                exporter = new GtkBlueprintExporter();
+                break;
+            }
+            default:
+                this._updateStatus(`Unknown framework: ${framework}`);
+                return;
+        }
+        
+        const scene = this._prepareExportDocument();
+        const className = this._generateClassName();
+        
+        try {
+            const result = exporter.export(scene, { className });
+            if (!result.success) {
+                this._updateStatus(`Export failed: ${result.errors.join(', ')}`);
+                return;
+            }
+            
+            const blob = new Blob([result.content], { type: 'text/plain' });
+            const url = URL.createObjectURL(blob);
+            
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `${className}${exporter.fileExtension}`;
+            a.click();
+            
+            URL.revokeObjectURL(url);
+            this._updateStatus(`Exported to ${exporter.name}`);
+        } catch (error) {
+            console.error(`${framework} export error:`, error);
+            this._updateStatus(`Export failed: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Export UI components to a terminal UI framework
+     * @param {string} framework - 'textual', 'bubbletea' or 'ratatui'
+     */
+    async exportToTerminalFramework(framework) {
+        let exporter;
+        switch (framework) {
+            case 'textual': {
+                const { TextualExporter } = await import('./io/exporters/TextualExporter.js');
+                exporter = new TextualExporter();
+                break;
+            }
+            case 'bubbletea': {
+                const { BubbleTeaExporter } = await import('./io/exporters/BubbleTeaExporter.js');
+                exporter = new BubbleTeaExporter();
+                break;
+            }
+            case 'ratatui': {
+                const { RatatuiExporter } = await import('./io/exporters/RatatuiExporter.js');
+                exporter = new RatatuiExporter();
+                break;
+            }
+            default:
+                this._updateStatus(`Unknown framework: ${framework}`);
+                return;
+        }
+        
+        const scene = this._prepareExportDocument();
+        const className = this._generateClassName();
+        
+        try {
+            const result = exporter.export(scene, { className });
+            if (!result.success) {
+                this._updateStatus(`Export failed: ${result.errors.join(', ')}`);
+                return;
+            }
+            
+            const blob = new Blob([result.content], { type: 'text/plain' });
+            const url = URL.createObjectURL(blob);
+            
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `${className}${exporter.fileExtension}`;
             a.click();
             
             URL.revokeObjectURL(url);
-            this._updateStatus(`Exported to ${framework}`);
+            this._updateStatus(`Exported to ${exporter.name}`);
         } catch (error) {
             console.error(`${framework} export error:`, error);
             this._updateStatus(`Export failed: ${error.message}`);
@@ -22581,6 +24831,7 @@ pre { font-family: monospace; line-height: 1; background: #1a1a2e; color: #eee;
      */
     _prepareExportDocument() {
         return {
+            buffer: this.renderer.buffer,
             canvas: {
                 width: AppState.canvasWidth,
                 height: AppState.canvasHeight,
@@ -22592,6 +24843,8 @@ pre { font-family: monospace; line-height: 1; background: #1a1a2e; color: #eee;
                 name: layer.name,
                 visible: layer.visible,
                 locked: layer.locked,
+                blendMode: layer.blendMode || BlendModes.NORMAL,
+                opacity: layer.opacity ?? 1,
                 objects: layer.objects || []
             })),
             selectedObjects: AppState.selectedObjects,
@@ -22617,67 +24870,104 @@ pre { font-family: monospace; line-height: 1; background: #1a1a2e; color: #eee;
     }
     
     undo() {
-        if (AppState.undoStack.length === 0) {
-            this._updateStatus('Nothing to undo');
+        if (this.collab) {
+            this._undoCollab(false);
             return;
         }
         
-        // Save current state to redo stack
-        const currentState = this._captureState();
-        AppState.redoStack.push(currentState);
-        
-        // Restore previous state
-        const previousState = AppState.undoStack.pop();
-        this._restoreState(previousState);
-        
-        this._updateStatus('Undo');
+        const command = this.history.undo();
+        this._updateStatus(command ? `Undo: ${command.name}` : 'Nothing to undo');
         this._updateUndoRedoButtons();
     }
     
     redo() {
-        if (AppState.redoStack.length === 0) {
-            this._updateStatus('Nothing to redo');
+        if (this.collab) {
+            this._undoCollab(true);
             return;
         }
         
-        // Save current state to undo stack
-        const currentState = this._captureState();
-        AppState.undoStack.push(currentState);
-        
-        // Restore redo state
-        const redoState = AppState.redoStack.pop();
-        this._restoreState(redoState);
-        
-        this._updateStatus('Redo');
+        const command = this.history.redo();
+        this._updateStatus(command ? `Redo: ${command.name}` : 'Nothing to redo');
         this._updateUndoRedoButtons();
     }
     
-    // Save current state for undo
-    saveStateForUndo() {
-        const state = this._captureState();
-        AppState.undoStack.push(state);
-        
-        // Limit stack size
-        if (AppState.undoStack.length > AppState.maxHistorySize) {
-            AppState.undoStack.shift();
+    /**
+     * Mark the start of an undoable step. Call before changing the document;
+     * the step records only what changes until the next call.
+     * @param {string} [name] - History name; derived from the changes when omitted,
+     *   e.g. "Moved 3 objects"
+     * @param {Array<SceneObject>} [objects] - Unselected objects the step changes;
+     *   the selection and connectors attached to it are always recorded
+     */
+    saveStateForUndo(name = null, objects = []) {
+        // In a session, pending edits close the previous undo step
+        if (this.collab) {
+            this._syncCollab();
+            this.collab.beginAction();
+            // Publish the edit that follows this checkpoint
+            this._markCollabDirty();
+        } else {
+            this.history.checkpoint(name, this._historyScope(objects));
         }
         
-        // Clear redo stack when new action is performed
-        AppState.redoStack = [];
-        
         AppState.modified = true;
         this._updateUndoRedoButtons();
     }
     
-    _captureState() {
-        // Capture all objects from all layers
-        const layersData = AppState.layers.map(layer => ({
-            id: layer.id,
-            name: layer.name,
-            visible: layer.visible,
-            locked: layer.locked,
-            objects: layer.objects ? layer.objects.map(obj => obj.toJSON()) : []
-        }));
+    /**
+     * Ids of objects an undo step may change: the objects, their children
+     * and the connectors attached to any of them
+     * @param {Array<SceneObject>} objects
+     * @returns {Set<string>}
+     */
+    _historyScope(objects) {
+        const ids = new Set();
+        const visit = (list) => {
+            for (const obj of list) {
+                ids.add(obj.id);
+                if (obj.children) visit(obj.children);
+            }
+        };
+        visit(objects);
+        
+        if (ids.size > 0) {
+            for (const conn of this._collectFlowchartObjects().connectors) {
+                if (ids.has(conn.fromShapeId) || ids.has(conn.toShapeId)) ids.add(conn.id);
+            }
+        }
+        return ids;
+    }
+    
+    /**
+     * Read the document for the history. Only top-level objects accepted by
+     * `include` are serialized; the others are listed by id.
+     * @param {function(string, Array<string>): boolean} [include] - Receives an
+     *   object id and the ids of its descendants
+     */
+    _captureState(include = () => true) {
+        const descendantIds = (obj, ids = []) => {
+            for (const child of obj.children || []) {
+                ids.push(child.id);
+                descendantIds(child, ids);
+            }
+            return ids;
+        };
+        
+        const layersData = AppState.layers.map(layer => {
+            const objects = layer.objects || [];
+            return {
+                id: layer.id,
+                name: layer.name,
+                visible: layer.visible,
+                locked: layer.locked,
+                blendMode: layer.blendMode || BlendModes.NORMAL,
+                opacity: layer.opacity ?? 1,
+                objectIds: objects.map(obj => obj.id),
+                objects: objects
+                    .filter(obj => include(obj.id, descendantIds(obj)))
+                    .map(obj => obj.toJSON())
+            };
+        });
         
         // Capture selection context (breadcrumb path by IDs)
         const ctx = AppState.selectionContext;
@@ -22694,23 +24984,42 @@ pre { font-family: monospace; line-height: 1; background: #1a1a2e; color: #eee;
         };
     }
     
-    _restoreState(state) {
-        // Properly restore layers - recreate the layers array from saved state
-        // This handles layer additions/removals correctly
-        AppState.layers = state.layers.map(savedLayer => ({
-            id: savedLayer.id,
-            name: savedLayer.name,
-            visible: savedLayer.visible,
-            locked: savedLayer.locked,
-            objects: savedLayer.objects.map(json => this._createObjectFromJSON(json)).filter(obj => obj !== null)
-        }));
+    /**
+     * Apply an undo/redo patch from the history: rebuild the layer list,
+     * recreate changed objects and keep every other object as it is
+     * @param {{layers: Array<object>, objects: Map<string, object|null>, view: object}} patch
+     */
+    _applyHistoryPatch(patch) {
+        const existing = new Map();
+        for (const layer of AppState.layers) {
+            for (const obj of layer.objects || []) existing.set(obj.id, obj);
+        }
+        
+        AppState.layers = patch.layers.map(savedLayer => {
+            const previous = AppState.layers.find(layer => layer.id === savedLayer.id);
+            return {
+                id: savedLayer.id,
+                name: savedLayer.name,
+                visible: savedLayer.visible,
+                locked: savedLayer.locked,
+                blendMode: savedLayer.blendMode,
+                opacity: savedLayer.opacity,
+                buffer: previous?.buffer || new AsciiBuffer(AppState.canvasWidth, AppState.canvasHeight),
+                objects: savedLayer.objectIds
+                    .map(id => patch.objects.has(id) ? this._createObjectFromJSON(patch.objects.get(id)) : existing.get(id))
+                    .filter(obj => obj)
+            };
+        });
         
-        AppState.activeLayerId = state.activeLayerId;
+        const view = patch.view;
+        AppState.activeLayerId = AppState.layers.some(layer => layer.id === view.activeLayerId)
+            ? view.activeLayerId
+            : (AppState.layers[0]?.id ?? null);
         
         // Restore selection
         AppState.selectedObjects = [];
-        if (state.selectedObjectIds) {
-            for (const id of state.selectedObjectIds) {
+        if (view.selectedObjectIds) {
+            for (const id of view.selectedObjectIds) {
                 const obj = this._findObjectById(id);
                 if (obj) {
                     AppState.selectedObjects.push(obj);
@@ -22723,9 +25032,9 @@ pre { font-family: monospace; line-height: 1; background: #1a1a2e; color: #eee;
         ctx.breadcrumb = [];
         ctx.currentContainer = null;
         
-        if (state.selectionContext) {
+        if (view.selectionContext) {
             // Restore breadcrumb path by finding objects by ID
-            for (const id of state.selectionContext.breadcrumbIds || []) {
+            for (const id of view.selectionContext.breadcrumbIds || []) {
                 const obj = this._findObjectById(id);
                 if (obj) {
                     ctx.breadcrumb.push(obj);
@@ -22733,8 +25042,8 @@ pre { font-family: monospace; line-height: 1; background: #1a1a2e; color: #eee;
             }
             
             // Restore current container
-            if (state.selectionContext.currentContainerId) {
-                ctx.currentContainer = this._findObjectById(state.selectionContext.currentContainerId);
+            if (view.selectionContext.currentContainerId) {
+                ctx.currentContainer = this._findObjectById(view.selectionContext.currentContainerId);
             }
             
             // Validate: if container no longer exists, reset to root
@@ -22780,14 +25089,325 @@ pre { font-family: monospace; line-height: 1; background: #1a1a2e; color: #eee;
         const undoBtn = $('#btn-undo');
         const redoBtn = $('#btn-redo');
         
+        // A collaboration session keeps its own per-user history
+        const canUndo = this.collab ? this.collab.history.canUndo : this.history.canUndo();
+        const canRedo = this.collab ? this.collab.history.canRedo : this.history.canRedo();
+        
         if (undoBtn) {
-            undoBtn.disabled = AppState.undoStack.length === 0;
-            undoBtn.style.opacity = AppState.undoStack.length === 0 ? '0.5' : '1';
+            undoBtn.disabled = !canUndo;
+            undoBtn.style.opacity = canUndo ? '1' : '0.5';
         }
         
         if (redoBtn) {
-            redoBtn.disabled = AppState.redoStack.length === 0;
-            redoBtn.style.opacity = AppState.redoStack.length === 0 ? '0.5' : '1';
+            redoBtn.disabled = !canRedo;
+            redoBtn.style.opacity = canRedo ? '1' : '0.5';
+        }
+    }
+    
+    // ==========================================
+    // COLLABORATION
+    // ==========================================
+    
+    /**
+     * Show the collaboration dialog: join a room on a relay server, or
+     * show the participants and leave the current session
+     */
+    collaborate() {
+        if (this.collab) {
+            const peers = [...this.collab.peers.values()];
+            const rows = [this.collab.user, ...peers.map(p => p.user)].map((user, i) => `
+                <div style="display: flex; align-items: center; gap: 8px; padding: 4px 0;">
+                    <span style="width: 10px; height: 10px; border-radius: 50%; background: ${this._escapeHtml(user.color)};"></span>
+                    <span>${this._escapeHtml(user.name)}${i === 0 ? ' (you)' : ''}</span>
+                </div>`).join('');
+            
+            this._showDialog('Collaboration', `
+                <p style="margin: 0 0 10px; color: var(--color-text-secondary);">
+                    Room <strong>${this._escapeHtml(this.collab.room)}</strong> on ${this._escapeHtml(this.collab.url)}
+                </p>
+                ${rows}
+            `, [
+                { label: 'Close' },
+                { label: 'Leave Session', action: () => this._leaveCollabSession() }
+            ]);
+            return;
+        }
+        
+        const saved = JSON.parse(localStorage.getItem('asciistrator-collab') || '{}');
+        this._showDialog('Collaborate', `
+            <p style="margin: 0 0 12px; color: var(--color-text-secondary);">
+                Edit together in real time through a relay server. Start one with
+                <code>node scripts/relay.js</code>.
+            </p>
+            <div style="display: flex; flex-direction: column; gap: 10px;">
+                <label>Relay address
+                    <input type="text" id="collab-url" value="${this._escapeHtml(saved.url || 'ws://localhost:8787')}" style="width: 100%; padding: 6px;">
+                </label>
+                <label>Room
+                    <input type="text" id="collab-room" value="${this._escapeHtml(saved.room || 'whiteboard')}" style="width: 100%; padding: 6px;">
+                </label>
+                <label>Your name
+                    <input type="text" id="collab-name" value="${this._escapeHtml(saved.name || '')}" placeholder="Guest" style="width: 100%; padding: 6px;">
+                </label>
+            </div>
+            <p style="margin: 12px 0 0; font-size: 12px; color: var(--color-text-secondary);">
+                Joining an empty room shares your current document. Joining a room in use replaces it with the shared one.
+            </p>
+        `, [
+            { label: 'Cancel' },
+            {
+                label: 'Join',
+                primary: true,
+                action: () => {
+                    const options = {
+                        url: $('#collab-url').value.trim(),
+                        room: $('#collab-room').value.trim(),
+                        name: $('#collab-name').value.trim() || 'Guest'
+                    };
+                    if (!options.url || !options.room) {
+                        this._updateStatus('Enter a relay address and a room name');
+                        return false;
+                    }
+                    localStorage.setItem('asciistrator-collab', JSON.stringify(options));
+                    this._startCollabSession(options);
+                }
+            }
+        ]);
+    }
+    
+    /**
+     * Connect to a room and start syncing the document
+     * @param {{url: string, room: string, name: string}} options
+     */
+    async _startCollabSession(options) {
+        const { CollabSession } = await import('./collab/session.js');
+        const session = new CollabSession(options);
+        this._updateStatus(`Connecting to ${session.url}...`);
+        
+        let joined;
+        try {
+            joined = await session.connect();
+        } catch (err) {
+            console.error('Collaboration error:', err);
+            this._updateStatus(`Could not join room: ${err.message}`);
+            return;
+        }
+        
+        this.collab = session;
+        // The room's edits are undone per user through the session instead
+        this.history.reset();
+        session.on('before-change', () => this._syncCollab());
+        session.on('change', () => this._applyCollabDocument());
+        session.on('presence', () => this.renderAllObjects());
+        session.on('status', ({ status }) => {
+            if (status === 'disconnected' && this.collab === session) {
+                this.collab = null;
+                this.history.reset();
+                this._updateUndoRedoButtons();
+                this.renderAllObjects();
+                this._updateStatus('Collaboration session ended');
+            }
+        });
+        
+        if (joined.empty) {
+            // First in the room: share this document
+            session.commit(this._collabSnapshot(), { record: false });
+        } else {
+            this._applyCollabDocument();
+        }
+        
+        this._updateUndoRedoButtons();
+        this._updateStatus(`Joined room "${session.room}" as ${session.user.name} (${session.peers.size} others)`);
+    }
+    
+    _leaveCollabSession() {
+        if (!this.collab) return;
+        this._syncCollab();
+        const session = this.collab;
+        this.collab = null;
+        this.history.reset();
+        session.disconnect();
+        this._updateUndoRedoButtons();
+        this.renderAllObjects();
+        this._updateStatus('Left collaboration session');
+    }
+    
+    /**
+     * Local layers and top-level objects as collaboration records
+     * @returns {Map<string, {kind: string, values: Object}>}
+     */
+    _collabSnapshot() {
+        const records = new Map();
+        AppState.layers.forEach((layer, index) => {
+            const key = `layer:${layer.id}`;
+            records.set(key, {
+                kind: 'layer',
+                values: {
+                    id: layer.id,
+                    name: layer.name,
+                    visible: layer.visible,
+                    locked: layer.locked,
+                    blendMode: layer.blendMode || BlendModes.NORMAL,
+                    opacity: layer.opacity ?? 1,
+                    order: index
+                }
+            });
+            (layer.objects || []).forEach((obj, order) => {
+                records.set(obj.id, { kind: 'object', values: { ...obj.toJSON(), layer: key, order } });
+            });
+        });
+        return records;
+    }
+    
+    /**
+     * Note a local edit to publish. Only edit paths call this, so presence
+     * updates do not re-serialize the document.
+     */
+    _markCollabDirty() {
+        if (!this.collab) return;
+        this._collabDirty = true;
+        this._scheduleCollabSync();
+    }
+    
+    /**
+     * Throttle publishing local edits and the cursor position
+     */
+    _scheduleCollabSync() {
+        if (this._collabSyncTimer) return;
+        this._collabSyncTimer = setTimeout(() => {
+            this._collabSyncTimer = null;
+            this._syncCollab();
+        }, 50);
+    }
+    
+    /**
+     * Publish pending local edits and presence right away
+     */
+    _syncCollab() {
+        if (!this.collab?.connected) return;
+        if (this._collabSyncTimer) {
+            clearTimeout(this._collabSyncTimer);
+            this._collabSyncTimer = null;
+        }
+        
+        if (this._collabDirty) {
+            this._collabDirty = false;
+            this.collab.commit(this._collabSnapshot());
+            this._updateUndoRedoButtons();
+        }
+        this.collab.setPresence({
+            cursor: this._collabCursor,
+            selection: AppState.selectedObjects.map(obj => obj.id)
+        });
+    }
+    
+    /**
+     * Rebuild layers and objects from the shared document, reusing local
+     * objects that did not change so selections and tools keep working
+     */
+    _applyCollabDocument() {
+        const doc = this.collab.doc;
+        const byOrder = (a, b) => (a.values.order - b.values.order) || (a.id < b.id ? -1 : 1);
+        
+        const existing = new Map();
+        for (const layer of AppState.layers) {
+            for (const obj of layer.objects || []) existing.set(obj.id, obj);
+        }
+        
+        const objectsByLayer = new Map();
+        for (const id of doc.ids('object')) {
+            const values = doc.get(id);
+            if (!objectsByLayer.has(values.layer)) objectsByLayer.set(values.layer, []);
+            objectsByLayer.get(values.layer).push({ id, values });
+        }
+        
+        const selectedIds = AppState.selectedObjects.map(obj => obj.id);
+        const layers = doc.ids('layer').map(id => ({ id, values: doc.get(id) })).sort(byOrder);
+        
+        AppState.layers = layers.map(({ id: key, values }) => {
+            const previous = AppState.layers.find(layer => layer.id === values.id);
+            const objects = (objectsByLayer.get(key) || []).sort(byOrder).map(({ values: record }) => {
+                const { layer, order, ...json } = record;
+                const current = existing.get(json.id);
+                if (current && JSON.stringify(current.toJSON()) === JSON.stringify(json)) return current;
+                return this._createObjectFromJSON(json);
+            }).filter(obj => obj !== null);
+            
+            return {
+                id: values.id,
+                name: values.name,
+                visible: values.visible,
+                locked: values.locked,
+                blendMode: values.blendMode || BlendModes.NORMAL,
+                opacity: values.opacity ?? 1,
+                buffer: previous?.buffer || new AsciiBuffer(AppState.canvasWidth, AppState.canvasHeight),
+                objects
+            };
+        });
+        
+        if (!AppState.layers.some(layer => layer.id === AppState.activeLayerId) && AppState.layers.length > 0) {
+            AppState.activeLayerId = AppState.layers[0].id;
+        }
+        AppState.selectedObjects = selectedIds.map(id => this._findObjectById(id)).filter(Boolean);
+        
+        // Rebuilt objects may serialize slightly differently; publish that
+        // without adding it to the undo history
+        this.collab.commit(this._collabSnapshot(), { record: false });
+        
+        this._spatialIndexDirty = true;
+        this.renderAllObjects();
+        this._collabDirty = false;
+        this._updateLayerList();
+    }
+    
+    /**
+     * Per-user undo and redo while collaborating
+     * @param {boolean} redo - Redo instead of undo
+     */
+    _undoCollab(redo) {
+        this._syncCollab();
+        const done = redo ? this.collab.redo() : this.collab.undo();
+        if (!done) {
+            this._updateStatus(redo ? 'Nothing to redo' : 'Nothing to undo');
+            return;
+        }
+        
+        this._applyCollabDocument();
+        this._updateStatus(redo ? 'Redo' : 'Undo');
+        this._updateUndoRedoButtons();
+    }
+    
+    /**
+     * Draw other participants' cursors and selections in their colors
+     */
+    _renderCollaboratorsOverlay() {
+        if (!this.collab || !this.renderer?.previewBuffer) return;
+        const buffer = this.renderer.previewBuffer;
+        
+        for (const { user, presence } of this.collab.peers.values()) {
+            if (!presence) continue;
+            const color = user.color;
+            
+            for (const id of presence.selection || []) {
+                const obj = this._findObjectById(id);
+                if (!obj) continue;
+                const b = obj.getBounds();
+                const x1 = b.x - 1, y1 = b.y - 1;
+                const x2 = b.x + b.width, y2 = b.y + b.height;
+                buffer.setChar(x1, y1, '┏', color);
+                buffer.setChar(x2, y1, '┓', color);
+                buffer.setChar(x1, y2, '┗', color);
+                buffer.setChar(x2, y2, '┛', color);
+            }
+            
+            if (presence.cursor) {
+                const { x, y } = presence.cursor;
+                buffer.setChar(x, y, '◆', color);
+                const name = String(user.name);
+                for (let i = 0; i < name.length; i++) {
+                    buffer.setChar(x + 2 + i, y, name[i], color);
+                }
+            }
         }
     }
     
@@ -23092,8 +25712,13 @@ pre { font-family: monospace; line-height: 1; background: #1a1a2e; color: #eee;
         document.body.removeChild(textarea);
     }
     
-    // Auto-layout flowchart objects
-    autoLayoutFlowchart() {
+    /**
+     * Auto-layout flowchart objects on visible layers with the layered
+     * layout. Connectors drawn without attachments are attached to the
+     * shapes their endpoints lie on.
+     * @param {string} [direction='TB'] - 'TB', 'BT', 'LR' or 'RL'
+     */
+    autoLayoutFlowchart(direction = 'TB') {
         // Find all flowchart shapes and connectors
         const shapes = [];
         const connectors = [];
@@ -23114,134 +25739,147 @@ pre { font-family: monospace; line-height: 1; background: #1a1a2e; color: #eee;
             return;
         }
         
-        this.saveStateForUndo();
-        
-        // Simple grid-based auto layout
-        const startX = 10;
-        const startY = 5;
-        const horizontalSpacing = 25;
-        const verticalSpacing = 10;
-        const maxCols = 4;
-        
-        // Build dependency graph from connectors
-        const incoming = new Map(); // shape -> list of shapes pointing to it
-        const outgoing = new Map(); // shape -> list of shapes it points to
+        this.saveStateForUndo('Auto-layout flowchart', [...shapes, ...connectors]);
         
-        shapes.forEach(s => {
-            incoming.set(s, []);
-            outgoing.set(s, []);
+        const shapeAt = (x, y) => shapes.find(shape => {
+            const bounds = shape.getBounds();
+            return x >= bounds.x && x < bounds.x + bounds.width &&
+                y >= bounds.y && y < bounds.y + bounds.height;
         });
-        
-        // Analyze connectors to build graph
         for (const conn of connectors) {
-            let startShape = null, endShape = null;
-            
-            for (const shape of shapes) {
-                const bounds = shape.getBounds();
-                // Check if connector starts from this shape
-                if (conn.startX >= bounds.x && conn.startX <= bounds.x + bounds.width &&
-                    conn.startY >= bounds.y && conn.startY <= bounds.y + bounds.height) {
-                    startShape = shape;
-                }
-                // Check if connector ends at this shape
-                if (conn.endX >= bounds.x && conn.endX <= bounds.x + bounds.width &&
-                    conn.endY >= bounds.y && conn.endY <= bounds.y + bounds.height) {
-                    endShape = shape;
-                }
+            if (!conn.fromShapeId) {
+                const shape = shapeAt(conn.startX, conn.startY);
+                if (shape) conn.setFromShape(shape, shape.getClosestSnapPoint(conn.startX, conn.startY).id);
             }
-            
-            if (startShape && endShape && startShape !== endShape) {
-                outgoing.get(startShape).push(endShape);
-                incoming.get(endShape).push(startShape);
+            if (!conn.toShapeId) {
+                const shape = shapeAt(conn.endX, conn.endY);
+                if (shape) conn.setToShape(shape, shape.getClosestSnapPoint(conn.endX, conn.endY).id);
             }
         }
         
-        // Find root nodes (no incoming connections)
-        const roots = shapes.filter(s => incoming.get(s).length === 0);
+        // Keep the diagram where it is on the canvas
+        const startX = Math.max(1, Math.min(...shapes.map(s => s.x)));
+        const startY = Math.max(1, Math.min(...shapes.map(s => s.y)));
+        const result = new FlowchartLayout().layoutLayered(shapes, connectors, { direction, startX, startY });
         
-        // If no clear roots, use first shape
-        if (roots.length === 0 && shapes.length > 0) {
-            roots.push(shapes[0]);
+        const right = startX + result.width + 2;
+        const bottom = startY + result.height + 2;
+        if (right > AppState.canvasWidth || bottom > AppState.canvasHeight) {
+            this.resizeCanvas(Math.max(AppState.canvasWidth, right), Math.max(AppState.canvasHeight, bottom));
         }
         
-        // BFS layout from roots
-        const visited = new Set();
-        const levels = []; // Array of arrays, each level contains shapes at that depth
-        let queue = [...roots];
-        
-        while (queue.length > 0) {
-            const currentLevel = [];
-            const nextQueue = [];
-            
-            for (const shape of queue) {
-                if (visited.has(shape)) continue;
-                visited.add(shape);
-                currentLevel.push(shape);
-                
-                // Add children to next level
-                for (const child of outgoing.get(shape)) {
-                    if (!visited.has(child)) {
-                        nextQueue.push(child);
-                    }
+        this._spatialIndexDirty = true;
+        this.renderAllObjects();
+        this._updateStatus(`Auto-layout applied to ${shapes.length} shapes` +
+            (result.crossings > 0 ? ` (${result.crossings} crossings)` : ''));
+    }
+    
+    /**
+     * Collect flowchart shapes and connectors on visible layers, including
+     * those nested in groups and frames, and the visible objects connectors
+     * should route around
+     * @returns {{shapes: Array, connectors: Array, obstacles: Array}}
+     */
+    _collectFlowchartObjects() {
+        const shapes = [];
+        const connectors = [];
+        const obstacles = [];
+        const visit = (objects, visible) => {
+            for (const obj of objects) {
+                const shown = visible && obj.visible !== false;
+                if (obj instanceof FlowchartShape) {
+                    shapes.push(obj);
+                } else if (obj instanceof FlowchartConnector) {
+                    connectors.push(obj);
                 }
+                
+                // Groups and frames enclose their children, so only their contents block routes
+                const container = obj.children?.length > 0 && !(obj instanceof FlowchartShape);
+                if (shown && !container && !(obj instanceof FlowchartConnector)) obstacles.push(obj);
+                if (obj.children) visit(obj.children, shown);
             }
-            
-            if (currentLevel.length > 0) {
-                levels.push(currentLevel);
-            }
-            queue = nextQueue;
-        }
+        };
         
-        // Add any unvisited shapes
-        for (const shape of shapes) {
-            if (!visited.has(shape)) {
-                if (levels.length === 0) levels.push([]);
-                levels[levels.length - 1].push(shape);
-            }
+        for (const layer of AppState.layers) {
+            if (layer.visible && layer.objects) visit(layer.objects, true);
         }
+        return { shapes, connectors, obstacles };
+    }
+    
+    /**
+     * Route orthogonal connectors around flowchart shapes and other visible
+     * objects. Connectors are routed one after another, each keeping clear
+     * of the ones before it, so parallel connectors spread out into
+     * separate lanes.
+     * @param {Array} [connectors] - Connectors to route; all connectors on visible layers when omitted
+     */
+    rerouteConnectors(connectors = null) {
+        const found = this._collectFlowchartObjects();
+        const targets = connectors || found.connectors;
+        const pathOf = conn => [
+            { x: conn.startX, y: conn.startY },
+            ...conn.waypoints,
+            { x: conn.endX, y: conn.endY }
+        ];
         
-        // Position shapes by level
-        levels.forEach((level, levelIdx) => {
-            const levelY = startY + levelIdx * verticalSpacing;
-            const levelWidth = level.length * horizontalSpacing;
-            const levelStartX = startX + Math.max(0, (maxCols * horizontalSpacing - levelWidth) / 2);
-            
-            level.forEach((shape, idx) => {
-                const newX = levelStartX + idx * horizontalSpacing;
-                const newY = levelY;
-                
-                // Calculate movement delta
-                const dx = newX - shape.x;
-                const dy = newY - shape.y;
-                
-                shape.x = newX;
-                shape.y = newY;
-                
-                // Update snap points
-                if (shape._updateSnapPoints) {
-                    shape._updateSnapPoints();
-                }
-            });
-        });
+        const router = new OrthogonalRouter();
+        // Objects drawn around shapes, such as swimlanes, are backgrounds, not obstacles
+        const shapeBounds = found.shapes.map(shape => shape.getBounds());
+        const encloses = (a, b) => a.x <= b.x && a.y <= b.y &&
+            a.x + a.width >= b.x + b.width && a.y + a.height >= b.y + b.height;
+        router.setObstacles(found.obstacles
+            .map(obj => ({ obj, bounds: obj.getBounds() }))
+            .filter(({ obj, bounds }) => obj instanceof FlowchartShape ||
+                !shapeBounds.some(shape => encloses(bounds, shape)))
+            .map(({ bounds }) => bounds));
+        router.setBounds({ x: 0, y: 0, width: AppState.canvasWidth, height: AppState.canvasHeight });
         
-        // Update connector positions based on new shape positions
-        for (const conn of connectors) {
-            // Find connected shapes and update connector endpoints
-            for (const shape of shapes) {
-                const snapPoints = shape.getSnapPoints ? shape.getSnapPoints() : [];
-                for (const sp of snapPoints) {
-                    const spX = shape.x + sp.relX;
-                    const spY = shape.y + sp.relY;
-                    
-                    // If connector was attached, update to new position
-                    // This is a simplified approach - just try to maintain relative positions
-                }
+        for (const conn of found.connectors) {
+            if (conn.connectorStyle === 'orthogonal' && !targets.includes(conn)) {
+                router.addPath(pathOf(conn));
+            }
+        }
+        for (const conn of targets) {
+            conn.updateFromShapes(found.shapes, router);
+            if (conn.connectorStyle === 'orthogonal') router.addPath(pathOf(conn));
+        }
+    }
+    
+    /**
+     * Re-route the connectors attached to moved or resized shapes
+     * @param {Array} objects - Changed objects; group and frame children are included
+     */
+    _rerouteAttachedConnectors(objects) {
+        const ids = new Set();
+        const visit = (list) => {
+            for (const obj of list) {
+                ids.add(obj.id);
+                if (obj.children) visit(obj.children);
             }
+        };
+        visit(objects);
+        
+        const attached = this._collectFlowchartObjects().connectors
+            .filter(conn => ids.has(conn.fromShapeId) || ids.has(conn.toShapeId));
+        if (attached.length > 0) this.rerouteConnectors(attached);
+    }
+    
+    /**
+     * Re-route every connector on visible layers
+     */
+    rerouteAllConnectors() {
+        const { connectors } = this._collectFlowchartObjects();
+        if (connectors.length === 0) {
+            this._updateStatus('No flowchart connectors to route');
+            return;
         }
         
+        this.saveStateForUndo('Re-route connectors', connectors);
+        this.rerouteConnectors();
+        
         this._spatialIndexDirty = true;
         this.renderAllObjects();
-        this._updateStatus(`Auto-layout applied to ${shapes.length} shapes`);
+        this._updateStatus(`Re-routed ${connectors.length} connectors`);
     }
     
     // Zoom methods - delegate to renderer
@@ -23276,7 +25914,7 @@ pre { font-family: monospace; line-height: 1; background: #1a1a2e; color: #eee;
     // Clipboard methods
     cut() {
         if (AppState.selectedObjects.length > 0) {
-            this.saveStateForUndo();
+            this.saveStateForUndo('Cut');
             this.copy();
             for (const obj of AppState.selectedObjects) {
                 this.removeObject(obj.id);
@@ -23329,7 +25967,7 @@ pre { font-family: monospace; line-height: 1; background: #1a1a2e; color: #eee;
     
     paste() {
         if (AppState.clipboard && AppState.clipboard.length > 0) {
-            this.saveStateForUndo();
+            this.saveStateForUndo('Paste');
             
             // Determine paste position: use cursor position if available, otherwise use a default offset
             let pasteX = 5;
@@ -23455,7 +26093,30 @@ pre { font-family: monospace; line-height: 1; background: #1a1a2e; color: #eee;
             }
             case 'chart': {
                 const obj = new ChartObject(json.x, json.y, json.width, json.height);
-                Object.assign(obj, json);
+                const { dataSource, ...props } = json;
+                Object.assign(obj, props);
+                if (dataSource) {
+                    try {
+                        obj.setDataSource(ChartDataSource.fromJSON(dataSource));
+                    } catch (err) {
+                        // Keep the last plotted values when the stored data no longer parses
+                        console.warn(`Chart "${obj.name}": data source not loaded:`, err.message);
+                    }
+                }
+                return obj;
+            }
+            case 'sequence': {
+                const obj = new SequenceDiagramObject(json.x, json.y);
+                const { source, ...props } = json;
+                Object.assign(obj, props);
+                try {
+                    obj.setSource(source ?? '');
+                } catch (err) {
+                    // Keep the source so it can be fixed in the editor
+                    console.warn(`Sequence diagram "${obj.name}" not laid out:`, err.message);
+                    obj.source = source ?? '';
+                    obj._layout = null;
+                }
                 return obj;
             }
             case 'group': {
@@ -23543,6 +26204,11 @@ pre { font-family: monospace; line-height: 1; background: #1a1a2e; color: #eee;
                 Object.assign(obj, json);
                 return obj;
             }
+            case 'connector-circle': {
+                const obj = new ConnectorCircleShape(json.x, json.y);
+                Object.assign(obj, json);
+                return obj;
+            }
             case 'flowchart-connector':
             case 'connector': {
                 const obj = new FlowchartConnector();
@@ -23587,7 +26253,55 @@ pre { font-family: monospace; line-height: 1; background: #1a1a2e; color: #eee;
         }
         AppState.selectedObjects = newSelection;
         this.renderAllObjects();
-        this._updateStatus('Objects ungrouped');
+        this._updateStatus('Objects ungrouped');
+    }
+    
+    /**
+     * Toggle the mask of the selected groups: the first child's shape
+     * clips the other children. Nothing is cut, so releasing the mask
+     * (or ungrouping) shows the children whole again.
+     */
+    toggleGroupMask() {
+        const groups = AppState.selectedObjects.filter(obj => obj.type === 'group');
+        if (groups.length === 0) {
+            this._updateStatus('Select a group to use its first child as a mask');
+            return;
+        }
+        
+        const useMask = !groups.every(group => group.useMask);
+        this.saveStateForUndo(useMask ? 'Use as Mask' : 'Release Mask');
+        for (const group of groups) {
+            group.useMask = useMask;
+            group._updateBounds();
+        }
+        
+        AppState.modified = true;
+        this.renderAllObjects();
+        this._updateLayerList();
+        this._updateStatus(useMask ? 'First child masks the group' : 'Mask released');
+    }
+    
+    /**
+     * Invert the mask of the selected masked groups, so the mask shape
+     * cuts a hole instead of framing the content
+     */
+    invertGroupMask() {
+        const groups = AppState.selectedObjects.filter(obj => obj.type === 'group' && obj.useMask);
+        if (groups.length === 0) {
+            this._updateStatus('Select a masked group to invert its mask');
+            return;
+        }
+        
+        this.saveStateForUndo('Invert Mask');
+        for (const group of groups) {
+            group.invertMask = !group.invertMask;
+            group._updateBounds();
+        }
+        
+        AppState.modified = true;
+        this.renderAllObjects();
+        this._updateLayerList();
+        this._updateStatus(groups[0].invertMask ? 'Mask inverted' : 'Mask restored');
     }
     
     // ==========================================
@@ -24594,7 +27308,7 @@ pre { font-family: monospace; line-height: 1; background: #1a1a2e; color: #eee;
             return;
         }
         
-        this.saveStateForUndo();
+        this.saveStateForUndo(`Align ${alignment}`);
         
         // Calculate bounds of all selected objects
         let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
@@ -24645,7 +27359,7 @@ pre { font-family: monospace; line-height: 1; background: #1a1a2e; color: #eee;
             return;
         }
         
-        this.saveStateForUndo();
+        this.saveStateForUndo(`Distribute ${direction}ly`);
         
         // Sort objects by position
         const sorted = [...AppState.selectedObjects].sort((a, b) => {
@@ -24687,7 +27401,7 @@ pre { font-family: monospace; line-height: 1; background: #1a1a2e; color: #eee;
             return;
         }
         
-        this.saveStateForUndo();
+        this.saveStateForUndo('Tidy up');
         
         // Simple tidy up: align to grid and distribute evenly
         const gridSize = AppState.gridSpacing || 5;
@@ -24724,7 +27438,7 @@ pre { font-family: monospace; line-height: 1; background: #1a1a2e; color: #eee;
     flipObjects(direction) {
         if (AppState.selectedObjects.length === 0) return;
         
-        this.saveStateForUndo();
+        this.saveStateForUndo(`Flip ${direction}`);
         
         // Calculate center of selection
         let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
@@ -24760,7 +27474,7 @@ pre { font-family: monospace; line-height: 1; background: #1a1a2e; color: #eee;
     rotateObjects(degrees) {
         if (AppState.selectedObjects.length === 0) return;
         
-        this.saveStateForUndo();
+        this.saveStateForUndo(`Rotate ${degrees}°`);
         
         for (const obj of AppState.selectedObjects) {
             obj.rotation = ((obj.rotation || 0) + degrees) % 360;
@@ -24884,6 +27598,8 @@ pre { font-family: monospace; line-height: 1; background: #1a1a2e; color: #eee;
             // Object
             { label: 'Group', action: () => this.groupSelected(), category: 'Object', shortcut: 'Ctrl+G' },
             { label: 'Ungroup', action: () => this.ungroupSelected(), category: 'Object', shortcut: 'Ctrl+Shift+G' },
+            { label: 'Use as Mask', action: () => this.toggleGroupMask(), category: 'Object' },
+            { label: 'Invert Mask', action: () => this.invertGroupMask(), category: 'Object' },
             { label: 'Frame Selection', action: () => this.frameSelection(), category: 'Object', shortcut: 'Ctrl+Alt+G' },
             { label: 'Rename', action: () => this.renameSelected(), category: 'Object', shortcut: 'Ctrl+R' },
             { label: 'Bring to Front', action: () => this.bringToFront(), category: 'Object' },
@@ -25600,8 +28316,8 @@ pre { font-family: monospace; line-height: 1; background: #1a1a2e; color: #eee;
             
             const matches = findMatches();
             if (matches.length > 0) {
-                this.saveStateForUndo();
                 const obj = matches[0];
+                this.saveStateForUndo(null, [obj]);
                 if (caseSensitive.checked) {
                     obj.text = obj.text.replace(find, replace);
                 } else {
@@ -25620,7 +28336,7 @@ pre { font-family: monospace; line-height: 1; background: #1a1a2e; color: #eee;
             
             const matches = findMatches();
             if (matches.length > 0) {
-                this.saveStateForUndo();
+                this.saveStateForUndo(null, matches);
                 let count = 0;
                 for (const obj of matches) {
                     const flags = caseSensitive.checked ? 'g' : 'gi';
@@ -25765,104 +28481,36 @@ pre { font-family: monospace; line-height: 1; background: #1a1a2e; color: #eee;
             return;
         }
         
-        // Only work with rectangles and ellipses for ASCII
-        const shapes = AppState.selectedObjects.filter(obj => 
-            obj.type === 'rectangle' || obj.type === 'ellipse'
-        );
+        // Shapes and paths that can give their outline as polygons
+        const shapes = AppState.selectedObjects.filter(obj => typeof obj.toPolygons === 'function');
         
         if (shapes.length < 2) {
-            this._updateStatus('Boolean operations require rectangle or ellipse shapes');
+            this._updateStatus('Boolean operations require shapes or paths');
             return;
         }
         
-        this.saveStateForUndo();
-        
-        // Preserve style from the first shape (primary shape)
-        const primaryShape = shapes[0];
-        const preservedStyle = {
-            strokeChar: primaryShape.strokeChar || '*',
-            fillChar: primaryShape.fillChar || '█',
-            strokeColor: primaryShape.strokeColor,
-            fillColor: primaryShape.fillColor,
-            lineStyle: primaryShape.lineStyle || 'single',
-            filled: primaryShape.filled !== undefined ? primaryShape.filled : true
-        };
-        
-        // Get bounds of all shapes
-        const allBounds = shapes.map(s => s.getBounds ? s.getBounds() : { x: s.x, y: s.y, width: s.width, height: s.height });
-        
-        // Calculate union bounds
-        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-        for (const b of allBounds) {
-            minX = Math.min(minX, b.x);
-            minY = Math.min(minY, b.y);
-            maxX = Math.max(maxX, b.x + b.width);
-            maxY = Math.max(maxY, b.y + b.height);
+        const polygons = PathBoolean.combine(operation, shapes.map(shape => shape.toPolygons()));
+        const points = polygonsToPath(polygons);
+        if (points.length === 0) {
+            this._updateStatus(`Boolean ${operation} leaves nothing to keep`);
+            return;
         }
         
-        // Create result based on operation
-        const width = maxX - minX;
-        const height = maxY - minY;
-        
-        // For ASCII art, we simulate boolean ops by creating a text grid
-        // Use the fill character from the preserved style
-        const fillCharacter = preservedStyle.fillChar || '█';
-        const grid = [];
-        for (let y = 0; y < height; y++) {
-            grid[y] = [];
-            for (let x = 0; x < width; x++) {
-                const worldX = minX + x;
-                const worldY = minY + y;
-                
-                // Check which shapes contain this point
-                const containedBy = shapes.filter((shape, idx) => {
-                    const b = allBounds[idx];
-                    if (shape.type === 'rectangle') {
-                        return worldX >= b.x && worldX < b.x + b.width &&
-                               worldY >= b.y && worldY < b.y + b.height;
-                    } else if (shape.type === 'ellipse') {
-                        const cx = b.x + b.width / 2;
-                        const cy = b.y + b.height / 2;
-                        const rx = b.width / 2;
-                        const ry = b.height / 2;
-                        return Math.pow((worldX - cx) / rx, 2) + Math.pow((worldY - cy) / ry, 2) <= 1;
-                    }
-                    return false;
-                });
-                
-                let filled = false;
-                switch (operation) {
-                    case 'union':
-                        filled = containedBy.length > 0;
-                        break;
-                    case 'subtract':
-                        // First shape minus others
-                        filled = containedBy.includes(shapes[0]) && containedBy.length === 1;
-                        break;
-                    case 'intersect':
-                        filled = containedBy.length === shapes.length;
-                        break;
-                    case 'exclude':
-                        // XOR - odd number of containments
-                        filled = containedBy.length % 2 === 1;
-                        break;
-                }
-                
-                grid[y][x] = filled ? fillCharacter : ' ';
-            }
-        }
+        this.saveStateForUndo(`Boolean ${operation}`);
         
-        // Create text object from grid
-        const text = grid.map(row => row.join('')).join('\n');
-        const resultObj = new TextObject(minX, minY, text);
+        // The result is a compound path in the style of the first (primary) shape
+        const primaryShape = shapes[0];
+        const resultObj = new PathObject();
+        resultObj.points = points;
+        resultObj.closed = true;
+        resultObj.filled = primaryShape.filled ?? false;
+        resultObj.strokeChar = primaryShape.strokeChar;
+        resultObj.fillChar = primaryShape.fillChar;
+        resultObj.strokeColor = primaryShape.strokeColor;
+        resultObj.fillColor = primaryShape.fillColor;
+        resultObj.lineStyle = primaryShape.lineStyle;
         resultObj.name = `Boolean ${operation.charAt(0).toUpperCase() + operation.slice(1)}`;
-        
-        // Apply preserved style properties to the result
-        resultObj.strokeChar = preservedStyle.strokeChar;
-        resultObj.fillChar = preservedStyle.fillChar;
-        resultObj.strokeColor = preservedStyle.strokeColor;
-        resultObj.fillColor = preservedStyle.fillColor;
-        resultObj.lineStyle = preservedStyle.lineStyle;
+        resultObj._updateBounds();
         
         // Remove original shapes
         for (const shape of shapes) {
@@ -26848,42 +29496,41 @@ pre { font-family: monospace; line-height: 1; background: #1a1a2e; color: #eee;
         const dialog = document.createElement('div');
         dialog.className = 'modal-overlay';
         
-        const formatTime = (index) => {
-            const total = AppState.undoStack.length;
-            if (index === total) return 'Current State';
-            const stepsBack = total - index;
-            return `${stepsBack} step${stepsBack > 1 ? 's' : ''} ago`;
-        };
+        // Record edits made since the last step so they show up too
+        this.history.flush();
+        const entries = this.history.getEntries();
+        const stepCount = this.history.undoStack.length;
+        
+        const renderItem = ({ id, title, detail, time, current, future }) => `
+            <div class="history-item${current ? ' current' : ''}" data-id="${id}" style="display: flex; align-items: center; gap: 10px; padding: 10px 12px; border-radius: 6px; cursor: pointer; border: ${current ? '2px solid var(--color-accent)' : '1px solid transparent'}; ${current ? 'background: var(--color-bg-tertiary);' : ''} ${future ? 'opacity: 0.55;' : ''} transition: all 0.15s;">
+                <div style="width: 8px; height: 8px; border-radius: 50%; background: ${current ? 'var(--color-accent)' : 'var(--color-text-muted)'};"></div>
+                <div style="flex: 1;">
+                    <div style="font-weight: 500;">${this._escapeHtml(title)}</div>
+                    <div style="font-size: 11px; color: var(--color-text-muted);">${this._escapeHtml(detail)}</div>
+                </div>
+                <span style="font-size: 11px; color: ${current ? 'var(--color-accent)' : 'var(--color-text-muted)'};">${time}</span>
+            </div>
+        `;
         
         const renderHistoryList = () => {
-            const items = [];
-            // Add current state
-            items.push(`
-                <div class="history-item current" data-index="${AppState.undoStack.length}" style="display: flex; align-items: center; gap: 10px; padding: 10px 12px; border-radius: 6px; cursor: pointer; border: 2px solid var(--color-accent); background: var(--color-bg-tertiary);">
-                    <div style="width: 8px; height: 8px; border-radius: 50%; background: var(--color-accent);"></div>
-                    <div style="flex: 1;">
-                        <div style="font-weight: 500;">Current State</div>
-                        <div style="font-size: 11px; color: var(--color-text-muted);">${this._getStateDescription()}</div>
-                    </div>
-                    <span style="font-size: 11px; color: var(--color-accent);">Now</span>
-                </div>
-            `);
-            
-            // Add undo stack items (most recent first)
-            for (let i = AppState.undoStack.length - 1; i >= 0; i--) {
-                const state = AppState.undoStack[i];
-                const objectCount = state.layers.reduce((sum, l) => sum + (l.objects?.length || 0), 0);
-                items.push(`
-                    <div class="history-item" data-index="${i}" style="display: flex; align-items: center; gap: 10px; padding: 10px 12px; border-radius: 6px; cursor: pointer; border: 1px solid transparent; transition: all 0.15s;">
-                        <div style="width: 8px; height: 8px; border-radius: 50%; background: var(--color-text-muted);"></div>
-                        <div style="flex: 1;">
-                            <div style="font-weight: 500;">State #${i + 1}</div>
-                            <div style="font-size: 11px; color: var(--color-text-muted);">${objectCount} object${objectCount !== 1 ? 's' : ''}</div>
-                        </div>
-                        <span style="font-size: 11px; color: var(--color-text-muted);">${formatTime(i)}</span>
-                    </div>
-                `);
-            }
+            // Newest first: undone steps, the current step, then older steps
+            const items = entries.map(({ entry, current, canUndo }) => renderItem({
+                id: entry.id,
+                title: entry.name,
+                detail: current ? this._getStateDescription() : (canUndo ? entry.description : 'Undone'),
+                time: current ? 'Now' : entry.getFormattedTime(),
+                current,
+                future: !canUndo
+            }));
+            
+            items.push(renderItem({
+                id: '',
+                title: 'Start of History',
+                detail: stepCount === 0 ? this._getStateDescription() : 'Before the first step',
+                time: stepCount === 0 ? 'Now' : '',
+                current: stepCount === 0,
+                future: false
+            }));
             
             return items.join('');
         };
@@ -26897,7 +29544,7 @@ pre { font-family: monospace; line-height: 1; background: #1a1a2e; color: #eee;
                 <div class="modal-body" style="max-height: 400px; overflow-y: auto; padding: 0;">
                     <div style="padding: 12px;">
                         <div style="font-size: 12px; color: var(--color-text-muted); margin-bottom: 10px;">
-                            ${AppState.undoStack.length} saved state${AppState.undoStack.length !== 1 ? 's' : ''} • Click to restore
+                            ${stepCount} step${stepCount !== 1 ? 's' : ''} • Click to restore
                         </div>
                         <div id="history-list" style="display: flex; flex-direction: column; gap: 6px;">
                             ${renderHistoryList()}
@@ -26920,8 +29567,9 @@ pre { font-family: monospace; line-height: 1; background: #1a1a2e; color: #eee;
             const item = e.target.closest('.history-item');
             if (!item || item.classList.contains('current')) return;
             
-            const index = parseInt(item.dataset.index);
-            this._restoreToHistoryIndex(index);
+            const command = this.history.goTo(item.dataset.id || null);
+            this._updateUndoRedoButtons();
+            this._updateStatus(command ? `Restored to "${command.name}"` : 'Restored to start of history');
             dialog.remove();
         });
         
@@ -26944,8 +29592,7 @@ pre { font-family: monospace; line-height: 1; background: #1a1a2e; color: #eee;
         // Clear history
         dialog.querySelector('#btn-clear-history').addEventListener('click', () => {
             if (confirm('Clear all history? This cannot be undone.')) {
-                AppState.undoStack = [];
-                AppState.redoStack = [];
+                this.history.clear();
                 this._updateUndoRedoButtons();
                 this._updateStatus('History cleared');
                 dialog.remove();
@@ -26960,23 +29607,6 @@ pre { font-family: monospace; line-height: 1; background: #1a1a2e; color: #eee;
         });
     }
     
-    _restoreToHistoryIndex(index) {
-        // Save current state to end of redo stack
-        const currentState = this._captureState();
-        
-        // Get the target state
-        const targetState = AppState.undoStack[index];
-        
-        // Move all states after index to redo stack
-        const statesToRedo = AppState.undoStack.splice(index);
-        AppState.redoStack = [...statesToRedo, currentState, ...AppState.redoStack];
-        
-        // Restore target state
-        this._restoreState(targetState);
-        this._updateUndoRedoButtons();
-        this._updateStatus(`Restored to state #${index + 1}`);
-    }
-    
     _getStateDescription() {
         const objectCount = AppState.layers.reduce((sum, l) => sum + (l.objects?.length || 0), 0);
         const selectedCount = AppState.selectedObjects.length;
@@ -27375,6 +30005,76 @@ pre { font-family: monospace; line-height: 1; background: #1a1a2e; color: #eee;
         this._updateStatus(`Inserted asset: ${asset.name}`);
     }
     
+    /**
+     * Load a FIGlet (.flf) font from disk and apply it to the selected banner text
+     */
+    loadFigletFont() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.flf';
+        
+        input.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            
+            try {
+                const { name } = await figletFonts.loadFile(file);
+                try {
+                    figletFonts.saveTo(localStorage);
+                } catch (storageError) {
+                    console.warn('Failed to persist FIGlet font:', storageError);
+                }
+                
+                AppState.asciiTextFont = name;
+                this._refreshFigletFontOptions();
+                
+                const obj = AppState.selectedObjects[0];
+                if (obj?.type === 'ascii-text') {
+                    this.saveStateForUndo();
+                    obj.fontName = name;
+                    obj._updateBounds();
+                    this._spatialIndexDirty = true;
+                    this.renderAllObjects();
+                }
+                this._updatePropertiesPanel();
+                this._updateStatus(`Loaded FIGlet font: ${name}`);
+            } catch (err) {
+                console.error('Failed to load FIGlet font:', err);
+                this._updateStatus(`Error loading font: ${err.message}`);
+            }
+        });
+        
+        input.click();
+    }
+    
+    /**
+     * Names of the FIGlet fonts used by banner text on any layer
+     * @returns {Set<string>}
+     */
+    _figletFontsInUse() {
+        const names = new Set();
+        const visit = (objects) => {
+            for (const obj of objects) {
+                if (obj.type === 'ascii-text' && obj.fontName) names.add(obj.fontName);
+                if (obj.children) visit(obj.children);
+            }
+        };
+        
+        for (const layer of AppState.layers) {
+            if (layer.objects) visit(layer.objects);
+        }
+        return names;
+    }
+    
+    _refreshFigletFontOptions() {
+        const select = $('#prop-figlet-font');
+        if (!select) return;
+        
+        // Font names come from user file names, so build the options as nodes
+        select.replaceChildren(...figletFonts.list().map(name => createElement('option', { value: name }, name)));
+        select.value = figletFonts.has(AppState.asciiTextFont) ? AppState.asciiTextFont : figletFonts.defaultFont;
+    }
+    
     _saveAssetLibrary() {
         try {
             localStorage.setItem('asciistrator-assets', JSON.stringify(AppState.assetLibrary));
@@ -27684,6 +30384,19 @@ pre { font-family: monospace; line-height: 1; background: #1a1a2e; color: #eee;
         const x = 10, y = 10;
         const width = 40, height = 15;
         
+        // Chart engine types start from sample data, replaced through
+        // Charts > Chart Data Source...
+        if (ChartSamples[type]) {
+            const chart = new ChartObject(x, y, 50, 16);
+            chart.chartType = type;
+            chart.name = type.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+            chart.strokeColor = AppState.strokeColor;
+            chart.setDataSource(new ChartDataSource({ text: ChartSamples[type] }));
+            this.addObject(chart);
+            this._updateStatus(`Inserted ${chart.name}`);
+            return;
+        }
+        
         // Create a simple ASCII chart representation
         const chartText = this._generateChartASCII(type, width, height);
         const textObj = new TextObject(x, y, chartText);
@@ -27731,6 +30444,311 @@ pre { font-family: monospace; line-height: 1; background: #1a1a2e; color: #eee;
         }
     }
     
+    /**
+     * Plot the selected line, scatter and area charts at a sub-character
+     * resolution; axes and labels stay text
+     * @param {string} resolution - A PlotResolution
+     */
+    setChartResolution(resolution) {
+        const charts = AppState.selectedObjects.filter(obj =>
+            obj.type === 'chart' && ['line', 'scatter', 'stacked-area'].includes(obj.chartType));
+        if (charts.length === 0) {
+            this._updateStatus('Select a line, scatter or stacked area chart');
+            return;
+        }
+        
+        this.saveStateForUndo('Plot Resolution');
+        for (const chart of charts) {
+            chart.resolution = resolution;
+        }
+        this.renderAllObjects();
+        AppState.modified = true;
+        this._updateStatus(`Plot resolution: ${resolution}`);
+    }
+    
+    /**
+     * Attach CSV, TSV or JSON data to the selected chart, or to a new bar
+     * chart, and choose which columns become labels and series
+     */
+    showChartDataSourceDialog() {
+        const selected = AppState.selectedObjects.length === 1 ? AppState.selectedObjects[0] : null;
+        const chart = selected?.type === 'chart' ? selected : null;
+        let fileName = chart?.dataSource?.name || '';
+        let fileHandle = null;
+        let lastModified = 0;
+        // Whether the first CSV row is the header; null detects it
+        let header = chart?.dataSource?.mapping.header ?? null;
+        
+        const dialogHtml = `
+            <div class="chart-data-form">
+                <div class="form-group">
+                    <label>Data (CSV, tab-separated or JSON)</label>
+                    <textarea id="chart-data-text" rows="10" spellcheck="false"
+                        placeholder="Week,Requests,Errors&#10;W41,1200,14&#10;W42,1350,9"></textarea>
+                </div>
+                <div class="form-group">
+                    <label style="display: flex; align-items: center; gap: 8px; cursor: pointer;">
+                        <input type="checkbox" id="chart-data-header">
+                        <span>First row is the header</span>
+                    </label>
+                </div>
+                <div class="form-group">
+                    <label>Labels</label>
+                    <select id="chart-data-labels"></select>
+                </div>
+                <div class="form-group">
+                    <label>Series</label>
+                    <div id="chart-data-series"></div>
+                </div>
+                <p id="chart-data-status" style="color: var(--color-text-secondary);"></p>
+            </div>
+        `;
+        
+        const readTable = () => {
+            const text = $('#chart-data-text').value;
+            if (!text.trim()) return null;
+            return DataTable.fromText(text, detectFormat(text, fileName), { header });
+        };
+        
+        const readMapping = () => ({
+            labelColumn: $('#chart-data-labels').value || null,
+            seriesColumns: [...$('#chart-data-series').querySelectorAll('input:checked')].map(input => input.value),
+            header
+        });
+        
+        // Rebuild the column choices, keeping the current mapping where the
+        // columns still exist
+        const updateColumns = () => {
+            const labelSelect = $('#chart-data-labels');
+            const seriesList = $('#chart-data-series');
+            const status = $('#chart-data-status');
+            const previous = labelSelect.options.length > 0
+                ? new DataMapping(readMapping())
+                : chart?.dataSource?.mapping;
+            
+            labelSelect.innerHTML = '';
+            seriesList.innerHTML = '';
+            
+            let table;
+            try {
+                table = readTable();
+            } catch (err) {
+                status.textContent = `Cannot read data: ${err.message}`;
+                return;
+            }
+            if (!table || table.columns.length === 0) {
+                status.textContent = 'Paste data or open a file';
+                return;
+            }
+            $('#chart-data-header').checked = table.hasHeader;
+            
+            const mapping = previous && previous.missingColumns(table).length === 0
+                ? previous
+                : DataMapping.auto(table, header);
+            
+            labelSelect.appendChild(createElement('option', { value: '', text: '(row numbers)' }));
+            for (const column of table.columns) {
+                labelSelect.appendChild(createElement('option', { value: column, text: column }));
+            }
+            labelSelect.value = mapping.labelColumn ?? '';
+            
+            for (const column of table.columns.filter(c => table.isNumeric(c))) {
+                const checkbox = createElement('input', { type: 'checkbox', value: column });
+                checkbox.checked = mapping.seriesColumns.includes(column);
+                seriesList.appendChild(createElement('label', { style: { display: 'block' } }, checkbox, ` ${column}`));
+            }
+            
+            const name = fileName ? `${fileName}: ` : '';
+            status.textContent = `${name}${table.rows.length} rows, ${table.columns.length} columns`;
+        };
+        
+        const loadText = (text, name) => {
+            fileName = name;
+            header = null;
+            $('#chart-data-text').value = text;
+            updateColumns();
+        };
+        
+        const buttons = [
+            {
+                label: 'Cancel',
+                action: () => {}
+            },
+            {
+                label: 'Open File...',
+                action: () => {
+                    // With the File System Access API the file can be watched
+                    // for changes; otherwise it is read once
+                    if (window.showOpenFilePicker) {
+                        window.showOpenFilePicker({
+                            types: [{
+                                description: 'Chart data',
+                                accept: { 'text/plain': ['.csv', '.tsv', '.json', '.txt'] }
+                            }]
+                        }).then(async ([handle]) => {
+                            const file = await handle.getFile();
+                            fileHandle = handle;
+                            lastModified = file.lastModified;
+                            loadText(await file.text(), file.name);
+                        }).catch(() => {});
+                        return false;
+                    }
+                    
+                    const input = createElement('input', {
+                        type: 'file',
+                        accept: '.csv,.tsv,.json,.txt',
+                        style: { display: 'none' }
+                    });
+                    input.addEventListener('change', async (e) => {
+                        const file = e.target.files[0];
+                        if (file) {
+                            fileHandle = null;
+                            loadText(await file.text(), file.name);
+                        }
+                    });
+                    input.click();
+                    return false;
+                }
+            }
+        ];
+        
+        if (chart?.dataSource) {
+            buttons.push({
+                label: 'Detach',
+                action: () => {
+                    this.saveStateForUndo('Detach Chart Data');
+                    chart.setDataSource(null);
+                    this._chartDataFiles.delete(chart.id);
+                    this.renderAllObjects();
+                    this._updateStatus(`Detached data from ${chart.name}`);
+                }
+            });
+        }
+        
+        buttons.push({
+            label: 'Apply',
+            primary: true,
+            action: () => {
+                const text = $('#chart-data-text').value;
+                const mapping = readMapping();
+                if (!text.trim() || mapping.seriesColumns.length === 0) {
+                    $('#chart-data-status').textContent = 'Choose at least one numeric column to plot';
+                    return false;
+                }
+                
+                let source;
+                try {
+                    source = new ChartDataSource({ text, name: fileName, mapping });
+                } catch (err) {
+                    $('#chart-data-status').textContent = `Cannot read data: ${err.message}`;
+                    return false;
+                }
+                
+                this.saveStateForUndo('Chart Data');
+                let target = chart;
+                if (!target) {
+                    target = new ChartObject(10, 10, 40, 15);
+                    if (fileName) target.name = fileName.replace(/\.[^.]+$/, '');
+                    this.addObject(target);
+                }
+                target.setDataSource(source);
+                
+                if (fileHandle) {
+                    this._watchChartDataFile(target.id, fileHandle, lastModified);
+                } else {
+                    this._chartDataFiles.delete(target.id);
+                }
+                
+                this.renderAllObjects();
+                AppState.modified = true;
+                this._updateStatus(`${target.name}: ${source.table.rows.length} rows, ${mapping.seriesColumns.length} series`);
+            }
+        });
+        
+        this._showDialog('Chart Data Source', dialogHtml, buttons);
+        
+        $('#chart-data-text').value = chart?.dataSource?.text || '';
+        $('#chart-data-text').addEventListener('input', updateColumns);
+        $('#chart-data-header').addEventListener('change', (e) => {
+            header = e.target.checked;
+            updateColumns();
+        });
+        updateColumns();
+    }
+    
+    /**
+     * Re-read a chart's data file whenever it changes on disk
+     * @param {string} chartId - Chart object id
+     * @param {FileSystemFileHandle} handle - Data file
+     * @param {number} lastModified - Modification time of the loaded data
+     */
+    _watchChartDataFile(chartId, handle, lastModified) {
+        this._chartDataFiles.set(chartId, { handle, lastModified });
+        if (!this._chartDataTimer) {
+            // Browsers do not notify about file changes, so poll
+            this._chartDataTimer = setInterval(() => this.refreshChartData(false), 2000);
+        }
+    }
+    
+    /**
+     * Reload chart data files that changed since they were last read
+     * @param {boolean} [report=true] - Report in the status bar even when
+     *   nothing changed
+     * @returns {Promise<number>} Number of charts refreshed
+     */
+    async refreshChartData(report = true) {
+        const updates = [];
+        
+        for (const [chartId, entry] of this._chartDataFiles) {
+            // Look the chart up each time; undo replaces object instances
+            const chart = this._findObjectById(chartId);
+            if (!chart?.dataSource) {
+                this._chartDataFiles.delete(chartId);
+                continue;
+            }
+            
+            try {
+                const file = await entry.handle.getFile();
+                if (file.lastModified === entry.lastModified) continue;
+                entry.lastModified = file.lastModified;
+                updates.push({ chart, text: await file.text(), fileName: file.name });
+            } catch (err) {
+                console.warn(`Could not refresh data of ${chart.name}:`, err.message);
+            }
+        }
+        
+        // New data is an undoable step, so the history keeps the charts current
+        let refreshed = 0;
+        if (updates.length > 0) {
+            this.saveStateForUndo('Refresh Chart Data', updates.map(update => update.chart));
+        }
+        for (const { chart, text, fileName } of updates) {
+            try {
+                chart.dataSource.replace(text, detectFormat(text, fileName));
+                refreshed++;
+            } catch (err) {
+                console.warn(`Could not refresh data of ${chart.name}:`, err.message);
+            }
+        }
+        
+        if (this._chartDataFiles.size === 0 && this._chartDataTimer) {
+            clearInterval(this._chartDataTimer);
+            this._chartDataTimer = null;
+        }
+        
+        if (refreshed > 0) {
+            this.renderAllObjects();
+            AppState.modified = true;
+            this._updateStatus(`Refreshed data of ${refreshed} chart${refreshed === 1 ? '' : 's'}`);
+        } else if (report) {
+            this._updateStatus(this._chartDataFiles.size > 0
+                ? 'Chart data is up to date'
+                : 'No chart data files are open');
+        }
+        
+        return refreshed;
+    }
+    
     // Flowchart insertion
     insertFlowchartShape(type) {
         const x = 20, y = 10;
@@ -27759,6 +30777,70 @@ pre { font-family: monospace; line-height: 1; background: #1a1a2e; color: #eee;
         this._updateStatus(`Inserted ${type} shape`);
     }
     
+    /**
+     * Insert a sample sequence diagram and open its source
+     */
+    insertSequenceDiagram() {
+        const diagram = new SequenceDiagramObject(20, 10);
+        diagram.strokeColor = AppState.strokeColor;
+        diagram.name = `Sequence ${Date.now() % 10000}`;
+        
+        this.addObject(diagram, true);
+        AppState.selectedObjects = [diagram];
+        this.renderAllObjects();
+        this.editSequenceDiagram(diagram);
+    }
+    
+    /**
+     * Edit the source of a sequence diagram; the diagram is laid out again
+     * when the source parses
+     * @param {SequenceDiagramObject} [diagram] - Diagram, else the selected one
+     */
+    editSequenceDiagram(diagram = AppState.selectedObjects.find(obj => obj instanceof SequenceDiagramObject)) {
+        if (!diagram) {
+            this._updateStatus('Select a sequence diagram to edit');
+            return;
+        }
+        
+        const dialogHtml = `
+            <div class="sequence-edit-form">
+                <div class="form-group">
+                    <label>Mermaid or PlantUML sequence diagram</label>
+                    <textarea id="sequence-source" rows="16" spellcheck="false">${this._escapeHtml(diagram.source)}</textarea>
+                </div>
+                <p id="sequence-error" style="color: var(--color-text-secondary);"></p>
+            </div>
+        `;
+        
+        this._showDialog('Edit Sequence Diagram', dialogHtml, [
+            {
+                label: 'Cancel',
+                action: () => {}
+            },
+            {
+                label: 'Apply',
+                primary: true,
+                action: () => {
+                    const source = $('#sequence-source').value;
+                    if (source === diagram.source && diagram._layout) return;
+                    
+                    try {
+                        parseSequenceDiagram(source);
+                    } catch (err) {
+                        $('#sequence-error').textContent = err.message;
+                        return false;
+                    }
+                    
+                    this.saveStateForUndo('Edit Sequence Diagram', [diagram]);
+                    diagram.setSource(source);
+                    this.renderAllObjects();
+                    AppState.modified = true;
+                    this._updateStatus(`Sequence diagram: ${diagram.width}×${diagram.height}`);
+                }
+            }
+        ]);
+    }
+    
     // Panel operations
     togglePanel(panelName) {
         // Map panel names to their content IDs
@@ -27974,7 +31056,7 @@ pre { font-family: monospace; line-height: 1; background: #1a1a2e; color: #eee;
     
     duplicate() {
         if (AppState.selectedObjects.length > 0) {
-            this.saveStateForUndo();
+            this.saveStateForUndo('Duplicate');
             const newObjects = [];
             for (const obj of AppState.selectedObjects) {
                 const clone = obj.clone();
@@ -28016,20 +31098,60 @@ pre { font-family: monospace; line-height: 1; background: #1a1a2e; color: #eee;
 // ==========================================
 
 const app = new Asciistrator();
-app.init();
 
-// Export for debugging
-window.Asciistrator = {
-    app,
+// Only boot the editor UI in a browser; headless (Node.js) consumers import the scene model
+if (typeof window !== 'undefined' && typeof document !== 'undefined') {
+    app.init();
+    
+    // Export for debugging
+    window.Asciistrator = {
+        app,
+        AppState,
+        Vector2D,
+        Matrix3x3,
+        AsciiBuffer,
+        drawLine,
+        drawRect,
+        fillRect,
+        drawCircle,
+        fillCircle
+    };
+}
+
+// Scene model exports (used by headless rendering)
+export {
+    Asciistrator,
     AppState,
-    Vector2D,
-    Matrix3x3,
-    AsciiBuffer,
-    drawLine,
-    drawRect,
-    fillRect,
-    drawCircle,
-    fillCircle
+    styleManager,
+    renderModeManager,
+    SceneObject,
+    RectangleObject,
+    EllipseObject,
+    LineObject,
+    TextObject,
+    AsciiTextObject,
+    PolygonObject,
+    StarObject,
+    TableObject,
+    ChartObject,
+    ChartSamples,
+    SequenceDiagramObject,
+    PathObject,
+    GroupObject,
+    FrameObject,
+    ComponentObject,
+    InstanceObject,
+    FlowchartShape,
+    ProcessShape,
+    TerminalShape,
+    DecisionShape,
+    IOShape,
+    DocumentShape,
+    DatabaseShape,
+    SubprocessShape,
+    ConnectorCircleShape,
+    FlowchartConnector,
+    FlowchartLayout
 };
 
 export default app;
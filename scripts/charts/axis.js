@@ -92,11 +92,12 @@ export class Axis extends EventEmitter {
         
         // Apply nice values
         if (this.nice && this.type === 'linear') {
-            this._ticks = generateTicks(this._computedMin, this._computedMax, this.tickCount);
-            if (this._ticks.length > 0) {
-                this._computedMin = Math.min(this._computedMin, this._ticks[0]);
-                this._computedMax = Math.max(this._computedMax, this._ticks[this._ticks.length - 1]);
+            const ticks = generateTicks(this._computedMin, this._computedMax, this.tickCount);
+            if (ticks.length > 0) {
+                this._computedMin = Math.min(this._computedMin, ticks[0]);
+                this._computedMax = Math.max(this._computedMax, ticks[ticks.length - 1]);
             }
+            this._ticks = ticks.map(v => ({ value: v, label: this.formatTick(v) }));
         } else {
             this._ticks = this.generateTicks();
         }
@@ -446,6 +447,9 @@ export class TimeAxis extends XAxis {
         });
         
         this.timeFormat = options.timeFormat ?? 'auto';
+        
+        // Times to put ticks at, e.g. the data points; evenly spaced when null
+        this.tickValues = options.tickValues ?? null;
     }
     
     /**
@@ -487,6 +491,10 @@ export class TimeAxis extends XAxis {
      * @returns {Array}
      */
     generateTicks() {
+        if (this.tickValues) {
+            return this.tickValues.map(value => ({ value, label: this.formatTick(value) }));
+        }
+        
         const range = this._computedMax - this._computedMin;
         const ticks = [];
         
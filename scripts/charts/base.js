@@ -7,6 +7,8 @@
 import { EventEmitter } from '../utils/events.js';
 import { BoundingBox } from '../core/math/geometry.js';
 import { AsciiBuffer } from '../core/ascii/rasterizer.js';
+import { ChartDataSource } from './datasource.js';
+import { Legend, LegendPosition } from './legend.js';
 
 // ==========================================
 // CHART CONSTANTS
@@ -296,6 +298,8 @@ export class Chart extends EventEmitter {
         // Data
         this.series = [];
         this.labels = options.labels ?? [];
+        this.dataSource = null;
+        this._onDataSourceChange = null;
         
         // Title
         this.title = {
@@ -373,11 +377,21 @@ export class Chart extends EventEmitter {
      * @returns {object} { x, y, width, height }
      */
     getPlotArea() {
+        // A legend beside or above/below the plot takes room from it;
+        // corner legends are drawn over the plot
+        const legend = this.createLegend();
+        const size = legend ? legend.getDimensions() : { width: 0, height: 0 };
+        const position = legend?.position;
+        const left = position === LegendPosition.LEFT ? size.width : 0;
+        const right = position === LegendPosition.RIGHT ? size.width : 0;
+        const top = position === LegendPosition.TOP ? size.height : 0;
+        const bottom = position === LegendPosition.BOTTOM ? size.height : 0;
+        
         return {
-            x: this.padding.left,
-            y: this.padding.top,
-            width: this.width - this.padding.left - this.padding.right,
-            height: this.height - this.padding.top - this.padding.bottom
+            x: this.padding.left + left,
+            y: this.padding.top + top,
+            width: this.width - this.padding.left - this.padding.right - left - right,
+            height: this.height - this.padding.top - this.padding.bottom - top - bottom
         };
     }
     
@@ -470,6 +484,34 @@ export class Chart extends EventEmitter {
         this.dirty = true;
     }
     
+    /**
+     * Take labels and series from a data source and follow its changes
+     * @param {ChartDataSource} source - Data source
+     */
+    bindDataSource(source) {
+        this.unbindDataSource();
+        
+        this.dataSource = source;
+        this._onDataSourceChange = () => {
+            this.setData(source.toChartData());
+            this.emit('dataChange', { chart: this, source });
+        };
+        source.on('change', this._onDataSourceChange);
+        
+        this.setData(source.toChartData());
+    }
+    
+    /**
+     * Stop following the data source; the current data is kept
+     */
+    unbindDataSource() {
+        if (!this.dataSource) return;
+        
+        this.dataSource.off('change', this._onDataSourceChange);
+        this.dataSource = null;
+        this._onDataSourceChange = null;
+    }
+    
     /**
      * Get combined bounds of all series
      * @returns {object} { minX, maxX, minY, maxY }
@@ -625,14 +667,43 @@ export class Chart extends EventEmitter {
         }
     }
     
+    /**
+     * Get legend entries (override in subclasses that show a legend)
+     * @returns {Array<{label: string, char: string}>}
+     */
+    getLegendItems() {
+        return [];
+    }
+    
+    /**
+     * Create the legend component for the current data
+     * @returns {Legend|null} Null when there is nothing to show
+     */
+    createLegend() {
+        if (!this.legend.show || this.legend.position === LegendPosition.NONE) return null;
+        
+        const items = this.getLegendItems();
+        if (items.length === 0) return null;
+        
+        const legend = new Legend(this.legend);
+        for (const item of items) {
+            legend.addItem(item.label, item.char);
+        }
+        return legend;
+    }
+    
     /**
      * Render legend
      * @param {AsciiBuffer} buffer - Target buffer
      */
     renderLegend(buffer) {
-        if (!this.legend.show || this.series.length === 0) return;
+        const legend = this.createLegend();
+        if (!legend) return;
         
-        // Legend implementation will be in legend.js
+        // Keep clear of a title row
+        const top = this.title.text && this.title.position === 'top' ? 1 : 0;
+        const bottom = this.title.text && this.title.position === 'bottom' ? 1 : 0;
+        legend.render(buffer, { x: 0, y: top, width: this.width, height: this.height - top - bottom });
     }
     
     /**
@@ -748,6 +819,7 @@ export class Chart extends EventEmitter {
             grid: { ...this.grid },
             tooltip: { ...this.tooltip },
             labels: [...this.labels],
+            dataSource: this.dataSource ? this.dataSource.toJSON() : null,
             series: this.series.map(s => ({
                 name: s.name,
                 data: s.data.map(p => ({ x: p.x, y: p.y, label: p.label })),
@@ -780,6 +852,10 @@ export class Chart extends EventEmitter {
             }
         }
         
+        if (config.dataSource) {
+            this.bindDataSource(ChartDataSource.fromJSON(config.dataSource));
+        }
+        
         this.dirty = true;
     }
 }
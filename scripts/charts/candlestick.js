@@ -0,0 +1,254 @@
+/**
+ * Asciistrator - Candlestick Chart
+ *
+ * Open/high/low/close charts over time.
+ */
+
+import { Chart } from './base.js';
+import { YAxis, CategoryAxis, TimeAxis } from './axis.js';
+
+// ==========================================
+// CANDLE DATA
+// ==========================================
+
+/**
+ * Series names recognised as open, high, low and close, in that order
+ */
+const OHLC_NAMES = [
+    ['open', 'o'],
+    ['high', 'h', 'max'],
+    ['low', 'l', 'min'],
+    ['close', 'c', 'last']
+];
+
+/**
+ * Parse a label as a date
+ * @param {*} label - Category label
+ * @returns {number|null} Timestamp, or null when the label is not a date
+ */
+function parseTime(label) {
+    if (label instanceof Date) return label.getTime();
+    if (typeof label !== 'string' || !/\d{4}|\d{1,2}[/.-]\d{1,2}/.test(label)) return null;
+
+    const time = Date.parse(label);
+    return Number.isNaN(time) ? null : time;
+}
+
+// ==========================================
+// CANDLESTICK CHART
+// ==========================================
+
+/**
+ * Candlestick chart. Prices are kept as four series named Open, High, Low
+ * and Close, so a table with those columns can be bound directly. Dates in
+ * the labels place candles on a time axis; other labels are categories.
+ */
+export class CandlestickChart extends Chart {
+    /**
+     * @param {object} options - Chart options
+     * @param {string} [options.risingChar] - Body of candles closing higher
+     * @param {string} [options.fallingChar] - Body of candles closing lower
+     */
+    constructor(options = {}) {
+        super(options);
+
+        this.candleStyle = {
+            risingChar: options.risingChar ?? '░',
+            fallingChar: options.fallingChar ?? '█',
+            wickChar: options.wickChar ?? '│',
+            maxBodyWidth: options.maxBodyWidth ?? 3,
+            ...options.candleStyle
+        };
+
+        this.timeAxis = new TimeAxis({ position: 'bottom', showLabels: true, tickFormat: options.timeFormat ?? null });
+        this.categoryAxis = new CategoryAxis([], { position: 'bottom', showLabels: true });
+        this.axisX = this.timeAxis;
+        this.axisY = new YAxis({ position: 'left', showLabels: true });
+    }
+
+    get type() {
+        return 'candlestick';
+    }
+
+    /**
+     * Replace the data with candles
+     * @param {Array<{time: number|Date|string, open: number, high: number, low: number, close: number}>} candles
+     */
+    setCandles(candles) {
+        const labels = candles.map(candle => typeof candle.time === 'string'
+            ? candle.time
+            : new Date(candle.time).toISOString());
+
+        this.setData({
+            labels,
+            datasets: ['open', 'high', 'low', 'close'].map(key => ({
+                name: key[0].toUpperCase() + key.slice(1),
+                data: candles.map((candle, i) => ({ x: i, y: candle[key], label: labels[i] }))
+            }))
+        });
+    }
+
+    /**
+     * Read candles from the series
+     * @returns {Array<{time: number|null, label: string, open: number, high: number, low: number, close: number}>}
+     */
+    getCandles() {
+        const visible = this.series.filter(s => s.visible);
+        const byName = OHLC_NAMES.map(names =>
+            visible.find(s => names.includes(s.name.trim().toLowerCase())));
+
+        // Without recognised names the first four series are used in order
+        const [open, high, low, close] = byName.every(Boolean) ? byName : visible.slice(0, 4);
+        if (!close) return [];
+
+        const candles = [];
+        for (let i = 0; i < close.data.length; i++) {
+            const prices = [open, high, low, close].map(s => s.data[i]?.y);
+            if (prices.some(price => typeof price !== 'number' || !Number.isFinite(price))) continue;
+
+            const label = String(this.labels[i] ?? close.data[i].label ?? i + 1);
+            candles.push({
+                time: parseTime(label),
+                label,
+                open: prices[0],
+                // Keep the wick around the body even for inconsistent rows
+                high: Math.max(...prices),
+                low: Math.min(...prices),
+                close: prices[3]
+            });
+        }
+
+        return candles;
+    }
+
+    /**
+     * Choose the X axis and update both axes with the candle range
+     * @param {Array} candles - Candles from getCandles()
+     */
+    updateAxes(candles) {
+        const timed = candles.length > 1 && candles.every(candle => candle.time !== null);
+
+        if (timed) {
+            // Half a candle of room on both sides keeps the ends on the plot
+            const first = candles[0].time;
+            const last = candles[candles.length - 1].time;
+            const half = (last - first) / (candles.length - 1) / 2;
+
+            // Ticks sit under candles, at most five and spread over the range
+            const gap = (last - first) / 5;
+            const tickValues = [];
+            for (const candle of candles) {
+                if (tickValues.length === 0 || candle.time - tickValues[tickValues.length - 1] >= gap) {
+                    tickValues.push(candle.time);
+                }
+            }
+
+            this.axisX = this.timeAxis;
+            this.axisX.tickValues = tickValues;
+            this.axisX.setRange(first - half, last + half);
+        } else {
+            this.axisX = this.categoryAxis;
+            this.axisX.categories = candles.map(candle => candle.label);
+        }
+
+        const low = candles.length > 0 ? Math.min(...candles.map(c => c.low)) : 0;
+        const high = candles.length > 0 ? Math.max(...candles.map(c => c.high)) : 1;
+        const padding = (high - low) * 0.05 || 1;
+        this.axisY.setRange(low - padding, high + padding);
+    }
+
+    /**
+     * Column of a candle
+     * @param {object} candle - Candle
+     * @param {number} index - Candle index
+     * @param {object} plot - Plot area
+     * @returns {number}
+     */
+    getCandleX(candle, index, plot) {
+        if (this.axisX === this.timeAxis) {
+            return Math.floor(plot.x + this.axisX.scale(candle.time) * plot.width);
+        }
+        const slotWidth = plot.width / Math.max(1, this.axisX.categories.length);
+        return Math.floor(plot.x + index * slotWidth + slotWidth / 2);
+    }
+
+    /**
+     * Render chart content
+     * @param {AsciiBuffer} buffer - Target buffer
+     */
+    renderChart(buffer) {
+        const candles = this.getCandles();
+        this.updateAxes(candles);
+        if (candles.length === 0) return;
+
+        const plot = this.getPlotArea();
+        const toY = value => Math.round(plot.y + plot.height - 1 - this.axisY.scale(value) * (plot.height - 1));
+
+        // Odd body widths keep the wick centred; leave a column between candles
+        const spacing = plot.width / candles.length;
+        let bodyWidth = Math.min(this.candleStyle.maxBodyWidth, Math.floor(spacing) - 1);
+        if (bodyWidth % 2 === 0) bodyWidth--;
+        bodyWidth = Math.max(1, bodyWidth);
+
+        candles.forEach((candle, i) => {
+            const center = this.getCandleX(candle, i, plot);
+            const rising = candle.close >= candle.open;
+            const body = rising ? this.candleStyle.risingChar : this.candleStyle.fallingChar;
+            const bodyTop = toY(Math.max(candle.open, candle.close));
+            const bodyBottom = toY(Math.min(candle.open, candle.close));
+
+            for (let y = toY(candle.high); y <= toY(candle.low); y++) {
+                if (y < plot.y || y >= plot.y + plot.height) continue;
+
+                if (y >= bodyTop && y <= bodyBottom) {
+                    for (let x = center - Math.floor(bodyWidth / 2); x <= center + Math.floor(bodyWidth / 2); x++) {
+                        if (x >= plot.x && x < plot.x + plot.width) buffer.setChar(x, y, body);
+                    }
+                } else {
+                    buffer.setChar(center, y, this.candleStyle.wickChar);
+                }
+            }
+        });
+    }
+
+    /**
+     * Render axes
+     */
+    renderAxes(buffer) {
+        if (!this.showAxes) return;
+
+        // Axes are drawn before the candles, so set their ranges here
+        this.updateAxes(this.getCandles());
+        const plot = this.getPlotArea();
+        this.axisX.render(buffer, plot);
+        this.axisY.render(buffer, plot);
+    }
+
+    /**
+     * Legend for rising and falling candles
+     */
+    getLegendItems() {
+        if (this.series.length === 0) return [];
+
+        return [
+            { label: 'rising', char: this.candleStyle.risingChar },
+            { label: 'falling', char: this.candleStyle.fallingChar }
+        ];
+    }
+}
+
+// ==========================================
+// FACTORY FUNCTION
+// ==========================================
+
+/**
+ * Create a candlestick chart from candles
+ * @param {Array<{time: number|Date|string, open: number, high: number, low: number, close: number}>} candles
+ * @param {object} options - Chart options
+ * @returns {CandlestickChart}
+ */
+export function createCandlestickChart(candles, options = {}) {
+    const chart = new CandlestickChart(options);
+    chart.setCandles(candles);
+    return chart;
+}
@@ -0,0 +1,310 @@
+/**
+ * Asciistrator - Plot Canvas
+ *
+ * Sub-character canvas for plotting lines, points and areas at a higher
+ * resolution than one point per character cell.
+ */
+
+// ==========================================
+// RESOLUTIONS
+// ==========================================
+
+/**
+ * Plot resolutions; every mode other than CELL draws through a PlotCanvas
+ */
+export const PlotResolution = {
+    CELL: 'cell',         // One point per character
+    BRAILLE: 'braille',   // 2x4 dots per character
+    QUADRANT: 'quadrant', // 2x2 blocks per character
+    SEXTANT: 'sextant'    // 2x3 blocks per character
+};
+
+/**
+ * Dots per character cell of each sub-character resolution
+ */
+const DOT_GRIDS = {
+    [PlotResolution.BRAILLE]: { x: 2, y: 4 },
+    [PlotResolution.QUADRANT]: { x: 2, y: 2 },
+    [PlotResolution.SEXTANT]: { x: 2, y: 3 }
+};
+
+/**
+ * Braille dot bits of the dots in a cell, row by row
+ */
+const BRAILLE_BITS = [0x01, 0x08, 0x02, 0x10, 0x04, 0x20, 0x40, 0x80];
+
+/**
+ * Quadrant blocks indexed by top-left 1, top-right 2, bottom-left 4, bottom-right 8
+ */
+const QUADRANT_CHARS = [' ', '▘', '▝', '▀', '▖', '▌', '▞', '▛', '▗', '▚', '▐', '▜', '▄', '▙', '▟', '█'];
+
+/**
+ * Fill patterns for areas, from dense to sparse, as tests on dot coordinates
+ */
+const FILL_PATTERNS = [
+    () => true,
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => x % 2 === 0 && y % 2 === 0
+];
+
+/**
+ * Character of a cell from its dots
+ * @param {string} resolution - Sub-character resolution
+ * @param {number} bits - Dots of the cell, row by row from the top left
+ * @returns {string}
+ */
+export function getCellChar(resolution, bits) {
+    switch (resolution) {
+        case PlotResolution.BRAILLE: {
+            let code = 0;
+            for (let i = 0; i < 8; i++) {
+                if (bits & (1 << i)) code |= BRAILLE_BITS[i];
+            }
+            return String.fromCharCode(0x2800 + code);
+        }
+        case PlotResolution.QUADRANT:
+            return QUADRANT_CHARS[bits & 0x0f];
+        case PlotResolution.SEXTANT: {
+            // Sextants U+1FB00-1FB3B skip the empty, half and full blocks
+            // that already exist as ' ', '▌', '▐' and '█'
+            bits &= 0x3f;
+            if (bits === 0) return ' ';
+            if (bits === 0b010101) return '▌';
+            if (bits === 0b101010) return '▐';
+            if (bits === 0b111111) return '█';
+            return String.fromCodePoint(0x1fb00 + bits - 1 - (bits > 0b010101 ? 1 : 0) - (bits > 0b101010 ? 1 : 0));
+        }
+        default:
+            throw new Error(`Unknown plot resolution: ${resolution}`);
+    }
+}
+
+// ==========================================
+// PLOT CANVAS
+// ==========================================
+
+/**
+ * Grid of dots over a block of character cells. Coordinates are in dots
+ * with the origin at the top left; dots outside the canvas are ignored.
+ */
+export class PlotCanvas {
+    /**
+     * @param {number} columns - Width in characters
+     * @param {number} rows - Height in characters
+     * @param {string} [resolution] - Sub-character resolution
+     */
+    constructor(columns, rows, resolution = PlotResolution.BRAILLE) {
+        const grid = DOT_GRIDS[resolution];
+        if (!grid) {
+            throw new Error(`Unknown plot resolution: ${resolution}`);
+        }
+
+        this.columns = Math.max(0, Math.floor(columns));
+        this.rows = Math.max(0, Math.floor(rows));
+        this.resolution = resolution;
+        this.dotsX = grid.x;
+        this.dotsY = grid.y;
+        this.cells = new Uint8Array(this.columns * this.rows);
+    }
+
+    /**
+     * Width in dots
+     */
+    get width() {
+        return this.columns * this.dotsX;
+    }
+
+    /**
+     * Height in dots
+     */
+    get height() {
+        return this.rows * this.dotsY;
+    }
+
+    /**
+     * Cell index and dot bit of a dot
+     * @returns {{index: number, bit: number}|null} Null outside the canvas
+     */
+    locate(x, y) {
+        x = Math.round(x);
+        y = Math.round(y);
+        if (x < 0 || y < 0 || x >= this.width || y >= this.height) return null;
+
+        const column = Math.floor(x / this.dotsX);
+        const row = Math.floor(y / this.dotsY);
+        return {
+            index: row * this.columns + column,
+            bit: 1 << ((y % this.dotsY) * this.dotsX + (x % this.dotsX))
+        };
+    }
+
+    /**
+     * Set a dot
+     */
+    set(x, y) {
+        const dot = this.locate(x, y);
+        if (dot) this.cells[dot.index] |= dot.bit;
+    }
+
+    /**
+     * Clear a dot
+     */
+    unset(x, y) {
+        const dot = this.locate(x, y);
+        if (dot) this.cells[dot.index] &= ~dot.bit;
+    }
+
+    /**
+     * Whether a dot is set
+     * @returns {boolean}
+     */
+    get(x, y) {
+        const dot = this.locate(x, y);
+        return dot ? (this.cells[dot.index] & dot.bit) !== 0 : false;
+    }
+
+    /**
+     * Clear all dots
+     */
+    clear() {
+        this.cells.fill(0);
+    }
+
+    /**
+     * Draw a line between two dots (Bresenham)
+     */
+    line(x1, y1, x2, y2) {
+        x1 = Math.round(x1);
+        y1 = Math.round(y1);
+        x2 = Math.round(x2);
+        y2 = Math.round(y2);
+
+        const dx = Math.abs(x2 - x1);
+        const dy = Math.abs(y2 - y1);
+        const sx = x1 < x2 ? 1 : -1;
+        const sy = y1 < y2 ? 1 : -1;
+        let err = dx - dy;
+
+        while (true) {
+            this.set(x1, y1);
+            if (x1 === x2 && y1 === y2) break;
+
+            const e2 = 2 * err;
+            if (e2 > -dy) {
+                err -= dy;
+                x1 += sx;
+            }
+            if (e2 < dx) {
+                err += dx;
+                y1 += sy;
+            }
+        }
+    }
+
+    /**
+     * Draw lines through a list of points
+     * @param {Array<{x: number, y: number}>} points - Points in dots
+     */
+    polyline(points) {
+        if (points.length === 1) {
+            this.set(points[0].x, points[0].y);
+        }
+        for (let i = 0; i < points.length - 1; i++) {
+            this.line(points[i].x, points[i].y, points[i + 1].x, points[i + 1].y);
+        }
+    }
+
+    /**
+     * Draw a filled circle
+     * @param {number} cx - Center X in dots
+     * @param {number} cy - Center Y in dots
+     * @param {number} radius - Radius in dots; 0 sets a single dot
+     */
+    disc(cx, cy, radius) {
+        cx = Math.round(cx);
+        cy = Math.round(cy);
+        const r = Math.max(0, Math.round(radius));
+
+        for (let dy = -r; dy <= r; dy++) {
+            for (let dx = -r; dx <= r; dx++) {
+                if (dx * dx + dy * dy <= r * r) this.set(cx + dx, cy + dy);
+            }
+        }
+    }
+
+    /**
+     * Fill a column of dots between two rows, both included
+     * @param {number} x - Column in dots
+     * @param {number} y1 - First row
+     * @param {number} y2 - Last row
+     * @param {number} [pattern=0] - Index into the fill patterns, 0 is solid
+     */
+    fillColumn(x, y1, y2, pattern = 0) {
+        x = Math.round(x);
+        const test = FILL_PATTERNS[pattern % FILL_PATTERNS.length];
+        const top = Math.max(0, Math.round(Math.min(y1, y2)));
+        const bottom = Math.min(this.height - 1, Math.round(Math.max(y1, y2)));
+
+        for (let y = top; y <= bottom; y++) {
+            if (test(x, y)) this.set(x, y);
+        }
+    }
+
+    /**
+     * Character of a cell
+     * @param {number} column - Cell column
+     * @param {number} row - Cell row
+     * @returns {string|null} Null when the cell has no dots
+     */
+    getCellChar(column, row) {
+        const bits = this.cells[row * this.columns + column];
+        return bits ? getCellChar(this.resolution, bits) : null;
+    }
+
+    /**
+     * Draw the cells that have dots into a buffer, leaving the others as
+     * they are so axes and grid lines show through
+     * @param {AsciiBuffer} buffer - Target buffer
+     * @param {number} [left=0] - Column of the canvas in the buffer
+     * @param {number} [top=0] - Row of the canvas in the buffer
+     * @param {string|null} [color=null] - Color of the drawn cells
+     */
+    render(buffer, left = 0, top = 0, color = null) {
+        for (let row = 0; row < this.rows; row++) {
+            for (let column = 0; column < this.columns; column++) {
+                const char = this.getCellChar(column, row);
+                if (char) buffer.setChar(left + column, top + row, char, color);
+            }
+        }
+    }
+
+    /**
+     * Canvas as text
+     * @returns {string}
+     */
+    toString() {
+        const lines = [];
+        for (let row = 0; row < this.rows; row++) {
+            let line = '';
+            for (let column = 0; column < this.columns; column++) {
+                line += this.getCellChar(column, row) ?? ' ';
+            }
+            lines.push(line);
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Character of a cell filled with a fill pattern, for legends
+     * @param {string} resolution - Sub-character resolution
+     * @param {number} [pattern=0] - Index into the fill patterns
+     * @returns {string}
+     */
+    static getPatternChar(resolution, pattern = 0) {
+        const canvas = new PlotCanvas(1, 1, resolution);
+        for (let x = 0; x < canvas.dotsX; x++) {
+            canvas.fillColumn(x, 0, canvas.dotsY - 1, pattern);
+        }
+        return canvas.getCellChar(0, 0) ?? ' ';
+    }
+}
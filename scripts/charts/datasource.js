@@ -0,0 +1,471 @@
+/**
+ * Asciistrator - Chart Data Sources
+ *
+ * Tabular data for charts from CSV, TSV or JSON text, with a mapping from
+ * columns to labels and series. A chart bound to a data source re-renders
+ * whenever the source's data is replaced.
+ */
+
+import { EventEmitter } from '../utils/events.js';
+
+// ==========================================
+// DATA FORMATS
+// ==========================================
+
+/**
+ * Supported data formats
+ */
+export const DataFormat = {
+    CSV: 'csv',
+    TSV: 'tsv',
+    JSON: 'json'
+};
+
+/**
+ * Numbers as they appear in reports: thousands separators, a currency
+ * sign, a percent sign or a unit are allowed
+ */
+const NUMBER_PATTERN = /^[-+]?[$€£¥]?\s*(?:\d{1,3}(?:,\d{3})+|\d*)(?:\.\d+)?(?:e[-+]?\d+)?\s*(?:%|[a-zA-Zµ/]+)?$/i;
+
+/**
+ * Guess the format of data text. Text that starts like JSON is JSON
+ * whatever the file is called.
+ * @param {string} text - Data text
+ * @param {string} [fileName] - File name, checked for an extension
+ * @returns {string} DataFormat value
+ */
+export function detectFormat(text, fileName = '') {
+    const trimmed = text.trimStart();
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) return DataFormat.JSON;
+
+    const extension = fileName.toLowerCase().match(/\.(\w+)$/)?.[1];
+    if (extension === 'json') return DataFormat.JSON;
+    if (extension === 'tsv' || extension === 'tab') return DataFormat.TSV;
+    if (extension === 'csv') return DataFormat.CSV;
+
+    // Cells copied from a spreadsheet are separated by tabs
+    const firstLine = trimmed.split(/\r?\n/, 1)[0];
+    return firstLine.includes('\t') ? DataFormat.TSV : DataFormat.CSV;
+}
+
+/**
+ * Parse delimited text into rows of cells. Quoted cells may contain the
+ * delimiter, line breaks and doubled quotes.
+ * @param {string} text - CSV or TSV text
+ * @param {string} [delimiter] - Cell delimiter; `;` is used when the first
+ *   line has more semicolons than commas
+ * @returns {string[][]}
+ */
+export function parseDelimited(text, delimiter = null) {
+    if (!delimiter) {
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        const count = char => firstLine.split(char).length - 1;
+        delimiter = count('\t') > 0 ? '\t' : count(';') > count(',') ? ';' : ',';
+    }
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell.trim() === '') {
+            quoted = true;
+            cell = '';
+        } else if (char === delimiter) {
+            row.push(cell.trim());
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell.trim());
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell.trim());
+        rows.push(row);
+    }
+
+    // Blank lines carry no data
+    return rows.filter(r => r.some(c => c !== ''));
+}
+
+/**
+ * Convert a cell to a number
+ * @param {*} value - Cell value
+ * @returns {number|null} Null for empty and non-numeric cells
+ */
+export function parseNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value !== 'string') return null;
+
+    const text = value.trim();
+    if (text === '' || !NUMBER_PATTERN.test(text) || !/\d/.test(text)) return null;
+
+    const number = parseFloat(text.replace(/[$€£¥,\s]/g, ''));
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Check whether a cell is a number without a unit suffix such as "ms" or "h"
+ * @param {*} value - Cell value
+ * @returns {boolean}
+ */
+function isPlainNumber(value) {
+    return parseNumber(value) !== null && !/[a-zµ/]$/i.test(String(value).trim());
+}
+
+/**
+ * Check whether the first row of delimited data names the columns. It does
+ * when none of its cells is a number, or when one of its cells is text or
+ * has a unit while the cells below it are plain numbers, e.g. "Day,00h,04h"
+ * above "Mon,3,5".
+ * @param {string[]} first - First row
+ * @param {Array<string[]>} rest - Following rows
+ * @returns {boolean}
+ */
+function isHeaderRow(first, rest) {
+    if (rest.length === 0 || first.every(cell => parseNumber(cell) === null)) return true;
+
+    return first.some((cell, i) => {
+        const below = rest.map(row => row[i] ?? '').filter(value => value !== '');
+        return below.length > 0 && below.every(isPlainNumber) && !isPlainNumber(cell);
+    });
+}
+
+// ==========================================
+// DATA TABLE
+// ==========================================
+
+/**
+ * Rows of data with named columns
+ */
+export class DataTable {
+    /**
+     * @param {string[]} columns - Column names
+     * @param {Array<Array>} rows - Rows of cell values, one per column
+     */
+    constructor(columns = [], rows = []) {
+        this.columns = columns;
+        this.rows = rows.map(row => columns.map((_, i) => row[i] ?? ''));
+
+        /** @type {boolean} Whether the column names came from the data */
+        this.hasHeader = true;
+    }
+
+    /**
+     * Parse data text into a table
+     * @param {string} text - CSV, TSV or JSON text
+     * @param {string} [format] - DataFormat value, detected when omitted
+     * @param {object} [options]
+     * @param {boolean|null} [options.header] - Whether the first row of
+     *   CSV or TSV text is the header; detected when null
+     * @returns {DataTable}
+     */
+    static fromText(text, format = detectFormat(text), { header = null } = {}) {
+        if (format === DataFormat.JSON) {
+            return DataTable.fromJSON(JSON.parse(text));
+        }
+
+        const rows = parseDelimited(text, format === DataFormat.TSV ? '\t' : null);
+        if (rows.length === 0) return new DataTable();
+
+        const [first, ...rest] = rows;
+        const hasHeader = header ?? isHeaderRow(first, rest);
+        const width = Math.max(...rows.map(row => row.length));
+        const columns = hasHeader
+            ? Array.from({ length: width }, (_, i) => first[i] || `Column ${i + 1}`)
+            : Array.from({ length: width }, (_, i) => `Column ${i + 1}`);
+
+        const table = new DataTable(columns, hasHeader ? rest : rows);
+        table.hasHeader = hasHeader;
+        return table;
+    }
+
+    /**
+     * Build a table from parsed JSON: an array of objects, an array of
+     * arrays with a header row, or an object of column arrays
+     * @param {Array|object} data - Parsed JSON
+     * @returns {DataTable}
+     */
+    static fromJSON(data) {
+        if (Array.isArray(data)) {
+            if (data.length === 0) return new DataTable();
+
+            if (data.every(Array.isArray)) {
+                const [header, ...rows] = data;
+                return new DataTable(header.map(String), rows);
+            }
+
+            if (data.every(item => item && typeof item === 'object')) {
+                const columns = [...new Set(data.flatMap(item => Object.keys(item)))];
+                return new DataTable(columns, data.map(item => columns.map(column => item[column] ?? '')));
+            }
+
+            // A plain list of values is one column
+            return new DataTable(['Value'], data.map(value => [value]));
+        }
+
+        if (data && typeof data === 'object') {
+            const columns = Object.keys(data).filter(key => Array.isArray(data[key]));
+            if (columns.length === 0) {
+                throw new Error('JSON data must be an array or an object of arrays');
+            }
+            const length = Math.max(...columns.map(column => data[column].length));
+            const rows = Array.from({ length }, (_, i) => columns.map(column => data[column][i] ?? ''));
+            return new DataTable(columns, rows);
+        }
+
+        throw new Error('JSON data must be an array or an object of arrays');
+    }
+
+    /**
+     * Find a column by name or index
+     * @param {string|number} column - Column name or index
+     * @returns {number} Column index, or -1
+     */
+    indexOf(column) {
+        if (typeof column === 'number') {
+            return column >= 0 && column < this.columns.length ? column : -1;
+        }
+        return this.columns.indexOf(column);
+    }
+
+    /**
+     * Get the cells of a column
+     * @param {string|number} column - Column name or index
+     * @returns {Array}
+     */
+    getColumn(column) {
+        const index = this.indexOf(column);
+        return index < 0 ? [] : this.rows.map(row => row[index]);
+    }
+
+    /**
+     * Check whether every non-empty cell of a column is a number
+     * @param {string|number} column - Column name or index
+     * @returns {boolean}
+     */
+    isNumeric(column) {
+        const cells = this.getColumn(column).filter(cell => cell !== '' && cell !== null);
+        return cells.length > 0 && cells.every(cell => parseNumber(cell) !== null);
+    }
+}
+
+// ==========================================
+// DATA MAPPING
+// ==========================================
+
+/**
+ * Maps table columns to chart labels and series
+ */
+export class DataMapping {
+    /**
+     * @param {object} options
+     * @param {string|null} [options.labelColumn] - Column with category labels
+     * @param {string[]} [options.seriesColumns] - Columns plotted as series
+     * @param {boolean|null} [options.header] - Whether the first row of CSV
+     *   or TSV data is the header; detected when null
+     */
+    constructor({ labelColumn = null, seriesColumns = [], header = null } = {}) {
+        this.labelColumn = labelColumn;
+        this.seriesColumns = [...seriesColumns];
+        this.header = header;
+    }
+
+    /**
+     * Default mapping for a table: the first text column labels the
+     * categories and every numeric column is a series
+     * @param {DataTable} table
+     * @param {boolean|null} [header] - Header setting to keep
+     * @returns {DataMapping}
+     */
+    static auto(table, header = null) {
+        const numeric = table.columns.filter(column => table.isNumeric(column));
+        const labelColumn = table.columns.find(column => !numeric.includes(column)) ?? null;
+        return new DataMapping({ labelColumn, seriesColumns: numeric, header });
+    }
+
+    /**
+     * Columns of the mapping missing from a table
+     * @param {DataTable} table
+     * @returns {string[]}
+     */
+    missingColumns(table) {
+        return [this.labelColumn, ...this.seriesColumns]
+            .filter(column => column !== null && table.indexOf(column) < 0);
+    }
+
+    /**
+     * Build chart data from a table
+     * @param {DataTable} table
+     * @returns {{labels: string[], datasets: Array<{name: string, data: Array<{x: number, y: number|null, label: string}>}>}}
+     *   Configuration for Chart.setData
+     */
+    apply(table) {
+        const labels = this.labelColumn !== null
+            ? table.getColumn(this.labelColumn).map(String)
+            : table.rows.map((_, i) => String(i + 1));
+
+        const datasets = this.seriesColumns
+            .filter(column => table.indexOf(column) >= 0)
+            .map(column => ({
+                name: column,
+                data: table.getColumn(column).map((cell, i) => ({ x: i, y: parseNumber(cell), label: labels[i] }))
+            }));
+
+        return { labels, datasets };
+    }
+
+    /**
+     * @returns {object}
+     */
+    toJSON() {
+        return {
+            labelColumn: this.labelColumn,
+            seriesColumns: [...this.seriesColumns],
+            header: this.header
+        };
+    }
+
+    /**
+     * @param {object} json
+     * @returns {DataMapping}
+     */
+    static fromJSON(json) {
+        return new DataMapping(json || {});
+    }
+}
+
+// ==========================================
+// DATA SOURCE
+// ==========================================
+
+/**
+ * Data text attached to a chart. The text is kept so a document can be
+ * rendered again without the original file.
+ *
+ * Emits `change` with `{ source }` when the data or mapping changes.
+ */
+export class ChartDataSource extends EventEmitter {
+    /**
+     * @param {object} options
+     * @param {string} options.text - CSV, TSV or JSON text
+     * @param {string} [options.format] - DataFormat value, detected when omitted
+     * @param {string} [options.name] - Source name, e.g. the file name
+     * @param {DataMapping|object} [options.mapping] - Column mapping; the
+     *   automatic mapping when omitted
+     * @throws {Error} When the text cannot be parsed
+     */
+    constructor({ text, format = null, name = '', mapping = null }) {
+        super();
+
+        this.name = name;
+        this.format = format || detectFormat(text, name);
+        this.text = text;
+        const header = mapping?.header ?? null;
+        this.table = DataTable.fromText(text, this.format, { header });
+        this.mapping = mapping instanceof DataMapping
+            ? mapping
+            : mapping ? DataMapping.fromJSON(mapping) : DataMapping.auto(this.table);
+        this.updatedAt = Date.now();
+    }
+
+    /**
+     * Replace the data, keeping the mapping. The mapping is rebuilt when
+     * columns it refers to are gone.
+     * @param {string} text - New data text
+     * @param {string} [format] - DataFormat value, detected when omitted
+     * @throws {Error} When the text cannot be parsed or has no rows; the
+     *   old data is kept
+     */
+    replace(text, format = null) {
+        const resolved = format || detectFormat(text, this.name);
+        const table = DataTable.fromText(text, resolved, { header: this.mapping.header });
+        if (table.rows.length === 0) {
+            throw new Error('Data has no rows');
+        }
+
+        this.text = text;
+        this.format = resolved;
+        this.table = table;
+        if (this.mapping.missingColumns(table).length > 0) {
+            this.mapping = DataMapping.auto(table, this.mapping.header);
+        }
+        this.updatedAt = Date.now();
+
+        this.emit('change', { source: this });
+    }
+
+    /**
+     * Change the column mapping. A changed header setting parses the data
+     * again.
+     * @param {DataMapping|object} mapping
+     */
+    setMapping(mapping) {
+        const header = this.mapping.header;
+        this.mapping = mapping instanceof DataMapping ? mapping : DataMapping.fromJSON(mapping);
+        if (this.mapping.header !== header) {
+            this.table = DataTable.fromText(this.text, this.format, { header: this.mapping.header });
+        }
+        this.emit('change', { source: this });
+    }
+
+    /**
+     * Chart data for the current table and mapping
+     * @returns {{labels: string[], datasets: Array}} Configuration for Chart.setData
+     */
+    toChartData() {
+        return this.mapping.apply(this.table);
+    }
+
+    /**
+     * @returns {object}
+     */
+    toJSON() {
+        return {
+            name: this.name,
+            format: this.format,
+            text: this.text,
+            mapping: this.mapping.toJSON()
+        };
+    }
+
+    /**
+     * @param {object} json
+     * @returns {ChartDataSource}
+     */
+    static fromJSON(json) {
+        return new ChartDataSource(json);
+    }
+}
+
+// ==========================================
+// DEFAULT EXPORT
+// ==========================================
+
+export default {
+    DataFormat,
+    DataTable,
+    DataMapping,
+    ChartDataSource,
+    detectFormat,
+    parseDelimited,
+    parseNumber
+};
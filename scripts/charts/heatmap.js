@@ -0,0 +1,202 @@
+/**
+ * Asciistrator - Heatmap Chart
+ *
+ * Grids of values shaded by intensity, e.g. requests per weekday and hour.
+ */
+
+import { Chart, formatNumber } from './base.js';
+
+// ==========================================
+// HEATMAP OPTIONS
+// ==========================================
+
+/**
+ * Shade ramps from low to high values
+ */
+export const HeatmapShades = {
+    blocks: [' ', '░', '▒', '▓', '█'],
+    dots: [' ', '·', '∙', '•', '●'],
+    ascii: [' ', '.', ':', '+', '#', '@']
+};
+
+// ==========================================
+// HEATMAP CHART
+// ==========================================
+
+/**
+ * Heatmap chart. Labels name the rows and each series is a column, which
+ * matches a table with a label column and one numeric column per bucket.
+ */
+export class HeatmapChart extends Chart {
+    /**
+     * @param {object} options - Chart options
+     * @param {string[]} [options.shades] - Characters from low to high
+     * @param {number} [options.min] - Value of the lightest shade
+     * @param {number} [options.max] - Value of the darkest shade
+     * @param {boolean} [options.showValues] - Print values in wide cells
+     */
+    constructor(options = {}) {
+        super({
+            ...options,
+            grid: { show: false, ...options.grid },
+            padding: { left: 0, top: 1, bottom: 1, ...options.padding }
+        });
+
+        this.shades = options.shades ?? HeatmapShades.blocks;
+        this.min = options.min ?? null;
+        this.max = options.max ?? null;
+        this.showValues = options.showValues ?? false;
+    }
+
+    get type() {
+        return 'heatmap';
+    }
+
+    /**
+     * Cell values as rows of columns
+     * @returns {Array<Array<number|null>>}
+     */
+    getMatrix() {
+        const columns = this.series.filter(s => s.visible);
+        const rowCount = Math.max(this.labels.length, ...columns.map(s => s.data.length));
+
+        return Array.from({ length: rowCount }, (_, row) =>
+            columns.map(s => {
+                const value = s.data[row]?.y;
+                return typeof value === 'number' && Number.isFinite(value) ? value : null;
+            })
+        );
+    }
+
+    /**
+     * Value range of the shade ramp
+     * @returns {{min: number, max: number}}
+     */
+    getValueRange() {
+        const values = this.getMatrix().flat().filter(value => value !== null);
+        return {
+            min: this.min ?? (values.length > 0 ? Math.min(...values) : 0),
+            max: this.max ?? (values.length > 0 ? Math.max(...values) : 1)
+        };
+    }
+
+    /**
+     * Get the shade for a value
+     * @param {number|null} value - Cell value
+     * @param {{min: number, max: number}} range - Value range
+     * @returns {string}
+     */
+    getShade(value, range) {
+        if (value === null) return ' ';
+
+        const normalized = (value - range.min) / (range.max - range.min || 1);
+        const index = Math.round(Math.max(0, Math.min(1, normalized)) * (this.shades.length - 1));
+        return this.shades[index];
+    }
+
+    /**
+     * Render chart content
+     * @param {AsciiBuffer} buffer - Target buffer
+     */
+    renderChart(buffer) {
+        const matrix = this.getMatrix();
+        const columns = this.series.filter(s => s.visible);
+        if (matrix.length === 0 || columns.length === 0) return;
+
+        const plot = this.getPlotArea();
+        const range = this.getValueRange();
+        const rowLabels = matrix.map((_, row) => String(this.labels[row] ?? row + 1));
+        const gutter = this.showAxes ? Math.max(...rowLabels.map(label => label.length)) + 1 : 0;
+
+        // Keep a row for the column labels
+        const cellWidth = Math.max(1, Math.floor((plot.width - gutter) / columns.length));
+        const cellHeight = Math.max(1, Math.floor((plot.height - (this.showAxes ? 1 : 0)) / matrix.length));
+        const left = plot.x + gutter;
+
+        matrix.forEach((values, row) => {
+            const top = plot.y + row * cellHeight;
+
+            if (this.showAxes) {
+                buffer.drawText(plot.x, top + Math.floor((cellHeight - 1) / 2), rowLabels[row]);
+            }
+
+            values.forEach((value, column) => {
+                const cellX = left + column * cellWidth;
+                const shade = this.getShade(value, range);
+
+                for (let y = top; y < top + cellHeight; y++) {
+                    for (let x = cellX; x < cellX + cellWidth; x++) {
+                        buffer.setChar(x, y, shade);
+                    }
+                }
+
+                if (this.showValues && value !== null) {
+                    const text = formatNumber(value);
+                    if (text.length <= cellWidth) {
+                        const textX = cellX + Math.floor((cellWidth - text.length) / 2);
+                        buffer.drawText(textX, top + Math.floor((cellHeight - 1) / 2), text);
+                    }
+                }
+            });
+        });
+
+        if (this.showAxes) {
+            const labelY = plot.y + matrix.length * cellHeight;
+            columns.forEach((s, column) => {
+                const label = s.name.slice(0, Math.max(1, cellWidth - 1));
+                buffer.drawText(left + column * cellWidth, labelY, label);
+            });
+        }
+    }
+
+    /**
+     * Row and column labels are drawn with the cells
+     */
+    renderAxes(buffer) {}
+
+    /**
+     * Legend mapping shades to value ranges
+     */
+    getLegendItems() {
+        if (this.series.length === 0) return [];
+
+        const range = this.getValueRange();
+        const steps = this.shades.length - 1;
+
+        // Each shade covers the values that round to it
+        return this.shades.map((char, i) => {
+            const from = range.min + ((i - 0.5) / steps) * (range.max - range.min);
+            const to = range.min + ((i + 0.5) / steps) * (range.max - range.min);
+            const label = i === 0
+                ? `< ${formatNumber(to)}`
+                : i === steps ? `≥ ${formatNumber(from)}` : `${formatNumber(from)}-${formatNumber(to)}`;
+            return { label, char: char === ' ' ? '□' : char };
+        });
+    }
+}
+
+// ==========================================
+// FACTORY FUNCTION
+// ==========================================
+
+/**
+ * Create a heatmap from a matrix of values
+ * @param {number[][]} matrix - Rows of cell values
+ * @param {object} options - Chart options
+ * @param {string[]} [options.rowLabels] - Row labels
+ * @param {string[]} [options.columnLabels] - Column labels
+ * @returns {HeatmapChart}
+ */
+export function createHeatmap(matrix, options = {}) {
+    const chart = new HeatmapChart({ ...options, labels: options.rowLabels ?? [] });
+    const columnCount = Math.max(0, ...matrix.map(row => row.length));
+
+    for (let column = 0; column < columnCount; column++) {
+        chart.addSeries({
+            name: options.columnLabels?.[column] ?? String(column + 1),
+            data: matrix.map((row, i) => ({ x: i, y: row[column] ?? null }))
+        });
+    }
+
+    return chart;
+}
@@ -5,6 +5,15 @@
  * Exports all chart types and utilities.
  */
 
+import { Chart } from './base.js';
+import { BarChart, ColumnChart, HorizontalBarChart, ProgressBar } from './bar.js';
+import { LineChart, AreaChart, StackedAreaChart, SparkLine } from './line.js';
+import { PieChart, DonutChart, GaugeChart } from './pie.js';
+import { ScatterChart, BubbleChart, CorrelationPlot } from './scatter.js';
+import { HistogramChart, BoxPlotChart } from './statistical.js';
+import { HeatmapChart } from './heatmap.js';
+import { CandlestickChart } from './candlestick.js';
+
 // ==========================================
 // EXPORTS
 // ==========================================
@@ -22,6 +31,17 @@ export {
     mapRange
 } from './base.js';
 
+// Data sources
+export {
+    DataFormat,
+    DataTable,
+    DataMapping,
+    ChartDataSource,
+    detectFormat,
+    parseDelimited,
+    parseNumber
+} from './datasource.js';
+
 // Axis system
 export {
     Axis,
@@ -44,6 +64,13 @@ export {
     Annotation
 } from './legend.js';
 
+// Sub-character plotting
+export {
+    PlotCanvas,
+    PlotResolution,
+    getCellChar
+} from './canvas.js';
+
 // Bar charts
 export {
     BarChart,
@@ -91,6 +118,30 @@ export {
     createCorrelationPlot
 } from './scatter.js';
 
+// Histograms and box plots
+export {
+    HistogramChart,
+    BoxPlotChart,
+    binValues,
+    quantile,
+    boxStats,
+    createHistogram,
+    createBoxPlot
+} from './statistical.js';
+
+// Heatmaps
+export {
+    HeatmapChart,
+    HeatmapShades,
+    createHeatmap
+} from './heatmap.js';
+
+// Candlestick charts
+export {
+    CandlestickChart,
+    createCandlestickChart
+} from './candlestick.js';
+
 // ==========================================
 // CHART FACTORY
 // ==========================================
@@ -110,7 +161,11 @@ const ChartTypes = {
     gauge: () => import('./pie.js').then(m => m.GaugeChart),
     scatter: () => import('./scatter.js').then(m => m.ScatterChart),
     bubble: () => import('./scatter.js').then(m => m.BubbleChart),
-    correlation: () => import('./scatter.js').then(m => m.CorrelationPlot)
+    correlation: () => import('./scatter.js').then(m => m.CorrelationPlot),
+    histogram: () => import('./statistical.js').then(m => m.HistogramChart),
+    'box-plot': () => import('./statistical.js').then(m => m.BoxPlotChart),
+    heatmap: () => import('./heatmap.js').then(m => m.HeatmapChart),
+    candlestick: () => import('./candlestick.js').then(m => m.CandlestickChart)
 };
 
 /**
@@ -174,6 +229,14 @@ export class ChartFactory {
                 return new BubbleChart(options);
             case 'correlation':
                 return new CorrelationPlot(options);
+            case 'histogram':
+                return new HistogramChart(options);
+            case 'box-plot':
+                return new BoxPlotChart(options);
+            case 'heatmap':
+                return new HeatmapChart(options);
+            case 'candlestick':
+                return new CandlestickChart(options);
             default:
                 throw new Error(`Unknown chart type: ${type}`);
         }
@@ -402,5 +465,9 @@ export default {
     BarChart,
     LineChart,
     PieChart,
-    ScatterChart
+    ScatterChart,
+    HistogramChart,
+    BoxPlotChart,
+    HeatmapChart,
+    CandlestickChart
 };
@@ -4,9 +4,10 @@
  * Line charts with markers, smooth curves, and area fill options.
  */
 
-import { Chart, ChartChars, formatNumber, lerp } from './base.js';
+import { Chart, ChartChars, ChartPalettes, formatNumber, lerp } from './base.js';
 import { XAxis, YAxis, CategoryAxis } from './axis.js';
 import { drawLine } from '../core/ascii/rasterizer.js';
+import { PlotCanvas, PlotResolution } from './canvas.js';
 
 // ==========================================
 // LINE CHART OPTIONS
@@ -41,6 +42,25 @@ export const MarkerStyle = {
     CROSS: '×'
 };
 
+/**
+ * Row of a line's edge in every column between its first and last point
+ * @param {Array<{x: number, y: number}>} points - Points ordered by column
+ * @returns {Map<number, number>} Row by column
+ */
+function getEdgeRows(points) {
+    const rows = new Map();
+    for (let j = 0; j < points.length - 1; j++) {
+        const p1 = points[j];
+        const p2 = points[j + 1];
+        for (let x = p1.x; x <= p2.x; x++) {
+            const t = p2.x === p1.x ? 0 : (x - p1.x) / (p2.x - p1.x);
+            rows.set(x, Math.round(lerp(p1.y, p2.y, t)));
+        }
+    }
+    if (points.length === 1) rows.set(points[0].x, points[0].y);
+    return rows;
+}
+
 // ==========================================
 // LINE CHART
 // ==========================================
@@ -51,12 +71,15 @@ export const MarkerStyle = {
 export class LineChart extends Chart {
     /**
      * @param {object} options - Chart options
+     * @param {string} [options.resolution] - PlotResolution of lines, markers
+     *   and areas; axes, grid and legend stay text
      */
     constructor(options = {}) {
         super(options);
         
         // Line-specific options
         this.interpolation = options.interpolation ?? LineInterpolation.LINEAR;
+        this.resolution = options.resolution ?? PlotResolution.CELL;
         
         // Line styling
         this.lineStyle = {
@@ -124,6 +147,11 @@ export class LineChart extends Chart {
     updateAxes() {
         const bounds = this.getDataBounds();
         
+        // Labels may arrive after construction, e.g. from setData()
+        if (this.labels.length > 0 && !(this.axisX instanceof CategoryAxis)) {
+            this.initAxes();
+        }
+        
         if (this.labels.length > 0) {
             this.axisX.categories = this.labels;
         } else {
@@ -176,6 +204,11 @@ export class LineChart extends Chart {
         const plot = this.getPlotArea();
         const visibleSeries = this.series.filter(s => s.visible);
         
+        if (this.resolution !== PlotResolution.CELL) {
+            this.renderCanvas(buffer, plot, visibleSeries);
+            return;
+        }
+        
         // Render area fill first (behind lines)
         if (this.areaStyle.show) {
             this.renderAreaFill(buffer, plot, visibleSeries);
@@ -429,12 +462,131 @@ export class LineChart extends Chart {
         return result;
     }
     
+    /**
+     * Points of a series as X indices and Y values
+     * @param {DataSeries} series - Data series
+     * @returns {Array<{index: number, value: number}>}
+     */
+    getSeriesValues(series) {
+        return series.data.map((point, i) => ({
+            index: typeof point.x === 'number' ? point.x : i,
+            value: point.y
+        }));
+    }
+    
+    /**
+     * Points of each series added to the series before it
+     * @param {DataSeries[]} visibleSeries - Visible series
+     * @returns {Array<Array<{index: number, value: number}>>}
+     */
+    getStackedValues(visibleSeries) {
+        return visibleSeries.map((series, i) =>
+            series.data.map((point, j) => ({
+                index: typeof point.x === 'number' ? point.x : j,
+                value: visibleSeries.slice(0, i).reduce((sum, s) => sum + (s.data[j]?.y ?? 0), point.y)
+            })));
+    }
+    
+    /**
+     * Convert a data point to dots of a plot canvas
+     * @param {number} index - Point index
+     * @param {number} value - Y value
+     * @param {PlotCanvas} canvas - Canvas covering the plot area
+     * @returns {object} { x, y }
+     */
+    getCanvasPoint(index, value, canvas) {
+        let x;
+        if (this.labels.length > 0) {
+            const slotWidth = canvas.width / this.labels.length;
+            x = index * slotWidth + slotWidth / 2;
+        } else {
+            const bounds = this.getDataBounds();
+            const rangeX = bounds.maxX - bounds.minX || 1;
+            x = ((index - bounds.minX) / rangeX) * (canvas.width - 1);
+        }
+        
+        const rangeY = this.axisY.getMax() - this.axisY.getMin() || 1;
+        const normalizedY = (value - this.axisY.getMin()) / rangeY;
+        const y = canvas.height - 1 - normalizedY * (canvas.height - 1);
+        
+        return { x: Math.round(x), y: Math.round(y) };
+    }
+    
+    /**
+     * Render areas, lines and markers through a sub-character canvas
+     */
+    renderCanvas(buffer, plot, visibleSeries) {
+        const canvas = new PlotCanvas(plot.width, plot.height, this.resolution);
+        const toDots = values => values.map(({ index, value }) => this.getCanvasPoint(index, value, canvas));
+        
+        if (this.areaStyle.show) {
+            const stacked = this.areaStyle.stacked;
+            const areas = (stacked
+                ? this.getStackedValues(visibleSeries)
+                : visibleSeries.map(s => this.getSeriesValues(s))).map(toDots);
+            
+            // Stacked layers fill down to the layer below with their own pattern
+            areas.forEach((points, i) => {
+                const floor = stacked && i > 0 ? getEdgeRows(areas[i - 1]) : null;
+                for (const [x, top] of getEdgeRows(points)) {
+                    const bottom = floor ? (floor.get(x) ?? canvas.height) - 1 : canvas.height - 1;
+                    if (bottom >= top) canvas.fillColumn(x, top, bottom, stacked ? i : 0);
+                }
+            });
+        }
+        
+        const lines = visibleSeries.map(s => toDots(this.getSeriesValues(s)));
+        
+        if (this.lineStyle.showLine) {
+            for (const points of lines) {
+                this.drawCanvasLine(canvas, points);
+            }
+        }
+        
+        if (this.markerStyle.show) {
+            for (const points of lines) {
+                for (const point of points) {
+                    canvas.disc(point.x, point.y, this.markerStyle.size);
+                }
+            }
+        }
+        
+        canvas.render(buffer, plot.x, plot.y);
+    }
+    
+    /**
+     * Draw a series line on a plot canvas
+     */
+    drawCanvasLine(canvas, points) {
+        if (points.length === 1) {
+            canvas.set(points[0].x, points[0].y);
+        }
+        
+        for (let i = 0; i < points.length - 1; i++) {
+            const p1 = points[i];
+            const p2 = points[i + 1];
+            
+            if (this.interpolation === LineInterpolation.STEP ||
+                this.interpolation === LineInterpolation.STEP_AFTER) {
+                canvas.line(p1.x, p1.y, p2.x, p1.y);
+                canvas.line(p2.x, p1.y, p2.x, p2.y);
+            } else if (this.interpolation === LineInterpolation.STEP_BEFORE) {
+                canvas.line(p1.x, p1.y, p1.x, p2.y);
+                canvas.line(p1.x, p2.y, p2.x, p2.y);
+            } else {
+                canvas.line(p1.x, p1.y, p2.x, p2.y);
+            }
+        }
+    }
+    
     /**
      * Render axes
      */
     renderAxes(buffer) {
         if (!this.showAxes) return;
         
+        // Axes are drawn before the lines, so set their ranges here
+        this.updateAxes();
         const plot = this.getPlotArea();
         
         if (this.axisX) {
@@ -510,7 +662,8 @@ export class AreaChart extends LineChart {
 // ==========================================
 
 /**
- * Stacked area chart
+ * Stacked area chart. Each series is filled with its own shade and its line
+ * follows the top of its layer.
  */
 export class StackedAreaChart extends LineChart {
     constructor(options = {}) {
@@ -519,12 +672,91 @@ export class StackedAreaChart extends LineChart {
             showArea: true,
             stackedArea: true
         });
+        
+        this.areaChars = options.areaChars ?? ChartPalettes.shades;
     }
     
     get type() {
         return 'stacked-area';
     }
     
+    /**
+     * Fill character of a series
+     * @param {DataSeries} series - Data series
+     * @param {number} index - Index among visible series
+     * @returns {string}
+     */
+    getAreaChar(series, index) {
+        return series.style.fillChar ?? this.areaChars[index % this.areaChars.length];
+    }
+    
+    /**
+     * Update axes; layers stack up from zero
+     */
+    updateAxes() {
+        super.updateAxes();
+        this.axisY.setRange(0, this.getDataBounds().maxY || 1);
+    }
+    
+    /**
+     * Values of a series at the top of its layer
+     */
+    getSeriesValues(series) {
+        const visibleSeries = this.series.filter(s => s.visible);
+        const index = visibleSeries.indexOf(series);
+        if (index < 0) return super.getSeriesValues(series);
+        
+        return this.getStackedValues(visibleSeries)[index];
+    }
+    
+    /**
+     * Plot points of a series at the top of its layer
+     */
+    getSeriesPlotPoints(series) {
+        const visibleSeries = this.series.filter(s => s.visible);
+        const index = visibleSeries.indexOf(series);
+        if (index < 0) return super.getSeriesPlotPoints(series);
+        
+        return this.calculateStackedPoints(visibleSeries)[index]
+            .map((point, i) => ({ ...point, data: series.data[i] }));
+    }
+    
+    /**
+     * Fill each layer down to the layer below, interpolating between points
+     */
+    renderAreaFill(buffer, plot, visibleSeries) {
+        const baseY = plot.y + plot.height - 1;
+        const edges = this.calculateStackedPoints(visibleSeries).map(getEdgeRows);
+        
+        for (let i = 0; i < visibleSeries.length; i++) {
+            const char = this.getAreaChar(visibleSeries[i], i);
+            
+            for (const [x, topY] of edges[i]) {
+                if (x < plot.x || x >= plot.x + plot.width) continue;
+                
+                // The layer below owns its own top row
+                const bottomY = i > 0 ? (edges[i - 1].get(x) ?? baseY + 1) - 1 : baseY;
+                for (let y = Math.max(topY, plot.y); y <= Math.min(bottomY, baseY); y++) {
+                    buffer.setChar(x, y, char);
+                }
+            }
+        }
+    }
+    
+    /**
+     * Legend entries with the fill of each series
+     */
+    getLegendItems() {
+        return this.series
+            .filter(s => s.visible)
+            .map((s, i) => ({
+                label: s.name,
+                char: this.resolution === PlotResolution.CELL
+                    ? this.getAreaChar(s, i)
+                    : PlotCanvas.getPatternChar(this.resolution, i)
+            }));
+    }
+    
     /**
      * Override data bounds for stacked values
      */
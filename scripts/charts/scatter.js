@@ -6,6 +6,7 @@
 
 import { Chart, ChartChars, formatNumber, lerp, mapRange } from './base.js';
 import { XAxis, YAxis } from './axis.js';
+import { PlotCanvas, PlotResolution } from './canvas.js';
 
 // ==========================================
 // SCATTER CHART OPTIONS
@@ -52,10 +53,14 @@ export const TrendLineType = {
 export class ScatterChart extends Chart {
     /**
      * @param {object} options - Chart options
+     * @param {string} [options.resolution] - PlotResolution of points and
+     *   trend lines; axes, grid and quadrant lines stay text
      */
     constructor(options = {}) {
         super(options);
         
+        this.resolution = options.resolution ?? PlotResolution.CELL;
+        
         // Marker options
         this.markerStyle = {
             char: options.markerChar ?? ScatterMarker.CIRCLE,
@@ -136,6 +141,11 @@ export class ScatterChart extends Chart {
             this.renderQuadrants(buffer, plot);
         }
         
+        if (this.resolution !== PlotResolution.CELL) {
+            this.renderCanvas(buffer, plot, visibleSeries);
+            return;
+        }
+        
         // Render trend lines
         if (this.trendLine.type !== TrendLineType.NONE) {
             for (let i = 0; i < visibleSeries.length; i++) {
@@ -164,6 +174,48 @@ export class ScatterChart extends Chart {
         };
     }
     
+    /**
+     * Convert data point to dots of a plot canvas
+     */
+    dataToCanvasCoords(dataX, dataY, canvas) {
+        return {
+            x: Math.round(this.axisX.scale(dataX) * (canvas.width - 1)),
+            y: Math.round(canvas.height - 1 - this.axisY.scale(dataY) * (canvas.height - 1))
+        };
+    }
+    
+    /**
+     * Render trend lines and points through a sub-character canvas
+     */
+    renderCanvas(buffer, plot, visibleSeries) {
+        const canvas = new PlotCanvas(plot.width, plot.height, this.resolution);
+        
+        if (this.trendLine.type !== TrendLineType.NONE) {
+            for (const series of visibleSeries) {
+                const trendPoints = this.getTrendPoints(series);
+                canvas.polyline(trendPoints.map(point => this.dataToCanvasCoords(point.x, point.y, canvas)));
+            }
+        }
+        
+        for (const series of visibleSeries) {
+            const zs = series.data.map(point => point.metadata?.z ?? point.y);
+            const minZ = Math.min(...zs);
+            const maxZ = Math.max(...zs);
+            
+            series.data.forEach((point, i) => {
+                const pos = this.dataToCanvasCoords(point.x, point.y, canvas);
+                
+                // Marker sizes count cells; a size of 1 is a single dot
+                const size = this.markerStyle.sizeByValue
+                    ? Math.round(mapRange(zs[i], minZ, maxZ, this.markerStyle.minSize, this.markerStyle.maxSize))
+                    : 1;
+                canvas.disc(pos.x, pos.y, (size - 1) * canvas.dotsX);
+            });
+        }
+        
+        canvas.render(buffer, plot.x, plot.y);
+    }
+    
     /**
      * Render data points
      */
@@ -234,21 +286,7 @@ export class ScatterChart extends Chart {
         if (series.data.length < 2) return;
         
         const char = series.style.lineChar ?? this.trendLine.char;
-        let trendPoints;
-        
-        switch (this.trendLine.type) {
-            case TrendLineType.LINEAR:
-                trendPoints = this.calculateLinearTrend(series.data);
-                break;
-            case TrendLineType.POLYNOMIAL:
-                trendPoints = this.calculatePolynomialTrend(series.data, this.trendLine.order);
-                break;
-            case TrendLineType.MOVING_AVERAGE:
-                trendPoints = this.calculateMovingAverage(series.data, this.trendLine.period);
-                break;
-            default:
-                return;
-        }
+        const trendPoints = this.getTrendPoints(series);
         
         // Render trend line points
         for (const point of trendPoints) {
@@ -265,6 +303,25 @@ export class ScatterChart extends Chart {
         }
     }
     
+    /**
+     * Points of the trend line of a series
+     * @returns {Array<{x: number, y: number}>} Empty without a trend line
+     */
+    getTrendPoints(series) {
+        if (series.data.length < 2) return [];
+        
+        switch (this.trendLine.type) {
+            case TrendLineType.LINEAR:
+                return this.calculateLinearTrend(series.data);
+            case TrendLineType.POLYNOMIAL:
+                return this.calculatePolynomialTrend(series.data, this.trendLine.order);
+            case TrendLineType.MOVING_AVERAGE:
+                return this.calculateMovingAverage(series.data, this.trendLine.period);
+            default:
+                return [];
+        }
+    }
+    
     /**
      * Calculate linear regression trend
      */
@@ -388,6 +445,8 @@ export class ScatterChart extends Chart {
     renderAxes(buffer) {
         if (!this.showAxes) return;
         
+        // Axes are drawn before the points, so set their ranges here
+        this.updateAxes();
         const plot = this.getPlotArea();
         
         if (this.axisX) {
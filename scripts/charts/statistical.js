@@ -0,0 +1,437 @@
+/**
+ * Asciistrator - Statistical Charts
+ *
+ * Histograms with automatic binning and box-and-whisker plots.
+ */
+
+import { Chart, ChartPalettes, generateTicks } from './base.js';
+import { XAxis, YAxis, CategoryAxis } from './axis.js';
+
+// ==========================================
+// STATISTICS
+// ==========================================
+
+/**
+ * Numeric values of a series, without empty cells
+ * @param {DataSeries} series - Data series
+ * @returns {number[]}
+ */
+function seriesValues(series) {
+    return series.data
+        .map(point => point.y)
+        .filter(value => typeof value === 'number' && Number.isFinite(value));
+}
+
+/**
+ * Split values into bins of equal width. Without an explicit bin count the
+ * count follows Sturges' rule and the edges are rounded to nice numbers.
+ * @param {number[]} values - Values to bin
+ * @param {object} options
+ * @param {number} [options.bins] - Number of bins
+ * @param {number} [options.min] - Lower edge of the first bin
+ * @param {number} [options.max] - Upper edge of the last bin
+ * @returns {Array<{x0: number, x1: number, count: number}>}
+ */
+export function binValues(values, options = {}) {
+    if (values.length === 0) return [];
+
+    const min = options.min ?? Math.min(...values);
+    const max = options.max ?? Math.max(...values);
+
+    let edges;
+    if (options.bins) {
+        const width = (max - min) / options.bins || 1;
+        edges = Array.from({ length: options.bins + 1 }, (_, i) => min + i * width);
+    } else {
+        const count = Math.ceil(Math.log2(values.length)) + 1;
+        const ticks = generateTicks(min, max, count + 1);
+        const step = ticks.length > 1 ? ticks[1] - ticks[0] : 1;
+
+        // Ticks are rounded and may not cover the range; extend them
+        edges = [Math.min(ticks[0], Math.floor(min / step) * step)];
+        while (edges[edges.length - 1] <= max) {
+            edges.push(edges[edges.length - 1] + step);
+        }
+    }
+
+    const bins = edges.slice(0, -1).map((x0, i) => ({ x0, x1: edges[i + 1], count: 0 }));
+    const last = bins.length - 1;
+
+    for (const value of values) {
+        if (value < bins[0].x0 || value > bins[last].x1) continue;
+
+        // The last bin includes its upper edge
+        const index = bins.findIndex(bin => value < bin.x1);
+        bins[index < 0 ? last : index].count++;
+    }
+
+    return bins;
+}
+
+/**
+ * Quantile of sorted values, interpolating between neighbours
+ * @param {number[]} sorted - Values in ascending order
+ * @param {number} q - Quantile (0-1)
+ * @returns {number}
+ */
+export function quantile(sorted, q) {
+    if (sorted.length === 0) return NaN;
+
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Five-number summary for a box plot. Whiskers reach the furthest values
+ * within 1.5 times the interquartile range; values beyond are outliers.
+ * @param {number[]} values - Sample values
+ * @returns {{min: number, q1: number, median: number, q3: number, max: number,
+ *   lowerWhisker: number, upperWhisker: number, outliers: number[]}|null}
+ *   Null for an empty sample
+ */
+export function boxStats(values) {
+    if (values.length === 0) return null;
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const q1 = quantile(sorted, 0.25);
+    const median = quantile(sorted, 0.5);
+    const q3 = quantile(sorted, 0.75);
+    const fence = (q3 - q1) * 1.5;
+    const inside = sorted.filter(value => value >= q1 - fence && value <= q3 + fence);
+
+    return {
+        min: sorted[0],
+        q1,
+        median,
+        q3,
+        max: sorted[sorted.length - 1],
+        lowerWhisker: inside[0],
+        upperWhisker: inside[inside.length - 1],
+        outliers: sorted.filter(value => value < q1 - fence || value > q3 + fence)
+    };
+}
+
+// ==========================================
+// HISTOGRAM
+// ==========================================
+
+/**
+ * Histogram of the values of each series. Series share the bin edges and
+ * stand side by side within a bin.
+ */
+export class HistogramChart extends Chart {
+    /**
+     * @param {object} options - Chart options
+     * @param {number} [options.bins] - Number of bins; automatic when omitted
+     * @param {number} [options.binMin] - Lower edge of the first bin
+     * @param {number} [options.binMax] - Upper edge of the last bin
+     */
+    constructor(options = {}) {
+        super(options);
+
+        this.bins = options.bins ?? null;
+        this.binMin = options.binMin ?? null;
+        this.binMax = options.binMax ?? null;
+
+        this.barStyle = {
+            chars: options.barChars ?? ChartPalettes.shades,
+            gap: options.barGap ?? 1,
+            ...options.barStyle
+        };
+
+        // The bin edges are already round; a nice range would add empty bins
+        this.axisX = new XAxis({ position: 'bottom', showLabels: true, nice: false });
+        this.axisY = new YAxis({ position: 'left', showLabels: true, min: 0 });
+    }
+
+    get type() {
+        return 'histogram';
+    }
+
+    /**
+     * Compute the bins of every visible series
+     * @returns {{edges: number[], counts: number[][]}} Shared bin edges and
+     *   the count per bin of each visible series
+     */
+    getBins() {
+        const samples = this.series.filter(s => s.visible).map(seriesValues);
+        const all = samples.flat();
+
+        const shared = binValues(all, {
+            bins: this.bins ?? undefined,
+            min: this.binMin ?? undefined,
+            max: this.binMax ?? undefined
+        });
+        if (shared.length === 0) return { edges: [], counts: [] };
+
+        const edges = [...shared.map(bin => bin.x0), shared[shared.length - 1].x1];
+        const counts = samples.map(values => binValues(values, {
+            bins: shared.length,
+            min: edges[0],
+            max: edges[edges.length - 1]
+        }).map(bin => bin.count));
+
+        return { edges, counts };
+    }
+
+    /**
+     * Update axes with the bin range and highest count
+     * @param {{edges: number[], counts: number[][]}} bins
+     */
+    updateAxes(bins) {
+        const { edges, counts } = bins;
+        const maxCount = Math.max(1, ...counts.flat());
+
+        if (edges.length > 0) {
+            this.axisX.setRange(edges[0], edges[edges.length - 1]);
+        }
+        this.axisY.setRange(0, maxCount);
+    }
+
+    /**
+     * Render chart content
+     * @param {AsciiBuffer} buffer - Target buffer
+     */
+    renderChart(buffer) {
+        const bins = this.getBins();
+        this.updateAxes(bins);
+        if (bins.edges.length === 0) return;
+
+        const plot = this.getPlotArea();
+        const bottom = plot.y + plot.height - 1;
+        const maxValue = this.axisY.getMax() || 1;
+        const seriesCount = bins.counts.length;
+
+        for (let b = 0; b < bins.edges.length - 1; b++) {
+            const left = Math.floor(plot.x + this.axisX.scale(bins.edges[b]) * plot.width);
+            const right = Math.floor(plot.x + this.axisX.scale(bins.edges[b + 1]) * plot.width);
+
+            // Leave a gap between bins when they are wide enough
+            const binWidth = right - left - (right - left > 2 ? this.barStyle.gap : 0);
+            const barWidth = Math.max(1, Math.floor(binWidth / seriesCount));
+
+            bins.counts.forEach((counts, s) => {
+                // Bars reach the row of their count on the value axis
+                const barHeight = counts[b] > 0
+                    ? Math.round((counts[b] / maxValue) * (plot.height - 1)) + 1
+                    : 0;
+                const char = this.barStyle.chars[s % this.barStyle.chars.length];
+                const barX = left + s * barWidth;
+
+                for (let h = 0; h < barHeight; h++) {
+                    for (let w = 0; w < barWidth && barX + w < plot.x + plot.width; w++) {
+                        buffer.setChar(barX + w, bottom - h, char);
+                    }
+                }
+            });
+        }
+    }
+
+    /**
+     * Render axes
+     */
+    renderAxes(buffer) {
+        if (!this.showAxes) return;
+
+        // Axes are drawn before the bars, so set their ranges here
+        this.updateAxes(this.getBins());
+        const plot = this.getPlotArea();
+        this.axisX.render(buffer, plot);
+        this.axisY.render(buffer, plot);
+    }
+
+    /**
+     * Legend entries, one per series when there are several
+     */
+    getLegendItems() {
+        const visible = this.series.filter(s => s.visible);
+        if (visible.length < 2) return [];
+
+        return visible.map((s, i) => ({
+            label: s.name,
+            char: this.barStyle.chars[i % this.barStyle.chars.length]
+        }));
+    }
+}
+
+// ==========================================
+// BOX PLOT
+// ==========================================
+
+/**
+ * Box-and-whisker plot with one box per series
+ */
+export class BoxPlotChart extends Chart {
+    /**
+     * @param {object} options - Chart options
+     * @param {number} [options.maxBoxWidth] - Widest box in columns
+     * @param {string} [options.outlierChar] - Character for outliers
+     */
+    constructor(options = {}) {
+        super(options);
+
+        this.boxStyle = {
+            maxWidth: options.maxBoxWidth ?? 9,
+            medianChar: options.medianChar ?? '━',
+            outlierChar: options.outlierChar ?? '○',
+            ...options.boxStyle
+        };
+
+        this.axisX = new CategoryAxis([], { position: 'bottom', showLabels: true });
+        this.axisY = new YAxis({ position: 'left', showLabels: true });
+    }
+
+    get type() {
+        return 'box-plot';
+    }
+
+    /**
+     * Summary of each visible series
+     * @returns {Array<{name: string, stats: object|null}>}
+     */
+    getBoxes() {
+        return this.series
+            .filter(s => s.visible)
+            .map(s => ({ name: s.name, stats: boxStats(seriesValues(s)) }));
+    }
+
+    /**
+     * Update axes with series names and the value range
+     * @param {Array<{name: string, stats: object|null}>} boxes
+     */
+    updateAxes(boxes) {
+        const stats = boxes.map(box => box.stats).filter(Boolean);
+        const min = stats.length > 0 ? Math.min(...stats.map(s => s.min)) : 0;
+        const max = stats.length > 0 ? Math.max(...stats.map(s => s.max)) : 1;
+        const padding = (max - min) * 0.05 || 1;
+
+        this.axisX.categories = boxes.map(box => box.name);
+        this.axisY.setRange(min - padding, max + padding);
+    }
+
+    /**
+     * Render chart content
+     * @param {AsciiBuffer} buffer - Target buffer
+     */
+    renderChart(buffer) {
+        const boxes = this.getBoxes();
+        this.updateAxes(boxes);
+        if (boxes.length === 0) return;
+
+        const plot = this.getPlotArea();
+        const slotWidth = plot.width / boxes.length;
+        const toY = value => Math.round(plot.y + plot.height - 1 - this.axisY.scale(value) * (plot.height - 1));
+
+        // Odd widths keep the whiskers centred
+        let boxWidth = Math.min(this.boxStyle.maxWidth, Math.floor(slotWidth) - 2);
+        if (boxWidth % 2 === 0) boxWidth--;
+        boxWidth = Math.max(1, boxWidth);
+
+        boxes.forEach(({ stats }, i) => {
+            if (!stats) return;
+
+            const center = Math.floor(plot.x + i * slotWidth + slotWidth / 2);
+            const left = center - Math.floor(boxWidth / 2);
+            const right = left + boxWidth - 1;
+            const top = toY(stats.q3);
+            const bottom = toY(stats.q1);
+            const set = (x, y, char) => {
+                if (y >= plot.y && y < plot.y + plot.height) buffer.setChar(x, y, char);
+            };
+
+            // Whiskers with caps
+            for (let y = toY(stats.upperWhisker); y < top; y++) set(center, y, '│');
+            for (let y = bottom + 1; y <= toY(stats.lowerWhisker); y++) set(center, y, '│');
+            set(center, toY(stats.upperWhisker), boxWidth > 1 ? '┬' : '─');
+            set(center, toY(stats.lowerWhisker), boxWidth > 1 ? '┴' : '─');
+
+            // Box from the first to the third quartile
+            if (boxWidth === 1) {
+                for (let y = top; y <= bottom; y++) set(center, y, '█');
+            } else {
+                for (let y = top; y <= bottom; y++) {
+                    for (let x = left; x <= right; x++) {
+                        const edgeX = x === left || x === right;
+                        const edgeY = y === top || y === bottom;
+                        if (edgeX && edgeY) {
+                            set(x, y, y === top
+                                ? (x === left ? '┌' : '┐')
+                                : (x === left ? '└' : '┘'));
+                        } else if (edgeX) {
+                            set(x, y, '│');
+                        } else if (edgeY) {
+                            set(x, y, '─');
+                        } else {
+                            set(x, y, ' ');
+                        }
+                    }
+                }
+            }
+
+            // Median line
+            const medianY = toY(stats.median);
+            for (let x = left; x <= right; x++) {
+                set(x, medianY, this.boxStyle.medianChar);
+            }
+
+            for (const outlier of stats.outliers) {
+                set(center, toY(outlier), this.boxStyle.outlierChar);
+            }
+        });
+    }
+
+    /**
+     * Render axes
+     */
+    renderAxes(buffer) {
+        if (!this.showAxes) return;
+
+        this.updateAxes(this.getBoxes());
+        const plot = this.getPlotArea();
+        this.axisX.render(buffer, plot);
+        this.axisY.render(buffer, plot);
+    }
+
+    /**
+     * Legend explaining the box symbols
+     */
+    getLegendItems() {
+        const items = [{ label: 'median', char: this.boxStyle.medianChar }];
+        if (this.getBoxes().some(box => box.stats?.outliers.length > 0)) {
+            items.push({ label: 'outlier', char: this.boxStyle.outlierChar });
+        }
+        return items;
+    }
+}
+
+// ==========================================
+// FACTORY FUNCTIONS
+// ==========================================
+
+/**
+ * Create a histogram from raw values
+ * @param {number[]} values - Sample values
+ * @param {object} options - Chart options
+ * @returns {HistogramChart}
+ */
+export function createHistogram(values, options = {}) {
+    const chart = new HistogramChart(options);
+    chart.addSeries({ name: options.name ?? 'Values', data: values });
+    return chart;
+}
+
+/**
+ * Create a box plot from named samples
+ * @param {object} samples - { name: values[] }
+ * @param {object} options - Chart options
+ * @returns {BoxPlotChart}
+ */
+export function createBoxPlot(samples, options = {}) {
+    const chart = new BoxPlotChart(options);
+    for (const [name, values] of Object.entries(samples)) {
+        chart.addSeries({ name, data: values });
+    }
+    return chart;
+}
@@ -0,0 +1,242 @@
+#!/usr/bin/env node
+/**
+ * Asciistrator - Command Line Interface
+ *
+ * Renders native (.ascii) documents without a browser and exports them
+ * with any registered exporter, for use in scripts and CI pipelines.
+ *
+ * Usage:
+ *   node scripts/cli.js <input.ascii...> [options]
+ *
+ * Requires Node.js 20.19+ (ES modules are detected without a package.json).
+ *
+ * @version 1.0.0
+ */
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import process from 'node:process';
+import { parseArgs } from './cliArgs.js';
+
+export { parseArgs };
+
+// ==========================================
+// CONSTANTS
+// ==========================================
+
+const EXIT_OK = 0;
+const EXIT_EXPORT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: asciistrator <input.ascii...> [options]
+
+Render Asciistrator documents and export them without a browser.
+
+Options:
+  -f, --format <id>        Exporter id or file extension (default: text)
+  -o, --output <file>      Output file (default: stdout, single input only)
+  -d, --out-dir <dir>      Output directory for batch exports
+  -O, --option <key=value> Exporter option (repeatable)
+      --font <name=file>   Register a FIGlet .flf font (repeatable)
+      --data <name=file>   Replace the data of charts bound to data source
+                           (or chart) <name> with a CSV/JSON file (repeatable)
+      --list-formats       List available export formats
+  -h, --help               Show this help
+
+Examples:
+  asciistrator diagram.ascii
+  asciistrator diagram.ascii -f svg -o diagram.svg
+  asciistrator docs/*.ascii -f html -d build/diagrams
+  asciistrator status.ascii --data latency=weekly-latency.csv -o status.txt
+  asciistrator form.ascii -f avalonia-xaml -O className=FormView -o FormView.axaml
+  asciistrator login.ascii -f flutter -O className=LoginScreen -o login_screen.dart
+  asciistrator login.ascii -f swiftui -O className=LoginView -o LoginView.swift
+  asciistrator login.ascii -f qml -O className=LoginView -o LoginView.qml
+  asciistrator login.ascii -f gtk-blueprint -O className=LoginWindow -o login.blp
+  asciistrator login.ascii -f textual -O className=LoginApp -o login_app.py
+  asciistrator login.ascii -f ratatui -O className=LoginView -o login_view.rs`;
+
+// ==========================================
+// OUTPUT
+// ==========================================
+
+/**
+ * Convert exporter content (string, Blob, bytes) to something fs can write
+ * @param {string|Blob|Uint8Array} content
+ * @returns {Promise<string|Uint8Array>}
+ */
+async function toWritable(content) {
+    if (typeof Blob !== 'undefined' && content instanceof Blob) {
+        return new Uint8Array(await content.arrayBuffer());
+    }
+    return content;
+}
+
+/**
+ * Read all of stdin
+ * @returns {Promise<string>}
+ */
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Resolve the output path for one input
+ * @param {object} args - Parsed arguments
+ * @param {string} input - Input path
+ * @param {object} exporter - Exporter used
+ * @returns {string|null} Output path, or null for stdout
+ */
+function resolveOutputPath(args, input, exporter) {
+    if (args.output) return args.output;
+    if (!args.outDir) return null;
+
+    const base = input === '-' ? 'stdin' : path.basename(input, path.extname(input));
+    return path.join(args.outDir, base + (exporter.fileExtension || '.txt'));
+}
+
+// ==========================================
+// MAIN
+// ==========================================
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments without node and script path
+ * @returns {Promise<number>} Exit code
+ */
+export async function main(argv) {
+    let args;
+    try {
+        args = parseArgs(argv);
+    } catch (error) {
+        console.error(`asciistrator: ${error.message}\n\n${USAGE}`);
+        return EXIT_USAGE;
+    }
+
+    if (args.help) {
+        process.stdout.write(USAGE + '\n');
+        return EXIT_OK;
+    }
+
+    // Library modules log progress through the console; keep stdout for output only
+    const stdoutWrite = process.stdout.write.bind(process.stdout);
+    process.stdout.on('error', (error) => {
+        // Output piped into a command that stopped reading (e.g. `| head`)
+        if (error.code === 'EPIPE') process.exit(EXIT_OK);
+        throw error;
+    });
+    console.log = console.info = (...messages) => console.error(...messages);
+    console.debug = () => {};
+
+    const { HeadlessDocument, createExporterRegistry, exportDocument } = await import('./io/headless.js');
+    const { figletFonts } = await import('./core/ascii/figlet.js');
+    const registry = createExporterRegistry();
+
+    if (args.listFormats) {
+        for (const exporter of registry.getAll()) {
+            stdoutWrite(`${exporter.id.padEnd(24)} ${(exporter.fileExtension || '').padEnd(10)} ${exporter.name}\n`);
+        }
+        return EXIT_OK;
+    }
+
+    if (args.inputs.length === 0) {
+        console.error(`asciistrator: no input files\n\n${USAGE}`);
+        return EXIT_USAGE;
+    }
+
+    if (args.output && args.inputs.length > 1) {
+        console.error('asciistrator: --output accepts a single input; use --out-dir for batches');
+        return EXIT_USAGE;
+    }
+
+    if (!registry.get(args.format) && !registry.getByExtension(args.format)) {
+        console.error(`asciistrator: unknown format '${args.format}' (see --list-formats)`);
+        return EXIT_USAGE;
+    }
+
+    for (const { name, file } of args.fonts) {
+        try {
+            figletFonts.registerSource(name, await readFile(file, 'utf8'));
+        } catch (error) {
+            console.error(`asciistrator: cannot load font '${file}': ${error.message}`);
+            return EXIT_USAGE;
+        }
+    }
+
+    const chartData = [];
+    for (const { name, file } of args.data) {
+        try {
+            chartData.push({ name, file, text: await readFile(file, 'utf8') });
+        } catch (error) {
+            console.error(`asciistrator: cannot load data '${file}': ${error.message}`);
+            return EXIT_USAGE;
+        }
+    }
+
+    let exitCode = EXIT_OK;
+
+    for (const input of args.inputs) {
+        try {
+            const source = input === '-' ? await readStdin() : await readFile(input, 'utf8');
+            const document = HeadlessDocument.fromJSON(source);
+
+            for (const { name, file, text } of chartData) {
+                if (document.replaceChartData(name, text, file) === 0) {
+                    console.error(`${input}: warning: no chart is bound to data source '${name}'`);
+                }
+            }
+            const result = exportDocument(document, args.format, args.options, registry);
+
+            for (const warning of result.warnings) {
+                console.error(`${input}: warning: ${warning}`);
+            }
+
+            if (!result.success || result.content === null) {
+                const reason = result.errors.join('; ') || 'exporter returned no content';
+                console.error(`${input}: export failed: ${reason}`);
+                exitCode = EXIT_EXPORT_FAILED;
+                continue;
+            }
+
+            const outputPath = resolveOutputPath(args, input, result.exporter);
+            const content = await toWritable(result.content);
+
+            if (!outputPath) {
+                stdoutWrite(content);
+                if (typeof content === 'string' && !content.endsWith('\n')) {
+                    stdoutWrite('\n');
+                }
+                continue;
+            }
+
+            const outputDir = path.dirname(outputPath);
+            await mkdir(outputDir, { recursive: true });
+            await writeFile(outputPath, content);
+            console.error(`${input} -> ${outputPath}`);
+
+            // Companion files (code-behind, stylesheets, ...) go next to the main output
+            for (const [filename, fileContent] of result.files) {
+                const filePath = path.join(outputDir, filename);
+                await mkdir(path.dirname(filePath), { recursive: true });
+                await writeFile(filePath, await toWritable(fileContent));
+                console.error(`${input} -> ${filePath}`);
+            }
+        } catch (error) {
+            console.error(`${input}: ${error.message}`);
+            exitCode = EXIT_EXPORT_FAILED;
+        }
+    }
+
+    return exitCode;
+}
+
+const invokedDirectly = process.argv[1] &&
+    path.resolve(process.argv[1]) === path.resolve(new URL(import.meta.url).pathname);
+
+if (invokedDirectly) {
+    process.exitCode = await main(process.argv.slice(2));
+}
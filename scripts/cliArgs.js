@@ -0,0 +1,110 @@
+/**
+ * Asciistrator - Command Line Arguments
+ *
+ * Argument parsing for scripts/cli.js. Kept free of Node.js built-ins so it
+ * can be tested in the browser test runner.
+ *
+ * @version 1.0.0
+ */
+
+/**
+ * Convert an option value string to a boolean, number or string
+ * @param {string} value
+ * @returns {boolean|number|string}
+ */
+function parseOptionValue(value) {
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    if (value !== '' && !isNaN(Number(value))) return Number(value);
+    return value;
+}
+
+/**
+ * Split a key=value pair
+ * @param {string} pair
+ * @param {string} flag - Flag name for error messages
+ * @returns {[string, string]}
+ */
+function splitPair(pair, flag) {
+    const index = pair ? pair.indexOf('=') : -1;
+    if (index <= 0) {
+        throw new Error(`${flag} expects key=value, got '${pair ?? ''}'`);
+    }
+    return [pair.slice(0, index), pair.slice(index + 1)];
+}
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments without node and script path
+ * @returns {object}
+ */
+export function parseArgs(argv) {
+    const args = {
+        inputs: [],
+        format: 'text',
+        output: null,
+        outDir: null,
+        options: {},
+        fonts: [],
+        data: [],
+        listFormats: false,
+        help: false
+    };
+
+    const takeValue = (index, flag) => {
+        const value = argv[index + 1];
+        if (value === undefined || value.startsWith('-') && value !== '-') {
+            throw new Error(`${flag} requires a value`);
+        }
+        return value;
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        switch (arg) {
+            case '-f':
+            case '--format':
+                args.format = takeValue(i++, arg);
+                break;
+            case '-o':
+            case '--output':
+                args.output = takeValue(i++, arg);
+                break;
+            case '-d':
+            case '--out-dir':
+                args.outDir = takeValue(i++, arg);
+                break;
+            case '-O':
+            case '--option': {
+                const [key, value] = splitPair(takeValue(i++, arg), arg);
+                args.options[key] = parseOptionValue(value);
+                break;
+            }
+            case '--font': {
+                const [name, file] = splitPair(takeValue(i++, arg), arg);
+                args.fonts.push({ name, file });
+                break;
+            }
+            case '--data': {
+                const [name, file] = splitPair(takeValue(i++, arg), arg);
+                args.data.push({ name, file });
+                break;
+            }
+            case '--list-formats':
+                args.listFormats = true;
+                break;
+            case '-h':
+            case '--help':
+                args.help = true;
+                break;
+            default:
+                if (arg.startsWith('-') && arg !== '-') {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                args.inputs.push(arg);
+        }
+    }
+
+    return args;
+}
@@ -0,0 +1,313 @@
+/**
+ * Asciistrator - Collaborative Document CRDT
+ *
+ * A last-writer-wins map CRDT over the native document model. Every layer
+ * and top-level scene object is a record whose properties are registers
+ * stamped with Lamport clocks: concurrent edits of different properties
+ * merge, and concurrent edits of the same property resolve the same way on
+ * every peer no matter in which order the operations arrive.
+ *
+ * @module collab/crdt
+ */
+
+import { deepClone } from '../utils/helpers.js';
+
+/**
+ * Record kinds
+ */
+export const RecordKind = {
+    LAYER: 'layer',
+    OBJECT: 'object'
+};
+
+/**
+ * Order two Lamport stamps; ties on the counter are broken by client id
+ * @param {{counter: number, client: string}} a
+ * @param {{counter: number, client: string}} b
+ * @returns {number} Negative when a is older, positive when newer
+ */
+export function compareStamps(a, b) {
+    if (!a) return b ? -1 : 0;
+    if (!b) return 1;
+    if (a.counter !== b.counter) return a.counter - b.counter;
+    return a.client < b.client ? -1 : a.client > b.client ? 1 : 0;
+}
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Replicated document of layer and object records
+ */
+export class CollabDocument {
+    /**
+     * @param {string} clientId - Id of this replica, unique per session
+     */
+    constructor(clientId) {
+        this.clientId = clientId;
+        this.counter = 0;
+        /** @type {Map<string, {kind: string, fields: Map<string, {value: *, stamp: Object}>, removed: Object|null}>} */
+        this.records = new Map();
+    }
+
+    /**
+     * Next stamp for a local operation
+     */
+    _tick() {
+        this.counter++;
+        return { counter: this.counter, client: this.clientId };
+    }
+
+    _record(id, kind) {
+        let record = this.records.get(id);
+        if (!record) {
+            record = { kind, fields: new Map(), removed: null };
+            this.records.set(id, record);
+        }
+        return record;
+    }
+
+    /**
+     * Set a record property locally
+     * @returns {Object} The operation to broadcast
+     */
+    set(id, kind, key, value) {
+        const op = { type: 'set', id, kind, key, value: deepClone(value), stamp: this._tick() };
+        this.apply(op);
+        return op;
+    }
+
+    /**
+     * Remove a record locally
+     * @returns {Object} The operation to broadcast
+     */
+    remove(id, kind) {
+        const op = { type: 'remove', id, kind, stamp: this._tick() };
+        this.apply(op);
+        return op;
+    }
+
+    /**
+     * Merge an operation from any replica. Applying the same operation
+     * twice, or operations in any order, gives the same state.
+     * @param {Object} op - 'set' or 'remove' operation
+     * @returns {boolean} Whether the visible state changed
+     */
+    apply(op) {
+        this.counter = Math.max(this.counter, op.stamp.counter);
+        const record = this._record(op.id, op.kind);
+        const wasAlive = this._isAlive(record);
+
+        if (op.type === 'remove') {
+            if (compareStamps(op.stamp, record.removed) <= 0) return false;
+            record.removed = op.stamp;
+            return wasAlive !== this._isAlive(record);
+        }
+
+        if (op.type !== 'set') return false;
+        const current = record.fields.get(op.key);
+        if (current && compareStamps(op.stamp, current.stamp) <= 0) return false;
+        record.fields.set(op.key, { value: deepClone(op.value), stamp: op.stamp });
+        return this._isAlive(record) && (!wasAlive || !current || !sameValue(current.value, op.value));
+    }
+
+    /**
+     * A record is alive when it has a property written after its removal,
+     * so undoing a delete revives it
+     */
+    _isAlive(record) {
+        if (record.fields.size === 0) return false;
+        if (!record.removed) return true;
+        for (const field of record.fields.values()) {
+            if (compareStamps(field.stamp, record.removed) > 0) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Whether a record exists and is not removed
+     */
+    has(id) {
+        const record = this.records.get(id);
+        return !!record && this._isAlive(record);
+    }
+
+    /**
+     * Property values of a live record
+     * @returns {Object|null}
+     */
+    get(id) {
+        const record = this.records.get(id);
+        if (!record || !this._isAlive(record)) return null;
+        const values = {};
+        for (const [key, field] of record.fields) values[key] = deepClone(field.value);
+        return values;
+    }
+
+    /**
+     * Ids of live records of a kind
+     * @param {string} kind - RecordKind value
+     * @returns {Array<string>}
+     */
+    ids(kind) {
+        const ids = [];
+        for (const [id, record] of this.records) {
+            if (record.kind === kind && this._isAlive(record)) ids.push(id);
+        }
+        return ids;
+    }
+
+    /**
+     * Whole state as operations, for bringing a new replica up to date
+     * @returns {Array<Object>}
+     */
+    getState() {
+        const ops = [];
+        for (const [id, record] of this.records) {
+            for (const [key, field] of record.fields) {
+                ops.push({ type: 'set', id, kind: record.kind, key, value: deepClone(field.value), stamp: field.stamp });
+            }
+            if (record.removed) ops.push({ type: 'remove', id, kind: record.kind, stamp: record.removed });
+        }
+        return ops;
+    }
+
+    /**
+     * Bring the document in line with a local snapshot of records
+     * @param {Map<string, {kind: string, values: Object}>} snapshot - Current local records
+     * @returns {{ops: Array<Object>, changes: Array<Object>}} Operations to broadcast and
+     *   the changes made, for the local history
+     */
+    commit(snapshot) {
+        const ops = [];
+        const changes = [];
+
+        for (const [id, { kind, values }] of snapshot) {
+            const before = this.get(id);
+            if (!before) {
+                for (const [key, value] of Object.entries(values)) ops.push(this.set(id, kind, key, value));
+                changes.push({ id, kind, created: true, fields: deepClone(values) });
+                continue;
+            }
+
+            const keys = new Set([...Object.keys(before), ...Object.keys(values)]);
+            for (const key of keys) {
+                const after = key in values ? values[key] : null;
+                if (sameValue(before[key] ?? null, after)) continue;
+                ops.push(this.set(id, kind, key, after));
+                changes.push({ id, kind, key, before: before[key] ?? null, after: deepClone(after) });
+            }
+        }
+
+        for (const [id, record] of this.records) {
+            if (snapshot.has(id) || !this._isAlive(record)) continue;
+            const fields = this.get(id);
+            ops.push(this.remove(id, record.kind));
+            changes.push({ id, kind: record.kind, removed: true, fields });
+        }
+
+        return { ops, changes };
+    }
+}
+
+/**
+ * Per-user undo history. Undoing writes new operations that restore only
+ * this user's changes, leaving everyone else's edits in place.
+ */
+export class CollabHistory {
+    /**
+     * @param {number} [limit=100] - Maximum number of undo steps
+     */
+    constructor(limit = 100) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this._open = false;
+    }
+
+    /**
+     * Start a new undo step; changes recorded until the next call are
+     * undone together
+     */
+    begin() {
+        this._open = false;
+    }
+
+    /**
+     * Add committed changes to the current undo step
+     * @param {Array<Object>} changes - Changes from CollabDocument.commit()
+     */
+    record(changes) {
+        if (changes.length === 0) return;
+        if (this._open && this.undoStack.length > 0) {
+            this.undoStack[this.undoStack.length - 1].push(...changes);
+        } else {
+            this.undoStack.push([...changes]);
+            if (this.undoStack.length > this.limit) this.undoStack.shift();
+            this._open = true;
+        }
+        this.redoStack = [];
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Revert the last undo step
+     * @param {CollabDocument} doc
+     * @returns {Array<Object>} Operations to broadcast
+     */
+    undo(doc) {
+        const step = this.undoStack.pop();
+        if (!step) return [];
+        this._open = false;
+        this.redoStack.push(step);
+
+        const ops = [];
+        for (const change of [...step].reverse()) {
+            if (change.created) {
+                if (doc.has(change.id)) ops.push(doc.remove(change.id, change.kind));
+            } else if (change.removed) {
+                for (const [key, value] of Object.entries(change.fields)) ops.push(doc.set(change.id, change.kind, key, value));
+            } else if (doc.has(change.id)) {
+                ops.push(doc.set(change.id, change.kind, change.key, change.before));
+            }
+        }
+        return ops;
+    }
+
+    /**
+     * Re-apply the last undone step
+     * @param {CollabDocument} doc
+     * @returns {Array<Object>} Operations to broadcast
+     */
+    redo(doc) {
+        const step = this.redoStack.pop();
+        if (!step) return [];
+        this._open = false;
+        this.undoStack.push(step);
+
+        const ops = [];
+        for (const change of step) {
+            if (change.created) {
+                for (const [key, value] of Object.entries(change.fields)) ops.push(doc.set(change.id, change.kind, key, value));
+            } else if (change.removed) {
+                if (doc.has(change.id)) ops.push(doc.remove(change.id, change.kind));
+            } else if (doc.has(change.id)) {
+                ops.push(doc.set(change.id, change.kind, change.key, change.after));
+            }
+        }
+        return ops;
+    }
+}
+
+export default {
+    RecordKind,
+    compareStamps,
+    CollabDocument,
+    CollabHistory
+};
@@ -0,0 +1,240 @@
+/**
+ * Asciistrator - Collaboration Session
+ *
+ * Connects to a relay server (scripts/relay.js) over WebSocket, keeps a
+ * CollabDocument in sync with the other participants of a room and tracks
+ * their cursors and selections.
+ *
+ * Messages are JSON objects with a `type`:
+ * - join      client -> relay   { room, clientId, user }
+ * - welcome   relay -> client   { ops, peers }
+ * - ops       both directions   { clientId, ops }
+ * - presence  both directions   { clientId, user, presence }
+ * - peer-join relay -> client   { clientId, user }
+ * - leave     relay -> client   { clientId }
+ *
+ * @module collab/session
+ */
+
+import { EventEmitter } from '../utils/events.js';
+import { uuid } from '../utils/helpers.js';
+import { CollabDocument, CollabHistory } from './crdt.js';
+
+/**
+ * Connection states
+ */
+export const CollabStatus = {
+    DISCONNECTED: 'disconnected',
+    CONNECTING: 'connecting',
+    CONNECTED: 'connected'
+};
+
+/**
+ * Colors handed out to participants for cursors and selections
+ */
+export const PresenceColors = [
+    '#ff6b6b', '#4dabf7', '#51cf66', '#fcc419',
+    '#cc5de8', '#ff922b', '#22b8cf', '#f06595'
+];
+
+/**
+ * Default relay address used by `node scripts/relay.js`
+ */
+export const DEFAULT_RELAY_URL = 'ws://localhost:8787';
+
+/**
+ * A participant's connection to a shared room
+ */
+export class CollabSession extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {string} [options.url] - Relay WebSocket URL
+     * @param {string} options.room - Room name
+     * @param {string} options.name - Display name
+     * @param {string} [options.color] - Cursor color
+     * @param {Function} [options.WebSocket] - WebSocket implementation
+     */
+    constructor(options) {
+        super();
+        this.url = options.url || DEFAULT_RELAY_URL;
+        this.room = options.room;
+        this.clientId = uuid();
+        this.user = {
+            name: options.name || 'Guest',
+            color: options.color || PresenceColors[Math.floor(Math.random() * PresenceColors.length)]
+        };
+        this.WebSocket = options.WebSocket || globalThis.WebSocket;
+
+        this.doc = new CollabDocument(this.clientId);
+        this.history = new CollabHistory();
+        /** @type {Map<string, {user: Object, presence: Object}>} */
+        this.peers = new Map();
+        this.status = CollabStatus.DISCONNECTED;
+        this.socket = null;
+        this._presence = null;
+    }
+
+    /**
+     * Open the connection and join the room
+     * @returns {Promise<{empty: boolean}>} Resolves once the room state arrived;
+     *   `empty` is true when nobody has shared a document in the room yet
+     */
+    connect() {
+        if (!this.WebSocket) {
+            return Promise.reject(new Error('WebSocket is not available'));
+        }
+
+        this.status = CollabStatus.CONNECTING;
+        return new Promise((resolve, reject) => {
+            let welcomed = false;
+            const socket = new this.WebSocket(this.url);
+            this.socket = socket;
+
+            socket.onopen = () => {
+                this._send({ type: 'join', room: this.room, clientId: this.clientId, user: this.user });
+            };
+            socket.onmessage = (event) => {
+                let message;
+                try {
+                    message = JSON.parse(event.data);
+                } catch (err) {
+                    return;
+                }
+                if (message.type === 'welcome' && !welcomed) {
+                    welcomed = true;
+                    this.status = CollabStatus.CONNECTED;
+                    this._applyRemote(message.ops || []);
+                    for (const peer of message.peers || []) {
+                        this.peers.set(peer.clientId, { user: peer.user, presence: peer.presence || null });
+                    }
+                    this.emit('status', { status: this.status });
+                    this.emit('presence', { peers: this.peers });
+                    resolve({ empty: (message.ops || []).length === 0 });
+                    return;
+                }
+                this._handleMessage(message);
+            };
+            socket.onerror = () => {
+                if (!welcomed) reject(new Error(`Could not connect to ${this.url}`));
+            };
+            socket.onclose = () => {
+                const wasConnected = this.status === CollabStatus.CONNECTED;
+                this.status = CollabStatus.DISCONNECTED;
+                this.socket = null;
+                this.peers.clear();
+                if (!welcomed) reject(new Error(`Connection to ${this.url} closed`));
+                if (wasConnected) {
+                    this.emit('status', { status: this.status });
+                    this.emit('presence', { peers: this.peers });
+                }
+            };
+        });
+    }
+
+    /**
+     * Leave the room
+     */
+    disconnect() {
+        if (this.socket) this.socket.close();
+    }
+
+    get connected() {
+        return this.status === CollabStatus.CONNECTED;
+    }
+
+    /**
+     * Publish local edits
+     * @param {Map<string, {kind: string, values: Object}>} snapshot - Current local records
+     * @param {Object} [options]
+     * @param {boolean} [options.record=true] - Add the changes to this participant's undo history
+     * @returns {number} Number of changed properties
+     */
+    commit(snapshot, { record = true } = {}) {
+        const { ops, changes } = this.doc.commit(snapshot);
+        if (record) this.history.record(changes);
+        this._sendOps(ops);
+        return changes.length;
+    }
+
+    /**
+     * Start a new undo step for the next local edits
+     */
+    beginAction() {
+        this.history.begin();
+    }
+
+    /**
+     * Undo this participant's last edit
+     * @returns {boolean} Whether anything was undone
+     */
+    undo() {
+        if (!this.history.canUndo) return false;
+        this._sendOps(this.history.undo(this.doc));
+        return true;
+    }
+
+    /**
+     * Redo this participant's last undone edit
+     * @returns {boolean} Whether anything was redone
+     */
+    redo() {
+        if (!this.history.canRedo) return false;
+        this._sendOps(this.history.redo(this.doc));
+        return true;
+    }
+
+    /**
+     * Share the cursor position and selection
+     * @param {{cursor: {x: number, y: number}|null, selection: Array<string>}} presence
+     */
+    setPresence(presence) {
+        const json = JSON.stringify(presence);
+        if (json === this._presence) return;
+        this._presence = json;
+        this._send({ type: 'presence', clientId: this.clientId, user: this.user, presence });
+    }
+
+    _sendOps(ops) {
+        if (ops.length > 0) this._send({ type: 'ops', clientId: this.clientId, ops });
+    }
+
+    _send(message) {
+        if (this.socket && this.socket.readyState === 1) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    _applyRemote(ops) {
+        let changed = false;
+        for (const op of ops) {
+            if (this.doc.apply(op)) changed = true;
+        }
+        return changed;
+    }
+
+    _handleMessage(message) {
+        switch (message.type) {
+            case 'ops':
+                // Lets the owner publish pending local edits before the document moves on
+                this.emit('before-change', { clientId: message.clientId });
+                if (this._applyRemote(message.ops || [])) {
+                    this.emit('change', { clientId: message.clientId });
+                }
+                break;
+            case 'peer-join':
+                this.peers.set(message.clientId, { user: message.user, presence: null });
+                this.emit('presence', { peers: this.peers });
+                break;
+            case 'presence':
+                this.peers.set(message.clientId, { user: message.user, presence: message.presence });
+                this.emit('presence', { peers: this.peers });
+                break;
+            case 'leave':
+                this.peers.delete(message.clientId);
+                this.emit('presence', { peers: this.peers });
+                break;
+        }
+    }
+}
+
+export default CollabSession;
@@ -22,6 +22,9 @@ export const UIFramework = {
     UWP: 'uwp',
     Qt: 'qt',
     GTK: 'gtk',
+    Textual: 'textual',
+    BubbleTea: 'bubbletea',
+    Ratatui: 'ratatui',
     SwiftUI: 'swiftui',
     Flutter: 'flutter',
     React: 'react',
@@ -235,6 +238,13 @@ class FrameworkMappingRegistry {
         this._registerMAUIMappings();
         this._registerHTMLMappings();
         this._registerReactMappings();
+        this._registerFlutterMappings();
+        this._registerSwiftUIMappings();
+        this._registerQtMappings();
+        this._registerGTKMappings();
+        this._registerTextualMappings();
+        this._registerBubbleTeaMappings();
+        this._registerRatatuiMappings();
         
         this._initialized = true;
     }
@@ -821,6 +831,808 @@ class FrameworkMappingRegistry {
             }));
         }
     }
+    
+    // ==========================================
+    // FLUTTER MAPPINGS
+    // ==========================================
+    
+    _registerFlutterMappings() {
+        const framework = UIFramework.Flutter;
+        
+        // Global property mappings (generic -> widget constructor argument)
+        const globalProps = {
+            'isEnabled': 'enabled',
+            'content': 'child',
+            'text': 'data',
+            'header': 'title',
+            'title': 'title',
+            'placeholder': 'hintText',
+            'watermark': 'hintText',
+            'toolTip': 'message',
+            'isChecked': 'value',
+            'isReadOnly': 'readOnly',
+            'maxLength': 'maxLength',
+            'value': 'value',
+            'minimum': 'min',
+            'maximum': 'max',
+            'items': 'items',
+            'opacity': 'opacity',
+            'background': 'color',
+            'padding': 'padding'
+        };
+        
+        for (const [generic, target] of Object.entries(globalProps)) {
+            this.registerPropertyMapping(framework, generic, target);
+        }
+        
+        // Component mappings (all widgets come from the Material library)
+        const material = 'package:flutter/material.dart';
+        const componentMappings = [
+            // Buttons
+            { componentType: 'Button', targetType: 'ElevatedButton', targetImport: material },
+            { componentType: 'RepeatButton', targetType: 'ElevatedButton', targetImport: material },
+            { componentType: 'SplitButton', targetType: 'ElevatedButton', targetImport: material },
+            { componentType: 'ToggleButton', targetType: 'OutlinedButton', targetImport: material },
+            { componentType: 'DropDownButton', targetType: 'OutlinedButton', targetImport: material,
+              notes: 'Open a PopupMenuButton or MenuAnchor from onPressed' },
+            { componentType: 'HyperlinkButton', targetType: 'TextButton', targetImport: material },
+            { componentType: 'CheckBox', targetType: 'Checkbox', targetImport: material,
+              propertyMappings: { 'isThreeState': 'tristate' } },
+            { componentType: 'RadioButton', targetType: 'Radio', targetImport: material },
+            { componentType: 'ToggleSwitch', targetType: 'Switch', targetImport: material },
+            
+            // Inputs
+            { componentType: 'TextBox', targetType: 'TextField', targetImport: material },
+            { componentType: 'TextArea', targetType: 'TextField', targetImport: material,
+              notes: 'Multi-line: maxLines is null' },
+            { componentType: 'PasswordBox', targetType: 'TextField', targetImport: material,
+              propertyMappings: { 'passwordChar': 'obscuringCharacter' }, notes: 'Use obscureText: true' },
+            { componentType: 'MaskedTextBox', targetType: 'TextField', targetImport: material },
+            { componentType: 'NumericUpDown', targetType: 'TextField', targetImport: material,
+              notes: 'Use keyboardType: TextInputType.number' },
+            { componentType: 'SearchBox', targetType: 'SearchBar', targetImport: material },
+            { componentType: 'TextBlock', targetType: 'Text', targetImport: material },
+            { componentType: 'Label', targetType: 'Text', targetImport: material },
+            { componentType: 'SelectableTextBlock', targetType: 'SelectableText', targetImport: material },
+            { componentType: 'Slider', targetType: 'Slider', targetImport: material },
+            { componentType: 'RangeSlider', targetType: 'RangeSlider', targetImport: material,
+              propertyMappings: { 'lowerValue': 'start', 'upperValue': 'end' } },
+            
+            // Selections
+            { componentType: 'ComboBox', targetType: 'DropdownButton', targetImport: material },
+            { componentType: 'ListBox', targetType: 'ListView', targetImport: material },
+            { componentType: 'ItemsControl', targetType: 'ListView', targetImport: material },
+            
+            // Containers
+            { componentType: 'Window', targetType: 'Scaffold', targetImport: material },
+            { componentType: 'Dialog', targetType: 'AlertDialog', targetImport: material },
+            { componentType: 'Border', targetType: 'Container', targetImport: material },
+            { componentType: 'Card', targetType: 'Card', targetImport: material },
+            { componentType: 'ScrollViewer', targetType: 'SingleChildScrollView', targetImport: material },
+            { componentType: 'GroupBox', targetType: 'InputDecorator', targetImport: material,
+              notes: 'Outlined decorator with the header as label' },
+            { componentType: 'Expander', targetType: 'ExpansionTile', targetImport: material,
+              propertyMappings: { 'isExpanded': 'initiallyExpanded' } },
+            { componentType: 'TabControl', targetType: 'DefaultTabController', targetImport: material,
+              notes: 'TabBar for the headers and TabBarView for the pages' },
+            { componentType: 'Viewbox', targetType: 'FittedBox', targetImport: material },
+            
+            // Layouts
+            { componentType: 'StackPanel', targetType: 'Column', targetImport: material,
+              notes: 'Row when orientation is Horizontal' },
+            { componentType: 'Grid', targetType: 'Table', targetImport: material,
+              notes: 'Cells come from Grid.Row/Grid.Column; spans are not supported' },
+            { componentType: 'UniformGrid', targetType: 'GridView', targetImport: material },
+            { componentType: 'WrapPanel', targetType: 'Wrap', targetImport: material },
+            { componentType: 'Canvas', targetType: 'Stack', targetImport: material },
+            { componentType: 'Separator', targetType: 'Divider', targetImport: material },
+            
+            // Indicators
+            { componentType: 'ProgressBar', targetType: 'LinearProgressIndicator', targetImport: material },
+            { componentType: 'ProgressRing', targetType: 'CircularProgressIndicator', targetImport: material },
+            { componentType: 'LoadingIndicator', targetType: 'CircularProgressIndicator', targetImport: material },
+            { componentType: 'Badge', targetType: 'Badge', targetImport: material },
+            
+            // Data display
+            { componentType: 'Image', targetType: 'Image', targetImport: material,
+              propertyMappings: { 'stretch': 'fit' } }
+        ];
+        
+        for (const m of componentMappings) {
+            this.registerMapping(new FrameworkMapping({
+                framework,
+                ...m
+            }));
+        }
+    }
+    
+    // ==========================================
+    // SWIFTUI MAPPINGS
+    // ==========================================
+    
+    _registerSwiftUIMappings() {
+        const framework = UIFramework.SwiftUI;
+        
+        // Global property mappings (generic -> view argument or modifier)
+        const globalProps = {
+            'isEnabled': 'disabled',
+            'isVisible': 'hidden',
+            'content': 'label',
+            'text': 'text',
+            'header': 'title',
+            'title': 'navigationTitle',
+            'placeholder': 'prompt',
+            'watermark': 'prompt',
+            'toolTip': 'help',
+            'isChecked': 'isOn',
+            'value': 'value',
+            'minimum': 'in',
+            'maximum': 'in',
+            'selectedIndex': 'selection',
+            'opacity': 'opacity',
+            'background': 'background',
+            'foreground': 'foregroundStyle',
+            'padding': 'padding'
+        };
+        
+        for (const [generic, target] of Object.entries(globalProps)) {
+            this.registerPropertyMapping(framework, generic, target);
+        }
+        
+        // Component mappings (all views come from the SwiftUI module)
+        const swiftUI = 'SwiftUI';
+        const componentMappings = [
+            // Buttons
+            { componentType: 'Button', targetType: 'Button', targetImport: swiftUI },
+            { componentType: 'RepeatButton', targetType: 'Button', targetImport: swiftUI },
+            { componentType: 'SplitButton', targetType: 'Menu', targetImport: swiftUI,
+              notes: 'Menu with a primaryAction' },
+            { componentType: 'DropDownButton', targetType: 'Menu', targetImport: swiftUI },
+            { componentType: 'ToggleButton', targetType: 'Toggle', targetImport: swiftUI,
+              notes: 'Use .toggleStyle(.button)' },
+            { componentType: 'HyperlinkButton', targetType: 'Link', targetImport: swiftUI,
+              propertyMappings: { 'navigateUri': 'destination' } },
+            { componentType: 'CheckBox', targetType: 'Toggle', targetImport: swiftUI },
+            { componentType: 'RadioButton', targetType: 'Toggle', targetImport: swiftUI,
+              notes: 'Group radio buttons into a Picker' },
+            { componentType: 'ToggleSwitch', targetType: 'Toggle', targetImport: swiftUI },
+            
+            // Inputs
+            { componentType: 'TextBox', targetType: 'TextField', targetImport: swiftUI },
+            { componentType: 'MaskedTextBox', targetType: 'TextField', targetImport: swiftUI },
+            { componentType: 'SearchBox', targetType: 'TextField', targetImport: swiftUI,
+              notes: 'Or the .searchable modifier on a navigation stack' },
+            { componentType: 'PasswordBox', targetType: 'SecureField', targetImport: swiftUI },
+            { componentType: 'TextArea', targetType: 'TextEditor', targetImport: swiftUI },
+            { componentType: 'NumericUpDown', targetType: 'Stepper', targetImport: swiftUI,
+              propertyMappings: { 'increment': 'step' } },
+            { componentType: 'TextBlock', targetType: 'Text', targetImport: swiftUI },
+            { componentType: 'Label', targetType: 'Text', targetImport: swiftUI },
+            { componentType: 'SelectableTextBlock', targetType: 'Text', targetImport: swiftUI,
+              notes: 'Use .textSelection(.enabled)' },
+            { componentType: 'Slider', targetType: 'Slider', targetImport: swiftUI,
+              propertyMappings: { 'tickFrequency': 'step' } },
+            { componentType: 'DatePicker', targetType: 'DatePicker', targetImport: swiftUI,
+              propertyMappings: { 'selectedDate': 'selection' } },
+            { componentType: 'CalendarDatePicker', targetType: 'DatePicker', targetImport: swiftUI },
+            { componentType: 'Calendar', targetType: 'DatePicker', targetImport: swiftUI,
+              notes: 'Use .datePickerStyle(.graphical)' },
+            { componentType: 'TimePicker', targetType: 'DatePicker', targetImport: swiftUI,
+              notes: 'displayedComponents: .hourAndMinute' },
+            { componentType: 'ColorPicker', targetType: 'ColorPicker', targetImport: swiftUI,
+              propertyMappings: { 'color': 'selection', 'isAlphaEnabled': 'supportsOpacity' } },
+            
+            // Selections
+            { componentType: 'ComboBox', targetType: 'Picker', targetImport: swiftUI },
+            { componentType: 'ListBox', targetType: 'List', targetImport: swiftUI },
+            { componentType: 'ItemsControl', targetType: 'List', targetImport: swiftUI },
+            
+            // Containers
+            { componentType: 'Window', targetType: 'NavigationStack', targetImport: swiftUI,
+              notes: 'The title becomes .navigationTitle' },
+            { componentType: 'Dialog', targetType: 'GroupBox', targetImport: swiftUI,
+              notes: 'Present with .sheet or .alert' },
+            { componentType: 'GroupBox', targetType: 'GroupBox', targetImport: swiftUI },
+            { componentType: 'Card', targetType: 'GroupBox', targetImport: swiftUI },
+            { componentType: 'Border', targetType: 'ZStack', targetImport: swiftUI,
+              notes: 'Drawn with the .border modifier' },
+            { componentType: 'ScrollViewer', targetType: 'ScrollView', targetImport: swiftUI },
+            { componentType: 'Expander', targetType: 'DisclosureGroup', targetImport: swiftUI,
+              propertyMappings: { 'isExpanded': 'isExpanded' } },
+            { componentType: 'TabControl', targetType: 'TabView', targetImport: swiftUI,
+              notes: 'Each page is labelled with .tabItem' },
+            
+            // Layouts
+            { componentType: 'StackPanel', targetType: 'VStack', targetImport: swiftUI,
+              notes: 'HStack when orientation is Horizontal' },
+            { componentType: 'Grid', targetType: 'Grid', targetImport: swiftUI,
+              notes: 'Cells come from Grid.Row/Grid.Column; requires iOS 16 / macOS 13' },
+            { componentType: 'UniformGrid', targetType: 'LazyVGrid', targetImport: swiftUI },
+            { componentType: 'WrapPanel', targetType: 'LazyVGrid', targetImport: swiftUI,
+              notes: 'Adaptive grid items' },
+            { componentType: 'Canvas', targetType: 'ZStack', targetImport: swiftUI },
+            { componentType: 'Separator', targetType: 'Divider', targetImport: swiftUI },
+            
+            // Indicators
+            { componentType: 'ProgressBar', targetType: 'ProgressView', targetImport: swiftUI },
+            { componentType: 'ProgressRing', targetType: 'ProgressView', targetImport: swiftUI },
+            { componentType: 'LoadingIndicator', targetType: 'ProgressView', targetImport: swiftUI },
+            
+            // Data display
+            { componentType: 'Image', targetType: 'Image', targetImport: swiftUI,
+              propertyMappings: { 'stretch': 'aspectRatio' } }
+        ];
+        
+        for (const m of componentMappings) {
+            this.registerMapping(new FrameworkMapping({
+                framework,
+                ...m
+            }));
+        }
+    }
+    
+    // ==========================================
+    // QT MAPPINGS
+    // ==========================================
+    
+    _registerQtMappings() {
+        const framework = UIFramework.Qt;
+        
+        // Global property mappings (generic -> QML property)
+        const globalProps = {
+            'isEnabled': 'enabled',
+            'isVisible': 'visible',
+            'content': 'text',
+            'text': 'text',
+            'header': 'title',
+            'title': 'title',
+            'placeholder': 'placeholderText',
+            'watermark': 'placeholderText',
+            'toolTip': 'ToolTip.text',
+            'isChecked': 'checked',
+            'value': 'value',
+            'minimum': 'from',
+            'maximum': 'to',
+            'selectedIndex': 'currentIndex',
+            'items': 'model',
+            'opacity': 'opacity',
+            'background': 'color',
+            'foreground': 'color',
+            'padding': 'padding'
+        };
+        
+        for (const [generic, target] of Object.entries(globalProps)) {
+            this.registerPropertyMapping(framework, generic, target);
+        }
+        
+        // Component mappings (Qt 6 module imports)
+        const controls = 'QtQuick.Controls';
+        const layouts = 'QtQuick.Layouts';
+        const quick = 'QtQuick';
+        const componentMappings = [
+            // Buttons
+            { componentType: 'Button', targetType: 'Button', targetImport: controls },
+            { componentType: 'RepeatButton', targetType: 'Button', targetImport: controls,
+              notes: 'autoRepeat: true' },
+            { componentType: 'ToggleButton', targetType: 'Button', targetImport: controls,
+              notes: 'checkable: true' },
+            { componentType: 'SplitButton', targetType: 'Button', targetImport: controls,
+              notes: 'Open a Menu from onClicked' },
+            { componentType: 'DropDownButton', targetType: 'Button', targetImport: controls,
+              notes: 'Open a Menu from onClicked' },
+            { componentType: 'HyperlinkButton', targetType: 'Label', targetImport: controls,
+              propertyMappings: { 'navigateUri': 'onLinkActivated' },
+              notes: 'Rich text link opened with Qt.openUrlExternally' },
+            { componentType: 'CheckBox', targetType: 'CheckBox', targetImport: controls,
+              propertyMappings: { 'isThreeState': 'tristate' } },
+            { componentType: 'RadioButton', targetType: 'RadioButton', targetImport: controls,
+              notes: 'Radio buttons with the same parent are exclusive; use ButtonGroup otherwise' },
+            { componentType: 'ToggleSwitch', targetType: 'Switch', targetImport: controls },
+            
+            // Inputs
+            { componentType: 'TextBox', targetType: 'TextField', targetImport: controls },
+            { componentType: 'MaskedTextBox', targetType: 'TextField', targetImport: controls,
+              notes: 'Set inputMask' },
+            { componentType: 'SearchBox', targetType: 'TextField', targetImport: controls },
+            { componentType: 'PasswordBox', targetType: 'TextField', targetImport: controls,
+              propertyMappings: { 'password': 'text' },
+              notes: 'echoMode: TextInput.Password' },
+            { componentType: 'TextArea', targetType: 'TextArea', targetImport: controls },
+            { componentType: 'NumericUpDown', targetType: 'SpinBox', targetImport: controls,
+              propertyMappings: { 'increment': 'stepSize' },
+              notes: 'Integer values only' },
+            { componentType: 'TextBlock', targetType: 'Label', targetImport: controls },
+            { componentType: 'Label', targetType: 'Label', targetImport: controls },
+            { componentType: 'SelectableTextBlock', targetType: 'TextEdit', targetImport: quick,
+              notes: 'readOnly with selectByMouse' },
+            { componentType: 'Slider', targetType: 'Slider', targetImport: controls,
+              propertyMappings: { 'tickFrequency': 'stepSize' } },
+            { componentType: 'RangeSlider', targetType: 'RangeSlider', targetImport: controls,
+              propertyMappings: { 'lowerValue': 'first.value', 'upperValue': 'second.value' } },
+            { componentType: 'Calendar', targetType: 'MonthGrid', targetImport: controls,
+              notes: 'Requires Qt 6.3' },
+            { componentType: 'TimePicker', targetType: 'Tumbler', targetImport: controls,
+              notes: 'Hour and minute tumblers in a RowLayout' },
+            
+            // Selections
+            { componentType: 'ComboBox', targetType: 'ComboBox', targetImport: controls },
+            { componentType: 'ListBox', targetType: 'ListView', targetImport: quick },
+            { componentType: 'ItemsControl', targetType: 'ListView', targetImport: quick },
+            { componentType: 'Menu', targetType: 'MenuBar', targetImport: controls },
+            
+            // Containers
+            { componentType: 'Window', targetType: 'Page', targetImport: controls,
+              notes: 'Use as the contentItem of an ApplicationWindow' },
+            { componentType: 'Dialog', targetType: 'Dialog', targetImport: controls },
+            { componentType: 'GroupBox', targetType: 'GroupBox', targetImport: controls },
+            { componentType: 'Card', targetType: 'Frame', targetImport: controls },
+            { componentType: 'Border', targetType: 'Rectangle', targetImport: quick,
+              propertyMappings: { 'borderBrush': 'border.color' } },
+            { componentType: 'ScrollViewer', targetType: 'ScrollView', targetImport: controls },
+            { componentType: 'TabControl', targetType: 'TabBar', targetImport: controls,
+              notes: 'Pages go in a StackLayout bound to the current index' },
+            
+            // Layouts
+            { componentType: 'StackPanel', targetType: 'ColumnLayout', targetImport: layouts,
+              notes: 'RowLayout when orientation is Horizontal' },
+            { componentType: 'VirtualizingStackPanel', targetType: 'ColumnLayout', targetImport: layouts },
+            { componentType: 'StackLayout', targetType: 'ColumnLayout', targetImport: layouts },
+            { componentType: 'Grid', targetType: 'GridLayout', targetImport: layouts,
+              propertyMappings: { 'gridRow': 'Layout.row', 'gridColumn': 'Layout.column' } },
+            { componentType: 'UniformGrid', targetType: 'GridLayout', targetImport: layouts },
+            { componentType: 'WrapPanel', targetType: 'Flow', targetImport: quick },
+            { componentType: 'Canvas', targetType: 'Item', targetImport: quick },
+            { componentType: 'Separator', targetType: 'ToolSeparator', targetImport: controls },
+            { componentType: 'ScrollBar', targetType: 'ScrollBar', targetImport: controls },
+            
+            // Navigation
+            { componentType: 'Pager', targetType: 'PageIndicator', targetImport: controls,
+              propertyMappings: { 'numberOfPages': 'count', 'selectedPageIndex': 'currentIndex' } },
+            
+            // Indicators
+            { componentType: 'ProgressBar', targetType: 'ProgressBar', targetImport: controls,
+              propertyMappings: { 'isIndeterminate': 'indeterminate' } },
+            { componentType: 'ProgressRing', targetType: 'BusyIndicator', targetImport: controls },
+            { componentType: 'LoadingIndicator', targetType: 'BusyIndicator', targetImport: controls },
+            
+            // Data display
+            { componentType: 'Image', targetType: 'Image', targetImport: quick,
+              propertyMappings: { 'stretch': 'fillMode' } }
+        ];
+        
+        for (const m of componentMappings) {
+            this.registerMapping(new FrameworkMapping({
+                framework,
+                ...m
+            }));
+        }
+    }
+    
+    // ==========================================
+    // GTK MAPPINGS
+    // ==========================================
+    
+    _registerGTKMappings() {
+        const framework = UIFramework.GTK;
+        
+        // Global property mappings (generic -> GObject property)
+        const globalProps = {
+            'isEnabled': 'sensitive',
+            'isVisible': 'visible',
+            'content': 'label',
+            'text': 'text',
+            'header': 'label',
+            'title': 'title',
+            'placeholder': 'placeholder-text',
+            'watermark': 'placeholder-text',
+            'toolTip': 'tooltip-text',
+            'isChecked': 'active',
+            'value': 'value',
+            'minimum': 'lower',
+            'maximum': 'upper',
+            'selectedIndex': 'selected',
+            'opacity': 'opacity',
+            'horizontalAlignment': 'halign',
+            'verticalAlignment': 'valign',
+            'margin': 'margin-start'
+        };
+        
+        for (const [generic, target] of Object.entries(globalProps)) {
+            this.registerPropertyMapping(framework, generic, target);
+        }
+        
+        // Component mappings (all widgets come from Gtk 4.0)
+        const gtk = 'Gtk 4.0';
+        const componentMappings = [
+            // Buttons
+            { componentType: 'Button', targetType: 'GtkButton', targetImport: gtk },
+            { componentType: 'RepeatButton', targetType: 'GtkButton', targetImport: gtk },
+            { componentType: 'ToggleButton', targetType: 'GtkToggleButton', targetImport: gtk },
+            { componentType: 'SplitButton', targetType: 'GtkMenuButton', targetImport: gtk,
+              notes: 'AdwSplitButton in libadwaita' },
+            { componentType: 'DropDownButton', targetType: 'GtkMenuButton', targetImport: gtk },
+            { componentType: 'HyperlinkButton', targetType: 'GtkLinkButton', targetImport: gtk,
+              propertyMappings: { 'navigateUri': 'uri' } },
+            { componentType: 'CheckBox', targetType: 'GtkCheckButton', targetImport: gtk,
+              propertyMappings: { 'isThreeState': 'inconsistent' } },
+            { componentType: 'RadioButton', targetType: 'GtkCheckButton', targetImport: gtk,
+              notes: 'Set group to another radio button' },
+            { componentType: 'ToggleSwitch', targetType: 'GtkSwitch', targetImport: gtk,
+              notes: 'Label it with a GtkLabel in a GtkBox' },
+            
+            // Inputs
+            { componentType: 'TextBox', targetType: 'GtkEntry', targetImport: gtk },
+            { componentType: 'MaskedTextBox', targetType: 'GtkEntry', targetImport: gtk },
+            { componentType: 'SearchBox', targetType: 'GtkSearchEntry', targetImport: gtk },
+            { componentType: 'PasswordBox', targetType: 'GtkPasswordEntry', targetImport: gtk,
+              propertyMappings: { 'revealPassword': 'show-peek-icon' } },
+            { componentType: 'TextArea', targetType: 'GtkTextView', targetImport: gtk,
+              notes: 'Text lives in the GtkTextBuffer' },
+            { componentType: 'NumericUpDown', targetType: 'GtkSpinButton', targetImport: gtk,
+              propertyMappings: { 'increment': 'step-increment', 'decimalPlaces': 'digits' } },
+            { componentType: 'TextBlock', targetType: 'GtkLabel', targetImport: gtk },
+            { componentType: 'Label', targetType: 'GtkLabel', targetImport: gtk },
+            { componentType: 'SelectableTextBlock', targetType: 'GtkLabel', targetImport: gtk,
+              notes: 'selectable: true' },
+            { componentType: 'Slider', targetType: 'GtkScale', targetImport: gtk },
+            { componentType: 'Calendar', targetType: 'GtkCalendar', targetImport: gtk },
+            { componentType: 'DatePicker', targetType: 'GtkMenuButton', targetImport: gtk,
+              notes: 'GtkCalendar in the popover' },
+            { componentType: 'CalendarDatePicker', targetType: 'GtkMenuButton', targetImport: gtk,
+              notes: 'GtkCalendar in the popover' },
+            { componentType: 'ColorPicker', targetType: 'GtkColorDialogButton', targetImport: gtk,
+              propertyMappings: { 'color': 'rgba' },
+              notes: 'Requires GTK 4.10' },
+            
+            // Selections
+            { componentType: 'ComboBox', targetType: 'GtkDropDown', targetImport: gtk,
+              notes: 'Items in a GtkStringList model' },
+            { componentType: 'ListBox', targetType: 'GtkListBox', targetImport: gtk },
+            { componentType: 'ItemsControl', targetType: 'GtkListBox', targetImport: gtk },
+            
+            // Containers
+            { componentType: 'Window', targetType: 'GtkWindow', targetImport: gtk,
+              notes: 'A GtkFrame when nested in other widgets' },
+            { componentType: 'Dialog', targetType: 'GtkWindow', targetImport: gtk,
+              notes: 'modal: true' },
+            { componentType: 'GroupBox', targetType: 'GtkFrame', targetImport: gtk },
+            { componentType: 'Card', targetType: 'GtkFrame', targetImport: gtk,
+              notes: 'Uses the card style class' },
+            { componentType: 'Border', targetType: 'GtkFrame', targetImport: gtk },
+            { componentType: 'ScrollViewer', targetType: 'GtkScrolledWindow', targetImport: gtk },
+            { componentType: 'Expander', targetType: 'GtkExpander', targetImport: gtk,
+              propertyMappings: { 'isExpanded': 'expanded' } },
+            { componentType: 'TabControl', targetType: 'GtkNotebook', targetImport: gtk },
+            
+            // Layouts
+            { componentType: 'StackPanel', targetType: 'GtkBox', targetImport: gtk },
+            { componentType: 'VirtualizingStackPanel', targetType: 'GtkBox', targetImport: gtk },
+            { componentType: 'StackLayout', targetType: 'GtkBox', targetImport: gtk },
+            { componentType: 'Grid', targetType: 'GtkGrid', targetImport: gtk,
+              propertyMappings: { 'gridRow': 'row', 'gridColumn': 'column' } },
+            { componentType: 'UniformGrid', targetType: 'GtkGrid', targetImport: gtk,
+              notes: 'row-homogeneous and column-homogeneous' },
+            { componentType: 'WrapPanel', targetType: 'GtkFlowBox', targetImport: gtk },
+            { componentType: 'Canvas', targetType: 'GtkOverlay', targetImport: gtk,
+              notes: 'Children placed with alignment and margins' },
+            { componentType: 'Separator', targetType: 'GtkSeparator', targetImport: gtk },
+            { componentType: 'ScrollBar', targetType: 'GtkScrollbar', targetImport: gtk },
+            
+            // Indicators
+            { componentType: 'ProgressBar', targetType: 'GtkProgressBar', targetImport: gtk,
+              propertyMappings: { 'value': 'fraction' } },
+            { componentType: 'ProgressRing', targetType: 'GtkSpinner', targetImport: gtk },
+            { componentType: 'LoadingIndicator', targetType: 'GtkSpinner', targetImport: gtk },
+            
+            // Data display
+            { componentType: 'Image', targetType: 'GtkPicture', targetImport: gtk,
+              propertyMappings: { 'source': 'file', 'stretch': 'content-fit' } }
+        ];
+        
+        for (const m of componentMappings) {
+            this.registerMapping(new FrameworkMapping({
+                framework,
+                ...m
+            }));
+        }
+    }    
+    // ==========================================
+    // TEXTUAL MAPPINGS
+    // ==========================================
+    
+    _registerTextualMappings() {
+        const framework = UIFramework.Textual;
+        
+        // Global property mappings (generic -> widget argument)
+        const globalProps = {
+            'isEnabled': 'disabled',
+            'isVisible': 'display',
+            'content': 'label',
+            'text': 'value',
+            'header': 'border_title',
+            'title': 'border_title',
+            'placeholder': 'placeholder',
+            'watermark': 'placeholder',
+            'toolTip': 'tooltip',
+            'isChecked': 'value',
+            'items': 'options'
+        };
+        
+        for (const [generic, target] of Object.entries(globalProps)) {
+            this.registerPropertyMapping(framework, generic, target);
+        }
+        
+        // Component mappings (Textual widgets and containers)
+        const widgets = 'textual.widgets';
+        const containers = 'textual.containers';
+        const componentMappings = [
+            // Buttons
+            { componentType: 'Button', targetType: 'Button', targetImport: widgets },
+            { componentType: 'RepeatButton', targetType: 'Button', targetImport: widgets },
+            { componentType: 'ToggleButton', targetType: 'Button', targetImport: widgets },
+            { componentType: 'SplitButton', targetType: 'Button', targetImport: widgets },
+            { componentType: 'DropDownButton', targetType: 'Button', targetImport: widgets },
+            { componentType: 'HyperlinkButton', targetType: 'Link', targetImport: widgets,
+              propertyMappings: { 'navigateUri': 'url' } },
+            { componentType: 'CheckBox', targetType: 'Checkbox', targetImport: widgets },
+            { componentType: 'RadioButton', targetType: 'RadioButton', targetImport: widgets },
+            { componentType: 'ToggleSwitch', targetType: 'Switch', targetImport: widgets,
+              notes: 'Label next to the switch in a Horizontal' },
+            
+            // Inputs
+            { componentType: 'TextBox', targetType: 'Input', targetImport: widgets },
+            { componentType: 'MaskedTextBox', targetType: 'Input', targetImport: widgets },
+            { componentType: 'SearchBox', targetType: 'Input', targetImport: widgets },
+            { componentType: 'AutoCompleteBox', targetType: 'Input', targetImport: widgets },
+            { componentType: 'PasswordBox', targetType: 'Input', targetImport: widgets,
+              notes: 'password=True' },
+            { componentType: 'NumericUpDown', targetType: 'Input', targetImport: widgets,
+              notes: 'type="number"' },
+            { componentType: 'TextArea', targetType: 'TextArea', targetImport: widgets },
+            { componentType: 'TextBlock', targetType: 'Label', targetImport: widgets },
+            { componentType: 'Label', targetType: 'Label', targetImport: widgets },
+            { componentType: 'SelectableTextBlock', targetType: 'Label', targetImport: widgets },
+            
+            // Selections
+            { componentType: 'ComboBox', targetType: 'Select', targetImport: widgets },
+            { componentType: 'ListBox', targetType: 'OptionList', targetImport: widgets },
+            { componentType: 'ItemsControl', targetType: 'OptionList', targetImport: widgets },
+            { componentType: 'TreeView', targetType: 'Tree', targetImport: widgets },
+            { componentType: 'DataGrid', targetType: 'DataTable', targetImport: widgets },
+            
+            // Containers
+            { componentType: 'Window', targetType: 'Container', targetImport: containers,
+              notes: 'Title in the border' },
+            { componentType: 'Dialog', targetType: 'Container', targetImport: containers },
+            { componentType: 'GroupBox', targetType: 'Container', targetImport: containers },
+            { componentType: 'Card', targetType: 'Container', targetImport: containers },
+            { componentType: 'Border', targetType: 'Container', targetImport: containers },
+            { componentType: 'HeaderedContentControl', targetType: 'Container', targetImport: containers },
+            { componentType: 'ContentControl', targetType: 'Container', targetImport: containers },
+            { componentType: 'ScrollViewer', targetType: 'VerticalScroll', targetImport: containers },
+            { componentType: 'Expander', targetType: 'Collapsible', targetImport: widgets },
+            { componentType: 'TabControl', targetType: 'TabbedContent', targetImport: widgets,
+              notes: 'A TabPane per tab' },
+            
+            // Layouts
+            { componentType: 'StackPanel', targetType: 'Container', targetImport: containers,
+              notes: 'Children in rows or columns cut from the sketch' },
+            { componentType: 'VirtualizingStackPanel', targetType: 'Container', targetImport: containers },
+            { componentType: 'StackLayout', targetType: 'Container', targetImport: containers },
+            { componentType: 'Grid', targetType: 'Container', targetImport: containers },
+            { componentType: 'UniformGrid', targetType: 'Container', targetImport: containers },
+            { componentType: 'WrapPanel', targetType: 'Container', targetImport: containers },
+            { componentType: 'DockPanel', targetType: 'Container', targetImport: containers },
+            { componentType: 'Canvas', targetType: 'Container', targetImport: containers },
+            { componentType: 'Separator', targetType: 'Rule', targetImport: widgets },
+            
+            // Indicators
+            { componentType: 'ProgressBar', targetType: 'ProgressBar', targetImport: widgets },
+            { componentType: 'ProgressRing', targetType: 'LoadingIndicator', targetImport: widgets },
+            { componentType: 'LoadingIndicator', targetType: 'LoadingIndicator', targetImport: widgets },
+            { componentType: 'Sparkline', targetType: 'Sparkline', targetImport: widgets }
+        ];
+        
+        for (const m of componentMappings) {
+            this.registerMapping(new FrameworkMapping({
+                framework,
+                ...m
+            }));
+        }
+    }
+    
+    // ==========================================
+    // BUBBLE TEA MAPPINGS
+    // ==========================================
+    
+    _registerBubbleTeaMappings() {
+        const framework = UIFramework.BubbleTea;
+        
+        // Global property mappings (generic -> model field)
+        const globalProps = {
+            'text': 'Value',
+            'placeholder': 'Placeholder',
+            'watermark': 'Placeholder',
+            'items': 'Rows',
+            'value': 'Percent'
+        };
+        
+        for (const [generic, target] of Object.entries(globalProps)) {
+            this.registerPropertyMapping(framework, generic, target);
+        }
+        
+        // Component mappings (Bubbles models, or strings styled with Lip Gloss)
+        const lipgloss = 'github.com/charmbracelet/lipgloss';
+        const bubbles = 'github.com/charmbracelet/bubbles';
+        const styled = componentType => ({ componentType, targetType: 'lipgloss.Style', targetImport: lipgloss });
+        const componentMappings = [
+            // Buttons
+            styled('Button'),
+            styled('RepeatButton'),
+            styled('ToggleButton'),
+            styled('SplitButton'),
+            styled('DropDownButton'),
+            styled('HyperlinkButton'),
+            styled('CheckBox'),
+            styled('RadioButton'),
+            styled('ToggleSwitch'),
+            
+            // Inputs
+            { componentType: 'TextBox', targetType: 'textinput.Model', targetImport: `${bubbles}/textinput` },
+            { componentType: 'MaskedTextBox', targetType: 'textinput.Model', targetImport: `${bubbles}/textinput` },
+            { componentType: 'SearchBox', targetType: 'textinput.Model', targetImport: `${bubbles}/textinput` },
+            { componentType: 'AutoCompleteBox', targetType: 'textinput.Model', targetImport: `${bubbles}/textinput`,
+              notes: 'ShowSuggestions' },
+            { componentType: 'PasswordBox', targetType: 'textinput.Model', targetImport: `${bubbles}/textinput`,
+              notes: 'EchoMode: textinput.EchoPassword' },
+            { componentType: 'NumericUpDown', targetType: 'textinput.Model', targetImport: `${bubbles}/textinput` },
+            { componentType: 'TextArea', targetType: 'textarea.Model', targetImport: `${bubbles}/textarea` },
+            styled('TextBlock'),
+            styled('Label'),
+            styled('SelectableTextBlock'),
+            
+            // Selections
+            styled('ComboBox'),
+            styled('ListBox'),
+            styled('ItemsControl'),
+            { componentType: 'DataGrid', targetType: 'table.Model', targetImport: `${bubbles}/table` },
+            { componentType: 'Pager', targetType: 'paginator.Model', targetImport: `${bubbles}/paginator` },
+            styled('TabControl'),
+            
+            // Containers and layouts
+            styled('Window'),
+            styled('Dialog'),
+            styled('GroupBox'),
+            styled('Card'),
+            styled('Border'),
+            styled('HeaderedContentControl'),
+            styled('ContentControl'),
+            styled('ScrollViewer'),
+            styled('Expander'),
+            { componentType: 'StackPanel', targetType: 'lipgloss.JoinVertical', targetImport: lipgloss,
+              notes: 'Children in rows or columns cut from the sketch' },
+            { componentType: 'VirtualizingStackPanel', targetType: 'lipgloss.JoinVertical', targetImport: lipgloss },
+            { componentType: 'StackLayout', targetType: 'lipgloss.JoinVertical', targetImport: lipgloss },
+            { componentType: 'Grid', targetType: 'lipgloss.JoinVertical', targetImport: lipgloss },
+            { componentType: 'UniformGrid', targetType: 'lipgloss.JoinVertical', targetImport: lipgloss },
+            { componentType: 'WrapPanel', targetType: 'lipgloss.JoinVertical', targetImport: lipgloss },
+            { componentType: 'DockPanel', targetType: 'lipgloss.JoinVertical', targetImport: lipgloss },
+            { componentType: 'Canvas', targetType: 'lipgloss.JoinVertical', targetImport: lipgloss },
+            styled('Separator'),
+            
+            // Indicators
+            { componentType: 'ProgressBar', targetType: 'progress.Model', targetImport: `${bubbles}/progress` },
+            { componentType: 'ProgressRing', targetType: 'spinner.Model', targetImport: `${bubbles}/spinner` },
+            { componentType: 'LoadingIndicator', targetType: 'spinner.Model', targetImport: `${bubbles}/spinner` }
+        ];
+        
+        for (const m of componentMappings) {
+            this.registerMapping(new FrameworkMapping({
+                framework,
+                ...m
+            }));
+        }
+    }
+    
+    // ==========================================
+    // RATATUI MAPPINGS
+    // ==========================================
+    
+    _registerRatatuiMappings() {
+        const framework = UIFramework.Ratatui;
+        
+        // Global property mappings (generic -> widget builder method)
+        const globalProps = {
+            'content': 'Paragraph::new',
+            'text': 'Paragraph::new',
+            'header': 'Block::title',
+            'title': 'Block::title',
+            'items': 'List::new',
+            'selectedIndex': 'ListState::select',
+            'value': 'Gauge::ratio'
+        };
+        
+        for (const [generic, target] of Object.entries(globalProps)) {
+            this.registerPropertyMapping(framework, generic, target);
+        }
+        
+        // Component mappings (ratatui::widgets)
+        const widgets = 'ratatui::widgets';
+        const layout = 'ratatui::layout';
+        const paragraph = (componentType, notes) => ({
+            componentType, targetType: 'Paragraph', targetImport: widgets, ...(notes ? { notes } : {})
+        });
+        const block = componentType => ({ componentType, targetType: 'Block', targetImport: widgets });
+        const panel = componentType => ({ componentType, targetType: 'Layout', targetImport: layout });
+        const componentMappings = [
+            // Buttons
+            paragraph('Button'),
+            paragraph('RepeatButton'),
+            paragraph('ToggleButton'),
+            paragraph('SplitButton'),
+            paragraph('DropDownButton'),
+            paragraph('HyperlinkButton'),
+            paragraph('CheckBox'),
+            paragraph('RadioButton'),
+            paragraph('ToggleSwitch'),
+            
+            // Inputs (ratatui has no editing widgets; crates such as tui-textarea add them)
+            paragraph('TextBox', 'Text input drawn as a Paragraph'),
+            paragraph('MaskedTextBox', 'Text input drawn as a Paragraph'),
+            paragraph('SearchBox', 'Text input drawn as a Paragraph'),
+            paragraph('AutoCompleteBox', 'Text input drawn as a Paragraph'),
+            paragraph('PasswordBox', 'Text input drawn as a Paragraph'),
+            paragraph('NumericUpDown', 'Text input drawn as a Paragraph'),
+            paragraph('TextArea', 'Text input drawn as a Paragraph'),
+            paragraph('TextBlock'),
+            paragraph('Label'),
+            paragraph('SelectableTextBlock'),
+            { componentType: 'Slider', targetType: 'LineGauge', targetImport: widgets },
+            
+            // Selections
+            paragraph('ComboBox'),
+            { componentType: 'ListBox', targetType: 'List', targetImport: widgets },
+            { componentType: 'ItemsControl', targetType: 'List', targetImport: widgets },
+            { componentType: 'TabControl', targetType: 'Tabs', targetImport: widgets,
+              notes: 'Tabs above a bordered Block' },
+            { componentType: 'DataGrid', targetType: 'Table', targetImport: widgets },
+            
+            // Containers
+            block('Window'),
+            block('Dialog'),
+            block('GroupBox'),
+            block('Card'),
+            block('Border'),
+            block('HeaderedContentControl'),
+            block('ContentControl'),
+            block('ScrollViewer'),
+            block('Expander'),
+            
+            // Layouts
+            panel('StackPanel'),
+            panel('VirtualizingStackPanel'),
+            panel('StackLayout'),
+            panel('Grid'),
+            panel('UniformGrid'),
+            panel('WrapPanel'),
+            panel('DockPanel'),
+            panel('Canvas'),
+            { componentType: 'Separator', targetType: 'Block', targetImport: widgets,
+              notes: 'Borders::TOP' },
+            
+            // Indicators
+            { componentType: 'ProgressBar', targetType: 'Gauge', targetImport: widgets },
+            { componentType: 'ScrollBar', targetType: 'Scrollbar', targetImport: widgets },
+            { componentType: 'Sparkline', targetType: 'Sparkline', targetImport: widgets }
+        ];
+        
+        for (const m of componentMappings) {
+            this.registerMapping(new FrameworkMapping({
+                framework,
+                ...m
+            }));
+        }
+    }
 }
 
 // Create singleton instance
@@ -1358,7 +1358,7 @@ export class FlipView extends UIComponent {
             new PropertyDefinition({
                 name: 'items',
                 displayName: 'Items',
-                type: PropertyType.Array,
+                type: PropertyType.Collection,
                 defaultValue: ['Page 1', 'Page 2', 'Page 3'],
                 description: 'Items to display',
                 category: PropertyCategory.Data
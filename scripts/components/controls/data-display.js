@@ -44,7 +44,7 @@ export class DataGrid extends UIComponent {
             new PropertyDefinition({
                 name: 'items',
                 displayName: 'Items',
-                type: PropertyType.Array,
+                type: PropertyType.Collection,
                 defaultValue: [],
                 description: 'Data items to display',
                 category: PropertyCategory.Data
@@ -60,7 +60,7 @@ export class DataGrid extends UIComponent {
             new PropertyDefinition({
                 name: 'columns',
                 displayName: 'Columns',
-                type: PropertyType.Array,
+                type: PropertyType.Collection,
                 defaultValue: [
                     { header: 'Column 1', binding: 'col1', width: '*' },
                     { header: 'Column 2', binding: 'col2', width: '*' },
@@ -356,7 +356,7 @@ export class ListBox extends UIComponent {
             new PropertyDefinition({
                 name: 'items',
                 displayName: 'Items',
-                type: PropertyType.Array,
+                type: PropertyType.Collection,
                 defaultValue: ['Item 1', 'Item 2', 'Item 3'],
                 description: 'List items',
                 category: PropertyCategory.Data
@@ -388,7 +388,7 @@ export class ListBox extends UIComponent {
             new PropertyDefinition({
                 name: 'selectedItems',
                 displayName: 'Selected Items',
-                type: PropertyType.Array,
+                type: PropertyType.Collection,
                 defaultValue: [],
                 description: 'Collection of selected items',
                 category: PropertyCategory.Selection
@@ -511,7 +511,7 @@ export class ComboBox extends UIComponent {
             new PropertyDefinition({
                 name: 'items',
                 displayName: 'Items',
-                type: PropertyType.Array,
+                type: PropertyType.Collection,
                 defaultValue: ['Option 1', 'Option 2', 'Option 3'],
                 description: 'Dropdown items',
                 category: PropertyCategory.Data
@@ -774,7 +774,7 @@ export class TextBlock extends UIComponent {
             new PropertyDefinition({
                 name: 'inlines',
                 displayName: 'Inlines',
-                type: PropertyType.Array,
+                type: PropertyType.Collection,
                 defaultValue: null,
                 description: 'Inline text elements',
                 category: PropertyCategory.Content
@@ -839,7 +839,7 @@ export class TextBlock extends UIComponent {
             new PropertyDefinition({
                 name: 'textDecorations',
                 displayName: 'Text Decorations',
-                type: PropertyType.Array,
+                type: PropertyType.Collection,
                 defaultValue: null,
                 description: 'Text decorations (underline, strikethrough)',
                 category: PropertyCategory.Appearance
@@ -1278,7 +1278,7 @@ export class Carousel extends UIComponent {
             new PropertyDefinition({
                 name: 'items',
                 displayName: 'Items',
-                type: PropertyType.Array,
+                type: PropertyType.Collection,
                 defaultValue: ['Slide 1', 'Slide 2', 'Slide 3'],
                 description: 'Carousel items',
                 category: PropertyCategory.Data
@@ -1659,7 +1659,7 @@ export class ItemsControl extends UIComponent {
             new PropertyDefinition({
                 name: 'items',
                 displayName: 'Items',
-                type: PropertyType.Array,
+                type: PropertyType.Collection,
                 defaultValue: ['Item 1', 'Item 2', 'Item 3'],
                 description: 'Collection of items to display',
                 category: PropertyCategory.Data
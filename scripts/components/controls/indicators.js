@@ -1250,7 +1250,7 @@ export class Sparkline extends UIComponent {
             new PropertyDefinition({
                 name: 'data',
                 displayName: 'Data',
-                type: PropertyType.Array,
+                type: PropertyType.Collection,
                 defaultValue: [1, 3, 2, 5, 4, 6, 3, 7, 5, 8],
                 description: 'Data points for the sparkline',
                 category: PropertyCategory.Data
@@ -1372,7 +1372,7 @@ export class ItemsRepeater extends UIComponent {
             new PropertyDefinition({
                 name: 'items',
                 displayName: 'Items',
-                type: PropertyType.Array,
+                type: PropertyType.Collection,
                 defaultValue: [],
                 description: 'Items to repeat',
                 category: PropertyCategory.Data
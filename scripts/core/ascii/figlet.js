@@ -0,0 +1,669 @@
+/**
+ * Asciistrator - FIGlet Fonts
+ *
+ * Parser, layout engine and font registry for FIGlet (.flf) banner fonts.
+ * Implements the FIGfont 2.0 horizontal layout modes (full width, kerning,
+ * controlled and universal smushing) and multi-line text stacking.
+ */
+
+// ==========================================
+// LAYOUT CONSTANTS
+// ==========================================
+
+/**
+ * Horizontal smushing rule bits (FIGfont 2.0 full_layout)
+ */
+export const SmushRule = Object.freeze({
+    EQUAL: 1,
+    UNDERSCORE: 2,
+    HIERARCHY: 4,
+    OPPOSITE_PAIR: 8,
+    BIG_X: 16,
+    HARDBLANK: 32,
+    KERNING: 64,
+    SMUSHING: 128
+});
+
+/**
+ * Horizontal layout modes
+ */
+export const FigletLayout = Object.freeze({
+    DEFAULT: 'default',
+    FULL: 'full',
+    KERNING: 'kerning',
+    SMUSHING: 'smushing'
+});
+
+// Characters codes 196..223 that every FIGfont must provide after ASCII 32..126
+const REQUIRED_DEUTSCH_CODES = [196, 214, 220, 228, 246, 252, 223];
+
+// ==========================================
+// FIGLET FONT
+// ==========================================
+
+/**
+ * A parsed FIGlet font
+ */
+export class FigletFont {
+    /**
+     * @param {object} header - Parsed header values
+     * @param {Map<number, string[]>} glyphs - Glyph rows keyed by character code
+     */
+    constructor(header, glyphs) {
+        this.hardblank = header.hardblank;
+        this.height = header.height;
+        this.baseline = header.baseline;
+        this.maxLength = header.maxLength;
+        this.oldLayout = header.oldLayout;
+        this.fullLayout = header.fullLayout;
+        this.printDirection = header.printDirection || 0;
+        this.comment = header.comment || '';
+        this.glyphs = glyphs;
+    }
+
+    /**
+     * Parse a .flf font file
+     * @param {string} source - Font file contents
+     * @returns {FigletFont}
+     */
+    static parse(source) {
+        const lines = source.replace(/\r\n?/g, '\n').split('\n');
+        const headerLine = lines[0] || '';
+
+        if (!headerLine.startsWith('flf2a')) {
+            throw new Error('Not a FIGlet font: missing flf2a signature');
+        }
+
+        const params = headerLine.slice(6).trim().split(/\s+/).map(Number);
+        const [height, baseline, maxLength, oldLayout, commentLines = 0, printDirection = 0, fullLayout] = params;
+
+        if (!Number.isFinite(height) || height < 1) {
+            throw new Error('Invalid FIGlet font: bad character height');
+        }
+
+        const header = {
+            hardblank: headerLine.charAt(5),
+            height,
+            baseline,
+            maxLength,
+            oldLayout,
+            printDirection,
+            fullLayout: Number.isFinite(fullLayout) ? fullLayout : FigletFont.layoutFromOldLayout(oldLayout),
+            comment: lines.slice(1, 1 + commentLines).join('\n')
+        };
+
+        const glyphs = new Map();
+        let index = 1 + commentLines;
+
+        const readGlyph = () => {
+            if (index + height > lines.length) return null;
+            const rows = [];
+            for (let row = 0; row < height; row++) {
+                rows.push(FigletFont._stripEndmark(lines[index + row]));
+            }
+            index += height;
+            return rows;
+        };
+
+        // Required ASCII characters
+        for (let code = 32; code <= 126; code++) {
+            const rows = readGlyph();
+            if (!rows) {
+                throw new Error(`Invalid FIGlet font: missing glyph for code ${code}`);
+            }
+            glyphs.set(code, rows);
+        }
+
+        // Deutsch characters are required by the spec but often missing in practice
+        for (const code of REQUIRED_DEUTSCH_CODES) {
+            if (index >= lines.length || FigletFont._parseCodeTag(lines[index]) !== null) break;
+            const rows = readGlyph();
+            if (!rows) break;
+            glyphs.set(code, rows);
+        }
+
+        // Code-tagged characters
+        while (index < lines.length) {
+            const code = FigletFont._parseCodeTag(lines[index]);
+            index++;
+            if (code === null) continue;
+            const rows = readGlyph();
+            if (!rows) break;
+            glyphs.set(code, rows);
+        }
+
+        return new FigletFont(header, glyphs);
+    }
+
+    /**
+     * Convert an old_layout header value to full_layout bits
+     * @param {number} oldLayout
+     * @returns {number}
+     */
+    static layoutFromOldLayout(oldLayout) {
+        if (oldLayout === -1 || !Number.isFinite(oldLayout)) return 0;
+        if (oldLayout === 0) return SmushRule.KERNING;
+        return (oldLayout & 63) | SmushRule.SMUSHING;
+    }
+
+    /**
+     * Remove the endmark character(s) from a glyph row
+     * @private
+     */
+    static _stripEndmark(line = '') {
+        const trimmed = line.replace(/\s+$/, '');
+        if (!trimmed) return '';
+        const endmark = trimmed[trimmed.length - 1];
+        let end = trimmed.length;
+        while (end > 0 && trimmed[end - 1] === endmark) end--;
+        return trimmed.slice(0, end);
+    }
+
+    /**
+     * Parse a code tag line ("196  LATIN CAPITAL LETTER A WITH DIAERESIS")
+     * @private
+     * @returns {number|null}
+     */
+    static _parseCodeTag(line = '') {
+        const match = line.trim().match(/^(-?)(0x[0-9a-f]+|0[0-7]*|[1-9][0-9]*)(\s|$)/i);
+        if (!match) return null;
+        const token = match[2];
+        let value;
+        if (/^0x/i.test(token)) {
+            value = parseInt(token.slice(2), 16);
+        } else if (token.length > 1 && token.startsWith('0')) {
+            value = parseInt(token, 8);
+        } else {
+            value = parseInt(token, 10);
+        }
+        return match[1] ? -value : value;
+    }
+
+    /**
+     * Get the glyph rows for a character, falling back to code 0 (missing glyph)
+     * @param {string} char
+     * @returns {string[]|null}
+     */
+    getGlyph(char) {
+        const code = char.codePointAt(0);
+        return this.glyphs.get(code) || this.glyphs.get(0) || null;
+    }
+
+    /**
+     * Resolve the effective layout bits for a layout override
+     * @param {string} layout - One of FigletLayout
+     * @returns {number}
+     */
+    resolveLayout(layout = FigletLayout.DEFAULT) {
+        switch (layout) {
+            case FigletLayout.FULL:
+                return 0;
+            case FigletLayout.KERNING:
+                return SmushRule.KERNING;
+            case FigletLayout.SMUSHING: {
+                // Keep the font's controlled rules if it has any, otherwise smush universally
+                const rules = this.fullLayout & 63;
+                return rules | SmushRule.SMUSHING;
+            }
+            default:
+                return this.fullLayout & (63 | SmushRule.KERNING | SmushRule.SMUSHING);
+        }
+    }
+
+    /**
+     * Render text to banner rows. Newlines start a new banner row block.
+     * @param {string} text - Text to render
+     * @param {object} [options]
+     * @param {string} [options.layout] - Layout override (FigletLayout)
+     * @returns {string[]} Output rows with hardblanks replaced by spaces
+     */
+    renderLines(text = '', options = {}) {
+        const mode = this.resolveLayout(options.layout);
+        const output = [];
+
+        for (const line of String(text).split('\n')) {
+            const chars = Array.from(line);
+            if (this.printDirection === 1) chars.reverse();
+
+            let rows = new Array(this.height).fill('');
+            let previousWidth = 0;
+
+            for (const char of chars) {
+                const glyph = this.getGlyph(char);
+                if (!glyph) continue;
+                rows = this._appendGlyph(rows, glyph, mode, previousWidth);
+                previousWidth = glyph.reduce((max, row) => Math.max(max, row.length), 0);
+            }
+
+            output.push(...rows);
+        }
+
+        const hardblank = this.hardblank;
+        return output.map(row => row.split(hardblank).join(' '));
+    }
+
+    /**
+     * Render text to a single string
+     * @param {string} text
+     * @param {object} [options]
+     * @returns {string}
+     */
+    renderText(text, options = {}) {
+        return this.renderLines(text, options).join('\n');
+    }
+
+    /**
+     * Measure rendered text in character cells
+     * @param {string} text
+     * @param {object} [options]
+     * @returns {{width: number, height: number}}
+     */
+    measure(text, options = {}) {
+        const lines = this.renderLines(text, options);
+        return {
+            width: lines.reduce((max, row) => Math.max(max, row.replace(/\s+$/, '').length), 0),
+            height: lines.length
+        };
+    }
+
+    /**
+     * Append a glyph to the output rows, overlapping as the layout allows
+     * @private
+     */
+    _appendGlyph(rows, glyph, mode, previousWidth) {
+        const glyphWidth = glyph.reduce((max, row) => Math.max(max, row.length), 0);
+        const amount = this._overlapAmount(rows, glyph, mode, previousWidth, glyphWidth);
+        const outputWidth = rows.reduce((max, row) => Math.max(max, row.length), 0);
+
+        return rows.map((row, r) => {
+            const line = row.padEnd(outputWidth, ' ');
+            const charRow = (glyph[r] || '').padEnd(glyphWidth, ' ');
+            const start = outputWidth - amount;
+            let merged = line.slice(0, Math.max(0, start));
+
+            for (let k = 0; k < amount; k++) {
+                const pos = start + k;
+                if (pos < 0) continue;
+                const smushed = this._smush(line[pos], charRow[k], mode, previousWidth, glyphWidth);
+                merged += smushed || charRow[k];
+            }
+
+            return merged + charRow.slice(amount);
+        });
+    }
+
+    /**
+     * Compute how many columns the next glyph may overlap the output
+     * @private
+     */
+    _overlapAmount(rows, glyph, mode, previousWidth, glyphWidth) {
+        if ((mode & (SmushRule.KERNING | SmushRule.SMUSHING)) === 0) return 0;
+
+        const outputWidth = rows.reduce((max, row) => Math.max(max, row.length), 0);
+        if (outputWidth === 0) return 0;
+
+        let maxOverlap = glyphWidth;
+
+        for (let r = 0; r < this.height; r++) {
+            const line = rows[r] || '';
+            const charRow = glyph[r] || '';
+
+            // Rightmost visible column of the output row
+            let lineBoundary = outputWidth;
+            let left;
+            do {
+                lineBoundary--;
+                left = line[lineBoundary];
+            } while (lineBoundary > 0 && (left === undefined || left === ' '));
+
+            // Leftmost visible column of the glyph row
+            let charBoundary = 0;
+            while (charRow[charBoundary] === ' ') charBoundary++;
+            const right = charRow[charBoundary];
+
+            let amount = charBoundary + outputWidth - 1 - lineBoundary;
+            if (left === undefined || left === ' ') {
+                amount++;
+            } else if (right !== undefined && this._smush(left, right, mode, previousWidth, glyphWidth)) {
+                amount++;
+            }
+
+            maxOverlap = Math.min(maxOverlap, amount);
+        }
+
+        return Math.max(0, maxOverlap);
+    }
+
+    /**
+     * Smush two overlapping characters according to the layout rules
+     * @private
+     * @returns {string|null} The merged character or null if they cannot merge
+     */
+    _smush(left, right, mode, previousWidth, glyphWidth) {
+        if (left === ' ' || left === undefined) return right;
+        if (right === ' ' || right === undefined) return left;
+        if (previousWidth < 2 || glyphWidth < 2) return null;
+        if ((mode & SmushRule.SMUSHING) === 0) return null;
+
+        const hardblank = this.hardblank;
+
+        // Universal smushing: the later character wins over visible ones
+        if ((mode & 63) === 0) {
+            if (left === hardblank) return right;
+            if (right === hardblank) return left;
+            return right;
+        }
+
+        if (mode & SmushRule.HARDBLANK) {
+            if (left === hardblank && right === hardblank) return left;
+        }
+        if (left === hardblank || right === hardblank) return null;
+
+        if (mode & SmushRule.EQUAL) {
+            if (left === right) return left;
+        }
+
+        if (mode & SmushRule.UNDERSCORE) {
+            const borders = '|/\\[]{}()<>';
+            if (left === '_' && borders.includes(right)) return right;
+            if (right === '_' && borders.includes(left)) return left;
+        }
+
+        if (mode & SmushRule.HIERARCHY) {
+            const classes = ['|', '/\\', '[]', '{}', '()', '<>'];
+            const leftClass = classes.findIndex(c => c.includes(left));
+            const rightClass = classes.findIndex(c => c.includes(right));
+            if (leftClass !== -1 && rightClass !== -1 && leftClass !== rightClass) {
+                return leftClass > rightClass ? left : right;
+            }
+        }
+
+        if (mode & SmushRule.OPPOSITE_PAIR) {
+            const pair = left + right;
+            if (['[]', '][', '{}', '}{', '()', ')('].includes(pair)) return '|';
+        }
+
+        if (mode & SmushRule.BIG_X) {
+            if (left === '/' && right === '\\') return '|';
+            if (left === '\\' && right === '/') return 'Y';
+            if (left === '>' && right === '<') return 'X';
+        }
+
+        return null;
+    }
+
+    /**
+     * Build a font from glyph rows without going through .flf text
+     * @param {object} definition
+     * @param {Object<string, string[]>} definition.glyphs - Glyph rows keyed by character
+     * @param {number} definition.height - Character height
+     * @param {number} [definition.fullLayout=0] - Layout bits
+     * @param {string} [definition.missing] - Character whose glyph is used for unknown input
+     * @returns {FigletFont}
+     */
+    static fromGlyphs({ glyphs, height, fullLayout = 0, hardblank = '$', missing = null }) {
+        const map = new Map();
+        for (const [char, rows] of Object.entries(glyphs)) {
+            map.set(char.codePointAt(0), rows);
+        }
+        if (missing !== null && glyphs[missing]) {
+            map.set(0, glyphs[missing]);
+        }
+        return new FigletFont({
+            hardblank,
+            height,
+            baseline: height,
+            maxLength: 0,
+            oldLayout: -1,
+            fullLayout
+        }, map);
+    }
+}
+
+// ==========================================
+// BUILT-IN FONT
+// ==========================================
+
+/**
+ * 5x5 block font glyphs (the original Asciistrator banner font)
+ */
+const BLOCK_GLYPHS = {
+    'A': ['  █  ', ' █ █ ', '█████', '█   █', '█   █'],
+    'B': ['████ ', '█   █', '████ ', '█   █', '████ '],
+    'C': [' ████', '█    ', '█    ', '█    ', ' ████'],
+    'D': ['████ ', '█   █', '█   █', '█   █', '████ '],
+    'E': ['█████', '█    ', '████ ', '█    ', '█████'],
+    'F': ['█████', '█    ', '████ ', '█    ', '█    '],
+    'G': [' ████', '█    ', '█  ██', '█   █', ' ████'],
+    'H': ['█   █', '█   █', '█████', '█   █', '█   █'],
+    'I': ['█████', '  █  ', '  █  ', '  █  ', '█████'],
+    'J': ['█████', '   █ ', '   █ ', '█  █ ', ' ██  '],
+    'K': ['█   █', '█  █ ', '███  ', '█  █ ', '█   █'],
+    'L': ['█    ', '█    ', '█    ', '█    ', '█████'],
+    'M': ['█   █', '██ ██', '█ █ █', '█   █', '█   █'],
+    'N': ['█   █', '██  █', '█ █ █', '█  ██', '█   █'],
+    'O': [' ███ ', '█   █', '█   █', '█   █', ' ███ '],
+    'P': ['████ ', '█   █', '████ ', '█    ', '█    '],
+    'Q': [' ███ ', '█   █', '█   █', '█  █ ', ' ██ █'],
+    'R': ['████ ', '█   █', '████ ', '█  █ ', '█   █'],
+    'S': [' ████', '█    ', ' ███ ', '    █', '████ '],
+    'T': ['█████', '  █  ', '  █  ', '  █  ', '  █  '],
+    'U': ['█   █', '█   █', '█   █', '█   █', ' ███ '],
+    'V': ['█   █', '█   █', '█   █', ' █ █ ', '  █  '],
+    'W': ['█   █', '█   █', '█ █ █', '██ ██', '█   █'],
+    'X': ['█   █', ' █ █ ', '  █  ', ' █ █ ', '█   █'],
+    'Y': ['█   █', ' █ █ ', '  █  ', '  █  ', '  █  '],
+    'Z': ['█████', '   █ ', '  █  ', ' █   ', '█████'],
+    '0': [' ███ ', '█  ██', '█ █ █', '██  █', ' ███ '],
+    '1': ['  █  ', ' ██  ', '  █  ', '  █  ', '█████'],
+    '2': [' ███ ', '█   █', '  ██ ', ' █   ', '█████'],
+    '3': ['█████', '   █ ', '  ██ ', '   █ ', '████ '],
+    '4': ['█   █', '█   █', '█████', '    █', '    █'],
+    '5': ['█████', '█    ', '████ ', '    █', '████ '],
+    '6': [' ███ ', '█    ', '████ ', '█   █', ' ███ '],
+    '7': ['█████', '    █', '   █ ', '  █  ', '  █  '],
+    '8': [' ███ ', '█   █', ' ███ ', '█   █', ' ███ '],
+    '9': [' ███ ', '█   █', ' ████', '    █', ' ███ '],
+    ' ': ['     ', '     ', '     ', '     ', '     '],
+    '!': ['  █  ', '  █  ', '  █  ', '     ', '  █  '],
+    '?': [' ███ ', '█   █', '  █  ', '     ', '  █  '],
+    '.': ['     ', '     ', '     ', '     ', '  █  '],
+    ',': ['     ', '     ', '     ', '  █  ', ' █   '],
+    '-': ['     ', '     ', '████ ', '     ', '     '],
+    '+': ['     ', '  █  ', '█████', '  █  ', '     '],
+    '=': ['     ', '█████', '     ', '█████', '     '],
+    '\u0000': ['     ', '     ', '  █  ', '     ', '     ']
+};
+
+/**
+ * Create the built-in block font. Lowercase letters reuse the uppercase
+ * glyphs and every glyph carries one column of spacing, matching the
+ * original fixed 6x5 cell.
+ * @returns {FigletFont}
+ */
+function createBlockFont() {
+    const glyphs = {};
+    for (const [char, rows] of Object.entries(BLOCK_GLYPHS)) {
+        const padded = rows.map(row => row + ' ');
+        glyphs[char] = padded;
+        if (char >= 'A' && char <= 'Z') {
+            glyphs[char.toLowerCase()] = padded;
+        }
+    }
+    return FigletFont.fromGlyphs({ glyphs, height: 5, fullLayout: 0, missing: '\u0000' });
+}
+
+// ==========================================
+// FONT REGISTRY
+// ==========================================
+
+/**
+ * Registry of loaded FIGlet fonts keyed by name
+ */
+export class FigletFontRegistry {
+    constructor() {
+        /** @type {Map<string, FigletFont>} */
+        this._fonts = new Map();
+        /** @type {Map<string, string>} Source text of fonts loaded from .flf files */
+        this._sources = new Map();
+        this.defaultFont = 'block';
+
+        this._fonts.set('block', createBlockFont());
+    }
+
+    /**
+     * Register a parsed font
+     * @param {string} name
+     * @param {FigletFont} font
+     */
+    register(name, font) {
+        this._fonts.set(name, font);
+    }
+
+    /**
+     * Parse and register a font from .flf source text
+     * @param {string} name
+     * @param {string} source
+     * @returns {FigletFont}
+     */
+    registerSource(name, source) {
+        const font = FigletFont.parse(source);
+        this._fonts.set(name, font);
+        this._sources.set(name, source);
+        return font;
+    }
+
+    /**
+     * Load a font from a URL
+     * @param {string} name
+     * @param {string} url
+     * @returns {Promise<FigletFont>}
+     */
+    async load(name, url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load FIGlet font '${name}': ${response.status}`);
+        }
+        return this.registerSource(name, await response.text());
+    }
+
+    /**
+     * Load a font from a File object (file picker / drag and drop)
+     * @param {File} file
+     * @returns {Promise<{name: string, font: FigletFont}>}
+     */
+    async loadFile(file) {
+        const name = file.name.replace(/\.flf$/i, '');
+        const font = this.registerSource(name, await file.text());
+        return { name, font };
+    }
+
+    /**
+     * Get a font by name, falling back to the default font
+     * @param {string} [name]
+     * @returns {FigletFont}
+     */
+    get(name) {
+        return this._fonts.get(name) || this._fonts.get(this.defaultFont);
+    }
+
+    /**
+     * @param {string} name
+     * @returns {boolean}
+     */
+    has(name) {
+        return this._fonts.has(name);
+    }
+
+    /**
+     * @returns {string[]} Registered font names
+     */
+    list() {
+        return Array.from(this._fonts.keys());
+    }
+
+    /**
+     * Get the .flf source for a font loaded from text
+     * @param {string} name
+     * @returns {string|undefined}
+     */
+    getSource(name) {
+        return this._sources.get(name);
+    }
+
+    /**
+     * Get the .flf sources of fonts loaded from text
+     * @param {Iterable<string>} [names] - Fonts to include; all loaded fonts when omitted
+     * @returns {Object<string, string>} Source text by font name
+     */
+    getSources(names = this._sources.keys()) {
+        const sources = {};
+        for (const name of names) {
+            if (this._sources.has(name)) sources[name] = this._sources.get(name);
+        }
+        return sources;
+    }
+
+    /**
+     * Register fonts from .flf source text, skipping fonts that do not parse
+     * @param {Object<string, string>} sources - Source text by font name
+     * @returns {string[]} Names of the registered fonts
+     */
+    registerSources(sources) {
+        const registered = [];
+        for (const [name, source] of Object.entries(sources)) {
+            try {
+                this.registerSource(name, source);
+                registered.push(name);
+            } catch (e) {
+                console.warn(`Skipping FIGlet font '${name}':`, e);
+            }
+        }
+        return registered;
+    }
+
+    /**
+     * Persist user-loaded fonts to a storage object (e.g. localStorage)
+     * @param {Storage} storage
+     * @param {string} [key]
+     */
+    saveTo(storage, key = 'asciistrator-figlet-fonts') {
+        storage.setItem(key, JSON.stringify(this.getSources()));
+    }
+
+    /**
+     * Restore user-loaded fonts from a storage object
+     * @param {Storage} storage
+     * @param {string} [key]
+     */
+    restoreFrom(storage, key = 'asciistrator-figlet-fonts') {
+        const saved = storage.getItem(key);
+        if (!saved) return;
+        this.registerSources(JSON.parse(saved));
+    }
+}
+
+/**
+ * Global font registry instance
+ */
+export const figletFonts = new FigletFontRegistry();
+
+/**
+ * Render text with a registered font
+ * @param {string} text
+ * @param {string} [fontName]
+ * @param {object} [options]
+ * @returns {string[]}
+ */
+export function renderFigletText(text, fontName, options = {}) {
+    return figletFonts.get(fontName).renderLines(text, options);
+}
+
+export default {
+    SmushRule,
+    FigletLayout,
+    FigletFont,
+    FigletFontRegistry,
+    figletFonts,
+    renderFigletText
+};
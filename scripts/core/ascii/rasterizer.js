@@ -14,12 +14,72 @@ import {
     LineChars 
 } from './charsets.js';
 
+// ==========================================
+// CELL STYLE
+// ==========================================
+
+/**
+ * Text attribute flags of a cell
+ */
+export const CellAttribute = {
+    NONE: 0,
+    BOLD: 1,
+    ITALIC: 2,
+    UNDERLINE: 4,
+    REVERSE: 8
+};
+
+/**
+ * Colors a reversed cell without colors of its own swaps
+ */
+const DEFAULT_CELL_COLORS = { color: '#e0e0e0', background: '#1a1a2e' };
+
+/**
+ * Cell style of a drawing call: the color alone, or the color with a
+ * background and text attributes when the options have them
+ * @param {object} options - Drawing options
+ * @param {string} [key='color'] - Option holding the foreground color
+ * @returns {string|object|null} Value for the color argument of setChar()
+ */
+export function cellStyle(options, key = 'color') {
+    const color = options[key] ?? null;
+    if (options.background === undefined && !options.attributes) return color;
+    return { color, background: options.background, attributes: options.attributes || 0 };
+}
+
+/**
+ * Inline CSS for a cell's colors and attributes
+ * @param {string|null} color - Foreground, may have alpha (#rrggbbaa)
+ * @param {string|null} background - Background, may have alpha
+ * @param {number} [attributes=0] - CellAttribute flags
+ * @param {{color: string, background: string}} [defaults] - Colors reversed
+ *   cells without colors of their own swap
+ * @returns {string} CSS declarations, empty for a plain cell
+ */
+export function cellStyleToCSS(color, background, attributes = 0, defaults = DEFAULT_CELL_COLORS) {
+    if (attributes & CellAttribute.REVERSE) {
+        [color, background] = [background || defaults.background, color || defaults.color];
+    }
+    
+    const css = [];
+    if (color) css.push(`color:${color}`);
+    if (background) css.push(`background-color:${background}`);
+    if (attributes & CellAttribute.BOLD) css.push('font-weight:bold');
+    if (attributes & CellAttribute.ITALIC) css.push('font-style:italic');
+    if (attributes & CellAttribute.UNDERLINE) css.push('text-decoration:underline');
+    return css.join(';');
+}
+
 // ==========================================
 // ASCII BUFFER
 // ==========================================
 
 /**
- * ASCII character buffer for rendering
+ * ASCII character buffer for rendering.
+ * 
+ * Each cell has a character, a foreground color, a background color and
+ * text attributes (CellAttribute flags). Colors are CSS hex strings and may
+ * carry alpha (#rrggbbaa); null means the default color.
  */
 export class AsciiBuffer {
     /**
@@ -37,6 +97,10 @@ export class AsciiBuffer {
         this.chars = new Array(height);
         // Color buffer (optional, for colored output)
         this.colors = new Array(height);
+        // Background color buffer
+        this.backgrounds = new Array(height);
+        // Text attribute buffer (CellAttribute flags)
+        this.attributes = new Array(height);
         // Z-depth buffer (for layering)
         this.depth = new Array(height);
         
@@ -52,6 +116,8 @@ export class AsciiBuffer {
         for (let y = 0; y < this.height; y++) {
             this.chars[y] = new Array(this.width).fill(fillChar);
             this.colors[y] = new Array(this.width).fill(null);
+            this.backgrounds[y] = new Array(this.width).fill(null);
+            this.attributes[y] = new Array(this.width).fill(0);
             this.depth[y] = new Array(this.width).fill(-Infinity);
         }
     }
@@ -64,11 +130,18 @@ export class AsciiBuffer {
     resize(width, height) {
         const oldChars = this.chars;
         const oldColors = this.colors;
+        const oldBackgrounds = this.backgrounds;
+        const oldAttributes = this.attributes;
         const oldWidth = this.width;
         const oldHeight = this.height;
         
         this.width = width;
         this.height = height;
+        this.chars = new Array(height);
+        this.colors = new Array(height);
+        this.backgrounds = new Array(height);
+        this.attributes = new Array(height);
+        this.depth = new Array(height);
         this.clear();
         
         // Copy old content
@@ -79,6 +152,8 @@ export class AsciiBuffer {
             for (let x = 0; x < copyWidth; x++) {
                 this.chars[y][x] = oldChars[y][x];
                 this.colors[y][x] = oldColors[y][x];
+                this.backgrounds[y][x] = oldBackgrounds[y][x];
+                this.attributes[y][x] = oldAttributes[y][x];
             }
         }
     }
@@ -94,11 +169,13 @@ export class AsciiBuffer {
     }
 
     /**
-     * Set a character at position
+     * Set a character at position. A color string only sets the foreground
+     * and keeps the cell's background; a cell style also sets the background
+     * (when given) and the text attributes.
      * @param {number} x 
      * @param {number} y 
      * @param {string} char 
-     * @param {string} [color] - CSS color string
+     * @param {string|{color: string, background: string, attributes: number}} [color] - CSS color string or cell style
      * @param {number} [z=0] - Depth value
      */
     setChar(x, y, char, color = null, z = 0) {
@@ -110,7 +187,14 @@ export class AsciiBuffer {
         // Only draw if z >= current depth
         if (z >= this.depth[y][x]) {
             this.chars[y][x] = char;
-            this.colors[y][x] = color;
+            if (color !== null && typeof color === 'object') {
+                this.colors[y][x] = color.color ?? null;
+                if (color.background !== undefined) this.backgrounds[y][x] = color.background;
+                this.attributes[y][x] = color.attributes || 0;
+            } else {
+                this.colors[y][x] = color;
+                this.attributes[y][x] = 0;
+            }
             this.depth[y][x] = z;
         }
     }
@@ -143,6 +227,48 @@ export class AsciiBuffer {
         return this.colors[y][x];
     }
 
+    /**
+     * Get background color at position
+     * @param {number} x 
+     * @param {number} y 
+     * @returns {string|null}
+     */
+    getBackground(x, y) {
+        x = Math.round(x);
+        y = Math.round(y);
+        
+        if (!this.inBounds(x, y)) return null;
+        return this.backgrounds[y][x];
+    }
+
+    /**
+     * Get text attributes at position
+     * @param {number} x 
+     * @param {number} y 
+     * @returns {number} CellAttribute flags
+     */
+    getAttributes(x, y) {
+        x = Math.round(x);
+        y = Math.round(y);
+        
+        if (!this.inBounds(x, y)) return 0;
+        return this.attributes[y][x];
+    }
+
+    /**
+     * Get the cell style at position, in the form setChar() accepts
+     * @param {number} x 
+     * @param {number} y 
+     * @returns {{color: string|null, background: string|null, attributes: number}}
+     */
+    getStyle(x, y) {
+        return {
+            color: this.getColor(x, y),
+            background: this.getBackground(x, y),
+            attributes: this.getAttributes(x, y)
+        };
+    }
+
     /**
      * Draw text at position
      * @param {number} x - Start X
@@ -171,9 +297,42 @@ export class AsciiBuffer {
         for (let y = 0; y < height; y++) {
             for (let x = 0; x < width; x++) {
                 const char = source.getChar(srcX + x, srcY + y);
-                const color = source.getColor(srcX + x, srcY + y);
-                if (char !== this.fillChar) {
-                    this.setChar(destX + x, destY + y, char, color);
+                const style = source.getStyle
+                    ? source.getStyle(srcX + x, srcY + y)
+                    : { color: source.getColor(srcX + x, srcY + y) };
+                // Cells without a background keep the one underneath
+                if (char !== this.fillChar || style.background) {
+                    this.setChar(destX + x, destY + y, char, { ...style, background: style.background || undefined });
+                }
+            }
+        }
+    }
+
+    /**
+     * Draw a buffer of the same size over this one, using direct array access.
+     * Blank cells without a background are transparent; drawn cells without
+     * a background keep the one underneath.
+     * @param {AsciiBuffer} source 
+     */
+    overlay(source) {
+        for (let y = 0; y < this.height; y++) {
+            const srcRow = source.chars[y];
+            const srcColorRow = source.colors[y];
+            const srcBackgroundRow = source.backgrounds[y];
+            const srcAttributeRow = source.attributes[y];
+            const dstRow = this.chars[y];
+            const dstColorRow = this.colors[y];
+            const dstBackgroundRow = this.backgrounds[y];
+            const dstAttributeRow = this.attributes[y];
+            
+            for (let x = 0; x < this.width; x++) {
+                const char = srcRow[x];
+                const background = srcBackgroundRow[x];
+                if (char !== ' ' || background) {
+                    dstRow[x] = char;
+                    dstColorRow[x] = srcColorRow[x];
+                    dstAttributeRow[x] = srcAttributeRow[x];
+                    if (background) dstBackgroundRow[x] = background;
                 }
             }
         }
@@ -188,20 +347,22 @@ export class AsciiBuffer {
     }
 
     /**
-     * Convert buffer to HTML with color spans
+     * Convert buffer to HTML with styled spans
+     * @param {{color: string, background: string}} [defaults] - Colors
+     *   reversed cells without colors of their own swap
      * @returns {string}
      */
-    toHTML() {
+    toHTML(defaults = DEFAULT_CELL_COLORS) {
         const rows = [];
         for (let y = 0; y < this.height; y++) {
             let rowHtml = '';
-            let currentColor = null;
+            let currentStyle = '';
             let batch = '';
             
             const flushBatch = () => {
                 if (batch.length === 0) return;
-                if (currentColor) {
-                    rowHtml += `<span style="color:${currentColor}">${batch}</span>`;
+                if (currentStyle) {
+                    rowHtml += `<span style="${currentStyle}">${batch}</span>`;
                 } else {
                     rowHtml += batch;
                 }
@@ -210,17 +371,17 @@ export class AsciiBuffer {
             
             for (let x = 0; x < this.width; x++) {
                 let char = this.chars[y][x];
-                const color = this.colors[y][x];
+                const style = cellStyleToCSS(this.colors[y][x], this.backgrounds[y][x], this.attributes[y][x], defaults);
                 
                 // Escape special HTML characters
                 if (char === '&') char = '&amp;';
                 else if (char === '<') char = '&lt;';
                 else if (char === '>') char = '&gt;';
                 
-                // Batch same-colored chars together
-                if (color !== currentColor) {
+                // Batch equally styled chars together
+                if (style !== currentStyle) {
                     flushBatch();
-                    currentColor = color;
+                    currentStyle = style;
                 }
                 batch += char;
             }
@@ -239,6 +400,94 @@ export class AsciiBuffer {
     }
 }
 
+/**
+ * Buffer wrapper that draws with a cell background and text attributes.
+ * Calls keep their foreground color, and their own background when they
+ * pass one, so nested objects draw over the background of their parent.
+ */
+export class StyledBuffer {
+    /**
+     * @param {object} buffer - Original ASCII buffer
+     * @param {object} style - Style added to every cell
+     * @param {string|null} [style.background] - Cell background color
+     * @param {number} [style.attributes=0] - CellAttribute flags
+     */
+    constructor(buffer, style) {
+        this.buffer = buffer;
+        this.style = style;
+    }
+
+    /**
+     * Set character with the style's background and attributes
+     * @param {number} x 
+     * @param {number} y 
+     * @param {string} char 
+     * @param {string|object} [color] - CSS color string or cell style
+     * @param {number} [z=0] - Depth value
+     */
+    setChar(x, y, char, color = null, z = 0) {
+        const base = color !== null && typeof color === 'object' ? color : { color };
+        this.buffer.setChar(x, y, char, {
+            color: base.color ?? null,
+            background: base.background || this.style.background || undefined,
+            attributes: (base.attributes || 0) | (this.style.attributes || 0)
+        }, z);
+    }
+
+    /**
+     * Draw text with the style's background and attributes
+     */
+    drawText(x, y, text, color = null, z = 0) {
+        for (let i = 0; i < text.length; i++) {
+            this.setChar(x + i, y, text[i], color, z);
+        }
+    }
+
+    /**
+     * Check bounds (passthrough)
+     */
+    inBounds(x, y) {
+        return this.buffer.inBounds
+            ? this.buffer.inBounds(x, y)
+            : x >= 0 && x < this.width && y >= 0 && y < this.height;
+    }
+
+    /**
+     * Get character (passthrough)
+     */
+    getChar(x, y) {
+        return this.buffer.getChar(x, y);
+    }
+
+    /**
+     * Get color (passthrough)
+     */
+    getColor(x, y) {
+        return this.buffer.getColor(x, y);
+    }
+
+    /**
+     * Get buffer width
+     */
+    get width() {
+        return this.buffer.width;
+    }
+
+    /**
+     * Get buffer height
+     */
+    get height() {
+        return this.buffer.height;
+    }
+
+    /**
+     * Clear (passthrough)
+     */
+    clear() {
+        this.buffer.clear();
+    }
+}
+
 // ==========================================
 // LINE DRAWING ALGORITHMS
 // ==========================================
@@ -336,10 +585,13 @@ export function getLineChar(dx, dy, style = 'single') {
  * @param {string} [options.char] - Character to use (auto-detect if not specified)
  * @param {string} [options.style='single'] - Line style
  * @param {string} [options.color] - Color
+ * @param {string} [options.background] - Cell background color
+ * @param {number} [options.attributes] - CellAttribute flags
  * @param {number} [options.z=0] - Z depth
  */
 export function drawLine(buffer, x0, y0, x1, y1, options = {}) {
-    const { char, style = 'single', color = null, z = 0 } = options;
+    const { char, style = 'single', z = 0 } = options;
+    const color = cellStyle(options);
     
     const points = bresenhamLine(x0, y0, x1, y1);
     
@@ -370,10 +622,13 @@ export function drawLine(buffer, x0, y0, x1, y1, options = {}) {
  * @param {object} [options]
  * @param {string} [options.palette='minimal'] - Density palette
  * @param {string} [options.color] 
+ * @param {string} [options.background] - Cell background color
+ * @param {number} [options.attributes] - CellAttribute flags
  * @param {number} [options.z=0] 
  */
 export function drawLineAA(buffer, x0, y0, x1, y1, options = {}) {
-    const { palette = 'minimal', color = null, z = 0 } = options;
+    const { palette = 'minimal', z = 0 } = options;
+    const color = cellStyle(options);
     
     const steep = Math.abs(y1 - y0) > Math.abs(x1 - x0);
     
@@ -444,10 +699,13 @@ export function drawLineAA(buffer, x0, y0, x1, y1, options = {}) {
  * @param {object} [options]
  * @param {string} [options.style='single'] - Box drawing style
  * @param {string} [options.color] 
+ * @param {string} [options.background] - Cell background color
+ * @param {number} [options.attributes] - CellAttribute flags
  * @param {number} [options.z=0] 
  */
 export function drawRect(buffer, x, y, width, height, options = {}) {
-    const { style = 'single', color = null, z = 0 } = options;
+    const { style = 'single', z = 0 } = options;
+    const color = cellStyle(options);
     const box = BoxDrawing[style] || BoxDrawing.single;
     
     x = Math.round(x);
@@ -494,6 +752,8 @@ export function drawRect(buffer, x, y, width, height, options = {}) {
  * @param {string} [options.style='single'] - Border style
  * @param {boolean} [options.border=true] - Draw border
  * @param {string} [options.color] 
+ * @param {string} [options.background] - Cell background color
+ * @param {number} [options.attributes] - CellAttribute flags
  * @param {string} [options.fillColor] 
  * @param {number} [options.z=0] 
  */
@@ -502,10 +762,10 @@ export function fillRect(buffer, x, y, width, height, options = {}) {
         fillChar = ' ', 
         style = 'single', 
         border = true, 
-        color = null, 
-        fillColor = null,
         z = 0 
     } = options;
+    const color = cellStyle(options);
+    const fillColor = cellStyle(options, 'fillColor');
     
     x = Math.round(x);
     y = Math.round(y);
@@ -540,10 +800,13 @@ export function fillRect(buffer, x, y, width, height, options = {}) {
  * @param {object} [options]
  * @param {string} [options.char='*'] - Character to use
  * @param {string} [options.color] 
+ * @param {string} [options.background] - Cell background color
+ * @param {number} [options.attributes] - CellAttribute flags
  * @param {number} [options.z=0] 
  */
 export function drawEllipse(buffer, cx, cy, rx, ry, options = {}) {
-    const { char = '*', color = null, z = 0 } = options;
+    const { char = '*', z = 0 } = options;
+    const color = cellStyle(options);
     
     cx = Math.round(cx);
     cy = Math.round(cy);
@@ -629,10 +892,13 @@ export function drawCircle(buffer, cx, cy, radius, options = {}) {
  * @param {object} [options]
  * @param {string} [options.fillChar='█'] 
  * @param {string} [options.color] 
+ * @param {string} [options.background] - Cell background color
+ * @param {number} [options.attributes] - CellAttribute flags
  * @param {number} [options.z=0] 
  */
 export function fillEllipse(buffer, cx, cy, rx, ry, options = {}) {
-    const { fillChar = '█', color = null, z = 0 } = options;
+    const { fillChar = '█', z = 0 } = options;
+    const color = cellStyle(options);
     
     cx = Math.round(cx);
     cy = Math.round(cy);
@@ -672,10 +938,13 @@ export function fillCircle(buffer, cx, cy, radius, options = {}) {
  * @param {boolean} [options.closed=true] 
  * @param {string} [options.style='single'] 
  * @param {string} [options.color] 
+ * @param {string} [options.background] - Cell background color
+ * @param {number} [options.attributes] - CellAttribute flags
  * @param {number} [options.z=0] 
  */
 export function drawPolygon(buffer, points, options = {}) {
-    const { closed = true, style = 'single', color = null, z = 0 } = options;
+    const { closed = true, style = 'single', z = 0 } = options;
+    const color = cellStyle(options);
     
     if (points.length < 2) return;
     
@@ -697,10 +966,13 @@ export function drawPolygon(buffer, points, options = {}) {
  * @param {object} [options]
  * @param {string} [options.fillChar='█'] 
  * @param {string} [options.color] 
+ * @param {string} [options.background] - Cell background color
+ * @param {number} [options.attributes] - CellAttribute flags
  * @param {number} [options.z=0] 
  */
 export function fillPolygon(buffer, points, options = {}) {
-    const { fillChar = '█', color = null, z = 0 } = options;
+    const { fillChar = '█', z = 0 } = options;
+    const color = cellStyle(options);
     
     if (points.length < 3) return;
     
@@ -755,10 +1027,13 @@ export function fillPolygon(buffer, points, options = {}) {
  * @param {object} [options]
  * @param {string} [options.targetChar] - Only fill this character (default: current char at start)
  * @param {string} [options.color] 
+ * @param {string} [options.background] - Cell background color
+ * @param {number} [options.attributes] - CellAttribute flags
  * @param {number} [options.z=0] 
  */
 export function floodFill(buffer, startX, startY, fillChar, options = {}) {
-    const { color = null, z = 0 } = options;
+    const { z = 0 } = options;
+    const color = cellStyle(options);
     
     startX = Math.round(startX);
     startY = Math.round(startY);
@@ -807,10 +1082,13 @@ export function floodFill(buffer, startX, startY, fillChar, options = {}) {
  * @param {string} [options.char='*'] 
  * @param {number} [options.segments=20] 
  * @param {string} [options.color] 
+ * @param {string} [options.background] - Cell background color
+ * @param {number} [options.attributes] - CellAttribute flags
  * @param {number} [options.z=0] 
  */
 export function drawQuadraticBezier(buffer, x0, y0, x1, y1, x2, y2, options = {}) {
-    const { char = '*', segments = 20, color = null, z = 0 } = options;
+    const { char = '*', segments = 20, z = 0 } = options;
+    const color = cellStyle(options);
     
     let prevX = x0;
     let prevY = y0;
@@ -844,10 +1122,13 @@ export function drawQuadraticBezier(buffer, x0, y0, x1, y1, x2, y2, options = {}
  * @param {string} [options.char='*'] 
  * @param {number} [options.segments=30] 
  * @param {string} [options.color] 
+ * @param {string} [options.background] - Cell background color
+ * @param {number} [options.attributes] - CellAttribute flags
  * @param {number} [options.z=0] 
  */
 export function drawCubicBezier(buffer, x0, y0, x1, y1, x2, y2, x3, y3, options = {}) {
-    const { char = '*', segments = 30, color = null, z = 0 } = options;
+    const { char = '*', segments = 30, z = 0 } = options;
+    const color = cellStyle(options);
     
     let prevX = x0;
     let prevY = y0;
@@ -886,10 +1167,13 @@ export function drawCubicBezier(buffer, x0, y0, x1, y1, x2, y2, x3, y3, options
  * @param {string} [options.char='*'] 
  * @param {number} [options.aspectRatio=2] 
  * @param {string} [options.color] 
+ * @param {string} [options.background] - Cell background color
+ * @param {number} [options.attributes] - CellAttribute flags
  * @param {number} [options.z=0] 
  */
 export function drawArc(buffer, cx, cy, radius, startAngle, endAngle, options = {}) {
-    const { char = '*', aspectRatio = 2, color = null, z = 0 } = options;
+    const { char = '*', aspectRatio = 2, z = 0 } = options;
+    const color = cellStyle(options);
     
     const rx = radius * aspectRatio;
     const ry = radius;
@@ -929,10 +1213,14 @@ export function drawArc(buffer, cx, cy, radius, startAngle, endAngle, options =
  * @param {object} [options]
  * @param {string} [options.palette='blocks'] 
  * @param {boolean} [options.reverse=false] 
+ * @param {string} [options.color] 
+ * @param {string} [options.background] - Cell background color
+ * @param {number} [options.attributes] - CellAttribute flags
  * @param {number} [options.z=0] 
  */
 export function fillGradientH(buffer, x, y, width, height, options = {}) {
     const { palette = 'blocks', reverse = false, z = 0 } = options;
+    const color = cellStyle(options);
     
     for (let ix = 0; ix < width; ix++) {
         let density = ix / (width - 1);
@@ -940,7 +1228,7 @@ export function fillGradientH(buffer, x, y, width, height, options = {}) {
         const char = getCharForDensity(density, palette);
         
         for (let iy = 0; iy < height; iy++) {
-            buffer.setChar(x + ix, y + iy, char, null, z);
+            buffer.setChar(x + ix, y + iy, char, color, z);
         }
     }
 }
@@ -955,10 +1243,14 @@ export function fillGradientH(buffer, x, y, width, height, options = {}) {
  * @param {object} [options]
  * @param {string} [options.palette='blocks'] 
  * @param {boolean} [options.reverse=false] 
+ * @param {string} [options.color] 
+ * @param {string} [options.background] - Cell background color
+ * @param {number} [options.attributes] - CellAttribute flags
  * @param {number} [options.z=0] 
  */
 export function fillGradientV(buffer, x, y, width, height, options = {}) {
     const { palette = 'blocks', reverse = false, z = 0 } = options;
+    const color = cellStyle(options);
     
     for (let iy = 0; iy < height; iy++) {
         let density = iy / (height - 1);
@@ -966,7 +1258,7 @@ export function fillGradientV(buffer, x, y, width, height, options = {}) {
         const char = getCharForDensity(density, palette);
         
         for (let ix = 0; ix < width; ix++) {
-            buffer.setChar(x + ix, y + iy, char, null, z);
+            buffer.setChar(x + ix, y + iy, char, color, z);
         }
     }
 }
@@ -980,10 +1272,14 @@ export function fillGradientV(buffer, x, y, width, height, options = {}) {
  * @param {number} height 
  * @param {string[]} pattern - 2D pattern array
  * @param {object} [options]
+ * @param {string} [options.color] 
+ * @param {string} [options.background] - Cell background color
+ * @param {number} [options.attributes] - CellAttribute flags
  * @param {number} [options.z=0] 
  */
 export function fillPattern(buffer, x, y, width, height, pattern, options = {}) {
     const { z = 0 } = options;
+    const color = cellStyle(options);
     
     const patternHeight = pattern.length;
     const patternWidth = pattern[0].length;
@@ -993,7 +1289,7 @@ export function fillPattern(buffer, x, y, width, height, pattern, options = {})
             const py = iy % patternHeight;
             const px = ix % patternWidth;
             const char = pattern[py][px];
-            buffer.setChar(x + ix, y + iy, char, null, z);
+            buffer.setChar(x + ix, y + iy, char, color, z);
         }
     }
 }
@@ -1003,7 +1299,11 @@ export function fillPattern(buffer, x, y, width, height, pattern, options = {})
 // ==========================================
 
 export default {
+    CellAttribute,
+    cellStyle,
+    cellStyleToCSS,
     AsciiBuffer,
+    StyledBuffer,
     bresenhamLine,
     getLineChar,
     drawLine,
@@ -70,6 +70,57 @@ export const BlendModes = {
     ERASE: 'erase'
 };
 
+/**
+ * Display names of the blend modes, in menu order
+ */
+export const BlendModeLabels = {
+    [BlendModes.NORMAL]: 'Normal',
+    [BlendModes.MULTIPLY]: 'Multiply',
+    [BlendModes.SCREEN]: 'Screen',
+    [BlendModes.OVERLAY]: 'Overlay',
+    [BlendModes.DARKEN]: 'Darken',
+    [BlendModes.LIGHTEN]: 'Lighten',
+    [BlendModes.DIFFERENCE]: 'Difference',
+    [BlendModes.ADD]: 'Add',
+    [BlendModes.XOR]: 'XOR',
+    [BlendModes.BEHIND]: 'Behind',
+    [BlendModes.ERASE]: 'Erase'
+};
+
+/**
+ * Color of cells that have none, when they have to be blended
+ */
+const DEFAULT_COLOR = { r: 255, g: 255, b: 255, a: 1 };
+
+/**
+ * Composite result of a cell with nothing left in it
+ */
+const EMPTY_CELL = { char: ' ', color: null, intensity: 0, background: null, attributes: 0 };
+
+/**
+ * Whether a character leaves its cell empty
+ * @param {string} char 
+ * @returns {boolean}
+ */
+function isBlank(char) {
+    return !char || char === ' ';
+}
+
+/**
+ * Split a cell color argument into its parts; a color string only has a
+ * foreground, a cell style ({color, background, attributes}) may have all
+ * @param {string|object|null} color 
+ * @returns {{color: string|null, background: string|null, attributes: number}}
+ */
+function toCellStyle(color) {
+    const style = color !== null && typeof color === 'object' ? color : { color };
+    return {
+        color: style.color ?? null,
+        background: style.background ?? null,
+        attributes: style.attributes || 0
+    };
+}
+
 /**
  * Character density map for intensity-based blending
  */
@@ -78,6 +129,11 @@ const CHAR_DENSITY_MAP = new Map();
 for (let i = 0; i < CHAR_DENSITY.length; i++) {
     CHAR_DENSITY_MAP.set(CHAR_DENSITY[i], i / (CHAR_DENSITY.length - 1));
 }
+// Shade blocks, so shading layers blend by how much they cover
+CHAR_DENSITY_MAP.set('░', 0.25);
+CHAR_DENSITY_MAP.set('▒', 0.5);
+CHAR_DENSITY_MAP.set('▓', 0.75);
+CHAR_DENSITY_MAP.set('█', 1);
 
 /**
  * Get character intensity (0-1)
@@ -164,6 +220,30 @@ export function colorToString(color) {
     return `rgba(${Math.round(color.r)}, ${Math.round(color.g)}, ${Math.round(color.b)}, ${color.a})`;
 }
 
+/**
+ * Color to hex string, ignoring alpha
+ * @param {{r: number, g: number, b: number}} color 
+ * @returns {string}
+ */
+export function colorToHex(color) {
+    const hex = value => Math.max(0, Math.min(255, Math.round(value))).toString(16).padStart(2, '0');
+    return `#${hex(color.r)}${hex(color.g)}${hex(color.b)}`;
+}
+
+/**
+ * Flatten a translucent color onto an opaque backdrop
+ * @param {string} color - Color, may have alpha (#rrggbbaa)
+ * @param {string} [backdrop='#000000'] - Color behind it
+ * @returns {string} Hex color; opaque and unparsable colors are returned as they are
+ */
+export function flattenColor(color, backdrop = '#000000') {
+    const parsed = parseColor(color);
+    if (!parsed || parsed.a >= 1) return color;
+    
+    const base = parseColor(backdrop) || { r: 0, g: 0, b: 0, a: 1 };
+    return colorToHex(blendColors({ ...base, a: 1 }, parsed, BlendModes.NORMAL));
+}
+
 /**
  * Blend two colors
  * @param {{r: number, g: number, b: number, a: number}} bottom 
@@ -309,17 +389,17 @@ export class CompositingLayer extends EventEmitter {
     // ==========================================
     
     /**
-     * Set cell content
+     * Set cell content; blank cells are removed unless they have a background
      * @param {number} x 
      * @param {number} y 
      * @param {string} char 
-     * @param {string} [color]
+     * @param {string|object} [color] - Color or cell style ({color, background, attributes})
      * @param {object} [metadata]
      */
     setCell(x, y, char, color = null, metadata = null) {
         const key = `${x},${y}`;
         
-        if (char === ' ' || char === '' || char === null) {
+        if (isBlank(char) && !toCellStyle(color).background) {
             this._content.delete(key);
         } else {
             this._content.set(key, new LayerCell(x, y, char, color, metadata));
@@ -581,6 +661,29 @@ export class CompositingLayer extends EventEmitter {
         
         return cloned;
     }
+    
+    /**
+     * Create a layer from the non-blank cells of a buffer, including blank
+     * cells with a background
+     * @param {AsciiBuffer} buffer 
+     * @param {object} [options] - Layer options (opacity, blendMode, ...)
+     * @returns {CompositingLayer}
+     */
+    static fromBuffer(buffer, options = {}) {
+        const layer = new CompositingLayer(options);
+        
+        for (let y = 0; y < buffer.height; y++) {
+            for (let x = 0; x < buffer.width; x++) {
+                const char = buffer.getChar(x, y);
+                const style = buffer.getStyle ? buffer.getStyle(x, y) : buffer.getColor(x, y);
+                if (!isBlank(char) || style?.background) {
+                    layer._content.set(`${x},${y}`, new LayerCell(x, y, char, style));
+                }
+            }
+        }
+        
+        return layer;
+    }
 }
 
 // ==========================================
@@ -596,10 +699,12 @@ export class LayerCell {
      * @param {number} x 
      * @param {number} y 
      * @param {string} char 
-     * @param {string} [color]
+     * @param {string|object} [color] - Color or cell style ({color, background, attributes})
      * @param {object} [metadata]
      */
     constructor(x, y, char, color = null, metadata = null) {
+        const style = toCellStyle(color);
+        
         /** @type {number} */
         this.x = x;
         
@@ -610,12 +715,26 @@ export class LayerCell {
         this.char = char;
         
         /** @type {string|null} */
-        this.color = color;
+        this.color = style.color;
+        
+        /** @type {string|null} */
+        this.background = style.background;
+        
+        /** @type {number} Text attribute flags */
+        this.attributes = style.attributes;
         
         /** @type {object|null} */
         this.metadata = metadata;
     }
     
+    /**
+     * Get the cell style
+     * @returns {{color: string|null, background: string|null, attributes: number}}
+     */
+    getStyle() {
+        return { color: this.color, background: this.background, attributes: this.attributes };
+    }
+    
     /**
      * Serialize
      * @returns {object}
@@ -628,6 +747,8 @@ export class LayerCell {
         };
         
         if (this.color) data.color = this.color;
+        if (this.background) data.background = this.background;
+        if (this.attributes) data.attributes = this.attributes;
         if (this.metadata) data.metadata = this.metadata;
         
         return data;
@@ -639,7 +760,11 @@ export class LayerCell {
      * @returns {LayerCell}
      */
     static fromJSON(data) {
-        return new LayerCell(data.x, data.y, data.char, data.color, data.metadata);
+        return new LayerCell(data.x, data.y, data.char, {
+            color: data.color,
+            background: data.background,
+            attributes: data.attributes
+        }, data.metadata);
     }
     
     /**
@@ -651,7 +776,7 @@ export class LayerCell {
             this.x, 
             this.y, 
             this.char, 
-            this.color,
+            this.getStyle(),
             this.metadata ? { ...this.metadata } : null
         );
     }
@@ -901,9 +1026,9 @@ export class LayerCompositor extends EventEmitter {
         // Start with background if set
         if (this.backgroundColor) {
             result = {
+                ...EMPTY_CELL,
                 char: this.backgroundChar,
-                color: parseColor(this.backgroundColor),
-                intensity: 0
+                color: parseColor(this.backgroundColor)
             };
         }
         
@@ -912,33 +1037,35 @@ export class LayerCompositor extends EventEmitter {
             if (!layer.visible || layer.opacity === 0) continue;
             
             const cell = layer.getCell(x, y);
-            if (!cell || cell.char === ' ' || cell.char === '') continue;
+            if (!cell || (isBlank(cell.char) && !cell.background)) continue;
             
-            const topColor = cell.color ? parseColor(cell.color) : { r: 255, g: 255, b: 255, a: 1 };
-            const topIntensity = getCharIntensity(cell.char);
+            const top = {
+                char: isBlank(cell.char) ? ' ' : cell.char,
+                color: cell.color ? parseColor(cell.color) : null,
+                intensity: getCharIntensity(cell.char),
+                background: cell.background ? parseColor(cell.background) : null,
+                attributes: cell.attributes || 0
+            };
             
             if (result === null) {
-                // First visible cell
-                result = {
-                    char: cell.char,
-                    color: topColor,
-                    intensity: topIntensity
-                };
+                // Nothing to erase yet
+                if (layer.blendMode === BlendModes.ERASE) continue;
+                
+                // First visible cell, faded by its layer's opacity
+                result = this._fadeCell(top, layer.opacity);
             } else {
                 // Blend with existing result
-                result = this._blendCells(result, {
-                    char: cell.char,
-                    color: topColor,
-                    intensity: topIntensity
-                }, layer.blendMode, layer.opacity);
+                result = this._blendCells(result, top, layer.blendMode, layer.opacity);
             }
         }
         
-        if (result && result.char !== ' ' && result.char !== '') {
+        if (result && (!isBlank(result.char) || result.background)) {
             this._composited.set(key, new CompositedCell(
                 x, y,
                 result.char,
-                result.color ? colorToString(result.color) : null
+                result.color ? colorToString(result.color) : null,
+                result.background ? colorToString(result.background) : null,
+                result.attributes
             ));
         } else {
             this._composited.delete(key);
@@ -946,43 +1073,62 @@ export class LayerCompositor extends EventEmitter {
     }
     
     /**
-     * Blend two cell results
+     * Fade a cell result by its layer's opacity
      * @private
      */
-    _blendCells(bottom, top, blendMode, opacity) {
-        let resultChar = top.char;
-        let resultColor = top.color;
-        let resultIntensity = top.intensity;
+    _fadeCell(cell, opacity) {
+        if (opacity >= 1) return cell;
         
+        const fade = color => ({ ...color, a: color.a * opacity });
+        return {
+            ...cell,
+            color: isBlank(cell.char) ? cell.color : fade(cell.color || DEFAULT_COLOR),
+            background: cell.background ? fade(cell.background) : null
+        };
+    }
+    
+    /**
+     * Blend two cell results. Glyphs and backgrounds blend separately: a
+     * cell with only a background leaves the glyph below it in place.
+     * @private
+     */
+    _blendCells(bottom, top, blendMode, opacity) {
         switch (blendMode) {
-            case BlendModes.BEHIND:
-                // Draw behind - use bottom if it exists
-                if (bottom.char && bottom.char !== ' ') {
-                    return bottom;
-                }
-                break;
-                
             case BlendModes.ERASE:
-                // Erase - remove where top exists
-                if (top.char && top.char !== ' ') {
-                    return {
-                        char: ' ',
-                        color: null,
-                        intensity: 0
-                    };
-                }
-                return bottom;
+                // Erase - remove the whole cell where top exists
+                return { ...EMPTY_CELL };
                 
             case BlendModes.XOR:
                 // XOR - only show where one or the other exists, not both
-                if (bottom.char !== ' ' && top.char !== ' ') {
-                    return {
-                        char: ' ',
-                        color: null,
-                        intensity: 0
-                    };
+                if (!isBlank(bottom.char) || bottom.background) {
+                    return { ...EMPTY_CELL };
                 }
                 break;
+        }
+        
+        const background = this._blendBackgrounds(bottom.background, top.background, blendMode, opacity);
+        
+        // A background alone hides the glyph below only when drawn mostly opaque
+        if (isBlank(top.char)) {
+            const covers = blendMode === BlendModes.NORMAL && top.background.a * opacity >= 0.5;
+            return covers ? { ...EMPTY_CELL, background } : { ...bottom, background };
+        }
+        
+        // Nothing to blend the glyph with
+        if (isBlank(bottom.char)) {
+            return { ...this._fadeCell(top, opacity), background };
+        }
+        
+        let resultChar = top.char;
+        let resultColor = top.color;
+        let resultIntensity = top.intensity;
+        let resultAttributes = top.attributes;
+        let intensityBlend = false;
+        
+        switch (blendMode) {
+            case BlendModes.BEHIND:
+                // Draw behind - the glyph below stays in front
+                return { ...bottom, background };
                 
             case BlendModes.MULTIPLY:
             case BlendModes.SCREEN:
@@ -997,20 +1143,54 @@ export class LayerCompositor extends EventEmitter {
                     top.intensity, 
                     blendMode
                 );
+                // Opacity mixes the blended intensity with the one below
+                resultIntensity = bottom.intensity + (resultIntensity - bottom.intensity) * opacity;
                 resultChar = charFromIntensity(resultIntensity);
+                intensityBlend = true;
                 break;
         }
         
-        // Blend colors
-        resultColor = blendColors(bottom.color, top.color, blendMode, opacity);
+        // A mostly transparent glyph does not cover the one below it
+        if (!intensityBlend && opacity < 0.5) {
+            resultChar = bottom.char;
+            resultIntensity = bottom.intensity;
+            resultAttributes = bottom.attributes;
+        }
+        
+        // Blend colors; an opaque cell without a color keeps the default color
+        if (!top.color && opacity >= 1 && (!intensityBlend || !bottom.color)) {
+            resultColor = null;
+        } else {
+            resultColor = blendColors(bottom.color || DEFAULT_COLOR, top.color || DEFAULT_COLOR, blendMode, opacity);
+        }
         
         return {
             char: resultChar,
             color: resultColor,
-            intensity: resultIntensity
+            intensity: resultIntensity,
+            background,
+            attributes: resultAttributes
         };
     }
     
+    /**
+     * Blend cell backgrounds; either may be missing
+     * @private
+     */
+    _blendBackgrounds(bottom, top, blendMode, opacity) {
+        if (!top) return bottom;
+        
+        const faded = { ...top, a: top.a * opacity };
+        if (!bottom) return faded;
+        
+        // Behind - the background below is laid over this one
+        if (blendMode === BlendModes.BEHIND) {
+            return blendColors(faded, bottom, BlendModes.NORMAL);
+        }
+        
+        return blendColors(bottom, top, blendMode, opacity);
+    }
+    
     /**
      * Blend intensity values
      * @private
@@ -1038,6 +1218,34 @@ export class LayerCompositor extends EventEmitter {
         }
     }
     
+    /**
+     * Composite all layers into a buffer, replacing its content. Colors are
+     * written as hex; translucent backgrounds are flattened onto the backdrop
+     * and translucent glyphs onto their cell's background.
+     * @param {AsciiBuffer} buffer 
+     * @param {string} [backdrop='#000000'] - Color behind all layers
+     * @returns {AsciiBuffer}
+     */
+    compositeInto(buffer, backdrop = '#000000') {
+        const base = parseColor(backdrop) || { r: 0, g: 0, b: 0, a: 1 };
+        
+        this.invalidate();
+        const cells = this.composite({ minX: 0, minY: 0, maxX: buffer.width - 1, maxY: buffer.height - 1 });
+        
+        buffer.clear();
+        for (const cell of cells.values()) {
+            const background = cell.background ? blendColors(base, parseColor(cell.background), BlendModes.NORMAL) : null;
+            const color = cell.color ? parseColor(cell.color) : null;
+            buffer.setChar(cell.x, cell.y, cell.char, {
+                color: color ? colorToHex(blendColors(background || base, color, BlendModes.NORMAL)) : null,
+                background: background ? colorToHex(background) : null,
+                attributes: cell.attributes
+            });
+        }
+        
+        return buffer;
+    }
+    
     /**
      * Get composited cell
      * @param {number} x 
@@ -1103,7 +1311,7 @@ export class LayerCompositor extends EventEmitter {
  * CompositedCell - Result of layer compositing
  */
 export class CompositedCell {
-    constructor(x, y, char, color) {
+    constructor(x, y, char, color, background = null, attributes = 0) {
         /** @type {number} */
         this.x = x;
         
@@ -1115,15 +1323,24 @@ export class CompositedCell {
         
         /** @type {string|null} */
         this.color = color;
+        
+        /** @type {string|null} */
+        this.background = background;
+        
+        /** @type {number} Text attribute flags */
+        this.attributes = attributes;
     }
 }
 
 export default {
     BlendModes,
+    BlendModeLabels,
     getCharIntensity,
     charFromIntensity,
     parseColor,
     colorToString,
+    colorToHex,
+    flattenColor,
     blendColors,
     CompositingLayer,
     LayerCell,
@@ -0,0 +1,767 @@
+/**
+ * Asciistrator - Document History
+ *
+ * Command-based undo/redo. Instead of storing a snapshot of the whole
+ * document per step, the history keeps one serialized baseline and records
+ * each step as a patch: the before and after JSON of the objects it touched
+ * and, when the layer structure changed, the layer list before and after.
+ * Undoing applies the "before" side of a patch, redoing the "after" side.
+ *
+ * The document is reached through three callbacks:
+ * - capture(include) returns { layers: [{ id, name, visible, locked, blendMode, opacity, objectIds, objects: [json] }], ...view }
+ *   where `objects` holds the JSON of the top-level objects for which
+ *   include(id, descendantIds) returned true
+ * - apply(patch) applies { layers: [{ id, name, visible, locked, blendMode, opacity, objectIds }], objects, view }
+ *   where `objects` maps the ids of changed objects to their JSON
+ * - scope() optionally returns the ids of the objects the next changes may
+ *   touch, e.g. the selection
+ *
+ * With a scope, a step serializes only the objects in it, new objects and
+ * objects whose children were added or removed; everything else is taken
+ * to be unchanged. Changes to other objects have to be announced with
+ * checkpoint(name, ids). Without a scope every object is serialized.
+ *
+ * Anything besides `layers` in the captured state (selection, active layer)
+ * is view state: it is restored with a step but never makes a step by itself.
+ */
+
+import { EventEmitter } from '../../utils/events.js';
+
+// ==========================================
+// CONSTANTS
+// ==========================================
+
+/**
+ * Object properties that only change where an object is
+ */
+const POSITION_KEYS = new Set([
+    'x', 'y', 'x1', 'y1', 'x2', 'y2', 'cx', 'cy',
+    'startX', 'startY', 'endX', 'endY', 'points', 'waypoints'
+]);
+
+/**
+ * Object properties that change how large an object is
+ */
+const SIZE_KEYS = new Set([
+    'width', 'height', 'radius', 'radiusX', 'radiusY', 'outerRadius', 'rows', 'cols'
+]);
+
+/**
+ * Step types that merge with an identical step right before them
+ */
+const MERGEABLE_TYPES = new Set(['move', 'resize', 'style']);
+
+// ==========================================
+// DIFFING
+// ==========================================
+
+/**
+ * Reduce a captured state to layer structure, serialized objects and view.
+ * Layers without `objectIds` list the ids of their serialized objects.
+ * @param {object} state - Result of capture()
+ * @returns {{layers: Array<object>, objects: Map<string, string>, view: object}}
+ */
+export function normalizeState(state) {
+    const { layers = [], ...view } = state || {};
+    const objects = new Map();
+    const structure = layers.map(layer => {
+        const serialized = layer.objects || [];
+        for (const json of serialized) objects.set(json.id, JSON.stringify(json));
+        return {
+            id: layer.id,
+            name: layer.name,
+            visible: layer.visible,
+            locked: layer.locked,
+            blendMode: layer.blendMode || 'normal',
+            opacity: layer.opacity ?? 1,
+            objectIds: layer.objectIds ? [...layer.objectIds] : serialized.map(json => json.id)
+        };
+    });
+    return { layers: structure, objects, view };
+}
+
+const sameIds = (a, b) => a.length === b.length && a.every((id, i) => id === b[i]);
+
+const sameLayers = (a, b) => a.length === b.length && a.every((layer, i) =>
+    layer.id === b[i].id &&
+    layer.name === b[i].name &&
+    layer.visible === b[i].visible &&
+    layer.locked === b[i].locked &&
+    layer.blendMode === b[i].blendMode &&
+    layer.opacity === b[i].opacity &&
+    sameIds(layer.objectIds, b[i].objectIds));
+
+/**
+ * Changes between two normalized states. `after` may serialize only some
+ * of its objects; the others count as unchanged.
+ * @param {object} before - normalizeState() result
+ * @param {object} after - normalizeState() result
+ * @returns {{objects: Map<string, {before: string|null, after: string|null}>, layersBefore: Array|null, layersAfter: Array|null}}
+ */
+export function diffStates(before, after) {
+    const objects = new Map();
+    for (const [id, json] of after.objects) {
+        const previous = before.objects.get(id) ?? null;
+        if (previous !== json) objects.set(id, { before: previous, after: json });
+    }
+    const present = new Set(after.layers.flatMap(layer => layer.objectIds));
+    for (const [id, json] of before.objects) {
+        if (!present.has(id)) objects.set(id, { before: json, after: null });
+    }
+
+    // Share unchanged id lists with the earlier state to keep patches small
+    for (const layer of after.layers) {
+        const previous = before.layers.find(l => l.id === layer.id);
+        if (previous && sameIds(previous.objectIds, layer.objectIds)) layer.objectIds = previous.objectIds;
+    }
+
+    const layersChanged = !sameLayers(before.layers, after.layers);
+    return {
+        objects,
+        layersBefore: layersChanged ? before.layers : null,
+        layersAfter: layersChanged ? after.layers : null
+    };
+}
+
+/**
+ * Combine two consecutive sets of changes into one
+ * @param {object} first - Earlier changes
+ * @param {object} second - Later changes
+ * @returns {object}
+ */
+export function mergeChanges(first, second) {
+    const objects = new Map(first.objects);
+    for (const [id, change] of second.objects) {
+        const earlier = objects.get(id);
+        const before = earlier ? earlier.before : change.before;
+        if (before === change.after) objects.delete(id);
+        else objects.set(id, { before, after: change.after });
+    }
+
+    let layersBefore = first.layersBefore ?? second.layersBefore;
+    let layersAfter = second.layersAfter ?? first.layersAfter;
+    if (layersBefore && layersAfter && sameLayers(layersBefore, layersAfter)) {
+        layersBefore = null;
+        layersAfter = null;
+    }
+    return { objects, layersBefore, layersAfter };
+}
+
+const isEmpty = changes => changes.objects.size === 0 && !changes.layersBefore;
+
+// ==========================================
+// NAMING
+// ==========================================
+
+/**
+ * Readable label for an object type, e.g. 'flowchartProcess' -> 'flowchart process'
+ * @param {string} type
+ * @returns {string}
+ */
+function typeLabel(type) {
+    return String(type || 'object')
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .replace(/[-_]+/g, ' ')
+        .toLowerCase();
+}
+
+/**
+ * Readable label for a property, e.g. 'strokeColor' -> 'stroke color'
+ * @param {string} key
+ * @returns {string}
+ */
+function keyLabel(key) {
+    return key.replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase();
+}
+
+const objectsLabel = (jsons) =>
+    jsons.length === 1 ? typeLabel(jsons[0].type) : `${jsons.length} objects`;
+
+/**
+ * Keys whose values differ between two object JSONs
+ */
+function changedKeys(before, after) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...keys].filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+}
+
+/**
+ * Whether an object only moved; groups count as moved when all their
+ * children only moved
+ */
+function onlyMoved(before, after) {
+    return changedKeys(before, after).every(key => {
+        if (POSITION_KEYS.has(key)) return true;
+        if (key !== 'children') return false;
+        const a = before.children || [];
+        const b = after.children || [];
+        return a.length === b.length && a.every((child, i) => child.id === b[i].id && onlyMoved(child, b[i]));
+    });
+}
+
+/**
+ * Name and type for a set of changes, e.g. { name: 'Moved 3 objects', type: 'move' }
+ * @param {object} changes - diffStates() result
+ * @returns {{name: string, type: string, description: string}}
+ */
+export function describeChanges(changes) {
+    const created = [];
+    const removed = [];
+    const updated = [];
+    for (const change of changes.objects.values()) {
+        if (change.before === null) created.push(JSON.parse(change.after));
+        else if (change.after === null) removed.push(JSON.parse(change.before));
+        else updated.push({ before: JSON.parse(change.before), after: JSON.parse(change.after) });
+    }
+    const count = changes.objects.size;
+    const description = count > 0 ? `${count} object${count !== 1 ? 's' : ''} changed` : '';
+
+    // Layer edits name the step even when they carry objects along
+    if (changes.layersBefore) {
+        const layer = describeLayerChange(changes.layersBefore, changes.layersAfter);
+        if (layer) return { ...layer, description };
+    }
+
+    if (count === 0) {
+        return { name: 'Reordered objects', type: 'order', description };
+    }
+    if (created.length === 1 && updated.length === 0 && removed.length > 0) {
+        const childIds = new Set((created[0].children || []).map(child => child.id));
+        if (removed.every(json => childIds.has(json.id))) {
+            return { name: `Grouped ${removed.length} objects`, type: 'group', description };
+        }
+    }
+    if (removed.length === 1 && updated.length === 0 && created.length > 0) {
+        const childIds = new Set((removed[0].children || []).map(child => child.id));
+        if (created.every(json => childIds.has(json.id))) {
+            return { name: `Ungrouped ${typeLabel(removed[0].type)}`, type: 'ungroup', description };
+        }
+    }
+    if (created.length === count) {
+        return { name: `Added ${objectsLabel(created)}`, type: 'create', description };
+    }
+    if (removed.length === count) {
+        return { name: `Deleted ${objectsLabel(removed)}`, type: 'delete', description };
+    }
+    if (updated.length === count) {
+        // Connectors follow the shapes they are attached to; count the shapes
+        const shapes = updated.filter(({ after }) => !String(after.type).includes('connector'));
+        const counted = (shapes.length > 0 ? shapes : updated).map(({ after }) => after);
+
+        if (updated.every(({ before, after }) => onlyMoved(before, after))) {
+            return { name: `Moved ${objectsLabel(counted)}`, type: 'move', description };
+        }
+        const keys = new Set(updated.flatMap(({ before, after }) => changedKeys(before, after)));
+        if ([...keys].every(key => POSITION_KEYS.has(key) || SIZE_KEYS.has(key))) {
+            return { name: `Resized ${objectsLabel(counted)}`, type: 'resize', description };
+        }
+        const edited = updated.map(({ after }) => after);
+        if (keys.size === 1) {
+            const [key] = keys;
+            const target = edited.length === 1 ? '' : ` of ${edited.length} objects`;
+            return { name: `Changed ${keyLabel(key)}${target}`, type: 'style', description };
+        }
+        return { name: `Edited ${objectsLabel(edited)}`, type: 'action', description };
+    }
+    return { name: `Edited ${count} objects`, type: 'action', description };
+}
+
+/**
+ * Name for a change of the layer list, or null when only objects moved
+ * between or within layers
+ */
+function describeLayerChange(before, after) {
+    const beforeIds = before.map(layer => layer.id);
+    const afterIds = after.map(layer => layer.id);
+    const added = after.filter(layer => !beforeIds.includes(layer.id));
+    const removed = before.filter(layer => !afterIds.includes(layer.id));
+
+    if (added.length === 1 && removed.length === 0) {
+        return { name: `Added layer "${added[0].name}"`, type: 'layer' };
+    }
+    if (removed.length === 1 && added.length === 0) {
+        return { name: `Deleted layer "${removed[0].name}"`, type: 'layer' };
+    }
+    if (added.length > 0 || removed.length > 0) {
+        return { name: 'Changed layers', type: 'layer' };
+    }
+
+    const kept = beforeIds.filter(id => afterIds.includes(id));
+    if (!sameIds(kept, afterIds)) return { name: 'Reordered layers', type: 'order' };
+
+    for (const layer of after) {
+        const previous = before.find(l => l.id === layer.id);
+        if (previous.name !== layer.name) return { name: `Renamed layer to "${layer.name}"`, type: 'layer' };
+        if (previous.visible !== layer.visible) {
+            return { name: `${layer.visible ? 'Showed' : 'Hid'} layer "${layer.name}"`, type: 'visibility' };
+        }
+        if (previous.locked !== layer.locked) {
+            return { name: `${layer.locked ? 'Locked' : 'Unlocked'} layer "${layer.name}"`, type: 'lock' };
+        }
+        if (previous.blendMode !== layer.blendMode) {
+            return { name: `Set blend mode of layer "${layer.name}" to ${layer.blendMode}`, type: 'layer' };
+        }
+        if (previous.opacity !== layer.opacity) {
+            return { name: `Set opacity of layer "${layer.name}" to ${Math.round(layer.opacity * 100)}%`, type: 'layer' };
+        }
+    }
+    return null;
+}
+
+// ==========================================
+// HISTORY COMMAND
+// ==========================================
+
+/**
+ * HistoryCommand - One undoable step
+ */
+export class HistoryCommand {
+    /**
+     * Create a history command
+     * @param {object} options
+     */
+    constructor(options = {}) {
+        /** @type {string} Command identifier */
+        this.id = options.id || `cmd_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+
+        /** @type {string} Display name, e.g. 'Moved 3 objects' */
+        this.name = options.name || 'Edit';
+
+        /** @type {boolean} Name was given by the caller rather than derived */
+        this.named = options.named || false;
+
+        /** @type {string} Command type, see HistoryIcons */
+        this.type = options.type || 'action';
+
+        /** @type {string} Short detail line */
+        this.description = options.description || '';
+
+        /** @type {number} When the step started */
+        this.timestamp = options.timestamp || Date.now();
+
+        /** @type {object} Patch from diffStates() */
+        this.changes = options.changes;
+
+        /** @type {object} View state before the step */
+        this.viewBefore = options.viewBefore || {};
+
+        /** @type {object} View state after the step */
+        this.viewAfter = options.viewAfter || {};
+    }
+
+    /**
+     * Ids of the top-level objects the step touched
+     * @returns {Array<string>}
+     */
+    get affectedObjects() {
+        return [...this.changes.objects.keys()];
+    }
+
+    /**
+     * Get formatted time
+     * @returns {string}
+     */
+    getFormattedTime() {
+        const date = new Date(this.timestamp);
+        return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+}
+
+// ==========================================
+// COMMAND HISTORY
+// ==========================================
+
+/**
+ * CommandHistory - Patch-based undo/redo stack. Offers the same entry
+ * interface as the history panel's HistoryManager.
+ */
+export class CommandHistory extends EventEmitter {
+    /**
+     * Create command history
+     * @param {object} options
+     * @param {function(function(string, Array<string>): boolean): object} options.capture - Read the current document state
+     * @param {function(object): void} options.apply - Apply a patch to the document
+     * @param {function(): Iterable<string>} [options.scope] - Ids of the objects the next changes may touch
+     * @param {number} [options.maxEntries=100] - Maximum undo steps
+     * @param {number} [options.mergeWindow=1000] - Milliseconds in which repeated moves merge
+     */
+    constructor(options = {}) {
+        super();
+
+        /** @type {function(function(string, Array<string>): boolean): object} */
+        this.capture = options.capture;
+
+        /** @type {function(object): void} */
+        this.apply = options.apply;
+
+        /** @type {function(): Iterable<string>|null} */
+        this.scope = options.scope || null;
+
+        /** @type {number} Maximum history entries */
+        this.maxEntries = options.maxEntries || 100;
+
+        /** @type {number} Merge window for repeated steps */
+        this.mergeWindow = options.mergeWindow ?? 1000;
+
+        /** @type {Array<HistoryCommand>} Undo stack */
+        this.undoStack = [];
+
+        /** @type {Array<HistoryCommand>} Redo stack */
+        this.redoStack = [];
+
+        /** @type {object|null} Normalized state the next changes are compared to */
+        this._baseline = null;
+
+        /** @type {Set<string>} Ids of objects the next changes may touch */
+        this._watched = new Set();
+
+        /** @type {{name: string|null, timestamp: number, view: object}|null} Step being recorded */
+        this._pending = null;
+
+        /** @type {{name: string, depth: number, changes: object|null, view: object}|null} Open transaction */
+        this._transaction = null;
+    }
+
+    /**
+     * Forget all steps, e.g. after opening a document. The state at the
+     * next checkpoint becomes the starting point.
+     */
+    reset() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this._baseline = null;
+        this._watched = new Set();
+        this._pending = null;
+        this._transaction = null;
+        this.emit('clear');
+        this.emit('update');
+    }
+
+    /**
+     * Mark the start of a step. Call before mutating the document; changes
+     * made since the previous checkpoint are recorded as their own step.
+     * @param {string|null} [name] - Step name; derived from the changes when omitted
+     * @param {Iterable<string>} [ids] - Objects outside the scope that the step changes
+     */
+    checkpoint(name = null, ids = []) {
+        this.flush();
+        for (const id of ids) this._watched.add(id);
+        if (this._transaction) return;
+        this._pending = { name, timestamp: Date.now(), view: this._baseline.view };
+    }
+
+    /**
+     * Record changes made since the last checkpoint
+     * @returns {HistoryCommand|null} The recorded step
+     */
+    flush() {
+        const baseline = this._baseline;
+        const watched = this._watched;
+        if (this.scope) for (const id of this.scope()) watched.add(id);
+
+        // An object is serialized when it is watched, has a watched
+        // descendant or gained or lost descendants since the baseline
+        const outlines = new Map();
+        const include = (id, descendantIds = []) => {
+            const outline = descendantIds.join(',');
+            outlines.set(id, outline);
+            return !baseline || !this.scope ||
+                baseline.outlines.get(id) !== outline ||
+                watched.has(id) ||
+                descendantIds.some(child => watched.has(child));
+        };
+
+        const state = normalizeState(this.capture(include));
+        this._watched = new Set(this.scope ? this.scope() : []);
+        if (!baseline) {
+            this._baseline = { ...state, outlines };
+            return null;
+        }
+
+        const changes = diffStates(baseline, state);
+        for (const [id, change] of changes.objects) {
+            if (change.after === null) baseline.objects.delete(id);
+            else baseline.objects.set(id, change.after);
+        }
+        baseline.layers = state.layers;
+        baseline.view = state.view;
+        baseline.outlines = outlines;
+
+        if (this._transaction) {
+            if (!isEmpty(changes)) {
+                this._transaction.changes = this._transaction.changes
+                    ? mergeChanges(this._transaction.changes, changes)
+                    : changes;
+            }
+            return null;
+        }
+
+        const pending = this._pending || { name: null, timestamp: Date.now(), view: state.view };
+        this._pending = null;
+        if (isEmpty(changes)) return null;
+        return this._push(changes, pending, state.view);
+    }
+
+    /**
+     * Group every change until commitTransaction() into one step.
+     * Transactions nest; only the outermost name is used.
+     * @param {string} name - Step name
+     */
+    beginTransaction(name) {
+        if (this._transaction) {
+            this._transaction.depth++;
+            return;
+        }
+        this.flush();
+        this._pending = null;
+        this._transaction = { name, depth: 1, changes: null, timestamp: Date.now(), view: this._baseline.view };
+    }
+
+    /**
+     * Close a transaction and record it as one step
+     * @returns {HistoryCommand|null}
+     */
+    commitTransaction() {
+        if (!this._transaction) return null;
+        this.flush();
+        if (--this._transaction.depth > 0) return null;
+
+        const transaction = this._transaction;
+        this._transaction = null;
+        if (!transaction.changes || isEmpty(transaction.changes)) return null;
+        return this._push(transaction.changes, transaction, this._baseline.view);
+    }
+
+    /**
+     * Close a transaction and revert everything changed during it
+     */
+    rollbackTransaction() {
+        if (!this._transaction) return;
+        this.flush();
+        const transaction = this._transaction;
+        this._transaction = null;
+        if (transaction.changes && !isEmpty(transaction.changes)) {
+            this._applyChanges(transaction.changes, 'before', transaction.view);
+        }
+    }
+
+    _push(changes, step, view) {
+        const described = describeChanges(changes);
+        const command = new HistoryCommand({
+            name: step.name || described.name,
+            named: !!step.name,
+            // Transactions carry a nesting depth, plain steps do not
+            type: step.depth !== undefined ? 'transaction' : described.type,
+            description: described.description,
+            timestamp: step.timestamp,
+            changes,
+            viewBefore: step.view,
+            viewAfter: view
+        });
+
+        const last = this.undoStack[this.undoStack.length - 1];
+        if (last && this._canMerge(last, command)) {
+            last.changes = mergeChanges(last.changes, command.changes);
+            last.viewAfter = command.viewAfter;
+            last.timestamp = command.timestamp;
+            if (isEmpty(last.changes)) this.undoStack.pop();
+            this.redoStack = [];
+            this.emit('update');
+            return last;
+        }
+
+        this.undoStack.push(command);
+        this.redoStack = [];
+        while (this.undoStack.length > this.maxEntries) {
+            this.undoStack.shift();
+        }
+
+        this.emit('push', command);
+        this.emit('update');
+        return command;
+    }
+
+    /**
+     * Repeated moves of the same objects in quick succession (e.g. arrow
+     * key nudges) become one step
+     */
+    _canMerge(last, command) {
+        if (last.type !== command.type || !MERGEABLE_TYPES.has(command.type)) return false;
+        if (last.named || command.named) return false;
+        if (this.redoStack.length > 0) return false;
+        if (command.timestamp - last.timestamp > this.mergeWindow) return false;
+        if (last.changes.layersBefore || command.changes.layersBefore) return false;
+        return sameIds([...last.changes.objects.keys()].sort(), [...command.changes.objects.keys()].sort());
+    }
+
+    /**
+     * Apply one side of a patch to the baseline and the document
+     * @param {object} changes
+     * @param {'before'|'after'} side
+     * @param {object} view - View state to restore
+     */
+    _applyChanges(changes, side, view) {
+        const objects = new Map();
+        for (const [id, change] of changes.objects) {
+            const json = change[side];
+            if (json === null) this._baseline.objects.delete(id);
+            else this._baseline.objects.set(id, json);
+            // Compare the restored object again at the next step
+            this._baseline.outlines.delete(id);
+            objects.set(id, json === null ? null : JSON.parse(json));
+        }
+
+        const layers = changes[side === 'before' ? 'layersBefore' : 'layersAfter'];
+        if (layers) this._baseline.layers = layers;
+        this._baseline.view = view;
+
+        this.apply({
+            layers: this._baseline.layers.map(layer => ({ ...layer, objectIds: [...layer.objectIds] })),
+            objects,
+            view
+        });
+    }
+
+    /**
+     * Undo last step
+     * @returns {HistoryCommand|null}
+     */
+    undo() {
+        if (this._transaction) this.commitTransaction();
+        this.flush();
+        if (this.undoStack.length === 0) return null;
+
+        const command = this.undoStack.pop();
+        this.redoStack.push(command);
+        this._applyChanges(command.changes, 'before', command.viewBefore);
+
+        this.emit('undo', command);
+        this.emit('update');
+        return command;
+    }
+
+    /**
+     * Redo last undone step
+     * @returns {HistoryCommand|null}
+     */
+    redo() {
+        if (this._transaction) this.commitTransaction();
+        this.flush();
+        if (this.redoStack.length === 0) return null;
+
+        const command = this.redoStack.pop();
+        this.undoStack.push(command);
+        this._applyChanges(command.changes, 'after', command.viewAfter);
+
+        this.emit('redo', command);
+        this.emit('update');
+        return command;
+    }
+
+    /**
+     * Go to the state right after a step
+     * @param {string|null} commandId - Step id, or null for the state before all steps
+     * @returns {HistoryCommand|null} The step now on top of the undo stack
+     */
+    goTo(commandId) {
+        this.flush();
+        if (commandId !== null &&
+            !this.undoStack.some(c => c.id === commandId) &&
+            !this.redoStack.some(c => c.id === commandId)) {
+            return null;
+        }
+
+        const isTop = () => commandId === null
+            ? this.undoStack.length === 0
+            : this.undoStack[this.undoStack.length - 1]?.id === commandId;
+
+        let changes = null;
+        let view = null;
+        if (commandId === null || this.undoStack.some(c => c.id === commandId)) {
+            while (!isTop()) {
+                const command = this.undoStack.pop();
+                this.redoStack.push(command);
+                changes = changes ? mergeChanges(changes, invert(command.changes)) : invert(command.changes);
+                view = command.viewBefore;
+            }
+        } else {
+            while (!isTop()) {
+                const command = this.redoStack.pop();
+                this.undoStack.push(command);
+                changes = changes ? mergeChanges(changes, command.changes) : command.changes;
+                view = command.viewAfter;
+            }
+        }
+
+        if (changes) this._applyChanges(changes, 'after', view);
+        const current = this.undoStack[this.undoStack.length - 1] || null;
+        this.emit('goTo', current);
+        this.emit('update');
+        return current;
+    }
+
+    /**
+     * Check if can undo
+     * @returns {boolean}
+     */
+    canUndo() {
+        return this.undoStack.length > 0 || this._pending !== null || this._transaction !== null;
+    }
+
+    /**
+     * Check if can redo
+     * @returns {boolean}
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Get all history entries (newest first)
+     * @returns {Array<{entry: HistoryCommand, current: boolean, canUndo: boolean}>}
+     */
+    getEntries() {
+        const entries = [];
+        for (let i = this.redoStack.length - 1; i >= 0; i--) {
+            entries.push({ entry: this.redoStack[i], current: false, canUndo: false });
+        }
+        for (let i = this.undoStack.length - 1; i >= 0; i--) {
+            entries.push({ entry: this.undoStack[i], current: i === this.undoStack.length - 1, canUndo: true });
+        }
+        return entries;
+    }
+
+    /**
+     * Forget all steps but keep the current document as the starting point
+     */
+    clear() {
+        this.flush();
+        this.undoStack = [];
+        this.redoStack = [];
+        this._pending = null;
+        this.emit('clear');
+        this.emit('update');
+    }
+}
+
+/**
+ * Swap the sides of a patch
+ */
+function invert(changes) {
+    const objects = new Map();
+    for (const [id, change] of changes.objects) objects.set(id, { before: change.after, after: change.before });
+    return { objects, layersBefore: changes.layersAfter, layersAfter: changes.layersBefore };
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+
+export default {
+    normalizeState,
+    diffStates,
+    mergeChanges,
+    describeChanges,
+    HistoryCommand,
+    CommandHistory
+};
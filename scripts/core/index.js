@@ -33,6 +33,15 @@ export {
     SnapResult
 } from './smartguides.js';
 
+// ==========================================
+// CONNECTOR ROUTING
+// ==========================================
+
+export {
+    OrthogonalRouter,
+    RoutingConfig
+} from './routing.js';
+
 // ==========================================
 // RE-EXPORTS FROM SUBMODULES
 // ==========================================
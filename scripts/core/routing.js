@@ -0,0 +1,349 @@
+/**
+ * Connector Routing - obstacle-avoiding orthogonal routes on the character grid
+ *
+ * Routes connectors with an A* search over grid cells:
+ * - Shapes (plus a clearance margin) are obstacles
+ * - Each bend adds a penalty, so routes use as few corners as possible
+ * - Cells used by already routed connectors cost extra, spreading
+ *   parallel connectors into neighbouring lanes
+ * - Attached ends leave and enter shapes perpendicular to their side
+ */
+
+/**
+ * Default routing costs and limits
+ */
+const RoutingConfig = {
+    margin: 1,              // Free cells kept around shapes
+    bendPenalty: 3,         // Extra cost per corner
+    overlapPenalty: 8,      // Running along another connector
+    crossPenalty: 2,        // Crossing another connector
+    padding: 6,             // Free space searched beyond the endpoints
+    maxCells: 250000        // Give up on search areas larger than this
+};
+
+// Directions: right, down, left, up
+const DX = [1, 0, -1, 0];
+const DY = [0, 1, 0, -1];
+
+// Direction leaving a shape through each side
+const SIDE_DIRECTIONS = { right: 0, bottom: 1, left: 2, top: 3 };
+
+/**
+ * Binary min-heap of search states keyed by priority
+ */
+class StateQueue {
+    constructor() {
+        this.ids = [];
+        this.priorities = [];
+    }
+
+    get size() {
+        return this.ids.length;
+    }
+
+    push(id, priority) {
+        const ids = this.ids;
+        const pri = this.priorities;
+        let i = ids.length;
+        ids.push(id);
+        pri.push(priority);
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (pri[parent] <= priority) break;
+            ids[i] = ids[parent];
+            pri[i] = pri[parent];
+            i = parent;
+        }
+        ids[i] = id;
+        pri[i] = priority;
+    }
+
+    pop() {
+        const ids = this.ids;
+        const pri = this.priorities;
+        const top = ids[0];
+        const lastId = ids.pop();
+        const lastPri = pri.pop();
+        if (ids.length > 0) {
+            let i = 0;
+            const n = ids.length;
+            while (true) {
+                let child = 2 * i + 1;
+                if (child >= n) break;
+                if (child + 1 < n && pri[child + 1] < pri[child]) child++;
+                if (pri[child] >= lastPri) break;
+                ids[i] = ids[child];
+                pri[i] = pri[child];
+                i = child;
+            }
+            ids[i] = lastId;
+            pri[i] = lastPri;
+        }
+        return top;
+    }
+}
+
+/**
+ * Orthogonal connector router
+ */
+class OrthogonalRouter {
+    /**
+     * @param {Object} [config] - Overrides for RoutingConfig
+     */
+    constructor(config = {}) {
+        this.config = { ...RoutingConfig, ...config };
+        this.obstacles = [];
+        // Cell key -> { h, v } counts of connectors passing through
+        this.occupied = new Map();
+        // Optional outer limit for routes, e.g. the canvas
+        this.bounds = null;
+    }
+
+    /**
+     * Set the rectangles routes must avoid
+     * @param {Array<{x: number, y: number, width: number, height: number}>} rects
+     */
+    setObstacles(rects) {
+        this.obstacles = rects
+            .filter(r => r && r.width > 0 && r.height > 0)
+            .map(r => ({
+                x: Math.round(r.x),
+                y: Math.round(r.y),
+                width: Math.round(r.width),
+                height: Math.round(r.height)
+            }));
+    }
+
+    /**
+     * Limit routes to an area
+     * @param {{x: number, y: number, width: number, height: number}|null} bounds
+     */
+    setBounds(bounds) {
+        this.bounds = bounds;
+    }
+
+    /**
+     * Forget all previously added connector paths
+     */
+    clearPaths() {
+        this.occupied.clear();
+    }
+
+    /**
+     * Record a routed path so later routes keep clear of it
+     * @param {Array<{x: number, y: number}>} points - Path corners including both ends
+     */
+    addPath(points) {
+        for (let i = 0; i < points.length - 1; i++) {
+            const a = points[i];
+            const b = points[i + 1];
+            const horizontal = a.y === b.y;
+            const steps = Math.abs(b.x - a.x) + Math.abs(b.y - a.y);
+            const sx = Math.sign(b.x - a.x);
+            const sy = Math.sign(b.y - a.y);
+            for (let k = 0; k <= steps; k++) {
+                const key = this._key(a.x + sx * k, a.y + sy * k);
+                const cell = this.occupied.get(key) || { h: 0, v: 0 };
+                if (horizontal) cell.h++;
+                else cell.v++;
+                this.occupied.set(key, cell);
+            }
+        }
+    }
+
+    /**
+     * Find an orthogonal route between two points
+     * @param {{x: number, y: number}} start - Start point
+     * @param {{x: number, y: number}} end - End point
+     * @param {Object} [options]
+     * @param {string} [options.startSide] - Side of the shape the route leaves ('top', 'bottom', 'left', 'right')
+     * @param {string} [options.endSide] - Side of the shape the route enters
+     * @returns {Array<{x: number, y: number}>|null} Corner points including both ends, or null when no route exists
+     */
+    route(start, end, options = {}) {
+        const request = {
+            start: { x: Math.round(start.x), y: Math.round(start.y) },
+            end: { x: Math.round(end.x), y: Math.round(end.y) },
+            startDir: SIDE_DIRECTIONS[options.startSide] ?? -1,
+            endDir: SIDE_DIRECTIONS[options.endSide] ?? -1
+        };
+        if (request.start.x === request.end.x && request.start.y === request.end.y) {
+            return [request.start];
+        }
+
+        // Search near the endpoints first, then around every obstacle
+        const pad = this.config.padding + this.config.margin;
+        const near = this._area([request.start, request.end], pad);
+        const path = this._search(request, near);
+        if (path) return path;
+
+        const all = this._area([
+            request.start,
+            request.end,
+            ...this.obstacles.flatMap(o => [{ x: o.x, y: o.y }, { x: o.x + o.width - 1, y: o.y + o.height - 1 }])
+        ], pad);
+        if (all.width === near.width && all.height === near.height) return null;
+        return this._search(request, all);
+    }
+
+    _key(x, y) {
+        return y * 1048576 + x;
+    }
+
+    /**
+     * Bounding area of points grown by a padding, clipped to the bounds
+     */
+    _area(points, pad) {
+        let minX = Math.min(...points.map(p => p.x)) - pad;
+        let minY = Math.min(...points.map(p => p.y)) - pad;
+        let maxX = Math.max(...points.map(p => p.x)) + pad;
+        let maxY = Math.max(...points.map(p => p.y)) + pad;
+
+        if (this.bounds) {
+            minX = Math.max(minX, this.bounds.x);
+            minY = Math.max(minY, this.bounds.y);
+            maxX = Math.min(maxX, this.bounds.x + this.bounds.width - 1);
+            maxY = Math.min(maxY, this.bounds.y + this.bounds.height - 1);
+        }
+        for (const p of points.slice(0, 2)) {
+            minX = Math.min(minX, p.x);
+            minY = Math.min(minY, p.y);
+            maxX = Math.max(maxX, p.x);
+            maxY = Math.max(maxY, p.y);
+        }
+
+        return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+    }
+
+    /**
+     * Mark blocked cells of an area. Cells on the straight run out of an
+     * attached end stay free so the route can leave the shape's margin.
+     */
+    _blockedCells(area, request) {
+        const { x: ax, y: ay, width: w, height: h } = area;
+        const blocked = new Uint8Array(w * h);
+        const margin = this.config.margin;
+
+        for (const o of this.obstacles) {
+            const x0 = Math.max(ax, o.x - margin);
+            const y0 = Math.max(ay, o.y - margin);
+            const x1 = Math.min(ax + w - 1, o.x + o.width - 1 + margin);
+            const y1 = Math.min(ay + h - 1, o.y + o.height - 1 + margin);
+            for (let y = y0; y <= y1; y++) {
+                for (let x = x0; x <= x1; x++) blocked[(y - ay) * w + (x - ax)] = 1;
+            }
+        }
+
+        const clear = (p, dir) => {
+            const steps = dir < 0 ? 0 : margin + 1;
+            for (let k = 0; k <= steps; k++) {
+                const x = p.x + (dir < 0 ? 0 : DX[dir] * k);
+                const y = p.y + (dir < 0 ? 0 : DY[dir] * k);
+                if (x >= ax && x < ax + w && y >= ay && y < ay + h) blocked[(y - ay) * w + (x - ax)] = 0;
+            }
+        };
+        clear(request.start, request.startDir);
+        clear(request.end, request.endDir);
+
+        return blocked;
+    }
+
+    /**
+     * A* search over (cell, heading) states
+     */
+    _search(request, area) {
+        const { x: ax, y: ay, width: w, height: h } = area;
+        if (w * h > this.config.maxCells) return null;
+
+        const { start, end, startDir, endDir } = request;
+        const { bendPenalty, overlapPenalty, crossPenalty } = this.config;
+        const blocked = this._blockedCells(area, request);
+        const startCell = (start.y - ay) * w + (start.x - ax);
+        const endCell = (end.y - ay) * w + (end.x - ax);
+        // Heading when arriving at the end: into the shape
+        const arriveDir = endDir < 0 ? -1 : (endDir + 2) % 4;
+
+        const stateCount = w * h * 4;
+        const cost = new Float64Array(stateCount).fill(Infinity);
+        const from = new Int32Array(stateCount).fill(-1);
+        const closed = new Uint8Array(stateCount);
+        const queue = new StateQueue();
+        const estimate = cell => Math.abs((cell % w) - (endCell % w)) + Math.abs(Math.floor(cell / w) - Math.floor(endCell / w));
+
+        const startDirs = startDir < 0 ? [0, 1, 2, 3] : [startDir];
+        for (const dir of startDirs) {
+            const state = startCell * 4 + dir;
+            cost[state] = 0;
+            queue.push(state, estimate(startCell));
+        }
+
+        let goal = -1;
+        while (queue.size > 0) {
+            const state = queue.pop();
+            if (closed[state]) continue;
+            closed[state] = 1;
+
+            const cell = state >> 2;
+            const dir = state & 3;
+            if (cell === endCell && (arriveDir < 0 || dir === arriveDir)) {
+                goal = state;
+                break;
+            }
+
+            const cx = cell % w;
+            const cy = (cell - cx) / w;
+            for (let nd = 0; nd < 4; nd++) {
+                if (nd === (dir + 2) % 4) continue;
+                // Attached ends leave their shape straight
+                if (cell === startCell && startDir >= 0 && nd !== startDir) continue;
+
+                const nx = cx + DX[nd];
+                const ny = cy + DY[nd];
+                if (nx < 0 || ny < 0 || nx >= w || ny >= h) continue;
+                const next = ny * w + nx;
+                if (blocked[next] && next !== endCell) continue;
+
+                let step = 1;
+                if (nd !== dir) step += bendPenalty;
+                const occupied = this.occupied.get(this._key(nx + ax, ny + ay));
+                if (occupied) {
+                    const horizontal = nd === 0 || nd === 2;
+                    step += (horizontal ? occupied.h : occupied.v) * overlapPenalty;
+                    step += (horizontal ? occupied.v : occupied.h) * crossPenalty;
+                }
+
+                const nextState = next * 4 + nd;
+                const total = cost[state] + step;
+                if (total < cost[nextState]) {
+                    cost[nextState] = total;
+                    from[nextState] = state;
+                    queue.push(nextState, total + estimate(next));
+                }
+            }
+        }
+
+        if (goal < 0) return null;
+
+        // Walk back and keep the corners
+        const cells = [];
+        for (let s = goal; s >= 0; s = from[s]) cells.push(s >> 2);
+        cells.reverse();
+
+        const points = [];
+        for (const cell of cells) {
+            const p = { x: (cell % w) + ax, y: Math.floor(cell / w) + ay };
+            const last = points[points.length - 1];
+            if (last && last.x === p.x && last.y === p.y) continue;
+            if (points.length >= 2) {
+                const prev = points[points.length - 2];
+                if ((prev.x === last.x && last.x === p.x) || (prev.y === last.y && last.y === p.y)) points.pop();
+            }
+            points.push(p);
+        }
+        return points;
+    }
+}
+
+export { OrthogonalRouter, RoutingConfig };
+
+export default OrthogonalRouter;
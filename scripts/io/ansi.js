@@ -0,0 +1,679 @@
+/**
+ * Asciistrator - ANSI Art Import
+ *
+ * Parses text containing ANSI escape sequences (terminal banners, MOTDs)
+ * and classic .ans files with SAUCE metadata into a colored character grid
+ * that can be turned into editable text objects.
+ *
+ * This is the inverse of the ANSIExporter: 16, 256 and 24-bit SGR colors
+ * and cursor movement are interpreted the way a terminal would.
+ */
+
+// ==========================================
+// CONSTANTS
+// ==========================================
+
+/**
+ * Standard VGA palette used by classic ANSI art for the 16 base colors
+ */
+export const AnsiPalette16 = [
+    '#000000', '#aa0000', '#00aa00', '#aa5500',
+    '#0000aa', '#aa00aa', '#00aaaa', '#aaaaaa',
+    '#555555', '#ff5555', '#55ff55', '#ffff55',
+    '#5555ff', '#ff55ff', '#55ffff', '#ffffff'
+];
+
+/**
+ * Code page 437 characters for bytes 0x80-0xFF
+ */
+const CP437_HIGH =
+    'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜ¢£¥₧ƒ' +
+    'áíóúñÑªº¿⌐¬½¼¡«»░▒▓│┤╡╢╖╕╣║╗╝╜╛┐' +
+    '└┴┬├─┼╞╟╚╔╩╦╠═╬╧╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀' +
+    'αßΓπΣσµτΦΘΩδ∞φε∩≡±≥≤⌠⌡÷≈°∙·√ⁿ²■ ';
+
+const ESC = '\x1b';
+const SUB = '\x1a';
+const SAUCE_RECORD_SIZE = 128;
+const SAUCE_COMMENT_LINE_SIZE = 64;
+
+// ==========================================
+// COLOR HELPERS
+// ==========================================
+
+/**
+ * Convert an xterm 256-color index to a hex color
+ * @param {number} index - Color index (0-255)
+ * @returns {string}
+ */
+export function ansi256ToHex(index) {
+    if (index < 16) {
+        return AnsiPalette16[index];
+    }
+
+    if (index < 232) {
+        const levels = [0, 95, 135, 175, 215, 255];
+        const i = index - 16;
+        return rgbToHex(levels[Math.floor(i / 36)], levels[Math.floor(i / 6) % 6], levels[i % 6]);
+    }
+
+    const gray = 8 + (index - 232) * 10;
+    return rgbToHex(gray, gray, gray);
+}
+
+/**
+ * Convert RGB components to a hex color
+ * @param {number} r
+ * @param {number} g
+ * @param {number} b
+ * @returns {string}
+ */
+function rgbToHex(r, g, b) {
+    return '#' + [r, g, b].map(c => Math.max(0, Math.min(255, c)).toString(16).padStart(2, '0')).join('');
+}
+
+// ==========================================
+// SAUCE / DECODING
+// ==========================================
+
+/**
+ * Read a space/NUL padded string from a byte range
+ * @private
+ */
+function readField(bytes, offset, length) {
+    let text = '';
+    for (let i = offset; i < offset + length; i++) {
+        text += bytes[i] >= 0x80 ? CP437_HIGH[bytes[i] - 0x80] : String.fromCharCode(bytes[i]);
+    }
+    return text.replace(/[\0\s]+$/, '');
+}
+
+/**
+ * Split SAUCE metadata off the end of a file
+ * @param {Uint8Array} bytes - Raw file content
+ * @returns {{content: Uint8Array, sauce: object|null}}
+ */
+export function parseSauce(bytes) {
+    const start = bytes.length - SAUCE_RECORD_SIZE;
+    let end = bytes.length;
+    let sauce = null;
+
+    if (start >= 0 && readField(bytes, start, 7) === 'SAUCE00') {
+        const view = new DataView(bytes.buffer, bytes.byteOffset + start, SAUCE_RECORD_SIZE);
+        const commentLines = bytes[start + 104];
+
+        sauce = {
+            title: readField(bytes, start + 7, 35),
+            author: readField(bytes, start + 42, 20),
+            group: readField(bytes, start + 62, 20),
+            date: readField(bytes, start + 82, 8),
+            fileSize: view.getUint32(90, true),
+            dataType: bytes[start + 94],
+            fileType: bytes[start + 95],
+            tInfo1: view.getUint16(96, true),
+            tInfo2: view.getUint16(98, true),
+            tInfo3: view.getUint16(100, true),
+            tInfo4: view.getUint16(102, true),
+            flags: bytes[start + 105],
+            font: readField(bytes, start + 106, 22),
+            comments: []
+        };
+
+        // Non-blink mode: the blink bit selects bright backgrounds
+        sauce.iceColors = (sauce.flags & 0x01) !== 0;
+
+        end = start;
+        const commentStart = start - 5 - commentLines * SAUCE_COMMENT_LINE_SIZE;
+        if (commentLines > 0 && commentStart >= 0 && readField(bytes, commentStart, 5) === 'COMNT') {
+            for (let i = 0; i < commentLines; i++) {
+                sauce.comments.push(readField(bytes, commentStart + 5 + i * SAUCE_COMMENT_LINE_SIZE, SAUCE_COMMENT_LINE_SIZE));
+            }
+            end = commentStart;
+        }
+    }
+
+    // Everything after the DOS end-of-file marker is metadata
+    const eof = bytes.subarray(0, end).indexOf(0x1a);
+    if (eof !== -1) end = eof;
+
+    return { content: bytes.subarray(0, end), sauce };
+}
+
+/**
+ * Decode file bytes as UTF-8, falling back to code page 437 for classic art
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function decodeAnsiBytes(bytes) {
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch {
+        let text = '';
+        for (const byte of bytes) {
+            text += byte >= 0x80 ? CP437_HIGH[byte - 0x80] : String.fromCharCode(byte);
+        }
+        return text;
+    }
+}
+
+// ==========================================
+// ANSI IMPORTER
+// ==========================================
+
+/**
+ * ANSI escape sequence interpreter producing a colored character grid
+ */
+export class ANSIImporter {
+    constructor(options = {}) {
+        this.options = {
+            width: options.width || null,           // Wrap column (SAUCE width or 80)
+            tabSize: options.tabSize || 8,
+            iceColors: options.iceColors ?? null,   // Blink as bright background (null = from SAUCE)
+            boldIsBright: options.boldIsBright !== false,
+            maxHeight: options.maxHeight || 2000
+        };
+    }
+
+    /**
+     * Import a File, Blob or ArrayBuffer
+     * @param {File|Blob|ArrayBuffer|Uint8Array} file
+     * @returns {Promise<object>} Parse result (see parse())
+     */
+    async importFile(file) {
+        const buffer = file instanceof Uint8Array ? file
+            : new Uint8Array(file instanceof ArrayBuffer ? file : await file.arrayBuffer());
+        return this.importBytes(buffer);
+    }
+
+    /**
+     * Import raw bytes, reading SAUCE metadata when present
+     * @param {Uint8Array} bytes
+     * @returns {object} Parse result (see parse())
+     */
+    importBytes(bytes) {
+        const { content, sauce } = parseSauce(bytes);
+        return this.parse(decodeAnsiBytes(content), sauce);
+    }
+
+    /**
+     * Interpret ANSI text
+     * @param {string} text - Text with escape sequences
+     * @param {object} [sauce] - SAUCE metadata
+     * @returns {{width: number, height: number, lines: string[], colorData: Array<Array<string|null>>, backgroundData: Array<Array<string|null>>, cells: Array<Array<object>>, sauce: object|null}}
+     */
+    parse(text, sauce = null) {
+        const eof = text.indexOf(SUB);
+        if (eof !== -1) text = text.slice(0, eof);
+
+        const isCharacterArt = sauce && sauce.dataType === 1 && sauce.tInfo1 > 0;
+        const width = this.options.width || (isCharacterArt ? sauce.tInfo1 : 80);
+        const iceColors = this.options.iceColors ?? sauce?.iceColors ?? false;
+
+        const state = {
+            x: 0,
+            y: 0,
+            pendingWrap: false,
+            saved: { x: 0, y: 0 },
+            attrs: this._defaultAttributes()
+        };
+        const rows = [];
+        let usedHeight = 0;
+
+        const put = (char) => {
+            if (state.pendingWrap) {
+                state.x = 0;
+                state.y++;
+                state.pendingWrap = false;
+            }
+            if (state.y >= this.options.maxHeight) return;
+
+            while (rows.length <= state.y) rows.push([]);
+            rows[state.y][state.x] = this._createCell(char, state.attrs, iceColors);
+            usedHeight = Math.max(usedHeight, state.y + 1);
+
+            if (state.x === width - 1) {
+                state.pendingWrap = true;
+            } else {
+                state.x++;
+            }
+        };
+
+        let i = 0;
+        while (i < text.length) {
+            const char = String.fromCodePoint(text.codePointAt(i));
+
+            if (char === ESC) {
+                i = this._handleEscape(text, i, state, rows, width);
+                continue;
+            }
+
+            switch (char) {
+                case '\r':
+                    state.x = 0;
+                    state.pendingWrap = false;
+                    break;
+                case '\n':
+                    // Treat bare LF as CRLF, like most text viewers
+                    state.x = 0;
+                    state.y++;
+                    state.pendingWrap = false;
+                    break;
+                case '\t': {
+                    const next = Math.min(width - 1, (Math.floor(state.x / this.options.tabSize) + 1) * this.options.tabSize);
+                    while (state.x < next) put(' ');
+                    break;
+                }
+                case '\b':
+                    state.x = Math.max(0, state.x - 1);
+                    state.pendingWrap = false;
+                    break;
+                default:
+                    if (char >= ' ' && char !== '\x7f') {
+                        put(char);
+                    }
+            }
+            i += char.length;
+        }
+
+        return this._buildResult(rows, width, usedHeight, sauce);
+    }
+
+    // ==========================================
+    // ESCAPE SEQUENCES
+    // ==========================================
+
+    /**
+     * Handle an escape sequence starting at index
+     * @private
+     * @returns {number} Index after the sequence
+     */
+    _handleEscape(text, index, state, rows, width) {
+        const next = text[index + 1];
+
+        // Save / restore cursor (DEC)
+        if (next === '7' || next === '8') {
+            this._saveRestore(next === '7' ? 's' : 'u', state);
+            return index + 2;
+        }
+
+        // OSC: skip until BEL or ST
+        if (next === ']') {
+            let end = index + 2;
+            while (end < text.length && text[end] !== '\x07' && !(text[end] === ESC && text[end + 1] === '\\')) end++;
+            return text[end] === ESC ? end + 2 : end + 1;
+        }
+
+        // nF escapes (e.g. ESC ( B to select a character set): intermediate
+        // bytes 0x20-0x2F, then one final byte
+        if (next >= ' ' && next <= '/') {
+            let end = index + 1;
+            while (end < text.length && text[end] >= ' ' && text[end] <= '/') end++;
+            return Math.min(end + 1, text.length);
+        }
+
+        if (next !== '[') {
+            return index + 2;
+        }
+
+        // CSI: parameters, intermediates, final byte
+        let end = index + 2;
+        while (end < text.length && !(text[end] >= '@' && text[end] <= '~')) end++;
+        if (end >= text.length) return text.length;
+
+        const paramText = text.slice(index + 2, end);
+        const command = text[end];
+
+        // Private sequences (e.g. ?7h, ?25l) do not affect the drawing
+        if (!/^[<=>?]/.test(paramText)) {
+            const params = paramText.split(';').map(p => p === '' ? null : parseInt(p, 10));
+            this._handleCSI(command, params, state, rows, width);
+        }
+
+        return end + 1;
+    }
+
+    /**
+     * Apply a CSI command
+     * @private
+     */
+    _handleCSI(command, params, state, rows, width) {
+        const n = params[0] ?? 1;
+
+        switch (command) {
+            case 'm':
+                this._applySGR(params, state.attrs);
+                return;
+            case 'A':
+                state.y = Math.max(0, state.y - n);
+                break;
+            case 'B':
+                state.y += n;
+                break;
+            case 'C':
+                state.x = Math.min(width - 1, state.x + n);
+                break;
+            case 'D':
+                state.x = Math.max(0, state.x - n);
+                break;
+            case 'E':
+                state.y += n;
+                state.x = 0;
+                break;
+            case 'F':
+                state.y = Math.max(0, state.y - n);
+                state.x = 0;
+                break;
+            case 'G':
+                state.x = Math.min(width - 1, Math.max(0, n - 1));
+                break;
+            case 'H':
+            case 'f':
+                state.y = Math.max(0, (params[0] ?? 1) - 1);
+                state.x = Math.min(width - 1, Math.max(0, (params[1] ?? 1) - 1));
+                break;
+            case 'J':
+                if ((params[0] ?? 0) === 2) {
+                    rows.length = 0;
+                    state.x = 0;
+                    state.y = 0;
+                }
+                break;
+            case 'K': {
+                const row = rows[state.y];
+                if (row) {
+                    const mode = params[0] ?? 0;
+                    const from = mode === 0 ? state.x : 0;
+                    const to = mode === 1 ? state.x + 1 : row.length;
+                    for (let x = from; x < to; x++) delete row[x];
+                }
+                break;
+            }
+            case 's':
+            case 'u':
+                this._saveRestore(command, state);
+                break;
+            default:
+                return;
+        }
+        state.pendingWrap = false;
+    }
+
+    /**
+     * Save or restore the cursor position
+     * @private
+     */
+    _saveRestore(command, state) {
+        if (command === 's') {
+            state.saved = { x: state.x, y: state.y };
+        } else {
+            state.x = state.saved.x;
+            state.y = state.saved.y;
+            state.pendingWrap = false;
+        }
+    }
+
+    /**
+     * Apply Select Graphic Rendition parameters
+     * @private
+     */
+    _applySGR(params, attrs) {
+        if (params.length === 0) params = [0];
+
+        for (let i = 0; i < params.length; i++) {
+            const code = params[i] ?? 0;
+
+            if (code === 0) {
+                Object.assign(attrs, this._defaultAttributes());
+            } else if (code === 1) {
+                attrs.bold = true;
+            } else if (code === 2) {
+                attrs.dim = true;
+            } else if (code === 3) {
+                attrs.italic = true;
+            } else if (code === 4) {
+                attrs.underline = true;
+            } else if (code === 5 || code === 6) {
+                attrs.blink = true;
+            } else if (code === 7) {
+                attrs.reverse = true;
+            } else if (code === 8) {
+                attrs.hidden = true;
+            } else if (code === 22) {
+                attrs.bold = false;
+                attrs.dim = false;
+            } else if (code === 23) {
+                attrs.italic = false;
+            } else if (code === 24) {
+                attrs.underline = false;
+            } else if (code === 25) {
+                attrs.blink = false;
+            } else if (code === 27) {
+                attrs.reverse = false;
+            } else if (code === 28) {
+                attrs.hidden = false;
+            } else if (code >= 30 && code <= 37) {
+                attrs.fg = { index: code - 30 };
+            } else if (code >= 90 && code <= 97) {
+                attrs.fg = { index: code - 90 + 8 };
+            } else if (code === 39) {
+                attrs.fg = null;
+            } else if (code >= 40 && code <= 47) {
+                attrs.bg = { index: code - 40 };
+            } else if (code >= 100 && code <= 107) {
+                attrs.bg = { index: code - 100 + 8 };
+            } else if (code === 49) {
+                attrs.bg = null;
+            } else if (code === 38 || code === 48) {
+                const { color, consumed } = this._readExtendedColor(params, i + 1);
+                if (color) {
+                    if (code === 38) attrs.fg = color;
+                    else attrs.bg = color;
+                }
+                i += consumed;
+            }
+        }
+    }
+
+    /**
+     * Read a 38/48 extended color (5;n or 2;r;g;b)
+     * @private
+     * @returns {{color: object|null, consumed: number}}
+     */
+    _readExtendedColor(params, index) {
+        const mode = params[index];
+
+        if (mode === 5) {
+            const value = params[index + 1];
+            return { color: value != null ? { hex: ansi256ToHex(value & 0xff) } : null, consumed: 2 };
+        }
+
+        if (mode === 2) {
+            const [r, g, b] = [params[index + 1], params[index + 2], params[index + 3]].map(v => v ?? 0);
+            return { color: { hex: rgbToHex(r, g, b) }, consumed: 4 };
+        }
+
+        return { color: null, consumed: 0 };
+    }
+
+    // ==========================================
+    // CELLS
+    // ==========================================
+
+    /**
+     * @private
+     */
+    _defaultAttributes() {
+        return {
+            fg: null,
+            bg: null,
+            bold: false,
+            dim: false,
+            italic: false,
+            underline: false,
+            blink: false,
+            reverse: false,
+            hidden: false
+        };
+    }
+
+    /**
+     * Resolve attributes into a cell with concrete colors
+     * @private
+     */
+    _createCell(char, attrs, iceColors) {
+        let fg = this._resolveColor(attrs.fg, attrs.bold && this.options.boldIsBright);
+        let bg = this._resolveColor(attrs.bg, attrs.blink && iceColors);
+
+        if (attrs.reverse) {
+            [fg, bg] = [bg || AnsiPalette16[0], fg || AnsiPalette16[7]];
+        }
+
+        return {
+            char: attrs.hidden ? ' ' : char,
+            fg,
+            bg,
+            bold: attrs.bold,
+            italic: attrs.italic,
+            underline: attrs.underline,
+            blink: attrs.blink && !iceColors
+        };
+    }
+
+    /**
+     * Resolve a palette index or hex color
+     * @private
+     */
+    _resolveColor(color, bright) {
+        if (!color) return null;
+        if (color.hex) return color.hex;
+        return AnsiPalette16[bright && color.index < 8 ? color.index + 8 : color.index];
+    }
+
+    /**
+     * Build the parse result from sparse rows
+     * @private
+     */
+    _buildResult(rows, width, usedHeight, sauce) {
+        const blank = { char: ' ', fg: null, bg: null };
+        const isEmpty = (cell) => cell.char === ' ' && !cell.bg;
+        let cells = [];
+
+        for (let y = 0; y < usedHeight; y++) {
+            const row = rows[y] || [];
+            cells.push(Array.from({ length: width }, (_, x) => row[x] || blank));
+        }
+
+        // Drop trailing rows and right-hand columns that hold nothing visible
+        while (cells.length > 0 && cells[cells.length - 1].every(isEmpty)) {
+            cells.pop();
+        }
+
+        let usedWidth = 0;
+        for (const row of cells) {
+            for (let x = width - 1; x >= usedWidth; x--) {
+                if (!isEmpty(row[x])) {
+                    usedWidth = x + 1;
+                    break;
+                }
+            }
+        }
+        cells = cells.map(row => row.slice(0, usedWidth));
+
+        return {
+            width: usedWidth,
+            height: cells.length,
+            lines: cells.map(row => row.map(cell => cell.char).join('')),
+            colorData: cells.map(row => row.map(cell => cell.fg)),
+            backgroundData: cells.map(row => row.map(cell => cell.bg)),
+            cells,
+            sauce
+        };
+    }
+}
+
+// ==========================================
+// OBJECT CREATION
+// ==========================================
+
+/**
+ * Create text object data from an ANSI parse result, one object per run of
+ * equally colored characters
+ * @param {object} result - Result from ANSIImporter.parse()/importFile()
+ * @param {number} startX - Starting X position
+ * @param {number} startY - Starting Y position
+ * @param {object} [options]
+ * @param {string} [options.backgroundMode='blocks'] - 'blocks' draws colored
+ *   background cells as █ in the background color, 'ignore' drops backgrounds
+ * @returns {object[]} Array of text object data
+ */
+export function createTextObjectsFromAnsi(result, startX = 0, startY = 0, options = {}) {
+    const backgroundMode = options.backgroundMode || 'blocks';
+    const objects = [];
+
+    for (let y = 0; y < result.cells.length; y++) {
+        const row = result.cells[y];
+        let run = null;
+
+        const flush = () => {
+            if (run && run.text.trim().length > 0) {
+                objects.push({
+                    type: 'text',
+                    x: startX + run.x,
+                    y: startY + y,
+                    text: run.text,
+                    width: run.width,
+                    height: 1,
+                    strokeColor: run.color,
+                    fillColor: run.background
+                });
+            }
+            run = null;
+        };
+
+        for (let x = 0; x < row.length; x++) {
+            let { char, fg: color } = row[x];
+            const background = row[x].bg;
+
+            if (background && backgroundMode === 'blocks' && char === ' ') {
+                char = '█';
+                color = background;
+            }
+
+            const cellBackground = backgroundMode === 'ignore' ? null : background;
+
+            if (char === ' ' && !cellBackground) {
+                // Plain spaces join the current run only if it continues after them
+                if (run) run.pendingSpaces = (run.pendingSpaces || '') + ' ';
+                continue;
+            }
+
+            if (run && (run.color !== color || run.background !== cellBackground)) {
+                flush();
+            }
+
+            if (run && run.pendingSpaces) {
+                run.text += run.pendingSpaces;
+            }
+
+            if (!run) {
+                run = { x, text: '', width: 0, color, background: cellBackground };
+            }
+            run.pendingSpaces = '';
+            run.text += char;
+            run.width = x - run.x + 1;
+        }
+
+        flush();
+    }
+
+    return objects;
+}
+
+export default {
+    AnsiPalette16,
+    ansi256ToHex,
+    parseSauce,
+    decodeAnsiBytes,
+    ANSIImporter,
+    createTextObjectsFromAnsi
+};
@@ -0,0 +1,462 @@
+/**
+ * Asciistrator - Graphviz DOT Import
+ *
+ * Parses Graphviz `graph` / `digraph` sources into a FlowchartGraph.
+ * Supports node/edge statements, default attribute statements, edge
+ * chains, `{a b}` node groups, subgraphs (flattened) and the label,
+ * shape, style, dir and arrowhead/arrowtail attributes.
+ */
+
+import { FlowchartGraph, FlowchartDirection, FlowchartNodeShape } from './flowchartGraph.js';
+
+// ==========================================
+// SYNTAX TABLES
+// ==========================================
+
+/**
+ * Graphviz node shapes mapped to flowchart shapes
+ */
+const DOT_SHAPES = {
+    box: FlowchartNodeShape.PROCESS,
+    rect: FlowchartNodeShape.PROCESS,
+    rectangle: FlowchartNodeShape.PROCESS,
+    square: FlowchartNodeShape.PROCESS,
+    plaintext: FlowchartNodeShape.PROCESS,
+    plain: FlowchartNodeShape.PROCESS,
+    none: FlowchartNodeShape.PROCESS,
+    hexagon: FlowchartNodeShape.PROCESS,
+    octagon: FlowchartNodeShape.PROCESS,
+    ellipse: FlowchartNodeShape.TERMINAL,
+    oval: FlowchartNodeShape.TERMINAL,
+    circle: FlowchartNodeShape.TERMINAL,
+    doublecircle: FlowchartNodeShape.TERMINAL,
+    egg: FlowchartNodeShape.TERMINAL,
+    diamond: FlowchartNodeShape.DECISION,
+    Mdiamond: FlowchartNodeShape.DECISION,
+    parallelogram: FlowchartNodeShape.IO,
+    trapezium: FlowchartNodeShape.IO,
+    invtrapezium: FlowchartNodeShape.IO,
+    note: FlowchartNodeShape.DOCUMENT,
+    tab: FlowchartNodeShape.DOCUMENT,
+    folder: FlowchartNodeShape.DOCUMENT,
+    cylinder: FlowchartNodeShape.DATABASE,
+    box3d: FlowchartNodeShape.SUBPROCESS,
+    component: FlowchartNodeShape.SUBPROCESS,
+    Msquare: FlowchartNodeShape.SUBPROCESS,
+    point: FlowchartNodeShape.CONNECTOR,
+    doublepoint: FlowchartNodeShape.CONNECTOR
+};
+
+const RANK_DIRECTIONS = {
+    TB: FlowchartDirection.TOP_BOTTOM,
+    BT: FlowchartDirection.BOTTOM_TOP,
+    LR: FlowchartDirection.LEFT_RIGHT,
+    RL: FlowchartDirection.RIGHT_LEFT
+};
+
+// ==========================================
+// TOKENIZER
+// ==========================================
+
+/**
+ * Split DOT source into tokens ({type: 'id'|'op', value})
+ * @param {string} source
+ * @returns {object[]}
+ * @throws {Error} On unterminated strings or comments
+ */
+export function tokenizeDot(source) {
+    const tokens = [];
+    let i = 0;
+    let line = 1;
+
+    while (i < source.length) {
+        const char = source[i];
+
+        if (char === '\n') {
+            line++;
+            i++;
+        } else if (/\s/.test(char)) {
+            i++;
+        } else if (source.startsWith('//', i) || (char === '#' && (i === 0 || source[i - 1] === '\n'))) {
+            while (i < source.length && source[i] !== '\n') i++;
+        } else if (source.startsWith('/*', i)) {
+            const end = source.indexOf('*/', i + 2);
+            if (end === -1) throw new Error(`DOT line ${line}: unterminated comment`);
+            line += source.slice(i, end).split('\n').length - 1;
+            i = end + 2;
+        } else if (char === '"') {
+            let value = '';
+            i++;
+            while (i < source.length && source[i] !== '"') {
+                if (source[i] === '\\' && source[i + 1] === '"') {
+                    value += '"';
+                    i += 2;
+                } else if (source[i] === '\\' && source[i + 1] === '\n') {
+                    i += 2;
+                    line++;
+                } else {
+                    if (source[i] === '\n') line++;
+                    value += source[i++];
+                }
+            }
+            if (i >= source.length) throw new Error(`DOT line ${line}: unterminated string`);
+            i++;
+            tokens.push({ type: 'id', value, quoted: true, line });
+        } else if (char === '<') {
+            // HTML-like label: keep the text content only
+            let depth = 0;
+            const start = i;
+            do {
+                if (source[i] === '<') depth++;
+                if (source[i] === '>') depth--;
+                i++;
+            } while (i < source.length && depth > 0);
+            if (depth > 0) throw new Error(`DOT line ${line}: unterminated HTML string`);
+            const html = source.slice(start + 1, i - 1);
+            const value = html.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]*>/g, '').trim();
+            tokens.push({ type: 'id', value, quoted: true, line });
+        } else if (source.startsWith('->', i) || source.startsWith('--', i)) {
+            tokens.push({ type: 'op', value: source.slice(i, i + 2), line });
+            i += 2;
+        } else if ('{}[];,=:'.includes(char)) {
+            tokens.push({ type: 'op', value: char, line });
+            i++;
+        } else {
+            const match = source.slice(i).match(/^(-?(?:\.\d+|\d+(?:\.\d*)?)|[\p{L}_][\p{L}\p{N}_]*)/u);
+            if (!match) throw new Error(`DOT line ${line}: unexpected character "${char}"`);
+            tokens.push({ type: 'id', value: match[0], line });
+            i += match[0].length;
+        }
+    }
+
+    return tokens;
+}
+
+// ==========================================
+// PARSER
+// ==========================================
+
+/**
+ * Graphviz DOT parser
+ */
+export class DotParser {
+    /**
+     * Parse a DOT graph
+     * @param {string} source - DOT source
+     * @returns {FlowchartGraph}
+     * @throws {Error} If the source is not valid DOT
+     */
+    parse(source) {
+        this._tokens = tokenizeDot(source);
+        this._pos = 0;
+
+        if (this._peekKeyword('strict')) this._pos++;
+
+        let directed;
+        if (this._peekKeyword('digraph')) {
+            directed = true;
+        } else if (this._peekKeyword('graph')) {
+            directed = false;
+        } else {
+            throw new Error('Not a Graphviz graph: expected "graph" or "digraph"');
+        }
+        this._pos++;
+
+        if (this._peek()?.type === 'id') this._pos++;
+        this._expect('{');
+
+        this._graph = new FlowchartGraph();
+        this._directed = directed;
+        this._nodeDefaults = {};
+        this._edgeDefaults = {};
+        this._declared = new Set();
+        this._nodeAttributes = new Map();
+        this._groups = [];
+
+        this._parseStatements();
+        this._expect('}');
+
+        this._applyNodeAttributes();
+        return this._graph;
+    }
+
+    // ==========================================
+    // STATEMENTS
+    // ==========================================
+
+    /**
+     * @private
+     */
+    _parseStatements() {
+        while (this._peek() && !this._peekOp('}')) {
+            this._parseStatement();
+            if (this._peekOp(';') || this._peekOp(',')) this._pos++;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _parseStatement() {
+        const token = this._peek();
+
+        if (token.type === 'id' && !token.quoted && ['graph', 'node', 'edge'].includes(token.value.toLowerCase())) {
+            this._pos++;
+            const attrs = this._parseAttributeLists();
+            const kind = token.value.toLowerCase();
+            if (kind === 'node') Object.assign(this._nodeDefaults, attrs);
+            else if (kind === 'edge') Object.assign(this._edgeDefaults, attrs);
+            else this._applyGraphAttributes(attrs);
+            return;
+        }
+
+        // Graph attribute assignment: id = id
+        if (token.type === 'id' && this._peekOp('=', 1)) {
+            const key = this._next().value;
+            this._pos++;
+            this._applyGraphAttributes({ [key]: this._expectId() });
+            return;
+        }
+
+        const first = this._parseOperand();
+
+        if (this._peekOp('->') || this._peekOp('--')) {
+            const chain = [first];
+            while (this._peekOp('->') || this._peekOp('--')) {
+                this._pos++;
+                chain.push(this._parseOperand());
+            }
+            const attrs = { ...this._edgeDefaults, ...this._parseAttributeLists() };
+            for (let i = 0; i < chain.length - 1; i++) {
+                for (const from of chain[i]) {
+                    for (const to of chain[i + 1]) {
+                        this._graph.addEdge(from, to, this._edgeProps(attrs));
+                    }
+                }
+            }
+            return;
+        }
+
+        // Node statement (a lone subgraph is just a group)
+        const attrs = this._parseAttributeLists();
+        if (first.length === 1 && !first.isSubgraph) {
+            this._declareNode(first[0], attrs);
+        }
+    }
+
+    /**
+     * Parse a node id or a subgraph; returns the node ids it contains
+     * @private
+     */
+    _parseOperand() {
+        if (this._peekKeyword('subgraph') || this._peekOp('{')) {
+            if (this._peekKeyword('subgraph')) {
+                this._pos++;
+                if (this._peek()?.type === 'id') this._pos++;
+            }
+            this._expect('{');
+
+            const members = new Set();
+            const savedNodeDefaults = { ...this._nodeDefaults };
+            const savedEdgeDefaults = { ...this._edgeDefaults };
+            this._groups.push(members);
+            this._parseStatements();
+            this._expect('}');
+            this._groups.pop();
+            this._nodeDefaults = savedNodeDefaults;
+            this._edgeDefaults = savedEdgeDefaults;
+
+            const ids = [...members];
+            ids.isSubgraph = true;
+            return ids;
+        }
+
+        const id = this._expectId();
+        // Ports (a:n, a:port:sw) are ignored
+        while (this._peekOp(':')) {
+            this._pos++;
+            this._expectId();
+        }
+        this._declareNode(id, {});
+        return [id];
+    }
+
+    /**
+     * Parse `[a=b, c=d][...]`
+     * @private
+     */
+    _parseAttributeLists() {
+        const attrs = {};
+        while (this._peekOp('[')) {
+            this._pos++;
+            while (!this._peekOp(']')) {
+                const key = this._expectId();
+                let value = 'true';
+                if (this._peekOp('=')) {
+                    this._pos++;
+                    value = this._expectId();
+                }
+                attrs[key] = value;
+                if (this._peekOp(',') || this._peekOp(';')) this._pos++;
+            }
+            this._pos++;
+        }
+        return attrs;
+    }
+
+    // ==========================================
+    // ATTRIBUTES
+    // ==========================================
+
+    /**
+     * Record a node with the defaults in effect at its first mention
+     * @private
+     */
+    _declareNode(id, attrs) {
+        for (const members of this._groups) members.add(id);
+        if (!this._declared.has(id)) {
+            this._declared.add(id);
+            this._graph.addNode(id);
+            this._nodeAttributes.set(id, { ...this._nodeDefaults });
+        }
+        Object.assign(this._nodeAttributes.get(id), attrs);
+    }
+
+    /**
+     * @private
+     */
+    _applyNodeAttributes() {
+        for (const [id, attrs] of this._nodeAttributes) {
+            const node = this._graph.getNode(id);
+            node.shape = DOT_SHAPES[attrs.shape] || FlowchartNodeShape.TERMINAL;
+            if (attrs.label !== undefined) {
+                node.label = this._cleanLabel(attrs.label, id);
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    _applyGraphAttributes(attrs) {
+        if (attrs.rankdir && RANK_DIRECTIONS[attrs.rankdir.toUpperCase()]) {
+            this._graph.direction = RANK_DIRECTIONS[attrs.rankdir.toUpperCase()];
+        }
+    }
+
+    /**
+     * Convert edge attributes to FlowchartGraph edge properties
+     * @private
+     */
+    _edgeProps(attrs) {
+        const dir = attrs.dir || (this._directed ? 'forward' : 'none');
+        const style = attrs.style || '';
+
+        return {
+            label: attrs.label ? this._cleanLabel(attrs.label, '') : '',
+            arrowStart: (dir === 'back' || dir === 'both') && attrs.arrowtail !== 'none',
+            arrowEnd: (dir === 'forward' || dir === 'both') && attrs.arrowhead !== 'none',
+            lineType: /dashed|dotted/.test(style) ? 'dashed' : 'solid'
+        };
+    }
+
+    /**
+     * Expand escape sequences in a label
+     * @private
+     */
+    _cleanLabel(label, nodeId) {
+        return label
+            .replace(/\\[nlr]/g, '\n')
+            .replace(/\\N/g, nodeId)
+            .replace(/\\(.)/g, '$1')
+            .replace(/\n$/, '');
+    }
+
+    // ==========================================
+    // TOKEN HELPERS
+    // ==========================================
+
+    /**
+     * @private
+     */
+    _peek(offset = 0) {
+        return this._tokens[this._pos + offset];
+    }
+
+    /**
+     * @private
+     */
+    _next() {
+        return this._tokens[this._pos++];
+    }
+
+    /**
+     * @private
+     */
+    _peekOp(value, offset = 0) {
+        const token = this._peek(offset);
+        return token?.type === 'op' && token.value === value;
+    }
+
+    /**
+     * @private
+     */
+    _peekKeyword(keyword) {
+        const token = this._peek();
+        return token?.type === 'id' && !token.quoted && token.value.toLowerCase() === keyword;
+    }
+
+    /**
+     * @private
+     */
+    _expect(value) {
+        const token = this._next();
+        if (token?.type !== 'op' || token.value !== value) {
+            throw new Error(this._errorAt(token, `expected "${value}"`));
+        }
+    }
+
+    /**
+     * @private
+     */
+    _expectId() {
+        const token = this._next();
+        if (token?.type !== 'id') {
+            throw new Error(this._errorAt(token, 'expected identifier'));
+        }
+        return token.value;
+    }
+
+    /**
+     * @private
+     */
+    _errorAt(token, message) {
+        return token ? `DOT line ${token.line}: ${message}, found "${token.value}"` : `DOT: ${message} at end of input`;
+    }
+}
+
+/**
+ * Check whether source text looks like a Graphviz graph
+ * @param {string} source
+ * @returns {boolean}
+ */
+export function isDotGraph(source) {
+    const text = source.replace(/\/\*[\s\S]*?\*\//g, '').replace(/^\s*(\/\/|#).*$/gm, '').trim();
+    return /^(strict\s+)?(di)?graph\s*("[^"]*"|[\p{L}\p{N}_]+)?\s*\{/iu.test(text);
+}
+
+/**
+ * Parse a Graphviz DOT graph
+ * @param {string} source
+ * @returns {FlowchartGraph}
+ */
+export function parseDot(source) {
+    return new DotParser().parse(source);
+}
+
+export default {
+    DotParser,
+    tokenizeDot,
+    isDotGraph,
+    parseDot
+};
@@ -1,13 +1,16 @@
 /**
  * Asciistrator - ANSI Exporter
  * 
- * Exports ASCII art with ANSI color codes for terminal display.
+ * Exports ASCII art with ANSI color codes for terminal display: foreground
+ * and background colors (24-bit by default) and bold, italic, underline and
+ * reverse attributes.
  * 
  * @version 1.0.0
  */
 
 import BaseExporter from './BaseExporter.js';
 import { ExportCategory } from '../ExporterRegistry.js';
+import { CellAttribute } from '../../core/ascii/rasterizer.js';
 
 // ==========================================
 // ANSI COLOR CONSTANTS
@@ -64,6 +67,21 @@ const ANSI = {
     BG_BRIGHT_WHITE: '\x1b[107m'
 };
 
+/**
+ * Escape codes of the cell attributes, in output order
+ */
+const ATTRIBUTE_CODES = [
+    [CellAttribute.BOLD, ANSI.BOLD],
+    [CellAttribute.ITALIC, ANSI.ITALIC],
+    [CellAttribute.UNDERLINE, ANSI.UNDERLINE],
+    [CellAttribute.REVERSE, ANSI.REVERSE]
+];
+
+/**
+ * Style of a cell without colors or attributes
+ */
+const PLAIN_STYLE = { color: null, background: null, attributes: 0 };
+
 // ==========================================
 // ANSI EXPORTER
 // ==========================================
@@ -99,7 +117,8 @@ export class ANSIExporter extends BaseExporter {
     get defaultOptions() {
         return {
             ...super.defaultOptions,
-            colorMode: '256',  // '16', '256', or 'truecolor'
+            colorMode: 'truecolor',  // '16', '256', or 'truecolor'
+            backdropColor: '#000000',  // Terminal background translucent colors are blended onto
             resetAtLineEnd: true,
             includeResetAtEnd: true
         };
@@ -123,20 +142,18 @@ export class ANSIExporter extends BaseExporter {
         let output = '';
         
         for (let y = 0; y < height; y++) {
-            let currentColor = null;
+            let current = PLAIN_STYLE;
             
             for (let x = 0; x < width; x++) {
                 const char = this._getChar(buffer, x, y);
-                const color = this._getColor(buffer, x, y);
+                const style = this._getCellStyle(buffer, x, y, options.backdropColor);
                 
-                // Apply color change if different
-                if (color !== currentColor) {
-                    if (color) {
-                        output += this._hexToAnsi(color, options.colorMode);
-                    } else {
-                        output += ANSI.RESET;
-                    }
-                    currentColor = color;
+                // Apply style change if different
+                if (style.color !== current.color ||
+                    style.background !== current.background ||
+                    style.attributes !== current.attributes) {
+                    output += this._styleToAnsi(style, current, options.colorMode);
+                    current = style;
                 }
                 
                 output += char;
@@ -158,28 +175,49 @@ export class ANSIExporter extends BaseExporter {
         return output;
     }
     
+    /**
+     * Escape codes switching from one cell style to the next
+     * @private
+     */
+    _styleToAnsi(style, previous, colorMode) {
+        // A new foreground alone needs one code; dropping anything needs a reset
+        if (style.color && style.background === previous.background && style.attributes === previous.attributes) {
+            return this._hexToAnsi(style.color, colorMode);
+        }
+        
+        let codes = ANSI.RESET;
+        for (const [flag, code] of ATTRIBUTE_CODES) {
+            if (style.attributes & flag) codes += code;
+        }
+        if (style.background) codes += this._hexToAnsi(style.background, colorMode, true);
+        if (style.color) codes += this._hexToAnsi(style.color, colorMode);
+        
+        return codes;
+    }
+    
     /**
      * Convert hex color to ANSI escape code
      * @private
      */
-    _hexToAnsi(hex, colorMode = '256') {
+    _hexToAnsi(hex, colorMode = 'truecolor', background = false) {
         // Parse hex color
         const r = parseInt(hex.slice(1, 3), 16);
         const g = parseInt(hex.slice(3, 5), 16);
         const b = parseInt(hex.slice(5, 7), 16);
+        const target = background ? 48 : 38;
         
         switch (colorMode) {
             case 'truecolor':
             case '24bit':
-                return `\x1b[38;2;${r};${g};${b}m`;
+                return `\x1b[${target};2;${r};${g};${b}m`;
                 
             case '256':
                 const ansi256 = this._rgbToAnsi256(r, g, b);
-                return `\x1b[38;5;${ansi256}m`;
+                return `\x1b[${target};5;${ansi256}m`;
                 
             case '16':
             default:
-                return this._rgbToAnsi16(r, g, b);
+                return this._rgbToAnsi16(r, g, b, background);
         }
     }
     
@@ -207,7 +245,7 @@ export class ANSIExporter extends BaseExporter {
      * Convert RGB to closest ANSI 16 color
      * @private
      */
-    _rgbToAnsi16(r, g, b) {
+    _rgbToAnsi16(r, g, b, background = false) {
         // Calculate brightness
         const brightness = (r * 299 + g * 587 + b * 114) / 1000;
         const bright = brightness > 128;
@@ -231,6 +269,9 @@ export class ANSIExporter extends BaseExporter {
             code += 60; // Bright colors start at 90
         }
         
+        // Background codes are the foreground codes plus 10
+        if (background) code += 10;
+        
         return `\x1b[${code}m`;
     }
     
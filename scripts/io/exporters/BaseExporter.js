@@ -13,6 +13,8 @@ import {
     ValidationResult, 
     DefaultExportOptions 
 } from '../ExporterRegistry.js';
+import { flattenColor } from '../../core/document/compositing.js';
+import { CellAttribute } from '../../core/ascii/rasterizer.js';
 
 // ==========================================
 // BASE EXPORTER CLASS
@@ -132,6 +134,23 @@ export class BaseExporter {
         return true;
     }
     
+    /**
+     * Whether this exporter draws on a DOM canvas and so only runs in a browser
+     * @returns {boolean}
+     */
+    get requiresCanvas() {
+        return false;
+    }
+    
+    /**
+     * Whether this exporter reads the rendered character buffer; exporters
+     * that work from scene objects do not warn when it is missing
+     * @returns {boolean}
+     */
+    get requiresBuffer() {
+        return true;
+    }
+    
     /**
      * Get default options for this exporter
      * @returns {object}
@@ -242,7 +261,7 @@ export class BaseExporter {
         }
         
         // Check for buffer
-        if (!this._hasBuffer(document)) {
+        if (this.requiresBuffer && !this._hasBuffer(document)) {
             result.addWarning('NO_BUFFER', 'Document has no buffer - using empty content');
         }
         
@@ -487,6 +506,81 @@ export class BaseExporter {
         return null;
     }
     
+    /**
+     * Get background color at position
+     * @protected
+     */
+    _getBackground(buffer, x, y) {
+        if (typeof buffer.getBackground === 'function') {
+            return buffer.getBackground(x, y);
+        }
+        if (buffer.backgrounds && buffer.backgrounds[y]) {
+            return buffer.backgrounds[y][x] || null;
+        }
+        return null;
+    }
+    
+    /**
+     * Get text attributes (CellAttribute flags) at position
+     * @protected
+     */
+    _getAttributes(buffer, x, y) {
+        if (typeof buffer.getAttributes === 'function') {
+            return buffer.getAttributes(x, y);
+        }
+        if (buffer.attributes && buffer.attributes[y]) {
+            return buffer.attributes[y][x] || 0;
+        }
+        return 0;
+    }
+    
+    /**
+     * Get the colors and attributes of a cell, with translucent colors
+     * flattened: the background onto the backdrop and the foreground onto
+     * the background
+     * @protected
+     * @param {object} buffer 
+     * @param {number} x 
+     * @param {number} y 
+     * @param {string} backdrop - Opaque color behind the cells
+     * @returns {{color: string|null, background: string|null, attributes: number}}
+     */
+    _getCellStyle(buffer, x, y, backdrop) {
+        const color = this._getColor(buffer, x, y);
+        const background = this._getBackground(buffer, x, y);
+        const flatBackground = background ? flattenColor(background, backdrop) : null;
+        
+        return {
+            color: color ? flattenColor(color, flatBackground || backdrop) : null,
+            background: flatBackground,
+            attributes: this._getAttributes(buffer, x, y)
+        };
+    }
+    
+    /**
+     * Get the colors a cell is drawn with; reverse cells swap foreground and
+     * background, and missing colors fall back to the export defaults
+     * @protected
+     * @param {object} buffer 
+     * @param {number} x 
+     * @param {number} y 
+     * @param {{backgroundColor: string, defaultColor: string}} options 
+     * @returns {{color: string, background: string|null, attributes: number}}
+     */
+    _getDrawnCellStyle(buffer, x, y, options) {
+        const cell = this._getCellStyle(buffer, x, y, options.backgroundColor);
+        
+        if (cell.attributes & CellAttribute.REVERSE) {
+            return {
+                color: cell.background || options.backgroundColor,
+                background: cell.color || options.defaultColor,
+                attributes: cell.attributes
+            };
+        }
+        
+        return { ...cell, color: cell.color || options.defaultColor };
+    }
+    
     /**
      * Escape HTML special characters
      * @protected
@@ -0,0 +1,611 @@
+/**
+ * Asciistrator - Bubble Tea Exporter
+ *
+ * Exports UI component mockups as a Go Bubble Tea program whose View is
+ * composed with Lip Gloss:
+ * - Inputs, text areas, tables, progress bars, spinners and pagers become
+ *   Bubbles models on the program's model; other components are strings
+ *   rendered with a Lip Gloss style, drawn as their mockup when there is
+ *   no closer equivalent
+ * - The sketch is cut into rows and columns (see TerminalLayout), joined
+ *   with lipgloss.JoinVertical and JoinHorizontal and padded with margins
+ *   to the cells they were drawn in
+ * - Borders keep their box characters; Dashed, which Lip Gloss has no
+ *   border for, is a custom lipgloss.Border. Titles are written into the
+ *   top border.
+ *
+ * Targets Bubble Tea v1, Bubbles and Lip Gloss v1. Lip Gloss v1 cannot
+ * layer blocks, so overlapping components are stacked.
+ *
+ * @version 1.0.0
+ */
+
+import BaseExporter from './BaseExporter.js';
+import { ExportCategory } from '../ExporterRegistry.js';
+import frameworkMappingRegistry, { UIFramework } from '../../components/FrameworkMappings.js';
+import { BorderStyle } from '../../components/UIComponent.js';
+import { getSceneObjects, getItemText } from './ComponentTree.js';
+import {
+    TerminalBorder,
+    buildTerminalLayout,
+    getMockupLines,
+    getBindingPath,
+    getTextLines,
+    toIdentifier
+} from './TerminalLayout.js';
+
+// ==========================================
+// CONSTANTS
+// ==========================================
+
+/**
+ * Lip Gloss borders for each terminal border style
+ */
+const BORDERS = {
+    [TerminalBorder.Single]: 'lipgloss.NormalBorder()',
+    [TerminalBorder.Double]: 'lipgloss.DoubleBorder()',
+    [TerminalBorder.Rounded]: 'lipgloss.RoundedBorder()',
+    [TerminalBorder.Heavy]: 'lipgloss.ThickBorder()',
+    [TerminalBorder.Dashed]: 'dashedBorder'
+};
+
+/**
+ * Bubbles packages by model type
+ */
+const BUBBLES = {
+    'textinput.Model': 'github.com/charmbracelet/bubbles/textinput',
+    'textarea.Model': 'github.com/charmbracelet/bubbles/textarea',
+    'table.Model': 'github.com/charmbracelet/bubbles/table',
+    'progress.Model': 'github.com/charmbracelet/bubbles/progress',
+    'spinner.Model': 'github.com/charmbracelet/bubbles/spinner',
+    'paginator.Model': 'github.com/charmbracelet/bubbles/paginator'
+};
+
+/**
+ * Component types whose text is centered like a button face
+ */
+const BUTTON_TYPES = new Set(['Button', 'RepeatButton', 'ToggleButton', 'SplitButton', 'DropDownButton']);
+
+/**
+ * Go keywords and predeclared names
+ */
+const GO_RESERVED = new Set([
+    'break', 'case', 'chan', 'const', 'continue', 'default', 'defer', 'else', 'fallthrough', 'for',
+    'func', 'go', 'goto', 'if', 'import', 'interface', 'map', 'package', 'range', 'return', 'select',
+    'struct', 'switch', 'type', 'var', 'string', 'int', 'bool', 'error', 'len', 'nil', 'true', 'false'
+]);
+
+/**
+ * Helper functions written into the program when used
+ */
+const HELPERS = {
+    row: [
+        '// row places a block a gap below the previous row and pads it to the',
+        '// row\'s height',
+        'func row(gap, height int, block string) string {',
+        '\treturn lipgloss.NewStyle().MarginTop(gap).Height(height).Render(block)',
+        '}'
+    ],
+    column: [
+        '// column places a block a gap right of the previous column and pads',
+        '// it to the column\'s width',
+        'func column(gap, width int, block string) string {',
+        '\treturn lipgloss.NewStyle().MarginLeft(gap).Width(width).Render(block)',
+        '}'
+    ],
+    offset: [
+        '// offset moves a block right and down within its row or column',
+        'func offset(x, y int, block string) string {',
+        '\treturn lipgloss.NewStyle().MarginLeft(x).MarginTop(y).Render(block)',
+        '}'
+    ],
+    withTitle: [
+        '// withTitle writes a title into the top border of a block',
+        'func withTitle(block, title string) string {',
+        '\tlines := strings.Split(block, "\\n")',
+        '\ttop := []rune(lines[0])',
+        '\tfor i, r := range []rune(title) {',
+        '\t\tif i+2 < len(top)-1 {',
+        '\t\t\ttop[i+2] = r',
+        '\t\t}',
+        '\t}',
+        '\tlines[0] = string(top)',
+        '\treturn strings.Join(lines, "\\n")',
+        '}'
+    ]
+};
+
+// ==========================================
+// GO HELPERS
+// ==========================================
+
+/**
+ * Quote a value as a Go string literal
+ * @param {*} value
+ * @returns {string}
+ */
+export function goString(value) {
+    const escaped = String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\r/g, '')
+        .replace(/\n/g, '\\n')
+        .replace(/\t/g, '\\t');
+    return `"${escaped}"`;
+}
+
+/**
+ * Format a number as a Go float literal
+ * @param {number} value
+ * @returns {string}
+ */
+function goFloat(value) {
+    const rounded = Math.round((Number(value) || 0) * 1000) / 1000;
+    return Number.isInteger(rounded) ? `${rounded}.0` : String(rounded);
+}
+
+// ==========================================
+// BUBBLE TEA EXPORTER
+// ==========================================
+
+/**
+ * Go Bubble Tea program exporter
+ */
+export class BubbleTeaExporter extends BaseExporter {
+    constructor(config = {}) {
+        super(config);
+    }
+
+    // ==========================================
+    // METADATA
+    // ==========================================
+
+    get id() { return 'bubbletea'; }
+    get name() { return 'Bubble Tea'; }
+    get description() { return 'Export UI components as a Go Bubble Tea program styled with Lip Gloss'; }
+    get fileExtension() { return '.go'; }
+    get mimeType() { return 'text/x-go'; }
+    get category() { return ExportCategory.UIFramework; }
+
+    // ==========================================
+    // CAPABILITIES
+    // ==========================================
+
+    get supportsColors() { return false; }
+    get supportsComponents() { return true; }
+    get supportsLayers() { return true; }
+    get supportsAnimations() { return false; }
+    get requiresBuffer() { return false; }
+
+    get defaultOptions() {
+        return {
+            ...super.defaultOptions,
+            className: 'AsciiArtView',
+            generateComments: true
+        };
+    }
+
+    // ==========================================
+    // VALIDATION
+    // ==========================================
+
+    _doValidate(document, result) {
+        const objects = getSceneObjects(document);
+        if (!objects.some(obj => obj.uiComponentType || obj.avaloniaType)) {
+            result.addWarning('NO_COMPONENTS', 'Document contains no UI components');
+        }
+    }
+
+    // ==========================================
+    // EXPORT IMPLEMENTATION
+    // ==========================================
+
+    _doExport(document, options) {
+        this._options = options;
+        this._imports = new Set(['github.com/charmbracelet/lipgloss']);
+        this._helpers = new Set();
+        this._styles = [];
+        this._models = [];
+        this._usesDashed = false;
+
+        const width = document.width || document.canvas?.width || this._getBufferDimensions(this._getBuffer(document)).width || 80;
+        const height = document.height || document.canvas?.height || this._getBufferDimensions(this._getBuffer(document)).height || 24;
+
+        const { layout } = buildTerminalLayout(document, {
+            getMapping: type => frameworkMappingRegistry.getMapping(UIFramework.BubbleTea, type),
+            width,
+            height
+        });
+
+        const view = this._view(layout, 1);
+        return this._generate(view, options);
+    }
+
+    // ==========================================
+    // VIEW
+    // ==========================================
+
+    /**
+     * Go expression rendering a layout
+     * @private
+     * @param {Object|null} layout
+     * @param {number} level - Indent level of the expression
+     * @returns {string}
+     */
+    _view(layout, level) {
+        if (!layout) return '""';
+
+        if (layout.kind === 'node') {
+            const block = this._node(layout.node, level);
+            return this._offset(layout.x, layout.y, block);
+        }
+
+        if (layout.kind === 'layers') {
+            const blocks = layout.items.map(({ node, x, y }) => this._offset(x, y, this._node(node, level + 1)));
+            return this._join('JoinVertical', blocks, level,
+                '// Overlapping components are stacked; Lip Gloss v1 cannot layer blocks');
+        }
+
+        const rows = layout.kind === 'rows';
+        const helper = rows ? 'row' : 'column';
+        this._helpers.add(helper);
+        const blocks = layout.parts.map(part =>
+            `${helper}(${part.gap}, ${part.size}, ${this._view(part.content, level + 1)})`);
+        return this._join(rows ? 'JoinVertical' : 'JoinHorizontal', blocks, level);
+    }
+
+    /**
+     * @private
+     */
+    _join(join, blocks, level, comment = null) {
+        if (blocks.length === 1 && !comment) return blocks[0];
+        const indent = '\t'.repeat(level + 1);
+        const lines = [`lipgloss.${join}(lipgloss.${join === 'JoinVertical' ? 'Left' : 'Top'},`];
+        if (comment && this._options.generateComments) lines.push(`${indent}${comment}`);
+        for (const block of blocks) lines.push(`${indent}${block},`);
+        lines.push(`${'\t'.repeat(level)})`);
+        return lines.join('\n');
+    }
+
+    /**
+     * @private
+     */
+    _offset(x, y, block) {
+        if (x <= 0 && y <= 0) return block;
+        this._helpers.add('offset');
+        return `offset(${x}, ${y}, ${block})`;
+    }
+
+    /**
+     * Go expression rendering a node
+     * @private
+     */
+    _node(node, level) {
+        const styleName = `${toIdentifier(node.name, 'camel')}Style`;
+        const style = this._style(node);
+        const notes = [];
+        this._styles.push({ name: styleName, style, notes });
+
+        const parentNotes = this._notes;
+        this._notes = notes;
+        const content = this._content(node, level);
+        this._notes = parentNotes;
+
+        let block = `${styleName}.Render(${content})`;
+
+        if (node.type === 'TabControl') {
+            const strip = getMockupLines(node).slice(0, 2).join('\n');
+            block = `lipgloss.JoinVertical(lipgloss.Left, ${goString(strip)}, ${block})`;
+        }
+        if (node.title && style.border) {
+            this._helpers.add('withTitle');
+            this._imports.add('strings');
+            block = `withTitle(${block}, ${goString(node.title)})`;
+        }
+        return block;
+    }
+
+    /**
+     * Style of a node: its border and the size inside the border
+     * @private
+     */
+    _style(node) {
+        // Components without a mapping are drawn with their border as text
+        const border = node.type && !node.mapping && !node.layout ? null : node.border;
+        const frame = border ? 2 : 0;
+        // The tab strip sits above the bordered page
+        const strip = node.type === 'TabControl' ? 2 : 0;
+        if (border === TerminalBorder.Dashed) this._usesDashed = true;
+
+        const style = {
+            border,
+            width: Math.max(0, node.width - frame),
+            height: Math.max(0, node.height - frame - strip),
+            align: BUTTON_TYPES.has(node.type) || node.mapping?.targetType === 'HyperlinkButton'
+        };
+        return style;
+    }
+
+    /**
+     * Go expression for what a node shows inside its border
+     * @private
+     */
+    _content(node, level) {
+        const { obj, type, props } = node;
+
+        if (node.layout) return this._view(node.layout, level);
+        if (!type) return obj.type === 'text' ? goString(getTextLines(obj).join('\n')) : '""';
+
+        if (!node.mapping) {
+            this._notes.push(`${type} has no Bubble Tea model; drawn as text`);
+            return goString(getMockupLines(node).join('\n'));
+        }
+
+        const model = BUBBLES[node.mapping.targetType];
+        if (model) {
+            const field = this._addModel(node);
+            if (node.mapping.targetType === 'progress.Model') {
+                const range = (props.maximum ?? 100) - (props.minimum ?? 0);
+                const percent = range > 0 ? ((props.value ?? 0) - (props.minimum ?? 0)) / range : 0;
+                return `m.${field}.ViewAs(${goFloat(percent)})`;
+            }
+            return `m.${field}.View()`;
+        }
+
+        if (BUTTON_TYPES.has(type) || type === 'HyperlinkButton') return goString(this._text(node, 'content'));
+        if (type === 'Label') return goString(this._text(node, 'content'));
+        if (type === 'TextBlock' || type === 'SelectableTextBlock') return goString(this._text(node, 'text'));
+        return goString(getMockupLines(node, true).join('\n'));
+    }
+
+    // ==========================================
+    // MODELS
+    // ==========================================
+
+    /**
+     * Add a Bubbles model field for a node
+     * @private
+     * @returns {string} Field name
+     */
+    _addModel(node) {
+        const { type, props } = node;
+        const targetType = node.mapping.targetType;
+        const field = toIdentifier(node.name, 'camel', GO_RESERVED);
+        const width = Math.max(1, node.width - (node.border ? 2 : 0));
+        const height = Math.max(1, node.height - (node.border ? 2 : 0));
+        const setup = [];
+
+        switch (targetType) {
+            case 'textinput.Model': {
+                setup.push(`m.${field} = textinput.New()`);
+                setup.push(`m.${field}.Prompt = ""`);
+                const placeholder = props.watermark || props.placeholderText || props.placeholder;
+                if (placeholder) setup.push(`m.${field}.Placeholder = ${goString(placeholder)}`);
+                const text = type === 'PasswordBox' ? props.password
+                    : type === 'NumericUpDown' ? String(props.value ?? '') : this._text(node, 'text');
+                if (text) setup.push(`m.${field}.SetValue(${goString(text)})`);
+                if (type === 'PasswordBox') setup.push(`m.${field}.EchoMode = textinput.EchoPassword`);
+                if (props.maxLength > 0) setup.push(`m.${field}.CharLimit = ${props.maxLength}`);
+                // The cursor takes a cell after the text
+                setup.push(`m.${field}.Width = ${Math.max(1, width - 1)}`);
+                break;
+            }
+
+            case 'textarea.Model': {
+                setup.push(`m.${field} = textarea.New()`);
+                setup.push(`m.${field}.Prompt = ""`);
+                setup.push(`m.${field}.ShowLineNumbers = false`);
+                if (props.watermark) setup.push(`m.${field}.Placeholder = ${goString(props.watermark)}`);
+                const text = this._text(node, 'text');
+                if (text) setup.push(`m.${field}.SetValue(${goString(text)})`);
+                setup.push(`m.${field}.SetWidth(${width})`);
+                setup.push(`m.${field}.SetHeight(${height})`);
+                break;
+            }
+
+            case 'table.Model': {
+                const columns = (props.columns || []).map(column => ({
+                    header: getItemText(column),
+                    binding: column?.binding
+                }));
+                // Cells are padded by one on each side
+                const columnWidth = columns.length > 0 ? Math.max(1, Math.floor(width / columns.length) - 2) : width;
+                const rows = (props.items || []).map(item => columns.map(column =>
+                    item && typeof item === 'object' ? String(item[column.binding] ?? '') : String(item ?? '')));
+                setup.push(`m.${field} = table.New(`);
+                setup.push(`\ttable.WithColumns([]table.Column{`);
+                for (const column of columns) {
+                    setup.push(`\t\t{Title: ${goString(column.header)}, Width: ${columnWidth}},`);
+                }
+                setup.push('\t}),');
+                if (rows.length === 0) {
+                    setup.push('\ttable.WithRows([]table.Row{}),');
+                } else {
+                    setup.push('\ttable.WithRows([]table.Row{');
+                    for (const row of rows) setup.push(`\t\t{${row.map(goString).join(', ')}},`);
+                    setup.push('\t}),');
+                }
+                setup.push(`\ttable.WithWidth(${width}),`);
+                setup.push(`\ttable.WithHeight(${height}),`);
+                setup.push(')');
+                break;
+            }
+
+            case 'progress.Model':
+                setup.push(`m.${field} = progress.New(progress.WithWidth(${width}), progress.WithoutPercentage())`);
+                break;
+
+            case 'spinner.Model':
+                setup.push(`m.${field} = spinner.New()`);
+                break;
+
+            case 'paginator.Model':
+                setup.push(`m.${field} = paginator.New()`);
+                setup.push(`m.${field}.Type = paginator.Dots`);
+                setup.push(`m.${field}.TotalPages = ${Math.max(1, props.numberOfPages ?? 1)}`);
+                if (props.selectedPageIndex > 0) setup.push(`m.${field}.Page = ${props.selectedPageIndex}`);
+                break;
+        }
+
+        this._imports.add(BUBBLES[targetType]);
+        this._models.push({ field, targetType, setup });
+        return field;
+    }
+
+    // ==========================================
+    // BINDINGS
+    // ==========================================
+
+    /**
+     * A string property. Bound properties are left empty and noted.
+     * @private
+     */
+    _text(node, key) {
+        const value = node.props[key];
+        const path = getBindingPath(value);
+        if (path) {
+            this._notes.push(`${key} is bound to ${path}`);
+            return '';
+        }
+        return String(value ?? '');
+    }
+
+    // ==========================================
+    // CODE GENERATION
+    // ==========================================
+
+    /**
+     * @private
+     */
+    _generate(view, options) {
+        const typeName = toIdentifier(options.className, 'pascal');
+        const comments = options.generateComments;
+        const lines = [];
+
+        if (comments) lines.push(`// ${typeName} - generated by Asciistrator`);
+        lines.push('package main', '');
+
+        // Standard library first, then modules, as gofmt groups them
+        const modules = [...this._imports].filter(path => path.includes('.')).concat('github.com/charmbracelet/bubbletea');
+        const standard = [...this._imports].filter(path => !path.includes('.')).concat('fmt', 'os');
+        lines.push('import (');
+        for (const path of [...new Set(standard)].sort()) lines.push(`\t"${path}"`);
+        lines.push('');
+        for (const path of [...new Set(modules)].sort()) {
+            lines.push(path.endsWith('/bubbletea') ? `\ttea "${path}"` : `\t"${path}"`);
+        }
+        lines.push(')', '');
+
+        if (this._usesDashed) {
+            const set = BorderStyle.Dashed;
+            if (comments) lines.push('// dashedBorder is the Dashed box drawn on the canvas');
+            lines.push('var dashedBorder = lipgloss.Border{');
+            lines.push(`\tTop: ${goString(set.top)}, Bottom: ${goString(set.bottom)}, Left: ${goString(set.left)}, Right: ${goString(set.right)},`);
+            lines.push(`\tTopLeft: ${goString(set.topLeft)}, TopRight: ${goString(set.topRight)},`);
+            lines.push(`\tBottomLeft: ${goString(set.bottomLeft)}, BottomRight: ${goString(set.bottomRight)},`);
+            lines.push('}', '');
+        }
+
+        if (this._styles.length > 0) {
+            if (comments) {
+                lines.push('// Styles size each block to the cells it was drawn in. Widths and');
+                lines.push('// heights exclude the border, as in Lip Gloss.');
+            }
+            lines.push('var (');
+            this._styles.forEach(({ name, style, notes }, index) => {
+                if (index > 0) lines.push('');
+                if (comments) for (const note of notes) lines.push(`\t// ${note}`);
+                const calls = [];
+                if (style.border) calls.push(`Border(${BORDERS[style.border]})`);
+                calls.push(`Width(${style.width})`, `Height(${style.height})`);
+                if (style.align) calls.push('Align(lipgloss.Center, lipgloss.Center)');
+                lines.push(`\t${name} = lipgloss.NewStyle().${calls.join('.')}`);
+            });
+            lines.push(')', '');
+        }
+
+        for (const helper of ['row', 'column', 'offset', 'withTitle']) {
+            if (this._helpers.has(helper)) lines.push(...HELPERS[helper], '');
+        }
+
+        if (comments) lines.push(`// ${typeName} is the terminal UI exported from Asciistrator`);
+        lines.push(`type ${typeName} struct {`);
+        const fieldWidth = Math.max(0, ...this._models.map(model => model.field.length));
+        for (const model of this._models) lines.push(`\t${model.field.padEnd(fieldWidth)} ${model.targetType}`);
+        lines.push('}', '');
+
+        if (comments) lines.push(`// New${typeName} creates the view with its components`);
+        lines.push(`func New${typeName}() ${typeName} {`);
+        lines.push(`\tm := ${typeName}{}`);
+        for (const model of this._models) {
+            for (const statement of model.setup) lines.push(`\t${statement}`);
+        }
+        const focused = this._models.find(model => ['textinput.Model', 'textarea.Model', 'table.Model'].includes(model.targetType));
+        if (focused) lines.push(`\tm.${focused.field}.Focus()`);
+        lines.push('\treturn m', '}', '');
+
+        lines.push(...this._generateInit(typeName), '');
+        lines.push(...this._generateUpdate(typeName), '');
+
+        lines.push(`func (m ${typeName}) View() string {`);
+        lines.push(`\treturn ${view}`);
+        lines.push('}', '');
+
+        lines.push('func main() {');
+        lines.push(`\tif _, err := tea.NewProgram(New${typeName}()).Run(); err != nil {`);
+        lines.push('\t\tfmt.Println(err)');
+        lines.push('\t\tos.Exit(1)');
+        lines.push('\t}');
+        lines.push('}', '');
+        return lines.join('\n');
+    }
+
+    /**
+     * @private
+     */
+    _generateInit(typeName) {
+        const commands = [];
+        const types = new Set(this._models.map(model => model.targetType));
+        if (types.has('textinput.Model')) commands.push('textinput.Blink');
+        else if (types.has('textarea.Model')) commands.push('textarea.Blink');
+        for (const model of this._models) {
+            if (model.targetType === 'spinner.Model') commands.push(`m.${model.field}.Tick`);
+        }
+
+        const result = commands.length === 0 ? 'nil'
+            : commands.length === 1 ? commands[0] : `tea.Batch(${commands.join(', ')})`;
+        return [`func (m ${typeName}) Init() tea.Cmd {`, `\treturn ${result}`, '}'];
+    }
+
+    /**
+     * @private
+     */
+    _generateUpdate(typeName) {
+        const lines = [
+            `func (m ${typeName}) Update(msg tea.Msg) (tea.Model, tea.Cmd) {`,
+            '\tif key, ok := msg.(tea.KeyMsg); ok {',
+            '\t\tswitch key.String() {',
+            '\t\tcase "ctrl+c", "esc":',
+            '\t\t\treturn m, tea.Quit',
+            '\t\t}',
+            '\t}'
+        ];
+
+        // progress.Model only animates SetPercent, which the view does not use
+        const updated = this._models.filter(model => model.targetType !== 'progress.Model');
+        if (updated.length === 0) {
+            lines.push('\treturn m, nil', '}');
+            return lines;
+        }
+
+        lines.push('', '\tvar cmds []tea.Cmd', '\tvar cmd tea.Cmd');
+        for (const model of updated) {
+            lines.push(`\tm.${model.field}, cmd = m.${model.field}.Update(msg)`);
+            lines.push('\tcmds = append(cmds, cmd)');
+        }
+        lines.push('\treturn m, tea.Batch(cmds...)', '}');
+        return lines;
+    }
+}
+
+export default BubbleTeaExporter;
@@ -0,0 +1,206 @@
+/**
+ * Asciistrator - Component Tree
+ *
+ * Shared scene reading for the UI framework exporters (Flutter, SwiftUI,
+ * QML, GTK, ...). UI components are flat text objects on the canvas, so
+ * the widget hierarchy is recovered geometrically: a component drawn
+ * inside a container component becomes a child of the smallest container
+ * that holds it. Frames and groups keep their own children.
+ *
+ * @version 1.0.0
+ */
+
+import { getControlByType } from '../../components/controls/index.js';
+
+/**
+ * Scene object types exported as containers of their children
+ */
+export const CONTAINER_OBJECT_TYPES = new Set(['frame', 'group', 'component', 'instance', 'section']);
+
+/**
+ * @typedef {Object} ComponentEntry
+ * @property {Object} obj - Scene object
+ * @property {string|null} type - UI component type, null for plain scene objects
+ * @property {Object|null} mapping - Framework mapping of the component type
+ * @property {{x: number, y: number, width: number, height: number}} bounds - Bounds in cells
+ * @property {boolean} acceptsChildren - Whether components drawn inside nest in this entry
+ * @property {Array<ComponentEntry>} children
+ */
+
+/**
+ * Objects of visible layers, or the document's flat object list
+ * @param {Object} document
+ * @returns {Array<Object>}
+ */
+export function getSceneObjects(document) {
+    if (document?.layers) {
+        return document.layers
+            .filter(layer => layer.visible !== false)
+            .flatMap(layer => layer.objects || []);
+    }
+    return document?.objects || document?.components || [];
+}
+
+/**
+ * UI component type of a scene object
+ * @param {Object} obj
+ * @returns {string|null}
+ */
+export function getComponentType(obj) {
+    return obj.uiComponentType || obj.avaloniaType || null;
+}
+
+/**
+ * Build tree entries for a list of sibling objects
+ * @param {Array<Object>} objects - Scene objects
+ * @param {Object} options
+ * @param {Function} options.getMapping - (componentType) => framework mapping or null
+ * @param {Function} options.isContainer - (mapping, componentType) => whether the component takes children
+ * @returns {Array<ComponentEntry>} Root entries
+ */
+export function buildComponentTree(objects, options) {
+    const entries = objects
+        .filter(obj => obj && obj.visible !== false)
+        .map(obj => createEntry(obj, options));
+
+    const area = entry => entry.bounds.width * entry.bounds.height;
+    const containers = entries
+        .filter(entry => entry.acceptsChildren)
+        .sort((a, b) => area(a) - area(b));
+
+    const roots = [];
+    for (const entry of entries) {
+        const parent = containers.find(container =>
+            container !== entry &&
+            area(container) > area(entry) &&
+            contains(container.bounds, entry.bounds)
+        );
+        if (parent) parent.children.push(entry);
+        else roots.push(entry);
+    }
+    return roots;
+}
+
+/**
+ * @param {Object} obj
+ * @param {Object} options - See buildComponentTree
+ * @returns {ComponentEntry}
+ */
+function createEntry(obj, options) {
+    const type = getComponentType(obj);
+    const mapping = type ? options.getMapping(type) : null;
+
+    return {
+        obj,
+        type,
+        mapping,
+        bounds: {
+            x: obj.x || 0,
+            y: obj.y || 0,
+            width: obj.uiRenderWidth ?? obj.width ?? 0,
+            height: obj.uiRenderHeight ?? obj.height ?? 0
+        },
+        acceptsChildren: type
+            ? options.isContainer(mapping, type)
+            : CONTAINER_OBJECT_TYPES.has(obj.type),
+        children: obj.children?.length > 0 ? buildComponentTree(obj.children, options) : []
+    };
+}
+
+/**
+ * @returns {boolean} Whether inner lies within outer
+ */
+function contains(outer, inner) {
+    return inner.x >= outer.x && inner.y >= outer.y &&
+        inner.x + inner.width <= outer.x + outer.width &&
+        inner.y + inner.height <= outer.y + outer.height;
+}
+
+/**
+ * Sort entries in reading order along an axis
+ * @param {Array<ComponentEntry>} entries
+ * @param {boolean} [horizontal=false] - Left to right instead of top to bottom
+ * @returns {Array<ComponentEntry>} Sorted copy
+ */
+export function sortByPosition(entries, horizontal = false) {
+    return [...entries].sort((a, b) => horizontal
+        ? a.bounds.x - b.bounds.x || a.bounds.y - b.bounds.y
+        : a.bounds.y - b.bounds.y || a.bounds.x - b.bounds.x);
+}
+
+/**
+ * Bounds inside a component's one-character border
+ * @param {Object} bounds
+ * @param {number} [top=1] - Rows taken by the top border (and a title bar)
+ * @returns {Object}
+ */
+export function innerBounds(bounds, top = 1) {
+    return {
+        x: bounds.x + 1,
+        y: bounds.y + top,
+        width: Math.max(0, bounds.width - 2),
+        height: Math.max(0, bounds.height - top - 1)
+    };
+}
+
+/**
+ * Component properties: control defaults overridden by the properties
+ * set on the object
+ * @param {ComponentEntry} entry
+ * @returns {Object}
+ */
+export function getComponentProperties(entry) {
+    const props = {};
+    const ControlClass = getControlByType(entry.type);
+    for (const definition of ControlClass?.propertyDefinitions || []) {
+        props[definition.name] = definition.defaultValue;
+    }
+    return { ...props, ...(entry.obj.uiProperties || {}) };
+}
+
+/**
+ * Cell of a Grid child: gridRow/gridColumn when set, otherwise the cell
+ * its center was drawn in
+ * @param {ComponentEntry} child
+ * @param {Object} gridBounds - Bounds of the grid
+ * @param {number} rowCount
+ * @param {number} columnCount
+ * @returns {{row: number, column: number, rowSpan: number, columnSpan: number}}
+ */
+export function getGridCell(child, gridBounds, rowCount, columnCount) {
+    const set = child.obj.uiProperties || {};
+    const centerX = child.bounds.x + child.bounds.width / 2 - gridBounds.x;
+    const centerY = child.bounds.y + child.bounds.height / 2 - gridBounds.y;
+    const row = set.gridRow ?? set['Grid.Row'] ?? Math.floor(centerY / (gridBounds.height / rowCount));
+    const column = set.gridColumn ?? set['Grid.Column'] ?? Math.floor(centerX / (gridBounds.width / columnCount));
+    const clamp = (value, count) => Math.min(Math.max(Number(value) || 0, 0), count - 1);
+    const span = value => Math.max(1, Number(value) || 1);
+
+    return {
+        row: clamp(row, rowCount),
+        column: clamp(column, columnCount),
+        rowSpan: span(set.gridRowSpan ?? set['Grid.RowSpan']),
+        columnSpan: span(set.gridColumnSpan ?? set['Grid.ColumnSpan'])
+    };
+}
+
+/**
+ * Split Grid row/column definitions ('Auto,*,2*')
+ * @param {string} definitions
+ * @returns {Array<string>}
+ */
+export function parseGridDefinitions(definitions) {
+    return definitions ? String(definitions).split(',').map(d => d.trim()) : ['*'];
+}
+
+/**
+ * Display text of a list item ('Item', { content }, { header }, ...)
+ * @param {*} item
+ * @returns {string}
+ */
+export function getItemText(item) {
+    if (item && typeof item === 'object') {
+        return String(item.content ?? item.header ?? item.text ?? item.label ?? '');
+    }
+    return String(item ?? '');
+}
@@ -0,0 +1,413 @@
+/**
+ * Asciistrator - Flowchart Exporters
+ *
+ * Exporters that turn flowchart shapes and their connectors into
+ * diagram source:
+ * - Mermaid flowchart
+ * - PlantUML activity diagram
+ *
+ * @version 1.0.0
+ */
+
+import BaseExporter from './BaseExporter.js';
+import { ExportCategory } from '../ExporterRegistry.js';
+import { createGraphFromFlowchartObjects, FlowchartNodeShape } from '../flowchartGraph.js';
+
+// ==========================================
+// BASE FLOWCHART EXPORTER
+// ==========================================
+
+/**
+ * Base class for exporters that read the flowchart graph instead of the
+ * rendered character buffer
+ */
+export class BaseFlowchartExporter extends BaseExporter {
+    constructor(config = {}) {
+        super(config);
+    }
+
+    // ==========================================
+    // METADATA
+    // ==========================================
+
+    get category() { return ExportCategory.Document; }
+    get mimeType() { return 'text/plain'; }
+
+    // ==========================================
+    // CAPABILITIES
+    // ==========================================
+
+    get supportsColors() { return false; }
+    get supportsComponents() { return false; }
+    get supportsLayers() { return true; }
+    get supportsAnimations() { return false; }
+    get requiresBuffer() { return false; }
+
+    get defaultOptions() {
+        return {
+            ...super.defaultOptions,
+            title: null, // Defaults to the document title
+            includeTitle: true,
+            direction: 'auto' // 'auto', 'TB', 'BT', 'LR', 'RL'
+        };
+    }
+
+    // ==========================================
+    // EXPORT IMPLEMENTATION
+    // ==========================================
+
+    _doExport(document, options) {
+        const { graph } = createGraphFromFlowchartObjects(this._getObjects(document), options);
+        const title = options.includeTitle ? this._getTitle(document, options) : null;
+        return this._generate(graph, title, options);
+    }
+
+    _doValidate(document, result) {
+        const { graph, skippedConnectors } = createGraphFromFlowchartObjects(this._getObjects(document));
+
+        if (graph.nodes.size === 0) {
+            result.addError('NO_FLOWCHART', 'Document contains no flowchart shapes');
+        }
+        if (skippedConnectors > 0) {
+            result.addWarning(
+                'UNATTACHED_CONNECTORS',
+                `${skippedConnectors} connector(s) not attached to shapes at both ends were skipped`
+            );
+        }
+    }
+
+    /**
+     * Generate diagram source - must be implemented by subclasses
+     * @protected
+     * @param {FlowchartGraph} graph
+     * @param {string|null} title
+     * @param {object} options
+     * @returns {string}
+     */
+    _generate(graph, title, options) {
+        throw new Error('_generate must be implemented by subclass');
+    }
+
+    /**
+     * Objects of visible layers, or the document's flat object list
+     * @protected
+     */
+    _getObjects(document) {
+        if (document?.layers) {
+            return document.layers
+                .filter(layer => layer.visible !== false)
+                .flatMap(layer => layer.objects || []);
+        }
+        return document?.objects || [];
+    }
+
+    /**
+     * @protected
+     */
+    _getTitle(document, options) {
+        const title = options.title || document.title || document.metadata?.filename || '';
+        return title.replace(/\.[^.]+$/, '').trim() || null;
+    }
+}
+
+// ==========================================
+// MERMAID EXPORTER
+// ==========================================
+
+/**
+ * Node delimiters per flowchart shape
+ */
+const MERMAID_SHAPES = {
+    [FlowchartNodeShape.PROCESS]: ['[', ']'],
+    [FlowchartNodeShape.TERMINAL]: ['([', '])'],
+    [FlowchartNodeShape.DECISION]: ['{', '}'],
+    [FlowchartNodeShape.IO]: ['[/', '/]'],
+    [FlowchartNodeShape.DOCUMENT]: ['>', ']'],
+    [FlowchartNodeShape.DATABASE]: ['[(', ')]'],
+    [FlowchartNodeShape.SUBPROCESS]: ['[[', ']]'],
+    [FlowchartNodeShape.CONNECTOR]: ['((', '))']
+};
+
+/**
+ * Link bodies per connector line type: [with arrow, without arrow]
+ */
+const MERMAID_LINKS = {
+    solid: ['-->', '---'],
+    dashed: ['-.->', '-.-'],
+    double: ['==>', '===']
+};
+
+/**
+ * Mermaid flowchart exporter
+ */
+export class MermaidExporter extends BaseFlowchartExporter {
+    constructor(config = {}) {
+        super(config);
+    }
+
+    get id() { return 'mermaid'; }
+    get name() { return 'Mermaid'; }
+    get description() { return 'Export flowcharts as Mermaid diagram source (.mmd)'; }
+    get fileExtension() { return '.mmd'; }
+
+    _generate(graph, title, options) {
+        const indent = options.indentation;
+        const lines = [];
+
+        if (title) {
+            lines.push('---', `title: ${title}`, '---');
+        }
+        lines.push(`flowchart ${graph.direction === 'TB' ? 'TD' : graph.direction}`);
+
+        for (const node of graph.nodes.values()) {
+            const [open, close] = MERMAID_SHAPES[node.shape] || MERMAID_SHAPES.process;
+            lines.push(`${indent}${node.id}${open}"${this._escapeLabel(node.label)}"${close}`);
+        }
+
+        for (const edge of graph.edges) {
+            const [arrow, plain] = MERMAID_LINKS[edge.lineType] || MERMAID_LINKS.solid;
+            let link = edge.arrowEnd ? arrow : plain;
+            if (edge.arrowStart) link = `<${link}`;
+            const label = edge.label ? `|"${this._escapeLabel(edge.label)}"|` : '';
+            lines.push(`${indent}${edge.from} ${link}${label} ${edge.to}`);
+        }
+
+        return lines.join(options.lineEnding) + options.lineEnding;
+    }
+
+    /**
+     * @private
+     */
+    _escapeLabel(text) {
+        return String(text)
+            .replace(/"/g, '#quot;')
+            .replace(/\n/g, '<br>');
+    }
+}
+
+// ==========================================
+// PLANTUML EXPORTER
+// ==========================================
+
+/**
+ * Action terminators per flowchart shape (SDL action shapes)
+ */
+const PLANTUML_ACTION_ENDS = {
+    [FlowchartNodeShape.PROCESS]: ';',
+    [FlowchartNodeShape.IO]: '/',
+    [FlowchartNodeShape.DOCUMENT]: ']',
+    [FlowchartNodeShape.DATABASE]: ']',
+    [FlowchartNodeShape.SUBPROCESS]: '|'
+};
+
+const START_LABEL = /^(start|begin)$/i;
+const STOP_LABEL = /^(end|stop|finish|done|exit)$/i;
+
+/**
+ * PlantUML activity diagram exporter. The connector graph is written as
+ * structured activity code: decisions become if/switch blocks that rejoin
+ * where their branches meet, other splits become forks, and edges back to
+ * earlier steps become goto/label pairs.
+ */
+export class PlantUMLExporter extends BaseFlowchartExporter {
+    constructor(config = {}) {
+        super(config);
+    }
+
+    get id() { return 'plantuml'; }
+    get name() { return 'PlantUML Activity'; }
+    get description() { return 'Export flowcharts as PlantUML activity diagram source (.puml)'; }
+    get fileExtension() { return '.puml'; }
+
+    _generate(graph, title, options) {
+        const ctx = {
+            graph,
+            indent: options.indentation,
+            lines: [],
+            emitted: new Map(), // node id -> line index
+            gotoTargets: new Set(),
+            outgoing: new Map(),
+            incoming: new Map()
+        };
+
+        for (const id of graph.nodes.keys()) {
+            ctx.outgoing.set(id, []);
+            ctx.incoming.set(id, 0);
+        }
+        for (const edge of graph.edges) {
+            ctx.outgoing.get(edge.from).push(edge);
+            ctx.incoming.set(edge.to, ctx.incoming.get(edge.to) + 1);
+        }
+
+        // Walk from every entry node, then from anything only reachable in cycles
+        const ids = [...graph.nodes.keys()];
+        const roots = ids.filter(id => ctx.incoming.get(id) === 0);
+        for (const id of [...roots, ...ids]) {
+            if (!ctx.emitted.has(id)) {
+                this._walk(ctx, id, null, 0);
+            }
+        }
+
+        // Insert labels for goto targets, last first so indices stay valid
+        const targets = [...ctx.gotoTargets].sort((a, b) => ctx.emitted.get(b) - ctx.emitted.get(a));
+        for (const id of targets) {
+            const index = ctx.emitted.get(id);
+            const depth = ctx.lines[index]?.match(/^\s*/)[0] ?? '';
+            ctx.lines.splice(index, 0, `${depth}label ${id}`);
+        }
+
+        const lines = ['@startuml'];
+        if (title) lines.push(`title ${title}`);
+        lines.push('', ...ctx.lines, '', '@enduml');
+
+        return lines.join(options.lineEnding) + options.lineEnding;
+    }
+
+    /**
+     * Write nodes from `id` until `stopAt` (a branch merge point) is reached
+     * @private
+     */
+    _walk(ctx, id, stopAt, depth) {
+        while (id && id !== stopAt) {
+            if (ctx.emitted.has(id)) {
+                ctx.gotoTargets.add(id);
+                this._push(ctx, depth, `goto ${id}`);
+                return;
+            }
+
+            const node = ctx.graph.getNode(id);
+            const edges = ctx.outgoing.get(id);
+            const branches = edges.length > 1;
+
+            this._emitNode(ctx, node, depth, branches);
+
+            if (edges.length === 0) return;
+
+            if (!branches) {
+                if (edges[0].label) this._push(ctx, depth, `-> ${this._escapeLabel(edges[0].label)};`);
+                id = edges[0].to;
+                continue;
+            }
+
+            const merge = this._findMerge(ctx, edges.map(e => e.to));
+
+            if (node.shape === FlowchartNodeShape.DECISION && edges.length === 2) {
+                const [yes, no] = edges;
+                this._push(ctx, depth, `if (${this._escapeLabel(node.label)}) then (${this._escapeLabel(yes.label || 'yes')})`);
+                this._walk(ctx, yes.to, merge, depth + 1);
+                this._push(ctx, depth, `else (${this._escapeLabel(no.label || 'no')})`);
+                this._walk(ctx, no.to, merge, depth + 1);
+                this._push(ctx, depth, 'endif');
+            } else if (node.shape === FlowchartNodeShape.DECISION) {
+                this._push(ctx, depth, `switch (${this._escapeLabel(node.label)})`);
+                for (const edge of edges) {
+                    const label = edge.label || ctx.graph.getNode(edge.to).label || edge.to;
+                    this._push(ctx, depth, `case (${this._escapeLabel(label)})`);
+                    this._walk(ctx, edge.to, merge, depth + 1);
+                }
+                this._push(ctx, depth, 'endswitch');
+            } else {
+                edges.forEach((edge, i) => {
+                    this._push(ctx, depth, i === 0 ? 'fork' : 'fork again');
+                    if (edge.label) this._push(ctx, depth + 1, `-> ${this._escapeLabel(edge.label)};`);
+                    this._walk(ctx, edge.to, merge, depth + 1);
+                });
+                this._push(ctx, depth, 'end fork');
+            }
+
+            id = merge;
+        }
+    }
+
+    /**
+     * Write a single node. Branching decisions are written by the caller
+     * as the condition of their if/switch block.
+     * @private
+     */
+    _emitNode(ctx, node, depth, branches) {
+        ctx.emitted.set(node.id, ctx.lines.length);
+        const label = this._escapeLabel(node.label);
+
+        switch (node.shape) {
+            case FlowchartNodeShape.TERMINAL: {
+                const isStart = ctx.incoming.get(node.id) === 0;
+                const isStop = ctx.outgoing.get(node.id).length === 0;
+                if (isStart) this._push(ctx, depth, 'start');
+                if (label && !(isStart && START_LABEL.test(label)) && !(isStop && STOP_LABEL.test(label))) {
+                    this._push(ctx, depth, `:${label};`);
+                }
+                if (isStop) this._push(ctx, depth, 'stop');
+                break;
+            }
+            case FlowchartNodeShape.DECISION:
+                if (!branches) this._push(ctx, depth, `:${label};`);
+                break;
+            case FlowchartNodeShape.CONNECTOR:
+                this._push(ctx, depth, `(${label.charAt(0) || 'A'})`);
+                break;
+            default:
+                this._push(ctx, depth, `:${label}${PLANTUML_ACTION_ENDS[node.shape] || ';'}`);
+        }
+    }
+
+    /**
+     * Find where branches rejoin: the unwritten node reachable from every
+     * branch that has not looped back, closest to the furthest branch
+     * @private
+     * @param {object} ctx
+     * @param {string[]} heads - First node of each branch
+     * @returns {string|null}
+     */
+    _findMerge(ctx, heads) {
+        const live = heads.filter(id => !ctx.emitted.has(id));
+        if (live.length === 0) return null;
+
+        const distances = live.map(head => {
+            const dist = new Map([[head, 0]]);
+            const queue = [head];
+            while (queue.length > 0) {
+                const id = queue.shift();
+                for (const edge of ctx.outgoing.get(id)) {
+                    if (!dist.has(edge.to) && !ctx.emitted.has(edge.to)) {
+                        dist.set(edge.to, dist.get(id) + 1);
+                        queue.push(edge.to);
+                    }
+                }
+            }
+            return dist;
+        });
+
+        let best = null;
+        let bestScore = Infinity;
+        for (const [id] of distances[0]) {
+            if (!distances.every(dist => dist.has(id))) continue;
+            const values = distances.map(dist => dist.get(id));
+            const score = Math.max(...values) * live.length + values.reduce((a, b) => a + b, 0);
+            if (score < bestScore) {
+                best = id;
+                bestScore = score;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * @private
+     */
+    _push(ctx, depth, text) {
+        ctx.lines.push(ctx.indent.repeat(depth) + text);
+    }
+
+    /**
+     * @private
+     */
+    _escapeLabel(text) {
+        return String(text).replace(/\n/g, '\\n');
+    }
+}
+
+export default {
+    BaseFlowchartExporter,
+    MermaidExporter,
+    PlantUMLExporter
+};
@@ -0,0 +1,906 @@
+/**
+ * Asciistrator - Flutter Exporter
+ *
+ * Exports UI component mockups as a Flutter widget tree (Dart):
+ * - UI components become Material widgets, looked up in the
+ *   FrameworkMappings registry
+ * - Components drawn inside a container component (StackPanel, Grid,
+ *   Border, TabControl, ...) become that widget's children
+ * - Frame auto-layout becomes Flex/Wrap; everything else is placed with
+ *   Stack/Positioned using the character cell size
+ *
+ * @version 1.0.0
+ */
+
+import BaseExporter from './BaseExporter.js';
+import { ExportCategory } from '../ExporterRegistry.js';
+import frameworkMappingRegistry, { UIFramework } from '../../components/FrameworkMappings.js';
+import {
+    CONTAINER_OBJECT_TYPES,
+    getSceneObjects,
+    buildComponentTree,
+    sortByPosition,
+    innerBounds,
+    getComponentProperties,
+    getGridCell,
+    parseGridDefinitions,
+    getItemText
+} from './ComponentTree.js';
+import { FlutterLayoutTransformer } from './layout/FlutterLayoutTransformer.js';
+import { LayoutMode } from './layout/LayoutExportEngine.js';
+
+// ==========================================
+// CONSTANTS
+// ==========================================
+
+const MATERIAL_IMPORT = 'package:flutter/material.dart';
+
+/**
+ * Widgets that take the components drawn inside them as children
+ */
+const CONTAINER_WIDGETS = new Set([
+    'Scaffold', 'AlertDialog', 'Container', 'Card', 'SingleChildScrollView',
+    'InputDecorator', 'ExpansionTile', 'DefaultTabController', 'FittedBox',
+    'Column', 'Table', 'GridView', 'Wrap', 'Stack', 'Badge'
+]);
+
+/**
+ * Map Image stretch modes to BoxFit
+ */
+const BOX_FIT_MAP = {
+    None: 'BoxFit.none',
+    Fill: 'BoxFit.fill',
+    Uniform: 'BoxFit.contain',
+    UniformToFill: 'BoxFit.cover'
+};
+
+// ==========================================
+// DART HELPERS
+// ==========================================
+
+/**
+ * Create a widget node
+ * @param {string} name - Widget constructor, e.g. 'Text' or 'SizedBox.shrink'
+ * @param {object} [args] - Named arguments (Dart expressions, numbers, booleans, nodes or arrays)
+ * @param {Array} [positional] - Positional arguments
+ * @returns {{name: string, args: object, positional: Array}}
+ */
+function widget(name, args = {}, positional = []) {
+    return { name, args, positional };
+}
+
+/**
+ * Quote a value as a Dart string literal
+ * @param {*} value
+ * @returns {string}
+ */
+export function dartString(value) {
+    const escaped = String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/'/g, "\\'")
+        .replace(/\$/g, '\\$')
+        .replace(/\r/g, '')
+        .replace(/\n/g, '\\n');
+    return `'${escaped}'`;
+}
+
+/**
+ * Convert a hex color to a Dart Color expression
+ * @param {string} hex - '#rgb' or '#rrggbb'
+ * @returns {string|null}
+ */
+export function dartColor(hex) {
+    if (typeof hex !== 'string') return null;
+    let value = hex.replace('#', '');
+    if (/^[0-9a-f]{3}$/i.test(value)) {
+        value = value.split('').map(c => c + c).join('');
+    }
+    if (!/^[0-9a-f]{6}$/i.test(value)) return null;
+    return `Color(0xFF${value.toUpperCase()})`;
+}
+
+/**
+ * Format a number as a Dart literal
+ * @param {number} value
+ * @returns {string}
+ */
+function dartNumber(value) {
+    return String(Number.isInteger(value) ? value : Math.round(value * 1000) / 1000);
+}
+
+// ==========================================
+// FLUTTER EXPORTER
+// ==========================================
+
+/**
+ * Flutter widget tree exporter
+ */
+export class FlutterExporter extends BaseExporter {
+    constructor(config = {}) {
+        super(config);
+    }
+
+    // ==========================================
+    // METADATA
+    // ==========================================
+
+    get id() { return 'flutter'; }
+    get name() { return 'Flutter Widget'; }
+    get description() { return 'Export UI components as a Flutter widget tree (.dart)'; }
+    get fileExtension() { return '.dart'; }
+    get mimeType() { return 'application/dart'; }
+    get category() { return ExportCategory.UIFramework; }
+
+    // ==========================================
+    // CAPABILITIES
+    // ==========================================
+
+    get supportsColors() { return true; }
+    get supportsComponents() { return true; }
+    get supportsLayers() { return true; }
+    get supportsAnimations() { return false; }
+    get requiresBuffer() { return false; }
+
+    get defaultOptions() {
+        return {
+            ...super.defaultOptions,
+            className: 'AsciiArtView',
+            cellWidth: 8,
+            cellHeight: 16,
+            indentSize: 2,
+            lineWidth: 80,
+            includeMain: false,
+            generateComments: true
+        };
+    }
+
+    // ==========================================
+    // VALIDATION
+    // ==========================================
+
+    _doValidate(document, result) {
+        const objects = getSceneObjects(document);
+        if (!objects.some(obj => obj.uiComponentType || obj.avaloniaType)) {
+            result.addWarning('NO_COMPONENTS', 'Document contains no UI components');
+        }
+    }
+
+    // ==========================================
+    // EXPORT IMPLEMENTATION
+    // ==========================================
+
+    _doExport(document, options) {
+        this._options = options;
+        this._layout = new FlutterLayoutTransformer({
+            cellWidth: options.cellWidth,
+            cellHeight: options.cellHeight
+        });
+        this._imports = new Set([MATERIAL_IMPORT]);
+
+        const width = document.width || document.canvas?.width || this._getBufferDimensions(this._getBuffer(document)).width || 80;
+        const height = document.height || document.canvas?.height || this._getBufferDimensions(this._getBuffer(document)).height || 24;
+        const bounds = { x: 0, y: 0, width, height };
+
+        const roots = this._createEntries(getSceneObjects(document));
+        const rootProps = this._layoutProps({ layoutMode: LayoutMode.NONE }, bounds);
+        const tree = widget('SizedBox', {
+            width: this._layout.toPixels(width),
+            height: this._layout.toPixels(height, true),
+            child: widget('Stack', { children: this._placeChildren(roots, rootProps, bounds) })
+        });
+
+        return this._generateDart(this._sanitizeClassName(options.className), tree, options);
+    }
+
+    /**
+     * Write the library source around the widget tree
+     * @private
+     */
+    _generateDart(className, tree, options) {
+        const lines = [];
+        const indent = level => this._indent(level, ' '.repeat(options.indentSize));
+
+        if (options.generateComments) {
+            lines.push('// Generated by Asciistrator - Flutter widget tree');
+        }
+        for (const path of [...this._imports].sort()) {
+            lines.push(`import '${path}';`);
+        }
+        lines.push('');
+
+        if (options.includeMain) {
+            lines.push('void main() {');
+            lines.push(`${indent(1)}runApp(const MaterialApp(home: Scaffold(body: ${className}())));`);
+            lines.push('}');
+            lines.push('');
+        }
+
+        lines.push(`class ${className} extends StatelessWidget {`);
+        lines.push(`${indent(1)}const ${className}({super.key});`);
+        lines.push('');
+        lines.push(`${indent(1)}@override`);
+        lines.push(`${indent(1)}Widget build(BuildContext context) {`);
+        lines.push(`${indent(2)}return ${this._emit(tree, 2)};`);
+        lines.push(`${indent(1)}}`);
+        lines.push('}');
+        lines.push('');
+
+        return lines.join('\n');
+    }
+
+    // ==========================================
+    // SCENE TREE
+    // ==========================================
+
+    /**
+     * Build the component tree, collecting the imports of mapped widgets
+     * @private
+     */
+    _createEntries(objects) {
+        return buildComponentTree(objects, {
+            getMapping: type => {
+                const mapping = frameworkMappingRegistry.getMapping(UIFramework.Flutter, type);
+                if (mapping?.targetImport) this._imports.add(mapping.targetImport);
+                return mapping;
+            },
+            isContainer: mapping => CONTAINER_WIDGETS.has(mapping?.targetType)
+        });
+    }
+
+    /**
+     * Normalized layout properties using the sketched bounds
+     * @private
+     */
+    _layoutProps(obj, bounds) {
+        return {
+            ...this._layout.extractLayoutProperties(obj),
+            width: bounds.width,
+            height: bounds.height
+        };
+    }
+
+    // ==========================================
+    // PLACEMENT
+    // ==========================================
+
+    /**
+     * Build child widgets and place them for the parent layout
+     * @private
+     * @param {Array} entries - Child entries
+     * @param {LayoutProperties} parentProps - Parent layout properties
+     * @param {object} parentBounds - Parent content bounds in cells
+     * @returns {Array} Widget nodes and comments
+     */
+    _placeChildren(entries, parentProps, parentBounds) {
+        const isFlex = parentProps.layoutMode !== LayoutMode.NONE;
+        const isHorizontal = this._layout.isHorizontalLayout(parentProps.layoutMode);
+        const gap = isFlex && parentProps.wrapMode !== 'WRAP'
+            ? this._layout.transformSpacing(parentProps.itemSpacing, !isHorizontal)
+            : 0;
+        const children = [];
+
+        for (const entry of entries) {
+            const built = this._buildEntry(entry);
+            if (!built) continue;
+            if (built.comment) {
+                children.push(built);
+                continue;
+            }
+
+            const childBounds = {
+                x: entry.bounds.x - parentBounds.x,
+                y: entry.bounds.y - parentBounds.y,
+                width: entry.bounds.width,
+                height: entry.bounds.height
+            };
+            const placement = this._layout.transformChildLayout(
+                this._layoutProps(entry.obj, entry.bounds),
+                parentProps,
+                { parentBounds, childBounds }
+            );
+
+            if (gap > 0 && children.some(child => !child.comment)) {
+                children.push(widget('SizedBox', isHorizontal ? { width: gap } : { height: gap }));
+            }
+            if (built.note && this._options.generateComments) {
+                children.push({ comment: built.note });
+            }
+            children.push(this._wrapPlacement(built.node, placement));
+        }
+
+        return children;
+    }
+
+    /**
+     * @private
+     */
+    _wrapPlacement(node, placement) {
+        let result = node;
+        if (placement.width !== null || placement.height !== null) {
+            result = widget('SizedBox', { width: placement.width, height: placement.height, child: result });
+        }
+        if (placement.wrapper) {
+            result = widget(placement.wrapper, { ...placement.args, child: result });
+        }
+        return result;
+    }
+
+    /**
+     * A single child sized to its sketch, or a Stack of positioned children
+     * @private
+     * @returns {object|null} Widget node
+     */
+    _buildContent(entries, bounds) {
+        if (entries.length === 0) return null;
+        if (entries.length === 1) {
+            const built = this._buildEntry(entries[0]);
+            if (!built || built.comment) return null;
+            return widget('SizedBox', {
+                width: this._layout.toPixels(entries[0].bounds.width),
+                height: this._layout.toPixels(entries[0].bounds.height, true),
+                child: built.node
+            });
+        }
+        const props = this._layoutProps({ layoutMode: LayoutMode.NONE }, bounds);
+        return widget('Stack', { children: this._placeChildren(entries, props, bounds) });
+    }
+
+    // ==========================================
+    // WIDGETS
+    // ==========================================
+
+    /**
+     * Build the widget for a tree entry
+     * @private
+     * @returns {{node: object, note: string|null}|{comment: string}|null}
+     */
+    _buildEntry(entry) {
+        const { obj } = entry;
+
+        if (entry.type) {
+            return this._buildComponent(entry);
+        }
+        if (CONTAINER_OBJECT_TYPES.has(obj.type) || obj.children?.length > 0 ||
+            (obj.layoutMode && obj.layoutMode !== LayoutMode.NONE)) {
+            return { node: this._buildFrame(entry), note: null };
+        }
+        if (obj.type === 'text') {
+            const color = dartColor(obj.strokeColor);
+            const style = `TextStyle(fontFamily: 'monospace'${color ? `, color: ${color}` : ''})`;
+            return { node: this._text(obj.text, style), note: null };
+        }
+        if (obj.type === 'rectangle') {
+            const border = dartColor(obj.strokeColor);
+            return {
+                node: widget('Container', {
+                    decoration: `BoxDecoration(border: Border.all(${border ? `color: ${border}` : ''}))`,
+                    child: obj.label ? widget('Center', { child: this._text(obj.label) }) : null
+                }),
+                note: null
+            };
+        }
+
+        const label = obj.name ? ` "${obj.name}"` : '';
+        return { comment: `${obj.type}${label} has no widget equivalent` };
+    }
+
+    /**
+     * Frames and groups: auto-layout becomes Flex/Wrap, otherwise a Stack
+     * @private
+     */
+    _buildFrame(entry) {
+        const { obj } = entry;
+        const props = this._layoutProps(obj, entry.bounds);
+        const layout = this._layout.transformContainerLayout(props);
+        const isStack = layout.widget === 'Stack';
+
+        // Auto-layout keeps the frame's child order; absolute children keep their offsets
+        const children = this._placeChildren(entry.children, props, entry.bounds);
+
+        let node = widget(layout.widget, { ...layout.args, children });
+        if (layout.clip && !isStack) {
+            node = widget('ClipRect', { child: node });
+        }
+
+        const color = dartColor(obj.backgroundColor);
+        const border = obj.showBorder ? dartColor(obj.strokeColor) || 'Colors.black' : null;
+        const padding = isStack ? null : layout.padding;
+        if (color || border) {
+            const decoration = [];
+            if (color) decoration.push(`color: ${color}`);
+            if (border) decoration.push(`border: Border.all(color: ${border})`);
+            node = widget('Container', {
+                padding,
+                decoration: `BoxDecoration(${decoration.join(', ')})`,
+                child: node
+            });
+        } else if (padding) {
+            node = widget('Padding', { padding, child: node });
+        }
+        return node;
+    }
+
+    /**
+     * UI components mapped through the Flutter framework mappings
+     * @private
+     */
+    _buildComponent(entry) {
+        const props = getComponentProperties(entry);
+        if (props.isVisible === false) return null;
+
+        const targetType = entry.mapping?.targetType;
+        let node = targetType ? this._buildWidget(targetType, entry, props) : null;
+        let note = null;
+
+        if (!node) {
+            node = widget('Placeholder');
+            note = `${entry.type} has no Flutter mapping`;
+        }
+        if (typeof props.opacity === 'number' && props.opacity < 1) {
+            node = widget('Opacity', { opacity: props.opacity, child: node });
+        }
+        if (props.toolTip) {
+            node = widget('Tooltip', { message: dartString(props.toolTip), child: node });
+        }
+        return { node, note };
+    }
+
+    /**
+     * @private
+     * @returns {object|null} Widget node, or null for unknown target types
+     */
+    _buildWidget(targetType, entry, props) {
+        const enabled = props.isEnabled !== false;
+        const onPressed = enabled ? '() {}' : 'null';
+        const onChanged = enabled ? '(value) {}' : 'null';
+        const { bounds } = entry;
+
+        switch (targetType) {
+            // Buttons
+            case 'ElevatedButton':
+            case 'OutlinedButton':
+            case 'TextButton':
+                return widget(targetType, {
+                    onPressed,
+                    child: this._buildContent(entry.children, innerBounds(bounds)) || this._text(props.content)
+                });
+
+            case 'Checkbox':
+                return this._labeled(widget('Checkbox', {
+                    value: props.isThreeState && props.isChecked === null ? 'null' : !!props.isChecked,
+                    tristate: props.isThreeState ? true : null,
+                    onChanged
+                }), props.content);
+
+            case 'Radio':
+                return this._labeled(widget('Radio<bool>', {
+                    value: true,
+                    groupValue: !!props.isChecked,
+                    onChanged
+                }), props.content);
+
+            case 'Switch':
+                return this._labeled(widget('Switch', { value: !!props.isChecked, onChanged }), props.content);
+
+            // Inputs
+            case 'TextField':
+                return this._buildTextField(entry, props, enabled);
+
+            case 'SearchBar':
+                return widget('SearchBar', { hintText: props.watermark ? dartString(props.watermark) : null });
+
+            case 'Text':
+            case 'SelectableText':
+                return this._text(props.text ?? props.content, this._textStyle(entry.obj.uiProperties || {}), targetType);
+
+            case 'Slider': {
+                const min = Number(props.minimum) || 0;
+                const max = Number(props.maximum) || 100;
+                const tick = Number(props.tickFrequency) || 0;
+                const slider = widget('Slider', {
+                    value: Math.min(Math.max(Number(props.value) || 0, min), max),
+                    min,
+                    max,
+                    divisions: props.isSnapToTickEnabled && tick > 0 ? Math.round((max - min) / tick) : null,
+                    onChanged
+                });
+                return props.orientation === 'Vertical'
+                    ? widget('RotatedBox', { quarterTurns: 3, child: slider })
+                    : slider;
+            }
+
+            case 'RangeSlider': {
+                const min = Number(props.minimum) || 0;
+                const max = Number(props.maximum) || 100;
+                const clamp = value => Math.min(Math.max(Number(value) || 0, min), max);
+                return widget('RangeSlider', {
+                    values: `RangeValues(${dartNumber(clamp(props.lowerValue))}, ${dartNumber(clamp(props.upperValue))})`,
+                    min,
+                    max,
+                    onChanged
+                });
+            }
+
+            // Selections
+            case 'DropdownButton': {
+                const items = [...new Set((props.items || []).map(item => getItemText(item)))];
+                const selected = items[props.selectedIndex];
+                return widget('DropdownButton<String>', {
+                    value: selected !== undefined ? dartString(selected) : 'null',
+                    hint: props.placeholderText ? this._text(props.placeholderText) : null,
+                    isExpanded: true,
+                    items: items.map(item => widget('DropdownMenuItem', {
+                        value: dartString(item),
+                        child: this._text(item)
+                    })),
+                    onChanged
+                });
+            }
+
+            case 'ListView':
+                return widget('ListView', {
+                    children: entry.children.length > 0
+                        ? this._placeChildren(sortByPosition(entry.children),
+                            this._layoutProps({ layoutMode: LayoutMode.VERTICAL }, bounds), bounds)
+                        : (props.items || []).map(item => widget('ListTile', {
+                            title: this._text(getItemText(item))
+                        }))
+                });
+
+            // Containers
+            case 'Scaffold':
+                return widget('Scaffold', {
+                    appBar: widget('AppBar', { title: this._text(props.title) }),
+                    body: this._buildContent(entry.children, innerBounds(bounds, 3))
+                });
+
+            case 'AlertDialog':
+                return widget('AlertDialog', {
+                    title: this._text(props.title),
+                    content: this._buildContent(entry.children, innerBounds(bounds, 3))
+                });
+
+            case 'Container': {
+                const border = dartColor(props.borderBrush);
+                const color = dartColor(props.background);
+                const decoration = [`border: Border.all(${border ? `color: ${border}` : ''})`];
+                if (color) decoration.unshift(`color: ${color}`);
+                return widget('Container', {
+                    decoration: `BoxDecoration(${decoration.join(', ')})`,
+                    child: this._buildContent(entry.children, innerBounds(bounds))
+                });
+            }
+
+            case 'Card':
+                return widget('Card', {
+                    child: this._buildContent(entry.children, innerBounds(bounds)) ||
+                        widget('ListTile', {
+                            title: this._text(props.header),
+                            subtitle: props.subheader ? this._text(props.subheader) : null
+                        })
+                });
+
+            case 'SingleChildScrollView':
+            case 'FittedBox':
+                return widget(targetType, {
+                    child: this._buildContent(entry.children, innerBounds(bounds))
+                });
+
+            case 'InputDecorator':
+                return widget('InputDecorator', {
+                    decoration: `InputDecoration(labelText: ${dartString(props.header)}, border: const OutlineInputBorder())`,
+                    child: this._buildContent(entry.children, innerBounds(bounds))
+                });
+
+            case 'ExpansionTile':
+                return widget('ExpansionTile', {
+                    title: this._text(props.header),
+                    initiallyExpanded: !!props.isExpanded,
+                    children: sortByPosition(entry.children)
+                        .map(child => this._buildContent([child], child.bounds))
+                        .filter(Boolean)
+                });
+
+            case 'DefaultTabController':
+                return this._buildTabs(entry, props);
+
+            case 'Badge':
+                return widget('Badge', {
+                    label: props.isDot ? null : this._text(String(props.badgeValue ?? '')),
+                    isLabelVisible: !props.isDot && !props.showZero && Number(props.badgeValue) === 0 ? false : null,
+                    child: this._buildContent(entry.children, bounds)
+                });
+
+            // Layouts
+            case 'Column':
+                return this._buildStackPanel(entry, props);
+
+            case 'Table':
+                return this._buildTable(entry, props);
+
+            case 'GridView': {
+                const count = entry.children.length;
+                const columns = Number(props.columns) > 0
+                    ? Number(props.columns)
+                    : Math.max(1, Math.ceil(Math.sqrt(count)));
+                return widget('GridView.count', {
+                    crossAxisCount: columns,
+                    shrinkWrap: true,
+                    children: sortByPosition(entry.children)
+                        .map(child => this._buildEntry(child))
+                        .filter(built => built && !built.comment)
+                        .map(built => built.node)
+                });
+            }
+
+            case 'Wrap': {
+                const horizontal = props.orientation !== 'Vertical';
+                const layoutProps = this._layoutProps({ layoutMode: horizontal ? 'HORIZONTAL' : 'VERTICAL', layoutWrap: 'WRAP' }, bounds);
+                const layout = this._layout.transformContainerLayout(layoutProps);
+                return widget('Wrap', {
+                    ...layout.args,
+                    children: this._placeChildren(sortByPosition(entry.children, horizontal), layoutProps, bounds)
+                });
+            }
+
+            case 'Stack': {
+                const stackProps = this._layoutProps({ layoutMode: LayoutMode.NONE }, bounds);
+                return widget('Stack', { children: this._placeChildren(entry.children, stackProps, bounds) });
+            }
+
+            case 'Divider':
+                return widget(props.orientation === 'Vertical' ? 'VerticalDivider' : 'Divider');
+
+            // Indicators
+            case 'LinearProgressIndicator':
+            case 'CircularProgressIndicator': {
+                const min = Number(props.minimum) || 0;
+                const max = Number(props.maximum) || 100;
+                const indeterminate = props.isIndeterminate !== false || props.value === undefined;
+                return widget(targetType, {
+                    value: indeterminate || max <= min
+                        ? null
+                        : Math.min(Math.max((Number(props.value) - min) / (max - min), 0), 1)
+                });
+            }
+
+            // Data display
+            case 'Image': {
+                if (!props.source) return widget('Placeholder');
+                const source = String(props.source);
+                return widget(/^https?:/i.test(source) ? 'Image.network' : 'Image.asset', {
+                    fit: BOX_FIT_MAP[props.stretch] || null
+                }, [dartString(source)]);
+            }
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * StackPanel -> Column/Row
+     * @private
+     */
+    _buildStackPanel(entry, props) {
+        const horizontal = props.orientation === 'Horizontal';
+        const layoutProps = this._layoutProps({
+            layoutMode: horizontal ? 'HORIZONTAL' : 'VERTICAL',
+            itemSpacing: Number(props.spacing) || 0
+        }, entry.bounds);
+        const { args } = this._layout.transformContainerLayout(layoutProps);
+        delete args.direction;
+
+        return widget(horizontal ? 'Row' : 'Column', {
+            ...args,
+            children: this._placeChildren(sortByPosition(entry.children, horizontal), layoutProps, entry.bounds)
+        });
+    }
+
+    /**
+     * Grid -> Table. Children go to the cell set by gridRow/gridColumn,
+     * or to the cell they were drawn in.
+     * @private
+     */
+    _buildTable(entry, props) {
+        const columns = parseGridDefinitions(props.columnDefinitions);
+        const rows = parseGridDefinitions(props.rowDefinitions);
+        const cells = rows.map(() => columns.map(() => []));
+
+        for (const child of sortByPosition(entry.children)) {
+            const { row, column } = getGridCell(child, entry.bounds, rows.length, columns.length);
+            cells[row][column].push(child);
+        }
+
+        const columnWidths = columns.map((def, i) => {
+            if (/^auto$/i.test(def)) return `${i}: IntrinsicColumnWidth()`;
+            const star = def.match(/^(\d*\.?\d*)\*$/);
+            if (star) return star[1] && Number(star[1]) !== 1 ? `${i}: FlexColumnWidth(${Number(star[1])})` : null;
+            return Number.isFinite(Number(def)) ? `${i}: FixedColumnWidth(${Number(def)})` : null;
+        }).filter(Boolean);
+
+        return widget('Table', {
+            columnWidths: columnWidths.length > 0 ? `{${columnWidths.join(', ')}}` : null,
+            border: props.showGridLines ? 'TableBorder.all()' : null,
+            children: cells.map(row => widget('TableRow', {
+                children: row.map(cell => this._buildCell(cell))
+            }))
+        });
+    }
+
+    /**
+     * @private
+     */
+    _buildCell(entries) {
+        const nodes = entries
+            .map(child => {
+                const built = this._buildEntry(child);
+                if (!built || built.comment) return null;
+                return widget('SizedBox', {
+                    height: this._layout.toPixels(child.bounds.height, true),
+                    child: built.node
+                });
+            })
+            .filter(Boolean);
+
+        if (nodes.length === 0) return 'SizedBox.shrink()';
+        if (nodes.length === 1) return nodes[0];
+        return widget('Column', {
+            mainAxisSize: 'MainAxisSize.min',
+            crossAxisAlignment: 'CrossAxisAlignment.start',
+            children: nodes
+        });
+    }
+
+    /**
+     * TabControl -> DefaultTabController with TabBar and TabBarView.
+     * Components drawn inside the control fill the selected tab.
+     * @private
+     */
+    _buildTabs(entry, props) {
+        const tabs = (props.tabs?.length > 0 ? props.tabs : [{ header: 'Tab 1' }])
+            .map((tab, i) => String(tab?.header ?? tab ?? `Tab ${i + 1}`));
+        const selected = Math.min(Math.max(Number(props.selectedIndex) || 0, 0), tabs.length - 1);
+        const page = this._buildContent(entry.children, innerBounds(entry.bounds, 3));
+
+        return widget('DefaultTabController', {
+            length: tabs.length,
+            initialIndex: selected || null,
+            child: widget('Column', {
+                children: [
+                    widget('TabBar', { tabs: tabs.map(header => widget('Tab', { text: dartString(header) })) }),
+                    widget('Expanded', {
+                        child: widget('TabBarView', {
+                            children: tabs.map((header, i) => (i === selected && page) ||
+                                widget('Center', { child: this._text(header) }))
+                        })
+                    })
+                ]
+            })
+        });
+    }
+
+    /**
+     * TextBox, PasswordBox, TextArea and NumericUpDown -> TextField
+     * @private
+     */
+    _buildTextField(entry, props, enabled) {
+        const isPassword = entry.type === 'PasswordBox';
+        const isNumber = entry.type === 'NumericUpDown';
+        const text = isPassword ? props.password : isNumber ? props.value : props.text;
+        const hint = props.watermark || props.placeholder;
+        const decoration = [`border: const OutlineInputBorder()`];
+        if (hint) decoration.unshift(`hintText: ${dartString(hint)}`);
+
+        return widget('TextField', {
+            controller: text !== undefined && text !== null && text !== ''
+                ? `TextEditingController(text: ${dartString(text)})`
+                : null,
+            decoration: `InputDecoration(${decoration.join(', ')})`,
+            enabled: enabled ? null : false,
+            readOnly: props.isReadOnly ? true : null,
+            obscureText: isPassword ? true : null,
+            obscuringCharacter: isPassword && props.passwordChar && props.passwordChar !== '•'
+                ? dartString(props.passwordChar) : null,
+            keyboardType: isNumber ? 'TextInputType.number' : null,
+            maxLength: Number(props.maxLength) > 0 ? Number(props.maxLength) : null,
+            maxLines: props.acceptsReturn ? 'null' : null
+        });
+    }
+
+    /**
+     * Put a control and its label in a Row
+     * @private
+     */
+    _labeled(control, label) {
+        if (!label) return control;
+        return widget('Row', {
+            mainAxisSize: 'MainAxisSize.min',
+            children: [control, widget('Flexible', { child: this._text(label) })]
+        });
+    }
+
+    /**
+     * @private
+     */
+    _text(value, style = null, name = 'Text') {
+        return widget(name, { style }, [dartString(value ?? '')]);
+    }
+
+    /**
+     * TextStyle for the font properties set on a component
+     * @private
+     * @param {object} props - Properties set on the object (not the control defaults)
+     */
+    _textStyle(props) {
+        const style = [];
+        const color = dartColor(props.foreground);
+        if (color) style.push(`color: ${color}`);
+        if (props.fontFamily) style.push(`fontFamily: ${dartString(props.fontFamily)}`);
+        if (Number(props.fontSize) > 0 && Number(props.fontSize) !== 14) style.push(`fontSize: ${dartNumber(Number(props.fontSize))}`);
+        if (/bold/i.test(props.fontWeight)) style.push('fontWeight: FontWeight.bold');
+        if (props.fontStyle === 'Italic') style.push('fontStyle: FontStyle.italic');
+        return style.length > 0 ? `TextStyle(${style.join(', ')})` : null;
+    }
+
+    /**
+     * Make a valid Dart class name
+     * @private
+     */
+    _sanitizeClassName(name) {
+        const words = String(name || '').split(/[^A-Za-z0-9]+/).filter(Boolean);
+        const className = words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('');
+        if (!className) return 'AsciiArtView';
+        return /^[0-9]/.test(className) ? `View${className}` : className;
+    }
+
+    // ==========================================
+    // DART OUTPUT
+    // ==========================================
+
+    /**
+     * Write a widget node, argument value or list as Dart source
+     * @private
+     * @param {*} value
+     * @param {number} level - Indentation level of the line the value starts on
+     * @returns {string}
+     */
+    _emit(value, level) {
+        const indent = lvl => this._indent(lvl, ' '.repeat(this._options.indentSize));
+
+        if (typeof value === 'number') return dartNumber(value);
+        if (typeof value === 'boolean') return String(value);
+        if (typeof value === 'string') return value;
+
+        if (Array.isArray(value)) {
+            if (value.length === 0) return '[]';
+            const items = value.map(item => item.comment !== undefined
+                ? `${indent(level + 1)}// ${item.comment}`
+                : `${indent(level + 1)}${this._emit(item, level + 1)},`);
+            return `[\n${items.join('\n')}\n${indent(level)}]`;
+        }
+
+        const parts = [
+            ...value.positional.map(arg => [null, arg]),
+            ...Object.entries(value.args).filter(([, arg]) => arg !== null && arg !== undefined)
+        ];
+        if (parts.length === 0) return `${value.name}()`;
+
+        // Short argument lists of plain values stay on one line
+        const isPlain = ([, arg]) => typeof arg !== 'object';
+        if (parts.every(isPlain)) {
+            const inline = `${value.name}(${parts.map(([key, arg]) => (key ? `${key}: ` : '') + this._emit(arg, level)).join(', ')})`;
+            if (indent(level).length + inline.length <= this._options.lineWidth) return inline;
+        }
+
+        const lines = parts.map(([key, arg]) =>
+            `${indent(level + 1)}${key ? `${key}: ` : ''}${this._emit(arg, level + 1)},`);
+        return `${value.name}(\n${lines.join('\n')}\n${indent(level)})`;
+    }
+}
+
+// ==========================================
+// DEFAULT EXPORT
+// ==========================================
+
+export default FlutterExporter;
@@ -0,0 +1,1130 @@
+/**
+ * Asciistrator - GTK Exporter
+ *
+ * Exports UI component mockups as a GTK 4 interface, written either as
+ * GtkBuilder XML (.ui) or as Blueprint (.blp):
+ * - UI components become GTK widgets, looked up in the FrameworkMappings
+ *   registry
+ * - Components drawn inside a container component (StackPanel, Grid,
+ *   GroupBox, TabControl, ...) become that widget's children
+ * - StackPanel and frame auto-layout become GtkBox, Grid becomes GtkGrid;
+ *   everything else is placed over a GtkOverlay with halign/valign and
+ *   margins using the character cell size
+ * - The interface is a GtkWindow, titled after the Window component when
+ *   the mockup is a single window
+ *
+ * Both formats are written from the same widget tree.
+ *
+ * @version 1.0.0
+ */
+
+import BaseExporter from './BaseExporter.js';
+import { ExportCategory } from '../ExporterRegistry.js';
+import frameworkMappingRegistry, { UIFramework } from '../../components/FrameworkMappings.js';
+import {
+    CONTAINER_OBJECT_TYPES,
+    getSceneObjects,
+    buildComponentTree,
+    sortByPosition,
+    innerBounds,
+    getComponentProperties,
+    getGridCell,
+    parseGridDefinitions,
+    getItemText
+} from './ComponentTree.js';
+import { GtkLayoutTransformer } from './layout/GtkLayoutTransformer.js';
+import { LayoutMode } from './layout/LayoutExportEngine.js';
+
+// ==========================================
+// CONSTANTS
+// ==========================================
+
+/**
+ * Widgets that take the components drawn inside them as children
+ */
+const CONTAINER_WIDGETS = new Set([
+    'GtkWindow', 'GtkFrame', 'GtkScrolledWindow', 'GtkExpander', 'GtkNotebook',
+    'GtkBox', 'GtkGrid', 'GtkFlowBox', 'GtkOverlay', 'GtkListBox'
+]);
+
+/**
+ * Component types written as a GtkWindow when they are the whole mockup
+ */
+const WINDOW_TYPES = new Set(['Window', 'Dialog']);
+
+/**
+ * Map Image stretch modes to GtkPicture content fits
+ */
+const CONTENT_FIT_MAP = {
+    None: 'scale-down',
+    Fill: 'fill',
+    Uniform: 'contain',
+    UniformToFill: 'cover'
+};
+
+/**
+ * Margin properties, summed when a widget's own inset meets its placement
+ */
+const MARGINS = ['margin-start', 'margin-end', 'margin-top', 'margin-bottom'];
+
+// ==========================================
+// GTK HELPERS
+// ==========================================
+
+/**
+ * Create a widget node
+ * @param {string} klass - GType name, e.g. 'GtkButton'
+ * @param {object} [properties] - Property values: enum nicks and identifiers
+ *   (strings), numbers, booleans, text values or nested object nodes
+ * @param {Array} [children] - Child nodes and comments
+ * @returns {{klass: string, id: string|null, properties: object, children: Array,
+ *   styles: Array<string>, layout: object|null, childType: string|null, items: Array|null}}
+ */
+function widget(klass, properties = {}, children = []) {
+    return { klass, id: null, properties, children, styles: [], layout: null, childType: null, items: null };
+}
+
+/**
+ * Create a string property value
+ * @param {*} value
+ * @param {boolean} [translatable=false]
+ * @returns {{text: string, translatable: boolean}}
+ */
+function text(value, translatable = false) {
+    return { text: String(value ?? ''), translatable };
+}
+
+/**
+ * Quote a value as a Blueprint string literal
+ * @param {*} value
+ * @returns {string}
+ */
+export function blueprintString(value) {
+    const escaped = String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\r/g, '')
+        .replace(/\n/g, '\\n')
+        .replace(/\t/g, '\\t');
+    return `"${escaped}"`;
+}
+
+/**
+ * Escape text for XML content and attribute values
+ * @param {*} value
+ * @returns {string}
+ */
+export function xmlEscape(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format a number as a property value
+ * @param {number} value
+ * @returns {string}
+ */
+function gtkNumber(value) {
+    return String(Number.isInteger(value) ? value : Math.round(value * 1000) / 1000);
+}
+
+/**
+ * Convert a name to a snake_case object id
+ * @param {string} name
+ * @returns {string}
+ */
+function gtkIdentifier(name) {
+    const identifier = String(name || '')
+        .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+        .split(/[^A-Za-z0-9]+/)
+        .filter(Boolean)
+        .join('_')
+        .toLowerCase();
+    if (!identifier) return 'window';
+    return /^[0-9]/.test(identifier) ? `window_${identifier}` : identifier;
+}
+
+// ==========================================
+// GTK EXPORTER
+// ==========================================
+
+/**
+ * GTK 4 interface exporter, GtkBuilder XML by default
+ */
+export class GtkExporter extends BaseExporter {
+    constructor(config = {}) {
+        super(config);
+    }
+
+    // ==========================================
+    // METADATA
+    // ==========================================
+
+    get id() { return 'gtk'; }
+    get name() { return 'GTK 4 UI'; }
+    get description() { return 'Export UI components as a GTK 4 GtkBuilder interface (.ui)'; }
+    get fileExtension() { return '.ui'; }
+    get mimeType() { return 'application/x-gtk-builder'; }
+    get category() { return ExportCategory.UIFramework; }
+
+    // ==========================================
+    // CAPABILITIES
+    // ==========================================
+
+    get supportsColors() { return false; }
+    get supportsComponents() { return true; }
+    get supportsLayers() { return true; }
+    get supportsAnimations() { return false; }
+    get requiresBuffer() { return false; }
+
+    get defaultOptions() {
+        return {
+            ...super.defaultOptions,
+            className: 'AsciiArtView',
+            // 'ui' (GtkBuilder XML) or 'blueprint'
+            format: 'ui',
+            cellWidth: 8,
+            cellHeight: 16,
+            indentSize: 2,
+            translatable: true,
+            generateComments: true
+        };
+    }
+
+    // ==========================================
+    // VALIDATION
+    // ==========================================
+
+    _doValidate(document, result) {
+        const objects = getSceneObjects(document);
+        if (!objects.some(obj => obj.uiComponentType || obj.avaloniaType)) {
+            result.addWarning('NO_COMPONENTS', 'Document contains no UI components');
+        }
+    }
+
+    // ==========================================
+    // EXPORT IMPLEMENTATION
+    // ==========================================
+
+    _doExport(document, options) {
+        this._options = options;
+        this._bindings = [];
+        this._layout = new GtkLayoutTransformer({
+            cellWidth: options.cellWidth,
+            cellHeight: options.cellHeight
+        });
+
+        const width = document.width || document.canvas?.width || this._getBufferDimensions(this._getBuffer(document)).width || 80;
+        const height = document.height || document.canvas?.height || this._getBufferDimensions(this._getBuffer(document)).height || 24;
+        const bounds = { x: 0, y: 0, width, height };
+
+        const roots = this._createEntries(getSceneObjects(document));
+        const root = this._buildWindow(roots, bounds);
+        root.id = gtkIdentifier(options.className);
+
+        return options.format === 'blueprint'
+            ? this._generateBlueprint(root, options)
+            : this._generateBuilder(root, options);
+    }
+
+    /**
+     * The top-level GtkWindow. A mockup that is a single Window component
+     * becomes that window; anything else is placed inside one.
+     * @private
+     */
+    _buildWindow(roots, bounds) {
+        const windowEntry = roots.length === 1 && WINDOW_TYPES.has(roots[0].type) ? roots[0] : null;
+
+        if (windowEntry) {
+            const props = getComponentProperties(windowEntry);
+            const window = widget('GtkWindow', {
+                title: this._text(props, 'title'),
+                'default-width': this._layout.toPixels(windowEntry.bounds.width),
+                'default-height': this._layout.toPixels(windowEntry.bounds.height, true)
+            });
+            if (windowEntry.type === 'Dialog') window.properties.modal = true;
+            if (props.canResize === false) window.properties.resizable = false;
+            const content = this._buildContent(windowEntry.children, innerBounds(windowEntry.bounds, 3));
+            if (content) window.children.push(content);
+            return window;
+        }
+
+        const window = widget('GtkWindow', {
+            'default-width': this._layout.toPixels(bounds.width),
+            'default-height': this._layout.toPixels(bounds.height, true)
+        });
+        if (roots.length > 0) {
+            const props = this._layoutProps({ layoutMode: LayoutMode.NONE }, bounds);
+            window.children.push(widget('GtkOverlay', {}, this._placeChildren(roots, props, bounds)));
+        }
+        return window;
+    }
+
+    // ==========================================
+    // SCENE TREE
+    // ==========================================
+
+    /**
+     * Build the component tree
+     * @private
+     */
+    _createEntries(objects) {
+        return buildComponentTree(objects, {
+            getMapping: type => frameworkMappingRegistry.getMapping(UIFramework.GTK, type),
+            isContainer: mapping => CONTAINER_WIDGETS.has(mapping?.targetType)
+        });
+    }
+
+    /**
+     * Normalized layout properties using the sketched bounds
+     * @private
+     */
+    _layoutProps(obj, bounds) {
+        return {
+            ...this._layout.extractLayoutProperties(obj),
+            width: bounds.width,
+            height: bounds.height
+        };
+    }
+
+    // ==========================================
+    // BINDINGS
+    // ==========================================
+
+    /**
+     * Property path of a {Binding Path} expression
+     * @private
+     * @returns {string|null}
+     */
+    _bindingPath(value) {
+        if (typeof value !== 'string') return null;
+        const match = value.match(/^\{(?:Binding|x:Bind)\s+(?:Path=)?([A-Za-z_][\w.]*)/);
+        return match ? match[1].split('.').pop() : null;
+    }
+
+    /**
+     * A string property as a (translatable) text value. GtkBuilder has no
+     * data binding, so bound properties are left unset and noted.
+     * @private
+     * @returns {{text: string, translatable: boolean}|null}
+     */
+    _text(props, key) {
+        const path = this._bindingPath(props[key]);
+        if (path) {
+            this._bindings.push(`${key} is bound to ${path}`);
+            return null;
+        }
+        const value = String(props[key] ?? '');
+        return text(value, this._options.translatable && value !== '');
+    }
+
+    // ==========================================
+    // PLACEMENT
+    // ==========================================
+
+    /**
+     * Build child widgets and place them for the parent layout
+     * @private
+     * @param {Array} entries - Child entries
+     * @param {LayoutProperties} parentProps - Parent layout properties
+     * @param {object} parentBounds - Parent content bounds in cells
+     * @param {object|null} [fillers] - Filler boxes { before, between, after } along the main axis
+     * @returns {Array} Widget nodes and comments
+     */
+    _placeChildren(entries, parentProps, parentBounds, fillers = null) {
+        const positioned = !parentProps || parentProps.layoutMode === LayoutMode.NONE;
+        const children = [];
+        let expands = false;
+
+        for (const entry of entries) {
+            const built = this._buildEntry(entry);
+            if (!built) continue;
+            if (built.comment) {
+                children.push(built);
+                continue;
+            }
+
+            const childBounds = {
+                x: entry.bounds.x - parentBounds.x,
+                y: entry.bounds.y - parentBounds.y,
+                width: entry.bounds.width,
+                height: entry.bounds.height
+            };
+            const placement = this._layout.transformChildLayout(
+                this._layoutProps(entry.obj, entry.bounds),
+                parentProps,
+                { parentBounds, childBounds }
+            );
+            if (placement.hexpand || placement.vexpand) expands = true;
+
+            for (const note of built.notes) {
+                if (this._options.generateComments) children.push({ comment: note });
+            }
+            this._place(built, placement);
+            if (positioned) built.node.childType = 'overlay';
+            children.push(built.node);
+        }
+
+        // An expanding child already takes the spare space
+        if (!fillers || expands || !children.some(child => !child.comment)) return children;
+
+        const filler = () => widget('GtkBox', {
+            [this._layout.isHorizontalLayout(parentProps.layoutMode) ? 'hexpand' : 'vexpand']: true
+        });
+        const result = [];
+        if (fillers.before) result.push(filler());
+        children.forEach((child, i) => {
+            if (fillers.between && i > 0 && !child.comment) result.push(filler());
+            result.push(child);
+        });
+        if (fillers.after) result.push(filler());
+        return result;
+    }
+
+    /**
+     * Apply placement properties to a built widget. A widget's own inset
+     * (its padding as margins) adds to the placement margins and comes off
+     * its size request, which excludes margins.
+     * @private
+     */
+    _place(built, placement) {
+        const { node, inset = {} } = built;
+        const merged = { ...placement };
+
+        for (const margin of MARGINS) {
+            const total = (merged[margin] || 0) + (inset[margin] || 0);
+            if (total !== 0) merged[margin] = total;
+        }
+        if (merged['width-request'] !== undefined) {
+            merged['width-request'] = Math.max(0,
+                merged['width-request'] - (inset['margin-start'] || 0) - (inset['margin-end'] || 0));
+        }
+        if (merged['height-request'] !== undefined) {
+            merged['height-request'] = Math.max(0,
+                merged['height-request'] - (inset['margin-top'] || 0) - (inset['margin-bottom'] || 0));
+        }
+
+        // Alignment first, then margins, then size requests
+        const ordered = {};
+        for (const [name, value] of Object.entries(merged)) {
+            if (!MARGINS.includes(name) && !name.endsWith('-request')) ordered[name] = value;
+        }
+        for (const name of [...MARGINS, 'width-request', 'height-request']) {
+            if (merged[name] !== undefined) ordered[name] = merged[name];
+        }
+
+        for (const margin of MARGINS) delete node.properties[margin];
+        node.properties = { ...ordered, ...node.properties };
+        return node;
+    }
+
+    /**
+     * A single child sized to its sketch, or an overlay of placed children
+     * @private
+     * @returns {object|null} Widget node
+     */
+    _buildContent(entries, bounds) {
+        if (entries.length === 0) return null;
+        if (entries.length === 1) {
+            const built = this._buildEntry(entries[0]);
+            if (!built || built.comment) return null;
+            return this._place(built, {
+                'width-request': this._layout.toPixels(entries[0].bounds.width),
+                'height-request': this._layout.toPixels(entries[0].bounds.height, true)
+            });
+        }
+        const props = this._layoutProps({ layoutMode: LayoutMode.NONE }, bounds);
+        return widget('GtkOverlay', {}, this._placeChildren(entries, props, bounds));
+    }
+
+    // ==========================================
+    // WIDGETS
+    // ==========================================
+
+    /**
+     * Build the widget for a tree entry
+     * @private
+     * @returns {{node: object, notes: Array<string>, inset: object}|{comment: string}|null}
+     */
+    _buildEntry(entry) {
+        const { obj } = entry;
+
+        if (entry.type) {
+            return this._buildComponent(entry);
+        }
+        if (CONTAINER_OBJECT_TYPES.has(obj.type) || obj.children?.length > 0 ||
+            (obj.layoutMode && obj.layoutMode !== LayoutMode.NONE)) {
+            return this._buildFrame(entry);
+        }
+        if (obj.type === 'text') {
+            const node = widget('GtkLabel', { label: text(obj.text), xalign: 0 });
+            node.styles.push('monospace');
+            return { node, notes: [], inset: {} };
+        }
+        if (obj.type === 'rectangle') {
+            const node = widget('GtkFrame');
+            if (obj.label) node.children.push(widget('GtkLabel', { label: text(obj.label) }));
+            return { node, notes: [], inset: {} };
+        }
+
+        const label = obj.name ? ` "${obj.name}"` : '';
+        return { comment: `${obj.type}${label} has no GTK equivalent` };
+    }
+
+    /**
+     * Frames and groups: auto-layout becomes a GtkBox or GtkFlowBox,
+     * otherwise an overlay. Padding becomes the container's inset, a
+     * border a GtkFrame around it.
+     * @private
+     */
+    _buildFrame(entry) {
+        const { obj } = entry;
+        const props = this._layoutProps(obj, entry.bounds);
+        const layout = this._layout.transformContainerLayout(props);
+        const notes = [];
+
+        // Auto-layout keeps the frame's child order; absolute children keep their offsets
+        const children = this._placeChildren(entry.children, props, entry.bounds, layout.fillers);
+        const node = widget(layout.widget, { ...layout.properties }, children);
+        if (layout.clip) node.properties.overflow = 'hidden';
+        if (obj.backgroundColor) notes.push(`Background ${obj.backgroundColor} needs a CSS style class`);
+
+        if (obj.showBorder) {
+            this._place({ node, inset: layout.margins }, {});
+            return { node: widget('GtkFrame', {}, [node]), notes, inset: {} };
+        }
+        return { node, notes, inset: layout.margins };
+    }
+
+    /**
+     * UI components mapped through the GTK framework mappings
+     * @private
+     */
+    _buildComponent(entry) {
+        const props = getComponentProperties(entry);
+        if (props.isVisible === false) return null;
+
+        // Children are built inside _buildWidget and note their own bindings
+        const outer = this._bindings;
+        this._bindings = [];
+        const targetType = entry.mapping?.targetType;
+        let node = targetType ? this._buildWidget(targetType, entry, props) : null;
+        const bindings = this._bindings;
+        this._bindings = outer;
+        const notes = [];
+
+        if (!node) {
+            // Framed placeholder where the control goes
+            node = widget('GtkFrame', {}, [widget('GtkLabel', { label: text(entry.type) })]);
+            notes.push(`${entry.type} has no GTK mapping`);
+        }
+        for (const binding of bindings) notes.push(`${entry.type} ${binding}`);
+
+        if (props.isEnabled === false) node.properties.sensitive = false;
+        if (typeof props.opacity === 'number' && props.opacity < 1) node.properties.opacity = props.opacity;
+        if (props.toolTip) node.properties['tooltip-text'] = text(props.toolTip, this._options.translatable);
+
+        return { node, notes, inset: {} };
+    }
+
+    /**
+     * @private
+     * @returns {object|null} Widget node, or null for unknown target types
+     */
+    _buildWidget(targetType, entry, props) {
+        const { bounds } = entry;
+
+        switch (targetType) {
+            // Buttons
+            case 'GtkButton':
+            case 'GtkToggleButton': {
+                const node = widget(targetType, { label: this._text(props, 'content') });
+                if (targetType === 'GtkToggleButton' && props.isChecked) node.properties.active = true;
+                if (props.isDefault) node.styles.push('suggested-action');
+                return node;
+            }
+
+            case 'GtkMenuButton': {
+                // Date pickers open a calendar, drop-down buttons their items
+                const isDate = entry.type === 'DatePicker' || entry.type === 'CalendarDatePicker';
+                const content = isDate
+                    ? widget('GtkCalendar')
+                    : widget('GtkBox', { orientation: 'vertical' }, (props.items || []).map(menuItem => {
+                        const button = widget('GtkButton', { label: text(getItemText(menuItem), this._options.translatable) });
+                        button.styles.push('flat');
+                        return button;
+                    }));
+                return widget('GtkMenuButton', {
+                    label: this._text(props, isDate ? 'watermark' : 'content'),
+                    popover: widget('GtkPopover', {}, [content])
+                });
+            }
+
+            case 'GtkLinkButton':
+                return widget('GtkLinkButton', {
+                    label: this._text(props, 'content'),
+                    uri: text(props.navigateUri || '')
+                });
+
+            case 'GtkCheckButton': {
+                const node = widget('GtkCheckButton', { label: this._text(props, 'content') });
+                if (props.isChecked) node.properties.active = true;
+                return node;
+            }
+
+            case 'GtkSwitch': {
+                // Switches have no label of their own
+                const toggle = widget('GtkSwitch', { valign: 'center' });
+                if (props.isChecked) toggle.properties.active = true;
+                return widget('GtkBox', { spacing: 8 }, [
+                    widget('GtkLabel', { label: this._text(props, 'content'), hexpand: true, xalign: 0 }),
+                    toggle
+                ]);
+            }
+
+            // Inputs
+            case 'GtkEntry':
+            case 'GtkSearchEntry':
+            case 'GtkPasswordEntry': {
+                const node = widget(targetType);
+                const placeholder = props.watermark || props.placeholder;
+                if (placeholder) node.properties['placeholder-text'] = text(placeholder, this._options.translatable);
+                if (targetType === 'GtkEntry' && props.text) node.properties.text = this._text(props, 'text');
+                if (targetType === 'GtkPasswordEntry') node.properties['show-peek-icon'] = true;
+                if (props.isReadOnly) node.properties.editable = false;
+                return node;
+            }
+
+            case 'GtkTextView': {
+                const node = widget('GtkTextView', { 'wrap-mode': 'word' });
+                if (props.text) node.properties.buffer = widget('GtkTextBuffer', { text: this._text(props, 'text') });
+                if (props.isReadOnly) node.properties.editable = false;
+                return node;
+            }
+
+            case 'GtkSpinButton': {
+                const isSet = value => value !== null && value !== undefined && value !== '';
+                const value = Number(props.value) || 0;
+                const node = widget('GtkSpinButton', {
+                    adjustment: widget('GtkAdjustment', {
+                        lower: isSet(props.minimum) ? Number(props.minimum) : Math.min(0, value),
+                        upper: isSet(props.maximum) ? Number(props.maximum) : Math.max(100, value),
+                        value,
+                        'step-increment': Number(props.increment) || 1
+                    })
+                });
+                if (Number(props.decimalPlaces) > 0) node.properties.digits = Number(props.decimalPlaces);
+                return node;
+            }
+
+            case 'GtkLabel': {
+                const key = props.text !== undefined ? 'text' : 'content';
+                const node = widget('GtkLabel', { label: this._text(props, key) });
+                if (props.horizontalContentAlignment !== 'Center') node.properties.xalign = 0;
+                if (entry.type === 'SelectableTextBlock') node.properties.selectable = true;
+                if (/\n/.test(props[key] ?? '') || props.textWrapping === 'Wrap') node.properties.wrap = true;
+                if (/bold/i.test(entry.obj.uiProperties?.fontWeight)) node.styles.push('heading');
+                return node;
+            }
+
+            case 'GtkScale': {
+                const min = Number(props.minimum) || 0;
+                const max = Number(props.maximum) || 100;
+                const value = Math.min(Math.max(Number(props.value) || 0, min), max);
+                const node = widget('GtkScale', {
+                    adjustment: widget('GtkAdjustment', {
+                        lower: min,
+                        upper: max,
+                        value,
+                        'step-increment': Number(props.smallChange) || 1
+                    })
+                });
+                if (props.orientation === 'Vertical') node.properties.orientation = 'vertical';
+                if (props.isDirectionReversed) node.properties.inverted = true;
+                return node;
+            }
+
+            case 'GtkCalendar': {
+                const date = props.selectedDate || props.displayDate;
+                const parsed = date ? new Date(date) : null;
+                const node = widget('GtkCalendar');
+                if (parsed && !isNaN(parsed)) {
+                    node.properties.year = parsed.getFullYear();
+                    node.properties.month = parsed.getMonth();
+                    node.properties.day = parsed.getDate();
+                }
+                return node;
+            }
+
+            case 'GtkColorDialogButton': {
+                const dialog = widget('GtkColorDialog');
+                if (props.isAlphaEnabled === false) dialog.properties['with-alpha'] = false;
+                const node = widget('GtkColorDialogButton', { dialog });
+                if (props.color) node.properties.rgba = text(props.color);
+                return node;
+            }
+
+            // Selections
+            case 'GtkDropDown': {
+                const model = widget('GtkStringList');
+                model.items = (props.items || []).map(option =>
+                    text(getItemText(option), this._options.translatable));
+                const node = widget('GtkDropDown', { model });
+                const selected = Number(props.selectedIndex);
+                if (selected > 0) node.properties.selected = selected;
+                if (props.isEditable) node.properties['enable-search'] = true;
+                return node;
+            }
+
+            case 'GtkListBox': {
+                const rows = entry.children.length > 0
+                    ? this._placeChildren(sortByPosition(entry.children),
+                        this._layoutProps({ layoutMode: 'VERTICAL', layoutWrap: 'WRAP' }, bounds), bounds)
+                    : (props.items || []).map(row => widget('GtkLabel', {
+                        label: text(getItemText(row), this._options.translatable),
+                        xalign: 0
+                    }));
+                const node = widget('GtkListBox', {}, rows);
+                if (props.selectionMode === 'Multiple') node.properties['selection-mode'] = 'multiple';
+                node.styles.push('boxed-list');
+                return node;
+            }
+
+            // Containers
+            case 'GtkWindow':
+            case 'GtkFrame': {
+                const titleKey = { Window: 'title', Dialog: 'title', GroupBox: 'header', Card: 'header' }[entry.type];
+                const top = titleKey ? (entry.type === 'GroupBox' ? 2 : 3) : 1;
+                const content = this._buildContent(entry.children, innerBounds(bounds, top));
+                // Windows cannot be nested; only a window mockup is a GtkWindow
+                const node = widget('GtkFrame', {}, content ? [content] : []);
+                if (titleKey && props[titleKey]) node.properties.label = this._text(props, titleKey);
+                if (entry.type === 'Card') {
+                    node.styles.push('card');
+                    if (!content && props.subheader) {
+                        node.children.push(widget('GtkLabel', { label: this._text(props, 'subheader') }));
+                    }
+                }
+                return node;
+            }
+
+            case 'GtkScrolledWindow': {
+                const node = widget('GtkScrolledWindow');
+                const content = this._buildContent(entry.children, innerBounds(bounds));
+                if (content) node.children.push(content);
+                return node;
+            }
+
+            case 'GtkExpander': {
+                const node = widget('GtkExpander', { label: this._text(props, 'header') });
+                if (props.isExpanded) node.properties.expanded = true;
+                const content = this._buildContent(entry.children, innerBounds(bounds, 2));
+                if (content) node.children.push(content);
+                return node;
+            }
+
+            case 'GtkNotebook':
+                return this._buildNotebook(entry, props);
+
+            // Layouts
+            case 'GtkBox':
+                return this._buildStackPanel(entry, props);
+
+            case 'GtkGrid':
+                return entry.type === 'UniformGrid'
+                    ? this._buildUniformGrid(entry, props)
+                    : this._buildGrid(entry, props);
+
+            case 'GtkFlowBox': {
+                const horizontal = props.orientation !== 'Vertical';
+                const layoutProps = this._layoutProps({
+                    layoutMode: horizontal ? 'HORIZONTAL' : 'VERTICAL',
+                    layoutWrap: 'WRAP'
+                }, bounds);
+                const layout = this._layout.transformContainerLayout(layoutProps);
+                return widget('GtkFlowBox', layout.properties,
+                    this._placeChildren(sortByPosition(entry.children, horizontal), layoutProps, bounds));
+            }
+
+            case 'GtkOverlay': {
+                const layoutProps = this._layoutProps({ layoutMode: LayoutMode.NONE }, bounds);
+                return widget('GtkOverlay', {}, this._placeChildren(entry.children, layoutProps, bounds));
+            }
+
+            case 'GtkSeparator':
+                return widget('GtkSeparator', {
+                    orientation: props.orientation === 'Vertical' ? 'vertical' : 'horizontal'
+                });
+
+            case 'GtkScrollbar': {
+                const min = Number(props.minimum) || 0;
+                const max = Number(props.maximum) || 0;
+                const viewport = Math.max(Number(props.viewportSize) || 0, 0);
+                return widget('GtkScrollbar', {
+                    orientation: props.orientation === 'Horizontal' ? 'horizontal' : 'vertical',
+                    adjustment: widget('GtkAdjustment', {
+                        lower: min,
+                        // The upper bound includes the visible page
+                        upper: Math.max(max, min) + viewport,
+                        value: Math.min(Math.max(Number(props.value) || 0, min), Math.max(max, min)),
+                        'page-size': viewport
+                    })
+                });
+            }
+
+            // Indicators
+            case 'GtkProgressBar': {
+                const node = widget('GtkProgressBar');
+                const min = Number(props.minimum) || 0;
+                const max = Number(props.maximum) || 100;
+                if (!props.isIndeterminate && max > min) {
+                    node.properties.fraction = Math.min(Math.max((Number(props.value) - min) / (max - min), 0), 1);
+                }
+                if (props.showProgressText) node.properties['show-text'] = true;
+                return node;
+            }
+
+            case 'GtkSpinner':
+                return widget('GtkSpinner', { spinning: true });
+
+            // Data display
+            case 'GtkPicture': {
+                if (!props.source) return widget('GtkImage', { 'icon-name': 'image-missing' });
+                const node = widget('GtkPicture', { file: text(props.source) });
+                if (CONTENT_FIT_MAP[props.stretch]) node.properties['content-fit'] = CONTENT_FIT_MAP[props.stretch];
+                return node;
+            }
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * StackPanel -> GtkBox
+     * @private
+     */
+    _buildStackPanel(entry, props) {
+        const horizontal = props.orientation === 'Horizontal';
+        const layoutProps = this._layoutProps({
+            layoutMode: horizontal ? 'HORIZONTAL' : 'VERTICAL',
+            itemSpacing: Number(props.spacing) || 0
+        }, entry.bounds);
+        const layout = this._layout.transformContainerLayout(layoutProps);
+        const children = this._placeChildren(sortByPosition(entry.children, horizontal), layoutProps, entry.bounds);
+
+        return widget('GtkBox', layout.properties, children);
+    }
+
+    /**
+     * Grid -> GtkGrid. Children go to the cell set by gridRow/gridColumn,
+     * or to the cell they were drawn in; star-sized cells expand them.
+     * @private
+     */
+    _buildGrid(entry, props) {
+        const columns = parseGridDefinitions(props.columnDefinitions);
+        const rows = parseGridDefinitions(props.rowDefinitions);
+        const isStar = definition => definition.endsWith('*');
+
+        return widget('GtkGrid', {}, this._placeInCells(sortByPosition(entry.children), child => {
+            const cell = getGridCell(child, entry.bounds, rows.length, columns.length);
+            const layout = { column: cell.column, row: cell.row };
+            if (cell.columnSpan > 1) layout['column-span'] = cell.columnSpan;
+            if (cell.rowSpan > 1) layout['row-span'] = cell.rowSpan;
+
+            const placement = {};
+            if (isStar(columns[cell.column])) placement.hexpand = true;
+            else placement['width-request'] = this._layout.toPixels(child.bounds.width);
+            if (isStar(rows[cell.row])) placement.vexpand = true;
+            else placement['height-request'] = this._layout.toPixels(child.bounds.height, true);
+            return { layout, placement };
+        }));
+    }
+
+    /**
+     * UniformGrid -> homogeneous GtkGrid filled in reading order
+     * @private
+     */
+    _buildUniformGrid(entry, props) {
+        const columns = Number(props.columns) > 0
+            ? Number(props.columns)
+            : Math.max(1, Math.ceil(Math.sqrt(entry.children.length)));
+        let index = 0;
+
+        return widget('GtkGrid', {
+            'row-homogeneous': true,
+            'column-homogeneous': true
+        }, this._placeInCells(sortByPosition(entry.children), () => {
+            const cell = index++;
+            return {
+                layout: { column: cell % columns, row: Math.floor(cell / columns) },
+                placement: { hexpand: true, vexpand: true }
+            };
+        }));
+    }
+
+    /**
+     * Build grid children with the cell returned for each
+     * @private
+     * @param {Array} entries - Child entries in reading order
+     * @param {Function} place - (entry) => { layout, placement }
+     * @returns {Array} Widget nodes and comments
+     */
+    _placeInCells(entries, place) {
+        const children = [];
+        for (const child of entries) {
+            const built = this._buildEntry(child);
+            if (!built) continue;
+            if (built.comment) {
+                children.push(built);
+                continue;
+            }
+            for (const note of built.notes) {
+                if (this._options.generateComments) children.push({ comment: note });
+            }
+            const { layout, placement } = place(child);
+            this._place(built, placement);
+            built.node.layout = layout;
+            children.push(built.node);
+        }
+        return children;
+    }
+
+    /**
+     * TabControl -> GtkNotebook with a tab label per page.
+     * Components drawn inside the control fill the selected page.
+     * @private
+     */
+    _buildNotebook(entry, props) {
+        const tabs = (props.tabs?.length > 0 ? props.tabs : [{ header: 'Tab 1' }])
+            .map((tab, i) => String(tab?.header ?? tab ?? `Tab ${i + 1}`));
+        const selected = Math.min(Math.max(Number(props.selectedIndex) || 0, 0), tabs.length - 1);
+        const content = this._buildContent(entry.children, innerBounds(entry.bounds, 3));
+
+        const node = widget('GtkNotebook');
+        if (selected > 0) node.properties.page = selected;
+        tabs.forEach((header, i) => {
+            node.children.push((i === selected && content) || widget('GtkBox'));
+            const tab = widget('GtkLabel', { label: text(header, this._options.translatable) });
+            tab.childType = 'tab';
+            node.children.push(tab);
+        });
+        return node;
+    }
+
+    // ==========================================
+    // BLUEPRINT OUTPUT
+    // ==========================================
+
+    /**
+     * Write the widget tree as Blueprint
+     * @private
+     */
+    _generateBlueprint(root, options) {
+        const lines = [];
+        if (options.generateComments) {
+            lines.push('// Generated by Asciistrator - GTK 4 Blueprint');
+        }
+        lines.push('using Gtk 4.0;');
+        lines.push('');
+        lines.push(this._emitBlueprint(root, 0));
+        lines.push('');
+        return lines.join('\n');
+    }
+
+    /**
+     * Write a widget node as a Blueprint object
+     * @private
+     * @param {object} node - Widget node
+     * @param {number} level - Indentation level of the line the object starts on
+     * @returns {string}
+     */
+    _emitBlueprint(node, level) {
+        const indent = lvl => this._indent(lvl, ' '.repeat(this._options.indentSize));
+        const type = node.klass.replace(/^Gtk/, '');
+        const prefix = node.childType ? `[${node.childType}] ` : '';
+        const header = `${prefix}${type}${node.id ? ` ${node.id}` : ''}`;
+
+        const body = [];
+        for (const [name, value] of Object.entries(node.properties)) {
+            if (value === null || value === undefined) continue;
+            body.push(`${indent(level + 1)}${name}: ${this._blueprintValue(value, level + 1)};`);
+        }
+        if (node.items) {
+            body.push(`${indent(level + 1)}strings [${node.items.map(item => this._blueprintValue(item)).join(', ')}]`);
+        }
+        if (node.styles.length > 0) {
+            body.push(`${indent(level + 1)}styles [${node.styles.map(style => blueprintString(style)).join(', ')}]`);
+        }
+        if (node.layout) {
+            body.push(`${indent(level + 1)}layout {`);
+            for (const [name, value] of Object.entries(node.layout)) {
+                body.push(`${indent(level + 2)}${name}: ${this._blueprintValue(value)};`);
+            }
+            body.push(`${indent(level + 1)}}`);
+        }
+        if (node.children.length > 0) {
+            if (body.length > 0) body.push('');
+            for (const child of node.children) {
+                body.push(child.comment !== undefined
+                    ? `${indent(level + 1)}// ${child.comment}`
+                    : `${indent(level + 1)}${this._emitBlueprint(child, level + 1)}`);
+            }
+        }
+
+        if (body.length === 0) return `${header} {}`;
+        return `${header} {\n${body.join('\n')}\n${indent(level)}}`;
+    }
+
+    /**
+     * @private
+     */
+    _blueprintValue(value, level = 0) {
+        if (typeof value === 'number') return gtkNumber(value);
+        if (typeof value === 'boolean') return String(value);
+        if (value && value.klass) return this._emitBlueprint(value, level);
+        if (value && typeof value === 'object') {
+            return value.translatable ? `_(${blueprintString(value.text)})` : blueprintString(value.text);
+        }
+        // Enum nicks and identifiers
+        return String(value);
+    }
+
+    // ==========================================
+    // GTKBUILDER OUTPUT
+    // ==========================================
+
+    /**
+     * Write the widget tree as GtkBuilder XML
+     * @private
+     */
+    _generateBuilder(root, options) {
+        const indent = lvl => this._indent(lvl, ' '.repeat(options.indentSize));
+        const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+        if (options.generateComments) {
+            lines.push('<!-- Generated by Asciistrator - GTK 4 UI -->');
+        }
+        lines.push('<interface>');
+        lines.push(`${indent(1)}<requires lib="gtk" version="4.0"/>`);
+        this._emitObject(root, 1, lines);
+        lines.push('</interface>');
+        lines.push('');
+        return lines.join('\n');
+    }
+
+    /**
+     * Write a widget node as an <object> element
+     * @private
+     * @param {object} node - Widget node
+     * @param {number} level - Indentation level of the element
+     * @param {Array<string>} lines - Output lines
+     */
+    _emitObject(node, level, lines) {
+        const indent = lvl => this._indent(lvl, ' '.repeat(this._options.indentSize));
+        const id = node.id ? ` id="${xmlEscape(node.id)}"` : '';
+        const properties = Object.entries(node.properties).filter(([, value]) => value !== null && value !== undefined);
+        const hasBody = properties.length > 0 || node.items || node.styles.length > 0 ||
+            node.layout || node.children.length > 0;
+
+        if (!hasBody) {
+            lines.push(`${indent(level)}<object class="${node.klass}"${id}/>`);
+            return;
+        }
+        lines.push(`${indent(level)}<object class="${node.klass}"${id}>`);
+
+        for (const [name, value] of properties) {
+            this._emitProperty(name, value, level + 1, lines);
+        }
+        if (node.items) {
+            lines.push(`${indent(level + 1)}<items>`);
+            for (const item of node.items) {
+                const translatable = item.translatable ? ' translatable="yes"' : '';
+                lines.push(`${indent(level + 2)}<item${translatable}>${xmlEscape(item.text)}</item>`);
+            }
+            lines.push(`${indent(level + 1)}</items>`);
+        }
+        if (node.styles.length > 0) {
+            lines.push(`${indent(level + 1)}<style>`);
+            for (const style of node.styles) lines.push(`${indent(level + 2)}<class name="${xmlEscape(style)}"/>`);
+            lines.push(`${indent(level + 1)}</style>`);
+        }
+        if (node.layout) {
+            lines.push(`${indent(level + 1)}<layout>`);
+            for (const [name, value] of Object.entries(node.layout)) {
+                this._emitProperty(name, value, level + 2, lines);
+            }
+            lines.push(`${indent(level + 1)}</layout>`);
+        }
+        for (const child of node.children) {
+            if (child.comment !== undefined) {
+                // '--' may not appear inside an XML comment
+                lines.push(`${indent(level + 1)}<!-- ${String(child.comment).replace(/--/g, '- -')} -->`);
+                continue;
+            }
+            const type = child.childType ? ` type="${child.childType}"` : '';
+            lines.push(`${indent(level + 1)}<child${type}>`);
+            this._emitObject(child, level + 2, lines);
+            lines.push(`${indent(level + 1)}</child>`);
+        }
+
+        lines.push(`${indent(level)}</object>`);
+    }
+
+    /**
+     * Write a <property> element
+     * @private
+     */
+    _emitProperty(name, value, level, lines) {
+        const indent = lvl => this._indent(lvl, ' '.repeat(this._options.indentSize));
+
+        if (value && value.klass) {
+            lines.push(`${indent(level)}<property name="${name}">`);
+            this._emitObject(value, level + 1, lines);
+            lines.push(`${indent(level)}</property>`);
+            return;
+        }
+
+        let content;
+        let translatable = '';
+        if (typeof value === 'number') {
+            content = gtkNumber(value);
+        } else if (value && typeof value === 'object') {
+            content = xmlEscape(value.text);
+            if (value.translatable) translatable = ' translatable="yes"';
+        } else {
+            content = xmlEscape(value);
+        }
+        lines.push(`${indent(level)}<property name="${name}"${translatable}>${content}</property>`);
+    }
+}
+
+// ==========================================
+// SPECIALIZED EXPORTERS
+// ==========================================
+
+/**
+ * Blueprint variant of the GTK exporter
+ */
+export class GtkBlueprintExporter extends GtkExporter {
+    get id() { return 'gtk-blueprint'; }
+    get name() { return 'GTK 4 Blueprint'; }
+    get description() { return 'Export UI components as a GTK 4 Blueprint file (.blp)'; }
+    get fileExtension() { return '.blp'; }
+    get mimeType() { return 'text/x-blueprint'; }
+
+    get defaultOptions() {
+        return {
+            ...super.defaultOptions,
+            format: 'blueprint'
+        };
+    }
+}
+
+// ==========================================
+// DEFAULT EXPORT
+// ==========================================
+
+export default GtkExporter;
@@ -1,13 +1,15 @@
 /**
  * Asciistrator - HTML Exporter
  * 
- * Exports ASCII art as styled HTML with color support.
+ * Exports ASCII art as styled HTML with foreground and background colors
+ * and bold, italic, underline and reverse attributes.
  * 
  * @version 1.0.0
  */
 
 import BaseExporter from './BaseExporter.js';
 import { ExportCategory } from '../ExporterRegistry.js';
+import { cellStyleToCSS } from '../../core/ascii/rasterizer.js';
 
 // ==========================================
 // HTML EXPORTER
@@ -73,23 +75,25 @@ export class HTMLExporter extends BaseExporter {
         }
         
         const { width, height } = this._getBufferDimensions(buffer);
+        const defaults = { color: options.defaultColor, background: options.backgroundColor };
         let html = '';
         
-        // Build HTML content with color spans
+        // Build HTML content with styled spans
         for (let y = 0; y < height; y++) {
-            let currentColor = null;
+            let currentStyle = '';
             let currentSpan = '';
             
             for (let x = 0; x < width; x++) {
                 const char = this._getChar(buffer, x, y);
-                const color = this._getColor(buffer, x, y);
+                const cell = this._getCellStyle(buffer, x, y, options.backgroundColor);
+                const style = cellStyleToCSS(cell.color, cell.background, cell.attributes, defaults);
                 
-                if (options.useSpans && color !== currentColor) {
+                if (options.useSpans && style !== currentStyle) {
                     // Close previous span
                     if (currentSpan) {
-                        html += this._createColorSpan(currentSpan, currentColor, options);
+                        html += this._createStyledSpan(currentSpan, currentStyle, options);
                     }
-                    currentColor = color;
+                    currentStyle = style;
                     currentSpan = char;
                 } else {
                     currentSpan += char;
@@ -98,7 +102,7 @@ export class HTMLExporter extends BaseExporter {
             
             // Close last span of line
             if (currentSpan) {
-                html += this._createColorSpan(currentSpan, currentColor, options);
+                html += this._createStyledSpan(currentSpan, currentStyle, options);
             }
             html += '\n';
         }
@@ -114,14 +118,17 @@ export class HTMLExporter extends BaseExporter {
     }
     
     /**
-     * Create a color span
+     * Create a styled span
      * @private
+     * @param {string} text 
+     * @param {string} style - Inline CSS of the cells, empty for plain text
+     * @param {object} options 
      */
-    _createColorSpan(text, color, options) {
+    _createStyledSpan(text, style, options) {
         const escapedText = this._escapeHtml(text);
         
-        if (color && options.useSpans) {
-            return `<span style="color:${color}">${escapedText}</span>`;
+        if (style && options.useSpans) {
+            return `<span style="${style}">${escapedText}</span>`;
         }
         
         return escapedText;
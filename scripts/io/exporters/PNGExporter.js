@@ -1,13 +1,15 @@
 /**
  * Asciistrator - PNG Exporter
  * 
- * Renders ASCII art to PNG image using canvas.
+ * Renders ASCII art to PNG image using canvas, with cell backgrounds and
+ * bold, italic, underlined and reversed text.
  * 
  * @version 1.0.0
  */
 
 import BaseExporter from './BaseExporter.js';
 import { ExportCategory } from '../ExporterRegistry.js';
+import { CellAttribute } from '../../core/ascii/rasterizer.js';
 
 // ==========================================
 // PNG EXPORTER
@@ -40,6 +42,7 @@ export class PNGExporter extends BaseExporter {
     get supportsComponents() { return false; }
     get supportsLayers() { return false; }
     get supportsAnimations() { return false; }
+    get requiresCanvas() { return true; }
     
     get defaultOptions() {
         return {
@@ -72,51 +75,8 @@ export class PNGExporter extends BaseExporter {
             return this._createEmptyImage(options);
         }
         
-        const { width, height } = this._getBufferDimensions(buffer);
-        
-        // Calculate canvas size
-        const canvasWidth = Math.ceil(width * options.cellWidth * options.scale + options.padding * 2);
-        const canvasHeight = Math.ceil(height * options.cellHeight * options.scale + options.padding * 2);
-        
-        // Create canvas
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        
-        canvas.width = canvasWidth;
-        canvas.height = canvasHeight;
-        
-        // Configure rendering
-        if (!options.antiAlias) {
-            ctx.imageSmoothingEnabled = false;
-        }
-        
-        // Draw background
-        ctx.fillStyle = options.backgroundColor;
-        ctx.fillRect(0, 0, canvasWidth, canvasHeight);
-        
-        // Setup font
-        const scaledFontSize = options.fontSize * options.scale;
-        ctx.font = `${options.fontWeight} ${scaledFontSize}px ${options.fontFamily}`;
-        ctx.textBaseline = 'top';
-        
-        // Render characters
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                const char = this._getChar(buffer, x, y);
-                if (char === ' ') continue; // Skip spaces for performance
-                
-                const color = this._getColor(buffer, x, y) || options.defaultColor;
-                ctx.fillStyle = color;
-                
-                const px = options.padding + x * options.cellWidth * options.scale;
-                const py = options.padding + y * options.cellHeight * options.scale;
-                
-                ctx.fillText(char, px, py);
-            }
-        }
-        
         // Return as data URL
-        return canvas.toDataURL('image/png', options.quality);
+        return this._renderToCanvas(buffer, options).toDataURL('image/png', options.quality);
     }
     
     /**
@@ -133,53 +93,76 @@ export class PNGExporter extends BaseExporter {
             return new Blob([await this._createEmptyImageBlob(mergedOptions)], { type: 'image/png' });
         }
         
+        const canvas = this._renderToCanvas(buffer, mergedOptions);
+        
+        // Convert to Blob
+        return new Promise((resolve) => {
+            canvas.toBlob(resolve, 'image/png', mergedOptions.quality);
+        });
+    }
+    
+    /**
+     * Draw the buffer onto a new canvas: cell backgrounds first, then the
+     * characters in the font of their attributes
+     * @private
+     */
+    _renderToCanvas(buffer, options) {
         const { width, height } = this._getBufferDimensions(buffer);
+        const cellWidth = options.cellWidth * options.scale;
+        const cellHeight = options.cellHeight * options.scale;
         
         // Calculate canvas size
-        const canvasWidth = Math.ceil(width * mergedOptions.cellWidth * mergedOptions.scale + mergedOptions.padding * 2);
-        const canvasHeight = Math.ceil(height * mergedOptions.cellHeight * mergedOptions.scale + mergedOptions.padding * 2);
+        const canvasWidth = Math.ceil(width * cellWidth + options.padding * 2);
+        const canvasHeight = Math.ceil(height * cellHeight + options.padding * 2);
         
-        // Create canvas
-        const canvas = document.createElement('canvas');
+        // Create canvas (the document parameters of the export methods hide the global one)
+        const canvas = globalThis.document.createElement('canvas');
         const ctx = canvas.getContext('2d');
         
         canvas.width = canvasWidth;
         canvas.height = canvasHeight;
         
         // Configure rendering
-        if (!mergedOptions.antiAlias) {
+        if (!options.antiAlias) {
             ctx.imageSmoothingEnabled = false;
         }
         
         // Draw background
-        ctx.fillStyle = mergedOptions.backgroundColor;
+        ctx.fillStyle = options.backgroundColor;
         ctx.fillRect(0, 0, canvasWidth, canvasHeight);
         
         // Setup font
-        const scaledFontSize = mergedOptions.fontSize * mergedOptions.scale;
-        ctx.font = `${mergedOptions.fontWeight} ${scaledFontSize}px ${mergedOptions.fontFamily}`;
+        const scaledFontSize = options.fontSize * options.scale;
         ctx.textBaseline = 'top';
         
-        // Render characters
+        // Render cells
         for (let y = 0; y < height; y++) {
             for (let x = 0; x < width; x++) {
                 const char = this._getChar(buffer, x, y);
-                if (char === ' ') continue;
+                const style = this._getDrawnCellStyle(buffer, x, y, options);
+                const px = options.padding + x * cellWidth;
+                const py = options.padding + y * cellHeight;
                 
-                const color = this._getColor(buffer, x, y) || mergedOptions.defaultColor;
-                ctx.fillStyle = color;
+                if (style.background) {
+                    ctx.fillStyle = style.background;
+                    ctx.fillRect(px, py, cellWidth, cellHeight);
+                }
                 
-                const px = mergedOptions.padding + x * mergedOptions.cellWidth * mergedOptions.scale;
-                const py = mergedOptions.padding + y * mergedOptions.cellHeight * mergedOptions.scale;
+                if (char === ' ') continue; // Skip spaces for performance
                 
+                const italic = style.attributes & CellAttribute.ITALIC ? 'italic ' : '';
+                const weight = style.attributes & CellAttribute.BOLD ? 'bold' : options.fontWeight;
+                ctx.font = `${italic}${weight} ${scaledFontSize}px ${options.fontFamily}`;
+                ctx.fillStyle = style.color;
                 ctx.fillText(char, px, py);
+                
+                if (style.attributes & CellAttribute.UNDERLINE) {
+                    ctx.fillRect(px, py + scaledFontSize + options.scale, cellWidth, Math.max(1, options.scale));
+                }
             }
         }
         
-        // Convert to Blob
-        return new Promise((resolve) => {
-            canvas.toBlob(resolve, 'image/png', mergedOptions.quality);
-        });
+        return canvas;
     }
     
     /**
@@ -0,0 +1,1095 @@
+/**
+ * Asciistrator - QML Exporter
+ *
+ * Exports UI component mockups as a Qt Quick (Qt 6) QML document:
+ * - UI components become QtQuick.Controls types, looked up in the
+ *   FrameworkMappings registry
+ * - Components drawn inside a container component (StackPanel, Grid,
+ *   GroupBox, TabControl, ...) become that item's children
+ * - StackPanel, Grid and frame auto-layout become ColumnLayout, RowLayout,
+ *   GridLayout and Flow with Layout.* attached properties; everything
+ *   else is positioned with x/y or anchors using the character cell size
+ * - Properties set to a {Binding Name} expression read a property
+ *   declared on the root item
+ *
+ * @version 1.0.0
+ */
+
+import BaseExporter from './BaseExporter.js';
+import { ExportCategory } from '../ExporterRegistry.js';
+import frameworkMappingRegistry, { UIFramework } from '../../components/FrameworkMappings.js';
+import {
+    CONTAINER_OBJECT_TYPES,
+    getSceneObjects,
+    buildComponentTree,
+    sortByPosition,
+    innerBounds,
+    getComponentProperties,
+    getGridCell,
+    parseGridDefinitions,
+    getItemText
+} from './ComponentTree.js';
+import { QmlLayoutTransformer } from './layout/QmlLayoutTransformer.js';
+import { LayoutMode } from './layout/LayoutExportEngine.js';
+
+// ==========================================
+// CONSTANTS
+// ==========================================
+
+/**
+ * Types that take the components drawn inside them as children
+ */
+const CONTAINER_TYPES = new Set([
+    'Page', 'Dialog', 'GroupBox', 'Frame', 'Rectangle', 'ScrollView', 'TabBar',
+    'ColumnLayout', 'GridLayout', 'Flow', 'Item', 'ListView'
+]);
+
+/**
+ * Controls with a hovered property, which can show an attached ToolTip
+ */
+const HOVERABLE_TYPES = new Set([
+    'Button', 'CheckBox', 'RadioButton', 'Switch', 'TextField', 'TextArea', 'SpinBox',
+    'Slider', 'RangeSlider', 'ComboBox', 'ProgressBar', 'GroupBox', 'Frame', 'Tumbler'
+]);
+
+/**
+ * QML types of root properties declared for a binding, with their initial values
+ */
+const PROPERTY_DEFAULTS = {
+    string: '""',
+    bool: 'false',
+    int: '0',
+    real: '0',
+    date: 'new Date()',
+    color: '"transparent"'
+};
+
+/**
+ * Map Image stretch modes to fill modes
+ */
+const FILL_MODE_MAP = {
+    None: 'Image.Pad',
+    Fill: 'Image.Stretch',
+    Uniform: 'Image.PreserveAspectFit',
+    UniformToFill: 'Image.PreserveAspectCrop'
+};
+
+// ==========================================
+// QML HELPERS
+// ==========================================
+
+/**
+ * Create an object declaration node
+ * @param {string} type - QML type, e.g. 'Button'
+ * @param {object} [properties] - Property values: QML expressions (strings),
+ *   numbers, booleans, nested nodes or arrays of expressions
+ * @param {Array} [children] - Child nodes and comments
+ * @returns {{type: string, id: string|null, properties: object, children: Array}}
+ */
+function item(type, properties = {}, children = []) {
+    return { type, id: null, properties, children };
+}
+
+/**
+ * Quote a value as a QML string literal
+ * @param {*} value
+ * @returns {string}
+ */
+export function qmlString(value) {
+    const escaped = String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\r/g, '')
+        .replace(/\n/g, '\\n')
+        .replace(/\t/g, '\\t');
+    return `"${escaped}"`;
+}
+
+/**
+ * Quote a color as a QML color literal
+ * @param {string} value - '#rgb', '#rrggbb', '#aarrggbb' or an SVG color name
+ * @returns {string|null}
+ */
+export function qmlColor(value) {
+    if (typeof value !== 'string') return null;
+    if (/^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(value) || /^[a-z]+$/i.test(value)) {
+        return `"${value}"`;
+    }
+    return null;
+}
+
+/**
+ * Format a number as a QML literal
+ * @param {number} value
+ * @returns {string}
+ */
+function qmlNumber(value) {
+    return String(Number.isInteger(value) ? value : Math.round(value * 1000) / 1000);
+}
+
+/**
+ * Convert a name to a lowerCamelCase QML id
+ * @param {string} name
+ * @returns {string}
+ */
+function qmlIdentifier(name) {
+    const words = String(name || '').split(/[^A-Za-z0-9]+/).filter(Boolean);
+    const identifier = words
+        .map((word, i) => i === 0
+            ? word.charAt(0).toLowerCase() + word.slice(1)
+            : word.charAt(0).toUpperCase() + word.slice(1))
+        .join('');
+    if (!identifier) return 'item';
+    return /^[0-9]/.test(identifier) ? `item${identifier}` : identifier;
+}
+
+/**
+ * Escape text for a rich text (HTML) label
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/'/g, '&#39;');
+}
+
+// ==========================================
+// QML EXPORTER
+// ==========================================
+
+/**
+ * Qt Quick QML exporter
+ */
+export class QmlExporter extends BaseExporter {
+    constructor(config = {}) {
+        super(config);
+    }
+
+    // ==========================================
+    // METADATA
+    // ==========================================
+
+    get id() { return 'qml'; }
+    get name() { return 'Qt Quick QML'; }
+    get description() { return 'Export UI components as a Qt Quick document (.qml)'; }
+    get fileExtension() { return '.qml'; }
+    get mimeType() { return 'text/x-qml'; }
+    get category() { return ExportCategory.UIFramework; }
+
+    // ==========================================
+    // CAPABILITIES
+    // ==========================================
+
+    get supportsColors() { return true; }
+    get supportsComponents() { return true; }
+    get supportsLayers() { return true; }
+    get supportsAnimations() { return false; }
+    get requiresBuffer() { return false; }
+
+    get defaultOptions() {
+        return {
+            ...super.defaultOptions,
+            className: 'AsciiArtView',
+            cellWidth: 8,
+            cellHeight: 16,
+            indentSize: 4,
+            lineWidth: 100,
+            translatable: true,
+            generateComments: true
+        };
+    }
+
+    // ==========================================
+    // VALIDATION
+    // ==========================================
+
+    _doValidate(document, result) {
+        const objects = getSceneObjects(document);
+        if (!objects.some(obj => obj.uiComponentType || obj.avaloniaType)) {
+            result.addWarning('NO_COMPONENTS', 'Document contains no UI components');
+        }
+    }
+
+    // ==========================================
+    // EXPORT IMPLEMENTATION
+    // ==========================================
+
+    _doExport(document, options) {
+        this._options = options;
+        this._layout = new QmlLayoutTransformer({
+            cellWidth: options.cellWidth,
+            cellHeight: options.cellHeight
+        });
+        this._imports = new Set(['QtQuick']);
+        /** @type {Map<string, {type: string, value: string}>} */
+        this._properties = new Map();
+        this._ids = new Set(['root']);
+
+        const width = document.width || document.canvas?.width || this._getBufferDimensions(this._getBuffer(document)).width || 80;
+        const height = document.height || document.canvas?.height || this._getBufferDimensions(this._getBuffer(document)).height || 24;
+        const bounds = { x: 0, y: 0, width, height };
+
+        const roots = this._createEntries(getSceneObjects(document));
+        const rootProps = this._layoutProps({ layoutMode: LayoutMode.NONE }, bounds);
+        const root = item('Item', {
+            width: this._layout.toPixels(width),
+            height: this._layout.toPixels(height, true)
+        }, this._placeChildren(roots, rootProps, bounds));
+        root.id = 'root';
+
+        return this._generateQml(this._sanitizeClassName(options.className), root, options);
+    }
+
+    /**
+     * Write the document around the root item
+     * @private
+     */
+    _generateQml(className, root, options) {
+        const lines = [];
+
+        if (options.generateComments) {
+            lines.push(`// ${className}.qml - generated by Asciistrator`);
+        }
+        for (const module of [...this._imports].sort()) {
+            lines.push(`import ${module}`);
+        }
+        lines.push('');
+
+        // Bound values become properties of the root item
+        const declarations = [...this._properties].map(([name, property]) =>
+            `property ${property.type} ${name}: ${property.value}`);
+        lines.push(this._emit(root, 0, declarations));
+        lines.push('');
+
+        return lines.join('\n');
+    }
+
+    // ==========================================
+    // SCENE TREE
+    // ==========================================
+
+    /**
+     * Build the component tree
+     * @private
+     */
+    _createEntries(objects) {
+        return buildComponentTree(objects, {
+            getMapping: type => {
+                const mapping = frameworkMappingRegistry.getMapping(UIFramework.Qt, type);
+                if (mapping?.targetImport) this._imports.add(mapping.targetImport);
+                return mapping;
+            },
+            isContainer: mapping => CONTAINER_TYPES.has(mapping?.targetType)
+        });
+    }
+
+    /**
+     * Normalized layout properties using the sketched bounds
+     * @private
+     */
+    _layoutProps(obj, bounds) {
+        return {
+            ...this._layout.extractLayoutProperties(obj),
+            width: bounds.width,
+            height: bounds.height
+        };
+    }
+
+    /**
+     * Unique id for an item, from the object name or component type
+     * @private
+     */
+    _id(entry, suffix = '') {
+        const obj = entry.obj;
+        const base = obj.name && obj.name !== entry.type ? obj.name : entry.type;
+        const stem = `${qmlIdentifier(base)}${suffix}`;
+        let id = stem;
+        for (let i = 2; this._ids.has(id); i++) id = `${stem}${i}`;
+        this._ids.add(id);
+        return id;
+    }
+
+    // ==========================================
+    // BINDINGS
+    // ==========================================
+
+    /**
+     * Property path of a {Binding Path} expression
+     * @private
+     * @returns {string|null}
+     */
+    _bindingPath(value) {
+        if (typeof value !== 'string') return null;
+        const match = value.match(/^\{(?:Binding|x:Bind)\s+(?:Path=)?([A-Za-z_][\w.]*)/);
+        return match ? match[1].split('.').pop() : null;
+    }
+
+    /**
+     * A component property as a literal, or a read of the root property it
+     * is bound to
+     * @private
+     * @param {object} props - Component properties
+     * @param {string} key - Property name
+     * @param {string} type - QML type of the root property
+     * @param {string} literal - Expression used when the property is not bound
+     * @returns {string} QML expression
+     */
+    _value(props, key, type, literal) {
+        const path = this._bindingPath(props[key]);
+        if (!path) return literal;
+        // Components bound to the same path read one property
+        const name = qmlIdentifier(path);
+        if (!this._properties.has(name)) this._properties.set(name, { type, value: PROPERTY_DEFAULTS[type] });
+        return `root.${name}`;
+    }
+
+    /**
+     * A string property as a (translatable) literal or a bound read
+     * @private
+     */
+    _string(props, key) {
+        return this._value(props, key, 'string', this._literal(props[key]));
+    }
+
+    /**
+     * @private
+     */
+    _literal(value) {
+        const text = String(value ?? '');
+        return this._options.translatable && text ? `qsTr(${qmlString(text)})` : qmlString(text);
+    }
+
+    // ==========================================
+    // PLACEMENT
+    // ==========================================
+
+    /**
+     * Build child items and place them for the parent layout
+     * @private
+     * @param {Array} entries - Child entries
+     * @param {LayoutProperties} parentProps - Parent layout properties
+     * @param {object} parentBounds - Parent content bounds in cells
+     * @param {object|null} [fillers] - Filler items { before, between, after } along the main axis
+     * @returns {Array} Item nodes and comments
+     */
+    _placeChildren(entries, parentProps, parentBounds, fillers = null) {
+        const children = [];
+        let fillsMain = false;
+
+        for (const entry of entries) {
+            const built = this._buildEntry(entry);
+            if (!built) continue;
+            if (built.comment) {
+                children.push(built);
+                continue;
+            }
+
+            const childBounds = {
+                x: entry.bounds.x - parentBounds.x,
+                y: entry.bounds.y - parentBounds.y,
+                width: entry.bounds.width,
+                height: entry.bounds.height
+            };
+            const placement = this._layout.transformChildLayout(
+                this._layoutProps(entry.obj, entry.bounds),
+                parentProps,
+                { parentBounds, childBounds }
+            );
+            if (fillers) fillsMain = fillsMain || this._layout.fillsMainAxis(placement, parentProps);
+
+            if (built.note && this._options.generateComments) {
+                children.push({ comment: built.note });
+            }
+            built.node.properties = { ...placement, ...built.node.properties };
+            children.push(built.node);
+        }
+
+        // A child taking the spare space already aligns the others
+        if (!fillers || fillsMain || !children.some(child => !child.comment)) return children;
+
+        const filler = () => item('Item', {
+            [this._layout.isHorizontalLayout(parentProps.layoutMode) ? 'Layout.fillWidth' : 'Layout.fillHeight']: true
+        });
+        const result = [];
+        if (fillers.before) result.push(filler());
+        children.forEach((child, i) => {
+            if (fillers.between && i > 0 && !child.comment) result.push(filler());
+            result.push(child);
+        });
+        if (fillers.after) result.push(filler());
+        return result;
+    }
+
+    /**
+     * Children positioned inside a container's content area
+     * @private
+     */
+    _positionChildren(entries, bounds) {
+        const props = this._layoutProps({ layoutMode: LayoutMode.NONE }, bounds);
+        return this._placeChildren(entries, props, bounds);
+    }
+
+    // ==========================================
+    // ITEMS
+    // ==========================================
+
+    /**
+     * Build the item for a tree entry
+     * @private
+     * @returns {{node: object, note: string|null}|{comment: string}|null}
+     */
+    _buildEntry(entry) {
+        const { obj } = entry;
+
+        if (entry.type) {
+            return this._buildComponent(entry);
+        }
+        if (CONTAINER_OBJECT_TYPES.has(obj.type) || obj.children?.length > 0 ||
+            (obj.layoutMode && obj.layoutMode !== LayoutMode.NONE)) {
+            return { node: this._buildFrame(entry), note: null };
+        }
+        if (obj.type === 'text') {
+            const node = item('Text', { text: qmlString(obj.text), 'font.family': '"monospace"' });
+            const color = qmlColor(obj.strokeColor);
+            if (color) node.properties.color = color;
+            return { node, note: null };
+        }
+        if (obj.type === 'rectangle') {
+            const node = item('Rectangle', {
+                color: '"transparent"',
+                'border.color': qmlColor(obj.strokeColor) || 'palette.windowText'
+            });
+            if (obj.label) {
+                node.children.push(item('Text', { 'anchors.centerIn': 'parent', text: qmlString(obj.label) }));
+            }
+            return { node, note: null };
+        }
+
+        const label = obj.name ? ` "${obj.name}"` : '';
+        return { comment: `${obj.type}${label} has no QML equivalent` };
+    }
+
+    /**
+     * Frames and groups: auto-layout becomes a layout, otherwise an Item
+     * with positioned children
+     * @private
+     */
+    _buildFrame(entry) {
+        const { obj } = entry;
+        const props = this._layoutProps(obj, entry.bounds);
+        const layout = this._layout.transformContainerLayout(props);
+        this._useLayouts(layout.type);
+
+        const color = qmlColor(obj.backgroundColor);
+        const decorated = Boolean(color || obj.showBorder);
+        const decoration = {};
+        if (decorated) {
+            decoration.color = color || '"transparent"';
+            if (obj.showBorder) decoration['border.color'] = qmlColor(obj.strokeColor) || 'palette.windowText';
+        }
+        if (layout.clip) decoration.clip = true;
+
+        // Auto-layout keeps the frame's child order; absolute children keep their offsets
+        const children = this._placeChildren(entry.children, props, entry.bounds, layout.fillers);
+
+        if (layout.type === 'Item') {
+            return item(decorated ? 'Rectangle' : 'Item', decoration, children);
+        }
+        const hasMargins = Object.keys(layout.margins).length > 0;
+        if (!decorated && !hasMargins) {
+            return item(layout.type, { ...decoration, ...layout.properties }, children);
+        }
+
+        // Padding and decoration go on a wrapper the layout fills
+        const inner = item(layout.type, {
+            'anchors.fill': 'parent',
+            ...layout.margins,
+            ...layout.properties
+        }, children);
+        return item(decorated ? 'Rectangle' : 'Item', decoration, [inner]);
+    }
+
+    /**
+     * Add the QtQuick.Layouts import for layout types
+     * @private
+     */
+    _useLayouts(type) {
+        if (/Layout$/.test(type)) this._imports.add('QtQuick.Layouts');
+    }
+
+    /**
+     * UI components mapped through the Qt framework mappings
+     * @private
+     */
+    _buildComponent(entry) {
+        const props = getComponentProperties(entry);
+        if (props.isVisible === false) return null;
+
+        const targetType = entry.mapping?.targetType;
+        let node = targetType ? this._buildItem(targetType, entry, props) : null;
+        let note = null;
+
+        if (!node) {
+            // Outline where the control goes
+            node = item('Rectangle', {
+                color: '"transparent"',
+                'border.color': 'palette.mid'
+            });
+            note = `${entry.type} has no QML mapping`;
+        }
+
+        if (props.isEnabled === false) node.properties.enabled = false;
+        if (typeof props.opacity === 'number' && props.opacity < 1) node.properties.opacity = props.opacity;
+        if (props.toolTip && HOVERABLE_TYPES.has(node.type)) {
+            node.properties['ToolTip.text'] = this._literal(props.toolTip);
+            node.properties['ToolTip.visible'] = 'hovered';
+        }
+
+        return { node, note };
+    }
+
+    /**
+     * @private
+     * @returns {object|null} Item node, or null for unknown target types
+     */
+    _buildItem(targetType, entry, props) {
+        const { bounds } = entry;
+
+        switch (targetType) {
+            // Buttons
+            case 'Button': {
+                const node = item('Button', { text: this._string(props, 'content') });
+                if (entry.type === 'RepeatButton') node.properties.autoRepeat = true;
+                if (entry.type === 'ToggleButton') {
+                    node.properties.checkable = true;
+                    node.properties.checked = this._value(props, 'isChecked', 'bool', String(Boolean(props.isChecked)));
+                }
+                if (props.isDefault) node.properties.highlighted = true;
+                return node;
+            }
+
+            case 'CheckBox':
+            case 'RadioButton':
+            case 'Switch': {
+                const node = item(targetType, {
+                    text: this._string(props, 'content'),
+                    checked: this._value(props, 'isChecked', 'bool', String(Boolean(props.isChecked)))
+                });
+                if (targetType === 'CheckBox' && props.isThreeState) node.properties.tristate = true;
+                return node;
+            }
+
+            // Text
+            case 'Label': {
+                if (entry.type === 'HyperlinkButton') {
+                    const href = escapeHtml(props.navigateUri || '#');
+                    return item('Label', {
+                        text: qmlString(`<a href='${href}'>${escapeHtml(props.content)}</a>`),
+                        onLinkActivated: 'link => Qt.openUrlExternally(link)'
+                    });
+                }
+                const node = item('Label', {
+                    text: this._string(props, props.text !== undefined ? 'text' : 'content')
+                });
+                this._textStyle(node, entry.obj.uiProperties || {});
+                return node;
+            }
+
+            case 'TextEdit': {
+                const node = item('TextEdit', {
+                    text: this._string(props, 'text'),
+                    readOnly: true,
+                    selectByMouse: true,
+                    wrapMode: 'TextEdit.Wrap'
+                });
+                this._textStyle(node, entry.obj.uiProperties || {});
+                return node;
+            }
+
+            // Inputs
+            case 'TextField':
+            case 'TextArea': {
+                const key = entry.type === 'PasswordBox' ? 'password' : 'text';
+                const node = item(targetType, {
+                    placeholderText: this._literal(props.watermark || props.placeholder || ''),
+                    text: this._string(props, key)
+                });
+                if (node.properties.text === '""') delete node.properties.text;
+                if (node.properties.placeholderText === '""') delete node.properties.placeholderText;
+                if (entry.type === 'PasswordBox') node.properties.echoMode = 'TextInput.Password';
+                if (targetType === 'TextArea') node.properties.wrapMode = 'TextArea.Wrap';
+                if (props.isReadOnly) node.properties.readOnly = true;
+                return node;
+            }
+
+            case 'SpinBox': {
+                // SpinBox counts in integers; its default range is 0 to 99
+                const value = Math.round(Number(props.value) || 0);
+                const isSet = v => v !== null && v !== undefined && v !== '';
+                const step = Math.round(Number(props.increment)) || 1;
+                const node = item('SpinBox', {
+                    from: isSet(props.minimum) ? Math.round(Number(props.minimum)) : Math.min(0, value),
+                    to: isSet(props.maximum) ? Math.round(Number(props.maximum)) : Math.max(99, value),
+                    value: this._value(props, 'value', 'int', qmlNumber(value))
+                });
+                if (step !== 1) node.properties.stepSize = step;
+                if (Number(props.decimalPlaces) > 0) node.properties.editable = true;
+                return node;
+            }
+
+            case 'Slider': {
+                const min = Number(props.minimum) || 0;
+                const max = Number(props.maximum) || 100;
+                const value = Math.min(Math.max(Number(props.value) || 0, min), max);
+                const tick = Number(props.tickFrequency) || 0;
+                const node = item('Slider', {
+                    from: min,
+                    to: max,
+                    value: this._value(props, 'value', 'real', qmlNumber(value))
+                });
+                if (props.isSnapToTickEnabled && tick > 0) {
+                    node.properties.stepSize = tick;
+                    node.properties.snapMode = 'Slider.SnapAlways';
+                }
+                if (props.orientation === 'Vertical') node.properties.orientation = 'Qt.Vertical';
+                return node;
+            }
+
+            case 'RangeSlider': {
+                const node = item('RangeSlider', {
+                    from: Number(props.minimum) || 0,
+                    to: Number(props.maximum) || 100,
+                    'first.value': this._value(props, 'lowerValue', 'real', qmlNumber(Number(props.lowerValue) || 0)),
+                    'second.value': this._value(props, 'upperValue', 'real', qmlNumber(Number(props.upperValue) || 0))
+                });
+                if (props.orientation === 'Vertical') node.properties.orientation = 'Qt.Vertical';
+                return node;
+            }
+
+            case 'MonthGrid': {
+                const date = props.selectedDate || props.displayDate;
+                const parsed = date ? new Date(date) : null;
+                const node = item('MonthGrid');
+                if (parsed && !isNaN(parsed)) {
+                    node.properties.month = parsed.getMonth();
+                    node.properties.year = parsed.getFullYear();
+                }
+                return node;
+            }
+
+            case 'Tumbler': {
+                // Hours and minutes side by side
+                this._useLayouts('RowLayout');
+                const [hours, minutes] = props.selectedTime
+                    ? String(props.selectedTime).split(':').map(Number)
+                    : [];
+                const is12Hour = props.clockIdentifier === '12HourClock';
+                const hour = item('Tumbler', { model: is12Hour ? 12 : 24 });
+                const minute = item('Tumbler', { model: 60 / (Number(props.minuteIncrement) || 1) });
+                if (Number.isFinite(hours)) hour.properties.currentIndex = is12Hour ? hours % 12 : hours;
+                if (Number.isFinite(minutes)) {
+                    minute.properties.currentIndex = Math.floor(minutes / (Number(props.minuteIncrement) || 1));
+                }
+                return item('RowLayout', {}, [hour, minute]);
+            }
+
+            // Selections
+            case 'ComboBox': {
+                const items = (props.items || []).map(entryItem => this._literal(getItemText(entryItem)));
+                const index = Number(props.selectedIndex);
+                const selected = Number.isFinite(index) ? Math.min(index, items.length - 1) : 0;
+                const node = item('ComboBox', {
+                    model: items,
+                    currentIndex: this._value(props, 'selectedIndex', 'int', qmlNumber(selected))
+                });
+                if (selected < 0 && props.placeholderText) {
+                    node.properties.displayText = `currentIndex < 0 ? ${this._literal(props.placeholderText)} : currentText`;
+                }
+                if (props.isEditable) node.properties.editable = true;
+                return node;
+            }
+
+            case 'ListView':
+                return this._buildList(entry, props);
+
+            case 'MenuBar':
+                return item('MenuBar', {}, (props.items || []).map(menu =>
+                    item('Menu', { title: this._literal(getItemText(menu)) })));
+
+            // Containers
+            case 'Page': {
+                const header = item('ToolBar', {}, [
+                    item('Label', {
+                        'anchors.verticalCenter': 'parent.verticalCenter',
+                        leftPadding: 8,
+                        text: this._string(props, 'title')
+                    })
+                ]);
+                return item('Page', { header }, this._positionChildren(entry.children, innerBounds(bounds, 3)));
+            }
+
+            case 'Dialog':
+                return item('Dialog', {
+                    title: this._string(props, 'title'),
+                    modal: true,
+                    visible: true
+                }, this._positionChildren(entry.children, innerBounds(bounds, 3)));
+
+            case 'GroupBox':
+                return item('GroupBox', { title: this._string(props, 'header') },
+                    this._positionChildren(entry.children, innerBounds(bounds, 2)));
+
+            case 'Frame': {
+                if (entry.children.length > 0 || !props.header) {
+                    return item('Frame', {}, this._positionChildren(entry.children, innerBounds(bounds)));
+                }
+                // An empty card shows its titles
+                this._useLayouts('ColumnLayout');
+                const titles = [item('Label', { text: this._string(props, 'header'), 'font.bold': true })];
+                if (props.subheader) titles.push(item('Label', { text: this._string(props, 'subheader') }));
+                return item('Frame', {}, [item('ColumnLayout', {}, titles)]);
+            }
+
+            case 'Rectangle':
+                return item('Rectangle', {
+                    color: qmlColor(props.background) || '"transparent"',
+                    'border.color': qmlColor(props.borderBrush) || 'palette.windowText'
+                }, this._positionChildren(entry.children, innerBounds(bounds)));
+
+            case 'ScrollView':
+                return item('ScrollView', {}, this._positionChildren(entry.children, innerBounds(bounds)));
+
+            case 'TabBar':
+                return this._buildTabs(entry, props);
+
+            // Layouts
+            case 'ColumnLayout':
+                return this._buildStackPanel(entry, props);
+
+            case 'GridLayout':
+                return entry.type === 'UniformGrid'
+                    ? this._buildUniformGrid(entry, props)
+                    : this._buildGrid(entry, props);
+
+            case 'Flow': {
+                const horizontal = props.orientation !== 'Vertical';
+                const layoutProps = this._layoutProps({
+                    layoutMode: horizontal ? 'HORIZONTAL' : 'VERTICAL',
+                    layoutWrap: 'WRAP'
+                }, bounds);
+                const layout = this._layout.transformContainerLayout(layoutProps);
+                return item('Flow', layout.properties,
+                    this._placeChildren(sortByPosition(entry.children, horizontal), layoutProps, bounds));
+            }
+
+            case 'Item':
+                return item('Item', {}, this._positionChildren(entry.children, bounds));
+
+            case 'ToolSeparator':
+                return item('ToolSeparator', {
+                    orientation: props.orientation === 'Vertical' ? 'Qt.Vertical' : 'Qt.Horizontal'
+                });
+
+            case 'ScrollBar': {
+                // The thumb covers the viewport's share of the scrollable range
+                const min = Number(props.minimum) || 0;
+                const viewport = Math.max(Number(props.viewportSize) || 0, 0);
+                const range = Math.max((Number(props.maximum) || 0) - min, 0) + viewport;
+                return item('ScrollBar', {
+                    orientation: props.orientation === 'Horizontal' ? 'Qt.Horizontal' : 'Qt.Vertical',
+                    policy: 'ScrollBar.AlwaysOn',
+                    size: qmlNumber(range > 0 ? viewport / range : 1),
+                    position: qmlNumber(range > 0 ? ((Number(props.value) || 0) - min) / range : 0)
+                });
+            }
+
+            // Navigation
+            case 'PageIndicator': {
+                const node = item('PageIndicator', {
+                    count: Math.max(Number(props.numberOfPages) || 0, 1),
+                    interactive: true
+                });
+                if (Number(props.selectedPageIndex) > 0) node.properties.currentIndex = Number(props.selectedPageIndex);
+                return node;
+            }
+
+            // Indicators
+            case 'ProgressBar': {
+                if (props.isIndeterminate) return item('ProgressBar', { indeterminate: true });
+                return item('ProgressBar', {
+                    from: Number(props.minimum) || 0,
+                    to: Number(props.maximum) || 100,
+                    value: this._value(props, 'value', 'real', qmlNumber(Number(props.value) || 0))
+                });
+            }
+
+            case 'BusyIndicator':
+                return item('BusyIndicator', { running: true });
+
+            // Data display
+            case 'Image': {
+                const node = item('Image', {
+                    source: this._value(props, 'source', 'string', qmlString(props.source || ''))
+                });
+                if (FILL_MODE_MAP[props.stretch]) node.properties.fillMode = FILL_MODE_MAP[props.stretch];
+                return node;
+            }
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * StackPanel -> ColumnLayout/RowLayout
+     * @private
+     */
+    _buildStackPanel(entry, props) {
+        const horizontal = props.orientation === 'Horizontal';
+        const layoutProps = this._layoutProps({
+            layoutMode: horizontal ? 'HORIZONTAL' : 'VERTICAL',
+            itemSpacing: Number(props.spacing) || 0
+        }, entry.bounds);
+        const layout = this._layout.transformContainerLayout(layoutProps);
+        this._useLayouts(layout.type);
+        const children = this._placeChildren(sortByPosition(entry.children, horizontal),
+            layoutProps, entry.bounds, layout.fillers);
+
+        return item(layout.type, layout.properties, children);
+    }
+
+    /**
+     * Grid -> GridLayout. Children go to the cell set by gridRow/gridColumn,
+     * or to the cell they were drawn in; star-sized cells stretch them.
+     * @private
+     */
+    _buildGrid(entry, props) {
+        const columns = parseGridDefinitions(props.columnDefinitions);
+        const rows = parseGridDefinitions(props.rowDefinitions);
+        const isStar = definition => definition.endsWith('*');
+
+        const children = this._placeInCells(sortByPosition(entry.children), child => {
+            const cell = getGridCell(child, entry.bounds, rows.length, columns.length);
+            const placement = {
+                'Layout.row': cell.row,
+                'Layout.column': cell.column
+            };
+            if (cell.rowSpan > 1) placement['Layout.rowSpan'] = cell.rowSpan;
+            if (cell.columnSpan > 1) placement['Layout.columnSpan'] = cell.columnSpan;
+            if (isStar(columns[cell.column])) placement['Layout.fillWidth'] = true;
+            else placement['Layout.preferredWidth'] = this._layout.toPixels(child.bounds.width);
+            if (isStar(rows[cell.row])) placement['Layout.fillHeight'] = true;
+            else placement['Layout.preferredHeight'] = this._layout.toPixels(child.bounds.height, true);
+            return placement;
+        });
+
+        return item('GridLayout', {
+            rows: rows.length,
+            columns: columns.length,
+            rowSpacing: 0,
+            columnSpacing: 0
+        }, children);
+    }
+
+    /**
+     * Build grid children with the cell placement returned for each
+     * @private
+     * @param {Array} entries - Child entries in reading order
+     * @param {Function} place - (entry) => Layout.* properties
+     * @returns {Array} Item nodes and comments
+     */
+    _placeInCells(entries, place) {
+        const children = [];
+        for (const child of entries) {
+            const built = this._buildEntry(child);
+            if (!built) continue;
+            if (built.comment) {
+                children.push(built);
+                continue;
+            }
+            if (built.note && this._options.generateComments) children.push({ comment: built.note });
+            built.node.properties = { ...place(child), ...built.node.properties };
+            children.push(built.node);
+        }
+        return children;
+    }
+
+    /**
+     * UniformGrid -> GridLayout filled in reading order with equal cells
+     * @private
+     */
+    _buildUniformGrid(entry, props) {
+        const count = entry.children.length;
+        const columns = Number(props.columns) > 0
+            ? Number(props.columns)
+            : Math.max(1, Math.ceil(Math.sqrt(count)));
+        const children = this._placeInCells(sortByPosition(entry.children), () => ({
+            'Layout.fillWidth': true,
+            'Layout.fillHeight': true
+        }));
+
+        const properties = { columns, rowSpacing: 0, columnSpacing: 0 };
+        if (Number(props.rows) > 0) properties.rows = Number(props.rows);
+        return item('GridLayout', properties, children);
+    }
+
+    /**
+     * ListBox -> ListView over the items, or over the components drawn inside
+     * @private
+     */
+    _buildList(entry, props) {
+        if (entry.children.length > 0) {
+            this._imports.add('QtQml.Models');
+            const layoutProps = this._layoutProps({ layoutMode: 'VERTICAL', layoutWrap: 'WRAP' }, entry.bounds);
+            return item('ListView', {
+                clip: true,
+                model: item('ObjectModel', {}, this._placeChildren(sortByPosition(entry.children), layoutProps, entry.bounds))
+            });
+        }
+
+        const selected = Number(props.selectedIndex);
+        const node = item('ListView', {
+            clip: true,
+            model: (props.items || []).map(entryItem => this._literal(getItemText(entryItem))),
+            delegate: item('ItemDelegate', {
+                'required property string modelData': null,
+                width: 'ListView.view.width',
+                text: 'modelData',
+                highlighted: 'ListView.isCurrentItem'
+            })
+        });
+        if (selected >= 0) node.properties.currentIndex = selected;
+        return node;
+    }
+
+    /**
+     * TabControl -> TabBar over a StackLayout of pages.
+     * Components drawn inside the control fill the selected page.
+     * @private
+     */
+    _buildTabs(entry, props) {
+        this._useLayouts('ColumnLayout');
+        const tabs = (props.tabs?.length > 0 ? props.tabs : [{ header: 'Tab 1' }])
+            .map((tab, i) => String(tab?.header ?? tab ?? `Tab ${i + 1}`));
+        const selected = Math.min(Math.max(Number(props.selectedIndex) || 0, 0), tabs.length - 1);
+        const page = innerBounds(entry.bounds, 3);
+
+        const tabBar = item('TabBar', {
+            'Layout.fillWidth': true,
+            currentIndex: this._value(props, 'selectedIndex', 'int', qmlNumber(selected))
+        }, tabs.map(header => item('TabButton', { text: this._literal(header) })));
+        tabBar.id = this._id(entry, 'Bar');
+
+        const pages = tabs.map((header, i) => item('Item', {},
+            i === selected ? this._positionChildren(entry.children, page) : []));
+
+        return item('ColumnLayout', { spacing: 0 }, [
+            tabBar,
+            item('StackLayout', {
+                'Layout.fillWidth': true,
+                'Layout.fillHeight': true,
+                currentIndex: `${tabBar.id}.currentIndex`
+            }, pages)
+        ]);
+    }
+
+    /**
+     * Font properties for the font properties set on a component
+     * @private
+     * @param {object} node - Text item node
+     * @param {object} props - Properties set on the object (not the control defaults)
+     */
+    _textStyle(node, props) {
+        if (props.fontFamily) node.properties['font.family'] = qmlString(props.fontFamily);
+        if (Number(props.fontSize) > 0 && Number(props.fontSize) !== 14) {
+            node.properties['font.pixelSize'] = Number(props.fontSize);
+        }
+        if (/bold/i.test(props.fontWeight)) node.properties['font.bold'] = true;
+        if (props.fontStyle === 'Italic') node.properties['font.italic'] = true;
+        const color = qmlColor(props.foreground);
+        if (color) node.properties.color = color;
+    }
+
+    /**
+     * Make a valid QML component name (the file name)
+     * @private
+     */
+    _sanitizeClassName(name) {
+        const words = String(name || '').split(/[^A-Za-z0-9]+/).filter(Boolean);
+        const className = words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('');
+        if (!className) return 'AsciiArtView';
+        return /^[0-9]/.test(className) ? `View${className}` : className;
+    }
+
+    // ==========================================
+    // QML OUTPUT
+    // ==========================================
+
+    /**
+     * Write an item node as QML
+     * @private
+     * @param {object} node - Item node
+     * @param {number} level - Indentation level of the line the item starts on
+     * @param {Array<string>} [declarations] - Property declarations written after the id
+     * @returns {string}
+     */
+    _emit(node, level, declarations = []) {
+        const indent = lvl => this._indent(lvl, ' '.repeat(this._options.indentSize));
+        const entries = Object.entries(node.properties).filter(([, value]) => value !== undefined);
+
+        // Items with a single simple property stay on one line
+        if (!node.id && declarations.length === 0 && node.children.length === 0) {
+            if (entries.length === 0) return `${node.type} {}`;
+            if (entries.length === 1 && !this._isNode(entries[0][1])) {
+                const inline = `${node.type} { ${this._emitProperty(entries[0], level)} }`;
+                if (indent(level).length + inline.length <= this._options.lineWidth) return inline;
+            }
+        }
+
+        const lines = [`${node.type} {`];
+        if (node.id) lines.push(`${indent(level + 1)}id: ${node.id}`);
+        for (const declaration of declarations) lines.push(`${indent(level + 1)}${declaration}`);
+        for (const property of entries) {
+            lines.push(`${indent(level + 1)}${this._emitProperty(property, level + 1)}`);
+        }
+
+        if (node.children.length > 0) {
+            if (lines.length > 1) lines.push('');
+            for (const child of node.children) {
+                lines.push(child.comment !== undefined
+                    ? `${indent(level + 1)}// ${child.comment}`
+                    : `${indent(level + 1)}${this._emit(child, level + 1)}`);
+            }
+        }
+        lines.push(`${indent(level)}}`);
+        return lines.join('\n');
+    }
+
+    /**
+     * Write one property; a null value writes the name alone (declarations)
+     * @private
+     */
+    _emitProperty([name, value], level) {
+        if (value === null) return name;
+        if (this._isNode(value)) return `${name}: ${this._emit(value, level)}`;
+        if (Array.isArray(value)) return `${name}: [${value.join(', ')}]`;
+        if (typeof value === 'number') return `${name}: ${qmlNumber(value)}`;
+        return `${name}: ${value}`;
+    }
+
+    /**
+     * @private
+     */
+    _isNode(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value) && 'type' in value;
+    }
+}
+
+// ==========================================
+// DEFAULT EXPORT
+// ==========================================
+
+export default QmlExporter;
@@ -0,0 +1,614 @@
+/**
+ * Asciistrator - Ratatui Exporter
+ *
+ * Exports UI component mockups as a Rust Ratatui widget that renders the
+ * screen into a buffer:
+ * - UI components become Ratatui widgets (Paragraph, Gauge, List, Tabs,
+ *   Table, ...), looked up in the FrameworkMappings registry; components
+ *   without one are drawn as their mockup text
+ * - The sketch is cut into rows and columns (see TerminalLayout), split
+ *   with Layout::vertical and Layout::horizontal using a Length constraint
+ *   for each row, column and gap, so every widget lands on the cell it was
+ *   drawn on. Overlapping components are drawn in order at their offsets.
+ * - Borders are Blocks with the same box characters (Plain, Double,
+ *   Rounded, Thick, or a custom border set for Dashed) and container
+ *   titles become Block titles
+ *
+ * @version 1.0.0
+ */
+
+import BaseExporter from './BaseExporter.js';
+import { ExportCategory } from '../ExporterRegistry.js';
+import frameworkMappingRegistry, { UIFramework } from '../../components/FrameworkMappings.js';
+import { BorderStyle } from '../../components/UIComponent.js';
+import { getSceneObjects, getItemText } from './ComponentTree.js';
+import {
+    TerminalBorder,
+    buildTerminalLayout,
+    getMockupLines,
+    getBindingPath,
+    getTextLines,
+    toIdentifier
+} from './TerminalLayout.js';
+
+// ==========================================
+// CONSTANTS
+// ==========================================
+
+/**
+ * Block border types for each terminal border style; Single is the
+ * default and Dashed has no BorderType
+ */
+const BORDER_TYPES = {
+    [TerminalBorder.Double]: 'BorderType::Double',
+    [TerminalBorder.Rounded]: 'BorderType::Rounded',
+    [TerminalBorder.Heavy]: 'BorderType::Thick'
+};
+
+/**
+ * Longest method chain rustfmt keeps on one line
+ */
+const CHAIN_WIDTH = 60;
+
+/**
+ * Component types whose text is centered like a button face
+ */
+const BUTTON_TYPES = new Set(['Button', 'RepeatButton', 'ToggleButton', 'SplitButton', 'DropDownButton', 'HyperlinkButton']);
+
+/**
+ * Component types drawn as an editable text field
+ */
+const TEXT_INPUT_TYPES = new Set(['TextBox', 'MaskedTextBox', 'SearchBox', 'AutoCompleteBox', 'PasswordBox', 'NumericUpDown', 'TextArea']);
+
+/**
+ * Rust keywords and names used by the generated code
+ */
+const RUST_RESERVED = new Set([
+    'as', 'async', 'await', 'break', 'const', 'continue', 'crate', 'dyn', 'else', 'enum', 'extern',
+    'false', 'fn', 'for', 'if', 'impl', 'in', 'let', 'loop', 'match', 'mod', 'move', 'mut', 'pub',
+    'ref', 'return', 'self', 'static', 'struct', 'super', 'trait', 'true', 'type', 'unsafe', 'use',
+    'where', 'while', 'abstract', 'become', 'box', 'do', 'final', 'macro', 'override', 'priv', 'try',
+    'typeof', 'unsized', 'virtual', 'yield', 'area', 'buf', 'place'
+]);
+
+// ==========================================
+// RUST HELPERS
+// ==========================================
+
+/**
+ * Quote a value as a Rust string literal
+ * @param {*} value
+ * @returns {string}
+ */
+export function rustString(value) {
+    const escaped = String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\r/g, '')
+        .replace(/\n/g, '\\n')
+        .replace(/\t/g, '\\t');
+    return `"${escaped}"`;
+}
+
+/**
+ * Write a method chain as rustfmt does: on one line when it is short,
+ * otherwise a call per line
+ * @param {Array<string>} segments - Receiver followed by method calls
+ * @returns {string}
+ */
+function rustChain(segments) {
+    const line = segments.join('.');
+    if (segments.length <= 2 || line.length <= CHAIN_WIDTH) return line;
+    return [segments[0], ...segments.slice(1).map(segment => `    .${segment}`)].join('\n');
+}
+
+/**
+ * Format a number as a Rust f64 literal
+ * @param {number} value
+ * @returns {string}
+ */
+function rustFloat(value) {
+    const rounded = Math.round((Number(value) || 0) * 1000) / 1000;
+    return Number.isInteger(rounded) ? `${rounded}.0` : String(rounded);
+}
+
+// ==========================================
+// RATATUI EXPORTER
+// ==========================================
+
+/**
+ * Rust Ratatui widget exporter
+ */
+export class RatatuiExporter extends BaseExporter {
+    constructor(config = {}) {
+        super(config);
+    }
+
+    // ==========================================
+    // METADATA
+    // ==========================================
+
+    get id() { return 'ratatui'; }
+    get name() { return 'Ratatui'; }
+    get description() { return 'Export UI components as a Rust Ratatui widget'; }
+    get fileExtension() { return '.rs'; }
+    get mimeType() { return 'text/x-rust'; }
+    get category() { return ExportCategory.UIFramework; }
+
+    // ==========================================
+    // CAPABILITIES
+    // ==========================================
+
+    get supportsColors() { return false; }
+    get supportsComponents() { return true; }
+    get supportsLayers() { return true; }
+    get supportsAnimations() { return false; }
+    get requiresBuffer() { return false; }
+
+    get defaultOptions() {
+        return {
+            ...super.defaultOptions,
+            className: 'AsciiArtView',
+            indentSize: 4,
+            generateComments: true
+        };
+    }
+
+    // ==========================================
+    // VALIDATION
+    // ==========================================
+
+    _doValidate(document, result) {
+        const objects = getSceneObjects(document);
+        if (!objects.some(obj => obj.uiComponentType || obj.avaloniaType)) {
+            result.addWarning('NO_COMPONENTS', 'Document contains no UI components');
+        }
+    }
+
+    // ==========================================
+    // EXPORT IMPLEMENTATION
+    // ==========================================
+
+    _doExport(document, options) {
+        this._options = options;
+        this._imports = { layout: new Set(['Rect']), widgets: new Set(['Widget']) };
+        this._usesDashed = false;
+        this._splits = 0;
+
+        const width = document.width || document.canvas?.width || this._getBufferDimensions(this._getBuffer(document)).width || 80;
+        const height = document.height || document.canvas?.height || this._getBufferDimensions(this._getBuffer(document)).height || 24;
+
+        const { layout } = buildTerminalLayout(document, {
+            getMapping: type => frameworkMappingRegistry.getMapping(UIFramework.Ratatui, type),
+            width,
+            height
+        });
+
+        const body = [];
+        this._render(layout, 'area', body);
+        return this._generate(body, options);
+    }
+
+    // ==========================================
+    // LAYOUT
+    // ==========================================
+
+    /**
+     * Write the statements rendering a layout into an area
+     * @private
+     * @param {Object|null} layout
+     * @param {string} area - Area variable
+     * @param {Array<string>} lines - Statements of render()
+     */
+    _render(layout, area, lines) {
+        if (!layout) return;
+
+        if (layout.kind === 'node') {
+            this._renderNode(layout.node, area, layout.x, layout.y, lines);
+            return;
+        }
+
+        if (layout.kind === 'layers') {
+            // Later components draw over earlier ones, as on the canvas
+            for (const { node, x, y } of layout.items) this._renderNode(node, area, x, y, lines);
+            return;
+        }
+
+        const rows = layout.kind === 'rows';
+        const slots = [];
+        const constraints = [];
+        for (const part of layout.parts) {
+            if (part.gap > 0) {
+                slots.push('_');
+                constraints.push(part.gap);
+            }
+            const slot = part.content?.kind === 'node'
+                ? `${toIdentifier(part.content.node.name, 'snake')}_slot`
+                : `${rows ? 'row' : 'column'}_${++this._splits}`;
+            slots.push(slot);
+            constraints.push(part.size);
+        }
+
+        this._imports.layout.add('Constraint').add('Layout');
+        lines.push(`let [${slots.join(', ')}, _] = Layout::${rows ? 'vertical' : 'horizontal'}([`);
+        for (const size of constraints) lines.push(`    Constraint::Length(${size}),`);
+        // The terminal may be larger than the sketch
+        lines.push('    Constraint::Fill(1),');
+        lines.push('])');
+        lines.push(`.areas(${area});`);
+
+        const named = slots.filter(slot => slot !== '_');
+        layout.parts.forEach((part, index) => this._render(part.content, named[index], lines));
+    }
+
+    /**
+     * @private
+     */
+    _renderNode(node, parentArea, x, y, lines) {
+        const name = toIdentifier(node.name, 'snake', RUST_RESERVED);
+        const area = `${toIdentifier(node.name, 'snake')}_area`;
+        const statements = [];
+        const notes = [];
+        const parentNotes = this._notes;
+        this._notes = notes;
+
+        if (node.layout) {
+            const inner = this._renderContainer(node, name, area, statements);
+            const children = [];
+            this._render(node.layout, inner, children);
+            statements.push(...children);
+        } else {
+            this._renderWidget(node, name, area, statements);
+        }
+        this._notes = parentNotes;
+        if (statements.length === 0) return;
+
+        if (this._options.generateComments) {
+            for (const note of notes) lines.push(`// ${note}`);
+        }
+        lines.push(`let ${area} = place(${parentArea}, ${x}, ${y}, ${node.width}, ${node.height});`);
+        lines.push(...statements);
+    }
+
+    /**
+     * Draw a container's border and return the area of its children
+     * @private
+     * @returns {string} Inner area variable
+     */
+    _renderContainer(node, name, area, lines) {
+        let page = area;
+        if (node.type === 'TabControl') {
+            page = `${name}_page`;
+            this._imports.layout.add('Constraint').add('Layout');
+            lines.push(`let [${name}_tabs, ${page}] =`);
+            lines.push(`    Layout::vertical([Constraint::Length(2), Constraint::Fill(1)]).areas(${area});`);
+            lines.push(`${rustChain([...this._tabs(node), `render(${name}_tabs, buf)`])};`);
+        }
+
+        const block = this._block(node);
+        if (!block) return page;
+        lines.push(`let ${name} = ${rustChain(block)};`);
+        lines.push(`let ${name}_inner = ${name}.inner(${page});`);
+        lines.push(`${name}.render(${page}, buf);`);
+        return `${name}_inner`;
+    }
+
+    // ==========================================
+    // WIDGETS
+    // ==========================================
+
+    /**
+     * @private
+     */
+    _renderWidget(node, name, area, lines) {
+        const { obj, type, props } = node;
+        const render = widget => lines.push(`${rustChain([...widget, `render(${area}, buf)`])};`);
+
+        if (!type) {
+            const block = this._block(node);
+            if (obj.type === 'text') render(this._paragraph(getTextLines(obj).join('\n')));
+            else if (block) render(block);
+            return;
+        }
+
+        if (!node.mapping) {
+            this._notes.push(`${type} has no Ratatui widget; drawn as text`);
+            render(this._paragraph(getMockupLines(node).join('\n')));
+            return;
+        }
+
+        const withBlock = widget => {
+            const block = this._block(node);
+            return block ? [...widget, `block(${block.join('.')})`] : widget;
+        };
+
+        switch (node.mapping.targetType) {
+            case 'Paragraph': {
+                const paragraph = this._paragraph(this._paragraphText(node));
+                if (BUTTON_TYPES.has(type)) paragraph.push('centered()');
+                render(withBlock(paragraph));
+                return;
+            }
+
+            case 'Gauge':
+                this._imports.widgets.add('Gauge');
+                render(withBlock(['Gauge::default()', `ratio(${this._ratio(props)})`,
+                    ...(props.showProgressText ? [] : ['label("")'])]));
+                return;
+
+            case 'LineGauge':
+                this._imports.widgets.add('LineGauge');
+                render(withBlock(['LineGauge::default()', `ratio(${this._ratio(props)})`, 'label("")']));
+                return;
+
+            case 'List': {
+                this._imports.widgets.add('List');
+                const items = (props.items || []).map(item => rustString(getItemText(item)));
+                render(withBlock([`List::new([${items.join(', ')}])`]));
+                return;
+            }
+
+            case 'Tabs':
+                render(this._tabs(node));
+                return;
+
+            case 'Table':
+                render(withBlock(this._table(node)));
+                return;
+
+            case 'Sparkline': {
+                this._imports.widgets.add('Sparkline');
+                const data = (props.data || []).map(value => Math.max(0, Math.round(Number(value) || 0)));
+                render(withBlock(['Sparkline::default()', `data(&[${data.join(', ')}])`]));
+                return;
+            }
+
+            case 'Scrollbar': {
+                this._imports.widgets.add('Scrollbar').add('ScrollbarOrientation').add('ScrollbarState').add('StatefulWidget');
+                const orientation = props.orientation === 'Horizontal' ? 'HorizontalBottom' : 'VerticalRight';
+                const length = Math.max(0, Math.round((props.maximum ?? 100) - (props.minimum ?? 0)));
+                const position = Math.max(0, Math.round((props.value ?? 0) - (props.minimum ?? 0)));
+                lines.push(`Scrollbar::new(ScrollbarOrientation::${orientation}).render(`);
+                lines.push(`    ${area},`);
+                lines.push('    buf,');
+                lines.push(`    &mut ScrollbarState::new(${length}).position(${position}),`);
+                lines.push(');');
+                return;
+            }
+
+            case 'Block': {
+                if (type === 'Separator') {
+                    this._imports.widgets.add('Block').add('Borders');
+                    const edge = props.orientation === 'Vertical' ? 'LEFT' : 'TOP';
+                    render(['Block::new()', `borders(Borders::${edge})`]);
+                    return;
+                }
+                const block = this._block(node);
+                if (block) render(block);
+                return;
+            }
+
+            default:
+                // Layout panels draw nothing of their own
+                return;
+        }
+    }
+
+    /**
+     * Text a Paragraph-mapped component shows
+     * @private
+     */
+    _paragraphText(node) {
+        const { type, props } = node;
+        if (BUTTON_TYPES.has(type)) return this._text(node, 'content');
+        if (type === 'Label') return this._text(node, 'content');
+        if (type === 'TextBlock' || type === 'SelectableTextBlock') return this._text(node, 'text');
+        if (TEXT_INPUT_TYPES.has(type)) {
+            if (type === 'PasswordBox' && props.password) return String(props.passwordChar || '•').repeat(String(props.password).length);
+            if (type === 'NumericUpDown') return String(props.value ?? '');
+            return this._text(node, 'text') || String(props.watermark || props.placeholderText || '');
+        }
+        return getMockupLines(node, true).join('\n');
+    }
+
+    /**
+     * @private
+     * @returns {Array<string>} Chain segments
+     */
+    _paragraph(text) {
+        this._imports.widgets.add('Paragraph');
+        return [`Paragraph::new(${rustString(text)})`];
+    }
+
+    /**
+     * @private
+     * @returns {Array<string>} Chain segments
+     */
+    _tabs(node) {
+        this._imports.widgets.add('Tabs');
+        const tabs = node.props.tabs?.length ? node.props.tabs : (node.props.items || []);
+        const titles = tabs.map(tab => rustString(getItemText(tab)));
+        return [`Tabs::new([${titles.join(', ')}])`, `select(${Math.max(0, node.props.selectedIndex || 0)})`];
+    }
+
+    /**
+     * @private
+     * @returns {Array<string>} Chain segments
+     */
+    _table(node) {
+        this._imports.widgets.add('Table').add('Row');
+        this._imports.layout.add('Constraint');
+        const columns = (node.props.columns || []).map(column => ({
+            header: getItemText(column),
+            binding: column?.binding
+        }));
+        const widths = `[Constraint::Fill(1); ${Math.max(1, columns.length)}]`;
+        const header = `header(Row::new([${columns.map(column => rustString(column.header)).join(', ')}]))`;
+        const rows = (node.props.items || []).map(item => `Row::new([${columns.map(column => rustString(
+            item && typeof item === 'object' ? item[column.binding] ?? '' : item ?? '')).join(', ')}])`);
+
+        return rows.length > 0
+            ? [`Table::new([${rows.join(', ')}], ${widths})`, header]
+            : ['Table::default()', `widths(${widths})`, header];
+    }
+
+    /**
+     * Bordered Block of a node, with its title
+     * @private
+     * @returns {Array<string>|null} Chain segments
+     */
+    _block(node) {
+        if (!node.border) return null;
+        this._imports.widgets.add('Block');
+        const block = ['Block::bordered()'];
+        if (node.border === TerminalBorder.Dashed) {
+            this._usesDashed = true;
+            block.push('border_set(DASHED)');
+        } else if (BORDER_TYPES[node.border]) {
+            this._imports.widgets.add('BorderType');
+            block.push(`border_type(${BORDER_TYPES[node.border]})`);
+        }
+        if (node.title) block.push(`title(${rustString(node.title)})`);
+        return block;
+    }
+
+    /**
+     * @private
+     */
+    _ratio(props) {
+        const minimum = props.minimum ?? 0;
+        const range = (props.maximum ?? 100) - minimum;
+        const ratio = range > 0 ? ((props.value ?? 0) - minimum) / range : 0;
+        return rustFloat(Math.min(Math.max(ratio, 0), 1));
+    }
+
+    // ==========================================
+    // BINDINGS
+    // ==========================================
+
+    /**
+     * A string property. Bound properties are left empty and noted.
+     * @private
+     */
+    _text(node, key) {
+        const value = node.props[key];
+        const path = getBindingPath(value);
+        if (path) {
+            this._notes.push(`${key} is bound to ${path}`);
+            return '';
+        }
+        return String(value ?? '');
+    }
+
+    // ==========================================
+    // CODE GENERATION
+    // ==========================================
+
+    /**
+     * @private
+     */
+    _generate(body, options) {
+        const typeName = toIdentifier(options.className, 'pascal');
+        const comments = options.generateComments;
+        const lines = [];
+
+        if (comments) lines.push(`//! ${typeName} - generated by Asciistrator`, '');
+
+        const widgets = [...this._imports.widgets].sort();
+        const layout = [...this._imports.layout].sort();
+        lines.push('use ratatui::{');
+        lines.push(this._line(1, 'buffer::Buffer,'));
+        lines.push(this._line(1, 'crossterm::event::{self, Event, KeyEventKind},'));
+        lines.push(this._line(1, `layout::{${layout.join(', ')}},`));
+        if (this._usesDashed) lines.push(this._line(1, 'symbols::border,'));
+        const widgetImport = this._line(1, `widgets::{${widgets.join(', ')}},`);
+        if (widgetImport.length <= 100) {
+            lines.push(widgetImport);
+        } else {
+            // Wrap long imports at rustfmt's line width
+            lines.push(this._line(1, 'widgets::{'));
+            let line = '';
+            for (const name of widgets) {
+                const next = line ? `${line} ${name},` : `${name},`;
+                if (this._line(2, next).length > 100) {
+                    lines.push(this._line(2, line));
+                    line = `${name},`;
+                } else {
+                    line = next;
+                }
+            }
+            lines.push(this._line(2, line));
+            lines.push(this._line(1, '},'));
+        }
+        lines.push(this._line(1, 'DefaultTerminal,'));
+        lines.push('};', '');
+
+        if (this._usesDashed) {
+            const set = BorderStyle.Dashed;
+            if (comments) lines.push('/// The Dashed box drawn on the canvas');
+            lines.push('const DASHED: border::Set = border::Set {');
+            lines.push(this._line(1, `top_left: ${rustString(set.topLeft)},`));
+            lines.push(this._line(1, `top_right: ${rustString(set.topRight)},`));
+            lines.push(this._line(1, `bottom_left: ${rustString(set.bottomLeft)},`));
+            lines.push(this._line(1, `bottom_right: ${rustString(set.bottomRight)},`));
+            lines.push(this._line(1, `vertical_left: ${rustString(set.left)},`));
+            lines.push(this._line(1, `vertical_right: ${rustString(set.right)},`));
+            lines.push(this._line(1, `horizontal_top: ${rustString(set.top)},`));
+            lines.push(this._line(1, `horizontal_bottom: ${rustString(set.bottom)},`));
+            lines.push('};', '');
+        }
+
+        if (comments) lines.push('/// Terminal UI exported from Asciistrator, laid out in character cells');
+        lines.push('#[derive(Debug, Default)]');
+        lines.push(`pub struct ${typeName};`, '');
+
+        lines.push(`impl Widget for &${typeName} {`);
+        lines.push(this._line(1, 'fn render(self, area: Rect, buf: &mut Buffer) {'));
+        for (const statement of body) {
+            for (const line of statement.split('\n')) lines.push(this._line(2, line));
+        }
+        lines.push(this._line(1, '}'));
+        lines.push('}', '');
+
+        if (comments) lines.push('/// Area of a sketched size at an offset in `area`, clipped to it');
+        lines.push('fn place(area: Rect, x: u16, y: u16, width: u16, height: u16) -> Rect {');
+        lines.push(this._line(1, 'Rect::new('));
+        lines.push(this._line(2, 'area.x.saturating_add(x),'));
+        lines.push(this._line(2, 'area.y.saturating_add(y),'));
+        lines.push(this._line(2, 'width,'));
+        lines.push(this._line(2, 'height,'));
+        lines.push(this._line(1, ')'));
+        lines.push(this._line(1, '.intersection(area)'));
+        lines.push('}', '');
+
+        lines.push('fn main() -> std::io::Result<()> {');
+        lines.push(this._line(1, 'let terminal = ratatui::init();'));
+        lines.push(this._line(1, 'let result = run(terminal);'));
+        lines.push(this._line(1, 'ratatui::restore();'));
+        lines.push(this._line(1, 'result'));
+        lines.push('}', '');
+
+        if (comments) lines.push('/// Draw the view until a key is pressed');
+        lines.push('fn run(mut terminal: DefaultTerminal) -> std::io::Result<()> {');
+        lines.push(this._line(1, `let view = ${typeName};`));
+        lines.push(this._line(1, 'loop {'));
+        lines.push(this._line(2, 'terminal.draw(|frame| frame.render_widget(&view, frame.area()))?;'));
+        lines.push(this._line(2, 'if let Event::Key(key) = event::read()? {'));
+        lines.push(this._line(3, 'if key.kind == KeyEventKind::Press {'));
+        lines.push(this._line(4, 'return Ok(());'));
+        lines.push(this._line(3, '}'));
+        lines.push(this._line(2, '}'));
+        lines.push(this._line(1, '}'));
+        lines.push('}');
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * @private
+     */
+    _line(level, text) {
+        return this._indent(level, ' '.repeat(this._options.indentSize)) + text;
+    }
+}
+
+export default RatatuiExporter;
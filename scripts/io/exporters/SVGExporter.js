@@ -1,13 +1,15 @@
 /**
  * Asciistrator - SVG Exporter
  * 
- * Exports ASCII art as scalable vector graphics.
+ * Exports ASCII art as scalable vector graphics, with cell backgrounds as
+ * rectangles and bold, italic and underlined text.
  * 
  * @version 1.0.0
  */
 
 import BaseExporter from './BaseExporter.js';
 import { ExportCategory } from '../ExporterRegistry.js';
+import { CellAttribute } from '../../core/ascii/rasterizer.js';
 
 // ==========================================
 // SVG EXPORTER
@@ -93,6 +95,9 @@ export class SVGExporter extends BaseExporter {
             svg += this._createBackground(svgWidth, svgHeight, options);
         }
         
+        // Add cell backgrounds
+        svg += this._renderCellBackgrounds(buffer, width, height, options);
+        
         // Create text group
         svg += `  <g id="ascii-content" font-family="${this._escapeXml(options.fontFamily)}" font-size="${options.fontSize}">\n`;
         
@@ -171,6 +176,51 @@ export class SVGExporter extends BaseExporter {
         return `  <rect id="background" width="${width}" height="${height}" fill="${options.backgroundColor}"/>\n`;
     }
     
+    /**
+     * Render cell backgrounds as one rect per run of equal background
+     * @private
+     */
+    _renderCellBackgrounds(buffer, width, height, options) {
+        let rects = '';
+        
+        for (let y = 0; y < height; y++) {
+            const py = options.padding + y * options.cellHeight;
+            let current = null;
+            let startX = 0;
+            
+            for (let x = 0; x <= width; x++) {
+                const background = x < width ? this._getDrawnCellStyle(buffer, x, y, options).background : null;
+                if (background === current) continue;
+                
+                if (current) {
+                    const px = options.padding + startX * options.cellWidth;
+                    rects += `    <rect x="${px}" y="${py}" width="${(x - startX) * options.cellWidth}" height="${options.cellHeight}" fill="${current}"/>\n`;
+                }
+                current = background;
+                startX = x;
+            }
+        }
+        
+        return rects ? `  <g id="ascii-backgrounds" shape-rendering="crispEdges">\n${rects}  </g>\n` : '';
+    }
+    
+    /**
+     * Create a text element; leading spaces move it right, since SVG drops them
+     * @private
+     */
+    _createText(text, startX, y, style, options) {
+        const leading = text.length - text.trimStart().length;
+        const px = options.padding + (startX + leading) * options.cellWidth;
+        const py = options.padding + y * options.cellHeight + options.fontSize;
+        
+        let attributes = `fill="${style.color}"`;
+        if (style.attributes & CellAttribute.BOLD) attributes += ' font-weight="bold"';
+        if (style.attributes & CellAttribute.ITALIC) attributes += ' font-style="italic"';
+        if (style.attributes & CellAttribute.UNDERLINE) attributes += ' text-decoration="underline"';
+        
+        return `    <text x="${px}" y="${py}" ${attributes}>${this._escapeXml(text.trim())}</text>\n`;
+    }
+    
     /**
      * Render characters - simple method (one text element per character)
      * @private
@@ -183,11 +233,7 @@ export class SVGExporter extends BaseExporter {
                 const char = this._getChar(buffer, x, y);
                 if (char === ' ') continue; // Skip spaces
                 
-                const color = this._getColor(buffer, x, y) || options.defaultColor;
-                const px = options.padding + x * options.cellWidth;
-                const py = options.padding + y * options.cellHeight + options.fontSize;
-                
-                svg += `    <text x="${px}" y="${py}" fill="${color}">${this._escapeXml(char)}</text>\n`;
+                svg += this._createText(char, x, y, this._getDrawnCellStyle(buffer, x, y, options), options);
             }
         }
         
@@ -195,29 +241,30 @@ export class SVGExporter extends BaseExporter {
     }
     
     /**
-     * Render characters - optimized method (groups consecutive same-color text)
+     * Render characters - optimized method (groups consecutive equally styled text)
      * @private
      */
     _renderOptimized(buffer, width, height, options) {
         let svg = '';
         
         for (let y = 0; y < height; y++) {
-            const py = options.padding + y * options.cellHeight + options.fontSize;
-            let currentColor = null;
+            let currentStyle = null;
             let currentText = '';
             let startX = 0;
             
             for (let x = 0; x < width; x++) {
                 const char = this._getChar(buffer, x, y);
-                const color = this._getColor(buffer, x, y) || options.defaultColor;
+                const style = this._getDrawnCellStyle(buffer, x, y, options);
+                const styleChanged = !currentStyle ||
+                    style.color !== currentStyle.color ||
+                    style.attributes !== currentStyle.attributes;
                 
-                // If color changes or we hit a space after text, emit current span
-                if (color !== currentColor || (char === ' ' && currentText.length > 0 && !currentText.endsWith(' '))) {
-                    if (currentText.trimEnd().length > 0) {
-                        const px = options.padding + startX * options.cellWidth;
-                        svg += `    <text x="${px}" y="${py}" fill="${currentColor}">${this._escapeXml(currentText.trimEnd())}</text>\n`;
+                // If the style changes or we hit a space after text, emit current span
+                if (styleChanged || (char === ' ' && currentText.length > 0 && !currentText.endsWith(' '))) {
+                    if (currentText.trim().length > 0) {
+                        svg += this._createText(currentText, startX, y, currentStyle, options);
                     }
-                    currentColor = color;
+                    currentStyle = style;
                     currentText = char;
                     startX = x;
                 } else {
@@ -226,9 +273,8 @@ export class SVGExporter extends BaseExporter {
             }
             
             // Emit remaining text for this line
-            if (currentText.trimEnd().length > 0) {
-                const px = options.padding + startX * options.cellWidth;
-                svg += `    <text x="${px}" y="${py}" fill="${currentColor}">${this._escapeXml(currentText.trimEnd())}</text>\n`;
+            if (currentText.trim().length > 0) {
+                svg += this._createText(currentText, startX, y, currentStyle, options);
             }
         }
         
@@ -0,0 +1,1017 @@
+/**
+ * Asciistrator - SwiftUI Exporter
+ *
+ * Exports UI component mockups as a SwiftUI view (Swift):
+ * - UI components become native SwiftUI views, looked up in the
+ *   FrameworkMappings registry
+ * - Components drawn inside a container component (StackPanel, Grid,
+ *   GroupBox, TabControl, ...) become that view's content
+ * - Frame auto-layout becomes HStack/VStack with alignment, spacing and
+ *   padding; everything else is placed in a ZStack using the character
+ *   cell size
+ * - Controls that edit a value get an @State property to bind to, as do
+ *   properties set to a {Binding Name} expression
+ *
+ * @version 1.0.0
+ */
+
+import BaseExporter from './BaseExporter.js';
+import { ExportCategory } from '../ExporterRegistry.js';
+import frameworkMappingRegistry, { UIFramework } from '../../components/FrameworkMappings.js';
+import {
+    CONTAINER_OBJECT_TYPES,
+    getSceneObjects,
+    buildComponentTree,
+    sortByPosition,
+    innerBounds,
+    getComponentProperties,
+    getGridCell,
+    parseGridDefinitions,
+    getItemText
+} from './ComponentTree.js';
+import { SwiftUILayoutTransformer } from './layout/SwiftUILayoutTransformer.js';
+import { LayoutMode } from './layout/LayoutExportEngine.js';
+
+// ==========================================
+// CONSTANTS
+// ==========================================
+
+/**
+ * Views that take the components drawn inside them as content
+ */
+const CONTAINER_VIEWS = new Set([
+    'NavigationStack', 'GroupBox', 'ZStack', 'ScrollView', 'DisclosureGroup',
+    'TabView', 'VStack', 'Grid', 'LazyVGrid'
+]);
+
+/**
+ * Suffixes of generated @State names, by bound property
+ */
+const STATE_SUFFIXES = {
+    text: 'Text',
+    password: 'Password',
+    isChecked: 'IsOn',
+    value: 'Value',
+    selectedIndex: 'Selection',
+    selectedDate: 'Date',
+    selectedTime: 'Time',
+    color: 'Color',
+    isExpanded: 'IsExpanded'
+};
+
+/**
+ * Initial values of @State properties declared for a binding
+ */
+const STATE_DEFAULTS = {
+    String: '""',
+    Bool: 'false',
+    Int: '0',
+    Double: '0',
+    Date: 'Date()',
+    Color: 'Color.primary'
+};
+
+/**
+ * Map Image stretch modes to aspect ratio content modes
+ */
+const CONTENT_MODE_MAP = {
+    Uniform: '.fit',
+    UniformToFill: '.fill'
+};
+
+// ==========================================
+// SWIFT HELPERS
+// ==========================================
+
+/**
+ * Create a view node
+ * @param {string} name - View type, e.g. 'Text' or 'Color.clear'
+ * @param {object} [args] - Labelled arguments (Swift expressions, numbers or booleans)
+ * @param {Array|null} [content] - Trailing closure content, or null for none
+ * @param {Array} [positional] - Unlabelled arguments
+ * @returns {{name: string, args: object, content: Array|null, positional: Array, modifiers: Array}}
+ */
+function view(name, args = {}, content = null, positional = []) {
+    return { name, args, content, positional, modifiers: [], bare: false };
+}
+
+/**
+ * Create a node for a view constant written without a call, e.g. 'Color.clear'
+ * @param {string} name
+ * @returns {object}
+ */
+function constant(name) {
+    return { ...view(name), bare: true };
+}
+
+/**
+ * Append a modifier to a view node
+ * @param {object} node - View node
+ * @param {string} name - Modifier name, e.g. 'padding'
+ * @param {Array<string|null>} [args] - Argument expressions; nulls are skipped
+ * @param {Array|null} [content] - Trailing closure content
+ * @returns {object} The node
+ */
+function modify(node, name, args = [], content = null) {
+    node.modifiers.push({ name, args: args.filter(arg => arg !== null && arg !== undefined), content });
+    return node;
+}
+
+/**
+ * Quote a value as a Swift string literal
+ * @param {*} value
+ * @returns {string}
+ */
+export function swiftString(value) {
+    const escaped = String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\r/g, '')
+        .replace(/\n/g, '\\n')
+        .replace(/\t/g, '\\t');
+    return `"${escaped}"`;
+}
+
+/**
+ * Convert a hex color to a SwiftUI Color expression
+ * @param {string} hex - '#rgb' or '#rrggbb'
+ * @returns {string|null}
+ */
+export function swiftColor(hex) {
+    if (typeof hex !== 'string') return null;
+    let value = hex.replace('#', '');
+    if (/^[0-9a-f]{3}$/i.test(value)) {
+        value = value.split('').map(c => c + c).join('');
+    }
+    if (!/^[0-9a-f]{6}$/i.test(value)) return null;
+    const [red, green, blue] = [0, 2, 4].map(i => swiftNumber(parseInt(value.slice(i, i + 2), 16) / 255));
+    return `Color(red: ${red}, green: ${green}, blue: ${blue})`;
+}
+
+/**
+ * Format a number as a Swift literal
+ * @param {number} value
+ * @returns {string}
+ */
+function swiftNumber(value) {
+    return String(Number.isInteger(value) ? value : Math.round(value * 1000) / 1000);
+}
+
+/**
+ * Convert a name to a lowerCamelCase Swift identifier
+ * @param {string} name
+ * @returns {string}
+ */
+function swiftIdentifier(name) {
+    const words = String(name || '').split(/[^A-Za-z0-9]+/).filter(Boolean);
+    const identifier = words
+        .map((word, i) => i === 0
+            ? word.charAt(0).toLowerCase() + word.slice(1)
+            : word.charAt(0).toUpperCase() + word.slice(1))
+        .join('');
+    if (!identifier) return 'value';
+    return /^[0-9]/.test(identifier) ? `value${identifier}` : identifier;
+}
+
+// ==========================================
+// SWIFTUI EXPORTER
+// ==========================================
+
+/**
+ * SwiftUI view exporter
+ */
+export class SwiftUIExporter extends BaseExporter {
+    constructor(config = {}) {
+        super(config);
+    }
+
+    // ==========================================
+    // METADATA
+    // ==========================================
+
+    get id() { return 'swiftui'; }
+    get name() { return 'SwiftUI View'; }
+    get description() { return 'Export UI components as a SwiftUI view (.swift)'; }
+    get fileExtension() { return '.swift'; }
+    get mimeType() { return 'text/x-swift'; }
+    get category() { return ExportCategory.UIFramework; }
+
+    // ==========================================
+    // CAPABILITIES
+    // ==========================================
+
+    get supportsColors() { return true; }
+    get supportsComponents() { return true; }
+    get supportsLayers() { return true; }
+    get supportsAnimations() { return false; }
+    get requiresBuffer() { return false; }
+
+    get defaultOptions() {
+        return {
+            ...super.defaultOptions,
+            className: 'AsciiArtView',
+            cellWidth: 8,
+            cellHeight: 16,
+            indentSize: 4,
+            lineWidth: 100,
+            includePreview: true,
+            generateComments: true
+        };
+    }
+
+    // ==========================================
+    // VALIDATION
+    // ==========================================
+
+    _doValidate(document, result) {
+        const objects = getSceneObjects(document);
+        if (!objects.some(obj => obj.uiComponentType || obj.avaloniaType)) {
+            result.addWarning('NO_COMPONENTS', 'Document contains no UI components');
+        }
+    }
+
+    // ==========================================
+    // EXPORT IMPLEMENTATION
+    // ==========================================
+
+    _doExport(document, options) {
+        this._options = options;
+        this._layout = new SwiftUILayoutTransformer({
+            cellWidth: options.cellWidth,
+            cellHeight: options.cellHeight
+        });
+        /** @type {Map<string, {type: string, value: string}>} */
+        this._states = new Map();
+
+        const width = document.width || document.canvas?.width || this._getBufferDimensions(this._getBuffer(document)).width || 80;
+        const height = document.height || document.canvas?.height || this._getBufferDimensions(this._getBuffer(document)).height || 24;
+        const bounds = { x: 0, y: 0, width, height };
+
+        const roots = this._createEntries(getSceneObjects(document));
+        const rootProps = this._layoutProps({ layoutMode: LayoutMode.NONE }, bounds);
+        const body = view('ZStack', { alignment: '.topLeading' }, this._placeChildren(roots, rootProps, bounds));
+        modify(body, 'frame', [
+            `width: ${this._layout.toPixels(width)}`,
+            `height: ${this._layout.toPixels(height, true)}`,
+            'alignment: .topLeading'
+        ]);
+
+        return this._generateSwift(this._sanitizeClassName(options.className), body, options);
+    }
+
+    /**
+     * Write the source file around the view body
+     * @private
+     */
+    _generateSwift(className, body, options) {
+        const lines = [];
+        const indent = level => this._indent(level, ' '.repeat(options.indentSize));
+
+        if (options.generateComments) {
+            lines.push('// Generated by Asciistrator - SwiftUI view');
+        }
+        lines.push('import SwiftUI');
+        lines.push('');
+
+        lines.push(`struct ${className}: View {`);
+        for (const [name, state] of this._states) {
+            lines.push(`${indent(1)}@State private var ${name}: ${state.type} = ${state.value}`);
+        }
+        if (this._states.size > 0) lines.push('');
+        lines.push(`${indent(1)}var body: some View {`);
+        lines.push(`${indent(2)}${this._emit(body, 2)}`);
+        lines.push(`${indent(1)}}`);
+        lines.push('}');
+        lines.push('');
+
+        if (options.includePreview) {
+            lines.push('#Preview {');
+            lines.push(`${indent(1)}${className}()`);
+            lines.push('}');
+            lines.push('');
+        }
+
+        return lines.join('\n');
+    }
+
+    // ==========================================
+    // SCENE TREE
+    // ==========================================
+
+    /**
+     * Build the component tree
+     * @private
+     */
+    _createEntries(objects) {
+        return buildComponentTree(objects, {
+            getMapping: type => frameworkMappingRegistry.getMapping(UIFramework.SwiftUI, type),
+            isContainer: mapping => CONTAINER_VIEWS.has(mapping?.targetType)
+        });
+    }
+
+    /**
+     * Normalized layout properties using the sketched bounds
+     * @private
+     */
+    _layoutProps(obj, bounds) {
+        return {
+            ...this._layout.extractLayoutProperties(obj),
+            width: bounds.width,
+            height: bounds.height
+        };
+    }
+
+    // ==========================================
+    // STATE
+    // ==========================================
+
+    /**
+     * Property path of a {Binding Path} expression
+     * @private
+     * @returns {string|null}
+     */
+    _bindingPath(value) {
+        if (typeof value !== 'string') return null;
+        const match = value.match(/^\{(?:Binding|x:Bind)\s+(?:Path=)?([A-Za-z_][\w.]*)/);
+        return match ? match[1].split('.').pop() : null;
+    }
+
+    /**
+     * Declare the @State property a control binds to
+     * @private
+     * @param {object} entry - Tree entry
+     * @param {string} key - Bound component property
+     * @param {string} type - Swift type
+     * @param {string} value - Initial value expression, used when the property is not bound
+     * @returns {string} Binding expression, e.g. '$textBoxText'
+     */
+    _state(entry, key, type, value) {
+        const path = this._bindingPath(entry.obj.uiProperties?.[key]);
+        if (path) {
+            // Controls bound to the same path share one property
+            const name = swiftIdentifier(path);
+            if (!this._states.has(name)) this._states.set(name, { type, value: STATE_DEFAULTS[type] });
+            return `$${name}`;
+        }
+
+        const obj = entry.obj;
+        const base = obj.name && obj.name !== entry.type ? obj.name : entry.type;
+        const stem = `${swiftIdentifier(base)}${STATE_SUFFIXES[key] || ''}`;
+        let name = stem;
+        for (let i = 2; this._states.has(name); i++) name = `${stem}${i}`;
+        this._states.set(name, { type, value });
+        return `$${name}`;
+    }
+
+    /**
+     * A string property as a literal, or the @State property it is bound to
+     * @private
+     * @returns {string} Swift expression
+     */
+    _string(entry, props, key) {
+        const path = this._bindingPath(props[key]);
+        if (!path) return swiftString(props[key] ?? '');
+        const name = swiftIdentifier(path);
+        if (!this._states.has(name)) this._states.set(name, { type: 'String', value: STATE_DEFAULTS.String });
+        return name;
+    }
+
+    // ==========================================
+    // PLACEMENT
+    // ==========================================
+
+    /**
+     * Build child views and place them for the parent layout
+     * @private
+     * @param {Array} entries - Child entries
+     * @param {LayoutProperties} parentProps - Parent layout properties
+     * @param {object} parentBounds - Parent content bounds in cells
+     * @param {string|null} [distribution] - Spacers between ('between') or also around ('evenly') children
+     * @returns {Array} View nodes and comments
+     */
+    _placeChildren(entries, parentProps, parentBounds, distribution = null) {
+        const children = [];
+        const spacer = () => view('Spacer', { minLength: 0 });
+
+        for (const entry of entries) {
+            const built = this._buildEntry(entry);
+            if (!built) continue;
+            if (built.comment) {
+                children.push(built);
+                continue;
+            }
+
+            const childBounds = {
+                x: entry.bounds.x - parentBounds.x,
+                y: entry.bounds.y - parentBounds.y,
+                width: entry.bounds.width,
+                height: entry.bounds.height
+            };
+            const placement = this._layout.transformChildLayout(
+                this._layoutProps(entry.obj, entry.bounds),
+                parentProps,
+                { parentBounds, childBounds }
+            );
+
+            if (distribution && children.some(child => !child.comment)) {
+                children.push(spacer());
+            }
+            if (built.note && this._options.generateComments) {
+                children.push({ comment: built.note });
+            }
+            children.push(this._applyPlacement(built, placement));
+        }
+
+        if (distribution === 'evenly' && children.some(child => !child.comment)) {
+            children.unshift(spacer());
+            children.push(spacer());
+        }
+        return children;
+    }
+
+    /**
+     * Add frame, decoration and position modifiers to a built view
+     * @private
+     */
+    _applyPlacement(built, placement) {
+        const { node } = built;
+        const alignment = built.alignment && built.alignment !== '.center'
+            ? `alignment: ${built.alignment}` : null;
+
+        if (placement.width !== null || placement.height !== null) {
+            modify(node, 'frame', [
+                placement.width !== null ? `width: ${placement.width}` : null,
+                placement.height !== null ? `height: ${placement.height}` : null,
+                alignment
+            ]);
+        }
+        if (placement.fill) {
+            modify(node, 'frame', [
+                placement.fill.maxWidth ? `maxWidth: ${placement.fill.maxWidth}` : null,
+                placement.fill.maxHeight ? `maxHeight: ${placement.fill.maxHeight}` : null,
+                alignment
+            ]);
+        }
+        node.modifiers.push(...(built.decorations || []));
+        for (const padding of placement.padding) {
+            modify(node, 'padding', [padding]);
+        }
+        if (placement.anchor) {
+            modify(node, 'frame', [
+                placement.anchor.maxWidth ? `maxWidth: ${placement.anchor.maxWidth}` : null,
+                placement.anchor.maxHeight ? `maxHeight: ${placement.anchor.maxHeight}` : null,
+                `alignment: ${placement.anchor.alignment}`
+            ]);
+        }
+        return node;
+    }
+
+    /**
+     * A single child sized to its sketch, or a ZStack of positioned children
+     * @private
+     * @returns {object|null} View node
+     */
+    _buildContent(entries, bounds) {
+        if (entries.length === 0) return null;
+        if (entries.length === 1) {
+            const built = this._buildEntry(entries[0]);
+            if (!built || built.comment) return null;
+            return this._applyPlacement(built, {
+                width: this._layout.toPixels(entries[0].bounds.width),
+                height: this._layout.toPixels(entries[0].bounds.height, true),
+                fill: null,
+                padding: [],
+                anchor: null
+            });
+        }
+        const props = this._layoutProps({ layoutMode: LayoutMode.NONE }, bounds);
+        return view('ZStack', { alignment: '.topLeading' }, this._placeChildren(entries, props, bounds));
+    }
+
+    // ==========================================
+    // VIEWS
+    // ==========================================
+
+    /**
+     * Build the view for a tree entry
+     * @private
+     * @returns {{node: object, note: string|null, alignment: string|null, decorations: Array}|{comment: string}|null}
+     */
+    _buildEntry(entry) {
+        const { obj } = entry;
+
+        if (entry.type) {
+            return this._buildComponent(entry);
+        }
+        if (CONTAINER_OBJECT_TYPES.has(obj.type) || obj.children?.length > 0 ||
+            (obj.layoutMode && obj.layoutMode !== LayoutMode.NONE)) {
+            return this._buildFrame(entry);
+        }
+        if (obj.type === 'text') {
+            const node = modify(this._text(obj.text), 'font', ['.system(.body, design: .monospaced)']);
+            const color = swiftColor(obj.strokeColor);
+            if (color) modify(node, 'foregroundStyle', [color]);
+            return { node, note: null, alignment: '.topLeading', decorations: [] };
+        }
+        if (obj.type === 'rectangle') {
+            const border = swiftColor(obj.strokeColor) || 'Color.primary';
+            if (!obj.label) {
+                return { node: modify(view('Rectangle'), 'stroke', [border]), note: null, alignment: null, decorations: [] };
+            }
+            return {
+                node: this._text(obj.label),
+                note: null,
+                alignment: null,
+                decorations: [{ name: 'border', args: [border], content: null }]
+            };
+        }
+
+        const label = obj.name ? ` "${obj.name}"` : '';
+        return { comment: `${obj.type}${label} has no view equivalent` };
+    }
+
+    /**
+     * Frames and groups: auto-layout becomes HStack/VStack, otherwise a ZStack
+     * @private
+     */
+    _buildFrame(entry) {
+        const { obj } = entry;
+        const props = this._layoutProps(obj, entry.bounds);
+        const horizontal = this._layout.isHorizontalLayout(props.layoutMode);
+        const sizes = entry.children.map(child => horizontal ? child.bounds.width : child.bounds.height);
+        const layout = this._layout.transformContainerLayout(props, {
+            minItemSize: sizes.length > 0 ? Math.min(...sizes) : null
+        });
+        const isStack = layout.view === 'ZStack';
+
+        // Auto-layout keeps the frame's child order; absolute children keep their offsets
+        const children = this._placeChildren(entry.children, props, entry.bounds, layout.distribution);
+        const node = view(layout.view, layout.args, children);
+        if (!isStack) {
+            for (const padding of layout.padding) modify(node, 'padding', [padding]);
+        }
+
+        const decorations = [];
+        const color = swiftColor(obj.backgroundColor);
+        if (color) decorations.push({ name: 'background', args: [color], content: null });
+        if (obj.showBorder) {
+            decorations.push({ name: 'border', args: [swiftColor(obj.strokeColor) || 'Color.primary'], content: null });
+        }
+        if (layout.clip) decorations.push({ name: 'clipped', args: [], content: null });
+
+        return { node, note: null, alignment: layout.alignment, decorations };
+    }
+
+    /**
+     * UI components mapped through the SwiftUI framework mappings
+     * @private
+     */
+    _buildComponent(entry) {
+        const props = getComponentProperties(entry);
+        if (props.isVisible === false) return null;
+
+        const targetType = entry.mapping?.targetType;
+        let built = targetType ? this._buildView(targetType, entry, props) : null;
+        let note = null;
+
+        if (!built) {
+            // Dashed outline where the control goes
+            built = modify(view('Rectangle'), 'stroke', ['style: StrokeStyle(lineWidth: 1, dash: [4])']);
+            note = `${entry.type} has no SwiftUI mapping`;
+        }
+        const { node, decorations = [], alignment = null } = built.node ? built : { node: built };
+
+        if (props.isEnabled === false) modify(node, 'disabled', ['true']);
+        if (typeof props.opacity === 'number' && props.opacity < 1) {
+            modify(node, 'opacity', [swiftNumber(props.opacity)]);
+        }
+        if (props.toolTip) modify(node, 'help', [swiftString(props.toolTip)]);
+
+        return { node, note, alignment, decorations };
+    }
+
+    /**
+     * @private
+     * @returns {object|{node: object, decorations: Array, alignment: string}|null} View node
+     *   (with its decorations and content alignment), or null for unknown target types
+     */
+    _buildView(targetType, entry, props) {
+        const { bounds } = entry;
+
+        switch (targetType) {
+            // Buttons
+            case 'Button': {
+                const content = this._buildContent(entry.children, innerBounds(bounds));
+                const node = content
+                    ? view('Button', { action: '{}' }, [content])
+                    : view('Button', {}, [], [this._string(entry, props, 'content')]);
+                return modify(node, 'buttonStyle', ['.bordered']);
+            }
+
+            case 'Menu':
+                return view('Menu', {}, (props.items || []).map(item =>
+                    view('Button', {}, [], [swiftString(getItemText(item))])
+                ), [this._string(entry, props, 'content')]);
+
+            case 'Toggle': {
+                const node = view('Toggle', {
+                    isOn: this._state(entry, 'isChecked', 'Bool', props.isChecked ? 'true' : 'false')
+                }, null, [this._string(entry, props, 'content')]);
+                if (entry.type === 'ToggleButton') modify(node, 'toggleStyle', ['.button']);
+                if (entry.type === 'ToggleSwitch') modify(node, 'toggleStyle', ['.switch']);
+                return node;
+            }
+
+            case 'Link':
+                if (!props.navigateUri) {
+                    return modify(view('Button', {}, [], [this._string(entry, props, 'content')]),
+                        'buttonStyle', ['.borderless']);
+                }
+                return view('Link', {
+                    destination: `URL(string: ${swiftString(props.navigateUri)})!`
+                }, null, [this._string(entry, props, 'content')]);
+
+            // Inputs
+            case 'TextField':
+            case 'SecureField': {
+                const key = targetType === 'SecureField' ? 'password' : 'text';
+                const node = view(targetType, {
+                    text: this._state(entry, key, 'String', swiftString(props[key] ?? ''))
+                }, null, [swiftString(props.watermark || props.placeholder || '')]);
+                if (props.isReadOnly) modify(node, 'disabled', ['true']);
+                return modify(node, 'textFieldStyle', ['.roundedBorder']);
+            }
+
+            case 'TextEditor':
+                return {
+                    node: view('TextEditor', {
+                        text: this._state(entry, 'text', 'String', swiftString(props.text ?? ''))
+                    }),
+                    decorations: [{ name: 'border', args: ['Color.secondary'], content: null }]
+                };
+
+            case 'Stepper': {
+                const isInteger = !(Number(props.decimalPlaces) > 0);
+                const value = Number(props.value) || 0;
+                const binding = this._state(entry, 'value', isInteger ? 'Int' : 'Double',
+                    swiftNumber(isInteger ? Math.round(value) : value));
+                const hasRange = props.minimum !== null && props.minimum !== undefined &&
+                    props.maximum !== null && props.maximum !== undefined;
+                const step = Number(props.increment);
+                return view('Stepper', {
+                    value: binding,
+                    in: hasRange ? `${swiftNumber(Number(props.minimum))}...${swiftNumber(Number(props.maximum))}` : null,
+                    step: step > 0 && step !== 1 ? step : null
+                }, null, [`"\\(${binding.slice(1)})"`]);
+            }
+
+            case 'Text': {
+                const node = this._text(null, this._string(entry, props, props.text !== undefined ? 'text' : 'content'));
+                this._textStyle(node, entry.obj.uiProperties || {});
+                if (entry.type === 'SelectableTextBlock') modify(node, 'textSelection', ['.enabled']);
+                return node;
+            }
+
+            case 'Slider': {
+                const min = Number(props.minimum) || 0;
+                const max = Number(props.maximum) || 100;
+                const tick = Number(props.tickFrequency) || 0;
+                const value = Math.min(Math.max(Number(props.value) || 0, min), max);
+                const node = view('Slider', {
+                    value: this._state(entry, 'value', 'Double', swiftNumber(value)),
+                    in: `${swiftNumber(min)}...${swiftNumber(max)}`,
+                    step: props.isSnapToTickEnabled && tick > 0 ? tick : null
+                });
+                return props.orientation === 'Vertical'
+                    ? modify(node, 'rotationEffect', ['.degrees(-90)'])
+                    : node;
+            }
+
+            case 'DatePicker': {
+                const isTime = entry.type === 'TimePicker';
+                const key = isTime ? 'selectedTime' : 'selectedDate';
+                const node = view('DatePicker', {
+                    selection: this._state(entry, key, 'Date', 'Date()'),
+                    displayedComponents: isTime ? '.hourAndMinute' : '.date'
+                }, null, [swiftString(props.header ?? props.watermark ?? '')]);
+                if (entry.type === 'Calendar') modify(node, 'datePickerStyle', ['.graphical']);
+                return node;
+            }
+
+            case 'ColorPicker':
+                return view('ColorPicker', {
+                    selection: this._state(entry, 'color', 'Color', swiftColor(props.color) || 'Color.red'),
+                    supportsOpacity: props.isAlphaEnabled === false ? false : null
+                }, null, [swiftString(props.header ?? 'Color')]);
+
+            // Selections
+            case 'Picker': {
+                const items = (props.items || []).map(item => getItemText(item));
+                const selected = Math.min(Math.max(Number(props.selectedIndex) || 0, 0), Math.max(items.length - 1, 0));
+                return view('Picker', {
+                    selection: this._state(entry, 'selectedIndex', 'Int', swiftNumber(selected))
+                }, items.map((item, i) => modify(this._text(item), 'tag', [String(i)])),
+                [swiftString(props.placeholderText || '')]);
+            }
+
+            case 'List':
+                return view('List', {}, entry.children.length > 0
+                    ? this._placeChildren(sortByPosition(entry.children),
+                        this._layoutProps({ layoutMode: LayoutMode.VERTICAL }, bounds), bounds)
+                    : (props.items || []).map(item => this._text(getItemText(item))));
+
+            // Containers
+            case 'NavigationStack': {
+                const content = this._buildContent(entry.children, innerBounds(bounds, 3)) || constant('Color.clear');
+                return view('NavigationStack', {}, [
+                    modify(content, 'navigationTitle', [this._string(entry, props, 'title')])
+                ]);
+            }
+
+            case 'GroupBox': {
+                const title = entry.type === 'Dialog' ? 'title' : 'header';
+                const content = this._buildContent(entry.children, innerBounds(bounds, 2));
+                const fallback = props.subheader ? [this._text(props.subheader)] : [];
+                return view('GroupBox', {}, content ? [content] : fallback, [this._string(entry, props, title)]);
+            }
+
+            case 'ZStack': {
+                if (entry.type === 'Border') {
+                    const content = this._buildContent(entry.children, innerBounds(bounds)) || constant('Color.clear');
+                    for (const padding of this._layout.transformPadding({ top: 1, right: 1, bottom: 1, left: 1 })) {
+                        modify(content, 'padding', [padding]);
+                    }
+                    const background = swiftColor(props.background);
+                    const decorations = [];
+                    if (background) decorations.push({ name: 'background', args: [background], content: null });
+                    decorations.push({ name: 'border', args: [swiftColor(props.borderBrush) || 'Color.primary'], content: null });
+                    return { node: content, decorations };
+                }
+                const stackProps = this._layoutProps({ layoutMode: LayoutMode.NONE }, bounds);
+                return {
+                    node: view('ZStack', { alignment: '.topLeading' }, this._placeChildren(entry.children, stackProps, bounds)),
+                    alignment: '.topLeading'
+                };
+            }
+
+            case 'ScrollView':
+                return view('ScrollView', {},
+                    [this._buildContent(entry.children, innerBounds(bounds))].filter(Boolean));
+
+            case 'DisclosureGroup':
+                return view('DisclosureGroup', {
+                    isExpanded: this._state(entry, 'isExpanded', 'Bool', props.isExpanded ? 'true' : 'false')
+                }, sortByPosition(entry.children)
+                    .map(child => this._buildContent([child], child.bounds))
+                    .filter(Boolean),
+                [this._string(entry, props, 'header')]);
+
+            case 'TabView':
+                return this._buildTabs(entry, props);
+
+            // Layouts
+            case 'VStack':
+                return this._buildStackPanel(entry, props);
+
+            case 'Grid':
+                return this._buildGrid(entry, props);
+
+            case 'LazyVGrid': {
+                const children = sortByPosition(entry.children)
+                    .map(child => this._buildContent([child], child.bounds))
+                    .filter(Boolean);
+                if (entry.type === 'WrapPanel') {
+                    const horizontal = props.orientation !== 'Vertical';
+                    const sizes = entry.children.map(child => horizontal ? child.bounds.width : child.bounds.height);
+                    const layoutProps = this._layoutProps({ layoutMode: horizontal ? 'HORIZONTAL' : 'VERTICAL', layoutWrap: 'WRAP' }, bounds);
+                    const layout = this._layout.transformContainerLayout(layoutProps, {
+                        minItemSize: sizes.length > 0 ? Math.min(...sizes) : null
+                    });
+                    return { node: view(layout.view, layout.args, children), alignment: layout.alignment };
+                }
+                const columns = Number(props.columns) > 0
+                    ? Number(props.columns)
+                    : Math.max(1, Math.ceil(Math.sqrt(entry.children.length)));
+                return {
+                    node: view('LazyVGrid', {
+                        columns: `Array(repeating: GridItem(.flexible(), spacing: 0), count: ${columns})`,
+                        spacing: 0
+                    }, children),
+                    alignment: '.top'
+                };
+            }
+
+            case 'Divider':
+                return view('Divider');
+
+            // Indicators
+            case 'ProgressView': {
+                const min = Number(props.minimum) || 0;
+                const max = Number(props.maximum) || 100;
+                const indeterminate = props.isIndeterminate !== false || props.value === undefined || max <= min;
+                const node = indeterminate
+                    ? view('ProgressView')
+                    : view('ProgressView', {
+                        value: Math.min(Math.max(Number(props.value) - min, 0), max - min),
+                        total: max - min
+                    });
+                if (entry.type !== 'ProgressBar') modify(node, 'progressViewStyle', ['.circular']);
+                return node;
+            }
+
+            // Data display
+            case 'Image': {
+                if (!props.source) return view('Image', { systemName: '"photo"' });
+                const source = String(props.source);
+                if (/^https?:/i.test(source)) {
+                    return view('AsyncImage', { url: `URL(string: ${swiftString(source)})` });
+                }
+                const node = view('Image', {}, null, [swiftString(source.replace(/\.[a-z]+$/i, ''))]);
+                if (props.stretch !== 'None') modify(node, 'resizable');
+                if (CONTENT_MODE_MAP[props.stretch]) {
+                    modify(node, 'aspectRatio', [`contentMode: ${CONTENT_MODE_MAP[props.stretch]}`]);
+                }
+                return node;
+            }
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * StackPanel -> VStack/HStack
+     * @private
+     */
+    _buildStackPanel(entry, props) {
+        const horizontal = props.orientation === 'Horizontal';
+        const layoutProps = this._layoutProps({
+            layoutMode: horizontal ? 'HORIZONTAL' : 'VERTICAL',
+            itemSpacing: Number(props.spacing) || 0
+        }, entry.bounds);
+        const layout = this._layout.transformContainerLayout(layoutProps);
+        const children = this._placeChildren(sortByPosition(entry.children, horizontal), layoutProps, entry.bounds);
+
+        return { node: view(layout.view, layout.args, children), alignment: layout.alignment };
+    }
+
+    /**
+     * Grid -> Grid of GridRows. Children go to the cell set by
+     * gridRow/gridColumn, or to the cell they were drawn in.
+     * @private
+     */
+    _buildGrid(entry, props) {
+        const columns = parseGridDefinitions(props.columnDefinitions);
+        const rows = parseGridDefinitions(props.rowDefinitions);
+        const cells = rows.map(() => columns.map(() => []));
+
+        for (const child of sortByPosition(entry.children)) {
+            const { row, column } = getGridCell(child, entry.bounds, rows.length, columns.length);
+            cells[row][column].push(child);
+        }
+
+        return {
+            node: view('Grid', { alignment: '.topLeading', horizontalSpacing: 0, verticalSpacing: 0 },
+                cells.map(row => view('GridRow', {}, row.map(cell => this._buildCell(cell))))),
+            alignment: '.topLeading'
+        };
+    }
+
+    /**
+     * @private
+     */
+    _buildCell(entries) {
+        const nodes = entries
+            .map(child => this._buildContent([child], child.bounds))
+            .filter(Boolean);
+
+        if (nodes.length === 0) {
+            return modify(constant('Color.clear'), 'gridCellUnsizedAxes', ['[.horizontal, .vertical]']);
+        }
+        if (nodes.length === 1) return nodes[0];
+        return view('VStack', { alignment: '.leading', spacing: 0 }, nodes);
+    }
+
+    /**
+     * TabControl -> TabView with a .tabItem per tab.
+     * Components drawn inside the control fill the selected tab.
+     * @private
+     */
+    _buildTabs(entry, props) {
+        const tabs = (props.tabs?.length > 0 ? props.tabs : [{ header: 'Tab 1' }])
+            .map((tab, i) => String(tab?.header ?? tab ?? `Tab ${i + 1}`));
+        const selected = Math.min(Math.max(Number(props.selectedIndex) || 0, 0), tabs.length - 1);
+        const page = this._buildContent(entry.children, innerBounds(entry.bounds, 3));
+
+        return view('TabView', {
+            selection: this._state(entry, 'selectedIndex', 'Int', swiftNumber(selected))
+        }, tabs.map((header, i) => {
+            const node = (i === selected && page) || this._text(header);
+            modify(node, 'tabItem', [], [this._text(header)]);
+            return modify(node, 'tag', [String(i)]);
+        }));
+    }
+
+    /**
+     * @private
+     * @param {*} value - Text content
+     * @param {string} [expression] - Swift expression used instead of the value
+     */
+    _text(value, expression = null) {
+        return view('Text', {}, null, [expression ?? swiftString(value ?? '')]);
+    }
+
+    /**
+     * Font modifiers for the font properties set on a component
+     * @private
+     * @param {object} node - Text view node
+     * @param {object} props - Properties set on the object (not the control defaults)
+     */
+    _textStyle(node, props) {
+        const size = Number(props.fontSize) > 0 && Number(props.fontSize) !== 14 ? swiftNumber(Number(props.fontSize)) : null;
+        if (props.fontFamily) {
+            modify(node, 'font', [`.custom(${swiftString(props.fontFamily)}, size: ${size ?? 14})`]);
+        } else if (size) {
+            modify(node, 'font', [`.system(size: ${size})`]);
+        }
+        if (/bold/i.test(props.fontWeight)) modify(node, 'bold');
+        if (props.fontStyle === 'Italic') modify(node, 'italic');
+        const color = swiftColor(props.foreground);
+        if (color) modify(node, 'foregroundStyle', [color]);
+    }
+
+    /**
+     * Make a valid Swift type name
+     * @private
+     */
+    _sanitizeClassName(name) {
+        const words = String(name || '').split(/[^A-Za-z0-9]+/).filter(Boolean);
+        const className = words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('');
+        if (!className) return 'AsciiArtView';
+        return /^[0-9]/.test(className) ? `View${className}` : className;
+    }
+
+    // ==========================================
+    // SWIFT OUTPUT
+    // ==========================================
+
+    /**
+     * Write a view node as Swift source
+     * @private
+     * @param {object} node - View node
+     * @param {number} level - Indentation level of the line the view starts on
+     * @returns {string}
+     */
+    _emit(node, level) {
+        const indent = lvl => this._indent(lvl, ' '.repeat(this._options.indentSize));
+        const value = arg => (typeof arg === 'number' ? swiftNumber(arg) : String(arg));
+
+        const parts = [
+            ...node.positional.map(value),
+            ...Object.entries(node.args)
+                .filter(([, arg]) => arg !== null && arg !== undefined)
+                .map(([key, arg]) => `${key}: ${value(arg)}`)
+        ];
+
+        let out = node.name;
+        if (parts.length > 0 || (node.content === null && !node.bare)) out += `(${parts.join(', ')})`;
+        if (node.content !== null) out += this._emitClosure(node.content, level);
+
+        // Modifiers line up with a closing brace, or sit one level in below a one-line view
+        const modifierLevel = out.includes('\n') ? level : level + 1;
+        for (const mod of node.modifiers) {
+            out += `\n${indent(modifierLevel)}.${mod.name}`;
+            if (mod.args.length > 0 || mod.content === null) out += `(${mod.args.join(', ')})`;
+            if (mod.content !== null) out += this._emitClosure(mod.content, modifierLevel);
+        }
+        return out;
+    }
+
+    /**
+     * Write trailing closure content
+     * @private
+     */
+    _emitClosure(items, level) {
+        const indent = lvl => this._indent(lvl, ' '.repeat(this._options.indentSize));
+        if (items.length === 0) return ' {}';
+
+        // A single short view stays on the line
+        if (items.length === 1 && items[0].comment === undefined) {
+            const inline = this._emit(items[0], level + 1);
+            if (!inline.includes('\n') && indent(level).length + inline.length + 4 <= this._options.lineWidth) {
+                return ` { ${inline} }`;
+            }
+        }
+
+        const lines = items.map(item => item.comment !== undefined
+            ? `${indent(level + 1)}// ${item.comment}`
+            : `${indent(level + 1)}${this._emit(item, level + 1)}`);
+        return ` {\n${lines.join('\n')}\n${indent(level)}}`;
+    }
+}
+
+// ==========================================
+// DEFAULT EXPORT
+// ==========================================
+
+export default SwiftUIExporter;
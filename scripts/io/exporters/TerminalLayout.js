@@ -0,0 +1,437 @@
+/**
+ * Asciistrator - Terminal Layout
+ *
+ * Shared layout for the terminal UI exporters (Textual, Bubble Tea,
+ * Ratatui). Terminals lay out in character cells, the unit the canvas is
+ * drawn in, so the sketch is kept exactly instead of being approximated:
+ * - Children of a container are cut into rows and columns along the empty
+ *   lines between them, giving each row or column its sketched size and
+ *   the gap before it
+ * - Children that overlap so no cut separates them are kept as layers at
+ *   their sketched offsets
+ * - Borders keep the character set the control is drawn with (Single,
+ *   Double, Rounded, Heavy or Dashed from UIComponent's BorderStyle)
+ *
+ * @version 1.0.0
+ */
+
+import { getControlByType } from '../../components/controls/index.js';
+import { BorderStyle } from '../../components/UIComponent.js';
+import {
+    CONTAINER_OBJECT_TYPES,
+    getSceneObjects,
+    buildComponentTree,
+    getComponentProperties
+} from './ComponentTree.js';
+
+// ==========================================
+// CONSTANTS
+// ==========================================
+
+/**
+ * Border styles, named after the UIComponent BorderStyle sets
+ */
+export const TerminalBorder = {
+    Single: 'single',
+    Double: 'double',
+    Rounded: 'rounded',
+    Heavy: 'heavy',
+    Dashed: 'dashed'
+};
+
+/**
+ * Component types that hold the components drawn inside them
+ */
+export const TERMINAL_CONTAINER_TYPES = new Set([
+    'Window', 'Dialog', 'GroupBox', 'Card', 'Border', 'ScrollViewer', 'Expander', 'TabControl',
+    'HeaderedContentControl', 'ContentControl', 'StackPanel', 'VirtualizingStackPanel', 'StackLayout',
+    'Grid', 'UniformGrid', 'WrapPanel', 'DockPanel', 'Canvas', 'RelativePanel', 'FlexPanel'
+]);
+
+/**
+ * Layout panels are drawn with a dashed outline on the canvas to show
+ * where they are; they have no border of their own
+ */
+const LAYOUT_PANEL_TYPES = new Set([
+    'StackPanel', 'VirtualizingStackPanel', 'StackLayout', 'Grid', 'UniformGrid', 'WrapPanel',
+    'DockPanel', 'Canvas', 'RelativePanel', 'FlexPanel', 'ItemsRepeater', 'UniformGridLayout',
+    'ItemsControl', 'ContentControl'
+]);
+
+/**
+ * Title property shown in the top border of a container
+ */
+const TITLE_PROPERTIES = {
+    Window: 'title',
+    Dialog: 'title',
+    GroupBox: 'header',
+    Card: 'header',
+    Expander: 'header',
+    HeaderedContentControl: 'header'
+};
+
+/**
+ * Frame and rectangle style names that differ from TerminalBorder
+ */
+const BORDER_ALIASES = {
+    thick: TerminalBorder.Heavy,
+    bold: TerminalBorder.Heavy,
+    round: TerminalBorder.Rounded
+};
+
+// ==========================================
+// TREE
+// ==========================================
+
+/**
+ * @typedef {Object} TerminalNode
+ * @property {Object} obj - Scene object
+ * @property {string|null} type - UI component type, null for plain scene objects
+ * @property {Object|null} mapping - Framework mapping of the component type
+ * @property {Object} props - Component properties (defaults applied)
+ * @property {string} name - Unique lowerCamelCase name
+ * @property {number} width - Width in cells
+ * @property {number} height - Height in cells
+ * @property {string|null} border - TerminalBorder style, null when unbordered
+ * @property {string} title - Text in the top border
+ * @property {{top: number, right: number, bottom: number, left: number}} insets - Cells between the edge and the children
+ * @property {Object|null} layout - Placement of the children, see splitCells
+ */
+
+/**
+ * Build the layout of a document's visible UI
+ * @param {Object} document
+ * @param {Object} options
+ * @param {Function} options.getMapping - (componentType) => framework mapping or null
+ * @param {number} options.width - Screen width in cells
+ * @param {number} options.height - Screen height in cells
+ * @returns {{layout: Object|null, nodes: Array<TerminalNode>}} Layout of the screen and all nodes in document order
+ */
+export function buildTerminalLayout(document, options) {
+    const roots = buildComponentTree(getSceneObjects(document), {
+        getMapping: options.getMapping,
+        isContainer: (mapping, type) => TERMINAL_CONTAINER_TYPES.has(type)
+    });
+    const context = { names: new Map(), nodes: [] };
+    const screen = { x: 0, y: 0, width: options.width, height: options.height };
+
+    return {
+        layout: placeEntries(roots, screen, context),
+        nodes: context.nodes
+    };
+}
+
+/**
+ * Create nodes for entries and split them over an area
+ * @param {Array} entries - Tree entries in canvas coordinates
+ * @param {Object} area - Area in canvas coordinates
+ * @param {Object} context
+ * @returns {Object|null}
+ */
+function placeEntries(entries, area, context) {
+    const items = entries.map(entry => ({
+        node: createNode(entry, context),
+        x: entry.bounds.x - area.x,
+        y: entry.bounds.y - area.y
+    }));
+    return splitCells(items, area.width, area.height);
+}
+
+/**
+ * @param {Object} entry - Component tree entry
+ * @param {Object} context
+ * @returns {TerminalNode}
+ */
+function createNode(entry, context) {
+    const { obj, type } = entry;
+    const props = type ? getComponentProperties(entry) : {};
+    const node = {
+        obj,
+        type,
+        mapping: entry.mapping,
+        props,
+        name: uniqueName(obj.name || type || obj.type, context.names),
+        width: Math.max(1, Math.round(entry.bounds.width)),
+        height: Math.max(1, Math.round(entry.bounds.height)),
+        border: getBorderStyle(entry, props),
+        title: '',
+        insets: { top: 0, right: 0, bottom: 0, left: 0 },
+        layout: null
+    };
+    context.nodes.push(node);
+
+    if (type && TITLE_PROPERTIES[type]) node.title = String(props[TITLE_PROPERTIES[type]] ?? '');
+    if (!type && obj.title) node.title = String(obj.title);
+    if (node.border) node.insets = { top: 1, right: 1, bottom: 1, left: 1 };
+    // The tab strip takes the two rows above the page border
+    if (type === 'TabControl') node.insets.top = 3;
+
+    if (entry.children.length > 0) {
+        const content = {
+            x: entry.bounds.x + node.insets.left,
+            y: entry.bounds.y + node.insets.top,
+            width: Math.max(0, node.width - node.insets.left - node.insets.right),
+            height: Math.max(0, node.height - node.insets.top - node.insets.bottom)
+        };
+        node.layout = placeEntries(entry.children, content, context);
+    }
+    return node;
+}
+
+/**
+ * @returns {string} lowerCamelCase name, numbered when taken
+ */
+function uniqueName(source, names) {
+    const words = String(source || 'item')
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .split(/[^A-Za-z0-9]+/)
+        .filter(Boolean)
+        .map(word => word.toLowerCase());
+    let base = words.map((word, i) => i === 0 ? word : word[0].toUpperCase() + word.slice(1)).join('') || 'item';
+    if (/^[0-9]/.test(base)) base = `item${base}`;
+
+    const count = (names.get(base) || 0) + 1;
+    names.set(base, count);
+    return count === 1 ? base : `${base}${count}`;
+}
+
+// ==========================================
+// CELL SPLITTING
+// ==========================================
+
+/**
+ * Split positioned items into rows and columns along the empty lines
+ * between them. Each part of a split records its size along the split
+ * axis and the gap before it; parts hold a single node, a nested split,
+ * or layers when items overlap.
+ *
+ * Results:
+ * - { kind: 'node', node, x, y } - one node at an offset in its area
+ * - { kind: 'rows' | 'columns', parts: [{ gap, size, content }], rest } -
+ *   parts in order, rest being the cells left after the last part
+ * - { kind: 'layers', items: [{ node, x, y }] } - overlapping nodes
+ *
+ * @param {Array<{node: TerminalNode, x: number, y: number}>} items - Items at offsets in the area
+ * @param {number} width - Area width in cells
+ * @param {number} height - Area height in cells
+ * @returns {Object|null} Layout, null for no items
+ */
+export function splitCells(items, width, height) {
+    if (items.length === 0) return null;
+    if (items.length === 1) {
+        const [{ node, x, y }] = items;
+        return { kind: 'node', node, x: Math.max(0, x), y: Math.max(0, y) };
+    }
+
+    for (const horizontal of [false, true]) {
+        const bands = findBands(items, horizontal);
+        if (bands.length < 2) continue;
+
+        const extent = horizontal ? width : height;
+        const parts = [];
+        let end = 0;
+        for (const band of bands) {
+            const start = Math.max(band.start, end);
+            const size = Math.max(1, band.end - start);
+            const shifted = band.items.map(item => horizontal
+                ? { ...item, x: item.x - start }
+                : { ...item, y: item.y - start });
+            parts.push({
+                gap: start - end,
+                size,
+                content: horizontal
+                    ? splitCells(shifted, size, height)
+                    : splitCells(shifted, width, size)
+            });
+            end = start + size;
+        }
+        return { kind: horizontal ? 'columns' : 'rows', parts, rest: Math.max(0, extent - end) };
+    }
+
+    return {
+        kind: 'layers',
+        items: [...items]
+            .sort((a, b) => a.y - b.y || a.x - b.x)
+            .map(({ node, x, y }) => ({ node, x: Math.max(0, x), y: Math.max(0, y) }))
+    };
+}
+
+/**
+ * Group items into bands that no item crosses
+ * @param {Array} items
+ * @param {boolean} horizontal - Bands along x instead of y
+ * @returns {Array<{start: number, end: number, items: Array}>}
+ */
+function findBands(items, horizontal) {
+    const span = item => horizontal
+        ? [Math.round(item.x), Math.round(item.x) + item.node.width]
+        : [Math.round(item.y), Math.round(item.y) + item.node.height];
+    const sorted = [...items].sort((a, b) => span(a)[0] - span(b)[0] || span(a)[1] - span(b)[1]);
+
+    const bands = [];
+    for (const item of sorted) {
+        const [start, end] = span(item);
+        const band = bands[bands.length - 1];
+        if (band && start < band.end) {
+            band.end = Math.max(band.end, end);
+            band.items.push(item);
+        } else {
+            bands.push({ start, end, items: [item] });
+        }
+    }
+    return bands;
+}
+
+// ==========================================
+// BORDERS & MOCKUPS
+// ==========================================
+
+/**
+ * Border a scene object or component is drawn with
+ * @param {Object} entry - Component tree entry
+ * @param {Object} props - Component properties
+ * @returns {string|null} TerminalBorder style
+ */
+export function getBorderStyle(entry, props) {
+    const { obj, type } = entry;
+
+    if (type) {
+        if (LAYOUT_PANEL_TYPES.has(type)) return null;
+        const lines = renderMockup(type, props, entry.bounds.width, entry.bounds.height);
+        // The page border of a tab control starts below the tab strip
+        return detectBorderStyle(type === 'TabControl' ? lines.slice(2) : lines);
+    }
+    if (CONTAINER_OBJECT_TYPES.has(obj.type)) {
+        return obj.showBorder === false ? null : normalizeBorder(obj.borderStyle);
+    }
+    if (obj.type === 'rectangle' || obj.type === 'rect') {
+        if (obj.boxStyle) return normalizeBorder(obj.boxStyle);
+        if (obj.cornerRadius > 0 || obj.cornerRadius?.topLeft > 0) return TerminalBorder.Rounded;
+        return normalizeBorder(obj.lineStyle);
+    }
+    return null;
+}
+
+/**
+ * @returns {string} TerminalBorder style for a frame or line style name
+ */
+function normalizeBorder(style) {
+    const name = String(style || 'single').toLowerCase();
+    if (Object.values(TerminalBorder).includes(name)) return name;
+    return BORDER_ALIASES[name] || TerminalBorder.Single;
+}
+
+/**
+ * Border set a rendered box is drawn with, matched on its corner and
+ * edge characters
+ * @param {Array<string>} lines - Rendered lines
+ * @returns {string|null} TerminalBorder style, null when not boxed
+ */
+export function detectBorderStyle(lines) {
+    if (lines.length < 2) return null;
+    const first = [...lines[0]];
+    const last = [...lines[lines.length - 1]];
+    const edges = lines.slice(1, -1).map(line => [...line][0]);
+
+    for (const [name, set] of Object.entries(BorderStyle)) {
+        if (name === 'None' || first[0] !== set.topLeft || last[0] !== set.bottomLeft) continue;
+        // Single and Dashed share corners; the edges tell them apart
+        const matches = edges.length > 0
+            ? edges.includes(set.left)
+            : first.includes(set.top);
+        if (matches) return TerminalBorder[name];
+    }
+    return null;
+}
+
+/**
+ * Render a component as it is drawn on the canvas
+ * @param {string} type - Component type
+ * @param {Object} props - Component properties
+ * @param {number} width - Width in cells
+ * @param {number} height - Height in cells
+ * @returns {Array<string>} Lines, trailing spaces removed
+ */
+export function renderMockup(type, props, width, height) {
+    const ControlClass = getControlByType(type);
+    if (!ControlClass) return [];
+    try {
+        // Only set valid values that differ from the control's defaults:
+        // some defaults do not validate against their own property schema,
+        // and the object name is not a control name and may not validate
+        // as one
+        const definitions = new Map((ControlClass.propertyDefinitions || [])
+            .map(definition => [definition.name, definition]));
+        const properties = Object.fromEntries(Object.entries(props).filter(([key, value]) => {
+            const definition = definitions.get(key);
+            return key !== 'name' && definition
+                && JSON.stringify(definition.defaultValue) !== JSON.stringify(value)
+                && definition.validate(value).valid;
+        }));
+        const control = new ControlClass({ properties });
+        return control.render({ width: Math.max(1, width), height: Math.max(1, height) })
+            .split('\n')
+            .map(line => line.replace(/\s+$/, ''));
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Mockup of a node, without its border when the framework draws that
+ * @param {TerminalNode} node
+ * @param {boolean} [inner=false] - Drop the border rows and columns
+ * @returns {Array<string>}
+ */
+export function getMockupLines(node, inner = false) {
+    const lines = renderMockup(node.type, node.props, node.width, node.height);
+    if (!inner || !node.border) return lines;
+    return lines.slice(node.insets.top, lines.length - 1)
+        .map(line => [...line].slice(1, node.width - 1).join('').replace(/\s+$/, ''));
+}
+
+/**
+ * Property path of a {Binding Path} expression
+ * @param {*} value
+ * @returns {string|null}
+ */
+export function getBindingPath(value) {
+    if (typeof value !== 'string') return null;
+    const match = value.match(/^\{(?:Binding|x:Bind)\s+(?:Path=)?([A-Za-z_][\w.]*)/);
+    return match ? match[1].split('.').pop() : null;
+}
+
+/**
+ * Convert a name to an identifier
+ * @param {string} name - Any name, e.g. 'loginButton' or 'Login view'
+ * @param {'snake'|'kebab'|'camel'|'pascal'} casing
+ * @param {Set<string>} [reserved] - Keywords, suffixed with an underscore
+ * @returns {string}
+ */
+export function toIdentifier(name, casing, reserved = new Set()) {
+    const words = String(name || '')
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .split(/[^A-Za-z0-9]+/)
+        .filter(Boolean)
+        .map(word => word.toLowerCase());
+    if (words.length === 0) words.push('view');
+    if (/^[0-9]/.test(words[0])) words.unshift('item');
+
+    const capitalize = word => word[0].toUpperCase() + word.slice(1);
+    const identifier = {
+        snake: () => words.join('_'),
+        kebab: () => words.join('-'),
+        camel: () => words[0] + words.slice(1).map(capitalize).join(''),
+        pascal: () => words.map(capitalize).join('')
+    }[casing]();
+    return reserved.has(identifier) ? `${identifier}_` : identifier;
+}
+
+/**
+ * Lines a plain text object shows
+ * @param {Object} obj
+ * @returns {Array<string>}
+ */
+export function getTextLines(obj) {
+    return String(obj.text ?? '').split('\n');
+}
@@ -0,0 +1,660 @@
+/**
+ * Asciistrator - Textual Exporter
+ *
+ * Exports UI component mockups as a Python Textual app: widgets yielded
+ * from compose() and sized with TCSS in character cells.
+ * - UI components become Textual widgets, looked up in the
+ *   FrameworkMappings registry; components without one are drawn as
+ *   their mockup text
+ * - The sketch is cut into rows and columns (see TerminalLayout): rows
+ *   become Vertical containers, columns Horizontal ones, and the gaps
+ *   between them top and left margins, so every widget lands on the cell
+ *   it was drawn on. Overlapping components are positioned absolutely.
+ * - Borders keep their box characters (solid, double, round, heavy,
+ *   dashed) and container titles become border titles
+ *
+ * @version 1.0.0
+ */
+
+import BaseExporter from './BaseExporter.js';
+import { ExportCategory } from '../ExporterRegistry.js';
+import frameworkMappingRegistry, { UIFramework } from '../../components/FrameworkMappings.js';
+import { getSceneObjects, getItemText } from './ComponentTree.js';
+import {
+    TerminalBorder,
+    buildTerminalLayout,
+    getMockupLines,
+    getBindingPath,
+    getTextLines,
+    toIdentifier
+} from './TerminalLayout.js';
+
+// ==========================================
+// CONSTANTS
+// ==========================================
+
+/**
+ * TCSS border types for each terminal border style
+ */
+const BORDER_TYPES = {
+    [TerminalBorder.Single]: 'solid',
+    [TerminalBorder.Double]: 'double',
+    [TerminalBorder.Rounded]: 'round',
+    [TerminalBorder.Heavy]: 'heavy',
+    [TerminalBorder.Dashed]: 'dashed'
+};
+
+/**
+ * Python keywords and names used by the generated code
+ */
+const PYTHON_RESERVED = new Set([
+    'False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue',
+    'def', 'del', 'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in',
+    'is', 'lambda', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'try', 'while', 'with',
+    'yield', 'self', 'app'
+]);
+
+// ==========================================
+// PYTHON HELPERS
+// ==========================================
+
+/**
+ * Quote a value as a Python string literal
+ * @param {*} value
+ * @returns {string}
+ */
+export function pythonString(value) {
+    const escaped = String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\r/g, '')
+        .replace(/\n/g, '\\n')
+        .replace(/\t/g, '\\t');
+    return `"${escaped}"`;
+}
+
+/**
+ * Format a value as a Python literal
+ * @param {*} value - String, number, boolean, null, array or {code} for raw code
+ * @returns {string}
+ */
+function pythonValue(value) {
+    if (value === null || value === undefined) return 'None';
+    if (typeof value === 'boolean') return value ? 'True' : 'False';
+    if (typeof value === 'number') return String(Number.isFinite(value) ? value : 0);
+    if (Array.isArray(value)) return `[${value.map(pythonValue).join(', ')}]`;
+    if (typeof value === 'object' && 'code' in value) return value.code;
+    return pythonString(value);
+}
+
+/**
+ * Create a widget element
+ * @param {string} widget - Textual class name
+ * @param {Array} [args] - Positional arguments
+ * @param {object} [kwargs] - Keyword arguments
+ * @returns {{widget: string, args: Array, kwargs: object, id: string|null, variable: string|null,
+ *   css: object, rules: Array, children: Array, title: string, notes: Array<string>, setup: Array<string>}}
+ */
+function element(widget, args = [], kwargs = {}) {
+    return {
+        widget, args, kwargs, id: null, variable: null, css: {}, rules: [],
+        children: [], title: '', notes: [], setup: []
+    };
+}
+
+// ==========================================
+// TEXTUAL EXPORTER
+// ==========================================
+
+/**
+ * Python Textual app exporter
+ */
+export class TextualExporter extends BaseExporter {
+    constructor(config = {}) {
+        super(config);
+    }
+
+    // ==========================================
+    // METADATA
+    // ==========================================
+
+    get id() { return 'textual'; }
+    get name() { return 'Textual'; }
+    get description() { return 'Export UI components as a Python Textual app with TCSS'; }
+    get fileExtension() { return '.py'; }
+    get mimeType() { return 'text/x-python'; }
+    get category() { return ExportCategory.UIFramework; }
+
+    // ==========================================
+    // CAPABILITIES
+    // ==========================================
+
+    get supportsColors() { return false; }
+    get supportsComponents() { return true; }
+    get supportsLayers() { return true; }
+    get supportsAnimations() { return false; }
+    get requiresBuffer() { return false; }
+
+    get defaultOptions() {
+        return {
+            ...super.defaultOptions,
+            className: 'AsciiArtView',
+            indentSize: 4,
+            generateComments: true
+        };
+    }
+
+    // ==========================================
+    // VALIDATION
+    // ==========================================
+
+    _doValidate(document, result) {
+        const objects = getSceneObjects(document);
+        if (!objects.some(obj => obj.uiComponentType || obj.avaloniaType)) {
+            result.addWarning('NO_COMPONENTS', 'Document contains no UI components');
+        }
+    }
+
+    // ==========================================
+    // EXPORT IMPLEMENTATION
+    // ==========================================
+
+    _doExport(document, options) {
+        this._options = options;
+        this._imports = { containers: new Set(), widgets: new Set() };
+        this._mount = [];
+        this._splits = 0;
+
+        const width = document.width || document.canvas?.width || this._getBufferDimensions(this._getBuffer(document)).width || 80;
+        const height = document.height || document.canvas?.height || this._getBufferDimensions(this._getBuffer(document)).height || 24;
+
+        const { layout } = buildTerminalLayout(document, {
+            getMapping: type => frameworkMappingRegistry.getMapping(UIFramework.Textual, type),
+            width,
+            height
+        });
+
+        const screen = element('Screen');
+        this._fill(screen, layout, width, height);
+        return this._generate(screen, options);
+    }
+
+    // ==========================================
+    // LAYOUT
+    // ==========================================
+
+    /**
+     * Add the elements of a layout to a parent element
+     * @private
+     */
+    _fill(parent, layout, width, height) {
+        if (!layout) return;
+
+        if (layout.kind === 'node') {
+            const child = this._buildNode(layout.node);
+            this._setMargin(child, layout.y, layout.x);
+            parent.children.push(child);
+            return;
+        }
+
+        if (layout.kind === 'layers') {
+            for (const { node, x, y } of layout.items) {
+                const child = this._buildNode(node);
+                child.css.position = 'absolute';
+                child.css.offset = `${x} ${y}`;
+                parent.children.push(child);
+            }
+            return;
+        }
+
+        const rows = layout.kind === 'rows';
+        if (!rows) parent.css.layout = 'horizontal';
+
+        // Leftover cells after a widget that does not fill its row or
+        // column move into the next margin; margins only go on one side
+        // so adjacent margins never collapse
+        let carry = 0;
+        for (const part of layout.parts) {
+            const offset = carry + part.gap;
+            const content = part.content;
+
+            if (content?.kind === 'node') {
+                const child = this._buildNode(content.node);
+                if (rows) {
+                    this._setMargin(child, offset + content.y, content.x);
+                    carry = part.size - content.y - content.node.height;
+                } else {
+                    this._setMargin(child, content.y, offset + content.x);
+                    carry = part.size - content.x - content.node.width;
+                }
+                parent.children.push(child);
+                continue;
+            }
+
+            const wrapper = this._buildSplit(content, rows ? 'row' : 'column');
+            wrapper.css.width = rows ? width : part.size;
+            wrapper.css.height = rows ? part.size : height;
+            if (rows) this._setMargin(wrapper, offset, 0);
+            else this._setMargin(wrapper, 0, offset);
+            this._fill(wrapper, content, wrapper.css.width, wrapper.css.height);
+            parent.children.push(wrapper);
+            carry = 0;
+        }
+    }
+
+    /**
+     * Container holding a nested split
+     * @private
+     */
+    _buildSplit(content, name) {
+        const widget = content?.kind === 'columns' ? 'Horizontal'
+            : content?.kind === 'rows' ? 'Vertical' : 'Container';
+        this._imports.containers.add(widget);
+        const wrapper = element(widget);
+        wrapper.id = `${name}-${++this._splits}`;
+        return wrapper;
+    }
+
+    /**
+     * @private
+     */
+    _setMargin(child, top, left) {
+        if (top > 0 || left > 0) child.css.margin = `${top} 0 0 ${left}`;
+    }
+
+    // ==========================================
+    // WIDGETS
+    // ==========================================
+
+    /**
+     * Build the element of a node
+     * @private
+     */
+    _buildNode(node) {
+        this._notes = [];
+        const child = this._createWidget(node);
+        child.notes.push(...this._notes);
+        child.id = toIdentifier(node.name, 'kebab');
+        child.css = {
+            width: node.width,
+            height: node.height,
+            border: BORDER_TYPES[node.border] || 'none',
+            ...child.css
+        };
+        if (node.title) child.title = node.title;
+        if (node.props.isEnabled === false) child.kwargs.disabled = true;
+
+        const target = child.widget === 'TabbedContent' ? this._selectedPane(child, node) : child;
+        if (node.layout) {
+            const inner = {
+                width: Math.max(0, node.width - node.insets.left - node.insets.right),
+                height: Math.max(0, node.height - node.insets.top - node.insets.bottom)
+            };
+            this._fill(target, node.layout, inner.width, inner.height);
+        }
+        return child;
+    }
+
+    /**
+     * @private
+     */
+    _createWidget(node) {
+        const { obj, type, props } = node;
+
+        if (!type) {
+            if (obj.type === 'text' && !node.layout) {
+                return this._widget('Label', [getTextLines(obj).join('\n')], { markup: false });
+            }
+            return this._container('Container');
+        }
+
+        if (!node.mapping) {
+            if (node.layout) return this._container('Container');
+            const child = this._widget('Static', [getMockupLines(node).join('\n')], { markup: false });
+            child.css.border = 'none';
+            child.notes.push(`${type} has no Textual widget; drawn as text`);
+            return child;
+        }
+
+        switch (node.mapping.targetType) {
+            case 'Button':
+                return this._widget('Button', [this._text(node, 'content')]);
+
+            case 'Link':
+                return this._widget('Link', [this._text(node, 'content')], props.navigateUri ? { url: props.navigateUri } : {});
+
+            case 'Checkbox':
+            case 'RadioButton':
+                return this._widget(node.mapping.targetType, [this._text(node, 'content')], { value: props.isChecked === true });
+
+            case 'Switch': {
+                const row = this._container('Horizontal');
+                row.children.push(this._widget('Label', [`${this._text(node, 'content')} `]));
+                row.children.push(this._widget('Switch', [], { value: props.isChecked === true }));
+                row.rules.push({ selector: 'Switch', css: { width: 6, height: 1, border: 'none' } });
+                return row;
+            }
+
+            case 'Input':
+                return this._createInput(node);
+
+            case 'TextArea':
+                return this._widget('TextArea', [this._text(node, 'text')]);
+
+            case 'Label':
+                return this._widget('Label', [this._text(node, props.content !== undefined ? 'content' : 'text')], { markup: false });
+
+            case 'Select': {
+                const items = (props.items || []).map(getItemText);
+                const selected = items[props.selectedIndex] ?? items[0];
+                const child = this._widget('Select', [{ code: `[${items.map(item => `(${pythonString(item)}, ${pythonString(item)})`).join(', ')}]` }], {
+                    ...(selected !== undefined ? { value: selected } : {}),
+                    allow_blank: selected === undefined
+                });
+                child.rules.push({ selector: 'SelectCurrent', css: { border: 'none', height: 1 } });
+                return child;
+            }
+
+            case 'OptionList':
+                return this._widget('OptionList', (props.items || []).map(getItemText));
+
+            case 'Tree':
+                return this._createTree(node);
+
+            case 'DataTable':
+                return this._createTable(node);
+
+            case 'ProgressBar': {
+                const child = this._widget('ProgressBar', [], {
+                    total: props.isIndeterminate ? null : (props.maximum ?? 100) - (props.minimum ?? 0),
+                    show_eta: false
+                });
+                if (!props.isIndeterminate) {
+                    this._mount.push(`self.query_one("#${toIdentifier(node.name, 'kebab')}", ProgressBar).update(progress=${(props.value ?? 0) - (props.minimum ?? 0)})`);
+                }
+                return child;
+            }
+
+            case 'LoadingIndicator':
+                return this._widget('LoadingIndicator');
+
+            case 'Sparkline':
+                return this._widget('Sparkline', [(props.data || []).map(Number).filter(Number.isFinite)]);
+
+            case 'Rule':
+                return this._widget('Rule');
+
+            case 'TabbedContent':
+                return this._createTabs(node);
+
+            case 'Collapsible':
+                return this._container('Collapsible', [], {
+                    title: this._text(node, 'header'),
+                    collapsed: props.isExpanded === false
+                });
+
+            case 'VerticalScroll':
+                return this._container('VerticalScroll');
+
+            default:
+                return this._container('Container');
+        }
+    }
+
+    /**
+     * @private
+     */
+    _createInput(node) {
+        const { type, props } = node;
+        const text = type === 'PasswordBox' ? props.password
+            : type === 'NumericUpDown' ? String(props.value ?? '') : this._text(node, 'text');
+        const placeholder = props.watermark || props.placeholderText || props.placeholder;
+        return this._widget('Input', [], {
+            ...(text ? { value: text } : {}),
+            ...(placeholder ? { placeholder } : {}),
+            ...(type === 'PasswordBox' ? { password: true } : {}),
+            ...(type === 'NumericUpDown' ? { type: 'number' } : {})
+        });
+    }
+
+    /**
+     * Tree with its items added before it is yielded
+     * @private
+     */
+    _createTree(node) {
+        const items = node.props.items || [];
+        const single = items.length === 1;
+        const rootLabel = single ? getItemText(items[0]) : '';
+        const child = this._widget('Tree', [rootLabel], single ? {} : { show_root: false });
+        child.variable = toIdentifier(node.name, 'snake', PYTHON_RESERVED);
+        child.setup.push(`${child.variable}.root.expand()`);
+
+        let count = 0;
+        const addItems = (parent, children) => {
+            for (const item of children || []) {
+                const label = pythonString(getItemText(item));
+                if (item?.items?.length) {
+                    const variable = `${child.variable}_${++count}`;
+                    child.setup.push(`${variable} = ${parent}.add(${label}, expand=${item.isExpanded === false ? 'False' : 'True'})`);
+                    addItems(variable, item.items);
+                } else {
+                    child.setup.push(`${parent}.add_leaf(${label})`);
+                }
+            }
+        };
+        addItems(`${child.variable}.root`, single ? items[0].items : items);
+        return child;
+    }
+
+    /**
+     * DataTable filled once mounted
+     * @private
+     */
+    _createTable(node) {
+        const columns = (node.props.columns || []).map(column => ({
+            header: getItemText(column),
+            binding: column?.binding
+        }));
+        const child = this._widget('DataTable');
+        const id = toIdentifier(node.name, 'kebab');
+        const table = `self.query_one("#${id}", DataTable)`;
+
+        if (columns.length > 0) {
+            this._mount.push(`${table}.add_columns(${columns.map(column => pythonString(column.header)).join(', ')})`);
+        }
+        const rows = (node.props.items || []).map(item => columns.map(column =>
+            item && typeof item === 'object' ? String(item[column.binding] ?? '') : String(item ?? '')));
+        if (rows.length > 0) {
+            this._mount.push(`${table}.add_rows(${pythonValue(rows.map(row => ({ code: `(${row.map(pythonString).join(', ')},)` })))})`);
+        }
+        return child;
+    }
+
+    /**
+     * TabbedContent with a TabPane per tab
+     * @private
+     */
+    _createTabs(node) {
+        const child = this._container('TabbedContent');
+        const id = toIdentifier(node.name, 'kebab');
+        const tabs = node.props.tabs?.length ? node.props.tabs : (node.props.items || []);
+        tabs.forEach((tab, index) => {
+            const pane = this._container('TabPane', [getItemText(tab)]);
+            pane.kwargs.id = `${id}-tab-${index + 1}`;
+            child.children.push(pane);
+        });
+        if (child.children.length > 0) {
+            const selected = Math.min(Math.max(node.props.selectedIndex || 0, 0), child.children.length - 1);
+            child.kwargs.initial = child.children[selected].kwargs.id;
+        }
+
+        // The tab strip takes two rows; the border goes around the pages
+        child.rules.push({ selector: 'ContentSwitcher', css: { height: '1fr' } });
+        child.rules.push({ selector: 'TabPane', css: { height: '1fr', border: BORDER_TYPES[node.border] || 'none' } });
+        child.css.border = 'none';
+        return child;
+    }
+
+    /**
+     * Pane that holds the children of a TabControl
+     * @private
+     */
+    _selectedPane(child, node) {
+        if (child.children.length === 0) return child;
+        const selected = Math.min(Math.max(node.props.selectedIndex || 0, 0), child.children.length - 1);
+        return child.children[selected];
+    }
+
+    /**
+     * @private
+     */
+    _widget(widget, args = [], kwargs = {}) {
+        this._imports.widgets.add(widget);
+        return element(widget, args, kwargs);
+    }
+
+    /**
+     * @private
+     */
+    _container(widget, args = [], kwargs = {}) {
+        const isContainer = ['Container', 'Horizontal', 'Vertical', 'VerticalScroll'].includes(widget);
+        this._imports[isContainer ? 'containers' : 'widgets'].add(widget);
+        return element(widget, args, kwargs);
+    }
+
+    // ==========================================
+    // BINDINGS
+    // ==========================================
+
+    /**
+     * A string property. Bound properties are left empty and noted.
+     * @private
+     */
+    _text(node, key) {
+        const value = node.props[key];
+        const path = getBindingPath(value);
+        if (path) {
+            this._notes.push(`${key} is bound to ${path}`);
+            return '';
+        }
+        return String(value ?? '');
+    }
+
+    // ==========================================
+    // CODE GENERATION
+    // ==========================================
+
+    /**
+     * @private
+     */
+    _generate(screen, options) {
+        const className = toIdentifier(options.className, 'pascal');
+        const lines = [];
+
+        if (options.generateComments) {
+            lines.push(`"""${className} - generated by Asciistrator"""`);
+            lines.push('');
+        }
+
+        lines.push('from textual.app import App, ComposeResult');
+        if (this._imports.containers.size > 0) {
+            lines.push(`from textual.containers import ${[...this._imports.containers].sort().join(', ')}`);
+        }
+        if (this._imports.widgets.size > 0) {
+            lines.push(`from textual.widgets import ${[...this._imports.widgets].sort().join(', ')}`);
+        }
+        lines.push('', '');
+
+        lines.push(`class ${className}(App):`);
+        if (options.generateComments) {
+            lines.push(this._line(1, '"""Terminal UI laid out in character cells"""'), '');
+        }
+
+        lines.push(this._line(1, 'CSS = """'));
+        for (const rule of this._collectRules(screen)) {
+            lines.push(this._line(1, `${rule.selector} {`));
+            for (const [property, value] of Object.entries(rule.css)) {
+                lines.push(this._line(2, `${property}: ${value};`));
+            }
+            lines.push(this._line(1, '}'));
+        }
+        lines.push(this._line(1, '"""'), '');
+
+        lines.push(this._line(1, 'def compose(self) -> ComposeResult:'));
+        if (screen.children.length === 0) lines.push(this._line(2, 'yield from ()'));
+        for (const child of screen.children) this._emitElement(child, 2, lines);
+
+        if (this._mount.length > 0) {
+            lines.push('', this._line(1, 'def on_mount(self) -> None:'));
+            for (const statement of this._mount) lines.push(this._line(2, statement));
+        }
+
+        lines.push('', '');
+        lines.push('if __name__ == "__main__":');
+        lines.push(this._line(1, `${className}().run()`));
+        lines.push('');
+        return lines.join('\n');
+    }
+
+    /**
+     * TCSS rules in document order
+     * @private
+     */
+    _collectRules(screen) {
+        // Widgets are sized to the cell; drop the padding and minimum sizes
+        // their default styles add
+        const rules = [{ selector: '*', css: { margin: 0, padding: 0, 'min-width': 0, 'min-height': 0 } }];
+        if (screen.css.layout) rules.push({ selector: 'Screen', css: { layout: screen.css.layout } });
+
+        const visit = el => {
+            if (el.id && Object.keys(el.css).length > 0) rules.push({ selector: `#${el.id}`, css: el.css });
+            for (const rule of el.rules) {
+                rules.push({ selector: el.id ? `#${el.id} ${rule.selector}` : rule.selector, css: rule.css });
+            }
+            el.children.forEach(visit);
+        };
+        screen.children.forEach(visit);
+        return rules;
+    }
+
+    /**
+     * Write the compose() statements of an element
+     * @private
+     */
+    _emitElement(el, level, lines) {
+        for (const note of el.notes) lines.push(this._line(level, `# ${note}`));
+
+        const args = el.args.map(pythonValue);
+        for (const [key, value] of Object.entries(el.kwargs)) args.push(`${key}=${pythonValue(value)}`);
+        if (el.id) args.push(`id=${pythonString(el.id)}`);
+        const call = `${el.widget}(${args.join(', ')})`;
+
+        if (el.children.length > 0 || el.title) {
+            const variable = el.title ? ` as ${toIdentifier(el.id, 'snake', PYTHON_RESERVED)}` : '';
+            lines.push(this._line(level, `with ${call}${variable}:`));
+            if (el.title) {
+                lines.push(this._line(level + 1, `${toIdentifier(el.id, 'snake', PYTHON_RESERVED)}.border_title = ${pythonString(el.title)}`));
+            }
+            for (const child of el.children) this._emitElement(child, level + 1, lines);
+            return;
+        }
+
+        if (el.setup.length > 0) {
+            lines.push(this._line(level, `${el.variable} = ${call}`));
+            for (const statement of el.setup) lines.push(this._line(level, statement));
+            lines.push(this._line(level, `yield ${el.variable}`));
+            return;
+        }
+
+        lines.push(this._line(level, `yield ${call}`));
+    }
+
+    /**
+     * @private
+     */
+    _line(level, text) {
+        return this._indent(level, ' '.repeat(this._options.indentSize)) + text;
+    }
+}
+
+export default TextualExporter;
@@ -185,10 +185,11 @@ export class AvaloniaExporter extends BaseXAMLExporter {
         }
         
         const { width, height } = this._getBufferDimensions(buffer);
-        const indent = this._indent(1, options);
-        const indent2 = this._indent(2, options);
-        const indent3 = this._indent(3, options);
-        const indent4 = this._indent(4, options);
+        const indentUnit = options.indentChar.repeat(options.indentSize);
+        const indent = this._indent(1, indentUnit);
+        const indent2 = this._indent(2, indentUnit);
+        const indent3 = this._indent(3, indentUnit);
+        const indent4 = this._indent(4, indentUnit);
         
         const lines = [];
         
@@ -327,9 +328,10 @@ export class WPFExporter extends BaseXAMLExporter {
         }
         
         const { width, height } = this._getBufferDimensions(buffer);
-        const indent = this._indent(1, options);
-        const indent2 = this._indent(2, options);
-        const indent3 = this._indent(3, options);
+        const indentUnit = options.indentChar.repeat(options.indentSize);
+        const indent = this._indent(1, indentUnit);
+        const indent2 = this._indent(2, indentUnit);
+        const indent3 = this._indent(3, indentUnit);
         
         const lines = [];
         
@@ -448,9 +450,10 @@ export class MAUIExporter extends BaseXAMLExporter {
         }
         
         const { width, height } = this._getBufferDimensions(buffer);
-        const indent = this._indent(1, options);
-        const indent2 = this._indent(2, options);
-        const indent3 = this._indent(3, options);
+        const indentUnit = options.indentChar.repeat(options.indentSize);
+        const indent = this._indent(1, indentUnit);
+        const indent2 = this._indent(2, indentUnit);
+        const indent3 = this._indent(3, indentUnit);
         
         const lines = [];
         
@@ -563,9 +566,10 @@ export class UWPExporter extends BaseXAMLExporter {
         }
         
         const { width, height } = this._getBufferDimensions(buffer);
-        const indent = this._indent(1, options);
-        const indent2 = this._indent(2, options);
-        const indent3 = this._indent(3, options);
+        const indentUnit = options.indentChar.repeat(options.indentSize);
+        const indent = this._indent(1, indentUnit);
+        const indent2 = this._indent(2, indentUnit);
+        const indent3 = this._indent(3, indentUnit);
         
         const lines = [];
         
@@ -201,10 +201,11 @@ export class ReactExporter extends BaseWebExporter {
         const { width, height } = this._getBufferDimensions(buffer);
         const colors = this._collectColors(buffer, width, height);
         const coloredLines = this._bufferToColoredLines(buffer, width, height, options);
-        const indent = this._indent(1, options);
-        const indent2 = this._indent(2, options);
-        const indent3 = this._indent(3, options);
-        const indent4 = this._indent(4, options);
+        const indentUnit = options.indentChar.repeat(options.indentSize);
+        const indent = this._indent(1, indentUnit);
+        const indent2 = this._indent(2, indentUnit);
+        const indent3 = this._indent(3, indentUnit);
+        const indent4 = this._indent(4, indentUnit);
         
         const lines = [];
         
@@ -335,8 +336,9 @@ export class VueExporter extends BaseWebExporter {
         const { width, height } = this._getBufferDimensions(buffer);
         const colors = this._collectColors(buffer, width, height);
         const coloredLines = this._bufferToColoredLines(buffer, width, height, options);
-        const indent = this._indent(1, options);
-        const indent2 = this._indent(2, options);
+        const indentUnit = options.indentChar.repeat(options.indentSize);
+        const indent = this._indent(1, indentUnit);
+        const indent2 = this._indent(2, indentUnit);
         
         const lines = [];
         
@@ -452,7 +454,8 @@ export class AngularExporter extends BaseWebExporter {
         const { width, height } = this._getBufferDimensions(buffer);
         const colors = this._collectColors(buffer, width, height);
         const coloredLines = this._bufferToColoredLines(buffer, width, height, options);
-        const indent = this._indent(1, options);
+        const indentUnit = options.indentChar.repeat(options.indentSize);
+        const indent = this._indent(1, indentUnit);
         
         const lines = [];
         
@@ -563,7 +566,8 @@ export class SvelteExporter extends BaseWebExporter {
         const { width, height } = this._getBufferDimensions(buffer);
         const colors = this._collectColors(buffer, width, height);
         const coloredLines = this._bufferToColoredLines(buffer, width, height, options);
-        const indent = this._indent(1, options);
+        const indentUnit = options.indentChar.repeat(options.indentSize);
+        const indent = this._indent(1, indentUnit);
         
         const lines = [];
         
@@ -666,9 +670,10 @@ export class WebComponentExporter extends BaseWebExporter {
         const { width, height } = this._getBufferDimensions(buffer);
         const colors = this._collectColors(buffer, width, height);
         const coloredLines = this._bufferToColoredLines(buffer, width, height, options);
-        const indent = this._indent(1, options);
-        const indent2 = this._indent(2, options);
-        const indent3 = this._indent(3, options);
+        const indentUnit = options.indentChar.repeat(options.indentSize);
+        const indent = this._indent(1, indentUnit);
+        const indent2 = this._indent(2, indentUnit);
+        const indent3 = this._indent(3, indentUnit);
         
         const lines = [];
         
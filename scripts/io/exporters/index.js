@@ -45,6 +45,16 @@ export { PNGExporter } from './PNGExporter.js';
 export { JSONExporter } from './JSONExporter.js';
 export { LaTeXExporter } from './LaTeXExporter.js';
 
+// ==========================================
+// DIAGRAM EXPORTERS
+// ==========================================
+
+export {
+    BaseFlowchartExporter,
+    MermaidExporter,
+    PlantUMLExporter
+} from './FlowchartExporters.js';
+
 // ==========================================
 // UI FRAMEWORK EXPORTERS
 // ==========================================
@@ -90,6 +100,28 @@ export {
     generateViewModel
 } from './avalonia/index.js';
 
+// ==========================================
+// MOBILE FRAMEWORK EXPORTERS
+// ==========================================
+
+export { FlutterExporter } from './FlutterExporter.js';
+export { SwiftUIExporter } from './SwiftUIExporter.js';
+
+// ==========================================
+// DESKTOP FRAMEWORK EXPORTERS
+// ==========================================
+
+export { QmlExporter } from './QmlExporter.js';
+export { GtkExporter, GtkBlueprintExporter } from './GtkExporter.js';
+
+// ==========================================
+// TERMINAL UI EXPORTERS
+// ==========================================
+
+export { TextualExporter } from './TextualExporter.js';
+export { BubbleTeaExporter } from './BubbleTeaExporter.js';
+export { RatatuiExporter } from './RatatuiExporter.js';
+
 // ==========================================
 // WEB FRAMEWORK EXPORTERS
 // ==========================================
@@ -115,8 +147,16 @@ import { SVGExporter } from './SVGExporter.js';
 import { PNGExporter } from './PNGExporter.js';
 import { JSONExporter } from './JSONExporter.js';
 import { LaTeXExporter } from './LaTeXExporter.js';
+import { MermaidExporter, PlantUMLExporter } from './FlowchartExporters.js';
 import { AvaloniaExporter, WPFExporter, MAUIExporter, UWPExporter } from './UIFrameworkExporters.js';
 import { ReactExporter, VueExporter, AngularExporter, SvelteExporter, WebComponentExporter } from './WebFrameworkExporters.js';
+import { FlutterExporter } from './FlutterExporter.js';
+import { SwiftUIExporter } from './SwiftUIExporter.js';
+import { QmlExporter } from './QmlExporter.js';
+import { GtkExporter, GtkBlueprintExporter } from './GtkExporter.js';
+import { TextualExporter } from './TextualExporter.js';
+import { BubbleTeaExporter } from './BubbleTeaExporter.js';
+import { RatatuiExporter } from './RatatuiExporter.js';
 import { 
     AvaloniaXamlExporter, 
     AvaloniaWindowExporter, 
@@ -146,6 +186,10 @@ export const ExporterClasses = {
     json: JSONExporter,
     latex: LaTeXExporter,
     
+    // Diagrams
+    mermaid: MermaidExporter,
+    plantuml: PlantUMLExporter,
+    
     // UI Frameworks (Basic)
     avalonia: AvaloniaExporter,
     wpf: WPFExporter,
@@ -158,6 +202,20 @@ export const ExporterClasses = {
     'avalonia-usercontrol': AvaloniaUserControlExporter,
     'avalonia-project': AvaloniaProjectExporter,
     
+    // Mobile Frameworks
+    flutter: FlutterExporter,
+    swiftui: SwiftUIExporter,
+    
+    // Desktop Frameworks
+    qml: QmlExporter,
+    gtk: GtkExporter,
+    'gtk-blueprint': GtkBlueprintExporter,
+    
+    // Terminal UI Frameworks
+    textual: TextualExporter,
+    bubbletea: BubbleTeaExporter,
+    ratatui: RatatuiExporter,
+    
     // Web Frameworks
     react: ReactExporter,
     vue: VueExporter,
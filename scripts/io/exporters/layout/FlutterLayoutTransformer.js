@@ -0,0 +1,317 @@
+/**
+ * Asciistrator - Flutter Layout Transformer
+ *
+ * Transforms auto-layout properties to Flutter layout widgets:
+ * Flex for single-line layouts, Wrap for wrapping layouts and
+ * Stack/Positioned for absolutely positioned content.
+ *
+ * Values are returned as Dart expressions (strings) or logical pixels
+ * (numbers), ready to be written into a widget tree.
+ *
+ * @version 1.0.0
+ */
+
+import {
+    LayoutExportEngine,
+    LayoutMode,
+    PrimaryAxisAlign,
+    CounterAxisAlign,
+    LayoutWrap,
+    SizingMode
+} from './LayoutExportEngine.js';
+
+// ==========================================
+// FLUTTER LAYOUT MAPPINGS
+// ==========================================
+
+/**
+ * Map primary axis alignment to Flex mainAxisAlignment
+ */
+const MAIN_AXIS_ALIGNMENT_MAP = {
+    [PrimaryAxisAlign.MIN]: 'MainAxisAlignment.start',
+    [PrimaryAxisAlign.CENTER]: 'MainAxisAlignment.center',
+    [PrimaryAxisAlign.MAX]: 'MainAxisAlignment.end',
+    [PrimaryAxisAlign.SPACE_BETWEEN]: 'MainAxisAlignment.spaceBetween',
+    [PrimaryAxisAlign.SPACE_AROUND]: 'MainAxisAlignment.spaceAround',
+    [PrimaryAxisAlign.SPACE_EVENLY]: 'MainAxisAlignment.spaceEvenly'
+};
+
+/**
+ * Map counter axis alignment to Flex crossAxisAlignment
+ */
+const CROSS_AXIS_ALIGNMENT_MAP = {
+    [CounterAxisAlign.MIN]: 'CrossAxisAlignment.start',
+    [CounterAxisAlign.CENTER]: 'CrossAxisAlignment.center',
+    [CounterAxisAlign.MAX]: 'CrossAxisAlignment.end',
+    [CounterAxisAlign.STRETCH]: 'CrossAxisAlignment.stretch',
+    [CounterAxisAlign.BASELINE]: 'CrossAxisAlignment.baseline'
+};
+
+/**
+ * Map primary axis alignment to Wrap alignment
+ */
+const WRAP_ALIGNMENT_MAP = {
+    [PrimaryAxisAlign.MIN]: 'WrapAlignment.start',
+    [PrimaryAxisAlign.CENTER]: 'WrapAlignment.center',
+    [PrimaryAxisAlign.MAX]: 'WrapAlignment.end',
+    [PrimaryAxisAlign.SPACE_BETWEEN]: 'WrapAlignment.spaceBetween',
+    [PrimaryAxisAlign.SPACE_AROUND]: 'WrapAlignment.spaceAround',
+    [PrimaryAxisAlign.SPACE_EVENLY]: 'WrapAlignment.spaceEvenly'
+};
+
+/**
+ * Map counter axis alignment to Wrap crossAxisAlignment
+ */
+const WRAP_CROSS_ALIGNMENT_MAP = {
+    [CounterAxisAlign.MIN]: 'WrapCrossAlignment.start',
+    [CounterAxisAlign.CENTER]: 'WrapCrossAlignment.center',
+    [CounterAxisAlign.MAX]: 'WrapCrossAlignment.end',
+    [CounterAxisAlign.STRETCH]: 'WrapCrossAlignment.start',
+    [CounterAxisAlign.BASELINE]: 'WrapCrossAlignment.start'
+};
+
+// ==========================================
+// FLUTTER LAYOUT TRANSFORMER
+// ==========================================
+
+/**
+ * Flutter layout transformer.
+ * Converts auto-layout properties to Flex/Wrap/Stack widget arguments.
+ */
+export class FlutterLayoutTransformer extends LayoutExportEngine {
+    constructor(options = {}) {
+        super({
+            unit: '',
+            // Logical pixels per character cell
+            cellWidth: 8,
+            cellHeight: 16,
+            ...options
+        });
+    }
+
+    // ==========================================
+    // CONTAINER LAYOUT TRANSFORMATION
+    // ==========================================
+
+    /**
+     * Transform layout properties to a Flutter layout widget
+     * @override
+     * @param {LayoutProperties} props - Normalized layout properties
+     * @param {Object} context - Export context
+     * @returns {Object} { widget: 'Flex'|'Wrap'|'Stack', args: Object, gap: number,
+     *   padding: string|null, width: number|null, height: number|null, clip: boolean }
+     */
+    transformContainerLayout(props, context = {}) {
+        const args = {};
+        let widget;
+        let gap = 0;
+
+        if (!props.layoutMode || props.layoutMode === LayoutMode.NONE) {
+            // No layout mode = absolute positioning container
+            widget = 'Stack';
+        } else if (props.wrapMode === LayoutWrap.WRAP) {
+            widget = 'Wrap';
+            const isHorizontal = this.isHorizontalLayout(props.layoutMode);
+            args.direction = isHorizontal ? 'Axis.horizontal' : 'Axis.vertical';
+            args.alignment = WRAP_ALIGNMENT_MAP[props.primaryAxisAlign] || 'WrapAlignment.start';
+            args.crossAxisAlignment = WRAP_CROSS_ALIGNMENT_MAP[props.counterAxisAlign] || 'WrapCrossAlignment.start';
+            // Wrap has native spacing on both axes
+            if (props.itemSpacing > 0) {
+                args.spacing = this.transformSpacing(props.itemSpacing, !isHorizontal);
+            }
+            if (props.counterAxisSpacing > 0) {
+                args.runSpacing = this.transformSpacing(props.counterAxisSpacing, isHorizontal);
+            }
+        } else {
+            widget = 'Flex';
+            const isHorizontal = this.isHorizontalLayout(props.layoutMode);
+            args.direction = isHorizontal ? 'Axis.horizontal' : 'Axis.vertical';
+            args.mainAxisAlignment = MAIN_AXIS_ALIGNMENT_MAP[props.primaryAxisAlign] || 'MainAxisAlignment.start';
+            args.crossAxisAlignment = CROSS_AXIS_ALIGNMENT_MAP[props.counterAxisAlign] || 'CrossAxisAlignment.start';
+            if (props.counterAxisAlign === CounterAxisAlign.BASELINE) {
+                args.textBaseline = 'TextBaseline.alphabetic';
+            }
+
+            // Hug content along the main axis
+            const mainAxisSizing = isHorizontal ? props.sizing.horizontal : props.sizing.vertical;
+            if (mainAxisSizing === SizingMode.HUG) {
+                args.mainAxisSize = 'MainAxisSize.min';
+            }
+
+            // Flex spacing is written as SizedBox gaps between children
+            gap = this.transformSpacing(props.itemSpacing, !isHorizontal);
+        }
+
+        return {
+            widget,
+            args,
+            gap,
+            padding: this.transformPadding(props.padding),
+            width: props.width > 0 && props.sizing.horizontal === SizingMode.FIXED
+                ? this.toPixels(props.width) : null,
+            height: props.height > 0 && props.sizing.vertical === SizingMode.FIXED
+                ? this.toPixels(props.height, true) : null,
+            clip: props.clipContent
+        };
+    }
+
+    // ==========================================
+    // CHILD LAYOUT TRANSFORMATION
+    // ==========================================
+
+    /**
+     * Transform child sizing for Flex/Stack participation
+     * @override
+     * @param {LayoutProperties} childProps - Child's layout properties
+     * @param {LayoutProperties} parentProps - Parent's layout properties
+     * @param {Object} context - Export context
+     * @param {Object} [context.parentBounds] - Parent bounds in cells
+     * @param {Object} [context.childBounds] - Child bounds in cells, relative to the parent
+     * @returns {Object} { wrapper: 'Expanded'|'Positioned'|null, args: Object,
+     *   width: number|string|null, height: number|string|null }
+     */
+    transformChildLayout(childProps, parentProps, context = {}) {
+        // No parent auto-layout - position inside a Stack
+        if (!parentProps || parentProps.layoutMode === LayoutMode.NONE) {
+            return this._transformPositionedChild(childProps, context);
+        }
+
+        const isHorizontal = this.isHorizontalLayout(parentProps.layoutMode);
+        const layoutSizing = childProps.layoutSizing || {};
+        const mainAxisSizing = isHorizontal ? layoutSizing.horizontal : layoutSizing.vertical;
+        const crossAxisSizing = isHorizontal ? layoutSizing.vertical : layoutSizing.horizontal;
+
+        let width = childProps.width > 0 ? this.toPixels(childProps.width) : null;
+        let height = childProps.height > 0 ? this.toPixels(childProps.height, true) : null;
+        let wrapper = null;
+
+        // Main axis: fill = Expanded (not available inside Wrap)
+        if (mainAxisSizing === SizingMode.FILL && parentProps.wrapMode !== LayoutWrap.WRAP) {
+            wrapper = 'Expanded';
+            if (isHorizontal) width = null;
+            else height = null;
+        }
+
+        // Cross axis: fill = take the full cross extent
+        if (crossAxisSizing === SizingMode.FILL || parentProps.counterAxisAlign === CounterAxisAlign.STRETCH) {
+            if (isHorizontal) height = 'double.infinity';
+            else width = 'double.infinity';
+        }
+
+        return { wrapper, args: {}, width, height };
+    }
+
+    /**
+     * Transform absolutely positioned child
+     * @private
+     */
+    _transformPositionedChild(childProps, context) {
+        const childBounds = context.childBounds || { x: 0, y: 0, width: childProps.width, height: childProps.height };
+        const parentBounds = context.parentBounds || { x: 0, y: 0, width: 0, height: 0 };
+        const args = this.transformConstraints(childProps.constraints, parentBounds, childBounds);
+
+        // Positioned takes the size directly unless stretched by constraints
+        if (!('right' in args) && childBounds.width > 0) {
+            args.width = this.toPixels(childBounds.width);
+        }
+        if (!('bottom' in args) && childBounds.height > 0) {
+            args.height = this.toPixels(childBounds.height, true);
+        }
+
+        return { wrapper: 'Positioned', args, width: null, height: null };
+    }
+
+    // ==========================================
+    // CONSTRAINTS TRANSFORMATION
+    // ==========================================
+
+    /**
+     * Transform constraints to Positioned arguments
+     * @override
+     * @param {Object} constraints - { horizontal, vertical }
+     * @param {Object} parentBounds - Parent container bounds
+     * @param {Object} childBounds - Child bounds relative to the parent
+     * @returns {Object} Positioned arguments in logical pixels
+     */
+    transformConstraints(constraints, parentBounds, childBounds) {
+        const args = {};
+        const right = parentBounds.width - childBounds.x - childBounds.width;
+        const bottom = parentBounds.height - childBounds.y - childBounds.height;
+
+        switch (constraints?.horizontal) {
+            case 'MAX':
+                args.right = this.toPixels(right);
+                break;
+            case 'STRETCH':
+                args.left = this.toPixels(childBounds.x);
+                args.right = this.toPixels(right);
+                break;
+            default:
+                // MIN, CENTER and SCALE keep the sketched offset
+                args.left = this.toPixels(childBounds.x);
+        }
+
+        switch (constraints?.vertical) {
+            case 'MAX':
+                args.bottom = this.toPixels(bottom, true);
+                break;
+            case 'STRETCH':
+                args.top = this.toPixels(childBounds.y, true);
+                args.bottom = this.toPixels(bottom, true);
+                break;
+            default:
+                args.top = this.toPixels(childBounds.y, true);
+        }
+
+        return args;
+    }
+
+    // ==========================================
+    // SPACING & PADDING TRANSFORMATION
+    // ==========================================
+
+    /**
+     * Transform spacing to logical pixels
+     * @override
+     * @param {number} spacing - Spacing value in character units
+     * @param {boolean} isVertical - Whether the spacing runs vertically
+     * @returns {number}
+     */
+    transformSpacing(spacing, isVertical = false) {
+        if (!spacing || spacing <= 0) return 0;
+        return this.toPixels(spacing, isVertical);
+    }
+
+    /**
+     * Transform padding to an EdgeInsets expression
+     * @override
+     * @param {Object} padding - { left, right, top, bottom }
+     * @returns {string|null} Dart EdgeInsets expression, or null for no padding
+     */
+    transformPadding(padding) {
+        if (!padding) return null;
+
+        const top = this.toPixels(padding.top || 0, true);
+        const right = this.toPixels(padding.right || 0);
+        const bottom = this.toPixels(padding.bottom || 0, true);
+        const left = this.toPixels(padding.left || 0);
+
+        if (top === 0 && right === 0 && bottom === 0 && left === 0) return null;
+
+        // Optimize padding output
+        if (top === bottom && left === right) {
+            if (top === left) {
+                return `EdgeInsets.all(${top})`;
+            }
+            return `EdgeInsets.symmetric(horizontal: ${left}, vertical: ${top})`;
+        }
+
+        return `EdgeInsets.fromLTRB(${left}, ${top}, ${right}, ${bottom})`;
+    }
+}
+
+// ==========================================
+// EXPORT
+// ==========================================
+
+export default FlutterLayoutTransformer;
@@ -0,0 +1,307 @@
+/**
+ * Asciistrator - GTK Layout Transformer
+ *
+ * Transforms auto-layout properties to GTK 4 containers: GtkBox for
+ * single-line layouts, GtkFlowBox for wrapping layouts and GtkOverlay
+ * for absolutely positioned content, where children are placed with
+ * halign/valign and margins.
+ *
+ * Values are returned as GObject property maps ({ 'margin-start': 16 }),
+ * sizes in pixels, ready to be written as Blueprint or GtkBuilder XML.
+ *
+ * @version 1.0.0
+ */
+
+import {
+    LayoutExportEngine,
+    LayoutMode,
+    PrimaryAxisAlign,
+    CounterAxisAlign,
+    LayoutWrap,
+    SizingMode
+} from './LayoutExportEngine.js';
+
+// ==========================================
+// GTK LAYOUT MAPPINGS
+// ==========================================
+
+/**
+ * Map counter axis alignment to GtkAlign
+ */
+const ALIGN_MAP = {
+    [CounterAxisAlign.MIN]: 'start',
+    [CounterAxisAlign.CENTER]: 'center',
+    [CounterAxisAlign.MAX]: 'end',
+    [CounterAxisAlign.STRETCH]: 'fill',
+    [CounterAxisAlign.BASELINE]: 'baseline'
+};
+
+/**
+ * Expanding filler boxes added around and between children for each
+ * primary axis alignment. GtkBox leaves the spare space at the end.
+ */
+const FILLER_MAP = {
+    [PrimaryAxisAlign.CENTER]: { before: true, between: false, after: true },
+    [PrimaryAxisAlign.MAX]: { before: true, between: false, after: false },
+    [PrimaryAxisAlign.SPACE_BETWEEN]: { before: false, between: true, after: false },
+    [PrimaryAxisAlign.SPACE_AROUND]: { before: true, between: true, after: true },
+    [PrimaryAxisAlign.SPACE_EVENLY]: { before: true, between: true, after: true }
+};
+
+// ==========================================
+// GTK LAYOUT TRANSFORMER
+// ==========================================
+
+/**
+ * GTK layout transformer.
+ * Converts auto-layout properties to container widgets and child properties.
+ */
+export class GtkLayoutTransformer extends LayoutExportEngine {
+    constructor(options = {}) {
+        super({
+            unit: '',
+            // Pixels per character cell
+            cellWidth: 8,
+            cellHeight: 16,
+            ...options
+        });
+    }
+
+    // ==========================================
+    // CONTAINER LAYOUT TRANSFORMATION
+    // ==========================================
+
+    /**
+     * Transform layout properties to a GTK container
+     * @override
+     * @param {LayoutProperties} props - Normalized layout properties
+     * @returns {Object} { widget: 'GtkBox'|'GtkFlowBox'|'GtkOverlay', properties: Object,
+     *   fillers: {before, between, after}|null, margins: Object, width: number|null,
+     *   height: number|null, clip: boolean }
+     */
+    transformContainerLayout(props) {
+        const properties = {};
+        let widget;
+        let fillers = null;
+
+        if (!props.layoutMode || props.layoutMode === LayoutMode.NONE) {
+            // No layout mode = children placed over an overlay
+            widget = 'GtkOverlay';
+        } else {
+            const isHorizontal = this.isHorizontalLayout(props.layoutMode);
+            properties.orientation = isHorizontal ? 'horizontal' : 'vertical';
+
+            if (props.wrapMode === LayoutWrap.WRAP) {
+                // A horizontal flow box fills rows, a vertical one fills columns
+                widget = 'GtkFlowBox';
+                const itemSpacing = this.transformSpacing(props.itemSpacing, !isHorizontal);
+                const lineSpacing = this.transformSpacing(props.counterAxisSpacing, isHorizontal);
+                properties['column-spacing'] = isHorizontal ? itemSpacing : lineSpacing;
+                properties['row-spacing'] = isHorizontal ? lineSpacing : itemSpacing;
+                properties['selection-mode'] = 'none';
+            } else {
+                widget = 'GtkBox';
+                properties.spacing = this.transformSpacing(props.itemSpacing, !isHorizontal);
+                fillers = FILLER_MAP[props.primaryAxisAlign] || null;
+            }
+        }
+
+        return {
+            widget,
+            properties,
+            fillers,
+            margins: this.transformPadding(props.padding),
+            width: props.width > 0 && props.sizing.horizontal === SizingMode.FIXED
+                ? this.toPixels(props.width) : null,
+            height: props.height > 0 && props.sizing.vertical === SizingMode.FIXED
+                ? this.toPixels(props.height, true) : null,
+            clip: props.clipContent
+        };
+    }
+
+    // ==========================================
+    // CHILD LAYOUT TRANSFORMATION
+    // ==========================================
+
+    /**
+     * Transform child sizing to widget properties: expand flags and the
+     * cross axis alignment inside a box, alignment and margins over an overlay
+     * @override
+     * @param {LayoutProperties} childProps - Child's layout properties
+     * @param {LayoutProperties} parentProps - Parent's layout properties
+     * @param {Object} context - Export context
+     * @param {Object} [context.parentBounds] - Parent bounds in cells
+     * @param {Object} [context.childBounds] - Child bounds in cells, relative to the parent
+     * @returns {Object} GObject properties
+     */
+    transformChildLayout(childProps, parentProps, context = {}) {
+        // No parent auto-layout - placed over an overlay
+        if (!parentProps || parentProps.layoutMode === LayoutMode.NONE) {
+            return this._transformPositionedChild(childProps, context);
+        }
+
+        const width = childProps.width > 0 ? this.toPixels(childProps.width) : null;
+        const height = childProps.height > 0 ? this.toPixels(childProps.height, true) : null;
+
+        // Flow box children keep their own size
+        if (parentProps.wrapMode === LayoutWrap.WRAP) {
+            return this._size(width, height);
+        }
+
+        const isHorizontal = this.isHorizontalLayout(parentProps.layoutMode);
+        const layoutSizing = childProps.layoutSizing || {};
+        const mainAxisSizing = isHorizontal ? layoutSizing.horizontal : layoutSizing.vertical;
+        const crossAxisSizing = isHorizontal ? layoutSizing.vertical : layoutSizing.horizontal;
+
+        const properties = {};
+        // Box children fill the cross axis unless aligned
+        const counter = crossAxisSizing === SizingMode.FILL
+            ? 'fill'
+            : ALIGN_MAP[parentProps.counterAxisAlign || CounterAxisAlign.MIN];
+        if (counter !== 'fill') properties[isHorizontal ? 'valign' : 'halign'] = counter;
+
+        if (mainAxisSizing === SizingMode.FILL) {
+            properties[isHorizontal ? 'hexpand' : 'vexpand'] = true;
+        }
+        return {
+            ...properties,
+            ...this._size(
+                isHorizontal && mainAxisSizing === SizingMode.FILL ? null : width,
+                !isHorizontal && mainAxisSizing === SizingMode.FILL ? null : height
+            )
+        };
+    }
+
+    /**
+     * Transform absolutely positioned child
+     * @private
+     */
+    _transformPositionedChild(childProps, context) {
+        const childBounds = context.childBounds || { x: 0, y: 0, width: childProps.width, height: childProps.height };
+        const parentBounds = context.parentBounds || { x: 0, y: 0, width: 0, height: 0 };
+        return this.transformConstraints(childProps.constraints, parentBounds, childBounds);
+    }
+
+    /**
+     * @private
+     */
+    _size(width, height) {
+        const properties = {};
+        if (width !== null) properties['width-request'] = width;
+        if (height !== null) properties['height-request'] = height;
+        return properties;
+    }
+
+    // ==========================================
+    // CONSTRAINTS TRANSFORMATION
+    // ==========================================
+
+    /**
+     * Transform constraints to alignment and margins over an overlay.
+     * Start-aligned children are offset by their start margin, far-edge
+     * children by their end margin; stretched children fill between both.
+     * @override
+     * @param {Object} constraints - { horizontal, vertical }
+     * @param {Object} parentBounds - Parent container bounds
+     * @param {Object} childBounds - Child bounds relative to the parent
+     * @returns {Object} GObject properties
+     */
+    transformConstraints(constraints, parentBounds, childBounds) {
+        const horizontal = this._placeAxis(constraints?.horizontal, {
+            offset: this.toPixels(childBounds.x),
+            far: this.toPixels(parentBounds.width - childBounds.x - childBounds.width),
+            // Centered children sit in the middle of the space after their start margin
+            center: Math.round(this.toPixels(2 * childBounds.x + childBounds.width - parentBounds.width)),
+            size: childBounds.width > 0 ? this.toPixels(childBounds.width) : null
+        }, { align: 'halign', start: 'margin-start', end: 'margin-end', size: 'width-request' });
+
+        const vertical = this._placeAxis(constraints?.vertical, {
+            offset: this.toPixels(childBounds.y, true),
+            far: this.toPixels(parentBounds.height - childBounds.y - childBounds.height, true),
+            center: Math.round(this.toPixels(2 * childBounds.y + childBounds.height - parentBounds.height, true)),
+            size: childBounds.height > 0 ? this.toPixels(childBounds.height, true) : null
+        }, { align: 'valign', start: 'margin-top', end: 'margin-bottom', size: 'height-request' });
+
+        return {
+            [horizontal.align[0]]: horizontal.align[1],
+            [vertical.align[0]]: vertical.align[1],
+            ...horizontal.margins,
+            ...vertical.margins,
+            ...horizontal.size,
+            ...vertical.size
+        };
+    }
+
+    /**
+     * Alignment, margins and size request placing one axis
+     * @private
+     */
+    _placeAxis(constraint, values, names) {
+        const margins = {};
+        const size = {};
+        let align;
+
+        switch (constraint) {
+            case 'MAX':
+                align = 'end';
+                if (values.far !== 0) margins[names.end] = values.far;
+                break;
+            case 'CENTER':
+                align = 'center';
+                if (values.center > 0) margins[names.start] = values.center;
+                if (values.center < 0) margins[names.end] = -values.center;
+                break;
+            case 'STRETCH':
+                align = 'fill';
+                if (values.offset !== 0) margins[names.start] = values.offset;
+                if (values.far !== 0) margins[names.end] = values.far;
+                return { align: [names.align, align], margins, size };
+            default:
+                // MIN and SCALE keep the sketched offset
+                align = 'start';
+                if (values.offset !== 0) margins[names.start] = values.offset;
+        }
+        if (values.size !== null) size[names.size] = values.size;
+        return { align: [names.align, align], margins, size };
+    }
+
+    // ==========================================
+    // SPACING & PADDING TRANSFORMATION
+    // ==========================================
+
+    /**
+     * Transform spacing to pixels
+     * @override
+     * @param {number} spacing - Spacing value in character units
+     * @param {boolean} isVertical - Whether the spacing runs vertically
+     * @returns {number}
+     */
+    transformSpacing(spacing, isVertical = false) {
+        if (!spacing || spacing <= 0) return 0;
+        return this.toPixels(spacing, isVertical);
+    }
+
+    /**
+     * Transform padding to the margins of a container's content
+     * @override
+     * @param {Object} padding - { left, right, top, bottom }
+     * @returns {Object} GObject properties, empty for no padding
+     */
+    transformPadding(padding) {
+        if (!padding) return {};
+
+        const margins = {
+            'margin-start': this.toPixels(padding.left || 0),
+            'margin-end': this.toPixels(padding.right || 0),
+            'margin-top': this.toPixels(padding.top || 0, true),
+            'margin-bottom': this.toPixels(padding.bottom || 0, true)
+        };
+        return Object.fromEntries(Object.entries(margins).filter(([, value]) => value !== 0));
+    }
+}
+
+// ==========================================
+// EXPORT
+// ==========================================
+
+export default GtkLayoutTransformer;
@@ -0,0 +1,331 @@
+/**
+ * Asciistrator - QML Layout Transformer
+ *
+ * Transforms auto-layout properties to Qt Quick Layouts: RowLayout and
+ * ColumnLayout for single-line layouts, Flow for wrapping layouts and a
+ * plain Item with anchored children for absolutely positioned content.
+ *
+ * Values are returned as QML property maps ({ 'Layout.fillWidth': true }),
+ * sizes in pixels, ready to be written into an object declaration.
+ *
+ * @version 1.0.0
+ */
+
+import {
+    LayoutExportEngine,
+    LayoutMode,
+    PrimaryAxisAlign,
+    CounterAxisAlign,
+    LayoutWrap,
+    SizingMode
+} from './LayoutExportEngine.js';
+
+// ==========================================
+// QML LAYOUT MAPPINGS
+// ==========================================
+
+/**
+ * Map counter axis alignment to Layout.alignment in a RowLayout
+ */
+const ROW_ALIGNMENT_MAP = {
+    [CounterAxisAlign.MIN]: 'Qt.AlignTop',
+    [CounterAxisAlign.CENTER]: 'Qt.AlignVCenter',
+    [CounterAxisAlign.MAX]: 'Qt.AlignBottom',
+    [CounterAxisAlign.BASELINE]: 'Qt.AlignBaseline'
+};
+
+/**
+ * Map counter axis alignment to Layout.alignment in a ColumnLayout
+ */
+const COLUMN_ALIGNMENT_MAP = {
+    [CounterAxisAlign.MIN]: 'Qt.AlignLeft',
+    [CounterAxisAlign.CENTER]: 'Qt.AlignHCenter',
+    [CounterAxisAlign.MAX]: 'Qt.AlignRight',
+    [CounterAxisAlign.BASELINE]: 'Qt.AlignLeft'
+};
+
+/**
+ * Filler items added around and between children for each primary axis
+ * alignment. Layouts spread the spare space over their cells, so even
+ * start alignment needs a trailing filler.
+ */
+const FILLER_MAP = {
+    [PrimaryAxisAlign.MIN]: { before: false, between: false, after: true },
+    [PrimaryAxisAlign.CENTER]: { before: true, between: false, after: true },
+    [PrimaryAxisAlign.MAX]: { before: true, between: false, after: false },
+    [PrimaryAxisAlign.SPACE_BETWEEN]: { before: false, between: true, after: false },
+    [PrimaryAxisAlign.SPACE_AROUND]: { before: true, between: true, after: true },
+    [PrimaryAxisAlign.SPACE_EVENLY]: { before: true, between: true, after: true }
+};
+
+// ==========================================
+// QML LAYOUT TRANSFORMER
+// ==========================================
+
+/**
+ * QML layout transformer.
+ * Converts auto-layout properties to layout types and attached properties.
+ */
+export class QmlLayoutTransformer extends LayoutExportEngine {
+    constructor(options = {}) {
+        super({
+            unit: '',
+            // Pixels per character cell
+            cellWidth: 8,
+            cellHeight: 16,
+            ...options
+        });
+    }
+
+    // ==========================================
+    // CONTAINER LAYOUT TRANSFORMATION
+    // ==========================================
+
+    /**
+     * Transform layout properties to a Qt Quick layout
+     * @override
+     * @param {LayoutProperties} props - Normalized layout properties
+     * @returns {Object} { type: 'RowLayout'|'ColumnLayout'|'Flow'|'Item', properties: Object,
+     *   fillers: {before, between, after}|null, margins: Object, width: number|null,
+     *   height: number|null, clip: boolean }
+     */
+    transformContainerLayout(props) {
+        const properties = {};
+        let type;
+        let fillers = null;
+
+        if (!props.layoutMode || props.layoutMode === LayoutMode.NONE) {
+            // No layout mode = children anchored inside a plain Item
+            type = 'Item';
+        } else {
+            const isHorizontal = this.isHorizontalLayout(props.layoutMode);
+
+            if (props.wrapMode === LayoutWrap.WRAP) {
+                // Flow has a single spacing for both directions
+                type = 'Flow';
+                if (!isHorizontal) properties.flow = 'Flow.TopToBottom';
+                properties.spacing = this.transformSpacing(props.itemSpacing, !isHorizontal);
+            } else {
+                type = isHorizontal ? 'RowLayout' : 'ColumnLayout';
+                // Layouts default to 5px spacing, so it is always written
+                properties.spacing = this.transformSpacing(props.itemSpacing, !isHorizontal);
+                fillers = FILLER_MAP[props.primaryAxisAlign] || FILLER_MAP[PrimaryAxisAlign.MIN];
+            }
+        }
+
+        return {
+            type,
+            properties,
+            fillers,
+            margins: this.transformPadding(props.padding),
+            width: props.width > 0 && props.sizing.horizontal === SizingMode.FIXED
+                ? this.toPixels(props.width) : null,
+            height: props.height > 0 && props.sizing.vertical === SizingMode.FIXED
+                ? this.toPixels(props.height, true) : null,
+            clip: props.clipContent
+        };
+    }
+
+    // ==========================================
+    // CHILD LAYOUT TRANSFORMATION
+    // ==========================================
+
+    /**
+     * Transform child sizing to the properties set on the child object:
+     * Layout.* attached properties inside a layout, x/y or anchors otherwise
+     * @override
+     * @param {LayoutProperties} childProps - Child's layout properties
+     * @param {LayoutProperties} parentProps - Parent's layout properties
+     * @param {Object} context - Export context
+     * @param {Object} [context.parentBounds] - Parent bounds in cells
+     * @param {Object} [context.childBounds] - Child bounds in cells, relative to the parent
+     * @returns {Object} QML properties
+     */
+    transformChildLayout(childProps, parentProps, context = {}) {
+        // No parent auto-layout - anchored inside an Item
+        if (!parentProps || parentProps.layoutMode === LayoutMode.NONE) {
+            return this._transformPositionedChild(childProps, context);
+        }
+
+        const width = childProps.width > 0 ? this.toPixels(childProps.width) : null;
+        const height = childProps.height > 0 ? this.toPixels(childProps.height, true) : null;
+
+        // Flow positions children at their own size
+        if (parentProps.wrapMode === LayoutWrap.WRAP) {
+            return this._size(width, height);
+        }
+
+        const isHorizontal = this.isHorizontalLayout(parentProps.layoutMode);
+        const layoutSizing = childProps.layoutSizing || {};
+        const mainAxisSizing = isHorizontal ? layoutSizing.horizontal : layoutSizing.vertical;
+        const crossAxisSizing = isHorizontal ? layoutSizing.vertical : layoutSizing.horizontal;
+
+        const fillMain = mainAxisSizing === SizingMode.FILL;
+        const fillCross = crossAxisSizing === SizingMode.FILL ||
+            parentProps.counterAxisAlign === CounterAxisAlign.STRETCH;
+        const fillWidth = isHorizontal ? fillMain : fillCross;
+        const fillHeight = isHorizontal ? fillCross : fillMain;
+
+        const properties = {};
+        if (fillWidth) properties['Layout.fillWidth'] = true;
+        else if (width !== null) properties['Layout.preferredWidth'] = width;
+        if (fillHeight) properties['Layout.fillHeight'] = true;
+        else if (height !== null) properties['Layout.preferredHeight'] = height;
+
+        if (!fillCross) {
+            const alignment = (isHorizontal ? ROW_ALIGNMENT_MAP : COLUMN_ALIGNMENT_MAP)[
+                parentProps.counterAxisAlign || CounterAxisAlign.MIN];
+            // Column cells already align left
+            if (alignment && alignment !== 'Qt.AlignLeft') properties['Layout.alignment'] = alignment;
+        }
+        return properties;
+    }
+
+    /**
+     * Whether a child placed by transformChildLayout fills the main axis
+     * of its parent layout
+     * @param {Object} properties - Result of transformChildLayout
+     * @param {LayoutProperties} parentProps
+     * @returns {boolean}
+     */
+    fillsMainAxis(properties, parentProps) {
+        return this.isHorizontalLayout(parentProps.layoutMode)
+            ? properties['Layout.fillWidth'] === true
+            : properties['Layout.fillHeight'] === true;
+    }
+
+    /**
+     * Transform absolutely positioned child
+     * @private
+     */
+    _transformPositionedChild(childProps, context) {
+        const childBounds = context.childBounds || { x: 0, y: 0, width: childProps.width, height: childProps.height };
+        const parentBounds = context.parentBounds || { x: 0, y: 0, width: 0, height: 0 };
+        return this.transformConstraints(childProps.constraints, parentBounds, childBounds);
+    }
+
+    /**
+     * @private
+     */
+    _size(width, height) {
+        const properties = {};
+        if (width !== null) properties.width = width;
+        if (height !== null) properties.height = height;
+        return properties;
+    }
+
+    // ==========================================
+    // CONSTRAINTS TRANSFORMATION
+    // ==========================================
+
+    /**
+     * Transform constraints to x/y or anchors. Far-edge, centered and
+     * stretched axes anchor to the parent so they follow its size.
+     * @override
+     * @param {Object} constraints - { horizontal, vertical }
+     * @param {Object} parentBounds - Parent container bounds
+     * @param {Object} childBounds - Child bounds relative to the parent
+     * @returns {Object} QML properties
+     */
+    transformConstraints(constraints, parentBounds, childBounds) {
+        const properties = {};
+        const sizes = {};
+        const width = childBounds.width > 0 ? this.toPixels(childBounds.width) : null;
+        const height = childBounds.height > 0 ? this.toPixels(childBounds.height, true) : null;
+
+        this._anchorAxis(properties, constraints?.horizontal, {
+            offset: this.toPixels(childBounds.x),
+            far: this.toPixels(parentBounds.width - childBounds.x - childBounds.width),
+            center: Math.round(this.toPixels(childBounds.x + childBounds.width / 2 - parentBounds.width / 2)),
+            size: width
+        }, { position: 'x', start: 'left', end: 'right', center: 'horizontalCenter', size: 'width' }, sizes);
+
+        this._anchorAxis(properties, constraints?.vertical, {
+            offset: this.toPixels(childBounds.y, true),
+            far: this.toPixels(parentBounds.height - childBounds.y - childBounds.height, true),
+            center: Math.round(this.toPixels(childBounds.y + childBounds.height / 2 - parentBounds.height / 2, true)),
+            size: height
+        }, { position: 'y', start: 'top', end: 'bottom', center: 'verticalCenter', size: 'height' }, sizes);
+
+        // Position first, then size
+        return { ...properties, ...sizes };
+    }
+
+    /**
+     * Write the properties placing one axis, and its size unless stretched
+     * @private
+     */
+    _anchorAxis(properties, constraint, values, names, sizes) {
+        switch (constraint) {
+            case 'MAX':
+                properties[`anchors.${names.end}`] = `parent.${names.end}`;
+                if (values.far !== 0) properties[`anchors.${names.end}Margin`] = values.far;
+                break;
+            case 'CENTER':
+                properties[`anchors.${names.center}`] = `parent.${names.center}`;
+                if (values.center !== 0) properties[`anchors.${names.center}Offset`] = values.center;
+                break;
+            case 'STRETCH':
+                properties[`anchors.${names.start}`] = `parent.${names.start}`;
+                if (values.offset !== 0) properties[`anchors.${names.start}Margin`] = values.offset;
+                properties[`anchors.${names.end}`] = `parent.${names.end}`;
+                if (values.far !== 0) properties[`anchors.${names.end}Margin`] = values.far;
+                return;
+            default:
+                // MIN and SCALE keep the sketched offset
+                properties[names.position] = values.offset;
+        }
+        if (values.size !== null) sizes[names.size] = values.size;
+    }
+
+    // ==========================================
+    // SPACING & PADDING TRANSFORMATION
+    // ==========================================
+
+    /**
+     * Transform spacing to pixels
+     * @override
+     * @param {number} spacing - Spacing value in character units
+     * @param {boolean} isVertical - Whether the spacing runs vertically
+     * @returns {number}
+     */
+    transformSpacing(spacing, isVertical = false) {
+        if (!spacing || spacing <= 0) return 0;
+        return this.toPixels(spacing, isVertical);
+    }
+
+    /**
+     * Transform padding to anchor margins of a layout filling its parent
+     * @override
+     * @param {Object} padding - { left, right, top, bottom }
+     * @returns {Object} QML properties, empty for no padding
+     */
+    transformPadding(padding) {
+        if (!padding) return {};
+
+        const margins = {
+            leftMargin: this.toPixels(padding.left || 0),
+            topMargin: this.toPixels(padding.top || 0, true),
+            rightMargin: this.toPixels(padding.right || 0),
+            bottomMargin: this.toPixels(padding.bottom || 0, true)
+        };
+        const values = Object.values(margins);
+
+        if (values.every(value => value === 0)) return {};
+        if (values.every(value => value === values[0])) {
+            return { 'anchors.margins': values[0] };
+        }
+
+        const properties = {};
+        for (const [name, value] of Object.entries(margins)) {
+            if (value !== 0) properties[`anchors.${name}`] = value;
+        }
+        return properties;
+    }
+}
+
+// ==========================================
+// EXPORT
+// ==========================================
+
+export default QmlLayoutTransformer;
@@ -0,0 +1,361 @@
+/**
+ * Asciistrator - SwiftUI Layout Transformer
+ *
+ * Transforms auto-layout properties to SwiftUI stacks: HStack/VStack for
+ * single-line layouts, LazyVGrid/LazyHGrid for wrapping layouts and
+ * ZStack for absolutely positioned content.
+ *
+ * Values are returned as Swift expressions (strings) or points (numbers),
+ * ready to be written into a view body.
+ *
+ * @version 1.0.0
+ */
+
+import {
+    LayoutExportEngine,
+    LayoutMode,
+    PrimaryAxisAlign,
+    CounterAxisAlign,
+    LayoutWrap,
+    SizingMode
+} from './LayoutExportEngine.js';
+
+// ==========================================
+// SWIFTUI LAYOUT MAPPINGS
+// ==========================================
+
+/**
+ * Map an axis alignment to the horizontal part of a SwiftUI Alignment
+ */
+const HORIZONTAL_ALIGNMENT_MAP = {
+    [PrimaryAxisAlign.MIN]: 'leading',
+    [PrimaryAxisAlign.CENTER]: 'center',
+    [PrimaryAxisAlign.MAX]: 'trailing',
+    [CounterAxisAlign.STRETCH]: 'leading',
+    [CounterAxisAlign.BASELINE]: 'leading'
+};
+
+/**
+ * Map an axis alignment to the vertical part of a SwiftUI Alignment
+ */
+const VERTICAL_ALIGNMENT_MAP = {
+    [PrimaryAxisAlign.MIN]: 'top',
+    [PrimaryAxisAlign.CENTER]: 'center',
+    [PrimaryAxisAlign.MAX]: 'bottom',
+    [CounterAxisAlign.STRETCH]: 'top',
+    [CounterAxisAlign.BASELINE]: 'firstTextBaseline'
+};
+
+/**
+ * Primary axis distributions written as Spacers between children
+ */
+const DISTRIBUTION_MAP = {
+    [PrimaryAxisAlign.SPACE_BETWEEN]: 'between',
+    [PrimaryAxisAlign.SPACE_AROUND]: 'evenly',
+    [PrimaryAxisAlign.SPACE_EVENLY]: 'evenly'
+};
+
+/**
+ * Combine horizontal and vertical parts into a SwiftUI Alignment
+ * @param {string} horizontal - 'leading', 'center' or 'trailing'
+ * @param {string} vertical - 'top', 'center' or 'bottom'
+ * @returns {string} e.g. '.topLeading', '.center', '.bottom'
+ */
+export function swiftAlignment(horizontal, vertical) {
+    if (vertical === 'firstTextBaseline') vertical = 'top';
+    if (horizontal === 'center' && vertical === 'center') return '.center';
+    if (horizontal === 'center') return `.${vertical}`;
+    if (vertical === 'center') return `.${horizontal}`;
+    return `.${vertical}${horizontal.charAt(0).toUpperCase()}${horizontal.slice(1)}`;
+}
+
+// ==========================================
+// SWIFTUI LAYOUT TRANSFORMER
+// ==========================================
+
+/**
+ * SwiftUI layout transformer.
+ * Converts auto-layout properties to stack arguments and view modifiers.
+ */
+export class SwiftUILayoutTransformer extends LayoutExportEngine {
+    constructor(options = {}) {
+        super({
+            unit: '',
+            // Points per character cell
+            cellWidth: 8,
+            cellHeight: 16,
+            ...options
+        });
+    }
+
+    // ==========================================
+    // CONTAINER LAYOUT TRANSFORMATION
+    // ==========================================
+
+    /**
+     * Transform layout properties to a SwiftUI stack
+     * @override
+     * @param {LayoutProperties} props - Normalized layout properties
+     * @param {Object} context - Export context
+     * @param {number} [context.minItemSize] - Smallest child extent along the
+     *   main axis in cells, used for adaptive grid items
+     * @returns {Object} { view: 'HStack'|'VStack'|'LazyVGrid'|'LazyHGrid'|'ZStack',
+     *   args: Object, distribution: 'between'|'evenly'|null, alignment: string,
+     *   padding: Array<string>, width: number|null, height: number|null, clip: boolean }
+     */
+    transformContainerLayout(props, context = {}) {
+        const args = {};
+        let view;
+        let distribution = null;
+        // Alignment of the content inside the container's frame
+        let alignment = '.topLeading';
+
+        if (!props.layoutMode || props.layoutMode === LayoutMode.NONE) {
+            // No layout mode = absolute positioning container
+            view = 'ZStack';
+            args.alignment = '.topLeading';
+        } else {
+            const isHorizontal = this.isHorizontalLayout(props.layoutMode);
+            const primary = props.primaryAxisAlign || PrimaryAxisAlign.MIN;
+            const counter = props.counterAxisAlign || CounterAxisAlign.MIN;
+            const primaryPart = isHorizontal
+                ? HORIZONTAL_ALIGNMENT_MAP[primary] || 'leading'
+                : VERTICAL_ALIGNMENT_MAP[primary] || 'top';
+            const counterPart = isHorizontal
+                ? VERTICAL_ALIGNMENT_MAP[counter] || 'top'
+                : HORIZONTAL_ALIGNMENT_MAP[counter] || 'leading';
+
+            alignment = isHorizontal
+                ? swiftAlignment(primaryPart, counterPart)
+                : swiftAlignment(counterPart, primaryPart);
+
+            if (props.wrapMode === LayoutWrap.WRAP) {
+                // Adaptive grid items flow into as many columns (rows) as fit
+                view = isHorizontal ? 'LazyVGrid' : 'LazyHGrid';
+                const minimum = this.toPixels(context.minItemSize || 10, !isHorizontal);
+                const spacing = this.transformSpacing(props.itemSpacing, !isHorizontal);
+                const item = `GridItem(.adaptive(minimum: ${minimum}), spacing: ${spacing})`;
+                args[isHorizontal ? 'columns' : 'rows'] = `[${item}]`;
+                // Grids align items along the axis they flow on
+                args.alignment = `.${primaryPart}`;
+                args.spacing = this.transformSpacing(props.counterAxisSpacing, isHorizontal);
+            } else {
+                view = isHorizontal ? 'HStack' : 'VStack';
+                args.alignment = `.${counterPart}`;
+                // Stacks add platform spacing unless told otherwise
+                args.spacing = this.transformSpacing(props.itemSpacing, !isHorizontal);
+                distribution = DISTRIBUTION_MAP[primary] || null;
+            }
+        }
+
+        return {
+            view,
+            args,
+            distribution,
+            alignment,
+            padding: this.transformPadding(props.padding),
+            width: props.width > 0 && props.sizing.horizontal === SizingMode.FIXED
+                ? this.toPixels(props.width) : null,
+            height: props.height > 0 && props.sizing.vertical === SizingMode.FIXED
+                ? this.toPixels(props.height, true) : null,
+            clip: props.clipContent
+        };
+    }
+
+    // ==========================================
+    // CHILD LAYOUT TRANSFORMATION
+    // ==========================================
+
+    /**
+     * Transform child sizing for stack/ZStack participation.
+     *
+     * The result is applied to the child in order: `.frame(width:height:)`,
+     * the `fill` frame, the child's own background and border, the `padding`
+     * insets and finally the `anchor` frame.
+     * @override
+     * @param {LayoutProperties} childProps - Child's layout properties
+     * @param {LayoutProperties} parentProps - Parent's layout properties
+     * @param {Object} context - Export context
+     * @param {Object} [context.parentBounds] - Parent bounds in cells
+     * @param {Object} [context.childBounds] - Child bounds in cells, relative to the parent
+     * @returns {Object} { width, height: number|null, fill: Object|null,
+     *   padding: Array<string>, anchor: Object|null }
+     */
+    transformChildLayout(childProps, parentProps, context = {}) {
+        // No parent auto-layout - position inside a ZStack
+        if (!parentProps || parentProps.layoutMode === LayoutMode.NONE) {
+            return this._transformPositionedChild(childProps, context);
+        }
+
+        const isHorizontal = this.isHorizontalLayout(parentProps.layoutMode);
+        const layoutSizing = childProps.layoutSizing || {};
+        const mainAxisSizing = isHorizontal ? layoutSizing.horizontal : layoutSizing.vertical;
+        const crossAxisSizing = isHorizontal ? layoutSizing.vertical : layoutSizing.horizontal;
+
+        let width = childProps.width > 0 ? this.toPixels(childProps.width) : null;
+        let height = childProps.height > 0 ? this.toPixels(childProps.height, true) : null;
+        const fill = {};
+
+        // Main axis: fill = take the remaining space (grid items are sized by the grid)
+        const fillMain = mainAxisSizing === SizingMode.FILL && parentProps.wrapMode !== LayoutWrap.WRAP;
+        // Cross axis: fill = take the full cross extent
+        const fillCross = crossAxisSizing === SizingMode.FILL ||
+            parentProps.counterAxisAlign === CounterAxisAlign.STRETCH;
+
+        if (isHorizontal ? fillMain : fillCross) {
+            width = null;
+            fill.maxWidth = '.infinity';
+        }
+        if (isHorizontal ? fillCross : fillMain) {
+            height = null;
+            fill.maxHeight = '.infinity';
+        }
+
+        return {
+            width,
+            height,
+            fill: Object.keys(fill).length > 0 ? fill : null,
+            padding: [],
+            anchor: null
+        };
+    }
+
+    /**
+     * Transform absolutely positioned child
+     * @private
+     */
+    _transformPositionedChild(childProps, context) {
+        const childBounds = context.childBounds || { x: 0, y: 0, width: childProps.width, height: childProps.height };
+        const parentBounds = context.parentBounds || { x: 0, y: 0, width: 0, height: 0 };
+        return this.transformConstraints(childProps.constraints, parentBounds, childBounds);
+    }
+
+    // ==========================================
+    // CONSTRAINTS TRANSFORMATION
+    // ==========================================
+
+    /**
+     * Transform constraints to insets inside a top-leading ZStack.
+     * Stretched axes fill the parent between the insets; far-edge
+     * constraints anchor the child with a full-size frame.
+     * @override
+     * @param {Object} constraints - { horizontal, vertical }
+     * @param {Object} parentBounds - Parent container bounds
+     * @param {Object} childBounds - Child bounds relative to the parent
+     * @returns {Object} { width, height, fill, padding, anchor } as for transformChildLayout
+     */
+    transformConstraints(constraints, parentBounds, childBounds) {
+        const insets = { top: 0, left: 0, bottom: 0, right: 0 };
+        const right = parentBounds.width - childBounds.x - childBounds.width;
+        const bottom = parentBounds.height - childBounds.y - childBounds.height;
+        let width = childBounds.width > 0 ? this.toPixels(childBounds.width) : null;
+        let height = childBounds.height > 0 ? this.toPixels(childBounds.height, true) : null;
+        const fill = {};
+        const anchor = {};
+
+        switch (constraints?.horizontal) {
+            case 'MAX':
+                insets.right = right;
+                anchor.maxWidth = '.infinity';
+                break;
+            case 'STRETCH':
+                width = null;
+                fill.maxWidth = '.infinity';
+                insets.left = childBounds.x;
+                insets.right = right;
+                break;
+            default:
+                // MIN, CENTER and SCALE keep the sketched offset
+                insets.left = childBounds.x;
+        }
+
+        switch (constraints?.vertical) {
+            case 'MAX':
+                insets.bottom = bottom;
+                anchor.maxHeight = '.infinity';
+                break;
+            case 'STRETCH':
+                height = null;
+                fill.maxHeight = '.infinity';
+                insets.top = childBounds.y;
+                insets.bottom = bottom;
+                break;
+            default:
+                insets.top = childBounds.y;
+        }
+
+        if (anchor.maxWidth || anchor.maxHeight) {
+            anchor.alignment = swiftAlignment(
+                anchor.maxWidth ? 'trailing' : 'leading',
+                anchor.maxHeight ? 'bottom' : 'top'
+            );
+        }
+
+        return {
+            width,
+            height,
+            fill: Object.keys(fill).length > 0 ? fill : null,
+            padding: this.transformPadding(insets),
+            anchor: anchor.alignment ? anchor : null
+        };
+    }
+
+    // ==========================================
+    // SPACING & PADDING TRANSFORMATION
+    // ==========================================
+
+    /**
+     * Transform spacing to points
+     * @override
+     * @param {number} spacing - Spacing value in character units
+     * @param {boolean} isVertical - Whether the spacing runs vertically
+     * @returns {number}
+     */
+    transformSpacing(spacing, isVertical = false) {
+        if (!spacing || spacing <= 0) return 0;
+        return this.toPixels(spacing, isVertical);
+    }
+
+    /**
+     * Transform padding to .padding() modifier arguments
+     * @override
+     * @param {Object} padding - { left, right, top, bottom }
+     * @returns {Array<string>} One argument list per .padding() modifier, empty for no padding
+     */
+    transformPadding(padding) {
+        if (!padding) return [];
+
+        const top = this.toPixels(padding.top || 0, true);
+        const trailing = this.toPixels(padding.right || 0);
+        const bottom = this.toPixels(padding.bottom || 0, true);
+        const leading = this.toPixels(padding.left || 0);
+
+        if (top === 0 && trailing === 0 && bottom === 0 && leading === 0) return [];
+
+        // Optimize padding output
+        if (top === bottom && leading === trailing) {
+            if (top === leading) {
+                return [`${top}`];
+            }
+            const result = [];
+            if (leading > 0) result.push(`.horizontal, ${leading}`);
+            if (top > 0) result.push(`.vertical, ${top}`);
+            return result;
+        }
+
+        // A single inset reads better as an edge
+        const edges = { top, leading, bottom, trailing };
+        const set = Object.entries(edges).filter(([, value]) => value > 0);
+        if (set.length === 1) {
+            return [`.${set[0][0]}, ${set[0][1]}`];
+        }
+
+        return [`EdgeInsets(top: ${top}, leading: ${leading}, bottom: ${bottom}, trailing: ${trailing})`];
+    }
+}
+
+// ==========================================
+// EXPORT
+// ==========================================
+
+export default SwiftUILayoutTransformer;
@@ -50,6 +50,23 @@ export {
     SVGLayoutTransformer
 } from './SVGLayoutTransformer.js';
 
+export {
+    FlutterLayoutTransformer
+} from './FlutterLayoutTransformer.js';
+
+export {
+    SwiftUILayoutTransformer,
+    swiftAlignment
+} from './SwiftUILayoutTransformer.js';
+
+export {
+    QmlLayoutTransformer
+} from './QmlLayoutTransformer.js';
+
+export {
+    GtkLayoutTransformer
+} from './GtkLayoutTransformer.js';
+
 // ==========================================
 // CONTAINER EXPORT ENGINES
 // ==========================================
@@ -72,7 +89,7 @@ export {
 
 /**
  * Create layout transformer for export format
- * @param {string} format - Export format ('html', 'svg', 'xaml', 'avalonia', 'wpf', 'maui')
+ * @param {string} format - Export format ('html', 'svg', 'xaml', 'avalonia', 'wpf', 'maui', 'flutter', 'swiftui', 'qml', 'gtk')
  * @param {Object} options - Transformer options
  * @returns {LayoutExportEngine}
  */
@@ -99,6 +116,22 @@ export function createLayoutTransformer(format, options = {}) {
                 ...options
             });
             
+        case 'flutter':
+        case 'dart':
+            return new FlutterLayoutTransformer(options);
+            
+        case 'swiftui':
+        case 'swift':
+            return new SwiftUILayoutTransformer(options);
+            
+        case 'qml':
+        case 'qt':
+            return new QmlLayoutTransformer(options);
+            
+        case 'gtk':
+        case 'gtk-blueprint':
+            return new GtkLayoutTransformer(options);
+            
         default:
             // Default to SVG (computes absolute positions)
             return new SVGLayoutTransformer(options);
@@ -238,6 +271,46 @@ export function getLayoutCapabilities(format) {
             capabilities.preferredLayoutPanel = 'StackPanel';
             break;
             
+        case 'flutter':
+        case 'dart':
+            capabilities.supportsNativeLayout = true;
+            capabilities.supportsNestedContainers = true;
+            capabilities.requiresComputedPositions = false;
+            capabilities.supportsClipping = true;
+            capabilities.supportsConstraints = true;
+            capabilities.preferredLayoutPanel = 'Flex';
+            break;
+            
+        case 'swiftui':
+        case 'swift':
+            capabilities.supportsNativeLayout = true;
+            capabilities.supportsNestedContainers = true;
+            capabilities.requiresComputedPositions = false;
+            capabilities.supportsClipping = true;
+            capabilities.supportsConstraints = true;
+            capabilities.preferredLayoutPanel = 'VStack';
+            break;
+            
+        case 'qml':
+        case 'qt':
+            capabilities.supportsNativeLayout = true;
+            capabilities.supportsNestedContainers = true;
+            capabilities.requiresComputedPositions = false;
+            capabilities.supportsClipping = true;
+            capabilities.supportsConstraints = true;
+            capabilities.preferredLayoutPanel = 'ColumnLayout';
+            break;
+            
+        case 'gtk':
+        case 'gtk-blueprint':
+            capabilities.supportsNativeLayout = true;
+            capabilities.supportsNestedContainers = true;
+            capabilities.requiresComputedPositions = false;
+            capabilities.supportsClipping = true;
+            capabilities.supportsConstraints = true;
+            capabilities.preferredLayoutPanel = 'GtkBox';
+            break;
+            
         case 'text':
         case 'ansi':
         case 'markdown':
@@ -267,6 +340,10 @@ export default {
     CSSLayoutTransformer,
     XAMLLayoutTransformer,
     SVGLayoutTransformer,
+    FlutterLayoutTransformer,
+    SwiftUILayoutTransformer,
+    QmlLayoutTransformer,
+    GtkLayoutTransformer,
     // Container engines
     HTMLContainerExportEngine,
     SVGContainerExportEngine,
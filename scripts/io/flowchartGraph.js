@@ -0,0 +1,359 @@
+/**
+ * Asciistrator - Flowchart Graph Model
+ *
+ * Intermediate node/edge model shared by the text-based flowchart
+ * importers (Mermaid, Graphviz DOT) and exporters (Mermaid, PlantUML).
+ * Converts a parsed graph into flowchart shape and connector data sized
+ * to fit their labels, and reads a graph back from scene objects.
+ */
+
+import { uuid } from '../utils/helpers.js';
+
+// ==========================================
+// CONSTANTS
+// ==========================================
+
+/**
+ * Layout directions (Mermaid/DOT naming)
+ */
+export const FlowchartDirection = {
+    TOP_BOTTOM: 'TB',
+    BOTTOM_TOP: 'BT',
+    LEFT_RIGHT: 'LR',
+    RIGHT_LEFT: 'RL'
+};
+
+/**
+ * Flowchart shape types (scene object types)
+ */
+export const FlowchartNodeShape = {
+    PROCESS: 'process',
+    TERMINAL: 'terminal',
+    DECISION: 'decision',
+    IO: 'io',
+    DOCUMENT: 'document',
+    DATABASE: 'database',
+    SUBPROCESS: 'subprocess',
+    CONNECTOR: 'connector-circle'
+};
+
+/**
+ * Snap points used by connectors for each layout direction
+ */
+const DIRECTION_SNAP_POINTS = {
+    TB: { from: 'bottom', to: 'top' },
+    BT: { from: 'top', to: 'bottom' },
+    LR: { from: 'right', to: 'left' },
+    RL: { from: 'left', to: 'right' }
+};
+
+// ==========================================
+// GRAPH
+// ==========================================
+
+/**
+ * Directed graph of labelled flowchart nodes and edges
+ */
+export class FlowchartGraph {
+    constructor(direction = FlowchartDirection.TOP_BOTTOM) {
+        this.direction = direction;
+        this.nodes = new Map();
+        this.edges = [];
+    }
+
+    /**
+     * Add a node or update an existing one
+     * @param {string} id - Node identifier
+     * @param {object} [props]
+     * @param {string} [props.label] - Display text (defaults to the id)
+     * @param {string} [props.shape] - FlowchartNodeShape value
+     * @returns {object} Node
+     */
+    addNode(id, props = {}) {
+        let node = this.nodes.get(id);
+        if (!node) {
+            node = { id, label: id, shape: FlowchartNodeShape.PROCESS };
+            this.nodes.set(id, node);
+        }
+        if (props.label !== undefined && props.label !== null) node.label = props.label;
+        if (props.shape) node.shape = props.shape;
+        return node;
+    }
+
+    /**
+     * Add an edge, creating missing nodes
+     * @param {string} from - Source node id
+     * @param {string} to - Target node id
+     * @param {object} [props]
+     * @param {string} [props.label] - Edge label
+     * @param {boolean} [props.arrowStart=false]
+     * @param {boolean} [props.arrowEnd=true]
+     * @param {string} [props.lineType='solid'] - 'solid', 'dashed' or 'double'
+     * @returns {object} Edge
+     */
+    addEdge(from, to, props = {}) {
+        this.addNode(from);
+        this.addNode(to);
+
+        const edge = {
+            from,
+            to,
+            label: props.label || '',
+            arrowStart: props.arrowStart ?? false,
+            arrowEnd: props.arrowEnd ?? true,
+            lineType: props.lineType || 'solid'
+        };
+        this.edges.push(edge);
+        return edge;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {object|undefined}
+     */
+    getNode(id) {
+        return this.nodes.get(id);
+    }
+}
+
+// ==========================================
+// OBJECT CREATION
+// ==========================================
+
+/**
+ * Size a flowchart shape so its label fits inside
+ * @param {string} shape - FlowchartNodeShape value
+ * @param {string} label - Node label (may contain newlines)
+ * @returns {{width: number, height: number}}
+ */
+export function measureFlowchartNode(shape, label) {
+    const lines = String(label || '').split('\n');
+    const textWidth = Math.max(1, ...lines.map(line => line.length));
+    const textHeight = lines.length;
+
+    switch (shape) {
+        case FlowchartNodeShape.DECISION: {
+            // Diamonds need room above and below the label row(s)
+            const height = textHeight * 2 + 3;
+            const width = textWidth + height + 1;
+            return { width: width % 2 === 0 ? width + 1 : width, height };
+        }
+        case FlowchartNodeShape.DOCUMENT:
+            return { width: Math.max(10, textWidth + 6), height: textHeight + 3 };
+        case FlowchartNodeShape.DATABASE:
+            return { width: Math.max(8, textWidth + 4), height: textHeight + 3 };
+        case FlowchartNodeShape.SUBPROCESS:
+            return { width: Math.max(12, textWidth + 8), height: textHeight + 2 };
+        case FlowchartNodeShape.CONNECTOR:
+            return { width: 3, height: 3 };
+        default:
+            return { width: Math.max(8, textWidth + 4), height: textHeight + 2 };
+    }
+}
+
+/**
+ * Create flowchart shape and connector data from a graph. Positions are
+ * left at the origin; run a FlowchartLayout over the created objects.
+ * @param {FlowchartGraph} graph
+ * @returns {{shapes: object[], connectors: object[]}} Object data
+ */
+export function createFlowchartObjectsFromGraph(graph) {
+    const snap = DIRECTION_SNAP_POINTS[graph.direction] || DIRECTION_SNAP_POINTS.TB;
+    const shapeIds = new Map();
+    const shapes = [];
+    const connectors = [];
+
+    for (const node of graph.nodes.values()) {
+        const id = uuid();
+        shapeIds.set(node.id, id);
+
+        const data = {
+            type: node.shape,
+            id,
+            name: node.id,
+            x: 0,
+            y: 0,
+            ...measureFlowchartNode(node.shape, node.label),
+            label: node.shape === FlowchartNodeShape.CONNECTOR ? '' : node.label
+        };
+        if (node.shape === FlowchartNodeShape.CONNECTOR) {
+            data.connectorId = node.label.charAt(0);
+        }
+        shapes.push(data);
+    }
+
+    for (const edge of graph.edges) {
+        connectors.push({
+            type: 'connector',
+            id: uuid(),
+            fromShapeId: shapeIds.get(edge.from),
+            fromSnapPoint: snap.from,
+            toShapeId: shapeIds.get(edge.to),
+            toSnapPoint: snap.to,
+            connectorStyle: 'orthogonal',
+            lineType: edge.lineType,
+            arrowStart: edge.arrowStart,
+            arrowEnd: edge.arrowEnd,
+            label: edge.label
+        });
+    }
+
+    return { shapes, connectors };
+}
+
+// ==========================================
+// GRAPH EXTRACTION
+// ==========================================
+
+const SHAPE_TYPES = new Set(Object.values(FlowchartNodeShape));
+
+/**
+ * Collect flowchart shapes and connectors, descending into groups and frames
+ * @private
+ */
+function collectFlowchartObjects(objects, shapes, connectors) {
+    for (const obj of objects) {
+        if (!obj || obj.visible === false) continue;
+        if (SHAPE_TYPES.has(obj.type)) shapes.push(obj);
+        else if (obj.type === 'connector') connectors.push(obj);
+        if (obj.children) collectFlowchartObjects(obj.children, shapes, connectors);
+    }
+}
+
+/**
+ * Edges that lead back up the flow and close a loop, found by walking
+ * depth-first from the shapes nothing leads to
+ * @private
+ */
+function findBackEdges(edges) {
+    const outgoing = new Map();
+    const targets = new Set();
+    for (const edge of edges) {
+        if (!outgoing.has(edge.from)) outgoing.set(edge.from, []);
+        outgoing.get(edge.from).push(edge);
+        targets.add(edge.to);
+    }
+
+    const backEdges = new Set();
+    const visited = new Set();
+    const onPath = new Set();
+    const visit = (node) => {
+        visited.add(node);
+        onPath.add(node);
+        for (const edge of outgoing.get(node) || []) {
+            if (onPath.has(edge.to)) backEdges.add(edge);
+            else if (!visited.has(edge.to)) visit(edge.to);
+        }
+        onPath.delete(node);
+    };
+
+    // Start from the sources; a graph that is all loops starts at its first edge
+    const starts = [...outgoing.keys()];
+    starts.filter(node => !targets.has(node)).forEach(node => visit(node));
+    starts.filter(node => !visited.has(node)).forEach(node => visit(node));
+
+    return backEdges;
+}
+
+/**
+ * Guess the flow direction from where connectors lead. Loop edges are
+ * left out, as they run against the flow and would cancel it.
+ * @private
+ */
+function inferDirection(edges) {
+    const backEdges = findBackEdges(edges);
+    let dx = 0;
+    let dy = 0;
+    for (const edge of edges) {
+        if (backEdges.has(edge)) continue;
+        const { from, to } = edge;
+        dx += (to.x + to.width / 2) - (from.x + from.width / 2);
+        dy += (to.y + to.height / 2) - (from.y + from.height / 2);
+    }
+    // Characters are about twice as tall as wide
+    if (Math.abs(dy) * 2 >= Math.abs(dx)) {
+        return dy < 0 ? FlowchartDirection.BOTTOM_TOP : FlowchartDirection.TOP_BOTTOM;
+    }
+    return dx < 0 ? FlowchartDirection.RIGHT_LEFT : FlowchartDirection.LEFT_RIGHT;
+}
+
+/**
+ * Build a graph from flowchart shape and connector objects. Node ids are
+ * derived from object names; connectors that are not attached to a shape
+ * at both ends are skipped.
+ * @param {Array} objects - Scene objects (shapes, connectors, groups)
+ * @param {object} [options]
+ * @param {string} [options.direction='auto'] - FlowchartDirection or 'auto'
+ * @returns {{graph: FlowchartGraph, skippedConnectors: number}}
+ */
+export function createGraphFromFlowchartObjects(objects, options = {}) {
+    const shapes = [];
+    const connectors = [];
+    collectFlowchartObjects(objects, shapes, connectors);
+
+    const byId = new Map(shapes.map(shape => [shape.id, shape]));
+    const edges = [];
+    let skippedConnectors = 0;
+
+    for (const conn of connectors) {
+        const from = byId.get(conn.fromShapeId);
+        const to = byId.get(conn.toShapeId);
+        if (!from || !to) {
+            skippedConnectors++;
+            continue;
+        }
+        // Keep arrows pointing forward: a start-only arrow reverses the edge
+        const reversed = conn.arrowStart && !conn.arrowEnd;
+        edges.push({
+            from: reversed ? to : from,
+            to: reversed ? from : to,
+            label: conn.label || '',
+            arrowStart: conn.arrowStart && !reversed,
+            arrowEnd: conn.arrowEnd || reversed,
+            lineType: conn.lineType || 'solid'
+        });
+    }
+
+    const direction = options.direction && options.direction !== 'auto'
+        ? options.direction
+        : inferDirection(edges);
+
+    // Order nodes along the flow so generated source reads naturally
+    const horizontal = direction === FlowchartDirection.LEFT_RIGHT || direction === FlowchartDirection.RIGHT_LEFT;
+    const sign = direction === FlowchartDirection.BOTTOM_TOP || direction === FlowchartDirection.RIGHT_LEFT ? -1 : 1;
+    shapes.sort((a, b) => horizontal
+        ? sign * (a.x - b.x) || a.y - b.y
+        : sign * (a.y - b.y) || a.x - b.x);
+
+    const graph = new FlowchartGraph(direction);
+    const nodeIds = new Map();
+
+    shapes.forEach((shape, index) => {
+        let id = String(shape.name || '').replace(/\W+/g, '_').replace(/^_+|_+$/g, '');
+        if (!id || /^\d/.test(id) || id === 'end' || graph.getNode(id)) {
+            let n = index + 1;
+            do {
+                id = `n${n++}`;
+            } while (graph.getNode(id));
+        }
+        nodeIds.set(shape, id);
+
+        const label = shape.type === FlowchartNodeShape.CONNECTOR ? (shape.connectorId || '') : (shape.label || '');
+        graph.addNode(id, { label, shape: shape.type });
+    });
+
+    for (const edge of edges) {
+        graph.addEdge(nodeIds.get(edge.from), nodeIds.get(edge.to), edge);
+    }
+
+    return { graph, skippedConnectors };
+}
+
+export default {
+    FlowchartDirection,
+    FlowchartNodeShape,
+    FlowchartGraph,
+    measureFlowchartNode,
+    createFlowchartObjectsFromGraph,
+    createGraphFromFlowchartObjects
+};
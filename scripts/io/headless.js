@@ -0,0 +1,257 @@
+/**
+ * Asciistrator - Headless Rendering
+ *
+ * DOM-free entry point for loading native (.ascii) documents, rendering
+ * them through the scene object model into an AsciiBuffer, and exporting
+ * them with any exporter registered in the ExporterRegistry.
+ *
+ * Works in Node.js; see scripts/cli.js for the command line interface.
+ *
+ * @version 1.0.0
+ */
+
+import app, { styleManager } from '../app.js';
+import { AsciiBuffer } from '../core/ascii/rasterizer.js';
+import { figletFonts } from '../core/ascii/figlet.js';
+import { detectVersion, ColorUtils, TypeMapping } from './native.js';
+import { ExporterRegistry } from './ExporterRegistry.js';
+import { ExporterClasses } from './exporters/index.js';
+import { detectFormat } from '../charts/datasource.js';
+
+// ==========================================
+// HEADLESS DOCUMENT
+// ==========================================
+
+/**
+ * A native document loaded into scene objects without a browser
+ */
+export class HeadlessDocument {
+    /**
+     * @param {object} config
+     * @param {Array} config.layers - Layers with scene objects
+     * @param {number} config.canvasWidth - Canvas width in characters
+     * @param {number} config.canvasHeight - Canvas height in characters
+     * @param {string} [config.backgroundColor] - Canvas background color
+     * @param {string} [config.name] - Document name
+     */
+    constructor({ layers = [], canvasWidth = 120, canvasHeight = 60, backgroundColor = '#1a1a2e', name = 'Untitled' } = {}) {
+        this.layers = layers;
+        this.canvasWidth = canvasWidth;
+        this.canvasHeight = canvasHeight;
+        this.backgroundColor = backgroundColor;
+        this.name = name;
+    }
+
+    /**
+     * Load a native v2 document
+     * @param {string|object} input - JSON string or parsed document
+     * @returns {HeadlessDocument}
+     */
+    static fromJSON(input) {
+        const data = typeof input === 'string' ? JSON.parse(input) : input;
+
+        if (!detectVersion(data)) {
+            throw new Error('Not a valid v2+ native format document');
+        }
+
+        // Shared styles must be known before objects resolve their style references
+        if (data.styles && typeof data.styles === 'object') {
+            styleManager.clear();
+            styleManager.importFromDocument(data.styles);
+        }
+
+        // Fonts registered by the caller (e.g. cli.js --font) take precedence
+        if (data.figletFonts && typeof data.figletFonts === 'object') {
+            figletFonts.registerSources(Object.fromEntries(
+                Object.entries(data.figletFonts).filter(([name]) => !figletFonts.has(name))));
+        }
+
+        const { layers, canvasWidth, canvasHeight, backgroundColor } =
+            app._createLayersFromV2Document(data, ColorUtils, TypeMapping);
+
+        return new HeadlessDocument({
+            layers,
+            canvasWidth: canvasWidth ?? 120,
+            canvasHeight: canvasHeight ?? 60,
+            backgroundColor: backgroundColor || '#1a1a2e',
+            name: data.name || data.document?.name || 'Untitled'
+        });
+    }
+
+    /**
+     * Get all objects of visible layers
+     * @returns {Array}
+     */
+    get objects() {
+        return this.layers
+            .filter(layer => layer.visible !== false)
+            .flatMap(layer => layer.objects || []);
+    }
+
+    /**
+     * Replace the data of charts bound to a data source, e.g. with this
+     * week's numbers before an export
+     * @param {string} name - Data source name, with or without its
+     *   extension, or chart name
+     * @param {string} text - CSV, TSV or JSON data
+     * @param {string} [fileName] - Name of the file the data came from,
+     *   for its extension
+     * @returns {number} Number of charts updated
+     * @throws {Error} When the data cannot be parsed or has no rows
+     */
+    replaceChartData(name, text, fileName = '') {
+        const format = detectFormat(text, fileName);
+        const matches = value => !!value && (value === name || value.replace(/\.[^.]+$/, '') === name);
+        let updated = 0;
+
+        const visit = (objects) => {
+            for (const obj of objects) {
+                if (obj.type === 'chart' && obj.dataSource &&
+                    (matches(obj.dataSource.name) || matches(obj.name))) {
+                    obj.dataSource.replace(text, format);
+                    updated++;
+                }
+                if (obj.children) visit(obj.children);
+            }
+        };
+        this.layers.forEach(layer => visit(layer.objects || []));
+
+        return updated;
+    }
+
+    /**
+     * Render all visible layers into a new buffer
+     * @returns {AsciiBuffer}
+     */
+    render() {
+        const buffer = new AsciiBuffer(this.canvasWidth, this.canvasHeight);
+        app.renderLayersToBuffer(this.layers, buffer, this.backgroundColor);
+        return buffer;
+    }
+
+    /**
+     * Build the document shape expected by exporters
+     * (buffer-based exporters read `buffer`, component exporters read `layers`)
+     * @returns {object}
+     */
+    toExportDocument() {
+        const buffer = this.render();
+
+        return {
+            buffer,
+            title: this.name,
+            width: this.canvasWidth,
+            height: this.canvasHeight,
+            canvas: {
+                width: this.canvasWidth,
+                height: this.canvasHeight,
+                backgroundColor: this.backgroundColor,
+                content: buffer.toString()
+            },
+            layers: this.layers.map(layer => ({
+                id: layer.id,
+                name: layer.name,
+                visible: layer.visible,
+                locked: layer.locked,
+                blendMode: layer.blendMode || 'normal',
+                opacity: layer.opacity ?? 1,
+                objects: layer.objects || []
+            })),
+            objects: this.objects,
+            selectedObjects: [],
+            metadata: {
+                filename: this.name,
+                created: new Date().toISOString(),
+                version: '0.1.0'
+            }
+        };
+    }
+}
+
+// ==========================================
+// EXPORT HELPERS
+// ==========================================
+
+/**
+ * Create a registry with every built-in exporter that runs without a
+ * browser; canvas-based exporters are left out when there is no DOM
+ * @returns {ExporterRegistry}
+ */
+export function createExporterRegistry() {
+    const registry = new ExporterRegistry();
+    const hasCanvas = typeof globalThis.document?.createElement === 'function';
+
+    for (const ExporterClass of Object.values(ExporterClasses)) {
+        const exporter = new ExporterClass();
+        if (exporter.requiresCanvas && !hasCanvas) continue;
+        if (!registry.has(exporter.id)) {
+            registry.register(exporter);
+        }
+    }
+
+    return registry;
+}
+
+/**
+ * Normalize the result shapes returned by the different exporter families
+ * (ExportResult from BaseExporter, `{ files }` objects from the Avalonia pipeline)
+ * @param {object|string} result
+ * @returns {{success: boolean, content: string|Blob|null, files: Map<string, string|Blob>, errors: string[], warnings: string[]}}
+ */
+export function normalizeExportResult(result) {
+    if (typeof result === 'string') {
+        return { success: true, content: result, files: new Map(), errors: [], warnings: [] };
+    }
+
+    const files = new Map();
+
+    if (result?.additionalFiles instanceof Map) {
+        for (const [name, content] of result.additionalFiles) {
+            files.set(name, content);
+        }
+    }
+
+    if (result?.files && typeof result.files === 'object') {
+        for (const [name, file] of Object.entries(result.files)) {
+            if (name === result.filename) continue;
+            files.set(name, typeof file === 'object' && file !== null ? file.content : file);
+        }
+    }
+
+    const errors = [...(result?.errors || [])];
+    if (result?.error) errors.push(result.error);
+
+    return {
+        success: result?.success !== false,
+        content: result?.content ?? null,
+        files,
+        errors: errors.map(e => typeof e === 'string' ? e : e.message),
+        warnings: result?.warnings || []
+    };
+}
+
+/**
+ * Export a headless document with a registered exporter
+ * @param {HeadlessDocument} document - Loaded document
+ * @param {string} formatId - Exporter id (e.g. 'text', 'svg', 'avalonia-xaml')
+ * @param {object} [options] - Exporter options
+ * @param {ExporterRegistry} [registry] - Registry to look the exporter up in
+ * @returns {{success: boolean, content: string|Blob|null, files: Map<string, string|Blob>, errors: string[], warnings: string[], exporter: object}}
+ */
+export function exportDocument(document, formatId, options = {}, registry = createExporterRegistry()) {
+    const exporter = registry.get(formatId) || registry.getByExtension(formatId);
+
+    if (!exporter) {
+        throw new Error(`Unknown export format: ${formatId}`);
+    }
+
+    const result = normalizeExportResult(exporter.export(document.toExportDocument(), options));
+    return { ...result, exporter };
+}
+
+export default {
+    HeadlessDocument,
+    createExporterRegistry,
+    normalizeExportResult,
+    exportDocument
+};
@@ -0,0 +1,2057 @@
+/**
+ * Asciistrator - HTML/CSS Import
+ *
+ * Wireframes a static HTML page at character-cell scale without a browser,
+ * the reverse of the HTML export's flexbox layout:
+ * - Markup is read the way browsers read it: void elements, unquoted
+ *   attributes and implied end tags (`<li>`, `<p>`, `<td>`) are accepted
+ * - CSS from `<style>` blocks and `style` attributes is cascaded by
+ *   specificity; media queries, pseudo-classes and pseudo-elements are ignored
+ * - Flex containers become auto-layout frames with the matching direction,
+ *   alignment, gap and wrapping, and growing items fill; grid containers
+ *   become frames with their items on the grid tracks, auto-layout when
+ *   wrapping reproduces the grid
+ * - Form elements become the matching UI components, fieldsets group boxes
+ *   and tables data grids; other text becomes text objects wrapped to the
+ *   width of its block
+ * - Blocks with a border become bordered frames
+ *
+ * Lengths are converted with the HTML export's cell size (10 × 18 px by
+ * default, 1em = 16px) and widths are border-box widths. Floats, positioned
+ * elements and the margins of flex items are laid out in normal flow.
+ */
+
+import { getControlByType } from '../components/controls/index.js';
+import { PrimaryAxisAlign, CounterAxisAlign, LayoutMode, LayoutWrap, SizingMode } from './exporters/layout/LayoutExportEngine.js';
+import { renderMockup } from './exporters/TerminalLayout.js';
+import { uuid } from '../utils/helpers.js';
+
+// ==========================================
+// CONSTANTS
+// ==========================================
+
+const DEFAULT_OPTIONS = {
+    cellWidth: 10,
+    cellHeight: 18,
+    fontSize: 16,
+    width: 100
+};
+
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+/**
+ * Elements whose content is text up to their end tag
+ */
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+/**
+ * Open elements closed by the start tag of another element
+ */
+const IMPLIED_END_TAGS = {
+    li: ['li'],
+    dt: ['dt', 'dd'],
+    dd: ['dt', 'dd'],
+    option: ['option'],
+    optgroup: ['optgroup', 'option'],
+    tr: ['tr', 'td', 'th'],
+    td: ['td', 'th'],
+    th: ['td', 'th'],
+    thead: ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'],
+    tbody: ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'],
+    tfoot: ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th']
+};
+
+/**
+ * Start tags that close an open paragraph
+ */
+const CLOSES_PARAGRAPH = new Set([
+    'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'fieldset', 'figure', 'footer', 'form',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul'
+]);
+
+const ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', copy: '©', reg: '®', trade: '™',
+    hellip: '…', mdash: '—', ndash: '–', laquo: '«', raquo: '»', middot: '·', bull: '•', times: '×',
+    larr: '←', rarr: '→', uarr: '↑', darr: '↓', check: '✓'
+};
+
+/**
+ * Default styles of HTML elements, the part of a browser's style sheet
+ * that affects layout
+ */
+const USER_AGENT_CSS = `
+    head, script, style, template, noscript, title, meta, link, base, datalist, [hidden],
+    input[type=hidden] { display: none }
+    html, body, div, section, article, aside, header, footer, nav, main, form, p, h1, h2, h3, h4, h5, h6,
+    ul, ol, menu, dl, dt, dd, blockquote, pre, figure, figcaption, address, center, details, summary,
+    fieldset, legend, hr, table, caption { display: block }
+    li { display: list-item }
+    button, input, select, textarea, progress, meter, img, svg, canvas, video, iframe { display: inline-block }
+    p, ul, ol, menu, dl, blockquote, figure, pre, h1, h2, h3, h4, h5, h6 { margin: 1em 0 }
+    ul, ol, menu { padding-left: 40px }
+    dd, blockquote { margin-left: 40px }
+    ul, menu { list-style-type: disc }
+    ol { list-style-type: decimal }
+    center, th, caption { text-align: center }
+    pre { white-space: pre }
+`;
+
+/**
+ * Properties children take from their parent
+ */
+const INHERITED_PROPERTIES = ['text-align', 'white-space', 'list-style-type', 'visibility'];
+
+const JUSTIFY_CONTENT = {
+    normal: PrimaryAxisAlign.MIN,
+    start: PrimaryAxisAlign.MIN,
+    left: PrimaryAxisAlign.MIN,
+    'flex-start': PrimaryAxisAlign.MIN,
+    center: PrimaryAxisAlign.CENTER,
+    end: PrimaryAxisAlign.MAX,
+    right: PrimaryAxisAlign.MAX,
+    'flex-end': PrimaryAxisAlign.MAX,
+    'space-between': PrimaryAxisAlign.SPACE_BETWEEN,
+    'space-around': PrimaryAxisAlign.SPACE_AROUND,
+    'space-evenly': PrimaryAxisAlign.SPACE_EVENLY
+};
+
+const ALIGN_ITEMS = {
+    normal: CounterAxisAlign.STRETCH,
+    stretch: CounterAxisAlign.STRETCH,
+    start: CounterAxisAlign.MIN,
+    'self-start': CounterAxisAlign.MIN,
+    'flex-start': CounterAxisAlign.MIN,
+    center: CounterAxisAlign.CENTER,
+    end: CounterAxisAlign.MAX,
+    'self-end': CounterAxisAlign.MAX,
+    'flex-end': CounterAxisAlign.MAX,
+    baseline: CounterAxisAlign.BASELINE
+};
+
+/**
+ * Media elements drawn as image placeholders
+ */
+const MEDIA_ELEMENTS = new Set(['img', 'svg', 'canvas', 'video', 'iframe', 'picture', 'object', 'embed']);
+
+/**
+ * Component drawn for each `<input type>`; hidden and image inputs draw nothing
+ */
+const INPUT_TYPES = {
+    text: 'TextBox',
+    email: 'TextBox',
+    search: 'TextBox',
+    url: 'TextBox',
+    tel: 'TextBox',
+    password: 'PasswordBox',
+    checkbox: 'CheckBox',
+    radio: 'RadioButton',
+    range: 'Slider',
+    number: 'NumericUpDown',
+    date: 'DatePicker',
+    'datetime-local': 'DatePicker',
+    time: 'TimePicker',
+    color: 'ColorPicker',
+    submit: 'Button',
+    reset: 'Button',
+    button: 'Button',
+    file: 'Button'
+};
+
+/**
+ * Cells a control draws around its text
+ */
+const TEXT_CHROME = {
+    Button: 4,
+    CheckBox: 4,
+    RadioButton: 4,
+    ComboBox: 4,
+    ListBox: 4
+};
+
+const LIST_MARKERS = {
+    disc: '•',
+    circle: '◦',
+    square: '▪'
+};
+
+const CSS_WHITESPACE = /[ \t\n\r\f]+/g;
+
+// ==========================================
+// HTML PARSER
+// ==========================================
+
+/**
+ * @typedef {Object} HtmlElement
+ * @property {string} type - `element`
+ * @property {string} name - Lowercase tag name, `#document` for the root
+ * @property {Object<string, string>} attributes - Decoded values by lowercase name
+ * @property {Array<HtmlElement|HtmlText>} children
+ * @property {HtmlElement|null} parent
+ * @property {number} line - Line of the start tag
+ * @property {Object<string, string>} [style] - Computed CSS, after the cascade
+ */
+
+/**
+ * @typedef {Object} HtmlText
+ * @property {string} type - `text`
+ * @property {string} text - Decoded text
+ */
+
+/**
+ * Lenient HTML parser
+ */
+export class HtmlParser {
+    /**
+     * Parse HTML into a document tree
+     * @param {string} source - HTML page or fragment
+     * @returns {HtmlElement} Document root
+     */
+    parse(source) {
+        const document = { type: 'element', name: '#document', attributes: {}, children: [], parent: null, line: 1 };
+        const stack = [document];
+        this._source = source;
+        this._pos = 0;
+        this._line = 1;
+
+        const current = () => stack[stack.length - 1];
+
+        while (this._pos < source.length) {
+            const open = source.indexOf('<', this._pos);
+            if (open !== this._pos) {
+                const end = open === -1 ? source.length : open;
+                appendText(current(), decodeEntities(source.slice(this._pos, end)));
+                this._advance(end);
+                continue;
+            }
+
+            if (source.startsWith('<!--', open)) {
+                this._skipPast('-->');
+                continue;
+            }
+            if (source.startsWith('<!', open) || source.startsWith('<?', open)) {
+                this._skipPast('>');
+                continue;
+            }
+
+            const end = this._read(/<\/([a-zA-Z][\w:-]*)[^>]*>/y);
+            if (end) {
+                const name = end[1].toLowerCase();
+                const index = stack.map(element => element.name).lastIndexOf(name);
+                if (index > 0) stack.length = index;
+                continue;
+            }
+
+            const start = this._read(/<([a-zA-Z][\w:-]*)/y);
+            if (!start) {
+                appendText(current(), '<');
+                this._advance(this._pos + 1);
+                continue;
+            }
+
+            const name = start[1].toLowerCase();
+            const element = { type: 'element', name, attributes: {}, children: [], parent: null, line: this._line };
+            let attribute;
+            while ((attribute = this._read(/\s*([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/y))) {
+                const attributeName = attribute[1].toLowerCase();
+                if (!(attributeName in element.attributes)) {
+                    element.attributes[attributeName] = decodeEntities(attribute[2] ?? attribute[3] ?? attribute[4] ?? '');
+                }
+            }
+            const close = this._read(/\s*(\/?)>/y);
+            if (!close) this._skipPast('>');
+
+            const implied = IMPLIED_END_TAGS[name];
+            while (stack.length > 1 && implied?.includes(current().name)) stack.pop();
+            if (CLOSES_PARAGRAPH.has(name) && current().name === 'p') stack.pop();
+
+            element.parent = current();
+            current().children.push(element);
+
+            if (RAW_TEXT_ELEMENTS.has(name)) {
+                const pattern = new RegExp(`</${name}\\s*>`, 'ig');
+                pattern.lastIndex = this._pos;
+                const match = pattern.exec(source);
+                const stop = match ? match.index : source.length;
+                const text = source.slice(this._pos, stop);
+                appendText(element, name === 'script' || name === 'style' ? text : decodeEntities(text));
+                this._advance(match ? stop + match[0].length : stop);
+            } else if (!VOID_ELEMENTS.has(name) && !close?.[1]) {
+                stack.push(element);
+            }
+        }
+
+        return document;
+    }
+
+    /**
+     * Match a sticky pattern at the current position and move past it
+     * @private
+     */
+    _read(pattern) {
+        pattern.lastIndex = this._pos;
+        const match = pattern.exec(this._source);
+        if (match) this._advance(pattern.lastIndex);
+        return match;
+    }
+
+    /** @private */
+    _skipPast(terminator) {
+        const end = this._source.indexOf(terminator, this._pos);
+        this._advance(end === -1 ? this._source.length : end + terminator.length);
+    }
+
+    /**
+     * Move to a position, counting the lines passed
+     * @private
+     */
+    _advance(to) {
+        for (let i = this._pos; i < to; i++) {
+            if (this._source[i] === '\n') this._line++;
+        }
+        this._pos = to;
+    }
+}
+
+function appendText(element, text) {
+    const last = element.children[element.children.length - 1];
+    if (last?.type === 'text') last.text += text;
+    else if (text) element.children.push({ type: 'text', text, parent: element });
+}
+
+/**
+ * Replace character and entity references
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (reference, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' || entity[1] === 'X'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return ENTITIES[entity.toLowerCase()] ?? reference;
+    });
+}
+
+/**
+ * Text content of a node, whitespace collapsed
+ * @param {HtmlElement|HtmlText} node
+ * @param {Set} [exclude] - Elements left out
+ * @returns {string}
+ */
+function textContent(node, exclude) {
+    const collect = n => n.type === 'text'
+        ? n.text
+        : exclude?.has(n) || n.name === 'script' || n.name === 'style' ? ' ' : n.children.map(collect).join('');
+    return collect(node).replace(CSS_WHITESPACE, ' ').trim().replace(/ /g, ' ');
+}
+
+function elementChildren(element) {
+    return element.children.filter(child => child.type === 'element');
+}
+
+function descendants(element) {
+    return elementChildren(element).flatMap(child => [child, ...descendants(child)]);
+}
+
+// ==========================================
+// CSS
+// ==========================================
+
+/**
+ * @typedef {Object} CssRule
+ * @property {Array<Object>} selectors - Parsed selectors with their specificity
+ * @property {Array<{property: string, value: string, important: boolean}>} declarations
+ */
+
+/**
+ * Parse a style sheet into rules. At-rules and rules with selectors the
+ * importer cannot match are left out.
+ * @param {string} css
+ * @returns {Array<CssRule>}
+ */
+function parseStyleSheet(css) {
+    const text = css.replace(/\/\*[\s\S]*?\*\//g, '');
+    const rules = [];
+    let pos = 0;
+
+    while (pos < text.length) {
+        const open = text.indexOf('{', pos);
+        const semicolon = text.indexOf(';', pos);
+        const prelude = text.slice(pos, open === -1 ? text.length : open).trim();
+
+        if (prelude.startsWith('@') && semicolon !== -1 && (open === -1 || semicolon < open)) {
+            pos = semicolon + 1;
+            continue;
+        }
+        if (open === -1) break;
+
+        const close = matchingBrace(text, open);
+        if (!prelude.startsWith('@')) {
+            const selectors = splitTopLevel(prelude, ',').map(parseSelector).filter(Boolean);
+            if (selectors.length > 0) {
+                rules.push({ selectors, declarations: parseDeclarations(text.slice(open + 1, close)) });
+            }
+        }
+        pos = close + 1;
+    }
+
+    return rules;
+}
+
+function matchingBrace(text, open) {
+    let depth = 0;
+    for (let i = open; i < text.length; i++) {
+        if (text[i] === '{') depth++;
+        else if (text[i] === '}' && --depth === 0) return i;
+    }
+    return text.length;
+}
+
+/**
+ * Split on a separator outside parentheses, brackets and quotes
+ */
+function splitTopLevel(text, separator) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quote) {
+            if (c === quote) quote = null;
+        } else if (c === '"' || c === "'") {
+            quote = c;
+        } else if (c === '(' || c === '[') {
+            depth++;
+        } else if (c === ')' || c === ']') {
+            depth--;
+        } else if (depth === 0 && (separator === ' ' ? /\s/.test(c) : c === separator)) {
+            parts.push(text.slice(start, i));
+            start = i + 1;
+        }
+    }
+    parts.push(text.slice(start));
+    return parts.map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Parse declarations, expanding the shorthands the layout reads
+ * @param {string} text - Declaration block without braces
+ * @returns {Array<{property: string, value: string, important: boolean}>}
+ */
+function parseDeclarations(text) {
+    return splitTopLevel(text, ';').flatMap(declaration => {
+        const colon = declaration.indexOf(':');
+        if (colon === -1) return [];
+        const property = declaration.slice(0, colon).trim().toLowerCase();
+        let value = declaration.slice(colon + 1).trim();
+        const important = /!\s*important$/i.test(value);
+        if (important) value = value.replace(/!\s*important$/i, '').trim();
+        return expandShorthand(property, value).map(([name, v]) => ({ property: name, value: v, important }));
+    });
+}
+
+const SIDES = ['top', 'right', 'bottom', 'left'];
+const BORDER_STYLES = /^(none|hidden|solid|dashed|dotted|double|groove|ridge|inset|outset)$/;
+
+/**
+ * Expand a shorthand into its longhands
+ * @returns {Array<[string, string]>}
+ */
+function expandShorthand(property, value) {
+    const parts = splitTopLevel(value, ' ');
+    const boxSides = prefix => {
+        const [top, right = top, bottom = top, left = right] = parts;
+        return [[`${prefix}-top`, top], [`${prefix}-right`, right], [`${prefix}-bottom`, bottom], [`${prefix}-left`, left]];
+    };
+
+    switch (property) {
+        case 'margin':
+        case 'padding':
+            return boxSides(property);
+        case 'border-width':
+        case 'border-style':
+            return boxSides('border').map(([side, v]) => [`${side}-${property.slice(7)}`, v]);
+        case 'border':
+        case 'border-top':
+        case 'border-right':
+        case 'border-bottom':
+        case 'border-left': {
+            const style = parts.find(part => BORDER_STYLES.test(part)) || 'none';
+            const width = parts.find(part => /^(thin|medium|thick|[\d.]+[a-z%]*)$/.test(part)) || 'medium';
+            const sides = property === 'border' ? SIDES : [property.slice(7)];
+            return sides.flatMap(side => [[`border-${side}-style`, style], [`border-${side}-width`, width]]);
+        }
+        case 'flex': {
+            if (value === 'none') return [['flex-grow', '0']];
+            if (value === 'auto') return [['flex-grow', '1']];
+            const grow = parts.find(part => /^[\d.]+$/.test(part));
+            return [['flex-grow', grow ?? '1']];
+        }
+        case 'flex-flow':
+            return parts.map(part => [/wrap/.test(part) ? 'flex-wrap' : 'flex-direction', part]);
+        case 'gap':
+        case 'grid-gap':
+            return [['row-gap', parts[0]], ['column-gap', parts[1] ?? parts[0]]];
+        case 'grid-row-gap':
+            return [['row-gap', value]];
+        case 'grid-column-gap':
+            return [['column-gap', value]];
+        case 'grid-column':
+        case 'grid-row': {
+            const [start, end = 'auto'] = value.split('/').map(part => part.trim());
+            return [[`${property}-start`, start], [`${property}-end`, end]];
+        }
+        case 'place-items':
+            return [['align-items', parts[0]], ['justify-items', parts[1] ?? parts[0]]];
+        case 'place-content':
+            return [['align-content', parts[0]], ['justify-content', parts[1] ?? parts[0]]];
+        case 'list-style':
+            return [['list-style-type', parts.find(part => !/^(inside|outside|url\()/.test(part)) ?? 'disc']];
+        default:
+            return [[property, value]];
+    }
+}
+
+/**
+ * Parse a selector into compound selectors joined by combinators
+ * @param {string} text
+ * @returns {Object|null} Null for selectors with pseudo-elements or
+ *   pseudo-classes other than the structural ones
+ */
+function parseSelector(text) {
+    const compounds = [];
+    const combinators = [];
+    const specificity = [0, 0, 0];
+    let compound = null;
+    let combinator = null;
+    let pos = 0;
+    const pattern = /\s*([>+~])\s*|(\s+)|(\*|[a-zA-Z][\w-]*)|#([\w-]+)|\.([\w-]+)|\[\s*([\w-]+)\s*(?:([~^$*|]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\s\]]+))\s*(?:[is]\s*)?)?\]|:(first-child|last-child|only-child|root)\b/y;
+
+    while (pos < text.length) {
+        pattern.lastIndex = pos;
+        const match = pattern.exec(text);
+        if (!match) return null;
+        pos = pattern.lastIndex;
+
+        if (match[1] || match[2]) {
+            if (compound) combinator = match[1] || (combinator ?? ' ');
+            continue;
+        }
+        if (!compound || combinator) {
+            if (compound) combinators.push(combinator);
+            compound = { tag: '*', id: null, classes: [], attributes: [], pseudo: [] };
+            compounds.push(compound);
+            combinator = null;
+        }
+
+        if (match[3]) {
+            compound.tag = match[3].toLowerCase();
+            if (match[3] !== '*') specificity[2]++;
+        } else if (match[4]) {
+            compound.id = match[4];
+            specificity[0]++;
+        } else if (match[5]) {
+            compound.classes.push(match[5]);
+            specificity[1]++;
+        } else if (match[6]) {
+            compound.attributes.push({
+                name: match[6].toLowerCase(),
+                operator: match[7] || null,
+                value: match[8] ?? match[9] ?? match[10] ?? null
+            });
+            specificity[1]++;
+        } else {
+            compound.pseudo.push(match[11]);
+            specificity[1]++;
+        }
+    }
+
+    return compounds.length > 0 && !combinator ? { compounds, combinators, specificity } : null;
+}
+
+/**
+ * Check whether an element matches a parsed selector
+ */
+function matchesSelector(element, selector, index = selector.compounds.length - 1) {
+    if (!matchesCompound(element, selector.compounds[index])) return false;
+    if (index === 0) return true;
+
+    const combinator = selector.combinators[index - 1];
+    if (combinator === '>' || combinator === ' ') {
+        for (let parent = element.parent; parent && parent.name !== '#document'; parent = parent.parent) {
+            if (matchesSelector(parent, selector, index - 1)) return true;
+            if (combinator === '>') return false;
+        }
+        return false;
+    }
+
+    const siblings = elementChildren(element.parent);
+    const before = siblings.slice(0, siblings.indexOf(element));
+    return combinator === '+'
+        ? before.length > 0 && matchesSelector(before[before.length - 1], selector, index - 1)
+        : before.some(sibling => matchesSelector(sibling, selector, index - 1));
+}
+
+function matchesCompound(element, compound) {
+    const attributes = element.attributes;
+    if (compound.tag !== '*' && compound.tag !== element.name) return false;
+    if (compound.id !== null && attributes.id !== compound.id) return false;
+
+    const classes = (attributes.class || '').split(/\s+/);
+    if (!compound.classes.every(name => classes.includes(name))) return false;
+
+    for (const { name, operator, value } of compound.attributes) {
+        const actual = attributes[name];
+        if (actual === undefined) return false;
+        if (!operator) continue;
+        const matches = {
+            '=': () => actual === value,
+            '~=': () => actual.split(/\s+/).includes(value),
+            '^=': () => actual.startsWith(value),
+            '$=': () => actual.endsWith(value),
+            '*=': () => actual.includes(value),
+            '|=': () => actual === value || actual.startsWith(`${value}-`)
+        }[operator];
+        if (!matches()) return false;
+    }
+
+    const siblings = element.parent ? elementChildren(element.parent) : [element];
+    return compound.pseudo.every(pseudo => ({
+        'first-child': siblings[0] === element,
+        'last-child': siblings[siblings.length - 1] === element,
+        'only-child': siblings.length === 1,
+        root: element.parent?.name === '#document'
+    })[pseudo]);
+}
+
+/**
+ * Compute the style of every element from the user agent style sheet,
+ * the author style sheets and `style` attributes
+ * @param {HtmlElement} document
+ * @param {Array<CssRule>} userAgentRules
+ * @param {Array<CssRule>} authorRules
+ */
+function computeStyles(document, userAgentRules, authorRules) {
+    const sheets = [
+        { rules: userAgentRules, origin: 0 },
+        { rules: authorRules, origin: 1 }
+    ];
+
+    const visit = (element, inherited) => {
+        const matched = [];
+        let order = 0;
+        for (const { rules, origin } of sheets) {
+            for (const rule of rules) {
+                order++;
+                const specificity = rule.selectors
+                    .filter(selector => matchesSelector(element, selector))
+                    .map(selector => selector.specificity)
+                    .sort(compareSpecificity)
+                    .pop();
+                if (!specificity) continue;
+                for (const declaration of rule.declarations) {
+                    matched.push({ ...declaration, key: [declaration.important ? 1 : 0, origin, 0, ...specificity, order] });
+                }
+            }
+        }
+        for (const declaration of parseDeclarations(element.attributes.style || '')) {
+            matched.push({ ...declaration, key: [declaration.important ? 1 : 0, 1, 1, 0, 0, 0, 0] });
+        }
+
+        matched.sort((a, b) => compareSpecificity(a.key, b.key));
+        const style = {};
+        for (const property of INHERITED_PROPERTIES) {
+            if (inherited[property] !== undefined) style[property] = inherited[property];
+        }
+        for (const { property, value } of matched) {
+            style[property] = value === 'inherit' ? inherited[property] : value;
+        }
+        element.style = style;
+
+        for (const child of elementChildren(element)) visit(child, style);
+    };
+
+    document.style = { display: 'block' };
+    for (const child of elementChildren(document)) visit(child, document.style);
+}
+
+function compareSpecificity(a, b) {
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return 0;
+}
+
+// ==========================================
+// AUTO-LAYOUT
+// ==========================================
+
+/**
+ * Place items the way an auto-layout frame does, so frames built from
+ * flex and grid containers keep their items where the importer put them
+ * @param {Object} layout - Frame settings: `horizontal`, `primary`,
+ *   `counter`, `spacing`, `crossSpacing`, `wrap`
+ * @param {Array<{width: number, height: number, fill?: boolean}>} items
+ * @param {number} width - Content width
+ * @param {number} height - Content height
+ * @returns {Array<{x: number, y: number, width: number, height: number}>}
+ *   Bounds relative to the content area
+ */
+function arrangeAutoLayout(layout, items, width, height) {
+    const { horizontal, primary, counter, spacing, crossSpacing, wrap } = layout;
+    const main = item => horizontal ? item.width || 1 : item.height || 1;
+    const cross = item => horizontal ? item.height || 1 : item.width || 1;
+    const baseline = item => (item.height * 0.8) | 0;
+    const mainSize = horizontal ? width : height;
+    const crossSize = horizontal ? height : width;
+    const bounds = (mainPos, crossPos, itemMain, itemCross) => horizontal
+        ? { x: Math.floor(mainPos), y: Math.floor(crossPos), width: itemMain, height: itemCross }
+        : { x: Math.floor(crossPos), y: Math.floor(mainPos), width: itemCross, height: itemMain };
+
+    if (wrap) {
+        const lines = [];
+        let line = null;
+        let lineSize = 0;
+        for (const item of items) {
+            if (line && lineSize + main(item) + spacing > mainSize) line = null;
+            if (!line) {
+                line = [];
+                lines.push(line);
+                lineSize = -spacing;
+            }
+            line.push(item);
+            lineSize += main(item) + spacing;
+        }
+
+        const placed = new Map();
+        let crossPos = 0;
+        for (const line of lines) {
+            const lineCross = Math.max(...line.map(cross));
+            const lineMain = sum(line.map(main)) + spacing * (line.length - 1);
+            const lineBaseline = Math.max(...line.map(baseline));
+            let mainPos = primary === PrimaryAxisAlign.CENTER ? ((mainSize - lineMain) / 2) | 0
+                : primary === PrimaryAxisAlign.MAX ? mainSize - lineMain : 0;
+            for (const item of line) {
+                let itemCross = cross(item);
+                let position = crossPos;
+                if (counter === CounterAxisAlign.CENTER) position = (crossPos + (lineCross - itemCross) / 2) | 0;
+                else if (counter === CounterAxisAlign.MAX) position = crossPos + lineCross - itemCross;
+                else if (counter === CounterAxisAlign.STRETCH) itemCross = lineCross;
+                else if (counter === CounterAxisAlign.BASELINE && horizontal) position = crossPos + lineBaseline - baseline(item);
+                placed.set(item, bounds(mainPos, position, main(item), itemCross));
+                mainPos += main(item) + spacing;
+            }
+            crossPos += lineCross + crossSpacing;
+        }
+        return items.map(item => placed.get(item));
+    }
+
+    const fixed = sum(items.filter(item => !item.fill).map(main));
+    const fillCount = items.filter(item => item.fill).length;
+    const totalSpacing = spacing * (items.length - 1);
+    const fillSize = fillCount > 0 ? ((mainSize - fixed - totalSpacing) / fillCount) | 0 : 0;
+    const sizes = items.map(item => item.fill ? fillSize : main(item));
+    const maxBaseline = Math.max(0, ...items.map(baseline));
+
+    let position = 0;
+    let gap = spacing;
+    const remaining = mainSize - sum(sizes);
+    switch (primary) {
+        case PrimaryAxisAlign.CENTER:
+            position = ((remaining - totalSpacing) / 2) | 0;
+            break;
+        case PrimaryAxisAlign.MAX:
+            position = remaining - totalSpacing;
+            break;
+        case PrimaryAxisAlign.SPACE_BETWEEN:
+            gap = items.length > 1 ? remaining / (items.length - 1) : 0;
+            break;
+        case PrimaryAxisAlign.SPACE_AROUND:
+            gap = remaining / items.length;
+            position = gap / 2;
+            break;
+        case PrimaryAxisAlign.SPACE_EVENLY:
+            gap = remaining / (items.length + 1);
+            position = gap;
+            break;
+    }
+
+    return items.map((item, i) => {
+        let itemCross = cross(item);
+        let crossPos = 0;
+        if (counter === CounterAxisAlign.CENTER) crossPos = ((crossSize - itemCross) / 2) | 0;
+        else if (counter === CounterAxisAlign.MAX) crossPos = crossSize - itemCross;
+        else if (counter === CounterAxisAlign.STRETCH) itemCross = crossSize;
+        else if (counter === CounterAxisAlign.BASELINE && horizontal) crossPos = maxBaseline - baseline(item);
+        const placed = bounds(position, crossPos, sizes[i], itemCross);
+        position += sizes[i] + gap;
+        return placed;
+    });
+}
+
+/**
+ * Size of a scene object as auto-layout measures it
+ */
+function objectSize(object) {
+    if (object.type === 'frame') return { width: object.width, height: object.height };
+    const lines = object.text.split('\n');
+    return { width: Math.max(...lines.map(line => line.length)), height: lines.length };
+}
+
+/**
+ * Move objects and their children
+ */
+function translate(objects, dx, dy) {
+    for (const object of objects) {
+        object.x += dx;
+        object.y += dy;
+        if (object.children) translate(object.children, dx, dy);
+    }
+    return objects;
+}
+
+function sum(values) {
+    return values.reduce((total, value) => total + value, 0);
+}
+
+function clamp(value, min, max) {
+    return Math.min(max ?? Infinity, Math.max(min ?? 0, value));
+}
+
+/**
+ * Break text into lines no wider than the width, splitting long words
+ */
+function wrapText(text, width) {
+    if (!Number.isFinite(width) || text.length <= width) return [text];
+    const lines = [];
+    let line = '';
+    for (let word of text.split(' ')) {
+        while (word.length > width) {
+            if (line) lines.push(line);
+            lines.push(word.slice(0, width));
+            word = word.slice(width);
+            line = '';
+        }
+        if (!line) line = word;
+        else if (line.length + 1 + word.length <= width) line += ` ${word}`;
+        else {
+            lines.push(line);
+            line = word;
+        }
+    }
+    if (line) lines.push(line);
+    return lines;
+}
+
+// ==========================================
+// IMPORTER
+// ==========================================
+
+/**
+ * @typedef {Object} HtmlFragment
+ * @property {Array<Object>} objects - Scene object JSON, relative to the fragment
+ * @property {number} width
+ * @property {number} height
+ * @property {Object} [margin] - Margins in cells, with `autoLeft`/`autoRight` for `auto`
+ */
+
+/**
+ * @typedef {Object} HtmlPage
+ * @property {string} title - Page title or first heading
+ * @property {number} width - Width in cells
+ * @property {number} height - Height in cells
+ * @property {Array<Object>} objects - Scene object JSON without ids
+ * @property {Array<string>} warnings - Skipped elements and values
+ */
+
+/**
+ * Lays out HTML and CSS at character-cell scale
+ */
+export class HtmlImporter {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.cellWidth=10] - Pixels per column
+     * @param {number} [options.cellHeight=18] - Pixels per row
+     * @param {number} [options.fontSize=16] - Pixels per `em`
+     * @param {number} [options.width=100] - Page width in cells
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+    }
+
+    /**
+     * Parse and lay out an HTML page or fragment
+     * @param {string} source - HTML with inline or `<style>` CSS
+     * @returns {HtmlPage}
+     */
+    import(source) {
+        const document = new HtmlParser().parse(source);
+        const elements = descendants(document);
+        const css = elements.filter(element => element.name === 'style')
+            .map(element => element.children.map(child => child.text ?? '').join('')).join('\n');
+        computeStyles(document, parseStyleSheet(USER_AGENT_CSS), parseStyleSheet(css));
+
+        this._warnings = [];
+        this._labels = this._collectLabels(elements);
+
+        const body = elements.find(element => element.name === 'body') || document;
+        const page = this._layoutFlow(body, this._metrics(body, this.options.width), this.options.width, false);
+        const heading = elements.find(element => /^h[1-6]$/.test(element.name));
+
+        return {
+            title: textContent(elements.find(element => element.name === 'title') || heading || { type: 'text', text: '' }) || 'HTML Page',
+            width: this.options.width,
+            height: page.height,
+            objects: page.objects,
+            warnings: this._warnings
+        };
+    }
+
+    // ==========================================
+    // BOXES
+    // ==========================================
+
+    /**
+     * Lay out an element in the width available to its margin box
+     * @private
+     * @param {HtmlElement} element
+     * @param {number} available - Width of the containing block, Infinity when measuring
+     * @param {boolean} fit - Shrink to the content instead of filling the width
+     * @returns {HtmlFragment}
+     */
+    _layoutBox(element, available, fit) {
+        const m = this._metrics(element, available);
+        const style = element.style;
+
+        if (/^(absolute|fixed)$/.test(style.position) || (style.float && style.float !== 'none')) {
+            this._warn(element, `<${element.name}> is ${style.float ? 'floated' : 'positioned'}; laid out in flow`);
+        }
+
+        let fragment;
+        if (this._controlType(element) || MEDIA_ELEMENTS.has(element.name)) {
+            fragment = this._layoutControl(element, m, available, fit);
+        } else if (element.name === 'fieldset') {
+            fragment = this._layoutFieldset(element, m, available, fit);
+        } else if (element.name === 'table') {
+            fragment = this._layoutTable(element, m, available, fit);
+        } else if (/flex$/.test(style.display)) {
+            fragment = this._layoutFlex(element, m, available, fit);
+        } else if (/grid$/.test(style.display)) {
+            fragment = this._layoutGrid(element, m, available, fit);
+        } else {
+            fragment = this._layoutFlow(element, m, available, fit);
+        }
+
+        fragment.margin = m.margin;
+        return fragment;
+    }
+
+    /**
+     * Lay out block content: blocks stacked with collapsed margins and
+     * inline content in wrapped lines
+     * @private
+     */
+    _layoutFlow(element, m, available, fit) {
+        const marker = element.style.display === 'list-item' ? this._listMarker(element) : '';
+        const width = this._resolveWidth(m, available, fit, inner => this._flowContent(element, inner, true, marker).width);
+        const content = this._flowContent(element, width - m.insets.left - m.insets.right, false, marker);
+        const height = m.height ?? clamp(content.height + m.insets.top + m.insets.bottom, m.minHeight, m.maxHeight);
+
+        translate(content.objects, m.insets.left, m.insets.top);
+        if (!m.border) return { objects: content.objects, width, height };
+        return { objects: [this._frame(element, m, width, height, content.objects)], width, height };
+    }
+
+    /**
+     * @private
+     * @returns {HtmlFragment} Content at the origin of the content box
+     */
+    _flowContent(element, width, fit, marker = '') {
+        const objects = [];
+        let run = marker ? [{ type: 'text', text: marker }] : [];
+        let y = 0;
+        let right = 0;
+        let pendingMargin = 0;
+
+        const flush = () => {
+            const fragment = this._layoutInline(run, width, element.style, fit);
+            run = [];
+            if (fragment.height === 0) return;
+            y += pendingMargin;
+            objects.push(...translate(fragment.objects, 0, y));
+            y += fragment.height;
+            right = Math.max(right, fragment.width);
+            pendingMargin = 0;
+        };
+
+        for (const child of element.children) {
+            if (child.type === 'text' || !this._isBlockLevel(child)) {
+                run.push(child);
+                continue;
+            }
+            if (this._isHidden(child)) continue;
+
+            flush();
+            const fragment = this._layoutBox(child, width, fit);
+            const { margin } = fragment;
+            let x = margin.left;
+            if (Number.isFinite(width) && (margin.autoLeft || margin.autoRight)) {
+                const free = Math.max(0, width - fragment.width);
+                x = margin.autoLeft && margin.autoRight ? Math.floor(free / 2) : margin.autoLeft ? free : 0;
+            }
+            y += Math.max(pendingMargin, margin.top);
+            objects.push(...translate(fragment.objects, x, y));
+            y += fragment.height;
+            right = Math.max(right, x + fragment.width + margin.right);
+            pendingMargin = margin.bottom;
+        }
+        flush();
+
+        return { objects, width: right, height: y + pendingMargin };
+    }
+
+    /**
+     * Lay out inline content in lines: text becomes text objects and
+     * inline-block elements and controls are placed between the words
+     * @private
+     * @param {Array<HtmlElement|HtmlText>} nodes
+     * @param {number} width - Line width
+     * @param {Object} style - Style of the block
+     * @param {boolean} fit
+     * @returns {HtmlFragment}
+     */
+    _layoutInline(nodes, width, style, fit) {
+        const items = [];
+        for (const node of nodes) this._inlineItems(node, width, items);
+
+        const align = Number.isFinite(width) && !fit ? style['text-align'] : 'left';
+        if (/^pre/.test(style['white-space']) && items.every(item => item.type !== 'atom')) {
+            const text = items.map(item => item.type === 'break' ? '\n' : item.text).join('')
+                .replace(/^\r?\n/, '').replace(/\t/g, '    ').replace(/\s+$/, '');
+            if (!text) return { objects: [], width: 0, height: 0 };
+            const lines = text.split(/\r?\n/);
+            return {
+                objects: [{ type: 'text', x: 0, y: 0, text: text.replace(/ /g, ' ') }],
+                width: Math.max(...lines.map(line => line.length)),
+                height: lines.length
+            };
+        }
+
+        // Break the items into lines of text pieces and atoms
+        const lines = [];
+        let line = { pieces: [], width: 0 };
+        let space = false;
+        const newLine = () => {
+            lines.push(line);
+            line = { pieces: [], width: 0 };
+            space = false;
+        };
+
+        for (const item of items) {
+            if (item.type === 'break') {
+                newLine();
+            } else if (item.type === 'atom') {
+                const { fragment } = item;
+                const itemWidth = fragment.margin.left + fragment.width + fragment.margin.right;
+                const gap = space && line.width > 0 ? 1 : 0;
+                if (line.width > 0 && line.width + gap + itemWidth > width) newLine();
+                const x = line.width + (space && line.width > 0 ? 1 : 0);
+                line.pieces.push({ fragment, x: x + fragment.margin.left, width: itemWidth });
+                line.width = x + itemWidth;
+                space = false;
+            } else {
+                const text = item.text.replace(CSS_WHITESPACE, ' ');
+                if (text.startsWith(' ')) space = true;
+                for (const word of text.split(' ').filter(Boolean)) {
+                    const gap = space && line.width > 0 ? 1 : 0;
+                    if (line.width > 0 && line.width + gap + word.length > width) newLine();
+                    const last = line.pieces[line.pieces.length - 1];
+                    if (last?.text !== undefined && last.x + last.text.length === line.width) {
+                        last.text += (space ? ' ' : '') + word;
+                    } else {
+                        line.pieces.push({ text: word, x: line.width + (space && line.width > 0 ? 1 : 0) });
+                    }
+                    const piece = line.pieces[line.pieces.length - 1];
+                    line.width = piece.x + piece.text.length;
+                    space = true;
+                }
+                if (text.trim()) space = text.endsWith(' ');
+            }
+        }
+        lines.push(line);
+        while (lines.length > 0 && lines[lines.length - 1].pieces.length === 0) lines.pop();
+        while (lines.length > 0 && lines[0].pieces.length === 0) lines.shift();
+        if (lines.length === 0) return { objects: [], width: 0, height: 0 };
+
+        const offset = l => align === 'center' ? Math.floor((width - l.width) / 2)
+            : align === 'right' || align === 'end' ? width - l.width : 0;
+        const textOnly = lines.every(l => l.pieces.every(piece => piece.text !== undefined));
+
+        // Paragraphs stay one text object unless their lines are aligned separately
+        if (textOnly && (align === 'left' || align === 'start' || !align || lines.length === 1)) {
+            const text = lines.map(l => l.pieces.map(piece => piece.text).join(' ')).join('\n');
+            return {
+                objects: [{ type: 'text', x: lines.length === 1 ? offset(lines[0]) : 0, y: 0, text: text.replace(/ /g, ' ') }],
+                width: Math.max(...lines.map(l => l.width)),
+                height: lines.length
+            };
+        }
+
+        const objects = [];
+        let y = 0;
+        for (const l of lines) {
+            const height = Math.max(1, ...l.pieces.filter(piece => piece.fragment).map(piece => piece.fragment.height));
+            const dx = offset(l);
+            for (const piece of l.pieces) {
+                if (piece.fragment) {
+                    const dy = Math.floor((height - piece.fragment.height) / 2);
+                    objects.push(...translate(piece.fragment.objects, dx + piece.x, y + dy));
+                } else {
+                    objects.push({ type: 'text', x: dx + piece.x, y: y + Math.floor((height - 1) / 2), text: piece.text.replace(/ /g, ' ') });
+                }
+            }
+            y += height;
+        }
+        return { objects, width: Math.max(...lines.map(l => l.width)), height: y };
+    }
+
+    /**
+     * Flatten inline content into text, line breaks and atoms
+     * @private
+     */
+    _inlineItems(node, width, items) {
+        if (node.type === 'text') {
+            items.push({ type: 'text', text: node.text });
+        } else if (this._isHidden(node)) {
+            return;
+        } else if (node.name === 'br') {
+            items.push({ type: 'break' });
+        } else if (this._isControlLabel(node)) {
+            for (const child of descendants(node).filter(element => this._labels.has(element))) this._inlineItems(child, width, items);
+        } else if (this._isAtomic(node)) {
+            const fragment = this._layoutBox(node, width, true);
+            if (fragment.objects.length > 0 || fragment.width > 0) items.push({ type: 'atom', fragment });
+        } else {
+            for (const child of node.children) this._inlineItems(child, width, items);
+        }
+    }
+
+    /**
+     * Lay out a flex container as an auto-layout frame
+     * @private
+     */
+    _layoutFlex(element, m, available, fit) {
+        const style = element.style;
+        const direction = style['flex-direction'] || 'row';
+        const horizontal = direction.startsWith('row');
+        const reverse = direction.endsWith('-reverse');
+        let primary = JUSTIFY_CONTENT[style['justify-content']] ?? PrimaryAxisAlign.MIN;
+        if (reverse && (primary === PrimaryAxisAlign.MIN || primary === PrimaryAxisAlign.MAX)) {
+            primary = primary === PrimaryAxisAlign.MIN ? PrimaryAxisAlign.MAX : PrimaryAxisAlign.MIN;
+        }
+        const layout = {
+            horizontal,
+            primary,
+            counter: ALIGN_ITEMS[style['align-items']] ?? CounterAxisAlign.STRETCH,
+            spacing: this._length(style[horizontal ? 'column-gap' : 'row-gap'], horizontal ? 'x' : 'y') ?? 0,
+            crossSpacing: this._length(style[horizontal ? 'row-gap' : 'column-gap'], horizontal ? 'y' : 'x') ?? 0,
+            wrap: /^wrap/.test(style['flex-wrap'])
+        };
+
+        const width = this._resolveWidth(m, available, fit, inner => this._flexContent(element, layout, inner, null, true).width);
+        const innerHeight = m.height !== null ? Math.max(0, m.height - m.insets.top - m.insets.bottom) : null;
+        const content = this._flexContent(element, layout, width - m.insets.left - m.insets.right, innerHeight, false);
+        const height = m.height ?? clamp(content.height + m.insets.top + m.insets.bottom, m.minHeight, m.maxHeight);
+
+        const frame = this._frame(element, m, width, height, translate(content.objects, m.insets.left, m.insets.top));
+        Object.assign(frame, {
+            layoutMode: horizontal ? LayoutMode.HORIZONTAL : LayoutMode.VERTICAL,
+            primaryAxisAlignItems: layout.primary,
+            counterAxisAlignItems: layout.counter,
+            itemSpacing: layout.spacing,
+            counterAxisSpacing: layout.crossSpacing,
+            layoutWrap: layout.wrap ? LayoutWrap.WRAP : LayoutWrap.NO_WRAP,
+            itemReverseZIndex: reverse
+        });
+        return { objects: [frame], width, height };
+    }
+
+    /**
+     * Lay out flex items and place them with the auto-layout rules
+     * @private
+     * @returns {HtmlFragment} Items at the origin of the content box; only
+     *   the size when measuring
+     */
+    _flexContent(element, layout, width, height, fit) {
+        const { horizontal } = layout;
+        const children = this._flexItems(element);
+        const grows = children.map(child => child.type === 'element' && parseFloat(child.style['flex-grow']) > 0);
+        const canFill = !fit && !layout.wrap && (horizontal ? Number.isFinite(width) : height !== null);
+
+        const items = children.map((child, i) => {
+            if (horizontal) {
+                return grows[i] && canFill ? null : this._flexItem(child, width, true);
+            }
+            const stretch = layout.counter === CounterAxisAlign.STRETCH && child.style?.width === undefined;
+            return this._flexItem(child, width, fit || !stretch);
+        });
+
+        if (fit) {
+            const sizes = items.map(item => objectSize(item));
+            const along = sum(sizes.map(size => horizontal ? size.width : size.height)) + layout.spacing * Math.max(0, sizes.length - 1);
+            const across = Math.max(0, ...sizes.map(size => horizontal ? size.height : size.width));
+            return { objects: [], width: horizontal ? along : across, height: horizontal ? across : along };
+        }
+
+        // Growing items share the space the others leave
+        const fillCount = items.filter(item => item === null).length;
+        if (fillCount > 0) {
+            const fixed = sum(items.filter(Boolean).map(item => objectSize(item).width || 1));
+            const fillSize = Math.max(0, ((width - fixed - layout.spacing * (items.length - 1)) / fillCount) | 0);
+            items.forEach((item, i) => {
+                if (item === null) items[i] = this._flexItem(children[i], fillSize, false);
+            });
+        }
+        if (items.length === 0) return { objects: [], width: 0, height: 0 };
+
+        const fills = items.map((item, i) => grows[i] && canFill);
+        const sizes = items.map((item, i) => ({ ...objectSize(item), fill: fills[i] }));
+        const contentHeight = height ?? (horizontal
+            ? Math.max(...sizes.map(size => size.height))
+            : sum(sizes.map(size => size.height)) + layout.spacing * (sizes.length - 1));
+        const ordered = element.style['flex-direction']?.endsWith('-reverse') ? [...sizes].reverse() : sizes;
+        const placed = arrangeAutoLayout(layout, ordered, width, contentHeight);
+        const bounds = ordered === sizes ? placed : [...placed].reverse();
+
+        items.forEach((item, i) => {
+            translate([item], bounds[i].x, bounds[i].y);
+            if (item.type === 'frame') {
+                item.width = bounds[i].width;
+                item.height = bounds[i].height;
+            }
+            if (fills[i]) {
+                item._layoutSizing = {
+                    horizontal: horizontal ? SizingMode.FILL : SizingMode.FIXED,
+                    vertical: horizontal ? SizingMode.FIXED : SizingMode.FILL
+                };
+            }
+        });
+
+        const bottom = Math.max(...bounds.map(b => b.y + b.height));
+        return { objects: items, width, height: height ?? Math.max(contentHeight, bottom) };
+    }
+
+    /**
+     * Children of a flex or grid container that are laid out as items:
+     * elements and runs of text
+     * @private
+     */
+    _flexItems(element) {
+        const items = [];
+        for (const child of element.children) {
+            if (child.type === 'text') {
+                if (child.text.replace(CSS_WHITESPACE, '').length > 0) items.push(child);
+            } else if (!this._isHidden(child)) {
+                items.push(child);
+            }
+        }
+        return items;
+    }
+
+    /**
+     * Lay out a flex or grid item as a single object, wrapping its objects
+     * in a frame when it draws more than one
+     * @private
+     * @returns {Object|null} Scene object at the origin
+     */
+    _flexItem(child, available, fit) {
+        const fragment = child.type === 'text'
+            ? this._layoutInline([child], available, child.parent.style, fit)
+            : this._layoutBox(child, available, fit);
+
+        const [only] = fragment.objects;
+        if (fragment.objects.length === 1 && only.x === 0 && only.y === 0) {
+            const size = objectSize(only);
+            if (size.width === fragment.width && size.height === fragment.height) return only;
+        }
+
+        return {
+            type: 'frame',
+            name: child.type === 'text' ? 'text' : elementName(child),
+            x: 0,
+            y: 0,
+            width: fragment.width,
+            height: fragment.height,
+            showBorder: false,
+            borderStyle: 'single',
+            title: '',
+            padding: { top: 0, right: 0, bottom: 0, left: 0 },
+            layoutMode: LayoutMode.NONE,
+            children: fragment.objects
+        };
+    }
+
+    /**
+     * Lay out a grid container: items are placed on the tracks, and the
+     * frame uses wrapping auto-layout when that puts them back in place
+     * @private
+     */
+    _layoutGrid(element, m, available, fit) {
+        const width = this._resolveWidth(m, available, fit, inner => this._gridContent(element, inner, true).width);
+        const innerWidth = width - m.insets.left - m.insets.right;
+        const content = this._gridContent(element, innerWidth, false);
+        const height = m.height ?? clamp(content.height + m.insets.top + m.insets.bottom, m.minHeight, m.maxHeight);
+
+        const frame = this._frame(element, m, width, height, translate(content.objects, m.insets.left, m.insets.top));
+        const candidates = [
+            { horizontal: false, wrap: false, spacing: content.rowGap, crossSpacing: content.columnGap },
+            { horizontal: true, wrap: true, spacing: content.columnGap, crossSpacing: content.rowGap }
+        ];
+        const sizes = content.objects.map(objectSize);
+        const counter = ALIGN_ITEMS[element.style['align-items']] ?? CounterAxisAlign.STRETCH;
+        const layout = candidates.find(candidate => {
+            if (!candidate.wrap && content.columns > 1) return false;
+            const placed = arrangeAutoLayout({ ...candidate, primary: PrimaryAxisAlign.MIN, counter: candidate.wrap ? counter : CounterAxisAlign.MIN },
+                sizes, innerWidth, content.height);
+            return placed.every((b, i) => b.x === content.objects[i].x - m.insets.left && b.y === content.objects[i].y - m.insets.top);
+        });
+
+        if (layout && content.objects.length > 0) {
+            Object.assign(frame, {
+                layoutMode: layout.horizontal ? LayoutMode.HORIZONTAL : LayoutMode.VERTICAL,
+                primaryAxisAlignItems: PrimaryAxisAlign.MIN,
+                counterAxisAlignItems: layout.wrap ? counter : CounterAxisAlign.MIN,
+                itemSpacing: layout.spacing,
+                counterAxisSpacing: layout.crossSpacing,
+                layoutWrap: layout.wrap ? LayoutWrap.WRAP : LayoutWrap.NO_WRAP
+            });
+        }
+        return { objects: [frame], width, height };
+    }
+
+    /**
+     * Size the grid tracks, place the items and lay them out in their cells
+     * @private
+     */
+    _gridContent(element, width, fit) {
+        const style = element.style;
+        const columnGap = this._length(style['column-gap'], 'x', width) ?? 0;
+        const rowGap = this._length(style['row-gap'], 'y') ?? 0;
+        const columns = this._gridTracks(style['grid-template-columns'], width, columnGap, 'x');
+        const rowTemplate = this._gridTracks(style['grid-template-rows'], Infinity, rowGap, 'y');
+        const children = this._flexItems(element);
+        const cells = placeGridItems(children, columns.length);
+
+        // Column widths: fixed tracks keep their size, auto tracks fit their
+        // items and fractions share the rest
+        const measured = columns.map(() => 0);
+        cells.forEach(cell => {
+            if (cell.columnSpan === 1 && columns[cell.column].unit !== 'fixed') {
+                measured[cell.column] = Math.max(measured[cell.column], objectSize(this._flexItem(cell.child, width, true)).width);
+            }
+        });
+        const widths = columns.map((track, i) => track.unit === 'fixed' ? track.value : measured[i]);
+        const fractions = columns.map((track, i) => i).filter(i => columns[i].unit === 'fr');
+        if (!fit && Number.isFinite(width) && fractions.length > 0) {
+            const fixed = sum(columns.map((track, i) => track.unit === 'fr' ? 0 : widths[i]));
+            const free = Math.max(0, width - fixed - columnGap * (columns.length - 1));
+            const weight = sum(fractions.map(i => columns[i].value));
+            let used = 0;
+            fractions.forEach((i, n) => {
+                const share = n === fractions.length - 1 ? free - used : Math.floor(free * columns[i].value / weight);
+                widths[i] = Math.max(share, columns[i].min ?? 0);
+                used += share;
+            });
+        }
+        const columnStarts = trackStarts(widths, columnGap);
+        const spanWidth = (start, span) => sum(widths.slice(start, start + span)) + columnGap * (span - 1);
+
+        const stretch = !/^(start|center|end|left|right|flex-start|flex-end)$/.test(style['justify-items'] || '');
+        const items = cells.map(cell => this._flexItem(cell.child, spanWidth(cell.column, cell.columnSpan), fit || !stretch));
+
+        // Row heights: template rows keep their size, the others fit their items
+        const rowCount = Math.max(rowTemplate.length, ...cells.map(cell => cell.row + cell.rowSpan));
+        const heights = Array.from({ length: rowCount }, (_, i) => rowTemplate[i]?.unit === 'fixed' ? rowTemplate[i].value : 0);
+        cells.forEach((cell, i) => {
+            if (cell.rowSpan === 1 && rowTemplate[cell.row]?.unit !== 'fixed') {
+                heights[cell.row] = Math.max(heights[cell.row], objectSize(items[i]).height);
+            }
+        });
+        cells.forEach((cell, i) => {
+            const missing = objectSize(items[i]).height - sum(heights.slice(cell.row, cell.row + cell.rowSpan)) - rowGap * (cell.rowSpan - 1);
+            if (cell.rowSpan > 1 && missing > 0) heights[cell.row + cell.rowSpan - 1] += missing;
+        });
+        const rowStarts = trackStarts(heights, rowGap);
+
+        const align = ALIGN_ITEMS[style['align-items']] ?? CounterAxisAlign.STRETCH;
+        items.forEach((item, i) => {
+            const cell = cells[i];
+            const cellHeight = sum(heights.slice(cell.row, cell.row + cell.rowSpan)) + rowGap * (cell.rowSpan - 1);
+            const free = cellHeight - objectSize(item).height;
+            const dy = align === CounterAxisAlign.CENTER ? Math.floor(free / 2) : align === CounterAxisAlign.MAX ? free : 0;
+            translate([item], columnStarts[cell.column], rowStarts[cell.row] + dy);
+            if (align === CounterAxisAlign.STRETCH && item.type === 'frame') item.height = cellHeight;
+        });
+
+        return {
+            objects: items,
+            width: sum(widths) + columnGap * Math.max(0, widths.length - 1),
+            height: sum(heights) + rowGap * Math.max(0, heights.length - 1),
+            columns: columns.length,
+            columnGap,
+            rowGap
+        };
+    }
+
+    /**
+     * Parse a grid template into tracks
+     * @private
+     * @returns {Array<{unit: string, value: number, min?: number}>} `fixed`
+     *   tracks in cells, `fr` weights and `auto`
+     */
+    _gridTracks(template, width, gap, axis) {
+        if (!template || template === 'none') return [{ unit: axis === 'x' ? 'fr' : 'auto', value: 1 }];
+
+        const track = spec => {
+            const minmax = spec.match(/^minmax\(\s*([^,]+),\s*([^)]+)\)$/);
+            if (minmax) {
+                const max = track(minmax[2].trim());
+                return { ...max, min: this._length(minmax[1].trim(), axis, width) ?? 0 };
+            }
+            const fraction = spec.match(/^([\d.]+)fr$/);
+            if (fraction) return { unit: 'fr', value: parseFloat(fraction[1]) };
+            const length = this._length(spec, axis, width);
+            return length === null ? { unit: 'auto', value: 0 } : { unit: 'fixed', value: length };
+        };
+
+        return splitTopLevel(template, ' ').filter(token => !token.startsWith('[')).flatMap(token => {
+            const repeat = token.match(/^repeat\(\s*([^,]+),\s*(.+)\)$/);
+            if (!repeat) return [track(token)];
+
+            const tracks = splitTopLevel(repeat[2], ' ').map(track);
+            let count = parseInt(repeat[1], 10);
+            if (/^auto-(fill|fit)$/.test(repeat[1].trim())) {
+                const size = sum(tracks.map(t => t.unit === 'fixed' ? t.value : t.min ?? 1)) + gap * (tracks.length - 1);
+                count = Number.isFinite(width) ? Math.max(1, Math.floor((width + gap) / (size + gap))) : 1;
+            }
+            return Array.from({ length: count || 1 }, () => tracks).flat();
+        });
+    }
+
+    // ==========================================
+    // CONTROLS
+    // ==========================================
+
+    /**
+     * Lay out a form element or media element as a UI component
+     * @private
+     */
+    _layoutControl(element, m, available, fit) {
+        const type = this._controlType(element) || 'Image';
+        const props = this._controlProperties(element, type);
+        const ControlClass = getControlByType(type);
+        const intrinsic = this._intrinsicSize(element, type, props, ControlClass);
+
+        const room = Math.max(1, available - m.margin.left - m.margin.right);
+        const width = m.width ?? clamp(fit ? Math.min(intrinsic.width, room) : room, m.minWidth, m.maxWidth);
+        const height = m.height ?? clamp(intrinsic.height, m.minHeight, m.maxHeight);
+
+        return {
+            objects: [{
+                type: 'text',
+                name: element.attributes.id || element.attributes.name || type,
+                x: 0,
+                y: 0,
+                text: renderMockup(type, props, width, height).join('\n'),
+                uiComponentType: type,
+                uiProperties: props,
+                uiRenderWidth: width,
+                uiRenderHeight: height
+            }],
+            width,
+            height
+        };
+    }
+
+    /**
+     * Component drawn for a form element
+     * @private
+     * @returns {string|null}
+     */
+    _controlType(element) {
+        const attributes = element.attributes;
+        switch (element.name) {
+            case 'input':
+                return INPUT_TYPES[(attributes.type || 'text').toLowerCase()] ?? (attributes.type === 'hidden' ? null : 'TextBox');
+            case 'button':
+                return 'Button';
+            case 'textarea':
+                return 'TextArea';
+            case 'select':
+                return 'multiple' in attributes || parseInt(attributes.size, 10) > 1 ? 'ListBox' : 'ComboBox';
+            case 'progress':
+            case 'meter':
+                return 'ProgressBar';
+            case 'hr':
+                return 'Separator';
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Component properties from the element's attributes and content,
+     * checked against the component's property schema
+     * @private
+     */
+    _controlProperties(element, type) {
+        const attributes = element.attributes;
+        const number = name => attributes[name] === undefined ? undefined
+            : attributes[name].trim() !== '' && !isNaN(Number(attributes[name])) ? Number(attributes[name]) : attributes[name];
+        const props = {};
+
+        switch (type) {
+            case 'TextBox':
+            case 'PasswordBox':
+                props[type === 'TextBox' ? 'text' : 'password'] = attributes.value;
+                props.watermark = attributes.placeholder;
+                props.maxLength = number('maxlength');
+                if (type === 'TextBox' && 'readonly' in attributes) props.isReadOnly = true;
+                break;
+            case 'TextArea':
+                props.text = element.children.map(child => child.text ?? '').join('').replace(/^\r?\n/, '') || undefined;
+                props.watermark = attributes.placeholder;
+                if ('readonly' in attributes) props.isReadOnly = true;
+                break;
+            case 'CheckBox':
+            case 'RadioButton':
+                props.content = this._labels.get(element)?.text ?? '';
+                if ('checked' in attributes) props.isChecked = true;
+                if (type === 'RadioButton') props.groupName = attributes.name;
+                break;
+            case 'Slider': {
+                props.minimum = number('min') ?? 0;
+                props.maximum = number('max') ?? 100;
+                props.value = number('value') ?? (typeof props.minimum === 'number' && typeof props.maximum === 'number'
+                    ? (props.minimum + props.maximum) / 2 : undefined);
+                props.smallChange = number('step');
+                break;
+            }
+            case 'NumericUpDown':
+                props.minimum = number('min');
+                props.maximum = number('max');
+                props.value = number('value');
+                props.increment = number('step');
+                props.watermark = attributes.placeholder;
+                break;
+            case 'DatePicker':
+                props.selectedDate = attributes.value;
+                break;
+            case 'TimePicker':
+                props.selectedTime = attributes.value;
+                break;
+            case 'ColorPicker':
+                props.color = attributes.value || '#000000';
+                break;
+            case 'Button': {
+                const inputType = (attributes.type || '').toLowerCase();
+                props.content = element.name === 'button' ? textContent(element)
+                    : attributes.value ?? { submit: 'Submit', reset: 'Reset', file: 'Choose File' }[inputType] ?? '';
+                break;
+            }
+            case 'ComboBox':
+            case 'ListBox': {
+                const options = descendants(element).filter(child => child.name === 'option');
+                props.items = options.map(option => option.attributes.label ?? textContent(option));
+                const selected = options.findIndex(option => 'selected' in option.attributes);
+                if (selected >= 0 || type === 'ComboBox') props.selectedIndex = Math.max(0, selected);
+                if (options.length === 0) props.items = [];
+                break;
+            }
+            case 'ProgressBar':
+                props.maximum = number('max') ?? 1;
+                props.minimum = element.name === 'meter' ? number('min') ?? 0 : undefined;
+                props.value = number('value');
+                if (element.name === 'progress' && attributes.value === undefined) props.isIndeterminate = true;
+                break;
+            case 'Image':
+                props.source = attributes.src;
+                break;
+        }
+
+        if ('disabled' in attributes) props.isEnabled = false;
+        return this._validated(element, type, props);
+    }
+
+    /**
+     * Keep the properties the component's schema accepts, warning about the rest
+     * @private
+     */
+    _validated(element, type, props) {
+        const definitions = new Map(getControlByType(type).propertyDefinitions.map(definition => [definition.name, definition]));
+        const valid = {};
+        for (const [name, value] of Object.entries(props)) {
+            if (value === undefined) continue;
+            const definition = definitions.get(name);
+            if (definition?.validate(value).valid) {
+                valid[name] = value;
+            } else {
+                this._warn(element, `invalid ${name} "${value}" on <${element.name}>`);
+            }
+        }
+        return valid;
+    }
+
+    /**
+     * Size a control takes without CSS sizes
+     * @private
+     */
+    _intrinsicSize(element, type, props, ControlClass) {
+        const attributes = element.attributes;
+        const cells = (name, axis) => this._length(attributes[name] ? `${attributes[name]}px` : undefined, axis);
+
+        switch (type) {
+            case 'Button':
+            case 'CheckBox':
+            case 'RadioButton':
+                return { width: String(props.content ?? '').length + TEXT_CHROME[type], height: ControlClass.defaultHeight };
+            case 'TextBox':
+            case 'PasswordBox':
+                return { width: parseInt(attributes.size, 10) + 2 || ControlClass.defaultWidth, height: ControlClass.defaultHeight };
+            case 'TextArea':
+                return {
+                    width: (parseInt(attributes.cols, 10) || ControlClass.defaultWidth - 2) + 2,
+                    height: (parseInt(attributes.rows, 10) || 2) + 2
+                };
+            case 'ComboBox':
+            case 'ListBox': {
+                const longest = Math.max(0, ...(props.items || []).map(item => String(item).length));
+                return {
+                    width: longest > 0 ? longest + TEXT_CHROME[type] : ControlClass.defaultWidth,
+                    height: type === 'ListBox' ? (parseInt(attributes.size, 10) || 4) + 2 : ControlClass.defaultHeight
+                };
+            }
+            case 'Image':
+                return {
+                    width: cells('width', 'x') ?? ControlClass.defaultWidth,
+                    height: cells('height', 'y') ?? ControlClass.defaultHeight
+                };
+            default:
+                return { width: ControlClass.defaultWidth, height: ControlClass.defaultHeight };
+        }
+    }
+
+    /**
+     * Lay out a fieldset as a group box with its content inside
+     * @private
+     */
+    _layoutFieldset(element, m, available, fit) {
+        const legend = elementChildren(element).find(child => child.name === 'legend');
+        const insets = {
+            top: m.padding.top + 1,
+            right: m.padding.right + 1,
+            bottom: m.padding.bottom + 1,
+            left: m.padding.left + 1
+        };
+        const inner = { ...m, insets };
+        const content = node => ({ ...node, children: node.children.filter(child => child !== legend) });
+
+        const width = this._resolveWidth(inner, available, fit, w => this._flowContent(content(element), w, true).width);
+        const body = this._flowContent(content(element), width - insets.left - insets.right, false);
+        const height = m.height ?? clamp(body.height + insets.top + insets.bottom, m.minHeight, m.maxHeight);
+        const props = this._validated(element, 'GroupBox', { header: legend ? textContent(legend) : '' });
+
+        return {
+            objects: [{
+                type: 'text',
+                name: element.attributes.id || 'GroupBox',
+                x: 0,
+                y: 0,
+                text: renderMockup('GroupBox', props, width, height).join('\n'),
+                uiComponentType: 'GroupBox',
+                uiProperties: props,
+                uiRenderWidth: width,
+                uiRenderHeight: height
+            }, ...translate(body.objects, insets.left, insets.top)],
+            width,
+            height
+        };
+    }
+
+    /**
+     * Lay out a table as a data grid: header cells become columns and the
+     * other rows items
+     * @private
+     */
+    _layoutTable(element, m, available, fit) {
+        const rows = descendants(element).filter(child => child.name === 'tr');
+        const cellsOf = row => elementChildren(row).filter(cell => cell.name === 'td' || cell.name === 'th');
+        const headerRow = rows.find(row => row.parent.name === 'thead') ||
+            rows.find(row => cellsOf(row).length > 0 && cellsOf(row).every(cell => cell.name === 'th'));
+        const bodyRows = rows.filter(row => row !== headerRow && cellsOf(row).length > 0);
+        const count = Math.max(0, ...rows.map(row => cellsOf(row).length));
+
+        const headers = headerRow ? cellsOf(headerRow).map(cell => textContent(cell)) : [];
+        const columns = Array.from({ length: count }, (_, i) => ({ header: headers[i] ?? '', binding: `col${i + 1}`, width: '*' }));
+        const items = bodyRows.map(row => Object.fromEntries(cellsOf(row).map((cell, i) => [`col${i + 1}`, textContent(cell)])));
+        const props = this._validated(element, 'DataGrid', { columns, items });
+
+        const widest = columns.map((column, i) => Math.max(column.header.length, ...items.map(item => (item[column.binding] ?? '').length)));
+        const intrinsic = sum(widest.map(w => w + 3)) + 1;
+        const width = m.width ?? clamp(Math.min(intrinsic, available - m.margin.left - m.margin.right), m.minWidth, m.maxWidth);
+        // Borders, header, separator and rows, plus the spare line the grid keeps below its rows
+        const height = m.height ?? clamp(items.length + 5, m.minHeight, m.maxHeight);
+
+        return {
+            objects: [{
+                type: 'text',
+                name: element.attributes.id || 'DataGrid',
+                x: 0,
+                y: 0,
+                text: renderMockup('DataGrid', props, width, height).join('\n'),
+                uiComponentType: 'DataGrid',
+                uiProperties: props,
+                uiRenderWidth: width,
+                uiRenderHeight: height
+            }],
+            width,
+            height
+        };
+    }
+
+    // ==========================================
+    // HELPERS
+    // ==========================================
+
+    /**
+     * Text of the labels of check boxes and radio buttons, which becomes
+     * their content instead of separate text
+     * @private
+     * @returns {Map<HtmlElement, {label: HtmlElement, text: string}>}
+     */
+    _collectLabels(elements) {
+        const labels = new Map();
+        const byId = new Map(elements.filter(element => element.attributes.id).map(element => [element.attributes.id, element]));
+        for (const label of elements.filter(element => element.name === 'label')) {
+            const target = label.attributes.for !== undefined
+                ? byId.get(label.attributes.for)
+                : descendants(label).find(child => child.name === 'input');
+            if (target?.name === 'input' && /^(checkbox|radio)$/i.test(target.attributes.type || '') && !labels.has(target)) {
+                labels.set(target, { label, text: textContent(label, new Set([target])) });
+            }
+        }
+        return labels;
+    }
+
+    /**
+     * Box metrics of an element in cells
+     * @private
+     */
+    _metrics(element, available) {
+        const style = element.style;
+        const side = (prefix, name, axis) => this._length(style[`${prefix}-${name}`], axis, available) ?? 0;
+        const margin = {
+            top: side('margin', 'top', 'y'),
+            right: side('margin', 'right', 'x'),
+            bottom: side('margin', 'bottom', 'y'),
+            left: side('margin', 'left', 'x'),
+            autoLeft: style['margin-left'] === 'auto',
+            autoRight: style['margin-right'] === 'auto'
+        };
+        const padding = {
+            top: side('padding', 'top', 'y'),
+            right: side('padding', 'right', 'x'),
+            bottom: side('padding', 'bottom', 'y'),
+            left: side('padding', 'left', 'x')
+        };
+        const border = SIDES.some(s => {
+            const borderStyle = style[`border-${s}-style`];
+            return borderStyle && !/^(none|hidden)$/.test(borderStyle) && parseFloat(style[`border-${s}-width`]) !== 0;
+        }) ? 1 : 0;
+
+        return {
+            margin,
+            padding,
+            border,
+            insets: {
+                top: padding.top + border,
+                right: padding.right + border,
+                bottom: padding.bottom + border,
+                left: padding.left + border
+            },
+            width: this._length(style.width, 'x', available),
+            height: this._length(style.height, 'y'),
+            minWidth: this._length(style['min-width'], 'x', available),
+            maxWidth: this._length(style['max-width'], 'x', available),
+            minHeight: this._length(style['min-height'], 'y'),
+            maxHeight: this._length(style['max-height'], 'y')
+        };
+    }
+
+    /**
+     * Border-box width of a block: its CSS width, the available width, or
+     * its content's width when shrinking to fit
+     * @private
+     * @param {Function} measure - Content width for an inner width
+     */
+    _resolveWidth(m, available, fit, measure) {
+        const room = available - m.margin.left - m.margin.right;
+        const insets = m.insets.left + m.insets.right;
+        if (m.width !== null) return clamp(m.width, m.minWidth, m.maxWidth);
+        if (!fit) return clamp(Math.max(0, room), m.minWidth, m.maxWidth);
+        const limit = m.maxWidth !== null ? Math.min(room, m.maxWidth) : room;
+        return clamp(Math.min(measure(Math.max(0, limit - insets)) + insets, limit), m.minWidth, m.maxWidth);
+    }
+
+    /**
+     * Frame JSON for a container element
+     * @private
+     */
+    _frame(element, m, width, height, children) {
+        const style = element.style;
+        const borderStyle = SIDES.map(s => style[`border-${s}-style`]).find(s => s && !/^(none|hidden)$/.test(s));
+        return {
+            type: 'frame',
+            name: elementName(element),
+            x: 0,
+            y: 0,
+            width,
+            height,
+            showBorder: m.border > 0,
+            borderStyle: parseFloat(style['border-radius']) > 0 ? 'rounded'
+                : borderStyle === 'double' ? 'double'
+                    : /^(dashed|dotted)$/.test(borderStyle) ? 'dashed' : 'single',
+            title: '',
+            padding: { ...m.insets },
+            layoutMode: LayoutMode.NONE,
+            children
+        };
+    }
+
+    /**
+     * Marker text of a list item
+     * @private
+     */
+    _listMarker(element) {
+        const type = element.style['list-style-type'] || 'disc';
+        if (type === 'none') return '';
+        if (LIST_MARKERS[type]) return `${LIST_MARKERS[type]} `;
+
+        const items = elementChildren(element.parent).filter(child => child.style.display === 'list-item');
+        const number = items.indexOf(element) + (parseInt(element.parent.attributes.start, 10) || 1);
+        if (/alpha|latin/.test(type)) {
+            const letter = String.fromCharCode(96 + ((number - 1) % 26) + 1);
+            return `${type.startsWith('upper') ? letter.toUpperCase() : letter}. `;
+        }
+        return `${number}. `;
+    }
+
+    /** @private */
+    _isHidden(element) {
+        return element.style.display === 'none' || element.style.visibility === 'hidden' ||
+            this._isControlLabel(element) && element.attributes.for !== undefined;
+    }
+
+    /**
+     * Check whether a label's text went into a check box or radio button
+     * @private
+     */
+    _isControlLabel(element) {
+        return element.name === 'label' && [...this._labels.values()].some(entry => entry.label === element);
+    }
+
+    /** @private */
+    _isBlockLevel(element) {
+        return /^(block|flex|grid|list-item|table|flow-root)$/.test(element.style.display);
+    }
+
+    /**
+     * Inline-level elements laid out as one box
+     * @private
+     */
+    _isAtomic(element) {
+        return this._isBlockLevel(element) || /^inline-(block|flex|grid|table)$/.test(element.style.display) ||
+            this._controlType(element) !== null || MEDIA_ELEMENTS.has(element.name) ||
+            element.name === 'fieldset' || element.name === 'table';
+    }
+
+    /**
+     * Convert a CSS length to cells
+     * @private
+     * @param {string|undefined} value
+     * @param {string} axis - `x` or `y`
+     * @param {number} [base] - Cells that 100% stands for
+     * @returns {number|null} Null for `auto` and lengths the importer cannot resolve
+     */
+    _length(value, axis, base) {
+        const match = String(value ?? '').trim().match(/^(-?[\d.]+)(px|em|rem|ch|%|vw|pt)?$/);
+        if (!match) return null;
+
+        const amount = parseFloat(match[1]);
+        const { cellWidth, cellHeight, fontSize } = this.options;
+        const pixels = axis === 'x' ? cellWidth : cellHeight;
+        let cells;
+        switch (match[2]) {
+            case '%':
+                if (!Number.isFinite(base)) return null;
+                return Math.floor(base * amount / 100);
+            case 'vw':
+                return Math.floor(this.options.width * amount / 100);
+            case 'em':
+            case 'rem':
+                cells = amount * fontSize / pixels;
+                break;
+            case 'ch':
+                cells = axis === 'x' ? amount : amount * fontSize / 2 / pixels;
+                break;
+            case 'pt':
+                cells = amount * 4 / 3 / pixels;
+                break;
+            default:
+                cells = amount / pixels;
+        }
+        return amount > 0 ? Math.max(1, Math.round(cells)) : Math.max(0, Math.round(cells));
+    }
+
+    /** @private */
+    _warn(element, message) {
+        this._warnings.push(`Line ${element.line}: ${message}`);
+    }
+}
+
+/**
+ * Layer panel name of an element: its id, or its tag and first class
+ */
+function elementName(element) {
+    const className = (element.attributes.class || '').trim().split(/\s+/)[0];
+    return element.attributes.id || (className ? `${element.name}.${className}` : element.name);
+}
+
+/**
+ * Place grid items on rows and columns, explicitly or in row-major order
+ * @returns {Array<{child, row: number, column: number, rowSpan: number, columnSpan: number}>}
+ */
+function placeGridItems(children, columnCount) {
+    const occupied = new Set();
+    const free = (row, column, rowSpan, columnSpan) => {
+        if (column + columnSpan > columnCount) return false;
+        for (let r = row; r < row + rowSpan; r++) {
+            for (let c = column; c < column + columnSpan; c++) {
+                if (occupied.has(`${r},${c}`)) return false;
+            }
+        }
+        return true;
+    };
+    const line = (start, end, count) => {
+        const span = `${start} ${end}`.match(/span\s+(\d+)/);
+        const first = parseInt(start, 10);
+        const last = parseInt(end, 10);
+        const index = first > 0 ? first - 1 : null;
+        let length = span ? parseInt(span[1], 10) : 1;
+        if (index !== null && last !== 0 && !isNaN(last)) length = (last < 0 ? count + 2 + last : last) - first;
+        return { index, span: Math.max(1, length) };
+    };
+
+    let cursorRow = 0;
+    let cursorColumn = 0;
+    return children.map(child => {
+        const style = child.style || {};
+        const column = line(style['grid-column-start'] || 'auto', style['grid-column-end'] || 'auto', columnCount);
+        const row = line(style['grid-row-start'] || 'auto', style['grid-row-end'] || 'auto', Infinity);
+        const columnSpan = Math.min(column.span, columnCount);
+        const rowSpan = row.span;
+        const columnIndex = column.index !== null ? Math.min(column.index, columnCount - columnSpan) : null;
+
+        // Items with only a column move the cursor to that column, on the
+        // next row when it is behind the cursor
+        if (row.index === null && columnIndex !== null && columnIndex < cursorColumn) cursorRow++;
+        let r = row.index ?? cursorRow;
+        let c = columnIndex ?? (row.index !== null ? 0 : cursorColumn);
+        while (!free(r, c, rowSpan, columnSpan)) {
+            if (columnIndex === null && c + 1 + columnSpan <= columnCount) {
+                c++;
+            } else {
+                r++;
+                c = columnIndex ?? 0;
+            }
+        }
+        for (let rr = r; rr < r + rowSpan; rr++) {
+            for (let cc = c; cc < c + columnSpan; cc++) occupied.add(`${rr},${cc}`);
+        }
+        if (row.index === null) {
+            cursorRow = r;
+            cursorColumn = c + columnSpan;
+        }
+        return { child, row: r, column: c, rowSpan, columnSpan };
+    });
+}
+
+function trackStarts(sizes, gap) {
+    const starts = [];
+    let position = 0;
+    for (const size of sizes) {
+        starts.push(position);
+        position += size + gap;
+    }
+    return starts;
+}
+
+// ==========================================
+// OBJECT CREATION
+// ==========================================
+
+/**
+ * Create scene object JSON from an imported page, with fresh ids
+ * @param {HtmlPage} page
+ * @param {number} [startX=0]
+ * @param {number} [startY=0]
+ * @returns {Array<Object>} Objects for `_createObjectFromJSON`
+ */
+export function createObjectsFromHtml(page, startX = 0, startY = 0) {
+    const copy = object => ({
+        ...object,
+        id: uuid(),
+        x: object.x + startX,
+        y: object.y + startY,
+        ...(object.children ? { children: object.children.map(copy) } : {})
+    });
+    return page.objects.map(copy);
+}
+
+// ==========================================
+// CONVENIENCE
+// ==========================================
+
+/**
+ * Check whether source text looks like an HTML page or fragment
+ * @param {string} source
+ * @returns {boolean}
+ */
+export function isHtml(source) {
+    return /^\s*(<!doctype\s+html|<html[\s>])/i.test(source) ||
+        /<(body|div|form|section|main|nav|header|table|p|ul|input|button)[\s>]/i.test(source);
+}
+
+/**
+ * Parse and lay out HTML and CSS
+ * @param {string} source - HTML with inline or `<style>` CSS
+ * @param {Object} [options] - See HtmlImporter
+ * @returns {HtmlPage}
+ */
+export function importHtml(source, options) {
+    return new HtmlImporter(options).import(source);
+}
+
+export default {
+    HtmlParser,
+    HtmlImporter,
+    createObjectsFromHtml,
+    importHtml,
+    isHtml
+};
@@ -28,6 +28,59 @@ export {
     ImageToAscii
 } from './image.js';
 
+// ANSI art import
+export {
+    AnsiPalette16,
+    ANSIImporter,
+    parseSauce,
+    createTextObjectsFromAnsi
+} from './ansi.js';
+
+// Plain-text diagram recognition
+export {
+    TextDiagramRecognizer,
+    createObjectsFromDiagram
+} from './textDiagram.js';
+
+// Mermaid / Graphviz DOT flowchart import
+export {
+    FlowchartDirection,
+    FlowchartNodeShape,
+    FlowchartGraph,
+    createFlowchartObjectsFromGraph,
+    createGraphFromFlowchartObjects
+} from './flowchartGraph.js';
+
+export {
+    MermaidParser,
+    parseMermaid,
+    isMermaidFlowchart
+} from './mermaid.js';
+
+export {
+    DotParser,
+    parseDot,
+    isDotGraph
+} from './dot.js';
+
+// Avalonia / WPF XAML import
+export {
+    XamlParser,
+    XamlImporter,
+    createObjectsFromXaml,
+    importXaml,
+    isXaml
+} from './xaml.js';
+
+// HTML / CSS import
+export {
+    HtmlParser,
+    HtmlImporter,
+    createObjectsFromHtml,
+    importHtml,
+    isHtml
+} from './html.js';
+
 // Legacy export formats (for backwards compatibility)
 export {
     TextExporter,
@@ -87,6 +140,11 @@ export {
     JSONExporter,
     LaTeXExporter,
     
+    // Diagrams
+    BaseFlowchartExporter,
+    MermaidExporter,
+    PlantUMLExporter,
+    
     // UI Frameworks
     BaseXAMLExporter,
     AvaloniaExporter,
@@ -203,6 +261,52 @@ export const ImportFormats = {
             const converter = new ImageToAscii(options);
             return converter.convertFile(file);
         }
+    },
+    ansi: {
+        name: 'ANSI Art (.ans)',
+        extensions: ['.ans', '.ansi', '.nfo', '.diz'],
+        mimeTypes: [],
+        handler: async (file, options) => {
+            const { ANSIImporter } = await import('./ansi.js');
+            const importer = new ANSIImporter(options);
+            return importer.importFile(file);
+        }
+    },
+    mermaid: {
+        name: 'Mermaid Flowchart (.mmd)',
+        extensions: ['.mmd', '.mermaid'],
+        mimeTypes: [],
+        handler: async (file) => {
+            const { parseMermaid } = await import('./mermaid.js');
+            return parseMermaid(await file.text());
+        }
+    },
+    dot: {
+        name: 'Graphviz DOT (.dot)',
+        extensions: ['.dot', '.gv'],
+        mimeTypes: ['text/vnd.graphviz'],
+        handler: async (file) => {
+            const { parseDot } = await import('./dot.js');
+            return parseDot(await file.text());
+        }
+    },
+    xaml: {
+        name: 'Avalonia/WPF XAML (.axaml, .xaml)',
+        extensions: ['.axaml', '.xaml'],
+        mimeTypes: ['application/xaml+xml'],
+        handler: async (file, options) => {
+            const { importXaml } = await import('./xaml.js');
+            return importXaml(await file.text(), options);
+        }
+    },
+    html: {
+        name: 'HTML page (.html, .htm)',
+        extensions: ['.html', '.htm'],
+        mimeTypes: ['text/html'],
+        handler: async (file, options) => {
+            const { importHtml } = await import('./html.js');
+            return importHtml(await file.text(), options);
+        }
     }
 };
 
@@ -0,0 +1,339 @@
+/**
+ * Asciistrator - Mermaid Flowchart Import
+ *
+ * Parses Mermaid `flowchart` / `graph` diagrams into a FlowchartGraph.
+ * Supports node shapes, chained and `&`-joined edges, edge labels
+ * (`-->|text|` and `-- text -->`), dotted/thick links and subgraphs
+ * (flattened). Styling statements are ignored.
+ */
+
+import { FlowchartGraph, FlowchartDirection, FlowchartNodeShape } from './flowchartGraph.js';
+
+// ==========================================
+// SYNTAX TABLES
+// ==========================================
+
+/**
+ * Node shape delimiters, longest first
+ */
+const NODE_SHAPES = [
+    { open: '(((', close: ')))', shape: FlowchartNodeShape.TERMINAL },
+    { open: '([', close: '])', shape: FlowchartNodeShape.TERMINAL },
+    { open: '[[', close: ']]', shape: FlowchartNodeShape.SUBPROCESS },
+    { open: '[(', close: ')]', shape: FlowchartNodeShape.DATABASE },
+    { open: '((', close: '))', shape: FlowchartNodeShape.TERMINAL },
+    { open: '{{', close: '}}', shape: FlowchartNodeShape.PROCESS },
+    { open: '[/', close: '/]', shape: FlowchartNodeShape.IO },
+    { open: '[\\', close: '\\]', shape: FlowchartNodeShape.IO },
+    { open: '[/', close: '\\]', shape: FlowchartNodeShape.PROCESS },
+    { open: '[\\', close: '/]', shape: FlowchartNodeShape.PROCESS },
+    { open: '>', close: ']', shape: FlowchartNodeShape.DOCUMENT },
+    { open: '[', close: ']', shape: FlowchartNodeShape.PROCESS },
+    { open: '(', close: ')', shape: FlowchartNodeShape.TERMINAL },
+    { open: '{', close: '}', shape: FlowchartNodeShape.DECISION }
+];
+
+/**
+ * Shape names of the `A@{ shape: ... }` syntax
+ */
+const NAMED_SHAPES = {
+    rect: FlowchartNodeShape.PROCESS,
+    process: FlowchartNodeShape.PROCESS,
+    rounded: FlowchartNodeShape.TERMINAL,
+    stadium: FlowchartNodeShape.TERMINAL,
+    terminal: FlowchartNodeShape.TERMINAL,
+    pill: FlowchartNodeShape.TERMINAL,
+    circle: FlowchartNodeShape.TERMINAL,
+    diamond: FlowchartNodeShape.DECISION,
+    decision: FlowchartNodeShape.DECISION,
+    question: FlowchartNodeShape.DECISION,
+    lean_right: FlowchartNodeShape.IO,
+    lean_left: FlowchartNodeShape.IO,
+    'in-out': FlowchartNodeShape.IO,
+    doc: FlowchartNodeShape.DOCUMENT,
+    document: FlowchartNodeShape.DOCUMENT,
+    cyl: FlowchartNodeShape.DATABASE,
+    database: FlowchartNodeShape.DATABASE,
+    subroutine: FlowchartNodeShape.SUBPROCESS,
+    subprocess: FlowchartNodeShape.SUBPROCESS,
+    'sm-circ': FlowchartNodeShape.CONNECTOR,
+    'small-circle': FlowchartNodeShape.CONNECTOR
+};
+
+const DIRECTIONS = {
+    TB: FlowchartDirection.TOP_BOTTOM,
+    TD: FlowchartDirection.TOP_BOTTOM,
+    BT: FlowchartDirection.BOTTOM_TOP,
+    LR: FlowchartDirection.LEFT_RIGHT,
+    RL: FlowchartDirection.RIGHT_LEFT
+};
+
+const HEADER = /^(flowchart|graph)(?:\s+(TB|TD|BT|LR|RL))?\s*$/i;
+const NODE_ID = /^[\p{L}\p{N}_]+/u;
+const TEXT_LINK = /^\s*([<ox]?)(--|==|-\.)\s+(.+?)\s+(-{2,}|={2,}|\.-+)([>ox]?)/;
+const LINK = /^\s*([<ox]?)(-{2,}|={2,}|-\.+-)([>ox]?)(?:\s*\|([^|]*)\|)?/;
+const IGNORED_STATEMENTS = /^(classDef|class|style|linkStyle|click|direction|accTitle|accDescr)\b/;
+
+// ==========================================
+// PARSER
+// ==========================================
+
+/**
+ * Mermaid flowchart parser
+ */
+export class MermaidParser {
+    /**
+     * Parse a Mermaid flowchart
+     * @param {string} source - Mermaid source
+     * @returns {FlowchartGraph}
+     * @throws {Error} If the source is not a flowchart or a statement cannot be parsed
+     */
+    parse(source) {
+        const statements = this._splitStatements(source);
+        const header = statements.shift();
+        const match = header && header.text.match(HEADER);
+
+        if (!match) {
+            throw new Error('Not a Mermaid flowchart: expected "flowchart" or "graph" header');
+        }
+
+        const graph = new FlowchartGraph(DIRECTIONS[(match[2] || 'TB').toUpperCase()]);
+
+        for (const { text, line } of statements) {
+            if (/^subgraph\b/.test(text) || text === 'end' || IGNORED_STATEMENTS.test(text)) {
+                continue;
+            }
+
+            try {
+                this._parseStatement(text, graph);
+            } catch (error) {
+                throw new Error(`Mermaid line ${line}: ${error.message}`);
+            }
+        }
+
+        return graph;
+    }
+
+    /**
+     * Split source into trimmed statements (newlines and `;` outside of labels)
+     * @private
+     */
+    _splitStatements(source) {
+        const statements = [];
+        const lines = source.replace(/\r\n?/g, '\n').split('\n');
+
+        lines.forEach((rawLine, index) => {
+            const line = rawLine.replace(/%%.*$/, '');
+            let current = '';
+            let depth = 0;
+            let quoted = false;
+
+            for (const char of line) {
+                if (char === '"') quoted = !quoted;
+                if (!quoted) {
+                    if ('[({'.includes(char)) depth++;
+                    if (')]}'.includes(char)) depth = Math.max(0, depth - 1);
+                }
+                if (char === ';' && depth === 0 && !quoted) {
+                    if (current.trim()) statements.push({ text: current.trim(), line: index + 1 });
+                    current = '';
+                } else {
+                    current += char;
+                }
+            }
+            if (current.trim()) statements.push({ text: current.trim(), line: index + 1 });
+        });
+
+        return statements;
+    }
+
+    /**
+     * Parse `nodes (link nodes)*`
+     * @private
+     */
+    _parseStatement(text, graph) {
+        let rest = text;
+        let previous = null;
+
+        for (;;) {
+            const group = this._parseNodeGroup(rest, graph);
+            rest = group.rest;
+
+            if (previous) {
+                for (const from of previous.ids) {
+                    for (const to of group.ids) {
+                        graph.addEdge(from, to, previous.link);
+                    }
+                }
+            }
+
+            rest = rest.trim();
+            if (!rest) return;
+
+            const link = this._parseLink(rest);
+            if (!link) {
+                throw new Error(`unexpected "${rest}"`);
+            }
+            previous = { ids: group.ids, link: link.props };
+            rest = link.rest;
+        }
+    }
+
+    /**
+     * Parse `node (& node)*`
+     * @private
+     */
+    _parseNodeGroup(text, graph) {
+        const ids = [];
+        let rest = text;
+
+        for (;;) {
+            const node = this._parseNode(rest.trim(), graph);
+            ids.push(node.id);
+            rest = node.rest;
+
+            const amp = rest.match(/^\s*&\s*/);
+            if (!amp) break;
+            rest = rest.slice(amp[0].length);
+        }
+
+        return { ids, rest };
+    }
+
+    /**
+     * Parse a node reference with optional shape and label
+     * @private
+     */
+    _parseNode(text, graph) {
+        const idMatch = text.match(NODE_ID);
+        if (!idMatch) {
+            throw new Error(`expected node id at "${text}"`);
+        }
+
+        const id = idMatch[0];
+        let rest = text.slice(id.length);
+        let props = {};
+
+        const named = rest.match(/^@\{([^}]*)\}/);
+        if (named) {
+            const shapeName = named[1].match(/shape\s*:\s*([\w-]+)/);
+            const label = named[1].match(/label\s*:\s*"([^"]*)"/);
+            props = {
+                shape: shapeName ? NAMED_SHAPES[shapeName[1]] : undefined,
+                label: label ? this._cleanLabel(label[1]) : undefined
+            };
+            rest = rest.slice(named[0].length);
+        } else {
+            for (const delimiter of NODE_SHAPES) {
+                if (!rest.startsWith(delimiter.open)) continue;
+
+                const end = this._findClose(rest, delimiter.open.length, delimiter.close);
+                if (end === -1) continue;
+
+                props = {
+                    shape: delimiter.shape,
+                    label: this._cleanLabel(rest.slice(delimiter.open.length, end))
+                };
+                rest = rest.slice(end + delimiter.close.length);
+                break;
+            }
+        }
+
+        // Style class shorthand
+        const classRef = rest.match(/^:::[\w-]+/);
+        if (classRef) rest = rest.slice(classRef[0].length);
+
+        graph.addNode(id, props);
+        return { id, rest };
+    }
+
+    /**
+     * Find a closing delimiter, skipping over quoted text
+     * @private
+     */
+    _findClose(text, start, close) {
+        let quoted = false;
+        for (let i = start; i < text.length; i++) {
+            if (text[i] === '"') quoted = !quoted;
+            if (!quoted && text.startsWith(close, i)) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Parse a link and its label
+     * @private
+     */
+    _parseLink(text) {
+        const textLink = text.match(TEXT_LINK);
+        if (textLink) {
+            return {
+                props: this._linkProps(textLink[1], textLink[2] + textLink[4], textLink[5], textLink[3]),
+                rest: text.slice(textLink[0].length)
+            };
+        }
+
+        const link = text.match(LINK);
+        if (link) {
+            return {
+                props: this._linkProps(link[1], link[2], link[3], link[4]),
+                rest: text.slice(link[0].length)
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * @private
+     */
+    _linkProps(startMarker, body, endMarker, label) {
+        return {
+            label: label ? this._cleanLabel(label.trim()) : '',
+            arrowStart: startMarker !== '',
+            arrowEnd: endMarker !== '',
+            lineType: body.includes('=') ? 'double' : body.includes('.') ? 'dashed' : 'solid'
+        };
+    }
+
+    /**
+     * Strip quotes and markdown markers, convert line breaks
+     * @private
+     */
+    _cleanLabel(label) {
+        return label
+            .trim()
+            .replace(/^"(.*)"$/s, '$1')
+            .replace(/^`(.*)`$/s, '$1')
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/\\n/g, '\n')
+            .replace(/#quot;/g, '"')
+            .replace(/<[^>]+>/g, '')
+            .trim();
+    }
+}
+
+/**
+ * Check whether source text looks like a Mermaid flowchart
+ * @param {string} source
+ * @returns {boolean}
+ */
+export function isMermaidFlowchart(source) {
+    const first = source.replace(/%%.*$/gm, '').trim().split(/[\n;]/)[0] || '';
+    return HEADER.test(first.trim());
+}
+
+/**
+ * Parse a Mermaid flowchart
+ * @param {string} source
+ * @returns {FlowchartGraph}
+ */
+export function parseMermaid(source) {
+    return new MermaidParser().parse(source);
+}
+
+export default {
+    MermaidParser,
+    isMermaidFlowchart,
+    parseMermaid
+};
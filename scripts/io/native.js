@@ -49,6 +49,7 @@ export const TypeMapping = {
         'instance': 'INSTANCE',
         'table': 'TABLE',
         'chart': 'CHART',
+        'sequence': 'SEQUENCE_DIAGRAM',
         'process': 'FLOWCHART_PROCESS',
         'terminal': 'FLOWCHART_TERMINAL',
         'decision': 'FLOWCHART_DECISION',
@@ -73,6 +74,7 @@ export const TypeMapping = {
         'INSTANCE': 'instance',
         'TABLE': 'table',
         'CHART': 'chart',
+        'SEQUENCE_DIAGRAM': 'sequence',
         'FLOWCHART_PROCESS': 'process',
         'FLOWCHART_TERMINAL': 'terminal',
         'FLOWCHART_DECISION': 'decision',
@@ -170,6 +172,10 @@ export class NativeDocument {
         // Shared styles
         this.styles = {};
         
+        // FIGlet fonts loaded from .flf files, by name, so banner text
+        // renders the same on machines that do not have them
+        this.figletFonts = {};
+        
         // Metadata
         this.metadata = {
             title: 'Untitled',
@@ -204,6 +210,10 @@ export class NativeDocument {
             doc.styles = options.styles;
         }
         
+        if (options.figletFonts) {
+            doc.figletFonts = options.figletFonts;
+        }
+        
         // Extract component definitions from all layers
         const componentDefs = new Map();
         
@@ -250,7 +260,7 @@ export class NativeDocument {
                 name: layer.name || `Page ${index + 1}`,
                 visible: layer.visible !== false,
                 locked: layer.locked || false,
-                opacity: layer.opacity || 1,
+                opacity: layer.opacity ?? 1,
                 blendMode: (layer.blendMode || 'normal').toUpperCase(),
                 
                 // Canvas settings (ASCII-specific, per-page)
@@ -343,10 +353,15 @@ export class NativeDocument {
                 // Core ASCII rendering
                 strokeChar: obj.strokeChar || '*',
                 fillChar: obj.fillChar || '',
+                filled: obj.filled ?? false,
                 lineStyle: obj.lineStyle || 'single',
                 strokeColor: obj.strokeColor,
                 fillColor: obj.fillColor,
                 
+                // Terminal cell style
+                cellBackground: obj.cellBackground ?? null,
+                cellAttributes: obj.cellAttributes || 0,
+                
                 // Box/border styles (ASCII-specific)
                 boxStyle: obj.boxStyle,
                 borderStyle: obj.borderStyle,
@@ -520,6 +535,10 @@ export class NativeDocument {
                 node.fontFamily = obj.fontFamily;
                 node.fontSize = obj.fontSize;
                 node.ascii.isAsciiText = obj.type === 'ascii-text';
+                if (obj.type === 'ascii-text') {
+                    node.ascii.figletFont = obj.fontName;
+                    node.ascii.figletLayout = obj.fontLayout;
+                }
                 break;
                 
             case 'line':
@@ -567,6 +586,20 @@ export class NativeDocument {
             case 'path':
                 node.pathCommands = obj.commands ? [...obj.commands] : undefined;
                 node.segments = obj.segments;
+                // Vertices with their subpath starts and bezier handles
+                node.ascii.pathPoints = obj.points ? obj.points.map(p => ({ ...p })) : undefined;
+                node.ascii.closed = obj.closed ?? false;
+                node.ascii.brushSize = obj.brushSize ?? 0;
+                break;
+                
+            case 'group':
+                // Mask: the first child clips the others (Figma marks the mask layer)
+                node.ascii.useMask = obj.useMask ?? false;
+                node.ascii.invertMask = obj.invertMask ?? false;
+                if (obj.useMask && node.children.length > 0) {
+                    node.children[0].isMask = true;
+                    node.children[0].maskType = 'VECTOR';
+                }
                 break;
                 
             case 'frame':
@@ -605,8 +638,25 @@ export class NativeDocument {
             case 'chart':
                 node.chartType = obj.chartType;
                 // Move ASCII-specific chart data to ascii namespace
-                node.ascii.chartData = obj.chartData;
-                node.ascii.chartOptions = obj.chartOptions;
+                node.ascii.chartData = {
+                    data: obj.data,
+                    labels: obj.labels,
+                    series: obj.series ?? null,
+                    scaleMax: obj.scaleMax ?? 1,
+                    // The data text is embedded so the chart renders without the original file
+                    dataSource: obj.dataSource ? obj.dataSource.toJSON() : null
+                };
+                node.ascii.chartOptions = {
+                    title: obj.title,
+                    showAxes: obj.showAxes,
+                    showLabels: obj.showLabels,
+                    resolution: obj.resolution ?? 'cell'
+                };
+                break;
+                
+            case 'sequence':
+                // The layout is rebuilt from the source on load
+                node.ascii.sequenceSource = obj.source;
                 break;
                 
             // Flowchart shapes
@@ -640,6 +690,7 @@ export class NativeDocument {
                 node.ascii.arrowStart = obj.arrowStart;
                 node.ascii.arrowEnd = obj.arrowEnd;
                 node.ascii.waypoints = obj.waypoints;
+                node.ascii.label = obj.label;
                 break;
         }
     }
@@ -659,6 +710,7 @@ export class NativeDocument {
             components: this.components,
             componentSets: this.componentSets,
             styles: this.styles,
+            figletFonts: this.figletFonts,
             metadata: this.metadata,
             componentLibraries: this.componentLibraries
         };
@@ -706,6 +758,11 @@ export class NativeDocument {
             doc.styles = data.styles;
         }
         
+        // Copy embedded FIGlet fonts
+        if (data.figletFonts) {
+            doc.figletFonts = data.figletFonts;
+        }
+        
         // Copy metadata
         if (data.metadata) {
             doc.metadata = { ...doc.metadata, ...data.metadata };
@@ -727,9 +784,10 @@ export class NativeDocument {
  * @param {string} filename - Filename
  * @param {object[]} componentLibraries - Optional component libraries data
  * @param {object} styles - Optional shared styles data
+ * @param {object} figletFonts - Optional .flf sources of the FIGlet fonts in use, by name
  */
-export function saveNativeDocument(appState, layers, filename = 'document.ascii', componentLibraries = null, styles = null) {
-    const doc = NativeDocument.fromAppState(appState, layers, { styles });
+export function saveNativeDocument(appState, layers, filename = 'document.ascii', componentLibraries = null, styles = null, figletFonts = null) {
+    const doc = NativeDocument.fromAppState(appState, layers, { styles, figletFonts });
     
     // Include component libraries if provided
     if (componentLibraries) {
@@ -822,6 +880,8 @@ export class ObjectFactory {
             visible: data.visible !== false,
             locked: data.locked || false,
             opacity: data.opacity || 1,
+            cellBackground: data.cellBackground ?? null,
+            cellAttributes: data.cellAttributes || 0,
             layerId: data.layerId
         });
 
@@ -865,6 +925,8 @@ export class ObjectFactory {
                 if (data.children) {
                     obj.children = data.children.map(c => this.create(c)).filter(Boolean);
                 }
+                obj.useMask = data.useMask || false;
+                obj.invertMask = data.invertMask || false;
                 break;
                 
             // Flowchart shapes
@@ -895,6 +957,7 @@ export class ObjectFactory {
                 obj.arrowStart = data.arrowStart;
                 obj.arrowEnd = data.arrowEnd;
                 obj.waypoints = data.waypoints || [];
+                obj.label = data.label || '';
                 break;
         }
 
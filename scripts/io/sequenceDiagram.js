@@ -0,0 +1,719 @@
+/**
+ * Asciistrator - Sequence Diagrams
+ *
+ * UML sequence diagrams written in a Mermaid/PlantUML-like text syntax:
+ * participants and actors, sync/async/return messages, activations,
+ * notes and alt/loop/opt fragments. Diagrams are laid out automatically
+ * and drawn with box-drawing characters.
+ *
+ *   sequenceDiagram
+ *       actor U as User
+ *       U->>+API: GET /orders
+ *       alt cached
+ *           API-->>U: 200 (cache)
+ *       else
+ *           API->>DB: SELECT
+ *           DB-->>API: rows
+ *       end
+ *       API-->>-U: 200
+ */
+
+import { BoxDrawing } from '../core/ascii/charsets.js';
+
+// ==========================================
+// DIAGRAM MODEL
+// ==========================================
+
+/**
+ * Message kinds
+ */
+export const SequenceMessageType = {
+    SYNC: 'sync',     // Solid line, filled arrowhead
+    ASYNC: 'async',   // Solid line, open arrowhead
+    RETURN: 'return'  // Dashed line, open arrowhead
+};
+
+/**
+ * Combined fragment kinds
+ */
+export const SequenceFragmentType = {
+    ALT: 'alt',
+    OPT: 'opt',
+    LOOP: 'loop',
+    PAR: 'par',
+    CRITICAL: 'critical',
+    BREAK: 'break'
+};
+
+/**
+ * Keywords starting the next section of a fragment
+ */
+const SECTION_KEYWORDS = {
+    else: SequenceFragmentType.ALT,
+    and: SequenceFragmentType.PAR,
+    option: SequenceFragmentType.CRITICAL
+};
+
+/**
+ * Note placement relative to lifelines
+ */
+export const SequenceNotePosition = {
+    LEFT: 'left',
+    RIGHT: 'right',
+    OVER: 'over'
+};
+
+/**
+ * Participants and the ordered items between them. Items are messages,
+ * notes, activation changes and fragments holding sections of items.
+ */
+export class SequenceDiagram {
+    constructor() {
+        this.title = '';
+        this.autonumber = false;
+        this.participants = [];
+        this.items = [];
+    }
+
+    /**
+     * Get a participant, declaring it on first use
+     * @param {string} id - Participant id
+     * @param {string} [label] - Displayed name
+     * @param {string} [kind='participant'] - 'participant' or 'actor'
+     * @returns {{id: string, label: string, kind: string}}
+     */
+    addParticipant(id, label = id, kind = 'participant') {
+        let participant = this.participants.find(p => p.id === id);
+        if (!participant) {
+            participant = { id, label, kind };
+            this.participants.push(participant);
+        }
+        return participant;
+    }
+
+    /**
+     * Position of a participant from the left
+     * @param {string} id - Participant id
+     * @returns {number} -1 when unknown
+     */
+    indexOf(id) {
+        return this.participants.findIndex(p => p.id === id);
+    }
+}
+
+// ==========================================
+// PARSER
+// ==========================================
+
+/**
+ * Arrows, longest first. `->>` is a synchronous call in Mermaid and an
+ * asynchronous one in PlantUML.
+ */
+const ARROWS = [
+    { arrow: '-->>', type: SequenceMessageType.RETURN },
+    { arrow: '--)', type: SequenceMessageType.ASYNC },
+    { arrow: '-->', type: SequenceMessageType.RETURN },
+    { arrow: '->>', type: SequenceMessageType.SYNC, plantuml: SequenceMessageType.ASYNC },
+    { arrow: '-)', type: SequenceMessageType.ASYNC },
+    { arrow: '->', type: SequenceMessageType.SYNC },
+    { arrow: '<--', type: SequenceMessageType.RETURN, reversed: true },
+    { arrow: '<-', type: SequenceMessageType.SYNC, reversed: true }
+];
+
+const NAME = '"[^"]+"|[^\\s"<>:+\\-()]+';
+const ARROW = ARROWS.map(a => a.arrow.replace(/[()]/g, '\\$&')).join('|');
+const MESSAGE = new RegExp(`^(${NAME})\\s*(${ARROW})\\s*([+-]{1,2})?\\s*(${NAME})\\s*(\\+\\+|--)?\\s*(?::(.*))?$`);
+const PARTICIPANT = /^(participant|actor|boundary|control|entity|database|collections|queue)\s+("[^"]+"|\S+)(?:\s+as\s+("[^"]+"|.+))?$/i;
+const NOTE = /^note\s+(left of|right of|over)\s+([^:]+?)\s*(?::(.*))?$/i;
+const IGNORED = /^(skinparam|hide|show|autoactivate|sequenceDiagram$|@startuml|@enduml|==|\.\.\.|\|\|\|)/i;
+
+/**
+ * Parser for the sequence diagram text syntax
+ */
+export class SequenceParser {
+    /**
+     * Parse sequence diagram source
+     * @param {string} source - Mermaid `sequenceDiagram` or PlantUML source
+     * @returns {SequenceDiagram}
+     * @throws {Error} If a statement cannot be parsed or fragments do not match
+     */
+    parse(source) {
+        const diagram = new SequenceDiagram();
+        const lines = source.replace(/\r\n?/g, '\n').split('\n');
+        const plantuml = lines.some(line => /^\s*@startuml/i.test(line));
+
+        // Item lists of the open fragments, innermost last
+        const stack = [{ items: diagram.items }];
+        const open = [];
+        let note = null;
+
+        lines.forEach((rawLine, index) => {
+            const text = rawLine.replace(/%%.*$/, '').trim();
+
+            if (note) {
+                if (/^end\s*note$/i.test(text)) {
+                    note.text = note.lines.join('\n');
+                    delete note.lines;
+                    note = null;
+                } else {
+                    note.lines.push(rawLine.trim());
+                }
+                return;
+            }
+
+            if (!text || text.startsWith("'") || IGNORED.test(text)) return;
+
+            try {
+                const current = stack[stack.length - 1].items;
+                const parsed = this._parseStatement(text, diagram, plantuml);
+
+                if (parsed.fragment) {
+                    const section = { label: parsed.label, items: [] };
+                    const fragment = { kind: 'fragment', type: parsed.fragment, sections: [section] };
+                    current.push(fragment);
+                    open.push(fragment);
+                    stack.push(section);
+                } else if (parsed.section) {
+                    const fragment = open[open.length - 1];
+                    if (!fragment) throw new Error(`"${parsed.section}" outside of a fragment`);
+                    const section = { label: parsed.label, items: [] };
+                    fragment.sections.push(section);
+                    stack[stack.length - 1] = section;
+                } else if (parsed.end) {
+                    if (open.length === 0) throw new Error('"end" without a fragment');
+                    open.pop();
+                    stack.pop();
+                } else if (parsed.item) {
+                    current.push(parsed.item);
+                    if (parsed.item.lines) note = parsed.item;
+                }
+            } catch (error) {
+                throw new Error(`Sequence line ${index + 1}: ${error.message}`);
+            }
+        });
+
+        if (note) {
+            throw new Error('Sequence diagram: "note" without "end note"');
+        }
+        if (open.length > 0) {
+            throw new Error(`Sequence diagram: "${open[open.length - 1].type}" without "end"`);
+        }
+
+        return diagram;
+    }
+
+    /**
+     * Parse one statement
+     * @private
+     * @returns {object} One of {item}, {fragment, label}, {section, label}, {end} or {}
+     */
+    _parseStatement(text, diagram, plantuml) {
+        let match;
+
+        if ((match = text.match(/^title\b\s*:?\s*(.*)$/i))) {
+            diagram.title = match[1].trim();
+            return {};
+        }
+
+        if (/^autonumber\b/i.test(text)) {
+            diagram.autonumber = true;
+            return {};
+        }
+
+        if ((match = text.match(PARTICIPANT))) {
+            // `participant A as Alice` names A "Alice"; a quoted name comes first in PlantUML
+            const first = this._unquote(match[2]);
+            const second = match[3] ? this._unquote(match[3].trim()) : null;
+            const quotedFirst = match[2].startsWith('"');
+            const id = second && quotedFirst ? second : first;
+            const label = second ? (quotedFirst ? first : second) : first;
+            const kind = match[1].toLowerCase() === 'actor' ? 'actor' : 'participant';
+            Object.assign(diagram.addParticipant(id), { label, kind });
+            return {};
+        }
+
+        if ((match = text.match(/^(activate|deactivate)\s+(\S+)$/i))) {
+            const participant = diagram.addParticipant(this._unquote(match[2]));
+            return { item: { kind: 'activation', participant: participant.id, active: match[1].toLowerCase() === 'activate' } };
+        }
+
+        if ((match = text.match(NOTE))) {
+            const ids = match[2].split(',').map(id => diagram.addParticipant(this._unquote(id.trim())).id);
+            const position = match[1].toLowerCase().split(' ')[0];
+            const item = { kind: 'note', position, participants: ids, text: '' };
+            if (match[3] === undefined) {
+                item.lines = [];
+            } else {
+                item.text = this._cleanText(match[3]);
+            }
+            return { item };
+        }
+
+        if ((match = text.match(/^(\w+)\b\s*(.*)$/))) {
+            const keyword = match[1].toLowerCase();
+            if (Object.values(SequenceFragmentType).includes(keyword)) {
+                return { fragment: keyword, label: this._cleanText(match[2]) };
+            }
+            if (SECTION_KEYWORDS[keyword]) {
+                return { section: keyword, label: this._cleanText(match[2]) };
+            }
+            if (keyword === 'end' && !match[2]) {
+                return { end: true };
+            }
+        }
+
+        if ((match = text.match(MESSAGE))) {
+            const arrow = ARROWS.find(a => a.arrow === match[2]);
+            let from = diagram.addParticipant(this._unquote(match[1])).id;
+            let to = diagram.addParticipant(this._unquote(match[4])).id;
+            if (arrow.reversed) [from, to] = [to, from];
+
+            const markers = `${match[3] ?? ''}${match[5] ?? ''}`;
+            return {
+                item: {
+                    kind: 'message',
+                    from,
+                    to,
+                    text: this._cleanText(match[6] ?? ''),
+                    type: plantuml && arrow.plantuml ? arrow.plantuml : arrow.type,
+                    activate: markers.includes('+'),
+                    deactivate: markers.includes('-')
+                }
+            };
+        }
+
+        throw new Error(`cannot parse "${text}"`);
+    }
+
+    /**
+     * Strip surrounding quotes
+     * @private
+     */
+    _unquote(name) {
+        return name.replace(/^"(.*)"$/s, '$1');
+    }
+
+    /**
+     * Convert line breaks and trim
+     * @private
+     */
+    _cleanText(text) {
+        return text
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/\\n/g, '\n')
+            .split('\n')
+            .map(line => line.trim())
+            .join('\n')
+            .trim();
+    }
+}
+
+// ==========================================
+// LAYOUT
+// ==========================================
+
+const HEADER_GAP = 2;   // Columns between neighbouring participant boxes
+const ARROW_ROOM = 4;   // Columns a message needs besides its text
+const FRAGMENT_PAD = 2; // Columns between a fragment border and its content
+
+/**
+ * Width of the longest line of a text
+ */
+function textWidth(text) {
+    return Math.max(0, ...text.split('\n').map(line => line.length));
+}
+
+/**
+ * All messages and notes of a list of items, including those in fragments
+ */
+function flattenItems(items) {
+    return items.flatMap(item => item.kind === 'fragment'
+        ? item.sections.flatMap(section => flattenItems(section.items))
+        : [item]);
+}
+
+/**
+ * Lay out a sequence diagram. Participants are spaced so message texts
+ * and notes fit between their lifelines, then items are stacked from the
+ * top; fragments enclose the columns their items use.
+ * @param {SequenceDiagram} diagram - Parsed diagram
+ * @returns {object} Layout with the diagram size and positioned elements
+ */
+export function layoutSequenceDiagram(diagram) {
+    const participants = diagram.participants.map(p => ({
+        ...p,
+        width: textWidth(p.label) + 4,
+        height: p.label.split('\n').length + 2
+    }));
+    const count = participants.length;
+    let number = 0;
+    const messageText = item => diagram.autonumber ? `${++number}. ${item.text}` : item.text;
+
+    // Minimum distances between lifelines: minDistance[b] holds [a, distance] with a < b
+    const minDistance = participants.map(() => []);
+    const require = (a, b, distance) => {
+        if (a >= 0 && b < count && a < b) minDistance[b].push([a, distance]);
+    };
+
+    flattenItems(diagram.items).forEach(item => {
+        if (item.kind === 'message') {
+            const a = diagram.indexOf(item.from);
+            const b = diagram.indexOf(item.to);
+            const width = textWidth(item.text) + (diagram.autonumber ? 4 : 0);
+            if (a === b) {
+                require(a, a + 1, width + ARROW_ROOM + 2);
+            } else {
+                require(Math.min(a, b), Math.max(a, b), width + ARROW_ROOM);
+            }
+        } else if (item.kind === 'note') {
+            const index = diagram.indexOf(item.participants[0]);
+            const width = textWidth(item.text) + 4;
+            if (item.position === SequenceNotePosition.RIGHT) {
+                require(index, index + 1, width + 3);
+            } else if (item.position === SequenceNotePosition.LEFT) {
+                require(index - 1, index, width + 3);
+            } else if (item.participants.length === 1) {
+                require(index, index + 1, Math.ceil(width / 2) + 2);
+                require(index - 1, index, Math.ceil(width / 2) + 2);
+            }
+        }
+    });
+
+    // Lifeline columns, left to right
+    const centers = [];
+    participants.forEach((p, i) => {
+        let center = Math.floor(p.width / 2);
+        if (i > 0) {
+            const previous = participants[i - 1];
+            center = centers[i - 1] + Math.ceil(previous.width / 2) + Math.ceil(p.width / 2) + HEADER_GAP;
+            for (const [a, distance] of minDistance[i]) {
+                center = Math.max(center, centers[a] + distance);
+            }
+        }
+        centers.push(center);
+    });
+    const centerOf = id => centers[diagram.indexOf(id)];
+
+    let minX = 0;
+    let maxX = 0;
+    const extend = (left, right) => {
+        minX = Math.min(minX, left);
+        maxX = Math.max(maxX, right);
+        return { left, right };
+    };
+
+    participants.forEach((p, i) => {
+        p.center = centers[i];
+        p.x = centers[i] - Math.floor(p.width / 2);
+        extend(p.x, p.x + p.width - 1);
+    });
+
+    // Vertical stacking
+    let y = 0;
+    const title = diagram.title ? { text: diagram.title, y } : null;
+    if (title) y += 2;
+
+    const headerY = y;
+    const headerHeight = Math.max(3, ...participants.map(p => p.height));
+    participants.forEach(p => { p.y = headerY; });
+    y += headerHeight + 1;
+
+    const messages = [];
+    const notes = [];
+    const fragments = [];
+    const activations = [];
+    const activeStarts = participants.map(() => []);
+
+    const activate = (id, row) => {
+        const index = diagram.indexOf(id);
+        activeStarts[index].push(row);
+    };
+    const deactivate = (id, row) => {
+        const index = diagram.indexOf(id);
+        const start = activeStarts[index].pop();
+        if (start !== undefined) {
+            activations.push({ x: centers[index], y1: start, y2: Math.max(start, row) });
+        }
+    };
+
+    const place = (items) => {
+        let left = Infinity;
+        let right = -Infinity;
+        const cover = bounds => {
+            left = Math.min(left, bounds.left);
+            right = Math.max(right, bounds.right);
+        };
+
+        for (const item of items) {
+            if (item.kind === 'activation') {
+                if (item.active) activate(item.participant, y);
+                else deactivate(item.participant, y - 1);
+            } else if (item.kind === 'message') {
+                const text = messageText(item);
+                const lines = text ? text.split('\n').length : 0;
+                const from = centerOf(item.from);
+                const to = centerOf(item.to);
+                const self = item.from === item.to;
+                const arrowY = y + lines;
+
+                messages.push({ text, type: item.type, from, to, y, arrowY, self });
+                cover(self
+                    ? extend(from, from + Math.max(3, textWidth(text) + 2))
+                    : extend(Math.min(from, to), Math.max(from, to)));
+
+                if (item.activate) activate(item.to, arrowY);
+                if (item.deactivate) deactivate(item.from, arrowY);
+                y = arrowY + (self ? 2 : 1);
+            } else if (item.kind === 'note') {
+                const lines = item.text.split('\n');
+                const width = textWidth(item.text) + 4;
+                const first = centerOf(item.participants[0]);
+                const last = centerOf(item.participants[item.participants.length - 1]);
+                let x;
+                let noteWidth = width;
+
+                if (item.position === SequenceNotePosition.RIGHT) {
+                    x = first + 2;
+                } else if (item.position === SequenceNotePosition.LEFT) {
+                    x = first - 1 - width;
+                } else {
+                    const low = Math.min(first, last);
+                    const high = Math.max(first, last);
+                    noteWidth = Math.max(width, high - low + 5);
+                    x = Math.floor((low + high) / 2) - Math.floor(noteWidth / 2);
+                }
+
+                notes.push({ x, y, width: noteWidth, height: lines.length + 2, lines });
+                cover(extend(x, x + noteWidth - 1));
+                y += lines.length + 2;
+            } else if (item.kind === 'fragment') {
+                const fragment = { type: item.type, y, sections: [] };
+                fragments.push(fragment);
+                y++;
+
+                let inner = { left: Infinity, right: -Infinity };
+                item.sections.forEach((section, i) => {
+                    // Later sections start with a divider row
+                    const caption = `${i === 0 ? ` ${item.type}` : ''}${section.label ? ` [${section.label}]` : ''}`;
+                    fragment.sections.push({ caption: caption ? `${caption} ` : '', y: i === 0 ? fragment.y : y++ });
+                    const bounds = place(section.items);
+                    inner = {
+                        left: Math.min(inner.left, bounds.left),
+                        right: Math.max(inner.right, bounds.right)
+                    };
+                });
+
+                // An empty fragment spans the first lifeline
+                if (inner.left > inner.right) {
+                    inner = { left: centers[0] ?? 0, right: centers[0] ?? 0 };
+                }
+                const captionWidth = Math.max(...fragment.sections.map(section => section.caption.length));
+
+                fragment.x = inner.left - FRAGMENT_PAD;
+                fragment.width = Math.max(inner.right + FRAGMENT_PAD - fragment.x + 1, captionWidth + 3);
+                fragment.height = y - fragment.y + 1;
+                cover(extend(fragment.x, fragment.x + fragment.width - 1));
+                y++;
+            }
+        }
+
+        return { left, right };
+    };
+
+    place(diagram.items);
+    const bottom = y;
+
+    // Activations still open run to the end of the lifelines
+    participants.forEach(p => {
+        while (activeStarts[diagram.indexOf(p.id)].length > 0) deactivate(p.id, bottom);
+    });
+
+    // Shift everything right of column 0
+    const shift = -minX;
+    const width = count > 0 || notes.length > 0 ? maxX - minX + 1 : 0;
+    participants.forEach(p => { p.x += shift; p.center += shift; });
+    messages.forEach(m => { m.from += shift; m.to += shift; });
+    notes.forEach(n => { n.x += shift; });
+    fragments.forEach(f => { f.x += shift; });
+    activations.forEach(a => { a.x += shift; });
+
+    return {
+        width: title ? Math.max(width, title.text.length) : width,
+        height: bottom + 1,
+        title,
+        participants,
+        lifelines: { y1: headerY + headerHeight, y2: bottom },
+        activations,
+        messages,
+        notes,
+        fragments
+    };
+}
+
+// ==========================================
+// RENDERING
+// ==========================================
+
+const LINE_CHARS = {
+    [SequenceMessageType.SYNC]: { line: BoxDrawing.single.horizontal, right: '▶', left: '◀' },
+    [SequenceMessageType.ASYNC]: { line: BoxDrawing.single.horizontal, right: '>', left: '<' },
+    [SequenceMessageType.RETURN]: { line: BoxDrawing.dashed.horizontal, right: '>', left: '<' }
+};
+
+/**
+ * Draw a box
+ */
+function drawBox(buffer, x, y, width, height, chars, color) {
+    for (let col = x + 1; col < x + width - 1; col++) {
+        buffer.setChar(col, y, chars.horizontal, color);
+        buffer.setChar(col, y + height - 1, chars.horizontal, color);
+    }
+    for (let row = y + 1; row < y + height - 1; row++) {
+        buffer.setChar(x, row, chars.vertical, color);
+        buffer.setChar(x + width - 1, row, chars.vertical, color);
+        for (let col = x + 1; col < x + width - 1; col++) {
+            buffer.setChar(col, row, ' ', color);
+        }
+    }
+    buffer.setChar(x, y, chars.topLeft, color);
+    buffer.setChar(x + width - 1, y, chars.topRight, color);
+    buffer.setChar(x, y + height - 1, chars.bottomLeft, color);
+    buffer.setChar(x + width - 1, y + height - 1, chars.bottomRight, color);
+}
+
+/**
+ * Draw a laid-out sequence diagram
+ * @param {object} layout - Result of layoutSequenceDiagram()
+ * @param {AsciiBuffer} buffer - Target buffer
+ * @param {number} [x=0] - Left column
+ * @param {number} [y=0] - Top row
+ * @param {string|null} [color=null] - Character color
+ */
+export function renderSequenceDiagram(layout, buffer, x = 0, y = 0, color = null) {
+    const text = (col, row, value) => buffer.drawText(x + col, y + row, value, color);
+    const set = (col, row, char) => buffer.setChar(x + col, y + row, char, color);
+
+    if (layout.title) {
+        text(Math.floor((layout.width - layout.title.text.length) / 2), layout.title.y, layout.title.text);
+    }
+
+    // Lifelines, heavy where a participant is active
+    for (const p of layout.participants) {
+        for (let row = layout.lifelines.y1; row <= layout.lifelines.y2; row++) {
+            set(p.center, row, BoxDrawing.dashed.vertical);
+        }
+    }
+    for (const bar of layout.activations) {
+        for (let row = bar.y1; row <= bar.y2; row++) {
+            set(bar.x, row, BoxDrawing.heavy.vertical);
+        }
+    }
+
+    // Fragment frames with the type and guard on the top border and dashed section dividers
+    for (const fragment of layout.fragments) {
+        const right = fragment.x + fragment.width - 1;
+        const bottom = fragment.y + fragment.height - 1;
+        for (let row = fragment.y + 1; row < bottom; row++) {
+            set(fragment.x, row, BoxDrawing.single.vertical);
+            set(right, row, BoxDrawing.single.vertical);
+        }
+        for (let col = fragment.x + 1; col < right; col++) {
+            set(col, bottom, BoxDrawing.single.horizontal);
+        }
+        set(fragment.x, bottom, BoxDrawing.single.bottomLeft);
+        set(right, bottom, BoxDrawing.single.bottomRight);
+
+        fragment.sections.forEach((section, i) => {
+            const top = i === 0;
+            const line = top ? BoxDrawing.single.horizontal : BoxDrawing.dashed.horizontal;
+            for (let col = fragment.x + 1; col < right; col++) {
+                set(col, section.y, line);
+            }
+            set(fragment.x, section.y, top ? BoxDrawing.single.topLeft : BoxDrawing.single.teeRight);
+            set(right, section.y, top ? BoxDrawing.single.topRight : BoxDrawing.single.teeLeft);
+
+            if (section.caption) text(fragment.x + 1, section.y, section.caption);
+        });
+    }
+
+    for (const message of layout.messages) {
+        const chars = LINE_CHARS[message.type];
+        const lines = message.text ? message.text.split('\n') : [];
+
+        if (message.self) {
+            lines.forEach((line, i) => text(message.from + 2, message.y + i, line));
+            set(message.from + 1, message.arrowY, chars.line);
+            set(message.from + 2, message.arrowY, chars.line);
+            set(message.from + 3, message.arrowY, BoxDrawing.single.topRight);
+            set(message.from + 1, message.arrowY + 1, chars.left);
+            set(message.from + 2, message.arrowY + 1, chars.line);
+            set(message.from + 3, message.arrowY + 1, BoxDrawing.single.bottomRight);
+            continue;
+        }
+
+        const left = Math.min(message.from, message.to);
+        const right = Math.max(message.from, message.to);
+        for (let col = left + 1; col < right; col++) {
+            set(col, message.arrowY, chars.line);
+        }
+        if (message.to > message.from) {
+            set(right - 1, message.arrowY, chars.right);
+        } else {
+            set(left + 1, message.arrowY, chars.left);
+        }
+
+        lines.forEach((line, i) => {
+            text(left + Math.max(1, Math.floor((right - left + 1 - line.length) / 2)), message.y + i, line);
+        });
+    }
+
+    for (const note of layout.notes) {
+        drawBox(buffer, x + note.x, y + note.y, note.width, note.height, BoxDrawing.rounded, color);
+        note.lines.forEach((line, i) => text(note.x + 2, note.y + 1 + i, line));
+    }
+
+    // Participant boxes, actors with rounded corners
+    for (const p of layout.participants) {
+        const chars = p.kind === 'actor' ? BoxDrawing.rounded : BoxDrawing.single;
+        drawBox(buffer, x + p.x, y + p.y, p.width, p.height, chars, color);
+        p.label.split('\n').forEach((line, i) => {
+            text(p.x + Math.floor((p.width - line.length) / 2), p.y + 1 + i, line);
+        });
+        set(p.center, p.y + p.height - 1, BoxDrawing.single.teeDown);
+    }
+}
+
+// ==========================================
+// CONVENIENCE
+// ==========================================
+
+/**
+ * Check whether source text is a Mermaid or PlantUML sequence diagram
+ * @param {string} source
+ * @returns {boolean}
+ */
+export function isSequenceDiagram(source) {
+    const first = source.replace(/%%.*$/gm, '').trim().split('\n')[0] || '';
+    return /^sequenceDiagram\b/.test(first.trim()) || /^@startuml\b/i.test(first.trim());
+}
+
+/**
+ * Parse sequence diagram source
+ * @param {string} source
+ * @returns {SequenceDiagram}
+ */
+export function parseSequenceDiagram(source) {
+    return new SequenceParser().parse(source);
+}
+
+export default {
+    SequenceDiagram,
+    SequenceParser,
+    SequenceMessageType,
+    SequenceFragmentType,
+    SequenceNotePosition,
+    isSequenceDiagram,
+    parseSequenceDiagram,
+    layoutSequenceDiagram,
+    renderSequenceDiagram
+};
@@ -0,0 +1,613 @@
+/**
+ * Asciistrator - Plain-Text Diagram Recognition
+ *
+ * Finds structure in plain-text diagrams (README architecture sketches,
+ * box-drawing art): rectangles drawn with box-drawing characters or
+ * `+--+` corners, connectors with arrowheads and free text labels.
+ * The result is turned into editable object data with the connections
+ * between boxes and connectors preserved.
+ */
+
+import { uuid } from '../utils/helpers.js';
+
+// ==========================================
+// CHARACTER CLASSES
+// ==========================================
+
+const UP = 1;
+const RIGHT = 2;
+const DOWN = 4;
+const LEFT = 8;
+
+const DIRECTIONS = [
+    { bit: UP, dx: 0, dy: -1, opposite: DOWN },
+    { bit: RIGHT, dx: 1, dy: 0, opposite: LEFT },
+    { bit: DOWN, dx: 0, dy: 1, opposite: UP },
+    { bit: LEFT, dx: -1, dy: 0, opposite: RIGHT }
+];
+
+/**
+ * Connection directions of box-drawing and ASCII line characters
+ */
+const LINE_CONNECTIONS = {};
+
+function defineChars(chars, connections) {
+    for (const char of chars) LINE_CONNECTIONS[char] = connections;
+}
+
+defineChars('─━═┄┈┅╌-=', LEFT | RIGHT);
+defineChars('│┃║┆┊┇╎|', UP | DOWN);
+defineChars('┌╔╭┏╒╓', RIGHT | DOWN);
+defineChars('┐╗╮┓╕╖', LEFT | DOWN);
+defineChars('└╚╰┗╘╙', UP | RIGHT);
+defineChars('┘╝╯┛╛╜', UP | LEFT);
+defineChars('├╠┣╞╟', UP | RIGHT | DOWN);
+defineChars('┤╣┫╡╢', UP | LEFT | DOWN);
+defineChars('┬╦┳╤╥', LEFT | RIGHT | DOWN);
+defineChars('┴╩┻╧╨', LEFT | RIGHT | UP);
+defineChars('┼╬╋╪╫+', UP | RIGHT | DOWN | LEFT);
+
+/**
+ * Arrowheads and the direction of the line they terminate
+ */
+const ARROWS = {
+    '>': { tail: LEFT, points: RIGHT },
+    '▶': { tail: LEFT, points: RIGHT },
+    '►': { tail: LEFT, points: RIGHT },
+    '→': { tail: LEFT, points: RIGHT },
+    '<': { tail: RIGHT, points: LEFT },
+    '◀': { tail: RIGHT, points: LEFT },
+    '◄': { tail: RIGHT, points: LEFT },
+    '←': { tail: RIGHT, points: LEFT },
+    '^': { tail: DOWN, points: UP },
+    '▲': { tail: DOWN, points: UP },
+    '↑': { tail: DOWN, points: UP },
+    'v': { tail: UP, points: DOWN },
+    'V': { tail: UP, points: DOWN },
+    '▼': { tail: UP, points: DOWN },
+    '↓': { tail: UP, points: DOWN }
+};
+
+const CORNERS = {
+    topLeft: '┌╔╭┏╒╓+',
+    topRight: '┐╗╮┓╕╖+',
+    bottomLeft: '└╚╰┗╘╙+',
+    bottomRight: '┘╝╯┛╛╜+'
+};
+
+const ASCII_LINE_CHARS = '-=|+';
+const DOUBLE_CHARS = '═║╔╗╚╝╠╣╦╩╬=';
+const DASHED_CHARS = '┄┈┅╌┆┊┇╎';
+
+/**
+ * Box style for a top-left corner character
+ * @private
+ */
+function boxStyleFor(corner) {
+    if ('╔╒╓'.includes(corner)) return 'double';
+    if (corner === '╭') return 'rounded';
+    if (corner === '┏') return 'heavy';
+    if (corner === '+') return 'ascii';
+    return 'single';
+}
+
+// ==========================================
+// RECOGNIZER
+// ==========================================
+
+/**
+ * Recognizes boxes, connectors and text in a plain-text diagram
+ */
+export class TextDiagramRecognizer {
+    constructor(options = {}) {
+        this.options = {
+            tabSize: options.tabSize || 4,
+            minAsciiLineLength: options.minAsciiLineLength || 3,
+            textGap: options.textGap ?? 1   // Spaces allowed inside one text label
+        };
+    }
+
+    /**
+     * Recognize the structure of a diagram
+     * @param {string} text - Plain-text diagram
+     * @returns {{width: number, height: number, boxes: object[], paths: object[], texts: object[]}}
+     */
+    recognize(text) {
+        const tab = ' '.repeat(this.options.tabSize);
+        const rows = text.replace(/\r\n?/g, '\n').replace(/\t/g, tab).split('\n').map(line => [...line]);
+        while (rows.length > 0 && rows[rows.length - 1].every(c => c === ' ')) rows.pop();
+
+        this._grid = rows;
+        this._height = rows.length;
+        this._width = Math.max(0, ...rows.map(row => row.length));
+
+        const boxes = this._findBoxes();
+        const borders = this._indexBorders(boxes);
+        const paths = this._findPaths(boxes, borders);
+        const texts = this._findTexts(borders, paths);
+
+        return { width: this._width, height: this._height, boxes, paths, texts };
+    }
+
+    /**
+     * @private
+     */
+    _char(x, y) {
+        return (this._grid[y] && this._grid[y][x]) || ' ';
+    }
+
+    // ==========================================
+    // BOXES
+    // ==========================================
+
+    /**
+     * Find closed rectangles
+     * @private
+     */
+    _findBoxes() {
+        const boxes = [];
+
+        for (let y = 0; y < this._height; y++) {
+            for (let x = 0; x < this._width; x++) {
+                if (!CORNERS.topLeft.includes(this._char(x, y))) continue;
+
+                // Smallest box closing from this corner
+                for (let x2 = x + 1; x2 < this._width; x2++) {
+                    const c = this._char(x2, y);
+                    if (CORNERS.topRight.includes(c)) {
+                        const y2 = this._closeBox(x, y, x2);
+                        if (y2 !== null) {
+                            boxes.push({
+                                x,
+                                y,
+                                width: x2 - x + 1,
+                                height: y2 - y + 1,
+                                style: boxStyleFor(this._char(x, y))
+                            });
+                            break;
+                        }
+                    }
+                    if (!this._isEdgeChar(c, LEFT | RIGHT, DOWN)) break;
+                }
+            }
+        }
+
+        return boxes;
+    }
+
+    /**
+     * Follow the vertical edges of a box candidate down to its bottom corners
+     * @private
+     * @returns {number|null} Bottom row, or null when the box does not close
+     */
+    _closeBox(x1, y1, x2) {
+        const ascii = this._char(x1, y1) === '+';
+
+        for (let y = y1 + 1; y < this._height; y++) {
+            const left = this._char(x1, y);
+            const right = this._char(x2, y);
+
+            if (CORNERS.bottomLeft.includes(left) && CORNERS.bottomRight.includes(right) &&
+                (left === '+') === ascii && this._isBottomEdge(x1, x2, y)) {
+                return y;
+            }
+
+            if (!this._isEdgeChar(left, UP | DOWN, RIGHT) || !this._isEdgeChar(right, UP | DOWN, LEFT)) {
+                return null;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * @private
+     */
+    _isBottomEdge(x1, x2, y) {
+        for (let x = x1 + 1; x < x2; x++) {
+            if (!this._isEdgeChar(this._char(x, y), LEFT | RIGHT, UP)) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Check whether a character can be part of a box edge
+     * @param {string} char
+     * @param {number} along - Directions the edge runs in
+     * @param {number} inward - Direction pointing into the box
+     * @private
+     */
+    _isEdgeChar(char, along, inward) {
+        const connections = LINE_CONNECTIONS[char];
+        if (connections !== undefined) {
+            return (connections & along) === along;
+        }
+
+        // Arrowheads drawn onto the border, pointing into the box
+        const arrow = ARROWS[char];
+        return Boolean(arrow && arrow.points === inward);
+    }
+
+    /**
+     * Map border cells to the boxes they belong to
+     * @private
+     */
+    _indexBorders(boxes) {
+        const borders = new Map();
+
+        boxes.forEach((box, index) => {
+            const right = box.x + box.width - 1;
+            const bottom = box.y + box.height - 1;
+
+            for (let x = box.x; x <= right; x++) {
+                borders.set(`${x},${box.y}`, index);
+                borders.set(`${x},${bottom}`, index);
+            }
+            for (let y = box.y; y <= bottom; y++) {
+                borders.set(`${box.x},${y}`, index);
+                borders.set(`${right},${y}`, index);
+            }
+        });
+
+        return borders;
+    }
+
+    // ==========================================
+    // PATHS
+    // ==========================================
+
+    /**
+     * Trace lines and connectors outside of box borders
+     * @private
+     */
+    _findPaths(boxes, borders) {
+        const connections = this._computeConnections(borders);
+        const visited = new Set();
+        const paths = [];
+
+        const degree = (key) => {
+            let count = 0;
+            for (const dir of DIRECTIONS) {
+                if (connections.get(key) & dir.bit) count++;
+            }
+            return count;
+        };
+
+        const walk = (startKey, firstDir) => {
+            const cells = [startKey];
+            let key = startKey;
+            let dir = firstDir;
+
+            for (;;) {
+                const [x, y] = key.split(',').map(Number);
+                const nextKey = `${x + dir.dx},${y + dir.dy}`;
+                visited.add(`${key}>${nextKey}`);
+                visited.add(`${nextKey}>${key}`);
+                cells.push(nextKey);
+
+                if (nextKey === startKey || degree(nextKey) !== 2) break;
+
+                // Continue through the only other connection
+                const mask = connections.get(nextKey) & ~dir.opposite;
+                dir = DIRECTIONS.find(d => mask & d.bit);
+                key = nextKey;
+            }
+
+            return cells;
+        };
+
+        const tracePathsFrom = (key) => {
+            for (const dir of DIRECTIONS) {
+                if (!(connections.get(key) & dir.bit)) continue;
+                const [x, y] = key.split(',').map(Number);
+                if (visited.has(`${key}>${x + dir.dx},${y + dir.dy}`)) continue;
+                const path = this._createPath(walk(key, dir), boxes, borders);
+                if (path) paths.push(path);
+            }
+        };
+
+        // Paths between endpoints and junctions first, then closed loops
+        for (const key of connections.keys()) {
+            if (degree(key) !== 2) tracePathsFrom(key);
+        }
+        for (const key of connections.keys()) {
+            tracePathsFrom(key);
+        }
+
+        // Lone box-drawing characters are lines of a single cell
+        for (const [key, mask] of connections) {
+            if (mask === 0) {
+                const path = this._createPath([key], boxes, borders);
+                if (path) paths.push(path);
+            }
+        }
+
+        return paths;
+    }
+
+    /**
+     * Work out which neighbours every line cell connects to
+     * @private
+     * @returns {Map<string, number>} Cell key to direction bits
+     */
+    _computeConnections(borders) {
+        const allowed = (x, y) => {
+            const key = `${x},${y}`;
+            const char = this._char(x, y);
+            const arrow = ARROWS[char];
+
+            // Border cells belong to boxes, except arrowheads drawn onto them
+            if (borders.has(key) && !arrow) return 0;
+            if (LINE_CONNECTIONS[char] !== undefined) return LINE_CONNECTIONS[char];
+            return arrow ? arrow.tail : 0;
+        };
+
+        const connections = new Map();
+
+        for (let y = 0; y < this._height; y++) {
+            for (let x = 0; x < this._width; x++) {
+                const own = allowed(x, y);
+                if (!own) continue;
+
+                let mask = 0;
+                for (const dir of DIRECTIONS) {
+                    if ((own & dir.bit) && (allowed(x + dir.dx, y + dir.dy) & dir.opposite)) {
+                        mask |= dir.bit;
+                    }
+                }
+
+                const arrow = ARROWS[this._char(x, y)];
+                if (mask) {
+                    connections.set(`${x},${y}`, mask);
+                } else if (!arrow && !ASCII_LINE_CHARS.includes(this._char(x, y))) {
+                    // A lone box-drawing stub still is a line of length one
+                    connections.set(`${x},${y}`, 0);
+                }
+            }
+        }
+
+        return connections;
+    }
+
+    /**
+     * Turn a traced cell sequence into a path description
+     * @private
+     * @returns {object|null} Path, or null when the cells are better read as text
+     */
+    _createPath(keys, boxes, borders) {
+        let cells = keys.map(key => {
+            const [x, y] = key.split(',').map(Number);
+            return { x, y, char: this._char(x, y) };
+        });
+
+        let from = this._findAttachment(cells[0], cells[1], boxes, borders);
+        let to = this._findAttachment(cells[cells.length - 1], cells[cells.length - 2], boxes, borders);
+        let arrowStart = Boolean(ARROWS[cells[0].char]);
+        let arrowEnd = Boolean(ARROWS[cells[cells.length - 1].char]);
+
+        // Short runs of ASCII punctuation are text (hyphens, pipes), not lines
+        const asciiOnly = cells.every(c => ASCII_LINE_CHARS.includes(c.char) || ARROWS[c.char]);
+        if (asciiOnly && !from && !to && !arrowStart && !arrowEnd &&
+            cells.length < this.options.minAsciiLineLength) {
+            return null;
+        }
+
+        // Keep the arrowhead at the end where possible
+        if (arrowStart && !arrowEnd) {
+            cells = cells.reverse();
+            [from, to] = [to, from];
+            [arrowStart, arrowEnd] = [false, true];
+        }
+
+        const lineType = cells.some(c => DOUBLE_CHARS.includes(c.char)) ? 'double'
+            : cells.some(c => DASHED_CHARS.includes(c.char)) ? 'dashed'
+            : asciiOnly ? 'ascii' : 'single';
+
+        return {
+            cells,
+            points: this._simplify(cells),
+            from,
+            to,
+            arrowStart,
+            arrowEnd,
+            lineType
+        };
+    }
+
+    /**
+     * Reduce a cell sequence to its start, corners and end
+     * @private
+     */
+    _simplify(cells) {
+        const points = [{ x: cells[0].x, y: cells[0].y }];
+
+        for (let i = 1; i < cells.length - 1; i++) {
+            const prev = cells[i - 1];
+            const curr = cells[i];
+            const next = cells[i + 1];
+            const straight = (prev.x === curr.x && curr.x === next.x) || (prev.y === curr.y && curr.y === next.y);
+            if (!straight) points.push({ x: curr.x, y: curr.y });
+        }
+
+        if (cells.length > 1) {
+            const last = cells[cells.length - 1];
+            points.push({ x: last.x, y: last.y });
+        }
+
+        return points;
+    }
+
+    /**
+     * Find the box a path end touches from the outside
+     * @param {object} end - End cell
+     * @param {object} [inner] - Neighbouring path cell
+     * @private
+     * @returns {{box: number, side: string}|null}
+     */
+    _findAttachment(end, inner, boxes, borders) {
+        const onBorder = borders.get(`${end.x},${end.y}`);
+        if (onBorder !== undefined) {
+            return { box: onBorder, side: this._sideOf(boxes[onBorder], end.x, end.y) };
+        }
+
+        for (const dir of DIRECTIONS) {
+            const nx = end.x + dir.dx;
+            const ny = end.y + dir.dy;
+            if (inner && inner.x === nx && inner.y === ny) continue;
+
+            const index = borders.get(`${nx},${ny}`);
+            if (index === undefined) continue;
+
+            const box = boxes[index];
+            const inside = end.x > box.x && end.x < box.x + box.width - 1 &&
+                           end.y > box.y && end.y < box.y + box.height - 1;
+            if (!inside) {
+                return { box: index, side: this._sideOf(box, nx, ny) };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * @private
+     */
+    _sideOf(box, x, y) {
+        if (y === box.y) return 'top';
+        if (y === box.y + box.height - 1) return 'bottom';
+        if (x === box.x) return 'left';
+        return 'right';
+    }
+
+    // ==========================================
+    // TEXT
+    // ==========================================
+
+    /**
+     * Group remaining characters into text labels
+     * @private
+     */
+    _findTexts(borders, paths) {
+        const used = new Set(borders.keys());
+        for (const path of paths) {
+            for (const cell of path.cells) used.add(`${cell.x},${cell.y}`);
+        }
+
+        const texts = [];
+        const gap = this.options.textGap;
+
+        for (let y = 0; y < this._height; y++) {
+            let run = null;
+            let spaces = 0;
+
+            const flush = () => {
+                if (run) texts.push(run);
+                run = null;
+            };
+
+            for (let x = 0; x <= this._width; x++) {
+                const char = this._char(x, y);
+                const free = x < this._width && !used.has(`${x},${y}`);
+
+                if (free && char !== ' ') {
+                    if (run && spaces > 0) run.text += ' '.repeat(spaces);
+                    if (!run) run = { x, y, text: '' };
+                    run.text += char;
+                    spaces = 0;
+                } else if (free && run && spaces < gap) {
+                    spaces++;
+                } else {
+                    flush();
+                    spaces = 0;
+                }
+            }
+        }
+
+        return texts;
+    }
+}
+
+// ==========================================
+// OBJECT CREATION
+// ==========================================
+
+/**
+ * Create object data from a recognized diagram. Boxes become rectangles,
+ * lines touching a box or carrying an arrowhead become connectors linked
+ * to those rectangles, other lines become line objects.
+ * @param {object} diagram - Result from TextDiagramRecognizer.recognize()
+ * @param {number} startX - Starting X position
+ * @param {number} startY - Starting Y position
+ * @returns {object[]} Array of object data
+ */
+export function createObjectsFromDiagram(diagram, startX = 0, startY = 0) {
+    const objects = [];
+
+    const boxIds = diagram.boxes.map(box => {
+        const id = uuid();
+        objects.push({
+            type: 'rectangle',
+            id,
+            x: startX + box.x,
+            y: startY + box.y,
+            width: box.width,
+            height: box.height,
+            boxStyle: box.style
+        });
+        return id;
+    });
+
+    for (const path of diagram.paths) {
+        const start = path.points[0];
+        const end = path.points[path.points.length - 1];
+        const connected = path.from || path.to || path.arrowStart || path.arrowEnd;
+
+        if (!connected && path.points.length <= 2) {
+            objects.push({
+                type: 'line',
+                id: uuid(),
+                x1: startX + start.x,
+                y1: startY + start.y,
+                x2: startX + end.x,
+                y2: startY + end.y,
+                lineStyle: path.lineType
+            });
+            continue;
+        }
+
+        objects.push({
+            type: 'connector',
+            id: uuid(),
+            fromShapeId: path.from ? boxIds[path.from.box] : null,
+            fromSnapPoint: path.from ? path.from.side : null,
+            toShapeId: path.to ? boxIds[path.to.box] : null,
+            toSnapPoint: path.to ? path.to.side : null,
+            startX: startX + start.x,
+            startY: startY + start.y,
+            endX: startX + end.x,
+            endY: startY + end.y,
+            waypoints: path.points.slice(1, -1).map(p => ({ x: startX + p.x, y: startY + p.y })),
+            connectorStyle: path.points.length > 2 ? 'orthogonal' : 'straight',
+            lineType: path.lineType === 'double' || path.lineType === 'dashed' ? path.lineType : 'solid',
+            arrowStart: path.arrowStart,
+            arrowEnd: path.arrowEnd
+        });
+    }
+
+    for (const text of diagram.texts) {
+        objects.push({
+            type: 'text',
+            id: uuid(),
+            x: startX + text.x,
+            y: startY + text.y,
+            text: text.text
+        });
+    }
+
+    return objects;
+}
+
+export default {
+    TextDiagramRecognizer,
+    createObjectsFromDiagram
+};
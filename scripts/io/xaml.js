@@ -0,0 +1,1415 @@
+/**
+ * Asciistrator - XAML Import
+ *
+ * Rebuilds Avalonia and WPF screens as UI components and frames at
+ * character-cell scale, the reverse of the Avalonia XAML export:
+ * - Controls become component objects drawn with their mockup; attribute
+ *   names are looked up through the framework mappings and values are
+ *   checked against the control's property schema
+ * - Panels are measured and arranged by their XAML rules (Grid rows and
+ *   columns, StackPanel, DockPanel, WrapPanel, UniformGrid, Canvas) and
+ *   become frames; a StackPanel becomes an auto-layout frame when
+ *   auto-layout puts its children back where the panel arranged them
+ * - The content of Window, GroupBox, Expander and the other containers is
+ *   placed inside their chrome, where the exporters nest it again
+ *
+ * Pixel sizes are converted with the XAML export's cell size (10 × 18 px
+ * by default). Styles, resources and templates are ignored, and of a
+ * TabControl only the selected tab's content is drawn.
+ */
+
+import { getControlByType } from '../components/controls/index.js';
+import { PropertyType } from '../components/PropertySystem.js';
+import frameworkMappingRegistry, { UIFramework } from '../components/FrameworkMappings.js';
+import { renderMockup, getBindingPath } from './exporters/TerminalLayout.js';
+import { uuid } from '../utils/helpers.js';
+
+// ==========================================
+// CONSTANTS
+// ==========================================
+
+const DEFAULT_OPTIONS = {
+    cellWidth: 10,
+    cellHeight: 18
+};
+
+/**
+ * XAML elements drawn with a differently named component
+ */
+const ELEMENT_ALIASES = {
+    ListView: 'ListBox',
+    AccessText: 'TextBlock',
+    ContentPresenter: 'ContentControl'
+};
+
+/**
+ * Panels arranged by the importer; they become frames
+ */
+const PANEL_TYPES = new Set([
+    'Grid', 'StackPanel', 'VirtualizingStackPanel', 'DockPanel', 'WrapPanel', 'UniformGrid',
+    'Canvas', 'Panel', 'RelativePanel'
+]);
+
+/**
+ * Root elements that only hold the view; their content is imported without them
+ */
+const VIEW_ROOTS = new Set(['UserControl', 'Page']);
+
+/**
+ * Cells between the edge of a container control and its content, where
+ * its mockup draws borders, headers and scroll bars
+ */
+const CONTENT_INSETS = {
+    Window: { top: 2, right: 1, bottom: 2, left: 1 },
+    Dialog: { top: 2, right: 1, bottom: 4, left: 1 },
+    GroupBox: { top: 1, right: 1, bottom: 1, left: 1 },
+    Expander: { top: 3, right: 1, bottom: 1, left: 1 },
+    Card: { top: 3, right: 1, bottom: 1, left: 1 },
+    HeaderedContentControl: { top: 3, right: 1, bottom: 1, left: 1 },
+    TabControl: { top: 3, right: 1, bottom: 1, left: 1 },
+    ScrollViewer: { top: 1, right: 2, bottom: 2, left: 1 },
+    ContentControl: { top: 1, right: 1, bottom: 1, left: 1 },
+    Viewbox: { top: 1, right: 1, bottom: 1, left: 1 }
+};
+
+const NO_INSETS = { top: 0, right: 0, bottom: 0, left: 0 };
+
+/**
+ * Cells a control draws around its text, for controls sized by their text
+ */
+const TEXT_CHROME = {
+    Button: 4,
+    RepeatButton: 4,
+    ToggleButton: 6,
+    SplitButton: 8,
+    DropDownButton: 8,
+    HyperlinkButton: 0,
+    CheckBox: 4,
+    RadioButton: 4,
+    ToggleSwitch: 11,
+    Hyperlink: 2,
+    Tag: 2,
+    Label: 0,
+    TextBlock: 0,
+    SelectableTextBlock: 0
+};
+
+/**
+ * Text controls as tall as their text
+ */
+const MULTILINE_TYPES = new Set(['Label', 'TextBlock', 'SelectableTextBlock']);
+
+/**
+ * Controls that keep their own size unless stretched explicitly
+ */
+const FIT_CONTENT_TYPES = new Set([
+    'Button', 'RepeatButton', 'ToggleButton', 'SplitButton', 'DropDownButton', 'HyperlinkButton',
+    'CheckBox', 'RadioButton', 'ToggleSwitch', 'Hyperlink', 'Tag'
+]);
+
+/**
+ * Property filled from the child elements of item controls
+ */
+const ITEM_PROPERTIES = {
+    ComboBox: 'items',
+    ListBox: 'items',
+    ItemsControl: 'items',
+    Carousel: 'items',
+    FlipView: 'items',
+    TabControl: 'tabs',
+    TreeView: 'items',
+    Menu: 'items',
+    ContextMenu: 'items',
+    DataGrid: 'columns'
+};
+
+/**
+ * Items with a header and nested items
+ */
+const HEADERED_ITEMS = new Set(['TabItem', 'TreeViewItem', 'MenuItem']);
+
+/**
+ * Attributes applied as geometry instead of being stored as properties
+ */
+const LAYOUT_ATTRIBUTES = new Set([
+    'Name', 'Width', 'Height', 'MinWidth', 'MinHeight', 'MaxWidth', 'MaxHeight', 'Margin', 'Padding',
+    'HorizontalAlignment', 'VerticalAlignment', 'IsVisible', 'Visibility'
+]);
+
+/**
+ * Attribute names that differ between Avalonia versions
+ */
+const ATTRIBUTE_ALIASES = {
+    PlaceholderText: 'watermark'
+};
+
+/**
+ * Property types that can hold a binding expression
+ */
+const BINDABLE_TYPES = new Set([PropertyType.String, PropertyType.Object, PropertyType.Binding, PropertyType.Command]);
+
+const NAME = /[A-Za-z_][\w.:-]*/y;
+const ATTRIBUTE = /\s*([A-Za-z_][\w.:-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/y;
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+// ==========================================
+// PARSER
+// ==========================================
+
+/**
+ * @typedef {Object} XamlElement
+ * @property {string} name - Qualified name, e.g. `Grid.RowDefinitions` or `x:String`
+ * @property {Object<string, string>} attributes - Decoded attribute values by qualified name
+ * @property {Array<XamlElement>} children - Child elements
+ * @property {Array<XamlElement|string>} nodes - Child elements and text in document order
+ * @property {number} line - Line of the start tag
+ */
+
+/**
+ * Minimal XML parser for XAML markup
+ */
+export class XamlParser {
+    /**
+     * Parse XAML markup into an element tree
+     * @param {string} source - XAML markup
+     * @returns {XamlElement} Root element
+     * @throws {Error} If the markup is not well-formed
+     */
+    parse(source) {
+        this._source = source;
+        this._pos = 0;
+
+        this._skipMisc();
+        if (this._source[this._pos] !== '<') {
+            this._fail('expected a root element');
+        }
+        const root = this._parseElement();
+        this._skipMisc();
+        if (this._pos < this._source.length) {
+            this._fail('unexpected content after the root element');
+        }
+
+        return root;
+    }
+
+    /**
+     * Parse an element starting at `<`
+     * @private
+     */
+    _parseElement() {
+        const line = this._lineAt(this._pos);
+        this._pos++;
+        const name = this._read(NAME)?.[0];
+        if (!name) this._fail('expected an element name');
+
+        const element = { name, attributes: {}, children: [], nodes: [], line };
+        let attribute;
+        while ((attribute = this._read(ATTRIBUTE))) {
+            element.attributes[attribute[1]] = decodeEntities(attribute[2] ?? attribute[3]);
+        }
+
+        this._skipSpace();
+        if (this._startsWith('/>')) {
+            this._pos += 2;
+            return element;
+        }
+        if (this._source[this._pos] !== '>') this._fail(`unexpected character in <${name}>`);
+        this._pos++;
+
+        for (;;) {
+            if (this._pos >= this._source.length) this._fail(`<${name}> is not closed`, line);
+
+            if (this._startsWith('</')) {
+                this._pos += 2;
+                if (this._read(NAME)?.[0] !== name) this._fail(`expected </${name}>`);
+                this._skipSpace();
+                if (this._source[this._pos] !== '>') this._fail(`expected ">" after </${name}`);
+                this._pos++;
+                return element;
+            }
+
+            if (this._startsWith('<!--')) {
+                this._skipPast('-->', 'comment');
+            } else if (this._startsWith('<![CDATA[')) {
+                const start = this._pos + 9;
+                this._skipPast(']]>', 'CDATA section');
+                element.nodes.push(this._source.slice(start, this._pos - 3));
+            } else if (this._source[this._pos] === '<') {
+                const child = this._parseElement();
+                element.children.push(child);
+                element.nodes.push(child);
+            } else {
+                const end = this._source.indexOf('<', this._pos);
+                const stop = end === -1 ? this._source.length : end;
+                element.nodes.push(decodeEntities(this._source.slice(this._pos, stop)));
+                this._pos = stop;
+            }
+        }
+    }
+
+    /**
+     * Skip whitespace, the XML declaration, comments and DOCTYPE
+     * @private
+     */
+    _skipMisc() {
+        for (;;) {
+            this._skipSpace();
+            if (this._startsWith('<?')) this._skipPast('?>', 'processing instruction');
+            else if (this._startsWith('<!--')) this._skipPast('-->', 'comment');
+            else if (this._startsWith('<!DOCTYPE')) this._skipPast('>', 'DOCTYPE');
+            else return;
+        }
+    }
+
+    /** @private */
+    _skipSpace() {
+        while (/\s/.test(this._source[this._pos] || '')) this._pos++;
+    }
+
+    /** @private */
+    _skipPast(terminator, what) {
+        const end = this._source.indexOf(terminator, this._pos);
+        if (end === -1) this._fail(`unterminated ${what}`);
+        this._pos = end + terminator.length;
+    }
+
+    /** @private */
+    _startsWith(text) {
+        return this._source.startsWith(text, this._pos);
+    }
+
+    /**
+     * Match a sticky pattern at the current position and move past it
+     * @private
+     */
+    _read(pattern) {
+        pattern.lastIndex = this._pos;
+        const match = pattern.exec(this._source);
+        if (match) this._pos = pattern.lastIndex;
+        return match;
+    }
+
+    /** @private */
+    _lineAt(pos) {
+        let line = 1;
+        for (let i = 0; i < pos; i++) {
+            if (this._source[i] === '\n') line++;
+        }
+        return line;
+    }
+
+    /** @private */
+    _fail(message, line = this._lineAt(this._pos)) {
+        throw new Error(`XAML line ${line}: ${message}`);
+    }
+}
+
+/**
+ * Replace XML character and entity references
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (reference, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' || entity[1] === 'X'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return ENTITIES[entity] ?? reference;
+    });
+}
+
+/**
+ * Element or attribute name without its namespace prefix
+ * @param {string} name
+ * @returns {string}
+ */
+function localName(name) {
+    return name.slice(name.indexOf(':') + 1);
+}
+
+// ==========================================
+// IMPORTER
+// ==========================================
+
+/**
+ * @typedef {Object} XamlBox
+ * @property {XamlElement} element
+ * @property {string} kind - `control`, `panel` or `border`
+ * @property {string} type - Component type of controls, panel type of panels
+ * @property {string} name - x:Name, empty when unnamed
+ * @property {Object} props - Component properties of controls
+ * @property {Object} margin - Cells around the box
+ * @property {Object} size - Explicit width, height and their limits in cells, null when not set
+ * @property {string|null} horizontalAlignment
+ * @property {string|null} verticalAlignment
+ * @property {Object} insets - Cells between the edge and the children
+ * @property {Object} [panel] - Panel settings
+ * @property {Array<XamlBox>} children
+ * @property {{width: number, height: number}} desired - Measured size including the margin
+ * @property {{x: number, y: number, width: number, height: number}} rect - Arranged bounds
+ */
+
+/**
+ * @typedef {Object} XamlView
+ * @property {string} title - Window title or class name
+ * @property {number} width - Width in cells
+ * @property {number} height - Height in cells
+ * @property {XamlBox} root - Arranged layout
+ * @property {Array<string>} warnings - Skipped elements and attributes
+ */
+
+/**
+ * Lays out Avalonia/WPF XAML at character-cell scale
+ */
+export class XamlImporter {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.cellWidth=10] - Pixels per column
+     * @param {number} [options.cellHeight=18] - Pixels per row
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this._properties = new Map();
+    }
+
+    /**
+     * Parse and lay out a XAML view
+     * @param {string} source - XAML markup
+     * @returns {XamlView}
+     * @throws {Error} If the markup is not well-formed or draws nothing
+     */
+    import(source) {
+        const element = new XamlParser().parse(source);
+        this._warnings = [];
+
+        const root = this._buildBox(element);
+        if (!root) {
+            throw new Error(`XAML: <${localName(element.name)}> has nothing to import`);
+        }
+
+        const attributes = element.attributes;
+        const designWidth = this._cells(attributes['d:DesignWidth'] ?? attributes.Width, 'x');
+        const designHeight = this._cells(attributes['d:DesignHeight'] ?? attributes.Height, 'y');
+        const desired = this._measure(root, designWidth ?? Infinity, designHeight ?? Infinity);
+        const width = designWidth ?? desired.width;
+        const height = designHeight ?? desired.height;
+        this._arrange(root, 0, 0, width, height);
+
+        return {
+            title: attributes.Title || attributes['x:Class']?.split('.').pop() || localName(element.name),
+            width,
+            height,
+            root,
+            warnings: this._warnings
+        };
+    }
+
+    // ==========================================
+    // ELEMENTS
+    // ==========================================
+
+    /**
+     * Build the layout box of an element
+     * @private
+     * @returns {XamlBox|null} Null for elements that draw nothing
+     */
+    _buildBox(element) {
+        const local = localName(element.name);
+        const attributes = element.attributes;
+
+        if (local.includes('.')) return null;
+        if (/^false$/i.test(attributes.IsVisible) || /^(Collapsed|Hidden)$/.test(attributes.Visibility)) {
+            return null;
+        }
+
+        const box = {
+            element,
+            kind: 'control',
+            type: local,
+            name: attributes['x:Name'] || attributes.Name || '',
+            props: {},
+            margin: this._thickness(attributes.Margin),
+            size: {
+                width: this._cells(attributes.Width, 'x'),
+                height: this._cells(attributes.Height, 'y'),
+                minWidth: this._cells(attributes.MinWidth, 'x'),
+                minHeight: this._cells(attributes.MinHeight, 'y'),
+                maxWidth: this._cells(attributes.MaxWidth, 'x'),
+                maxHeight: this._cells(attributes.MaxHeight, 'y')
+            },
+            horizontalAlignment: attributes.HorizontalAlignment || null,
+            verticalAlignment: attributes.VerticalAlignment || null,
+            insets: NO_INSETS,
+            children: [],
+            desired: null,
+            rect: null
+        };
+
+        if (PANEL_TYPES.has(local) || VIEW_ROOTS.has(local)) {
+            box.kind = 'panel';
+            box.type = PANEL_TYPES.has(local) ? local : 'Panel';
+            box.panel = this._panelSettings(box.type, element);
+            box.children = this._buildChildren(this._contentElements(element));
+            return box;
+        }
+
+        if (local === 'Border') {
+            const thickness = String(attributes.BorderThickness ?? '').split(/[\s,]+/).map(parseFloat);
+            const padding = this._thickness(attributes.Padding);
+            const edge = thickness.some(value => value > 0) ? 1 : 0;
+            box.kind = 'border';
+            box.bordered = edge > 0;
+            box.rounded = parseFloat(attributes.CornerRadius) > 0;
+            box.insets = {
+                top: padding.top + edge,
+                right: padding.right + edge,
+                bottom: padding.bottom + edge,
+                left: padding.left + edge
+            };
+            box.children = this._buildChildren(this._contentElements(element));
+            return box;
+        }
+
+        const type = this._componentType(element, local);
+        if (!type) {
+            const children = this._buildChildren(this._contentElements(element));
+            this._warn(element, `<${local}> is not a UI component; ${children.length ? 'its content is kept' : 'skipped'}`);
+            if (children.length === 0) return null;
+            Object.assign(box, { kind: 'panel', type: 'Panel', panel: {}, children });
+            return box;
+        }
+
+        box.type = type;
+        box.props = this._readProperties(element, type);
+        if (CONTENT_INSETS[type]) {
+            box.insets = CONTENT_INSETS[type];
+            box.children = this._buildChildren(this._containerContent(element, type, box.props));
+        }
+        return box;
+    }
+
+    /** @private */
+    _buildChildren(elements) {
+        return elements.map(element => this._buildBox(element)).filter(box => box !== null);
+    }
+
+    /**
+     * Component type drawn for a control element
+     * @private
+     * @returns {string|null}
+     */
+    _componentType(element, local) {
+        let type = getControlByType(local) ? local : ELEMENT_ALIASES[local] || null;
+        if (type === 'TextBox') {
+            if (/^true$/i.test(element.attributes.AcceptsReturn)) type = 'TextArea';
+            else if (element.attributes.PasswordChar) type = 'PasswordBox';
+        }
+        return type;
+    }
+
+    /**
+     * Child elements that are content, including those of `Owner.Content`
+     * property elements
+     * @private
+     */
+    _contentElements(element) {
+        return element.children.flatMap(child => {
+            const local = localName(child.name);
+            if (!local.includes('.')) return [child];
+            return /\.(Content|Child|Children)$/.test(local) ? child.children : [];
+        });
+    }
+
+    /**
+     * Content laid out inside a container control
+     * @private
+     */
+    _containerContent(element, type, props) {
+        if (type === 'Expander' && props.isExpanded === false) return [];
+        if (type !== 'TabControl') return this._contentElements(element);
+
+        const tabs = this._itemElements(element).filter(child => localName(child.name) === 'TabItem');
+        const selected = tabs[props.selectedIndex ?? 0];
+        return selected ? this._contentElements(selected) : [];
+    }
+
+    /**
+     * Item elements of an item control, including those of `Owner.Items`
+     * and `Owner.Columns` property elements
+     * @private
+     */
+    _itemElements(element) {
+        return element.children.flatMap(child => {
+            const local = localName(child.name);
+            if (!local.includes('.')) return [child];
+            return /\.(Items|Columns)$/.test(local) ? child.children : [];
+        });
+    }
+
+    // ==========================================
+    // PROPERTIES
+    // ==========================================
+
+    /**
+     * Read component properties from attributes, text and item elements
+     * @private
+     */
+    _readProperties(element, type) {
+        const { byAttribute, byName } = this._propertiesOf(type);
+        const props = {};
+
+        for (const [attribute, raw] of Object.entries(element.attributes)) {
+            if (attribute.includes(':') || attribute.includes('.') || LAYOUT_ATTRIBUTES.has(attribute)) continue;
+
+            const definition = byAttribute.get(attribute) || byName.get(ATTRIBUTE_ALIASES[attribute]);
+            if (!definition) continue;
+
+            const value = this._convertValue(definition, raw);
+            if (value === undefined) continue;
+            if (definition.validate(value).valid) {
+                props[definition.name] = value;
+            } else {
+                this._warn(element, `invalid ${attribute}="${raw}" on <${localName(element.name)}>`);
+            }
+        }
+
+        const itemProperty = ITEM_PROPERTIES[type];
+        if (itemProperty) {
+            const items = this._itemElements(element);
+            const values = items.map(item => this._readItem(item)).filter(item => item !== null);
+            if (values.length > 0 && !(itemProperty in props)) props[itemProperty] = values;
+
+            const selected = items.findIndex(item => /^true$/i.test(item.attributes.IsSelected));
+            if (selected >= 0 && byName.has('selectedIndex') && !('selectedIndex' in props)) {
+                props.selectedIndex = selected;
+            }
+        } else if (!CONTENT_INSETS[type]) {
+            const property = ['content', 'text'].find(name => byName.has(name));
+            const text = this._propertyText(element, 'Content') ?? this._textOf(element);
+            if (property && text && !(property in props)) props[property] = text;
+        }
+
+        const header = this._propertyText(element, 'Header');
+        if (header && byName.has('header') && !('header' in props)) props.header = header;
+
+        return props;
+    }
+
+    /**
+     * Property definitions of a control by XAML attribute and by name
+     * @private
+     */
+    _propertiesOf(type) {
+        if (!this._properties.has(type)) {
+            const byAttribute = new Map();
+            const byName = new Map();
+            for (const definition of getControlByType(type).propertyDefinitions) {
+                byName.set(definition.name, definition);
+                for (const framework of [UIFramework.Avalonia, UIFramework.WPF]) {
+                    const attribute = frameworkMappingRegistry.getPropertyName(framework, definition.name, type);
+                    if (!byAttribute.has(attribute)) byAttribute.set(attribute, definition);
+                }
+            }
+            this._properties.set(type, { byAttribute, byName });
+        }
+        return this._properties.get(type);
+    }
+
+    /**
+     * Convert an attribute value to the property's type
+     * @private
+     * @returns {*} Undefined when the value cannot be imported
+     */
+    _convertValue(definition, raw) {
+        if (raw.startsWith('{}')) {
+            raw = raw.slice(2);
+        } else if (raw.startsWith('{')) {
+            if (/^\{x:Null\s*\}$/.test(raw)) return null;
+            const isBinding = /^\{(Binding|CompiledBinding|x:Bind)\b/.test(raw);
+            return isBinding && BINDABLE_TYPES.has(definition.type) ? raw : undefined;
+        }
+
+        switch (definition.type) {
+            case PropertyType.Boolean:
+            case PropertyType.NullableBoolean:
+                return /^(true|false)$/i.test(raw) ? raw.toLowerCase() === 'true' : raw;
+            case PropertyType.Number:
+            case PropertyType.Integer:
+            case PropertyType.Dimension:
+                return raw.trim() !== '' && !isNaN(Number(raw)) ? Number(raw) : raw;
+            case PropertyType.Enum:
+                return definition.enumValues?.find(value => value.toLowerCase() === raw.toLowerCase()) ?? raw;
+            case PropertyType.Collection:
+                return undefined;
+            default:
+                return raw;
+        }
+    }
+
+    /**
+     * Item of an item control: text, a header with nested items, or a
+     * data grid column
+     * @private
+     */
+    _readItem(element) {
+        const local = localName(element.name);
+        const attributes = element.attributes;
+
+        if (local === 'Separator') return null;
+        if (local.endsWith('Column')) {
+            return {
+                header: attributes.Header ?? this._propertyText(element, 'Header') ?? '',
+                binding: getBindingPath(attributes.Binding) || '',
+                width: attributes.Width || '*'
+            };
+        }
+        if (HEADERED_ITEMS.has(local)) {
+            const item = { header: attributes.Header ?? this._propertyText(element, 'Header') ?? '' };
+            if (local === 'TreeViewItem' && /^true$/i.test(attributes.IsExpanded)) item.isExpanded = true;
+            const nested = element.children.filter(child => HEADERED_ITEMS.has(localName(child.name)));
+            if (local !== 'TabItem' && nested.length > 0) {
+                item.items = nested.map(child => this._readItem(child));
+            }
+            return item;
+        }
+        return attributes.Content ?? attributes.Text ?? this._textOf(element);
+    }
+
+    /**
+     * Text of an `Owner.Property` property element
+     * @private
+     * @returns {string|null}
+     */
+    _propertyText(element, property) {
+        const child = element.children.find(c => localName(c.name).endsWith(`.${property}`));
+        return child ? this._textOf(child) : null;
+    }
+
+    /**
+     * Displayed text of an element: its text, Runs and line breaks, and
+     * the text of nested elements
+     * @private
+     */
+    _textOf(element) {
+        const text = element.nodes.map(node => {
+            if (typeof node === 'string') return node.replace(/\s+/g, ' ');
+            const local = localName(node.name);
+            if (local.includes('.')) return '';
+            if (local === 'LineBreak') return '\n';
+            return node.attributes.Text ?? node.attributes.Content ?? this._textOf(node);
+        }).join('');
+
+        return text.split('\n').map(line => line.replace(/ +/g, ' ').trim()).join('\n').trim();
+    }
+
+    // ==========================================
+    // MEASURE
+    // ==========================================
+
+    /**
+     * Measure a box in the space available to it
+     * @private
+     * @returns {{width: number, height: number}} Desired size including the margin
+     */
+    _measure(box, availableWidth, availableHeight) {
+        const { margin, size, insets } = box;
+        const outerWidth = margin.left + margin.right;
+        const outerHeight = margin.top + margin.bottom;
+        const innerWidth = Math.max(0,
+            (size.width ?? Math.min(size.maxWidth ?? Infinity, availableWidth - outerWidth)) - insets.left - insets.right);
+        const innerHeight = Math.max(0,
+            (size.height ?? Math.min(size.maxHeight ?? Infinity, availableHeight - outerHeight)) - insets.top - insets.bottom);
+
+        let content;
+        if (box.kind === 'panel') {
+            content = this._measurePanel(box, innerWidth, innerHeight);
+        } else if (box.children.length > 0) {
+            content = box.children
+                .map(child => this._measure(child, innerWidth, innerHeight))
+                .reduce((a, b) => ({ width: Math.max(a.width, b.width), height: Math.max(a.height, b.height) }));
+        } else if (box.kind === 'control') {
+            content = this._measureControl(box, innerWidth);
+        } else {
+            content = { width: 0, height: 0 };
+        }
+
+        const intrinsic = box.kind === 'control' && box.children.length === 0;
+        const width = size.width ?? clamp(
+            content.width + (intrinsic ? 0 : insets.left + insets.right), size.minWidth, size.maxWidth);
+        const height = size.height ?? clamp(
+            content.height + (intrinsic ? 0 : insets.top + insets.bottom), size.minHeight, size.maxHeight);
+
+        box.desired = { width: width + outerWidth, height: height + outerHeight };
+        return box.desired;
+    }
+
+    /**
+     * Size of a control without content elements: its text plus chrome, or
+     * the control's default size
+     * @private
+     */
+    _measureControl(box, availableWidth) {
+        const ControlClass = getControlByType(box.type);
+        const text = String(box.props.content ?? box.props.text ?? '');
+
+        if (box.type in TEXT_CHROME && text) {
+            const lines = text.split('\n');
+            const longest = Math.max(...lines.map(line => line.length));
+            if (!MULTILINE_TYPES.has(box.type)) {
+                return { width: longest + TEXT_CHROME[box.type], height: ControlClass.defaultHeight };
+            }
+            const wraps = box.props.textWrapping === 'Wrap' && availableWidth > 0 && longest > availableWidth;
+            return {
+                width: wraps ? availableWidth : longest,
+                height: wraps
+                    ? lines.reduce((sum, line) => sum + Math.max(1, Math.ceil(line.length / availableWidth)), 0)
+                    : lines.length
+            };
+        }
+
+        return { width: ControlClass.defaultWidth, height: ControlClass.defaultHeight };
+    }
+
+    /**
+     * Measure the children of a panel
+     * @private
+     */
+    _measurePanel(box, width, height) {
+        const { children, panel } = box;
+
+        switch (box.type) {
+            case 'StackPanel':
+            case 'VirtualizingStackPanel': {
+                const sizes = children.map(child => panel.horizontal
+                    ? this._measure(child, Infinity, height)
+                    : this._measure(child, width, Infinity));
+                const gaps = Math.max(0, sizes.length - 1) * panel.spacing;
+                return panel.horizontal
+                    ? { width: sum(sizes.map(s => s.width)) + gaps, height: Math.max(0, ...sizes.map(s => s.height)) }
+                    : { width: Math.max(0, ...sizes.map(s => s.width)), height: sum(sizes.map(s => s.height)) + gaps };
+            }
+
+            case 'WrapPanel': {
+                children.forEach(child => this._measure(child, width, height));
+                const lines = wrapLines(children, panel.horizontal ? width : height, panel.horizontal);
+                const along = panel.horizontal ? 'width' : 'height';
+                const across = panel.horizontal ? 'height' : 'width';
+                return {
+                    [along]: Math.max(0, ...lines.map(line => line.length)),
+                    [across]: sum(lines.map(line => line.thickness))
+                };
+            }
+
+            case 'DockPanel': {
+                let usedWidth = 0;
+                let usedHeight = 0;
+                let totalWidth = 0;
+                let totalHeight = 0;
+                for (const child of children) {
+                    const desired = this._measure(child, Math.max(0, width - usedWidth), Math.max(0, height - usedHeight));
+                    if (isVerticalDock(child)) {
+                        totalWidth = Math.max(totalWidth, usedWidth + desired.width);
+                        usedHeight += desired.height;
+                    } else {
+                        totalHeight = Math.max(totalHeight, usedHeight + desired.height);
+                        usedWidth += desired.width;
+                    }
+                }
+                return { width: Math.max(totalWidth, usedWidth), height: Math.max(totalHeight, usedHeight) };
+            }
+
+            case 'Grid': {
+                const cells = children.map(child => ({ child, ...gridCell(child, panel) }));
+                for (const { child, row, column, rowSpan, columnSpan } of cells) {
+                    this._measure(child,
+                        fixedSpan(panel.columns, column, columnSpan, panel.columnSpacing),
+                        fixedSpan(panel.rows, row, rowSpan, panel.rowSpacing));
+                }
+                panel.rowSizes = measureTracks(panel.rows, panel.rowSpacing,
+                    cells.map(c => ({ start: c.row, span: c.rowSpan, size: c.child.desired.height })));
+                panel.columnSizes = measureTracks(panel.columns, panel.columnSpacing,
+                    cells.map(c => ({ start: c.column, span: c.columnSpan, size: c.child.desired.width })));
+                return {
+                    width: sum(panel.columnSizes) + panel.columnSpacing * (panel.columns.length - 1),
+                    height: sum(panel.rowSizes) + panel.rowSpacing * (panel.rows.length - 1)
+                };
+            }
+
+            case 'UniformGrid': {
+                const { rows, columns } = uniformGridSize(panel, children.length);
+                const sizes = children.map(child => this._measure(child, width / columns, height / rows));
+                return {
+                    width: Math.max(0, ...sizes.map(s => s.width)) * columns,
+                    height: Math.max(0, ...sizes.map(s => s.height)) * rows
+                };
+            }
+
+            case 'Canvas': {
+                const sizes = children.map(child => {
+                    const desired = this._measure(child, Infinity, Infinity);
+                    const { left, top } = this._canvasOffset(child);
+                    return { width: (left ?? 0) + desired.width, height: (top ?? 0) + desired.height };
+                });
+                return {
+                    width: Math.max(0, ...sizes.map(s => s.width)),
+                    height: Math.max(0, ...sizes.map(s => s.height))
+                };
+            }
+
+            default: {
+                const sizes = children.map(child => this._measure(child, width, height));
+                return {
+                    width: Math.max(0, ...sizes.map(s => s.width)),
+                    height: Math.max(0, ...sizes.map(s => s.height))
+                };
+            }
+        }
+    }
+
+    // ==========================================
+    // ARRANGE
+    // ==========================================
+
+    /**
+     * Place a box in a slot by its size and alignment
+     * @private
+     */
+    _arrange(box, x, y, width, height) {
+        const { margin, size, insets } = box;
+        const slotWidth = Math.max(0, width - margin.left - margin.right);
+        const slotHeight = Math.max(0, height - margin.top - margin.bottom);
+        const fits = box.kind === 'control' && FIT_CONTENT_TYPES.has(box.type);
+        const horizontal = box.horizontalAlignment || (fits ? 'Left' : 'Stretch');
+        const vertical = box.verticalAlignment || (fits ? 'Top' : 'Stretch');
+
+        const boxWidth = size.width ?? clamp(horizontal === 'Stretch'
+            ? slotWidth
+            : Math.min(box.desired.width - margin.left - margin.right, slotWidth), size.minWidth, size.maxWidth);
+        const boxHeight = size.height ?? clamp(vertical === 'Stretch'
+            ? slotHeight
+            : Math.min(box.desired.height - margin.top - margin.bottom, slotHeight), size.minHeight, size.maxHeight);
+
+        box.rect = {
+            x: x + margin.left + alignOffset(horizontal, slotWidth - boxWidth),
+            y: y + margin.top + alignOffset(vertical, slotHeight - boxHeight),
+            width: boxWidth,
+            height: boxHeight
+        };
+
+        const content = {
+            x: box.rect.x + insets.left,
+            y: box.rect.y + insets.top,
+            width: Math.max(0, boxWidth - insets.left - insets.right),
+            height: Math.max(0, boxHeight - insets.top - insets.bottom)
+        };
+
+        if (box.kind === 'panel') {
+            this._arrangePanel(box, content);
+        } else {
+            for (const child of box.children) {
+                this._arrange(child, content.x, content.y, content.width, content.height);
+            }
+        }
+    }
+
+    /**
+     * Arrange the children of a panel in its content area
+     * @private
+     */
+    _arrangePanel(box, { x, y, width, height }) {
+        const { children, panel } = box;
+
+        switch (box.type) {
+            case 'StackPanel':
+            case 'VirtualizingStackPanel': {
+                let position = panel.horizontal ? x : y;
+                for (const child of children) {
+                    if (panel.horizontal) {
+                        this._arrange(child, position, y, child.desired.width, height);
+                        position += child.desired.width + panel.spacing;
+                    } else {
+                        this._arrange(child, x, position, width, child.desired.height);
+                        position += child.desired.height + panel.spacing;
+                    }
+                }
+                break;
+            }
+
+            case 'WrapPanel': {
+                let offset = 0;
+                for (const line of wrapLines(children, panel.horizontal ? width : height, panel.horizontal)) {
+                    let position = 0;
+                    for (const child of line.items) {
+                        const { width: w, height: h } = child.desired;
+                        if (panel.horizontal) this._arrange(child, x + position, y + offset, w, line.thickness);
+                        else this._arrange(child, x + offset, y + position, line.thickness, h);
+                        position += panel.horizontal ? w : h;
+                    }
+                    offset += line.thickness;
+                }
+                break;
+            }
+
+            case 'DockPanel': {
+                const rest = { x, y, width, height };
+                children.forEach((child, index) => {
+                    if (panel.lastChildFill && index === children.length - 1) {
+                        this._arrange(child, rest.x, rest.y, rest.width, rest.height);
+                        return;
+                    }
+                    const dock = child.element.attributes['DockPanel.Dock'] || 'Left';
+                    const w = Math.min(child.desired.width, rest.width);
+                    const h = Math.min(child.desired.height, rest.height);
+                    switch (dock) {
+                        case 'Top':
+                            this._arrange(child, rest.x, rest.y, rest.width, h);
+                            rest.y += h;
+                            rest.height -= h;
+                            break;
+                        case 'Bottom':
+                            this._arrange(child, rest.x, rest.y + rest.height - h, rest.width, h);
+                            rest.height -= h;
+                            break;
+                        case 'Right':
+                            this._arrange(child, rest.x + rest.width - w, rest.y, w, rest.height);
+                            rest.width -= w;
+                            break;
+                        default:
+                            this._arrange(child, rest.x, rest.y, w, rest.height);
+                            rest.x += w;
+                            rest.width -= w;
+                    }
+                });
+                break;
+            }
+
+            case 'Grid': {
+                const rows = arrangeTracks(panel.rows, panel.rowSpacing, panel.rowSizes, height);
+                const columns = arrangeTracks(panel.columns, panel.columnSpacing, panel.columnSizes, width);
+                const rowStarts = trackStarts(rows, panel.rowSpacing);
+                const columnStarts = trackStarts(columns, panel.columnSpacing);
+                for (const child of children) {
+                    const { row, column, rowSpan, columnSpan } = gridCell(child, panel);
+                    const last = (starts, sizes, index, span) => starts[index + span - 1] + sizes[index + span - 1];
+                    this._arrange(child,
+                        x + columnStarts[column],
+                        y + rowStarts[row],
+                        last(columnStarts, columns, column, columnSpan) - columnStarts[column],
+                        last(rowStarts, rows, row, rowSpan) - rowStarts[row]);
+                }
+                break;
+            }
+
+            case 'UniformGrid': {
+                const { rows, columns } = uniformGridSize(panel, children.length);
+                const cellWidth = Math.floor(width / columns);
+                const cellHeight = Math.floor(height / rows);
+                children.forEach((child, index) => {
+                    const cell = index + panel.firstColumn;
+                    this._arrange(child,
+                        x + (cell % columns) * cellWidth,
+                        y + Math.floor(cell / columns) * cellHeight,
+                        cellWidth, cellHeight);
+                });
+                break;
+            }
+
+            case 'Canvas':
+                for (const child of children) {
+                    const { left, top, right, bottom } = this._canvasOffset(child);
+                    const { width: w, height: h } = child.desired;
+                    this._arrange(child,
+                        x + (left ?? (right !== null ? width - right - w : 0)),
+                        y + (top ?? (bottom !== null ? height - bottom - h : 0)),
+                        w, h);
+                }
+                break;
+
+            default:
+                for (const child of children) {
+                    this._arrange(child, x, y, width, height);
+                }
+        }
+    }
+
+    // ==========================================
+    // HELPERS
+    // ==========================================
+
+    /**
+     * Settings of a panel from its attributes
+     * @private
+     */
+    _panelSettings(type, element) {
+        const attributes = element.attributes;
+        const horizontal = (attributes.Orientation || (type === 'WrapPanel' ? 'Horizontal' : 'Vertical')) === 'Horizontal';
+
+        switch (type) {
+            case 'StackPanel':
+            case 'VirtualizingStackPanel':
+                return { horizontal, spacing: this._cells(attributes.Spacing, horizontal ? 'x' : 'y') ?? 0 };
+            case 'WrapPanel':
+                return { horizontal };
+            case 'DockPanel':
+                return { lastChildFill: !/^false$/i.test(attributes.LastChildFill) };
+            case 'UniformGrid':
+                return {
+                    rows: parseInt(attributes.Rows, 10) || 0,
+                    columns: parseInt(attributes.Columns, 10) || 0,
+                    firstColumn: parseInt(attributes.FirstColumn, 10) || 0
+                };
+            case 'Grid':
+                return {
+                    rows: this._gridDefinitions(element, 'RowDefinitions', 'Height', 'y'),
+                    columns: this._gridDefinitions(element, 'ColumnDefinitions', 'Width', 'x'),
+                    rowSpacing: this._cells(attributes.RowSpacing, 'y') ?? 0,
+                    columnSpacing: this._cells(attributes.ColumnSpacing, 'x') ?? 0
+                };
+            default:
+                return {};
+        }
+    }
+
+    /**
+     * Grid rows or columns, from the attribute shorthand or definition elements
+     * @private
+     * @returns {Array<{unit: string, value: number}>} `pixel` tracks in cells, `star` weights and `auto`
+     */
+    _gridDefinitions(element, property, sizeAttribute, axis) {
+        const definitions = element.children.find(child => localName(child.name) === `Grid.${property}`);
+        const specs = definitions
+            ? definitions.children.map(child => child.attributes[sizeAttribute] || '*')
+            : (element.attributes[property] || '').split(/[\s,]+/).filter(Boolean);
+
+        return (specs.length > 0 ? specs : ['*']).map(spec => {
+            if (/^auto$/i.test(spec)) return { unit: 'auto', value: 0 };
+            const star = spec.match(/^([\d.]*)\*$/);
+            if (star) return { unit: 'star', value: star[1] ? parseFloat(star[1]) : 1 };
+            return { unit: 'pixel', value: this._cells(spec, axis) ?? 0 };
+        });
+    }
+
+    /**
+     * Canvas.Left/Top/Right/Bottom of a child in cells, null when not set
+     * @private
+     */
+    _canvasOffset(box) {
+        const attributes = box.element.attributes;
+        return {
+            left: this._cells(attributes['Canvas.Left'], 'x'),
+            top: this._cells(attributes['Canvas.Top'], 'y'),
+            right: this._cells(attributes['Canvas.Right'], 'x'),
+            bottom: this._cells(attributes['Canvas.Bottom'], 'y')
+        };
+    }
+
+    /**
+     * Convert a pixel length to cells
+     * @private
+     * @param {string|undefined} value - Length in pixels
+     * @param {string} axis - `x` or `y`
+     * @returns {number|null} Null when not a length (unset, `Auto`, `NaN`)
+     */
+    _cells(value, axis) {
+        const pixels = parseFloat(value);
+        if (!Number.isFinite(pixels)) return null;
+        const cells = Math.round(pixels / (axis === 'x' ? this.options.cellWidth : this.options.cellHeight));
+        return pixels > 0 ? Math.max(1, cells) : Math.max(0, cells);
+    }
+
+    /**
+     * Convert a XAML Thickness (`uniform`, `horizontal,vertical` or
+     * `left,top,right,bottom`) to cells
+     * @private
+     */
+    _thickness(value) {
+        const parts = String(value ?? '').split(/[\s,]+/).filter(Boolean);
+        const [left, top = left, right = left, bottom = top] = parts;
+        return {
+            top: this._cells(top, 'y') ?? 0,
+            right: this._cells(right, 'x') ?? 0,
+            bottom: this._cells(bottom, 'y') ?? 0,
+            left: this._cells(left, 'x') ?? 0
+        };
+    }
+
+    /** @private */
+    _warn(element, message) {
+        this._warnings.push(`Line ${element.line}: ${message}`);
+    }
+}
+
+// ==========================================
+// LAYOUT HELPERS
+// ==========================================
+
+function sum(values) {
+    return values.reduce((total, value) => total + value, 0);
+}
+
+function clamp(value, min, max) {
+    return Math.min(max ?? Infinity, Math.max(min ?? 0, value));
+}
+
+/**
+ * Offset of an aligned box in the free space of its slot
+ */
+function alignOffset(alignment, free) {
+    if (free <= 0) return 0;
+    if (alignment === 'Center') return Math.floor(free / 2);
+    if (alignment === 'Right' || alignment === 'Bottom') return free;
+    return 0;
+}
+
+function isVerticalDock(box) {
+    return /^(Top|Bottom)$/.test(box.element.attributes['DockPanel.Dock']);
+}
+
+/**
+ * Row and column of a Grid child, clamped to the grid
+ */
+function gridCell(box, panel) {
+    const attributes = box.element.attributes;
+    const index = (name, count) => Math.min(Math.max(0, parseInt(attributes[name], 10) || 0), count - 1);
+    const span = (name, start, count) => Math.min(Math.max(1, parseInt(attributes[name], 10) || 1), count - start);
+    const row = index('Grid.Row', panel.rows.length);
+    const column = index('Grid.Column', panel.columns.length);
+    return {
+        row,
+        column,
+        rowSpan: span('Grid.RowSpan', row, panel.rows.length),
+        columnSpan: span('Grid.ColumnSpan', column, panel.columns.length)
+    };
+}
+
+/**
+ * Size of a span of pixel tracks, Infinity when a track sizes to content
+ */
+function fixedSpan(tracks, start, span, spacing) {
+    const covered = tracks.slice(start, start + span);
+    return covered.every(track => track.unit === 'pixel')
+        ? sum(covered.map(track => track.value)) + spacing * (span - 1)
+        : Infinity;
+}
+
+/**
+ * Desired track sizes: pixel tracks keep their size, auto and star tracks
+ * grow to their children, and star tracks share one size per star
+ */
+function measureTracks(tracks, spacing, items) {
+    const sizes = tracks.map(track => track.unit === 'pixel' ? track.value : 0);
+
+    for (const { start, span, size } of items) {
+        if (span === 1 && tracks[start].unit !== 'pixel') sizes[start] = Math.max(sizes[start], size);
+    }
+    // Children spanning tracks grow the last flexible track they cover
+    for (const { start, span, size } of items) {
+        if (span === 1) continue;
+        const covered = sizes.slice(start, start + span);
+        const flexible = tracks.map((track, i) => i).filter(i =>
+            i >= start && i < start + span && tracks[i].unit !== 'pixel');
+        const missing = size - sum(covered) - spacing * (span - 1);
+        if (missing > 0 && flexible.length > 0) sizes[flexible[flexible.length - 1]] += missing;
+    }
+
+    const stars = tracks.map((track, i) => i).filter(i => tracks[i].unit === 'star');
+    const perStar = Math.max(0, ...stars.map(i => sizes[i] / tracks[i].value));
+    for (const i of stars) sizes[i] = Math.ceil(perStar * tracks[i].value);
+
+    return sizes;
+}
+
+/**
+ * Final track sizes: star tracks share the space left by the others
+ */
+function arrangeTracks(tracks, spacing, measured, available) {
+    const sizes = tracks.map((track, i) => track.unit === 'star' ? 0 : measured[i]);
+    const stars = tracks.map((track, i) => i).filter(i => tracks[i].unit === 'star');
+    const free = Math.max(0, available - sum(sizes) - spacing * (tracks.length - 1));
+    const weight = sum(stars.map(i => tracks[i].value));
+
+    let used = 0;
+    stars.forEach((i, n) => {
+        sizes[i] = n === stars.length - 1 ? free - used : Math.floor(free * tracks[i].value / weight);
+        used += sizes[i];
+    });
+
+    return sizes;
+}
+
+function trackStarts(sizes, spacing) {
+    const starts = [];
+    let position = 0;
+    for (const size of sizes) {
+        starts.push(position);
+        position += size + spacing;
+    }
+    return starts;
+}
+
+/**
+ * Rows and columns of a UniformGrid, filling in what is not set
+ */
+function uniformGridSize(panel, count) {
+    const cells = count + panel.firstColumn;
+    const columns = panel.columns || (panel.rows ? Math.ceil(cells / panel.rows) : Math.ceil(Math.sqrt(cells))) || 1;
+    const rows = panel.rows || Math.ceil(cells / columns) || 1;
+    return { rows, columns };
+}
+
+/**
+ * Break WrapPanel children into lines no longer than the available space
+ * @returns {Array<{items: Array, length: number, thickness: number}>}
+ */
+function wrapLines(children, available, horizontal) {
+    const lines = [];
+    let line = null;
+    for (const child of children) {
+        const length = horizontal ? child.desired.width : child.desired.height;
+        const thickness = horizontal ? child.desired.height : child.desired.width;
+        if (!line || (line.items.length > 0 && line.length + length > available)) {
+            line = { items: [], length: 0, thickness: 0 };
+            lines.push(line);
+        }
+        line.items.push(child);
+        line.length += length;
+        line.thickness = Math.max(line.thickness, thickness);
+    }
+    return lines;
+}
+
+// ==========================================
+// OBJECT CREATION
+// ==========================================
+
+/**
+ * Create scene object JSON from an imported view. Controls become UI
+ * component text objects followed by their content; panels and borders
+ * become frames holding their children.
+ * @param {XamlView} view
+ * @param {number} [startX=0]
+ * @param {number} [startY=0]
+ * @returns {Array<Object>} Objects for `_createObjectFromJSON`
+ */
+export function createObjectsFromXaml(view, startX = 0, startY = 0) {
+    const objects = createObjects(view.root, startX, startY);
+    return VIEW_ROOTS.has(localName(view.root.element.name)) ? objects[0].children : objects;
+}
+
+function createObjects(box, dx, dy) {
+    const { width, height } = box.rect;
+    const x = box.rect.x + dx;
+    const y = box.rect.y + dy;
+    const children = box.children.flatMap(child => createObjects(child, dx, dy));
+
+    if (box.kind === 'control') {
+        return [{
+            type: 'text',
+            id: uuid(),
+            name: box.name || box.type,
+            x,
+            y,
+            text: renderMockup(box.type, box.props, width, height).join('\n'),
+            uiComponentType: box.type,
+            uiProperties: box.props,
+            uiRenderWidth: width,
+            uiRenderHeight: height
+        }, ...children];
+    }
+
+    const frame = {
+        type: 'frame',
+        id: uuid(),
+        name: box.name || box.type,
+        x,
+        y,
+        width,
+        height,
+        showBorder: Boolean(box.bordered),
+        borderStyle: box.rounded ? 'rounded' : 'single',
+        title: '',
+        padding: { ...box.insets },
+        layoutMode: 'NONE',
+        children
+    };
+    if (box.type === 'StackPanel' || box.type === 'VirtualizingStackPanel') {
+        fitAutoLayout(frame, box.panel.horizontal);
+    }
+    return [frame];
+}
+
+/**
+ * Make a stack panel's frame an auto-layout frame when auto-layout puts
+ * its children back where the panel arranged them: evenly spaced along
+ * the stack and lined up across it
+ */
+function fitAutoLayout(frame, horizontal) {
+    const items = frame.children.map(child => ({
+        x: child.x,
+        y: child.y,
+        width: child.uiRenderWidth ?? child.width,
+        height: child.uiRenderHeight ?? child.height
+    }));
+    if (items.length === 0) return;
+
+    const [main, cross, mainSize, crossSize] = horizontal
+        ? ['x', 'y', 'width', 'height']
+        : ['y', 'x', 'height', 'width'];
+    const gaps = items.slice(1).map((item, i) => item[main] - items[i][main] - items[i][mainSize]);
+    const spacing = gaps.length > 0 ? gaps[0] : 0;
+    const start = { [main]: items[0][main] - frame[main], [cross]: items[0][cross] - frame[cross] };
+
+    if (spacing < 0 || gaps.some(gap => gap !== spacing) || start.x < 0 || start.y < 0 ||
+        items.some(item => item[cross] !== items[0][cross])) {
+        return;
+    }
+
+    const last = items[items.length - 1];
+    const end = {
+        [main]: Math.max(0, frame[main] + frame[mainSize] - last[main] - last[mainSize]),
+        [cross]: Math.max(0, frame[cross] + frame[crossSize] - Math.max(...items.map(item => item[cross] + item[crossSize])))
+    };
+
+    Object.assign(frame, {
+        layoutMode: horizontal ? 'HORIZONTAL' : 'VERTICAL',
+        primaryAxisAlignItems: 'MIN',
+        counterAxisAlignItems: 'MIN',
+        itemSpacing: spacing,
+        padding: { top: start.y, right: end.x, bottom: end.y, left: start.x }
+    });
+}
+
+// ==========================================
+// CONVENIENCE
+// ==========================================
+
+/**
+ * Check whether source text looks like Avalonia or WPF XAML
+ * @param {string} source
+ * @returns {boolean}
+ */
+export function isXaml(source) {
+    return /<[\w:.]+[^>]*\sxmlns(?::\w+)?\s*=\s*["'](?:https:\/\/github\.com\/avaloniaui|http:\/\/schemas\.microsoft\.com\/winfx\/2006\/xaml)/
+        .test(source);
+}
+
+/**
+ * Parse and lay out a XAML view
+ * @param {string} source - XAML markup
+ * @param {Object} [options] - See XamlImporter
+ * @returns {XamlView}
+ */
+export function importXaml(source, options) {
+    return new XamlImporter(options).import(source);
+}
+
+export default {
+    XamlParser,
+    XamlImporter,
+    createObjectsFromXaml,
+    importXaml,
+    isXaml
+};
@@ -0,0 +1,405 @@
+#!/usr/bin/env node
+/**
+ * Asciistrator - Collaboration Relay Server
+ *
+ * A small WebSocket relay for real-time collaborative editing. Clients in
+ * the same room exchange document operations and presence through it; the
+ * relay merges every operation into its own copy of the room's document so
+ * participants who join later receive the current state.
+ *
+ * Usage:
+ *   node scripts/relay.js [--port 8787] [--host localhost] [--allow-origin <origin>]
+ *
+ * Uses only Node.js built-ins (Node.js 20.19+).
+ *
+ * @version 1.0.0
+ */
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import path from 'node:path';
+import process from 'node:process';
+import { CollabDocument } from './collab/crdt.js';
+
+// ==========================================
+// CONSTANTS
+// ==========================================
+
+const EXIT_OK = 0;
+const EXIT_USAGE = 2;
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_HOST = 'localhost';
+
+// Handshake GUID from RFC 6455
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_SIZE = 16 * 1024 * 1024;
+
+const OPCODE_CONTINUATION = 0x0;
+const OPCODE_TEXT = 0x1;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xA;
+
+const USAGE = `Usage: node scripts/relay.js [options]
+
+Relay server for collaborative editing sessions.
+
+Options:
+  -p, --port <port>           Port to listen on (default: ${DEFAULT_PORT})
+      --host <host>           Interface to bind (default: ${DEFAULT_HOST})
+      --allow-origin <origin> Only accept browsers from this origin, e.g.
+                              https://example.com (repeatable; default: any)
+  -h, --help                  Show this help
+
+Connect from Asciistrator with File > Collaborate... and the relay
+address, e.g. ws://localhost:${DEFAULT_PORT}`;
+
+// ==========================================
+// ARGUMENT PARSING
+// ==========================================
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments without node and script path
+ * @returns {object}
+ */
+export function parseArgs(argv) {
+    const args = { port: DEFAULT_PORT, host: DEFAULT_HOST, allowOrigins: [], help: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '-p':
+            case '--port': {
+                const port = Number(argv[++i]);
+                if (!Number.isInteger(port) || port < 0 || port > 65535) {
+                    throw new Error(`${arg} expects a port number`);
+                }
+                args.port = port;
+                break;
+            }
+            case '--host':
+                if (argv[i + 1] === undefined) throw new Error(`${arg} requires a value`);
+                args.host = argv[++i];
+                break;
+            case '--allow-origin':
+                if (argv[i + 1] === undefined) throw new Error(`${arg} requires a value`);
+                args.allowOrigins.push(argv[++i].replace(/\/+$/, ''));
+                break;
+            case '-h':
+            case '--help':
+                args.help = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    return args;
+}
+
+// ==========================================
+// WEBSOCKET FRAMING
+// ==========================================
+
+/**
+ * Encode a server-to-client frame (unmasked)
+ * @param {number} opcode
+ * @param {Buffer} payload
+ * @returns {Buffer}
+ */
+export function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = length;
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    header[0] = 0x80 | opcode;
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decode complete frames from the start of a buffer
+ * @param {Buffer} buffer
+ * @returns {{frames: Array<{fin: boolean, opcode: number, payload: Buffer}>, rest: Buffer}}
+ */
+export function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+
+    while (buffer.length - offset >= 2) {
+        const first = buffer[offset];
+        const second = buffer[offset + 1];
+        const masked = (second & 0x80) !== 0;
+        let length = second & 0x7F;
+        let pos = offset + 2;
+
+        if (length === 126) {
+            if (buffer.length < pos + 2) break;
+            length = buffer.readUInt16BE(pos);
+            pos += 2;
+        } else if (length === 127) {
+            if (buffer.length < pos + 8) break;
+            const big = buffer.readBigUInt64BE(pos);
+            if (big > BigInt(MAX_MESSAGE_SIZE)) throw new Error('Frame too large');
+            length = Number(big);
+            pos += 8;
+        }
+        if (length > MAX_MESSAGE_SIZE) throw new Error('Frame too large');
+
+        const maskEnd = pos + (masked ? 4 : 0);
+        if (buffer.length < maskEnd + length) break;
+
+        const payload = Buffer.from(buffer.subarray(maskEnd, maskEnd + length));
+        if (masked) {
+            const mask = buffer.subarray(pos, maskEnd);
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+        }
+
+        frames.push({ fin: (first & 0x80) !== 0, opcode: first & 0x0F, payload });
+        offset = maskEnd + length;
+    }
+
+    return { frames, rest: buffer.subarray(offset) };
+}
+
+/**
+ * Server side of a WebSocket connection carrying JSON messages
+ */
+class RelayConnection {
+    constructor(socket, onMessage, onClose) {
+        this.socket = socket;
+        this.onMessage = onMessage;
+        this.onClose = onClose;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.closed = false;
+
+        socket.on('data', chunk => this._receive(chunk));
+        socket.on('close', () => this._closed());
+        socket.on('error', () => this._closed());
+    }
+
+    /**
+     * Send a JSON message
+     */
+    send(message) {
+        if (this.closed) return;
+        this.socket.write(encodeFrame(OPCODE_TEXT, Buffer.from(JSON.stringify(message))));
+    }
+
+    close() {
+        if (this.closed) return;
+        this.socket.end(encodeFrame(OPCODE_CLOSE, Buffer.alloc(0)));
+        this._closed();
+    }
+
+    _receive(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        let decoded;
+        try {
+            decoded = decodeFrames(this.buffer);
+        } catch (err) {
+            this.close();
+            return;
+        }
+        this.buffer = Buffer.from(decoded.rest);
+
+        for (const frame of decoded.frames) {
+            switch (frame.opcode) {
+                case OPCODE_TEXT:
+                case OPCODE_CONTINUATION:
+                    this.fragments.push(frame.payload);
+                    if (frame.fin) {
+                        const text = Buffer.concat(this.fragments).toString('utf8');
+                        this.fragments = [];
+                        try {
+                            this.onMessage(JSON.parse(text));
+                        } catch (err) {
+                            // Ignore malformed messages
+                        }
+                    }
+                    break;
+                case OPCODE_PING:
+                    this.socket.write(encodeFrame(OPCODE_PONG, frame.payload));
+                    break;
+                case OPCODE_CLOSE:
+                    this.close();
+                    return;
+            }
+        }
+    }
+
+    _closed() {
+        if (this.closed) return;
+        this.closed = true;
+        this.socket.destroy();
+        this.onClose();
+    }
+}
+
+// ==========================================
+// ROOMS
+// ==========================================
+
+/**
+ * Create the relay HTTP server. WebSocket upgrades join rooms; plain
+ * HTTP requests get a short status text. A room and its document are
+ * dropped when its last participant leaves.
+ * @param {Object} [options]
+ * @param {string[]} [options.allowOrigins=[]] - Origins browsers may connect
+ *   from; empty accepts any
+ * @returns {http.Server & {rooms: Map}}
+ */
+export function createRelayServer({ allowOrigins = [] } = {}) {
+    /** @type {Map<string, {doc: CollabDocument, clients: Map<string, Object>}>} */
+    const rooms = new Map();
+
+    const server = http.createServer((req, res) => {
+        const clients = [...rooms.values()].reduce((sum, room) => sum + room.clients.size, 0);
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end(`Asciistrator relay: ${rooms.size} rooms, ${clients} participants\n`);
+    });
+    server.rooms = rooms;
+
+    server.on('upgrade', (req, socket) => {
+        const key = req.headers['sec-websocket-key'];
+        if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        // Browsers always send Origin, so this stops other sites' pages from joining
+        const origin = req.headers.origin;
+        if (allowOrigins.length > 0 && origin !== undefined && !allowOrigins.includes(origin)) {
+            socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+
+        let room = null;
+        let roomName = null;
+        let clientId = null;
+
+        // False once a reconnect with the same client id took over
+        const isMember = () => room?.clients.get(clientId)?.connection === connection;
+
+        const broadcast = (message) => {
+            for (const [id, client] of room.clients) {
+                if (id !== clientId) client.connection.send(message);
+            }
+        };
+
+        const connection = new RelayConnection(socket, (message) => {
+            if (message.type === 'join' && !room && message.room && message.clientId) {
+                roomName = String(message.room);
+                if (!rooms.has(roomName)) rooms.set(roomName, { doc: new CollabDocument('relay'), clients: new Map() });
+                room = rooms.get(roomName);
+                clientId = String(message.clientId);
+
+                // A client reconnecting before its old socket timed out replaces it
+                const previous = room.clients.get(clientId);
+                if (previous) {
+                    room.clients.delete(clientId);
+                    previous.connection.close();
+                }
+
+                connection.send({
+                    type: 'welcome',
+                    ops: room.doc.getState(),
+                    peers: [...room.clients].map(([id, client]) => ({
+                        clientId: id,
+                        user: client.user,
+                        presence: client.presence
+                    }))
+                });
+                room.clients.set(clientId, { connection, user: message.user, presence: null });
+                broadcast({ type: 'peer-join', clientId, user: message.user });
+                return;
+            }
+            if (!isMember()) return;
+
+            if (message.type === 'ops' && Array.isArray(message.ops)) {
+                for (const op of message.ops) room.doc.apply(op);
+                broadcast({ type: 'ops', clientId, ops: message.ops });
+            } else if (message.type === 'presence') {
+                const client = room.clients.get(clientId);
+                client.user = message.user || client.user;
+                client.presence = message.presence;
+                broadcast({ type: 'presence', clientId, user: client.user, presence: message.presence });
+            }
+        }, () => {
+            if (!isMember()) return;
+            room.clients.delete(clientId);
+            if (room.clients.size === 0) {
+                rooms.delete(roomName);
+                return;
+            }
+            broadcast({ type: 'leave', clientId });
+        });
+    });
+
+    return server;
+}
+
+// ==========================================
+// MAIN
+// ==========================================
+
+/**
+ * Run the relay
+ * @param {string[]} argv - Arguments without node and script path
+ * @returns {Promise<number|null>} Exit code, or null while the server runs
+ */
+export async function main(argv) {
+    let args;
+    try {
+        args = parseArgs(argv);
+    } catch (error) {
+        console.error(error.message);
+        console.error(USAGE);
+        return EXIT_USAGE;
+    }
+
+    if (args.help) {
+        console.log(USAGE);
+        return EXIT_OK;
+    }
+
+    const server = createRelayServer({ allowOrigins: args.allowOrigins });
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(args.port, args.host, resolve);
+    });
+    const { port } = server.address();
+    console.error(`Asciistrator relay listening on ws://${args.host}:${port}`);
+
+    process.on('SIGINT', () => process.exit(EXIT_OK));
+    return null;
+}
+
+const invokedDirectly = process.argv[1] &&
+    path.resolve(process.argv[1]) === path.resolve(new URL(import.meta.url).pathname);
+
+if (invokedDirectly) {
+    const exitCode = await main(process.argv.slice(2));
+    if (exitCode !== null) process.exitCode = exitCode;
+}
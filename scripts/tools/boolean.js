@@ -6,8 +6,15 @@
  * - Intersection: Keep only overlapping areas
  * - Difference: Subtract one shape from another
  * - XOR: Keep non-overlapping areas
+ * 
+ * BooleanOps works on rasterized cells; PathBoolean clips the outlines
+ * themselves and returns polygons that can become editable paths.
  */
 
+import { Vector2D } from '../core/math/vector2d.js';
+import { Polygon } from '../core/math/geometry.js';
+import { CubicBezier } from '../core/math/bezier.js';
+
 /**
  * Boolean operations on point sets
  */
@@ -231,7 +238,372 @@ export class OutlineExtractor {
     }
 }
 
+// ==========================================
+// VECTOR BOOLEAN OPERATIONS
+// ==========================================
+
+/**
+ * Boolean operations on outlines
+ */
+export const BooleanOperation = {
+    UNION: 'union',
+    INTERSECT: 'intersect',
+    SUBTRACT: 'subtract',
+    EXCLUDE: 'exclude'
+};
+
+/**
+ * Whether a point belongs to the result, from whether it is in each operand
+ */
+const OPERATION_TESTS = {
+    [BooleanOperation.UNION]: (a, b) => a || b,
+    [BooleanOperation.INTERSECT]: (a, b) => a && b,
+    [BooleanOperation.SUBTRACT]: (a, b) => a && !b,
+    [BooleanOperation.EXCLUDE]: (a, b) => a !== b
+};
+
+const SNAP = 1e9;          // Vertices closer than 1/SNAP are merged
+const SIDE_OFFSET = 1e-6;  // Distance of the points sampled on both sides of an edge
+const TOLERANCE = 1e-9;    // Relative tolerance of parallel and collinear tests
+
+/**
+ * Polygon clipping. Regions are arrays of Polygon contours filled with the
+ * even-odd rule, so holes and separate pieces are plain extra contours.
+ * 
+ * Every edge is cut where it crosses or touches another, each piece is kept
+ * when the result lies on one side of it only, and the kept pieces are
+ * chained into contours. Shared edges and vertices, which are common on the
+ * character grid, need no special cases.
+ */
+export class PathBoolean {
+    /**
+     * Apply a boolean operation to two regions
+     * @param {string} operation - A BooleanOperation
+     * @param {Polygon[]} subject - First region
+     * @param {Polygon[]} clip - Second region
+     * @returns {Polygon[]} Contours of the result, with the result to the
+     *   left of each edge (outlines and holes run opposite ways)
+     */
+    static apply(operation, subject, clip) {
+        const test = OPERATION_TESTS[operation];
+        if (!test) {
+            throw new Error(`Unknown boolean operation: ${operation}`);
+        }
+
+        const vertices = new Map();
+        const edges = PathBoolean._splitEdges([...PathBoolean._getEdges(subject), ...PathBoolean._getEdges(clip)]);
+        const kept = new Map();
+
+        for (const { a, b } of edges) {
+            const from = PathBoolean._snap(a, vertices);
+            const to = PathBoolean._snap(b, vertices);
+            if (from === to) continue;
+
+            const mid = a.midpoint(b);
+            const side = b.subtract(a).normalize().perpendicular().multiply(SIDE_OFFSET);
+            const inResult = point => test(
+                PathBoolean._regionContains(subject, point),
+                PathBoolean._regionContains(clip, point)
+            );
+            const left = inResult(mid.add(side));
+            if (left === inResult(mid.subtract(side))) continue;
+
+            // Pieces of edges both regions share are kept once
+            const edge = left ? { from, to } : { from: to, to: from };
+            kept.set(`${edge.from}>${edge.to}`, edge);
+        }
+
+        return PathBoolean._chain([...kept.values()], vertices);
+    }
+
+    /**
+     * Union of two regions
+     */
+    static union(subject, clip) {
+        return PathBoolean.apply(BooleanOperation.UNION, subject, clip);
+    }
+
+    /**
+     * Intersection of two regions
+     */
+    static intersect(subject, clip) {
+        return PathBoolean.apply(BooleanOperation.INTERSECT, subject, clip);
+    }
+
+    /**
+     * First region minus the second
+     */
+    static subtract(subject, clip) {
+        return PathBoolean.apply(BooleanOperation.SUBTRACT, subject, clip);
+    }
+
+    /**
+     * Areas covered by exactly one of the regions
+     */
+    static exclude(subject, clip) {
+        return PathBoolean.apply(BooleanOperation.EXCLUDE, subject, clip);
+    }
+
+    /**
+     * Combine several regions in order: subtract removes every later region
+     * from the first, exclude keeps areas covered an odd number of times
+     * @param {string} operation - A BooleanOperation
+     * @param {Array<Polygon[]>} regions - Regions, at least one
+     * @returns {Polygon[]}
+     */
+    static combine(operation, regions) {
+        return regions.slice(1).reduce(
+            (result, region) => PathBoolean.apply(operation, result, region),
+            regions[0]
+        );
+    }
+
+    /**
+     * Edges of a region's contours
+     * @private
+     */
+    static _getEdges(region) {
+        const edges = [];
+        for (const polygon of region) {
+            const count = polygon.vertices.length;
+            for (let i = 0; i < count; i++) {
+                edges.push({ a: polygon.vertices[i], b: polygon.vertices[(i + 1) % count] });
+            }
+        }
+        return edges;
+    }
+
+    /**
+     * Cut edges where they cross, touch or overlap
+     * @private
+     */
+    static _splitEdges(edges) {
+        const cuts = edges.map(() => []);
+
+        for (let i = 0; i < edges.length; i++) {
+            for (let j = i + 1; j < edges.length; j++) {
+                PathBoolean._cutPair(edges[i], edges[j], cuts[i], cuts[j]);
+            }
+        }
+
+        const pieces = [];
+        edges.forEach((edge, i) => {
+            const points = [
+                edge.a,
+                ...cuts[i].sort((t1, t2) => t1 - t2).map(t => edge.a.lerp(edge.b, t)),
+                edge.b
+            ];
+            for (let k = 0; k < points.length - 1; k++) {
+                pieces.push({ a: points[k], b: points[k + 1] });
+            }
+        });
+        return pieces;
+    }
+
+    /**
+     * Record where two edges cut each other, as parameters along each
+     * @private
+     */
+    static _cutPair(e1, e2, cuts1, cuts2) {
+        const r = e1.b.subtract(e1.a);
+        const s = e2.b.subtract(e2.a);
+        const rr = r.dot(r);
+        const ss = s.dot(s);
+        if (rr === 0 || ss === 0) return;
+
+        const offset = e2.a.subtract(e1.a);
+        const denom = r.cross(s);
+        const inside = t => t > TOLERANCE && t < 1 - TOLERANCE;
+
+        if (Math.abs(denom) > TOLERANCE * Math.sqrt(rr * ss)) {
+            const t = offset.cross(s) / denom;
+            const u = offset.cross(r) / denom;
+            const onEdge = v => v >= -TOLERANCE && v <= 1 + TOLERANCE;
+            if (onEdge(t) && onEdge(u)) {
+                if (inside(t)) cuts1.push(t);
+                if (inside(u)) cuts2.push(u);
+            }
+        } else if (Math.abs(offset.cross(r)) <= TOLERANCE * rr) {
+            // Collinear edges cut each other where the other one ends
+            for (const point of [e2.a, e2.b]) {
+                const t = point.subtract(e1.a).dot(r) / rr;
+                if (inside(t)) cuts1.push(t);
+            }
+            for (const point of [e1.a, e1.b]) {
+                const u = point.subtract(e2.a).dot(s) / ss;
+                if (inside(u)) cuts2.push(u);
+            }
+        }
+    }
+
+    /**
+     * Key of a vertex; points that round to the same key are one vertex
+     * @private
+     */
+    static _snap(point, vertices) {
+        const key = `${Math.round(point.x * SNAP)},${Math.round(point.y * SNAP)}`;
+        if (!vertices.has(key)) vertices.set(key, point);
+        return key;
+    }
+
+    /**
+     * Even-odd point test over a region's contours
+     * @private
+     */
+    static _regionContains(region, point) {
+        let inside = false;
+        for (const polygon of region) {
+            if (polygon.containsPoint(point)) inside = !inside;
+        }
+        return inside;
+    }
+
+    /**
+     * Chain directed edges into closed contours. Where contours touch at a
+     * vertex the sharpest left turn is taken, so each contour stays simple.
+     * @private
+     */
+    static _chain(edges, vertices) {
+        const outgoing = new Map();
+        for (const edge of edges) {
+            if (!outgoing.has(edge.from)) outgoing.set(edge.from, []);
+            outgoing.get(edge.from).push(edge);
+        }
+
+        const used = new Set();
+        const polygons = [];
+
+        for (const start of edges) {
+            if (used.has(start)) continue;
+
+            const contour = [];
+            let edge = start;
+            while (edge && !used.has(edge)) {
+                used.add(edge);
+                contour.push(vertices.get(edge.from));
+
+                const incoming = vertices.get(edge.to).subtract(vertices.get(edge.from));
+                const candidates = (outgoing.get(edge.to) || []).filter(next => next === start || !used.has(next));
+                edge = null;
+                let best = -Infinity;
+                for (const next of candidates) {
+                    const direction = vertices.get(next.to).subtract(vertices.get(next.from));
+                    const turn = Math.atan2(incoming.cross(direction), incoming.dot(direction));
+                    if (turn > best) {
+                        best = turn;
+                        edge = next;
+                    }
+                }
+            }
+
+            const simplified = PathBoolean._removeCollinear(contour);
+            if (simplified.length >= 3) {
+                polygons.push(new Polygon(simplified));
+            }
+        }
+
+        return polygons;
+    }
+
+    /**
+     * Drop vertices in the middle of straight runs
+     * @private
+     */
+    static _removeCollinear(points) {
+        return points.filter((point, i) => {
+            const prev = points[(i + points.length - 1) % points.length];
+            const next = points[(i + 1) % points.length];
+            const a = point.subtract(prev);
+            const b = next.subtract(point);
+            return Math.abs(a.cross(b)) > TOLERANCE * a.length() * b.length() || a.dot(b) < 0;
+        });
+    }
+}
+
+// ==========================================
+// PATH CONVERSION
+// ==========================================
+
+/**
+ * Split path points into subpaths; a point with `moveTo` starts a new one
+ * @param {Array<{x: number, y: number, moveTo?: boolean}>} points
+ * @returns {Array<Array<object>>}
+ */
+export function splitSubpaths(points) {
+    const subpaths = [];
+    for (const point of points) {
+        if (point.moveTo || subpaths.length === 0) subpaths.push([]);
+        subpaths[subpaths.length - 1].push(point);
+    }
+    return subpaths;
+}
+
+/**
+ * Flatten path points into one polygon per subpath. A segment whose ends
+ * have handles is a cubic bezier; handles are offsets from their point.
+ * @param {Array<{x: number, y: number, moveTo?: boolean, handleIn?: {x: number, y: number}, handleOut?: {x: number, y: number}}>} points
+ * @param {object} [options]
+ * @param {boolean} [options.closed=true] - Whether the closing segments are curves too
+ * @param {number} [options.tolerance=0.25] - Maximum distance of the polygon from a curve
+ * @returns {Polygon[]}
+ */
+export function pathToPolygons(points, options = {}) {
+    const { closed = true, tolerance = 0.25 } = options;
+
+    return splitSubpaths(points).map(subpath => {
+        const vertices = [];
+        subpath.forEach((point, i) => {
+            const start = new Vector2D(point.x, point.y);
+            const next = subpath[(i + 1) % subpath.length];
+            const isClosing = i === subpath.length - 1;
+
+            if ((point.handleOut || next.handleIn) && (closed || !isClosing)) {
+                const end = new Vector2D(next.x, next.y);
+                const curve = new CubicBezier(
+                    start,
+                    point.handleOut ? start.add(point.handleOut) : start,
+                    next.handleIn ? end.add(next.handleIn) : end,
+                    end
+                );
+                vertices.push(...curve.flatten(tolerance).slice(0, -1));
+            } else {
+                vertices.push(start);
+            }
+        });
+        return new Polygon(vertices);
+    });
+}
+
+/**
+ * Path points from polygons, snapped to character cells, one subpath per
+ * polygon
+ * @param {Polygon[]} polygons
+ * @returns {Array<{x: number, y: number, moveTo?: boolean}>}
+ */
+export function polygonsToPath(polygons) {
+    const points = [];
+
+    for (const polygon of polygons) {
+        const cells = polygon.vertices.map(v => ({ x: Math.round(v.x), y: Math.round(v.y) }));
+        const contour = cells.filter((cell, i) => {
+            const prev = cells[(i + cells.length - 1) % cells.length];
+            return cell.x !== prev.x || cell.y !== prev.y;
+        });
+        if (contour.length < 3) continue;
+
+        if (points.length > 0) contour[0].moveTo = true;
+        points.push(...contour);
+    }
+
+    return points;
+}
+
 export default {
     BooleanOps,
-    OutlineExtractor
+    OutlineExtractor,
+    BooleanOperation,
+    PathBoolean,
+    splitSubpaths,
+    pathToPolygons,
+    polygonsToPath
 };
@@ -3,6 +3,9 @@
  * 
  * Clip rendering of objects to specific regions.
  * Supports shape-based masks and rectangular clips.
+ * Path regions test several contours with the even-odd rule and also
+ * cover the cells their outline passes through, so a mask keeps the
+ * cells its shape would draw.
  */
 
 /**
@@ -19,6 +22,8 @@ export class ClipRegion {
         this.width = options.width || 0;
         this.height = options.height || 0;
         this.points = options.points || null; // For polygon clips
+        this.contours = options.contours || null; // For path clips (array of point arrays)
+        this.tolerance = options.tolerance ?? 0.5; // Outline distance still inside a path clip
         this.shape = options.shape || null;   // Reference to a shape object
         this.invert = options.invert || false; // If true, clip outside the region
     }
@@ -52,6 +57,10 @@ export class ClipRegion {
                 inside = this._pointInPolygon(x, y);
                 break;
                 
+            case 'path':
+                inside = this._pointInPath(x, y);
+                break;
+                
             case 'shape':
                 inside = this.shape && this.shape.containsPoint 
                     ? this.shape.containsPoint(x, y) 
@@ -88,14 +97,54 @@ export class ClipRegion {
         return inside;
     }
 
+    /**
+     * Even-odd test over all contours, counting points near an edge as inside
+     * @private
+     */
+    _pointInPath(x, y) {
+        if (!this.contours) return false;
+        
+        let inside = false;
+        const limit = this.tolerance * this.tolerance;
+        
+        for (const contour of this.contours) {
+            const n = contour.length;
+            
+            for (let i = 0, j = n - 1; i < n; j = i++) {
+                const xi = contour[i].x, yi = contour[i].y;
+                const xj = contour[j].x, yj = contour[j].y;
+                
+                // On the outline
+                const dx = xj - xi, dy = yj - yi;
+                const lengthSq = dx * dx + dy * dy;
+                const t = lengthSq > 0
+                    ? Math.max(0, Math.min(1, ((x - xi) * dx + (y - yi) * dy) / lengthSq))
+                    : 0;
+                const ex = xi + t * dx - x, ey = yi + t * dy - y;
+                if (ex * ex + ey * ey <= limit) return true;
+                
+                if (((yi > y) !== (yj > y)) && 
+                    (x < (xj - xi) * (y - yi) / (yj - yi) + xi)) {
+                    inside = !inside;
+                }
+            }
+        }
+        
+        return inside;
+    }
+
     /**
      * Get bounding box of the clip region
      * @returns {object}
      */
     getBounds() {
-        if (this.type === 'polygon' && this.points) {
-            const xs = this.points.map(p => p.x);
-            const ys = this.points.map(p => p.y);
+        const points = this.type === 'polygon' ? this.points
+            : this.type === 'path' && this.contours ? this.contours.flat()
+            : null;
+        
+        if (points && points.length > 0) {
+            const xs = points.map(p => p.x);
+            const ys = points.map(p => p.y);
             return {
                 x: Math.min(...xs),
                 y: Math.min(...ys),
@@ -145,6 +194,17 @@ export class ClipRegion {
         return new ClipRegion({ type: 'polygon', points });
     }
 
+    /**
+     * Create a clip region from the contours of a path, e.g. the
+     * polygons of a shape outline; contours inside others cut holes
+     * @param {Array<Array<{x: number, y: number}>>} contours 
+     * @param {number} [tolerance=0.5] - Distance from the outline that is still inside
+     * @returns {ClipRegion}
+     */
+    static path(contours, tolerance = 0.5) {
+        return new ClipRegion({ type: 'path', contours, tolerance });
+    }
+
     /**
      * Create a clip region from a shape object
      * @param {object} shape - Shape with containsPoint method
@@ -261,13 +321,38 @@ export class ClippedBuffer {
      * @param {number} y 
      * @param {string} char 
      * @param {string} color 
+     * @param {number} [z=0] - Depth value
+     */
+    setChar(x, y, char, color = null, z = 0) {
+        // Test the cell the buffer will round to
+        if (this.mask.isVisible(Math.round(x), Math.round(y))) {
+            this.buffer.setChar(x, y, char, color, z);
+        }
+    }
+
+    /**
+     * Draw text with clipping
+     * @param {number} x - Start X
+     * @param {number} y - Y position
+     * @param {string} text 
+     * @param {string} [color] 
+     * @param {number} [z=0] 
      */
-    setChar(x, y, char, color = null) {
-        if (this.mask.isVisible(x, y)) {
-            this.buffer.setChar(x, y, char, color);
+    drawText(x, y, text, color = null, z = 0) {
+        for (let i = 0; i < text.length; i++) {
+            this.setChar(x + i, y, text[i], color, z);
         }
     }
 
+    /**
+     * Check bounds (passthrough)
+     */
+    inBounds(x, y) {
+        return this.buffer.inBounds
+            ? this.buffer.inBounds(x, y)
+            : x >= 0 && x < this.width && y >= 0 && y < this.height;
+    }
+
     /**
      * Get character (passthrough)
      */
@@ -455,6 +540,7 @@ export class ClippedObject {
                 width: this.clipRegion.width,
                 height: this.clipRegion.height,
                 points: this.clipRegion.points,
+                contours: this.clipRegion.contours,
                 invert: this.clipRegion.invert
             },
             visible: this.visible
@@ -51,7 +51,12 @@ export {
 // Boolean operations
 export {
     BooleanOps,
-    OutlineExtractor
+    OutlineExtractor,
+    BooleanOperation,
+    PathBoolean,
+    splitSubpaths,
+    pathToPolygons,
+    polygonsToPath
 } from './boolean.js';
 
 // Pattern fills
@@ -72,6 +77,23 @@ export {
     ConicalGradient
 } from './gradients.js';
 
+// Object fills
+export {
+    FillType,
+    FillPaint,
+    PaintedBuffer,
+    createFill,
+    createFillPaint,
+    isGradientFill,
+    handleToCell,
+    cellToHandle,
+    getGradientHandles,
+    moveGradientHandle,
+    moveGradientStop,
+    paintColorToHex,
+    hexToPaintColor
+} from './paint.js';
+
 // Symbols library
 export {
     SymbolDefinition,
@@ -364,6 +386,12 @@ export default {
     RadialGradient: () => import('./gradients.js').then(m => m.RadialGradient),
     ConicalGradient: () => import('./gradients.js').then(m => m.ConicalGradient),
     
+    // Object fills
+    FillPaint: () => import('./paint.js').then(m => m.FillPaint),
+    PaintedBuffer: () => import('./paint.js').then(m => m.PaintedBuffer),
+    createFill: () => import('./paint.js').then(m => m.createFill),
+    createFillPaint: () => import('./paint.js').then(m => m.createFillPaint),
+    
     // Symbols
     SymbolDefinition: () => import('./symbols.js').then(m => m.SymbolDefinition),
     SymbolInstance: () => import('./symbols.js').then(m => m.SymbolInstance),
@@ -0,0 +1,453 @@
+/**
+ * Asciistrator - Paint Fills
+ *
+ * Samples the gradient and pattern fills stored on an object, one cell at
+ * a time. Fills use the Figma paint format: gradient handle positions are
+ * fractions of the object's bounds, and patterns are anchored to its
+ * top-left corner, so a fill follows the shape when it moves or resizes.
+ * Gradient stops may also carry a character, so one fill can shade with
+ * both characters and colors.
+ */
+
+import { Gradient } from './gradients.js';
+import { Patterns, PatternFill, createPattern } from './patterns.js';
+
+/**
+ * Fill types
+ */
+export const FillType = {
+    SOLID: 'SOLID',
+    GRADIENT_LINEAR: 'GRADIENT_LINEAR',
+    GRADIENT_RADIAL: 'GRADIENT_RADIAL',
+    GRADIENT_ANGULAR: 'GRADIENT_ANGULAR',
+    GRADIENT_DIAMOND: 'GRADIENT_DIAMOND',
+    IMAGE: 'IMAGE',
+    PATTERN: 'PATTERN'       // Extended for ASCII patterns
+};
+
+/**
+ * Default handle positions per gradient type, relative to the bounds.
+ * The first handle is the origin, the second the end of the main axis
+ * and the third the end of the cross axis.
+ */
+const DEFAULT_HANDLES = {
+    [FillType.GRADIENT_LINEAR]: [{ x: 0, y: 0.5 }, { x: 1, y: 0.5 }, { x: 0, y: 1 }],
+    [FillType.GRADIENT_RADIAL]: [{ x: 0.5, y: 0.5 }, { x: 1, y: 0.5 }, { x: 0.5, y: 1 }],
+    [FillType.GRADIENT_ANGULAR]: [{ x: 0.5, y: 0.5 }, { x: 1, y: 0.5 }, { x: 0.5, y: 1 }],
+    [FillType.GRADIENT_DIAMOND]: [{ x: 0.5, y: 0.5 }, { x: 1, y: 0.5 }, { x: 0.5, y: 1 }]
+};
+
+/**
+ * Check whether a fill type is a gradient
+ * @param {string} type - Fill type
+ * @returns {boolean}
+ */
+export function isGradientFill(type) {
+    return type in DEFAULT_HANDLES;
+}
+
+/**
+ * Convert a Figma color { r, g, b, a } (0-1) or a hex string to hex
+ * @param {object|string} color
+ * @returns {string|null}
+ */
+export function paintColorToHex(color) {
+    if (!color) return null;
+    if (typeof color === 'string') return color;
+    const toHex = (n) => Math.round(Math.max(0, Math.min(1, n)) * 255).toString(16).padStart(2, '0');
+    return `#${toHex(color.r)}${toHex(color.g)}${toHex(color.b)}`;
+}
+
+/**
+ * Convert a hex color to a Figma color { r, g, b, a }
+ * @param {string} hex - Hex color (#rrggbb)
+ * @returns {object|null}
+ */
+export function hexToPaintColor(hex) {
+    const match = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex || '');
+    if (!match) return null;
+    return {
+        r: parseInt(match[1], 16) / 255,
+        g: parseInt(match[2], 16) / 255,
+        b: parseInt(match[3], 16) / 255,
+        a: 1
+    };
+}
+
+/**
+ * Create a default fill configuration
+ * @param {string} type - Fill type
+ * @param {object} options - Overrides merged into the fill
+ * @returns {object}
+ */
+export function createFill(type = FillType.SOLID, options = {}) {
+    const base = {
+        type: type,
+        visible: true,
+        opacity: 1,
+        blendMode: 'NORMAL'
+    };
+
+    switch (type) {
+        case FillType.SOLID:
+            return {
+                ...base,
+                color: null,  // null = transparent/none
+                ...options
+            };
+        case FillType.GRADIENT_LINEAR:
+        case FillType.GRADIENT_RADIAL:
+        case FillType.GRADIENT_ANGULAR:
+        case FillType.GRADIENT_DIAMOND:
+            return {
+                ...base,
+                gradientStops: [
+                    { position: 0, color: hexToPaintColor('#ffffff'), char: '░' },
+                    { position: 0.5, color: hexToPaintColor('#a5cdfa'), char: '▒' },
+                    { position: 1, color: hexToPaintColor('#4a9eff'), char: '▓' }
+                ],
+                gradientHandlePositions: DEFAULT_HANDLES[type].map(handle => ({ ...handle })),
+                ...options
+            };
+        case FillType.PATTERN:
+            return {
+                ...base,
+                pattern: 'checker',  // Name in Patterns, or rows of a custom tile
+                color: null,         // null = use the object's fill color
+                ...options
+            };
+        default:
+            return { ...base, ...options };
+    }
+}
+
+/**
+ * Map a handle position relative to the bounds into cell coordinates.
+ * 0 and 1 land on the first and last cell so the whole range is visible.
+ * @param {{x: number, y: number}} handle - Relative position
+ * @param {object} bounds - Object bounds {x, y, width, height}
+ * @returns {{x: number, y: number}}
+ */
+export function handleToCell(handle, bounds) {
+    return {
+        x: bounds.x + handle.x * Math.max(0, bounds.width - 1),
+        y: bounds.y + handle.y * Math.max(0, bounds.height - 1)
+    };
+}
+
+/**
+ * Map a cell back to a handle position relative to the bounds
+ * @param {{x: number, y: number}} cell - Cell coordinates
+ * @param {object} bounds - Object bounds {x, y, width, height}
+ * @returns {{x: number, y: number}}
+ */
+export function cellToHandle(cell, bounds) {
+    return {
+        x: (cell.x - bounds.x) / Math.max(1, bounds.width - 1),
+        y: (cell.y - bounds.y) / Math.max(1, bounds.height - 1)
+    };
+}
+
+/**
+ * Get the canvas positions of a gradient's handles and stops.
+ * Stops sit on the line from the first handle to the second.
+ * @param {object} fill - Gradient fill
+ * @param {object} bounds - Object bounds {x, y, width, height}
+ * @returns {{handles: {x: number, y: number}[], stops: {x: number, y: number}[]}}
+ */
+export function getGradientHandles(fill, bounds) {
+    const positions = fill.gradientHandlePositions || DEFAULT_HANDLES[fill.type];
+    const handles = positions.map(handle => handleToCell(handle, bounds));
+    const [origin, end] = handles;
+    const stops = (fill.gradientStops || []).map(stop => ({
+        x: origin.x + (end.x - origin.x) * stop.position,
+        y: origin.y + (end.y - origin.y) * stop.position
+    }));
+
+    // Linear gradients only use the first two handles
+    const count = fill.type === FillType.GRADIENT_LINEAR ? 2 : 3;
+    return { handles: handles.slice(0, count), stops };
+}
+
+/**
+ * Move a gradient handle to a cell
+ * @param {object} fill - Gradient fill (modified)
+ * @param {object} bounds - Object bounds {x, y, width, height}
+ * @param {number} index - Handle index
+ * @param {{x: number, y: number}} cell - New position
+ */
+export function moveGradientHandle(fill, bounds, index, cell) {
+    if (!fill.gradientHandlePositions) {
+        fill.gradientHandlePositions = DEFAULT_HANDLES[fill.type].map(handle => ({ ...handle }));
+    }
+    fill.gradientHandlePositions[index] = cellToHandle(cell, bounds);
+}
+
+/**
+ * Move a gradient stop to the point of the gradient line nearest a cell
+ * @param {object} fill - Gradient fill (modified)
+ * @param {object} bounds - Object bounds {x, y, width, height}
+ * @param {number} index - Stop index
+ * @param {{x: number, y: number}} cell - Cell being dragged over
+ */
+export function moveGradientStop(fill, bounds, index, cell) {
+    const { handles: [origin, end] } = getGradientHandles(fill, bounds);
+    const dx = end.x - origin.x;
+    const dy = end.y - origin.y;
+    const length = dx * dx + dy * dy;
+    const t = length > 0 ? ((cell.x - origin.x) * dx + (cell.y - origin.y) * dy) / length : 0;
+    fill.gradientStops[index].position = Math.round(Math.max(0, Math.min(1, t)) * 100) / 100;
+}
+
+/**
+ * Gradient fill layer
+ */
+class GradientLayer {
+    /**
+     * @param {object} fill - Gradient fill
+     * @param {object} bounds - Object bounds {x, y, width, height}
+     */
+    constructor(fill, bounds) {
+        this.type = fill.type;
+        this.gradient = new Gradient();
+        for (const stop of fill.gradientStops || []) {
+            this.gradient.addStop(stop.position, stop.char || null, paintColorToHex(stop.color));
+        }
+
+        const handles = fill.gradientHandlePositions || DEFAULT_HANDLES[fill.type];
+        this.origin = handleToCell(handles[0], bounds);
+        const main = handleToCell(handles[1], bounds);
+        const cross = handleToCell(handles[2] || DEFAULT_HANDLES[fill.type][2], bounds);
+        this.u = { x: main.x - this.origin.x, y: main.y - this.origin.y };
+        this.v = { x: cross.x - this.origin.x, y: cross.y - this.origin.y };
+    }
+
+    /**
+     * Gradient position of a cell
+     * @param {number} x
+     * @param {number} y
+     * @returns {number} Position (unclamped)
+     */
+    positionAt(x, y) {
+        const dx = x - this.origin.x;
+        const dy = y - this.origin.y;
+        const { u, v } = this;
+        const uu = u.x * u.x + u.y * u.y;
+
+        if (this.type === FillType.GRADIENT_LINEAR) {
+            return uu > 0 ? (dx * u.x + dy * u.y) / uu : 0;
+        }
+
+        // Express the cell in the handle axes, so radial gradients are
+        // ellipses fitted to the handles rather than circles
+        let a, b;
+        const det = u.x * v.y - u.y * v.x;
+        if (Math.abs(det) > 1e-9) {
+            a = (dx * v.y - dy * v.x) / det;
+            b = (dy * u.x - dx * u.y) / det;
+        } else {
+            const length = Math.sqrt(uu) || 1;
+            a = (dx * u.x + dy * u.y) / (length * length);
+            b = (dy * u.x - dx * u.y) / (length * length);
+        }
+
+        switch (this.type) {
+            case FillType.GRADIENT_RADIAL:
+                return Math.sqrt(a * a + b * b);
+            case FillType.GRADIENT_DIAMOND:
+                return Math.abs(a) + Math.abs(b);
+            case FillType.GRADIENT_ANGULAR: {
+                const angle = Math.atan2(b, a);
+                return (angle < 0 ? angle + Math.PI * 2 : angle) / (Math.PI * 2);
+            }
+            default:
+                return 0;
+        }
+    }
+
+    sample(x, y) {
+        return this.gradient.getAt(this.positionAt(x, y));
+    }
+}
+
+/**
+ * Pattern fill layer
+ */
+class PatternLayer {
+    /**
+     * @param {object} fill - Pattern fill
+     * @param {object} bounds - Object bounds {x, y, width, height}
+     */
+    constructor(fill, bounds) {
+        const tile = Array.isArray(fill.pattern)
+            ? createPattern(fill.pattern)
+            : Patterns[fill.pattern] || Patterns.checker;
+        this.fill = new PatternFill(tile, {
+            offsetX: -Math.round(bounds.x),
+            offsetY: -Math.round(bounds.y),
+            color: paintColorToHex(fill.color)
+        });
+    }
+
+    sample(x, y) {
+        const char = this.fill.getCharAt(x, y);
+        if (char === this.fill.options.transparent) return null;
+        return { char, color: this.fill.options.color };
+    }
+}
+
+/**
+ * Solid fill layer; keeps the shape's character and sets the color
+ */
+class SolidLayer {
+    constructor(fill) {
+        this.color = paintColorToHex(fill.color);
+    }
+
+    sample() {
+        return { char: null, color: this.color };
+    }
+}
+
+/**
+ * Stack of fills sampled per cell. Fills are listed bottom to top and the
+ * topmost fill that covers a cell wins; transparent pattern cells show the
+ * fills below them.
+ */
+export class FillPaint {
+    /**
+     * @param {object[]} fills - Fill definitions, bottom to top
+     * @param {object} bounds - Object bounds {x, y, width, height}
+     */
+    constructor(fills, bounds) {
+        this.layers = [];
+        for (const fill of fills) {
+            if (!fill || fill.visible === false) continue;
+            if (isGradientFill(fill.type)) {
+                this.layers.unshift(new GradientLayer(fill, bounds));
+            } else if (fill.type === FillType.PATTERN) {
+                this.layers.unshift(new PatternLayer(fill, bounds));
+            } else if (fill.type === FillType.SOLID) {
+                this.layers.unshift(new SolidLayer(fill));
+            }
+        }
+    }
+
+    /**
+     * Character and color for a cell
+     * @param {number} x
+     * @param {number} y
+     * @returns {{char: string|null, color: string|null}|null} Null when no fill covers the cell;
+     *   a null char or color keeps the shape's own
+     */
+    sample(x, y) {
+        for (const layer of this.layers) {
+            const sample = layer.sample(x, y);
+            if (sample) return sample;
+        }
+        return null;
+    }
+}
+
+/**
+ * Create the paint for an object's fills
+ * @param {object[]} fills - Fill definitions, bottom to top
+ * @param {object} bounds - Object bounds {x, y, width, height}
+ * @returns {FillPaint|null} Null when there is no visible gradient or pattern
+ *   fill, so plain solid fills keep using the object's fill color
+ */
+export function createFillPaint(fills, bounds) {
+    const painted = (fills || []).some(fill =>
+        fill && fill.visible !== false && (isGradientFill(fill.type) || fill.type === FillType.PATTERN)
+    );
+    return painted ? new FillPaint(fills, bounds) : null;
+}
+
+/**
+ * Buffer wrapper that paints every cell a shape fills with the fill's
+ * sample at that cell
+ */
+export class PaintedBuffer {
+    /**
+     * @param {object} buffer - Original ASCII buffer
+     * @param {FillPaint} paint - Paint to sample
+     * @param {string} [fallbackChar='█'] - Character when neither the sample nor the shape has one
+     */
+    constructor(buffer, paint, fallbackChar = '█') {
+        this.buffer = buffer;
+        this.paint = paint;
+        this.fallbackChar = fallbackChar;
+    }
+
+    /**
+     * Set character, replaced by the paint sample
+     * @param {number} x
+     * @param {number} y
+     * @param {string} char - Character used when the sample has none
+     * @param {string|object} color - Color or cell style used when the sample has none;
+     *   a cell style keeps its background and attributes
+     * @param {number} [z=0] - Depth value
+     */
+    setChar(x, y, char, color = null, z = 0) {
+        // Sample the cell the buffer will round to
+        const sample = this.paint.sample(Math.round(x), Math.round(y));
+        if (!sample) return;
+        const style = color !== null && typeof color === 'object'
+            ? { ...color, color: sample.color || color.color }
+            : sample.color || color;
+        this.buffer.setChar(x, y, sample.char || char || this.fallbackChar, style, z);
+    }
+
+    /**
+     * Check bounds (passthrough)
+     */
+    inBounds(x, y) {
+        return this.buffer.inBounds
+            ? this.buffer.inBounds(x, y)
+            : x >= 0 && x < this.width && y >= 0 && y < this.height;
+    }
+
+    /**
+     * Get character (passthrough)
+     */
+    getChar(x, y) {
+        return this.buffer.getChar(x, y);
+    }
+
+    /**
+     * Get color (passthrough)
+     */
+    getColor(x, y) {
+        return this.buffer.getColor(x, y);
+    }
+
+    /**
+     * Get buffer width
+     */
+    get width() {
+        return this.buffer.width;
+    }
+
+    /**
+     * Get buffer height
+     */
+    get height() {
+        return this.buffer.height;
+    }
+}
+
+export default {
+    FillType,
+    FillPaint,
+    PaintedBuffer,
+    createFill,
+    createFillPaint,
+    isGradientFill,
+    handleToCell,
+    cellToHandle,
+    getGradientHandles,
+    moveGradientHandle,
+    moveGradientStop,
+    paintColorToHex,
+    hexToPaintColor
+};
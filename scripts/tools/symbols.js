@@ -197,7 +197,9 @@ export class SymbolInstance {
                     strokeColor,
                     fillColor
                 });
-                if (obj && obj.render) {
+                if (obj && obj.renderStyled) {
+                    obj.renderStyled(buffer);
+                } else if (obj && obj.render) {
                     obj.render(buffer);
                 }
             } else {
@@ -380,7 +380,7 @@ export class HistoryPanel extends Panel {
             ...options
         });
         
-        /** @type {HistoryManager|null} History manager reference */
+        /** @type {HistoryManager|CommandHistory|null} History manager reference */
         this.historyManager = options.historyManager || null;
         
         /** @type {HTMLElement|null} History list element */
@@ -388,8 +388,9 @@ export class HistoryPanel extends Panel {
     }
 
     /**
-     * Set history manager
-     * @param {HistoryManager} manager
+     * Set history manager. Also accepts the document's CommandHistory
+     * (core/document/history.js), whose entries are named patches.
+     * @param {HistoryManager|CommandHistory} manager
      */
     setHistoryManager(manager) {
         this.historyManager = manager;
@@ -1,11 +1,13 @@
 /**
  * Asciistrator - Layers Panel
  * 
- * Layer management panel with visibility, ordering, and naming.
+ * Layer management panel with visibility, ordering, naming, blend mode
+ * and opacity.
  */
 
 import { Panel } from '../panels.js';
 import { EventEmitter } from '../../utils/events.js';
+import { BlendModes, BlendModeLabels } from '../../core/document/compositing.js';
 
 // ==========================================
 // LAYER ITEM
@@ -34,6 +36,12 @@ export class LayerItem extends EventEmitter {
         /** @type {boolean} Is layer locked */
         this.locked = options.locked || false;
         
+        /** @type {string} Blend mode over the layers below */
+        this.blendMode = options.blendMode || BlendModes.NORMAL;
+        
+        /** @type {number} Opacity 0-1 */
+        this.opacity = options.opacity ?? 1;
+        
         /** @type {boolean} Is layer selected */
         this.selected = options.selected || false;
         
@@ -98,6 +106,11 @@ export class LayerItem extends EventEmitter {
         });
         this.element.appendChild(nameEl);
 
+        // Blend mode and opacity, when not the defaults
+        const blendEl = document.createElement('span');
+        blendEl.className = 'layer-blend-badge';
+        this.element.appendChild(blendEl);
+
         // Object count
         const countEl = document.createElement('span');
         countEl.className = 'layer-count';
@@ -157,6 +170,14 @@ export class LayerItem extends EventEmitter {
             countEl.textContent = this.objectCount > 0 ? `(${this.objectCount})` : '';
         }
 
+        const blendEl = this.element.querySelector('.layer-blend-badge');
+        if (blendEl) {
+            const parts = [];
+            if (this.blendMode !== BlendModes.NORMAL) parts.push(BlendModeLabels[this.blendMode] || this.blendMode);
+            if (this.opacity < 1) parts.push(`${Math.round(this.opacity * 100)}%`);
+            blendEl.textContent = parts.join(' ');
+        }
+
         const colorEl = this.element.querySelector('.layer-color');
         if (colorEl) {
             colorEl.style.backgroundColor = this.color;
@@ -258,6 +279,12 @@ export class LayersPanel extends Panel {
         /** @type {HTMLElement|null} Layers list element */
         this.layersList = null;
         
+        /** @type {HTMLInputElement|null} Opacity slider of the selected layer */
+        this.opacityInput = null;
+        
+        /** @type {HTMLSelectElement|null} Blend mode select of the selected layer */
+        this.blendSelect = null;
+        
         /** @type {Function} External layer data source */
         this.dataSource = options.dataSource || null;
     }
@@ -349,13 +376,17 @@ export class LayersPanel extends Panel {
 
         const opacityInput = opacityRow.querySelector('.layer-opacity');
         const opacityValue = opacityRow.querySelector('.layer-opacity-value');
+        this.opacityInput = opacityInput;
         
         opacityInput.addEventListener('input', () => {
             opacityValue.textContent = `${opacityInput.value}%`;
             if (this.selectedLayer) {
+                const opacity = parseInt(opacityInput.value, 10) / 100;
+                this.selectedLayer.opacity = opacity;
+                this.selectedLayer.update();
                 this.emit('layerOpacity', {
                     layerId: this.selectedLayer.id,
-                    opacity: parseInt(opacityInput.value, 10) / 100
+                    opacity
                 });
             }
         });
@@ -367,18 +398,16 @@ export class LayersPanel extends Panel {
         blendRow.innerHTML = `
             <label>Blend:</label>
             <select class="layer-blend">
-                <option value="normal">Normal</option>
-                <option value="multiply">Multiply</option>
-                <option value="screen">Screen</option>
-                <option value="overlay">Overlay</option>
-                <option value="darken">Darken</option>
-                <option value="lighten">Lighten</option>
+                ${Object.entries(BlendModeLabels).map(([mode, label]) => `<option value="${mode}">${label}</option>`).join('')}
             </select>
         `;
 
         const blendSelect = blendRow.querySelector('.layer-blend');
+        this.blendSelect = blendSelect;
         blendSelect.addEventListener('change', () => {
             if (this.selectedLayer) {
+                this.selectedLayer.blendMode = blendSelect.value;
+                this.selectedLayer.update();
                 this.emit('layerBlend', {
                     layerId: this.selectedLayer.id,
                     blendMode: blendSelect.value
@@ -497,9 +526,23 @@ export class LayersPanel extends Panel {
         }
 
         this.selectedLayer = this.layers.find(l => l.id === id) || null;
+        this._updateLayerProperties();
         this.emit('layerSelect', id);
     }
 
+    /**
+     * Show the selected layer's blend mode and opacity
+     * @private
+     */
+    _updateLayerProperties() {
+        if (!this.selectedLayer || !this.opacityInput || !this.blendSelect) return;
+
+        const opacity = Math.round(this.selectedLayer.opacity * 100);
+        this.opacityInput.value = opacity;
+        this.opacityInput.parentElement.querySelector('.layer-opacity-value').textContent = `${opacity}%`;
+        this.blendSelect.value = this.selectedLayer.blendMode;
+    }
+
     /**
      * Update layer data
      * @param {string} id
@@ -510,6 +553,9 @@ export class LayersPanel extends Panel {
         if (layer) {
             Object.assign(layer, data);
             layer.update();
+            if (layer === this.selectedLayer) {
+                this._updateLayerProperties();
+            }
         }
     }
 
@@ -0,0 +1,61 @@
+/**
+ * Asciistrator - Exporter Test Helpers
+ *
+ * Fixtures and assertions shared by the UI framework exporter tests.
+ */
+
+import { assert } from './framework.js';
+
+/**
+ * A UI component mockup object
+ */
+export const component = (type, x, y, width, height, uiProperties = {}) => ({
+    type: 'text', x, y, width, height, uiComponentType: type, uiProperties, children: []
+});
+
+/**
+ * A plain one-line text object
+ */
+export const text = (x, y, value) => ({ type: 'text', x, y, width: value.length, height: 1, text: value, children: [] });
+
+/**
+ * Export objects on a 60x30 document, failing when the export fails
+ * @param {Function} Exporter - Exporter class
+ * @param {Array<Object>} objects
+ * @param {Object} [options]
+ * @returns {string} Exported content
+ */
+export function exportObjects(Exporter, objects, options = {}) {
+    const document = { width: 60, height: 30, layers: [{ visible: true, objects }] };
+    const result = new Exporter().export(document, options);
+    assert.ok(result.success, result.errors.join(', '));
+    return result.content;
+}
+
+/**
+ * Fail when a snippet is missing or out of order
+ */
+export function assertInOrder(content, snippets) {
+    let from = 0;
+    for (const snippet of snippets) {
+        const index = content.indexOf(snippet, from);
+        assert.ok(index >= 0, `Expected "${snippet}" after offset ${from}`);
+        from = index + snippet.length;
+    }
+}
+
+/**
+ * Fail when brackets outside strings and comments do not pair up
+ * @param {string} content
+ * @param {RegExp} [comment] - Line comment pattern
+ */
+export function assertBalanced(content, comment = /\/\/.*$/gm) {
+    const code = content.replace(/"(?:[^"\\]|\\.)*"/g, '""').replace(comment, '');
+    const pairs = { ')': '(', ']': '[', '}': '{' };
+    const stack = [];
+    for (const char of code) {
+        if ('([{'.includes(char)) stack.push(char);
+        if (pairs[char]) assert.equal(stack.pop(), pairs[char], `Unexpected ${char}`);
+    }
+    assert.equal(stack.length, 0, 'Unclosed bracket');
+}
@@ -0,0 +1,223 @@
+/**
+ * Asciistrator - ANSI Importer Unit Tests
+ *
+ * Tests for SGR color parsing, cursor movement, SAUCE metadata
+ * and conversion into text objects.
+ */
+
+import { describe, it, assert } from '../framework.js';
+import {
+    ANSIImporter,
+    AnsiPalette16,
+    ansi256ToHex,
+    parseSauce,
+    decodeAnsiBytes,
+    createTextObjectsFromAnsi
+} from '../../scripts/io/ansi.js';
+import { ANSIExporter } from '../../scripts/io/exporters/ANSIExporter.js';
+
+const ESC = '\x1b';
+
+/**
+ * Build a .ans file: content, EOF marker and a SAUCE record
+ */
+function createSauceFile(content, { width = 80, lines = 25, flags = 0, title = 'Test' } = {}) {
+    const record = new Uint8Array(128).fill(0x20);
+    const write = (offset, text) => {
+        for (let i = 0; i < text.length; i++) record[offset + i] = text.charCodeAt(i);
+    };
+
+    write(0, 'SAUCE00');
+    write(7, title);
+    write(42, 'Artist');
+    write(62, 'Group');
+    write(82, '20240101');
+
+    const view = new DataView(record.buffer);
+    view.setUint32(90, content.length, true);
+    record[94] = 1; // Character
+    record[95] = 1; // ANSi
+    view.setUint16(96, width, true);
+    view.setUint16(98, lines, true);
+    view.setUint16(100, 0, true);
+    view.setUint16(102, 0, true);
+    record[104] = 0;
+    record[105] = flags;
+
+    const body = new Uint8Array([...content].map(c => c.charCodeAt(0)));
+    const file = new Uint8Array(body.length + 1 + record.length);
+    file.set(body, 0);
+    file[body.length] = 0x1a;
+    file.set(record, body.length + 1);
+    return file;
+}
+
+// ==========================================
+// COLOR TESTS
+// ==========================================
+
+describe('ANSIImporter colors', () => {
+    it('should read 16-color foreground and background', () => {
+        const result = new ANSIImporter().parse(`${ESC}[31;44mA${ESC}[0mB`);
+
+        assert.equal(result.lines[0], 'AB');
+        assert.equal(result.colorData[0][0], AnsiPalette16[1]);
+        assert.equal(result.backgroundData[0][0], AnsiPalette16[4]);
+        assert.isNull(result.colorData[0][1]);
+    });
+
+    it('should brighten base colors when bold', () => {
+        const result = new ANSIImporter().parse(`${ESC}[1;32mX`);
+
+        assert.equal(result.colorData[0][0], AnsiPalette16[10]);
+    });
+
+    it('should read 256-color and 24-bit colors', () => {
+        const result = new ANSIImporter().parse(`${ESC}[38;5;196mA${ESC}[38;2;18;52;86;48;5;232mB`);
+
+        assert.equal(result.colorData[0][0], '#ff0000');
+        assert.equal(result.colorData[0][1], '#123456');
+        assert.equal(result.backgroundData[0][1], '#080808');
+    });
+
+    it('should map the 256-color cube and grayscale ramp', () => {
+        assert.equal(ansi256ToHex(16), '#000000');
+        assert.equal(ansi256ToHex(231), '#ffffff');
+        assert.equal(ansi256ToHex(244), '#808080');
+    });
+
+    it('should swap colors when reversed', () => {
+        const result = new ANSIImporter().parse(`${ESC}[33;7mR`);
+
+        assert.equal(result.colorData[0][0], AnsiPalette16[0]);
+        assert.equal(result.backgroundData[0][0], AnsiPalette16[3]);
+    });
+
+    it('should round-trip ANSIExporter truecolor output', () => {
+        const buffer = {
+            width: 3,
+            height: 1,
+            chars: [['a', 'b', 'c']],
+            colors: [['#ff0000', '#ff0000', '#00ff00']],
+            getChar(x, y) { return this.chars[y][x]; },
+            getColor(x, y) { return this.colors[y][x]; }
+        };
+        const exported = new ANSIExporter().export({ buffer }, { colorMode: 'truecolor' });
+        const result = new ANSIImporter().parse(exported.content);
+
+        assert.equal(result.lines[0], 'abc');
+        assert.deepEqual(result.colorData[0], ['#ff0000', '#ff0000', '#00ff00']);
+    });
+});
+
+// ==========================================
+// CURSOR TESTS
+// ==========================================
+
+describe('ANSIImporter cursor movement', () => {
+    it('should position the cursor absolutely and relatively', () => {
+        const result = new ANSIImporter().parse(`${ESC}[2;3HX${ESC}[AY${ESC}[2CZ`);
+
+        assert.equal(result.lines[0], '   Y  Z');
+        assert.equal(result.lines[1].trimEnd(), '  X');
+    });
+
+    it('should wrap at the configured width', () => {
+        const result = new ANSIImporter({ width: 4 }).parse('abcdef');
+
+        assert.deepEqual(result.lines, ['abcd', 'ef  ']);
+    });
+
+    it('should not add a blank line when a full row ends with a newline', () => {
+        const result = new ANSIImporter({ width: 4 }).parse('abcd\r\nef');
+
+        assert.deepEqual(result.lines, ['abcd', 'ef  ']);
+    });
+
+    it('should save and restore the cursor', () => {
+        const result = new ANSIImporter().parse(`A${ESC}[s\n\nB${ESC}[uC`);
+
+        assert.equal(result.lines[0], 'AC');
+        assert.equal(result.lines[2].trimEnd(), 'B');
+    });
+
+    it('should ignore private mode sequences', () => {
+        const result = new ANSIImporter().parse(`${ESC}[?7h${ESC}[?25lOK`);
+
+        assert.equal(result.lines[0], 'OK');
+    });
+
+    it('should skip character set selections', () => {
+        // tput sgr0 emits ESC ( B after the reset
+        const result = new ANSIImporter().parse(`${ESC}[1mBold${ESC}(B${ESC}[mPlain${ESC})0!`);
+
+        assert.equal(result.lines[0], 'BoldPlain!');
+    });
+});
+
+// ==========================================
+// SAUCE TESTS
+// ==========================================
+
+describe('SAUCE metadata', () => {
+    it('should split the SAUCE record from the content', () => {
+        const { content, sauce } = parseSauce(createSauceFile('Hi', { width: 40, title: 'Banner' }));
+
+        assert.equal(content.length, 2);
+        assert.equal(sauce.title, 'Banner');
+        assert.equal(sauce.author, 'Artist');
+        assert.equal(sauce.tInfo1, 40);
+    });
+
+    it('should use the SAUCE width for wrapping', () => {
+        const result = new ANSIImporter().importBytes(createSauceFile('abcdef', { width: 3 }));
+
+        assert.deepEqual(result.lines, ['abc', 'def']);
+        assert.equal(result.sauce.title, 'Test');
+    });
+
+    it('should treat blink as bright background with iCE colors', () => {
+        const result = new ANSIImporter().importBytes(createSauceFile(`${ESC}[5;41m `, { flags: 1 }));
+
+        assert.equal(result.backgroundData[0][0], AnsiPalette16[9]);
+    });
+
+    it('should decode code page 437 bytes', () => {
+        assert.equal(decodeAnsiBytes(new Uint8Array([0xc9, 0xcd, 0xbb, 0xdb])), '╔═╗█');
+    });
+});
+
+// ==========================================
+// OBJECT CREATION TESTS
+// ==========================================
+
+describe('createTextObjectsFromAnsi', () => {
+    it('should create one text object per color run', () => {
+        const result = new ANSIImporter().parse(`${ESC}[31mred red${ESC}[32m green`);
+        const objects = createTextObjectsFromAnsi(result, 2, 1);
+
+        assert.lengthOf(objects, 2);
+        assert.equal(objects[0].text, 'red red');
+        assert.equal(objects[0].x, 2);
+        assert.equal(objects[0].y, 1);
+        assert.equal(objects[1].text, 'green');
+        assert.equal(objects[1].x, 10);
+    });
+
+    it('should draw background-only cells as blocks', () => {
+        const result = new ANSIImporter().parse(`${ESC}[44m  `);
+        const objects = createTextObjectsFromAnsi(result);
+
+        assert.equal(objects[0].text, '██');
+        assert.equal(objects[0].strokeColor, AnsiPalette16[4]);
+    });
+
+    it('should drop backgrounds when asked to', () => {
+        const result = new ANSIImporter().parse(`${ESC}[44m  X`);
+        const objects = createTextObjectsFromAnsi(result, 0, 0, { backgroundMode: 'ignore' });
+
+        assert.lengthOf(objects, 1);
+        assert.equal(objects[0].text, 'X');
+        assert.isNull(objects[0].fillColor);
+    });
+});
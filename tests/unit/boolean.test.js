@@ -0,0 +1,116 @@
+/**
+ * Asciistrator - Vector Boolean Unit Tests
+ *
+ * Tests for polygon clipping with union, intersect, subtract and exclude,
+ * and for converting between path points and polygons.
+ */
+
+import { describe, it, assert } from '../framework.js';
+import {
+    BooleanOperation,
+    PathBoolean,
+    splitSubpaths,
+    pathToPolygons,
+    polygonsToPath
+} from '../../scripts/tools/boolean.js';
+import { Polygon } from '../../scripts/core/math/geometry.js';
+import { Vector2D } from '../../scripts/core/math/vector2d.js';
+
+/**
+ * Region of one rectangle
+ */
+function rect(x, y, width, height) {
+    return [Polygon.rectangle(x, y, width, height)];
+}
+
+/**
+ * Total area of a result; holes run the other way and count negative
+ */
+function area(polygons) {
+    return polygons.reduce((sum, polygon) => sum + polygon.signedArea(), 0);
+}
+
+/**
+ * Even-odd point test over a result
+ */
+function contains(polygons, x, y) {
+    return polygons.filter(polygon => polygon.containsPoint(new Vector2D(x, y))).length % 2 === 1;
+}
+
+describe('PathBoolean', () => {
+    const a = rect(0, 0, 4, 4);
+    const b = rect(2, 2, 4, 4);
+
+    it('should combine overlapping rectangles', () => {
+        assert.equal(area(PathBoolean.union(a, b)), 28);
+        assert.equal(area(PathBoolean.intersect(a, b)), 4);
+        assert.equal(area(PathBoolean.subtract(a, b)), 12);
+        assert.equal(area(PathBoolean.exclude(a, b)), 24);
+    });
+
+    it('should return outlines without redundant vertices', () => {
+        const [union] = PathBoolean.union(a, b);
+        assert.equal(union.vertexCount, 8);
+
+        const [merged] = PathBoolean.union(rect(0, 0, 2, 2), rect(2, 0, 2, 2));
+        assert.equal(merged.vertexCount, 4, 'The shared edge should disappear');
+    });
+
+    it('should cut holes as reversed contours', () => {
+        const result = PathBoolean.subtract(rect(0, 0, 6, 6), rect(2, 2, 2, 2));
+        assert.lengthOf(result, 2);
+        assert.ok(result[0].signedArea() * result[1].signedArea() < 0);
+        assert.ok(!contains(result, 3, 3), 'The hole should be empty');
+        assert.ok(contains(result, 1, 1));
+    });
+
+    it('should keep separate pieces apart', () => {
+        assert.lengthOf(PathBoolean.union(rect(0, 0, 1, 1), rect(5, 5, 1, 1)), 2);
+        assert.lengthOf(PathBoolean.union(rect(0, 0, 2, 2), rect(2, 2, 2, 2)), 2, 'Shapes touching at a corner stay two contours');
+        assert.lengthOf(PathBoolean.subtract(a, a), 0);
+    });
+
+    it('should clip star and polygon outlines', () => {
+        const star = [Polygon.star(5, new Vector2D(10, 10), 8, 3)];
+        const square = rect(10, 0, 10, 20);
+        const right = PathBoolean.intersect(star, square);
+        const left = PathBoolean.subtract(star, square);
+
+        assert.ok(Math.abs(area(right) + area(left) - star[0].area()) < 1e-6);
+        assert.ok(contains(right, 11, 10) && !contains(right, 9, 10));
+    });
+
+    it('should combine several regions in order', () => {
+        const regions = [rect(0, 0, 6, 2), rect(0, 0, 2, 2), rect(4, 0, 2, 2)];
+        assert.equal(area(PathBoolean.combine(BooleanOperation.SUBTRACT, regions)), 4);
+        assert.lengthOf(PathBoolean.combine(BooleanOperation.EXCLUDE, [a, a, a]), 1);
+        assert.throws(() => PathBoolean.apply('merge', a, b));
+    });
+});
+
+describe('Path Conversion', () => {
+    it('should split subpaths at moveTo points', () => {
+        const subpaths = splitSubpaths([{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 5, y: 5, moveTo: true }]);
+        assert.deepEqual(subpaths.map(subpath => subpath.length), [2, 1]);
+    });
+
+    it('should flatten bezier segments with relative handles', () => {
+        const [polygon] = pathToPolygons([
+            { x: 0, y: 0, handleOut: { x: 10, y: 0 } },
+            { x: 10, y: 10, handleIn: { x: 0, y: -10 } },
+            { x: 0, y: 10 }
+        ]);
+
+        assert.ok(polygon.vertexCount > 4, 'The curve should become several vertices');
+        assert.ok(polygon.vertices.every(v => v.x >= 0 && v.x <= 10 && v.y >= 0 && v.y <= 10));
+        assert.ok(polygon.containsPoint(new Vector2D(6, 3)), 'The curve should bulge outward');
+    });
+
+    it('should snap results to cells and mark subpath starts', () => {
+        const points = polygonsToPath(PathBoolean.subtract(rect(0, 0, 6.2, 6), rect(2, 2, 2, 2)));
+
+        assert.lengthOf(points, 8);
+        assert.ok(points.every(point => Number.isInteger(point.x) && Number.isInteger(point.y)));
+        assert.deepEqual(points.map(point => !!point.moveTo), [false, false, false, false, true, false, false, false]);
+    });
+});
@@ -0,0 +1,153 @@
+/**
+ * Asciistrator - Cell Style Unit Tests
+ *
+ * Tests for per-cell foreground, background and text attributes in the
+ * buffer, the drawing functions, layer compositing and the exporters.
+ */
+
+import { describe, it, assert } from '../framework.js';
+import {
+    AsciiBuffer,
+    CellAttribute,
+    StyledBuffer,
+    cellStyleToCSS,
+    drawRect,
+    fillRect
+} from '../../scripts/core/ascii/rasterizer.js';
+import { CompositingLayer, LayerCompositor } from '../../scripts/core/document/compositing.js';
+import { ANSIExporter } from '../../scripts/io/exporters/ANSIExporter.js';
+import { HTMLExporter } from '../../scripts/io/exporters/HTMLExporter.js';
+import { SVGExporter } from '../../scripts/io/exporters/SVGExporter.js';
+
+/**
+ * One row with a bold red-on-blue 'a', a plain green 'b' and a blank
+ * cell that only has a background
+ */
+function styledRow() {
+    const buffer = new AsciiBuffer(4, 1);
+    buffer.setChar(0, 0, 'a', { color: '#ff0000', background: '#0000ff', attributes: CellAttribute.BOLD });
+    buffer.setChar(1, 0, 'b', '#00ff00');
+    buffer.setChar(2, 0, ' ', { color: null, background: '#102030' });
+    return buffer;
+}
+
+describe('AsciiBuffer cell style', () => {
+    it('should store colors, backgrounds and attributes per cell', () => {
+        const buffer = styledRow();
+        assert.deepEqual(buffer.getStyle(0, 0), { color: '#ff0000', background: '#0000ff', attributes: CellAttribute.BOLD });
+        assert.isNull(buffer.getBackground(1, 0));
+        assert.equal(buffer.getBackground(2, 0), '#102030');
+    });
+
+    it('should keep the background when text is drawn over it', () => {
+        const buffer = styledRow();
+        buffer.setChar(0, 0, 'x', '#ffffff');
+        assert.equal(buffer.getBackground(0, 0), '#0000ff');
+        assert.equal(buffer.getAttributes(0, 0), CellAttribute.NONE);
+    });
+
+    it('should clear and resize the style arrays', () => {
+        const buffer = styledRow();
+        buffer.resize(6, 2);
+        assert.equal(buffer.getBackground(0, 0), '#0000ff');
+        buffer.clear();
+        assert.isNull(buffer.getBackground(0, 0));
+        assert.equal(buffer.getAttributes(0, 0), 0);
+    });
+
+    it('should overlay glyphs and background-only cells', () => {
+        const target = new AsciiBuffer(4, 1);
+        'zzzz'.split('').forEach((char, x) => target.setChar(x, 0, char, '#ffffff'));
+        target.overlay(styledRow());
+        assert.equal(target.toString(), 'ab z');
+        assert.equal(target.getBackground(2, 0), '#102030');
+        assert.equal(target.getColor(3, 0), '#ffffff', 'Empty cells should leave the target alone');
+    });
+
+    it('should write styled spans and swap reversed colors', () => {
+        assert.equal(styledRow().toHTML().split('</span>')[0],
+            '<span style="color:#ff0000;background-color:#0000ff;font-weight:bold">a');
+        assert.equal(cellStyleToCSS('#ff0000', null, CellAttribute.REVERSE | CellAttribute.UNDERLINE),
+            'color:#1a1a2e;background-color:#ff0000;text-decoration:underline');
+    });
+});
+
+describe('Styled drawing', () => {
+    it('should pass backgrounds and attributes through the drawing functions', () => {
+        const buffer = new AsciiBuffer(6, 3);
+        fillRect(buffer, 0, 0, 6, 3, { border: false, fillColor: '#ffffff', background: '#222222' });
+        drawRect(buffer, 0, 0, 6, 3, { color: '#00ff00', attributes: CellAttribute.ITALIC });
+        assert.equal(buffer.getBackground(3, 1), '#222222');
+        assert.equal(buffer.getBackground(0, 0), '#222222', 'The outline should keep the fill background');
+        assert.equal(buffer.getAttributes(0, 0), CellAttribute.ITALIC);
+        assert.equal(buffer.getAttributes(3, 1), CellAttribute.NONE);
+    });
+
+    it('should add an object style to everything drawn through a StyledBuffer', () => {
+        const buffer = new AsciiBuffer(4, 1);
+        const styled = new StyledBuffer(buffer, { background: '#333333', attributes: CellAttribute.UNDERLINE });
+        styled.setChar(0, 0, 'a', '#ff0000');
+        styled.setChar(1, 0, 'b', { color: '#ff0000', background: '#444444', attributes: CellAttribute.BOLD });
+        assert.deepEqual(buffer.getStyle(0, 0), { color: '#ff0000', background: '#333333', attributes: CellAttribute.UNDERLINE });
+        assert.equal(buffer.getBackground(1, 0), '#444444');
+        assert.equal(buffer.getAttributes(1, 0), CellAttribute.BOLD | CellAttribute.UNDERLINE);
+    });
+});
+
+describe('Cell style compositing', () => {
+    it('should cover lower glyphs with background-only cells', () => {
+        const bottom = new AsciiBuffer(4, 1);
+        bottom.setChar(0, 0, 'a', '#ffffff');
+        const top = new AsciiBuffer(4, 1);
+        top.setChar(0, 0, ' ', { color: null, background: '#ff0000' });
+
+        const compositor = new LayerCompositor();
+        compositor.addLayer(CompositingLayer.fromBuffer(bottom));
+        compositor.addLayer(CompositingLayer.fromBuffer(top));
+        const result = compositor.compositeInto(new AsciiBuffer(4, 1));
+        assert.equal(result.getChar(0, 0), ' ');
+        assert.equal(result.getBackground(0, 0), '#ff0000');
+    });
+
+    it('should flatten translucent backgrounds and keep text on them', () => {
+        const bottom = new AsciiBuffer(4, 1);
+        bottom.setChar(0, 0, ' ', { color: null, background: '#ffffff' });
+        const top = new AsciiBuffer(4, 1);
+        top.setChar(0, 0, 'a', { color: '#00ff00', background: '#00000080', attributes: CellAttribute.BOLD });
+
+        const compositor = new LayerCompositor();
+        compositor.addLayer(CompositingLayer.fromBuffer(bottom));
+        compositor.addLayer(CompositingLayer.fromBuffer(top));
+        const result = compositor.compositeInto(new AsciiBuffer(4, 1));
+        assert.equal(result.getChar(0, 0), 'a');
+        assert.equal(result.getBackground(0, 0), '#7f7f7f');
+        assert.equal(result.getAttributes(0, 0), CellAttribute.BOLD);
+    });
+});
+
+describe('Cell style exports', () => {
+    it('should write 24-bit ANSI colors and attributes', () => {
+        const content = new ANSIExporter().export({ buffer: styledRow() }).content;
+        assert.ok(content.includes('\x1b[1m\x1b[48;2;0;0;255m\x1b[38;2;255;0;0ma'));
+        assert.ok(content.includes('\x1b[38;2;0;255;0mb'), 'A foreground change alone should not reset');
+        assert.ok(content.includes('\x1b[48;2;16;32;48m '));
+    });
+
+    it('should fall back to indexed ANSI backgrounds', () => {
+        const content = new ANSIExporter().export({ buffer: styledRow() }, { colorMode: '16' }).content;
+        assert.ok(content.includes('\x1b[44m'), 'Blue background should use code 44');
+    });
+
+    it('should write background and attribute styles to HTML', () => {
+        const content = new HTMLExporter().export({ buffer: styledRow() }).content;
+        assert.ok(content.includes('<span style="color:#ff0000;background-color:#0000ff;font-weight:bold">a</span>'));
+        assert.ok(content.includes('<span style="background-color:#102030"> </span>'));
+    });
+
+    it('should draw SVG background rectangles under the text', () => {
+        const content = new SVGExporter().export({ buffer: styledRow() }).content;
+        assert.ok(content.indexOf('id="ascii-backgrounds"') < content.indexOf('id="ascii-content"'));
+        assert.ok(content.includes('fill="#102030"'));
+        assert.ok(content.includes('fill="#ff0000" font-weight="bold">a</text>'));
+    });
+});
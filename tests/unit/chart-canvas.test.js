@@ -0,0 +1,139 @@
+/**
+ * Asciistrator - Plot Canvas Unit Tests
+ *
+ * Tests for Braille, quadrant and sextant plotting and for line, scatter
+ * and stacked area charts drawn at a sub-character resolution.
+ */
+
+import { describe, it, assert } from '../framework.js';
+import {
+    PlotCanvas,
+    PlotResolution,
+    getCellChar,
+    LineChart,
+    ScatterChart,
+    StackedAreaChart
+} from '../../scripts/charts/index.js';
+import { AsciiBuffer } from '../../scripts/core/ascii/rasterizer.js';
+
+const VALUES = [1, 4, 2, 8, 5, 7, 3, 9, 6, 2];
+
+/**
+ * Whether a character is a Braille pattern
+ */
+function isBraille(char) {
+    const code = char.charCodeAt(0);
+    return code >= 0x2800 && code <= 0x28ff;
+}
+
+describe('Plot Canvas', () => {
+    it('should size the dot grid by resolution', () => {
+        const braille = new PlotCanvas(10, 5, PlotResolution.BRAILLE);
+        assert.equal(braille.width, 20);
+        assert.equal(braille.height, 20);
+
+        const sextant = new PlotCanvas(10, 5, PlotResolution.SEXTANT);
+        assert.equal(sextant.height, 15);
+
+        assert.throws(() => new PlotCanvas(10, 5, 'pixels'));
+    });
+
+    it('should map dots to Braille patterns', () => {
+        const canvas = new PlotCanvas(1, 1, PlotResolution.BRAILLE);
+        canvas.set(0, 0);
+        assert.equal(canvas.toString(), '⠁');
+
+        canvas.set(1, 3);
+        assert.equal(canvas.toString(), '⢁');
+
+        canvas.unset(0, 0);
+        assert.ok(!canvas.get(0, 0));
+        assert.equal(canvas.toString(), '⢀');
+    });
+
+    it('should map dots to quadrant and sextant blocks', () => {
+        assert.equal(getCellChar(PlotResolution.QUADRANT, 0b0110), '▞');
+        assert.equal(getCellChar(PlotResolution.QUADRANT, 0b1111), '█');
+
+        assert.equal(getCellChar(PlotResolution.SEXTANT, 0b000001), '\u{1FB00}');
+        assert.equal(getCellChar(PlotResolution.SEXTANT, 0b010101), '▌');
+        assert.equal(getCellChar(PlotResolution.SEXTANT, 0b101010), '▐');
+        assert.equal(getCellChar(PlotResolution.SEXTANT, 0b111110), '\u{1FB3B}');
+    });
+
+    it('should ignore dots outside the canvas', () => {
+        const canvas = new PlotCanvas(2, 1, PlotResolution.QUADRANT);
+        canvas.line(-5, 0, 10, 0);
+        canvas.set(0, 9);
+        assert.equal(canvas.toString(), '▀▀');
+    });
+
+    it('should only draw cells that have dots', () => {
+        const canvas = new PlotCanvas(3, 1, PlotResolution.BRAILLE);
+        canvas.set(4, 0);
+
+        const buffer = new AsciiBuffer(3, 1);
+        buffer.drawText(0, 0, 'abc');
+        canvas.render(buffer);
+        assert.equal(buffer.toString(), 'ab⠁');
+    });
+
+    it('should fill areas with a pattern', () => {
+        assert.equal(PlotCanvas.getPatternChar(PlotResolution.BRAILLE), '⣿');
+        assert.equal(PlotCanvas.getPatternChar(PlotResolution.QUADRANT, 1), '▚');
+    });
+});
+
+describe('High Resolution Charts', () => {
+    it('should keep character cells by default', () => {
+        const chart = new LineChart({ width: 40, height: 10 });
+        chart.addSeries({ name: 'a', data: VALUES });
+
+        assert.equal(chart.resolution, PlotResolution.CELL);
+        assert.ok(chart.toString().includes('●'));
+    });
+
+    it('should draw lines in Braille and keep the axes as text', () => {
+        const chart = new LineChart({ width: 40, height: 10, resolution: PlotResolution.BRAILLE });
+        chart.addSeries({ name: 'a', data: VALUES });
+
+        const text = chart.toString();
+        assert.ok([...text].some(isBraille), 'Lines should be Braille');
+        assert.ok(!text.includes('●') && !text.includes('╱'));
+        assert.ok(text.includes('10 ├'), 'Value axis should stay text');
+        assert.ok(text.includes('└┬'), 'Category axis should stay text');
+    });
+
+    it('should plot scatter points and trend lines on the canvas', () => {
+        const chart = new ScatterChart({
+            width: 40,
+            height: 12,
+            resolution: PlotResolution.QUADRANT,
+            trendLineType: 'linear'
+        });
+        chart.addSeries({ name: 'p', data: VALUES.map((y, x) => ({ x, y })) });
+
+        const text = chart.toString();
+        assert.ok(!text.includes('●'));
+        assert.ok(/[▘▝▖▗▀▄▌▐▞▚]/.test(text), 'Points should be quadrant blocks');
+    });
+
+    it('should tell stacked layers apart by their dot pattern', () => {
+        const chart = new StackedAreaChart({ width: 40, height: 12, resolution: PlotResolution.BRAILLE });
+        chart.setData({
+            labels: ['W1', 'W2', 'W3'],
+            datasets: [
+                { name: 'Logs', data: [3, 4, 5] },
+                { name: 'Media', data: [2, 3, 4] }
+            ]
+        });
+
+        const items = chart.getLegendItems();
+        assert.equal(items[0].char, '⣿');
+        assert.equal(items[1].char, PlotCanvas.getPatternChar(PlotResolution.BRAILLE, 1));
+
+        const text = chart.toString();
+        assert.ok(text.includes('⣿') && text.includes(items[1].char));
+        assert.ok(text.includes('W2'));
+    });
+});
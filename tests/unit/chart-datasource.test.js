@@ -0,0 +1,288 @@
+/**
+ * Asciistrator - Chart Data Source Unit Tests
+ *
+ * Tests for CSV/TSV/JSON parsing, column mapping, charts bound to a data
+ * source and the built-in sample charts.
+ */
+
+import { describe, it, assert } from '../framework.js';
+import {
+    DataFormat,
+    DataTable,
+    DataMapping,
+    ChartDataSource,
+    detectFormat,
+    parseDelimited,
+    parseNumber
+} from '../../scripts/charts/datasource.js';
+import { LineChart } from '../../scripts/charts/line.js';
+import { AsciiBuffer } from '../../scripts/core/ascii/rasterizer.js';
+import { ChartObject, ChartSamples } from '../../scripts/app.js';
+
+const LATENCY = `Week,p50,p99
+W41,120,900
+W42,130,"1,100"
+W43,90,1250`;
+
+describe('Chart Data Parsing', () => {
+    it('should detect formats from extension and content', () => {
+        assert.equal(detectFormat('a,b', 'report.json'), DataFormat.JSON);
+        assert.equal(detectFormat('[{"a": 1}]'), DataFormat.JSON);
+        assert.equal(detectFormat(' {"a": [1]}', 'latency.csv'), DataFormat.JSON, 'JSON content should win over the extension');
+        assert.equal(detectFormat('a\tb\n1\t2'), DataFormat.TSV);
+        assert.equal(detectFormat('a,b\n1,2'), DataFormat.CSV);
+    });
+
+    it('should parse quoted cells with delimiters, quotes and line breaks', () => {
+        const rows = parseDelimited('name,note\n"Smith, J","said ""hi""\nand left"\n\n');
+        assert.deepEqual(rows, [['name', 'note'], ['Smith, J', 'said "hi"\nand left']]);
+    });
+
+    it('should detect semicolon and tab delimiters', () => {
+        assert.deepEqual(parseDelimited('a;b\n1,5;2'), [['a', 'b'], ['1,5', '2']]);
+        assert.deepEqual(parseDelimited('a\tb\r\n1\t2'), [['a', 'b'], ['1', '2']]);
+    });
+
+    it('should parse numbers as they appear in reports', () => {
+        assert.equal(parseNumber('1,250'), 1250);
+        assert.equal(parseNumber('$3.50'), 3.5);
+        assert.equal(parseNumber('42%'), 42);
+        assert.equal(parseNumber('120ms'), 120);
+        assert.equal(parseNumber('-2e3'), -2000);
+        assert.isNull(parseNumber('W41'));
+        assert.isNull(parseNumber(''));
+        assert.isNull(parseNumber(NaN));
+    });
+});
+
+describe('DataTable', () => {
+    it('should use a first row without numbers as the header', () => {
+        const table = DataTable.fromText(LATENCY);
+        assert.deepEqual(table.columns, ['Week', 'p50', 'p99']);
+        assert.lengthOf(table.rows, 3);
+        assert.deepEqual(table.getColumn('p99'), ['900', '1,100', '1250']);
+    });
+
+    it('should name columns when there is no header', () => {
+        const table = DataTable.fromText('1,2\n3,4');
+        assert.deepEqual(table.columns, ['Column 1', 'Column 2']);
+        assert.lengthOf(table.rows, 2);
+        assert.ok(!table.hasHeader);
+        assert.deepEqual(DataTable.fromText('Mon,120ms\nTue,90ms').columns, ['Column 1', 'Column 2']);
+    });
+
+    it('should take headers with units or numbers above plain numbers', () => {
+        const buckets = DataTable.fromText('Day,00h,04h\nMon,3,5\nTue,4,1');
+        assert.deepEqual(buckets.columns, ['Day', '00h', '04h']);
+        assert.lengthOf(buckets.rows, 2);
+
+        const mixed = DataTable.fromText('2024,10ms\n1,2');
+        assert.deepEqual(mixed.columns, ['2024', '10ms']);
+    });
+
+    it('should follow an explicit header setting', () => {
+        const years = DataTable.fromText('Week,2024,2025\nW1,10,12', DataFormat.CSV, { header: true });
+        assert.deepEqual(years.columns, ['Week', '2024', '2025']);
+        assert.deepEqual(DataTable.fromText('Week,2024,2025\nW1,10,12').columns, ['Column 1', 'Column 2', 'Column 3']);
+
+        const data = DataTable.fromText(LATENCY, DataFormat.CSV, { header: false });
+        assert.lengthOf(data.rows, 4);
+        assert.equal(data.columns[0], 'Column 1');
+    });
+
+    it('should read the supported JSON shapes', () => {
+        const objects = DataTable.fromText('[{"day": "Mon", "n": 3}, {"day": "Tue", "n": 5}]');
+        assert.deepEqual(objects.columns, ['day', 'n']);
+        assert.deepEqual(objects.getColumn('n'), [3, 5]);
+
+        const arrays = DataTable.fromJSON([['day', 'n'], ['Mon', 3]]);
+        assert.deepEqual(arrays.rows, [['Mon', 3]]);
+
+        const columns = DataTable.fromJSON({ day: ['Mon', 'Tue'], n: [3], note: 'ignored' });
+        assert.deepEqual(columns.columns, ['day', 'n']);
+        assert.deepEqual(columns.rows, [['Mon', 3], ['Tue', '']]);
+
+        assert.deepEqual(DataTable.fromJSON([4, 5]).columns, ['Value']);
+        assert.throws(() => DataTable.fromJSON('text'));
+    });
+
+    it('should tell numeric columns apart', () => {
+        const table = DataTable.fromText(LATENCY);
+        assert.ok(!table.isNumeric('Week'));
+        assert.ok(table.isNumeric('p99'));
+        assert.ok(!table.isNumeric('missing'));
+    });
+});
+
+describe('DataMapping', () => {
+    it('should label with the first text column and plot numeric columns', () => {
+        const mapping = DataMapping.auto(DataTable.fromText(LATENCY));
+        assert.equal(mapping.labelColumn, 'Week');
+        assert.deepEqual(mapping.seriesColumns, ['p50', 'p99']);
+    });
+
+    it('should build chart data from mapped columns', () => {
+        const mapping = new DataMapping({ labelColumn: 'Week', seriesColumns: ['p99'] });
+        const { labels, datasets } = mapping.apply(DataTable.fromText(LATENCY));
+
+        assert.deepEqual(labels, ['W41', 'W42', 'W43']);
+        assert.lengthOf(datasets, 1);
+        assert.equal(datasets[0].name, 'p99');
+        assert.deepEqual(datasets[0].data.map(point => point.y), [900, 1100, 1250]);
+        assert.equal(datasets[0].data[1].label, 'W42');
+    });
+
+    it('should number rows when there is no label column', () => {
+        const mapping = new DataMapping({ seriesColumns: ['p50'] });
+        assert.deepEqual(mapping.apply(DataTable.fromText(LATENCY)).labels, ['1', '2', '3']);
+    });
+});
+
+describe('ChartDataSource', () => {
+    it('should keep the mapping when data is replaced', () => {
+        const source = new ChartDataSource({
+            text: LATENCY,
+            name: 'latency.csv',
+            mapping: { labelColumn: 'Week', seriesColumns: ['p99'] }
+        });
+        let changes = 0;
+        source.on('change', () => changes++);
+
+        source.replace('Week,p50,p99\nW44,100,800');
+
+        assert.equal(changes, 1);
+        assert.deepEqual(source.mapping.seriesColumns, ['p99']);
+        assert.deepEqual(source.toChartData().labels, ['W44']);
+    });
+
+    it('should rebuild the mapping when mapped columns are gone', () => {
+        const source = new ChartDataSource({
+            text: LATENCY,
+            mapping: { labelColumn: 'Week', seriesColumns: ['p99'] }
+        });
+
+        source.replace('Day,Errors\nMon,3');
+
+        assert.equal(source.mapping.labelColumn, 'Day');
+        assert.deepEqual(source.mapping.seriesColumns, ['Errors']);
+    });
+
+    it('should keep the old data when new data cannot be parsed', () => {
+        const text = '[{"week": "W41", "p50": 120}]';
+        const source = new ChartDataSource({ text, name: 'latency.json' });
+        assert.throws(() => source.replace('{ not json'));
+        assert.throws(() => source.replace('Week,p50'), Error, 'A header without rows is no data');
+        assert.equal(source.text, text);
+        assert.deepEqual(source.toChartData().labels, ['W41']);
+    });
+
+    it('should keep the header setting of its mapping', () => {
+        const source = new ChartDataSource({
+            text: 'Week,2024,2025\nW1,10,12',
+            name: 'years.csv',
+            mapping: { labelColumn: 'Week', seriesColumns: ['2024', '2025'], header: true }
+        });
+        source.replace('Week,2024,2025\nW1,10,12\nW2,11,14');
+        assert.deepEqual(source.toChartData().labels, ['W1', 'W2']);
+
+        const copy = ChartDataSource.fromJSON(JSON.parse(JSON.stringify(source.toJSON())));
+        assert.deepEqual(copy.table.columns, ['Week', '2024', '2025']);
+
+        copy.setMapping({ labelColumn: null, seriesColumns: ['Column 2'], header: false });
+        assert.lengthOf(copy.table.rows, 3);
+    });
+
+    it('should parse replacement JSON under a CSV source name', () => {
+        const source = new ChartDataSource({ text: LATENCY, name: 'latency.csv' });
+        source.replace('[{"Week": "W44", "p50": 100, "p99": 800}]');
+        assert.equal(source.format, DataFormat.JSON);
+        assert.deepEqual(source.toChartData().labels, ['W44']);
+    });
+
+    it('should round-trip through JSON with its data text', () => {
+        const source = new ChartDataSource({
+            text: LATENCY,
+            name: 'latency.csv',
+            mapping: { labelColumn: 'Week', seriesColumns: ['p50'] }
+        });
+        const copy = ChartDataSource.fromJSON(JSON.parse(JSON.stringify(source.toJSON())));
+
+        assert.equal(copy.name, 'latency.csv');
+        assert.equal(copy.format, DataFormat.CSV);
+        assert.deepEqual(copy.toChartData(), source.toChartData());
+    });
+});
+
+describe('Chart Data Binding', () => {
+    it('should update a bound chart when the data is replaced', () => {
+        const chart = new LineChart();
+        const source = new ChartDataSource({ text: LATENCY });
+        chart.bindDataSource(source);
+
+        assert.lengthOf(chart.series, 2);
+        assert.deepEqual(chart.labels, ['W41', 'W42', 'W43']);
+
+        source.replace('Week,p50,p99\nW44,100,800\nW45,110,700');
+        assert.deepEqual(chart.labels, ['W44', 'W45']);
+        assert.equal(chart.series[1].data[1].y, 700);
+    });
+
+    it('should keep the data when unbound', () => {
+        const chart = new LineChart();
+        const source = new ChartDataSource({ text: LATENCY });
+        chart.bindDataSource(source);
+        chart.unbindDataSource();
+
+        source.replace('Week,p50,p99\nW44,100,800');
+        assert.isNull(chart.dataSource);
+        assert.deepEqual(chart.labels, ['W41', 'W42', 'W43']);
+    });
+
+    it('should store the binding in chart JSON', () => {
+        const chart = new LineChart();
+        chart.bindDataSource(new ChartDataSource({ text: LATENCY, name: 'latency.csv' }));
+
+        const json = chart.toJSON();
+        assert.equal(json.dataSource.name, 'latency.csv');
+
+        const copy = new LineChart();
+        copy.fromJSON(json);
+        assert.equal(copy.dataSource.name, 'latency.csv');
+        assert.lengthOf(copy.series, 2);
+    });
+});
+
+describe('Chart Samples', () => {
+    /**
+     * Sample chart of a type rendered into text lines
+     */
+    function renderSample(type) {
+        const chart = new ChartObject(0, 0, 50, 16);
+        chart.chartType = type;
+        chart.setDataSource(new ChartDataSource({ text: ChartSamples[type] }));
+        const buffer = new AsciiBuffer(50, 16);
+        chart.render(buffer);
+        return buffer.toString().split('\n');
+    }
+
+    it('should render every sample with its own column names', () => {
+        for (const type of Object.keys(ChartSamples)) {
+            const text = renderSample(type).join('\n');
+            assert.ok(text.trim().length > 0, `${type} should draw something`);
+            assert.ok(!text.includes('Colu'), `${type} should not fall back to generated column names`);
+        }
+    });
+
+    it('should label the heatmap with its days and hours', () => {
+        const lines = renderSample('heatmap');
+        assert.deepEqual(lines.map(line => line.slice(0, 3)).filter(label => /\w/.test(label)),
+            ['Mon', 'Tue', 'Wed', 'Thu', 'Fri']);
+        assert.ok(lines.some(line => line.includes('00h') && line.includes('20h')));
+    });
+
+    it('should put candlestick dates under candles', () => {
+        const lines = renderSample('candlestick');
+        const labels = lines.find(line => line.includes('9/1'));
+        assert.deepEqual(labels.trim().split(/\s+/), ['9/1', '9/3', '9/7']);
+    });
+});
@@ -0,0 +1,183 @@
+/**
+ * Asciistrator - Chart Types Unit Tests
+ *
+ * Tests for histograms, box plots, heatmaps, candlestick and stacked area
+ * charts, their legends and their registration in the chart factory.
+ */
+
+import { describe, it, assert } from '../framework.js';
+import {
+    ChartFactory,
+    HistogramChart,
+    BoxPlotChart,
+    HeatmapChart,
+    CandlestickChart,
+    StackedAreaChart,
+    YAxis,
+    binValues,
+    boxStats,
+    quantile,
+    createHistogram,
+    createHeatmap,
+    createCandlestickChart
+} from '../../scripts/charts/index.js';
+
+const LATENCY = [120, 135, 128, 150, 210, 190, 145, 133, 160, 175, 122, 128, 140, 300, 155, 149, 162, 171, 180, 138];
+
+/**
+ * Rendered chart as lines of text
+ */
+function lines(chart) {
+    return chart.toString().split('\n');
+}
+
+describe('Chart Statistics', () => {
+    it('should bin values on round edges', () => {
+        const bins = binValues(LATENCY);
+
+        assert.equal(bins[0].x0, 100);
+        assert.equal(bins[1].x0 - bins[0].x0, 50);
+        assert.equal(bins.reduce((sum, bin) => sum + bin.count, 0), LATENCY.length);
+        assert.ok(bins[bins.length - 1].x1 > 300, 'Last bin should hold the maximum');
+    });
+
+    it('should use a requested bin count and include the upper edge', () => {
+        const bins = binValues([0, 5, 10], { bins: 2 });
+        assert.deepEqual(bins.map(bin => bin.count), [1, 2]);
+    });
+
+    it('should compute quartiles, whiskers and outliers', () => {
+        assert.equal(quantile([1, 2, 3, 4], 0.5), 2.5);
+
+        const stats = boxStats(LATENCY);
+        assert.equal(stats.median, 149.5);
+        assert.equal(stats.upperWhisker, 210);
+        assert.deepEqual(stats.outliers, [300]);
+        assert.isNull(boxStats([]));
+    });
+});
+
+describe('Chart Types', () => {
+    it('should register the new types in the chart factory', () => {
+        for (const type of ['histogram', 'box-plot', 'heatmap', 'candlestick', 'stacked-area']) {
+            assert.includes(ChartFactory.getTypes(), type);
+            assert.equal(ChartFactory.createSync(type).type, type);
+        }
+    });
+
+    it('should draw histogram bars and count labels', () => {
+        const text = createHistogram(LATENCY, { width: 50, height: 14 }).toString();
+        assert.ok(text.includes('█'), 'Bars should be drawn');
+        assert.ok(text.includes('10 ├'), 'Value axis should show the highest count');
+    });
+
+    it('should show a legend for several histogram series only', () => {
+        const chart = new HistogramChart();
+        chart.addSeries({ name: 'api', data: LATENCY });
+        assert.lengthOf(chart.getLegendItems(), 0);
+
+        chart.addSeries({ name: 'web', data: LATENCY });
+        assert.deepEqual(chart.getLegendItems().map(item => item.label), ['api', 'web']);
+    });
+
+    it('should draw one box per series with an outlier legend', () => {
+        const chart = new BoxPlotChart({ width: 50, height: 18 });
+        chart.addSeries({ name: 'api', data: LATENCY });
+        chart.addSeries({ name: 'db', data: [35, 42, 38, 51, 47] });
+
+        const text = chart.toString();
+        assert.ok(text.includes('┌'), 'Boxes should be drawn');
+        assert.ok(text.includes('○ outlier'));
+        assert.ok(lines(chart).some(line => line.includes('api') && line.includes('db')));
+    });
+
+    it('should shade heatmap cells by value', () => {
+        const chart = createHeatmap([[0, 10], [5, null]], {
+            rowLabels: ['Mon', 'Tue'],
+            columnLabels: ['am', 'pm']
+        });
+        const range = chart.getValueRange();
+
+        assert.equal(chart.getShade(0, range), ' ');
+        assert.equal(chart.getShade(10, range), '█');
+        assert.equal(chart.getShade(null, range), ' ');
+        assert.deepEqual(chart.getMatrix(), [[0, 10], [5, null]]);
+        assert.lengthOf(chart.getLegendItems(), 5);
+    });
+
+    it('should read candles from named series', () => {
+        const chart = new CandlestickChart();
+        chart.setData({
+            labels: ['W41', 'W42'],
+            datasets: [
+                { name: 'Close', data: [12, 11] },
+                { name: 'Open', data: [10, 12] },
+                { name: 'High', data: [13, 14] },
+                { name: 'Low', data: [9, 11] }
+            ]
+        });
+
+        const candles = chart.getCandles();
+        assert.lengthOf(candles, 2);
+        assert.deepEqual([candles[1].open, candles[1].high, candles[1].low, candles[1].close], [12, 14, 11, 11]);
+        assert.isNull(candles[0].time);
+    });
+
+    it('should place dated candles on a time axis', () => {
+        const day = 24 * 60 * 60 * 1000;
+        const chart = createCandlestickChart([
+            { time: Date.UTC(2026, 8, 1), open: 100, high: 104, low: 98, close: 103 },
+            { time: Date.UTC(2026, 8, 2), open: 103, high: 109, low: 102, close: 108 },
+            { time: Date.UTC(2026, 8, 3), open: 108, high: 110, low: 101, close: 102 }
+        ], { width: 40, height: 14 });
+
+        const text = chart.toString();
+        assert.equal(chart.axisX, chart.timeAxis);
+        assert.equal(chart.getCandles()[1].time - chart.getCandles()[0].time, day);
+        assert.ok(text.includes('░') && text.includes('█'), 'Rising and falling bodies should differ');
+        assert.ok(text.includes('░ rising'));
+    });
+
+    it('should put time ticks under candles', () => {
+        const days = [1, 2, 3, 4, 7, 8].map(day => new Date(2026, 8, day).getTime());
+        const chart = createCandlestickChart(days.map(time => ({ time, open: 10, high: 12, low: 9, close: 11 })),
+            { width: 40, height: 12 });
+        chart.render();
+
+        const ticks = chart.axisX.generateTicks();
+        assert.deepEqual(ticks.map(tick => tick.label), ['9/1', '9/3', '9/7']);
+
+        const plot = chart.getPlotArea();
+        const candleColumns = chart.getCandles().map((candle, i) => chart.getCandleX(candle, i, plot));
+        for (const tick of ticks) {
+            const column = Math.floor(plot.x + chart.axisX.scale(tick.value) * plot.width);
+            assert.ok(candleColumns.includes(column), `${tick.label} should sit under a candle`);
+        }
+    });
+
+    it('should stack area layers with their own fill', () => {
+        const chart = new StackedAreaChart({ width: 50, height: 14 });
+        chart.setData({
+            labels: ['W1', 'W2', 'W3'],
+            datasets: [
+                { name: 'Logs', data: [3, 4, 5] },
+                { name: 'Media', data: [2, 3, 4] }
+            ]
+        });
+
+        const items = chart.getLegendItems();
+        assert.deepEqual(items.map(item => item.label), ['Logs', 'Media']);
+        assert.notEqual(items[0].char, items[1].char);
+
+        const text = chart.toString();
+        assert.ok(text.includes(items[0].char) && text.includes(items[1].char));
+        assert.ok(text.includes('W2'), 'Labels should be used as categories');
+    });
+
+    it('should give nice axis ticks a label', () => {
+        const axis = new YAxis();
+        axis.setRange(0, 9);
+        assert.ok(axis._ticks.every(tick => typeof tick.label === 'string'));
+        assert.equal(axis.getMax(), 10);
+    });
+});
@@ -0,0 +1,104 @@
+/**
+ * Asciistrator - Clipping Mask Unit Tests
+ *
+ * Tests for path clip regions, clipped buffers and exporting what a mask
+ * lets through.
+ */
+
+import { describe, it, assert } from '../framework.js';
+import { ClipRegion, ClippingMask, ClippedBuffer } from '../../scripts/tools/clipping.js';
+import { AsciiBuffer } from '../../scripts/core/ascii/rasterizer.js';
+import { SVGExporter } from '../../scripts/io/exporters/SVGExporter.js';
+
+/**
+ * Square contour through the centres of its border cells
+ */
+function square(x, y, size) {
+    return [
+        { x, y },
+        { x: x + size, y },
+        { x: x + size, y: y + size },
+        { x, y: y + size }
+    ];
+}
+
+/**
+ * Fill a buffer through a region and return its text
+ */
+function fillThrough(region, width = 8, height = 8) {
+    const buffer = new AsciiBuffer(width, height);
+    const clipped = new ClippedBuffer(buffer, new ClippingMask(region));
+    for (let y = 0; y < height; y++) {
+        clipped.drawText(0, y, '#'.repeat(width));
+    }
+    return buffer.toString().split('\n');
+}
+
+describe('ClipRegion.path', () => {
+    it('should cover the outline cells and the inside', () => {
+        const region = ClipRegion.path([square(1, 1, 4)]);
+        assert.ok(region.containsPoint(1, 1), 'Corner cell should be inside');
+        assert.ok(region.containsPoint(5, 3), 'Edge cell should be inside');
+        assert.ok(region.containsPoint(3, 3));
+        assert.ok(!region.containsPoint(6, 3));
+        assert.ok(!region.containsPoint(0, 0));
+    });
+
+    it('should cut holes with inner contours', () => {
+        const region = ClipRegion.path([square(0, 0, 8), square(3, 3, 2)], 0);
+        assert.ok(region.containsPoint(1.5, 1.5));
+        assert.ok(!region.containsPoint(4, 4), 'The inner contour should be a hole');
+    });
+
+    it('should invert and report the bounds of all contours', () => {
+        const region = ClipRegion.path([square(1, 1, 2), square(5, 4, 2)]);
+        region.invert = true;
+        assert.ok(!region.containsPoint(2, 2));
+        assert.ok(region.containsPoint(0, 0));
+        assert.deepEqual(region.getBounds(), { x: 1, y: 1, width: 6, height: 5 });
+    });
+});
+
+describe('ClippedBuffer', () => {
+    it('should only draw text inside the mask', () => {
+        const lines = fillThrough(ClipRegion.path([square(2, 1, 3)]), 8, 6);
+        assert.equal(lines[0], '        ');
+        assert.equal(lines[1], '  ####  ');
+        assert.equal(lines[4], '  ####  ');
+        assert.equal(lines[5], '        ');
+    });
+
+    it('should test the cell the buffer rounds to', () => {
+        const buffer = new AsciiBuffer(4, 1);
+        const clipped = new ClippedBuffer(buffer, new ClippingMask(ClipRegion.rect(2, 0, 2, 1)));
+        clipped.setChar(1.6, 0, 'x');
+        clipped.setChar(1.4, 0, 'y');
+        assert.equal(buffer.toString(), '  x ');
+    });
+
+    it('should combine nested masks', () => {
+        const buffer = new AsciiBuffer(8, 1);
+        const outer = new ClippedBuffer(buffer, new ClippingMask(ClipRegion.rect(0, 0, 5, 1)));
+        const hole = ClipRegion.rect(2, 0, 1, 1);
+        hole.invert = true;
+        const inner = new ClippedBuffer(outer, new ClippingMask(hole));
+
+        inner.drawText(0, 0, '########');
+        assert.equal(buffer.toString(), '## ##   ');
+        assert.ok(inner.inBounds(7, 0) && !inner.inBounds(8, 0));
+    });
+});
+
+describe('Masked Export', () => {
+    it('should only export the cells the mask lets through', () => {
+        const buffer = new AsciiBuffer(6, 1);
+        const hole = ClipRegion.rect(2, 0, 2, 1);
+        hole.invert = true;
+        new ClippedBuffer(buffer, new ClippingMask(hole)).drawText(0, 0, 'abcdef');
+
+        const svg = new SVGExporter().export({ buffer }).content;
+        assert.includes(svg, '>ab</text>');
+        assert.includes(svg, '>ef</text>');
+        assert.ok(!/>[^<]*[cd][^<]*<\/text>/.test(svg), 'Masked cells should not be exported');
+    });
+});
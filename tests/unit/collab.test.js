@@ -0,0 +1,149 @@
+/**
+ * Asciistrator - Collaboration Unit Tests
+ *
+ * Tests for the replicated document and per-user undo history.
+ */
+
+import { describe, it, assert } from '../framework.js';
+import { CollabDocument, CollabHistory, compareStamps } from '../../scripts/collab/crdt.js';
+
+const snapshot = (entries) => new Map(Object.entries(entries));
+
+/**
+ * Deliver operations to a replica
+ */
+function deliver(doc, ops) {
+    for (const op of ops) doc.apply(op);
+}
+
+describe('CollabDocument', () => {
+    it('should order stamps by counter, then client', () => {
+        assert.ok(compareStamps({ counter: 1, client: 'b' }, { counter: 2, client: 'a' }) < 0);
+        assert.ok(compareStamps({ counter: 2, client: 'b' }, { counter: 2, client: 'a' }) > 0);
+        assert.ok(compareStamps({ counter: 1, client: 'a' }, null) > 0);
+    });
+
+    it('should converge whatever order operations arrive in', () => {
+        const a = new CollabDocument('a');
+        const b = new CollabDocument('b');
+        const ops = [
+            a.set('box', 'object', 'x', 1),
+            b.set('box', 'object', 'x', 2),
+            a.set('box', 'object', 'y', 5),
+            b.remove('box', 'object'),
+            a.set('box', 'object', 'x', 3)
+        ];
+
+        const forward = new CollabDocument('c');
+        const backward = new CollabDocument('d');
+        deliver(forward, ops);
+        deliver(backward, [...ops].reverse());
+
+        assert.deepEqual(forward.get('box'), backward.get('box'));
+        assert.deepEqual(forward.get('box'), { x: 3, y: 5 });
+    });
+
+    it('should ignore operations applied twice', () => {
+        const a = new CollabDocument('a');
+        const b = new CollabDocument('b');
+        const op = a.set('box', 'object', 'x', 1);
+
+        assert.ok(b.apply(op));
+        assert.ok(!b.apply(op));
+        assert.deepEqual(b.get('box'), { x: 1 });
+    });
+
+    it('should revive a removed record written to later', () => {
+        const doc = new CollabDocument('a');
+        doc.set('box', 'object', 'x', 1);
+        doc.remove('box', 'object');
+        assert.ok(!doc.has('box'));
+        assert.lengthOf(doc.ids('object'), 0);
+
+        doc.set('box', 'object', 'x', 2);
+        assert.ok(doc.has('box'));
+        assert.deepEqual(doc.ids('object'), ['box']);
+    });
+
+    it('should commit only the differences to a snapshot', () => {
+        const doc = new CollabDocument('a');
+        doc.commit(snapshot({ box: { kind: 'object', values: { x: 1, y: 2 } } }));
+
+        const { ops, changes } = doc.commit(snapshot({ box: { kind: 'object', values: { x: 1, y: 4 } } }));
+        assert.lengthOf(ops, 1);
+        assert.deepEqual(changes, [{ id: 'box', kind: 'object', key: 'y', before: 2, after: 4 }]);
+
+        const removal = doc.commit(new Map());
+        assert.ok(removal.changes[0].removed);
+        assert.ok(!doc.has('box'));
+    });
+
+    it('should bring a new replica up to date from its state', () => {
+        const a = new CollabDocument('a');
+        a.commit(snapshot({
+            'layer:1': { kind: 'layer', values: { name: 'Layer 1' } },
+            box: { kind: 'object', values: { x: 1 } }
+        }));
+        a.remove('box', 'object');
+
+        const b = new CollabDocument('b');
+        deliver(b, a.getState());
+        assert.deepEqual(b.ids('layer'), ['layer:1']);
+        assert.ok(!b.has('box'));
+    });
+});
+
+describe('CollabHistory', () => {
+    it('should undo only its own changes', () => {
+        const a = new CollabDocument('a');
+        const b = new CollabDocument('b');
+        const history = new CollabHistory();
+
+        const created = a.commit(snapshot({ box: { kind: 'object', values: { x: 1, y: 1 } } }));
+        deliver(b, created.ops);
+        history.begin();
+        const moved = a.commit(snapshot({ box: { kind: 'object', values: { x: 5, y: 1 } } }));
+        history.record(moved.changes);
+        deliver(b, moved.ops);
+
+        // Someone else edits another property in the meantime
+        deliver(a, [b.set('box', 'object', 'y', 9)]);
+
+        deliver(b, history.undo(a));
+        assert.deepEqual(a.get('box'), { x: 1, y: 9 });
+        assert.deepEqual(b.get('box'), a.get('box'));
+
+        deliver(b, history.redo(a));
+        assert.deepEqual(b.get('box'), { x: 5, y: 9 });
+    });
+
+    it('should group changes until the next step begins', () => {
+        const doc = new CollabDocument('a');
+        const history = new CollabHistory();
+
+        history.begin();
+        history.record(doc.commit(snapshot({ one: { kind: 'object', values: { x: 1 } } })).changes);
+        history.record(doc.commit(snapshot({
+            one: { kind: 'object', values: { x: 1 } },
+            two: { kind: 'object', values: { x: 2 } }
+        })).changes);
+        assert.lengthOf(history.undoStack, 1);
+
+        history.undo(doc);
+        assert.lengthOf(doc.ids('object'), 0);
+        assert.ok(history.canRedo);
+    });
+
+    it('should restore removed records on undo', () => {
+        const doc = new CollabDocument('a');
+        const history = new CollabHistory();
+        doc.commit(snapshot({ box: { kind: 'object', values: { x: 1 } } }));
+
+        history.begin();
+        history.record(doc.commit(new Map()).changes);
+        assert.ok(!doc.has('box'));
+
+        history.undo(doc);
+        assert.deepEqual(doc.get('box'), { x: 1 });
+    });
+});
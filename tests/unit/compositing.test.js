@@ -0,0 +1,82 @@
+/**
+ * Asciistrator - Layer Compositing Unit Tests
+ *
+ * Tests for compositing buffers through blend modes and layer opacity.
+ */
+
+import { describe, it, assert } from '../framework.js';
+import {
+    BlendModes,
+    CompositingLayer,
+    LayerCompositor,
+    colorToHex
+} from '../../scripts/core/document/compositing.js';
+import { AsciiBuffer } from '../../scripts/core/ascii/rasterizer.js';
+
+/**
+ * Buffer with one row of text in one color
+ */
+function row(text, color = null, width = 6) {
+    const buffer = new AsciiBuffer(width, 1);
+    [...text].forEach((char, x) => buffer.setChar(x, 0, char, color));
+    return buffer;
+}
+
+/**
+ * Composite buffers bottom to top as [buffer, options] pairs
+ */
+function composite(layers, backdrop = '#000000') {
+    const compositor = new LayerCompositor();
+    for (const [buffer, options] of layers) {
+        compositor.addLayer(CompositingLayer.fromBuffer(buffer, options));
+    }
+    return compositor.compositeInto(new AsciiBuffer(6, 1), backdrop);
+}
+
+describe('LayerCompositor', () => {
+    it('should draw normal layers over each other and keep missing colors', () => {
+        const result = composite([[row('aaaa', '#ff0000')], [row('  bb')]]);
+        assert.equal(result.toString(), 'aabb  ');
+        assert.equal(result.getColor(0, 0), '#ff0000');
+        assert.isNull(result.getColor(2, 0), 'Cells without a color should stay without one');
+    });
+
+    it('should apply erase, xor and behind where layers overlap', () => {
+        const bottom = [row('aaaa')];
+        assert.equal(composite([bottom, [row('  bbbb'), { blendMode: BlendModes.ERASE }]]).toString(), 'aa    ');
+        assert.equal(composite([bottom, [row('  bbbb'), { blendMode: BlendModes.XOR }]]).toString(), 'aa  bb');
+        assert.equal(composite([bottom, [row('  bbbb'), { blendMode: BlendModes.BEHIND }]]).toString(), 'aaaabb');
+    });
+
+    it('should blend glyphs by density', () => {
+        const result = composite([[row('@@@@')], [row('░░', null), { blendMode: BlendModes.MULTIPLY }]]);
+        assert.equal(result.toString(), '::@@  ');
+    });
+
+    it('should multiply colors', () => {
+        const result = composite([[row('##', '#ff8000')], [row('##', '#808080'), { blendMode: BlendModes.MULTIPLY }]]);
+        assert.equal(result.getColor(0, 0), '#804000');
+    });
+
+    it('should fade translucent layers onto the backdrop', () => {
+        const result = composite([[row('ab', '#ffffff'), { opacity: 0.5 }]], '#000000');
+        assert.equal(result.toString(), 'ab    ');
+        assert.equal(result.getColor(0, 0), '#808080');
+        assert.equal(colorToHex({ r: 255, g: 0, b: 16 }), '#ff0010');
+    });
+
+    it('should keep the lower glyph under mostly transparent layers', () => {
+        const bottom = [row('aa', '#ff0000')];
+        assert.equal(composite([bottom, [row('bb', '#0000ff'), { opacity: 0.25 }]]).toString(), 'aa    ');
+        assert.equal(composite([bottom, [row('bb', '#0000ff'), { opacity: 0.75 }]]).toString(), 'bb    ');
+        assert.equal(composite([bottom, [row('bb'), { opacity: 0 }]]).getColor(0, 0), '#ff0000');
+    });
+
+    it('should replace the previous content of the target', () => {
+        const target = row('zzzzzz');
+        const compositor = new LayerCompositor();
+        compositor.addLayer(CompositingLayer.fromBuffer(row('a')));
+        compositor.compositeInto(target);
+        assert.equal(target.toString(), 'a     ');
+    });
+});
@@ -0,0 +1,215 @@
+/**
+ * Asciistrator - FIGlet Font Unit Tests
+ *
+ * Tests for .flf parsing, horizontal layout modes (full width,
+ * kerning, smushing) and the font registry.
+ */
+
+import { describe, it, assert } from '../framework.js';
+import {
+    FigletFont,
+    FigletFontRegistry,
+    FigletLayout,
+    SmushRule,
+    renderFigletText
+} from '../../scripts/core/ascii/figlet.js';
+
+// ==========================================
+// TEST FONT
+// ==========================================
+
+/**
+ * Build a minimal two-row .flf font. Every printable character is drawn
+ * as itself in a 2x2 cell, except for a few characters that exercise the
+ * smushing rules.
+ */
+function createTestFontSource(fullLayout = SmushRule.EQUAL | SmushRule.SMUSHING) {
+    const special = {
+        ' ': ['$', '$'],
+        '/': [' /', '/ '],
+        '\\': ['\\ ', ' \\'],
+        '_': ['  ', '__'],
+        '|': ['| ', '| ']
+    };
+
+    let source = `flf2a$ 2 2 4 -1 1 0 ${fullLayout}\n`;
+    source += 'Test font for unit tests\n';
+
+    for (let code = 32; code <= 126; code++) {
+        const char = String.fromCharCode(code);
+        const rows = special[char] || [char + char, char + char];
+        source += `${rows[0]}@\n${rows[1]}@@\n`;
+    }
+
+    source += '0x263A  WHITE SMILING FACE\n:)@\n:)@@\n';
+    return source;
+}
+
+// ==========================================
+// PARSER TESTS
+// ==========================================
+
+describe('FigletFont parsing', () => {
+    it('should read header values', () => {
+        const font = FigletFont.parse(createTestFontSource());
+
+        assert.equal(font.hardblank, '$');
+        assert.equal(font.height, 2);
+        assert.equal(font.comment, 'Test font for unit tests');
+    });
+
+    it('should strip endmarks from glyph rows', () => {
+        const font = FigletFont.parse(createTestFontSource());
+
+        assert.deepEqual(font.getGlyph('A'), ['AA', 'AA']);
+        assert.deepEqual(font.getGlyph('/'), [' /', '/ ']);
+    });
+
+    it('should read code-tagged characters', () => {
+        const font = FigletFont.parse(createTestFontSource());
+
+        assert.deepEqual(font.getGlyph('☺'), [':)', ':)']);
+    });
+
+    it('should reject files without the flf2a signature', () => {
+        assert.throws(() => FigletFont.parse('not a font'));
+    });
+
+    it('should derive full layout from old layout', () => {
+        assert.equal(FigletFont.layoutFromOldLayout(-1), 0);
+        assert.equal(FigletFont.layoutFromOldLayout(0), SmushRule.KERNING);
+        assert.equal(FigletFont.layoutFromOldLayout(15), 15 | SmushRule.SMUSHING);
+    });
+});
+
+// ==========================================
+// LAYOUT TESTS
+// ==========================================
+
+describe('FigletFont layout', () => {
+    it('should place glyphs side by side at full width', () => {
+        const font = FigletFont.parse(createTestFontSource());
+
+        assert.deepEqual(font.renderLines('AB', { layout: FigletLayout.FULL }), ['AABB', 'AABB']);
+    });
+
+    it('should close gaps when kerning', () => {
+        const font = FigletFont.parse(createTestFontSource());
+
+        assert.deepEqual(font.renderLines('|A', { layout: FigletLayout.FULL }), ['| AA', '| AA']);
+        assert.deepEqual(font.renderLines('|A', { layout: FigletLayout.KERNING }), ['|AA', '|AA']);
+    });
+
+    it('should merge equal characters with the equal rule', () => {
+        const font = FigletFont.parse(createTestFontSource());
+
+        assert.deepEqual(font.renderLines('AA'), ['AAA', 'AAA']);
+    });
+
+    it('should not merge different characters under controlled smushing', () => {
+        const font = FigletFont.parse(createTestFontSource());
+
+        assert.deepEqual(font.renderLines('AB'), ['AABB', 'AABB']);
+    });
+
+    it('should let the later character win under universal smushing', () => {
+        const font = FigletFont.parse(createTestFontSource(SmushRule.SMUSHING));
+
+        assert.deepEqual(font.renderLines('AB'), ['ABB', 'ABB']);
+    });
+
+    it('should apply the big X rule', () => {
+        const font = FigletFont.parse(createTestFontSource(SmushRule.BIG_X | SmushRule.SMUSHING));
+
+        assert.deepEqual(font.renderLines('/\\'), [' | ', '/ \\']);
+    });
+
+    it('should replace hardblanks with spaces', () => {
+        const font = FigletFont.parse(createTestFontSource());
+
+        assert.deepEqual(font.renderLines('A A', { layout: FigletLayout.FULL }), ['AA AA', 'AA AA']);
+    });
+
+    it('should stack multiple lines of text', () => {
+        const font = FigletFont.parse(createTestFontSource());
+        const lines = font.renderLines('A\nB');
+
+        assert.lengthOf(lines, 4);
+        assert.equal(lines[2], 'BB');
+    });
+
+    it('should measure rendered text', () => {
+        const font = FigletFont.parse(createTestFontSource());
+
+        assert.deepEqual(font.measure('AB\nA', { layout: FigletLayout.FULL }), { width: 4, height: 4 });
+    });
+});
+
+// ==========================================
+// REGISTRY TESTS
+// ==========================================
+
+describe('FigletFontRegistry', () => {
+    it('should provide the built-in block font with a 6x5 cell', () => {
+        const registry = new FigletFontRegistry();
+        const lines = registry.get('block').renderLines('HI');
+
+        assert.lengthOf(lines, 5);
+        assert.equal(lines[0], '█   █ █████ ');
+    });
+
+    it('should render lowercase and unknown characters with the block font', () => {
+        const lines = renderFigletText('a~', 'block');
+
+        assert.equal(lines[0].slice(0, 6), '  █   ');
+        assert.equal(lines[2].slice(6), '  █   ');
+    });
+
+    it('should fall back to the default font for unknown names', () => {
+        const registry = new FigletFontRegistry();
+
+        assert.equal(registry.get('missing-font'), registry.get('block'));
+    });
+
+    it('should register fonts from source and keep the source', () => {
+        const registry = new FigletFontRegistry();
+        const source = createTestFontSource();
+        registry.registerSource('test', source);
+
+        assert.ok(registry.has('test'));
+        assert.includes(registry.list(), 'test');
+        assert.equal(registry.getSource('test'), source);
+    });
+
+    it('should persist and restore loaded fonts', () => {
+        const store = new Map();
+        const storage = {
+            getItem: (key) => store.get(key) ?? null,
+            setItem: (key, value) => store.set(key, value)
+        };
+
+        const registry = new FigletFontRegistry();
+        registry.registerSource('test', createTestFontSource());
+        registry.saveTo(storage);
+
+        const restored = new FigletFontRegistry();
+        restored.restoreFrom(storage);
+
+        assert.ok(restored.has('test'));
+    });
+
+    it('should hand out and take back the sources of selected fonts', () => {
+        const registry = new FigletFontRegistry();
+        const source = createTestFontSource();
+        registry.registerSource('test', source);
+        registry.registerSource('other', source);
+
+        const sources = registry.getSources(['test', 'block', 'missing-font']);
+        assert.deepEqual(sources, { test: source });
+
+        const copy = new FigletFontRegistry();
+        assert.deepEqual(copy.registerSources({ ...sources, broken: 'not a font' }), ['test']);
+        assert.ok(copy.has('test'));
+        assert.ok(!copy.has('broken'));
+    });
+});
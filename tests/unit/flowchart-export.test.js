@@ -0,0 +1,210 @@
+/**
+ * Asciistrator - Flowchart Exporter Unit Tests
+ *
+ * Tests for exporting flowchart shapes and connectors as Mermaid and
+ * PlantUML activity diagram source.
+ */
+
+import { describe, it, assert } from '../framework.js';
+import { MermaidExporter, PlantUMLExporter } from '../../scripts/io/exporters/FlowchartExporters.js';
+import { createGraphFromFlowchartObjects } from '../../scripts/io/flowchartGraph.js';
+
+const shape = (id, type, label, x, y) => ({ id, type, name: id, label, x, y, width: 12, height: 3 });
+const connector = (from, to, props = {}) => ({
+    type: 'connector',
+    fromShapeId: from,
+    toShapeId: to,
+    arrowStart: false,
+    arrowEnd: true,
+    lineType: 'solid',
+    label: '',
+    ...props
+});
+
+/**
+ * Start -> Read -> Valid? -yes-> Save -> DB -> End
+ *                        -no--> Error -> (back to Read)
+ */
+function createDocument() {
+    return {
+        title: 'signup.ascii',
+        layers: [{
+            visible: true,
+            objects: [
+                shape('start', 'terminal', 'Start', 20, 0),
+                shape('read', 'io', 'Read form', 20, 8),
+                shape('check', 'decision', 'Valid?', 20, 16),
+                shape('save', 'process', 'Save user', 10, 26),
+                shape('error', 'document', 'Show "error"', 40, 26),
+                shape('db', 'database', 'Users', 10, 34),
+                shape('end', 'terminal', 'End', 10, 42),
+                connector('start', 'read'),
+                connector('read', 'check'),
+                connector('check', 'save', { label: 'yes' }),
+                connector('check', 'error', { label: 'no' }),
+                connector('error', 'read', { lineType: 'dashed' }),
+                connector('save', 'db'),
+                connector('db', 'end', { lineType: 'double' })
+            ]
+        }]
+    };
+}
+
+// ==========================================
+// GRAPH EXTRACTION TESTS
+// ==========================================
+
+describe('createGraphFromFlowchartObjects', () => {
+    it('should infer the flow direction from the layout', () => {
+        const { graph } = createGraphFromFlowchartObjects(createDocument().layers[0].objects);
+        assert.equal(graph.direction, 'TB');
+
+        const sideways = [shape('a', 'process', 'A', 0, 0), shape('b', 'process', 'B', 30, 0), connector('a', 'b')];
+        assert.equal(createGraphFromFlowchartObjects(sideways).graph.direction, 'LR');
+    });
+
+    it('should not let loops cancel the flow direction', () => {
+        const objects = [
+            shape('a', 'process', 'A', 0, 0),
+            shape('b', 'process', 'B', 0, 8),
+            shape('c', 'decision', 'C', 0, 16),
+            shape('d', 'process', 'D', 20, 16),
+            connector('a', 'b'),
+            connector('b', 'c'),
+            connector('c', 'a'),
+            connector('c', 'd')
+        ];
+        assert.equal(createGraphFromFlowchartObjects(objects).graph.direction, 'TB');
+    });
+
+    it('should make node ids safe and unique', () => {
+        const objects = [
+            { ...shape('x', 'process', 'A', 0, 0), name: 'my step' },
+            { ...shape('y', 'process', 'B', 0, 5), name: 'my step' },
+            { ...shape('z', 'process', 'C', 0, 10), name: 'end' }
+        ];
+        const ids = [...createGraphFromFlowchartObjects(objects).graph.nodes.keys()];
+
+        assert.deepEqual(ids, ['my_step', 'n2', 'n3']);
+    });
+
+    it('should reverse start-only arrows and skip loose connectors', () => {
+        const objects = [
+            shape('a', 'process', 'A', 0, 0),
+            shape('b', 'process', 'B', 0, 10),
+            connector('a', 'b', { arrowStart: true, arrowEnd: false }),
+            connector('a', null)
+        ];
+        const { graph, skippedConnectors } = createGraphFromFlowchartObjects(objects);
+
+        assert.equal(skippedConnectors, 1);
+        assert.equal(graph.edges[0].from, 'b');
+        assert.equal(graph.edges[0].to, 'a');
+        assert.ok(graph.edges[0].arrowEnd);
+    });
+});
+
+// ==========================================
+// MERMAID TESTS
+// ==========================================
+
+describe('MermaidExporter', () => {
+    it('should map shape types to node syntax', () => {
+        const { content } = new MermaidExporter().export(createDocument());
+
+        assert.ok(content.includes('flowchart TD'));
+        assert.ok(content.includes('start(["Start"])'));
+        assert.ok(content.includes('read[/"Read form"/]'));
+        assert.ok(content.includes('check{"Valid?"}'));
+        assert.ok(content.includes('db[("Users")]'));
+        assert.ok(content.includes('error>"Show #quot;error#quot;"]'));
+    });
+
+    it('should keep connector labels and line styles', () => {
+        const { content } = new MermaidExporter().export(createDocument());
+
+        assert.ok(content.includes('check -->|"yes"| save'));
+        assert.ok(content.includes('error -.-> read'));
+        assert.ok(content.includes('db ==> n7'));
+    });
+
+    it('should write the title as front matter', () => {
+        const { content } = new MermaidExporter().export(createDocument());
+        assert.ok(content.startsWith('---\ntitle: signup\n---\n'));
+
+        const untitled = new MermaidExporter().export(createDocument(), { includeTitle: false });
+        assert.ok(untitled.content.startsWith('flowchart'));
+    });
+
+    it('should fail for documents without flowchart shapes', () => {
+        const result = new MermaidExporter().export({ layers: [{ visible: true, objects: [] }] });
+        assert.ok(!result.success);
+    });
+
+    it('should not need a rendered buffer', () => {
+        const result = new MermaidExporter().validate(createDocument());
+        assert.ok(result.isValid);
+        assert.equal(result.warnings.length, 0);
+    });
+});
+
+// ==========================================
+// PLANTUML TESTS
+// ==========================================
+
+describe('PlantUMLExporter', () => {
+    it('should write a structured activity diagram', () => {
+        const { content } = new PlantUMLExporter().export(createDocument());
+        const lines = content.split('\n').map(line => line.trim()).filter(Boolean);
+
+        assert.deepEqual(lines, [
+            '@startuml',
+            'title signup',
+            'start',
+            'label read',
+            ':Read form/',
+            'if (Valid?) then (yes)',
+            ':Save user;',
+            ':Users]',
+            'stop',
+            'else (no)',
+            ':Show "error"]',
+            'goto read',
+            'endif',
+            '@enduml'
+        ]);
+    });
+
+    it('should rejoin branches where they meet', () => {
+        const { content } = new PlantUMLExporter().export({
+            objects: [
+                shape('a', 'decision', 'Cached?', 0, 0),
+                shape('b', 'process', 'Fetch', 0, 10),
+                shape('c', 'process', 'Render', 0, 20),
+                connector('a', 'c', { label: 'yes' }),
+                connector('a', 'b', { label: 'no' }),
+                connector('b', 'c')
+            ]
+        });
+        const lines = content.split('\n').map(line => line.trim()).filter(Boolean);
+
+        assert.deepEqual(lines.slice(1, -1), ['if (Cached?) then (yes)', 'else (no)', ':Fetch;', 'endif', ':Render;']);
+    });
+
+    it('should fork when a step leads to several others', () => {
+        const { content } = new PlantUMLExporter().export({
+            objects: [
+                shape('a', 'process', 'Build', 0, 0),
+                shape('b', 'process', 'Test', 0, 10),
+                shape('c', 'subprocess', 'Lint', 20, 10),
+                connector('a', 'b'),
+                connector('a', 'c')
+            ]
+        });
+
+        assert.ok(content.includes('fork\n'));
+        assert.ok(content.includes('fork again'));
+        assert.ok(content.includes(':Lint|'));
+        assert.ok(content.includes('end fork'));
+    });
+});
@@ -0,0 +1,169 @@
+/**
+ * Asciistrator - Flowchart Import Unit Tests
+ *
+ * Tests for the Mermaid and Graphviz DOT parsers and flowchart object creation.
+ */
+
+import { describe, it, assert } from '../framework.js';
+import { parseMermaid, isMermaidFlowchart } from '../../scripts/io/mermaid.js';
+import { parseDot, isDotGraph } from '../../scripts/io/dot.js';
+import { FlowchartGraph, measureFlowchartNode, createFlowchartObjectsFromGraph } from '../../scripts/io/flowchartGraph.js';
+
+const MERMAID = [
+    'flowchart LR',
+    '    %% login flow',
+    '    A([Start]) --> B{Valid?}',
+    '    B -->|yes| C[Save<br>record] & D[(Users)]',
+    '    B -- no --> E[/Show error/];  E -.-> A',
+    '    C ==> F[[Notify]] --- G>Audit]',
+    '    classDef warn fill:#f96'
+].join('\n');
+
+const DOT = [
+    'digraph login {',
+    '    rankdir=TB;',
+    '    node [shape=box];',
+    '    start [shape=ellipse, label="Start\\nhere"];',
+    '    check [shape=diamond label="Valid?"];',
+    '    start -> check -> { save store } [label="ok"];',
+    '    check -> start [style=dashed, dir=both];',
+    '    /* comment */ db [shape=cylinder] // trailing',
+    '}'
+].join('\n');
+
+// ==========================================
+// MERMAID TESTS
+// ==========================================
+
+describe('parseMermaid', () => {
+    it('should read the direction and node shapes', () => {
+        const graph = parseMermaid(MERMAID);
+
+        assert.equal(graph.direction, 'LR');
+        assert.deepEqual(
+            [...graph.nodes.values()].map(n => n.shape),
+            ['terminal', 'decision', 'process', 'database', 'io', 'subprocess', 'document']
+        );
+        assert.equal(graph.getNode('C').label, 'Save\nrecord');
+    });
+
+    it('should read edge labels in both forms', () => {
+        const graph = parseMermaid(MERMAID);
+        const labels = graph.edges.map(e => `${e.from}${e.to}:${e.label}`);
+
+        assert.includes(labels, 'BC:yes');
+        assert.includes(labels, 'BD:yes');
+        assert.includes(labels, 'BE:no');
+    });
+
+    it('should map link styles to connector line types and arrows', () => {
+        const graph = parseMermaid(MERMAID);
+        const edge = (from, to) => graph.edges.find(e => e.from === from && e.to === to);
+
+        assert.equal(edge('E', 'A').lineType, 'dashed');
+        assert.equal(edge('C', 'F').lineType, 'double');
+        assert.ok(!edge('F', 'G').arrowEnd);
+        assert.ok(edge('A', 'B').arrowEnd);
+    });
+
+    it('should default to top-down and ignore subgraphs', () => {
+        const graph = parseMermaid('graph\n  subgraph one\n    a <--> b\n  end');
+
+        assert.equal(graph.direction, 'TB');
+        assert.equal(graph.nodes.size, 2);
+        assert.ok(graph.edges[0].arrowStart);
+    });
+
+    it('should reject sources without a flowchart header', () => {
+        assert.throws(() => parseMermaid('sequenceDiagram\n  A->>B: hi'));
+        assert.throws(() => parseMermaid('graph TD\n  A --> '));
+    });
+});
+
+// ==========================================
+// DOT TESTS
+// ==========================================
+
+describe('parseDot', () => {
+    it('should read nodes with default and explicit attributes', () => {
+        const graph = parseDot(DOT);
+
+        assert.equal(graph.direction, 'TB');
+        assert.equal(graph.getNode('start').shape, 'terminal');
+        assert.equal(graph.getNode('start').label, 'Start\nhere');
+        assert.equal(graph.getNode('check').shape, 'decision');
+        assert.equal(graph.getNode('save').shape, 'process');
+        assert.equal(graph.getNode('db').shape, 'database');
+    });
+
+    it('should expand edge chains and node groups', () => {
+        const graph = parseDot(DOT);
+        const pairs = graph.edges.map(e => `${e.from}>${e.to}`);
+
+        assert.deepEqual(pairs, ['start>check', 'check>save', 'check>store', 'check>start']);
+        assert.equal(graph.edges[1].label, 'ok');
+    });
+
+    it('should honour dir and style edge attributes', () => {
+        const back = parseDot(DOT).edges[3];
+
+        assert.equal(back.lineType, 'dashed');
+        assert.ok(back.arrowStart);
+        assert.ok(back.arrowEnd);
+    });
+
+    it('should not draw arrows in undirected graphs', () => {
+        const graph = parseDot('graph { a -- b -- c }');
+
+        assert.lengthOf(graph.edges, 2);
+        assert.ok(!graph.edges[0].arrowEnd);
+    });
+
+    it('should report syntax errors with a line number', () => {
+        assert.throws(() => parseDot('digraph {\n  a -> ;\n}'));
+        try {
+            parseDot('digraph {\n  a -> ;\n}');
+        } catch (error) {
+            assert.ok(error.message.includes('line 2'));
+        }
+    });
+});
+
+describe('format detection', () => {
+    it('should tell Mermaid and DOT apart', () => {
+        assert.ok(isDotGraph(DOT));
+        assert.ok(!isDotGraph(MERMAID));
+        assert.ok(isMermaidFlowchart(MERMAID));
+        assert.ok(!isMermaidFlowchart(DOT));
+        assert.ok(!isDotGraph('graph TD\n  A --> B{x}'));
+    });
+});
+
+// ==========================================
+// OBJECT CREATION TESTS
+// ==========================================
+
+describe('createFlowchartObjectsFromGraph', () => {
+    it('should size shapes to fit their labels', () => {
+        assert.deepEqual(measureFlowchartNode('process', 'Save record'), { width: 15, height: 3 });
+        assert.deepEqual(measureFlowchartNode('process', 'a\nb'), { width: 8, height: 4 });
+
+        const diamond = measureFlowchartNode('decision', 'Valid?');
+        assert.equal(diamond.width % 2, 1);
+        assert.ok(diamond.width > 'Valid?'.length + 2);
+    });
+
+    it('should link connectors to shapes using flow-facing snap points', () => {
+        const graph = new FlowchartGraph('LR');
+        graph.addEdge('a', 'b', { label: 'go', lineType: 'dashed' });
+        const { shapes, connectors } = createFlowchartObjectsFromGraph(graph);
+
+        assert.lengthOf(shapes, 2);
+        assert.equal(connectors[0].fromShapeId, shapes[0].id);
+        assert.equal(connectors[0].toShapeId, shapes[1].id);
+        assert.equal(connectors[0].fromSnapPoint, 'right');
+        assert.equal(connectors[0].toSnapPoint, 'left');
+        assert.equal(connectors[0].label, 'go');
+        assert.equal(connectors[0].lineType, 'dashed');
+    });
+});
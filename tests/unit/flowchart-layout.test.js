@@ -0,0 +1,179 @@
+/**
+ * Asciistrator - Flowchart Layout Unit Tests
+ *
+ * Tests for the layered flowchart layout: ranking with cycles, crossing
+ * reduction, non-overlapping placement, label gaps and orthogonal routes.
+ */
+
+import { describe, it, assert } from '../framework.js';
+import app, {
+    AppState,
+    FlowchartLayout,
+    ProcessShape,
+    DecisionShape,
+    FlowchartConnector,
+    RectangleObject
+} from '../../scripts/app.js';
+
+/**
+ * Process shapes named after their ids, all stacked at the origin
+ */
+function shapes(...ids) {
+    return ids.map(id => {
+        const shape = id.startsWith('?') ? new DecisionShape() : new ProcessShape();
+        shape.id = id;
+        shape.label = id;
+        return shape;
+    });
+}
+
+/**
+ * Connector between two shape ids
+ */
+function connect(from, to, label = '') {
+    const conn = new FlowchartConnector();
+    conn.fromShapeId = from;
+    conn.toShapeId = to;
+    conn.label = label;
+    return conn;
+}
+
+function byId(list, id) {
+    return list.find(shape => shape.id === id);
+}
+
+function overlaps(a, b) {
+    return a.x < b.x + b.width && b.x < a.x + a.width &&
+        a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+/**
+ * Full connector path from start through its waypoints to the end
+ */
+function route(conn) {
+    return [{ x: conn.startX, y: conn.startY }, ...conn.waypoints, { x: conn.endX, y: conn.endY }];
+}
+
+describe('FlowchartLayout', () => {
+    it('should place shapes without overlapping', () => {
+        const nodes = shapes('start', '?check', 'a', 'b', 'c', 'end');
+        const connectors = [
+            connect('start', '?check'),
+            connect('?check', 'a'),
+            connect('?check', 'b'),
+            connect('?check', 'c'),
+            connect('a', 'end'),
+            connect('b', 'end'),
+            connect('c', 'end'),
+            connect('start', 'end')
+        ];
+        new FlowchartLayout().layoutLayered(nodes, connectors, { startX: 0, startY: 0 });
+
+        for (let i = 0; i < nodes.length; i++) {
+            for (let j = i + 1; j < nodes.length; j++) {
+                assert.ok(!overlaps(nodes[i], nodes[j]), `${nodes[i].id} overlaps ${nodes[j].id}`);
+            }
+        }
+        assert.ok(nodes.every(shape => shape.x >= 0 && shape.y >= 0), 'The layout should start at the origin');
+    });
+
+    it('should rank shapes along the flow direction', () => {
+        const nodes = shapes('a', 'b', 'c');
+        const connectors = [connect('a', 'b'), connect('b', 'c')];
+
+        new FlowchartLayout().layoutLayered(nodes, connectors, { direction: 'TB' });
+        assert.ok(byId(nodes, 'a').y < byId(nodes, 'b').y && byId(nodes, 'b').y < byId(nodes, 'c').y);
+
+        new FlowchartLayout().layoutLayered(nodes, connectors, { direction: 'RL' });
+        assert.ok(byId(nodes, 'a').x > byId(nodes, 'b').x && byId(nodes, 'b').x > byId(nodes, 'c').x);
+    });
+
+    it('should terminate on cycles and self-loops', () => {
+        const nodes = shapes('a', 'b', 'c');
+        const connectors = [connect('a', 'b'), connect('b', 'c'), connect('c', 'a'), connect('b', 'b')];
+        const result = new FlowchartLayout().layoutLayered(nodes, connectors, { direction: 'TB' });
+
+        assert.ok(result.height > 0);
+        assert.ok(byId(nodes, 'a').y < byId(nodes, 'b').y && byId(nodes, 'b').y < byId(nodes, 'c').y,
+            'The back edge should not change the ranks');
+    });
+
+    it('should untangle crossing edges', () => {
+        const nodes = shapes('a', 'b', 'c', 'd');
+        const result = new FlowchartLayout().layoutLayered(nodes, [connect('a', 'd'), connect('b', 'c')]);
+        assert.equal(result.crossings, 0);
+        assert.equal(byId(nodes, 'a').x < byId(nodes, 'b').x, byId(nodes, 'd').x < byId(nodes, 'c').x);
+    });
+
+    it('should route connectors with orthogonal waypoints only', () => {
+        const nodes = shapes('a', 'b', 'c', 'd');
+        const connectors = [connect('a', 'b'), connect('a', 'c'), connect('b', 'd'), connect('a', 'd'), connect('d', 'a')];
+        new FlowchartLayout().layoutLayered(nodes, connectors, { direction: 'LR' });
+
+        for (const conn of connectors) {
+            assert.equal(conn.connectorStyle, 'orthogonal');
+            const path = route(conn);
+            for (let i = 1; i < path.length; i++) {
+                assert.ok(path[i].x === path[i - 1].x || path[i].y === path[i - 1].y,
+                    `${conn.fromShapeId} -> ${conn.toShapeId} has a diagonal segment`);
+            }
+        }
+    });
+
+    it('should widen the gap between ranks for connector labels', () => {
+        const layout = new FlowchartLayout();
+
+        const tall = shapes('a', 'b');
+        layout.layoutLayered(tall, [connect('a', 'b', 'yes\nif valid\nand saved')], { direction: 'TB' });
+        const rowGap = byId(tall, 'b').y - (byId(tall, 'a').y + byId(tall, 'a').height);
+        assert.ok(rowGap >= 6, `A three-line label needs a gap of 6 rows, got ${rowGap}`);
+
+        const wide = shapes('a', 'b');
+        layout.layoutLayered(wide, [connect('a', 'b', 'a long label')], { direction: 'LR' });
+        const columnGap = byId(wide, 'b').x - (byId(wide, 'a').x + byId(wide, 'a').width);
+        assert.ok(columnGap >= 16, `A 12-character label needs a gap of 16 columns, got ${columnGap}`);
+
+        const plain = shapes('a', 'b');
+        layout.layoutLayered(plain, [connect('a', 'b')], { direction: 'TB' });
+        assert.equal(byId(plain, 'b').y - (byId(plain, 'a').y + byId(plain, 'a').height), layout.rankSpacing.y);
+    });
+});
+
+describe('Connector re-routing', () => {
+    it('should route around every visible object but backgrounds', () => {
+        const [a, b] = shapes('a', 'b');
+        a.x = 2;
+        b.x = 40;
+        a.y = b.y = 10;
+        const conn = new FlowchartConnector();
+        conn.connectorStyle = 'orthogonal';
+        conn.setFromShape(a, 'right');
+        conn.setToShape(b, 'left');
+
+        const box = new RectangleObject(24, 6, 6, 11);
+        const lane = new RectangleObject(0, 0, 60, 30);
+        const hidden = new RectangleObject(14, 0, 4, 30);
+        hidden.visible = false;
+
+        const saved = { layers: AppState.layers, width: AppState.canvasWidth, height: AppState.canvasHeight };
+        AppState.layers = [{ id: 0, visible: true, objects: [lane, a, b, box, hidden, conn] }];
+        AppState.canvasWidth = 60;
+        AppState.canvasHeight = 30;
+        try {
+            app.rerouteConnectors();
+        } finally {
+            AppState.layers = saved.layers;
+            AppState.canvasWidth = saved.width;
+            AppState.canvasHeight = saved.height;
+        }
+
+        const path = route(conn);
+        assert.ok(path.length > 2, 'Expected a route with bends');
+        for (let i = 1; i < path.length; i++) {
+            const [p, q] = [path[i - 1], path[i]];
+            const crossesBox = Math.max(p.x, q.x) >= box.x && Math.min(p.x, q.x) < box.x + box.width &&
+                Math.max(p.y, q.y) >= box.y && Math.min(p.y, q.y) < box.y + box.height;
+            assert.ok(!crossesBox, `Segment ${JSON.stringify([p, q])} crosses the box`);
+        }
+    });
+});
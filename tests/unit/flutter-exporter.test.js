@@ -0,0 +1,174 @@
+/**
+ * Asciistrator - Flutter Exporter Unit Tests
+ *
+ * Tests for exporting UI component mockups as a Flutter widget tree.
+ */
+
+import { describe, it, assert } from '../framework.js';
+import { FlutterExporter, dartString, dartColor } from '../../scripts/io/exporters/FlutterExporter.js';
+import { FlutterLayoutTransformer } from '../../scripts/io/exporters/layout/FlutterLayoutTransformer.js';
+import { component, exportObjects as exportWith, assertInOrder } from '../exporter-helpers.js';
+
+const exportObjects = (objects, options = {}) => exportWith(FlutterExporter, objects, options);
+
+// ==========================================
+// DOCUMENT TESTS
+// ==========================================
+
+describe('FlutterExporter', () => {
+    it('should write a StatelessWidget named after the class name option', () => {
+        const content = exportObjects([component('Button', 0, 0, 10, 3, { content: 'OK' })], {
+            className: 'login-screen'
+        });
+        assert.includes(content, "import 'package:flutter/material.dart';");
+        assert.includes(content, 'class LoginScreen extends StatelessWidget {');
+        assert.includes(content, 'Widget build(BuildContext context) {');
+        assert.ok(!content.includes('void main()'));
+    });
+
+    it('should add a main() entry point on request', () => {
+        const content = exportObjects([], { className: 'Demo', includeMain: true });
+        assert.includes(content, 'runApp(const MaterialApp(home: Scaffold(body: Demo())));');
+    });
+
+    it('should size the canvas in logical pixels', () => {
+        const content = exportObjects([component('Button', 2, 1, 10, 3, { content: 'OK' })]);
+        assertInOrder(content, ['width: 480', 'height: 480', 'Stack(', 'Positioned(',
+            'left: 16', 'top: 16', 'width: 80', 'height: 48', 'ElevatedButton(']);
+    });
+
+    it('should be registered for the .dart extension', () => {
+        const exporter = new FlutterExporter();
+        assert.equal(exporter.id, 'flutter');
+        assert.equal(exporter.fileExtension, '.dart');
+    });
+});
+
+// ==========================================
+// COMPONENT TESTS
+// ==========================================
+
+describe('FlutterExporter components', () => {
+    it('should nest components drawn inside a StackPanel in a Column', () => {
+        const content = exportObjects([
+            component('StackPanel', 1, 1, 30, 20, { spacing: 1 }),
+            component('TextBox', 2, 2, 20, 3, { watermark: 'Name' }),
+            component('CheckBox', 2, 6, 20, 1, { isChecked: true, content: 'Remember me' }),
+            component('Button', 2, 8, 10, 3, { content: 'Log in' })
+        ]);
+        assertInOrder(content, ['Column(', 'TextField(', "hintText: 'Name'", 'SizedBox(height: 16)',
+            'Checkbox(value: true', "Text('Remember me')", 'ElevatedButton(', "Text('Log in')"]);
+    });
+
+    it('should lay out a horizontal StackPanel as a Row', () => {
+        const content = exportObjects([
+            component('StackPanel', 0, 0, 30, 3, { orientation: 'Horizontal' }),
+            component('Button', 1, 0, 8, 3, { content: 'A' }),
+            component('Button', 10, 0, 8, 3, { content: 'B' })
+        ]);
+        assertInOrder(content, ['Row(', "Text('A')", "Text('B')"]);
+    });
+
+    it('should place Grid children into Table cells', () => {
+        const content = exportObjects([
+            component('Grid', 0, 0, 20, 10, { columnDefinitions: 'Auto,*', rowDefinitions: '*,*' }),
+            component('Label', 12, 6, 4, 1, { content: 'B', gridRow: 1, gridColumn: 1 })
+        ]);
+        assertInOrder(content, ['Table(', '0: IntrinsicColumnWidth()', 'TableRow(', 'SizedBox.shrink()',
+            'SizedBox.shrink()', 'TableRow(', 'SizedBox.shrink()', "Text('B')"]);
+    });
+
+    it('should map sliders, password boxes and tab controls', () => {
+        const content = exportObjects([
+            component('Slider', 0, 0, 20, 1, { value: 30 }),
+            component('PasswordBox', 0, 3, 20, 3),
+            component('TabControl', 25, 0, 30, 12, { tabs: [{ header: 'One' }, { header: 'Two' }] })
+        ]);
+        assert.includes(content, 'Slider(value: 30, min: 0, max: 100, onChanged: (value) {})');
+        assert.includes(content, 'obscureText: true');
+        assertInOrder(content, ['DefaultTabController(', 'length: 2', 'TabBar(',
+            "Tab(text: 'One')", "Tab(text: 'Two')", 'TabBarView(']);
+    });
+
+    it('should fall back to a Placeholder for unmapped components', () => {
+        const content = exportObjects([
+            component('StackPanel', 0, 0, 30, 10),
+            component('DatePicker', 1, 1, 10, 3),
+            component('Button', 1, 5, 10, 3, { content: 'OK' })
+        ]);
+        assertInOrder(content, ['// DatePicker has no Flutter mapping', 'Placeholder()']);
+    });
+});
+
+// ==========================================
+// AUTO-LAYOUT TESTS
+// ==========================================
+
+describe('FlutterExporter auto-layout', () => {
+    it('should turn frame auto-layout into a Flex', () => {
+        const content = exportObjects([{
+            type: 'frame', x: 0, y: 0, width: 30, height: 6,
+            layoutMode: 'HORIZONTAL', itemSpacing: 2,
+            primaryAxisAlignItems: 'CENTER', counterAxisAlignItems: 'CENTER',
+            padding: { top: 1, right: 1, bottom: 1, left: 1 },
+            children: [
+                { type: 'text', x: 1, y: 1, width: 5, height: 1, text: 'Hi', children: [] },
+                { type: 'text', x: 9, y: 1, width: 5, height: 1, text: 'There', children: [] }
+            ]
+        }]);
+        assertInOrder(content, ['Padding(', 'EdgeInsets.symmetric(horizontal: 8, vertical: 16)',
+            'Flex(', 'direction: Axis.horizontal', 'mainAxisAlignment: MainAxisAlignment.center',
+            'crossAxisAlignment: CrossAxisAlignment.center', "'Hi'", 'SizedBox(width: 16)', "'There'"]);
+    });
+});
+
+// ==========================================
+// LAYOUT TRANSFORMER TESTS
+// ==========================================
+
+describe('FlutterLayoutTransformer', () => {
+    const transformer = new FlutterLayoutTransformer();
+
+    it('should collapse padding to the shortest EdgeInsets form', () => {
+        assert.equal(transformer.transformPadding({ top: 1, right: 2, bottom: 1, left: 2 }), 'EdgeInsets.all(16)');
+        assert.equal(transformer.transformPadding({ top: 0, right: 0, bottom: 0, left: 0 }), null);
+        assert.equal(transformer.transformPadding({ top: 1, right: 0, bottom: 0, left: 0 }),
+            'EdgeInsets.fromLTRB(0, 16, 0, 0)');
+    });
+
+    it('should use Wrap for wrapping layouts', () => {
+        const props = transformer.extractLayoutProperties({
+            layoutMode: 'HORIZONTAL', layoutWrap: 'WRAP', itemSpacing: 1, counterAxisSpacing: 1
+        });
+        const layout = transformer.transformContainerLayout(props);
+        assert.equal(layout.widget, 'Wrap');
+        assert.equal(layout.args.spacing, 8);
+        assert.equal(layout.args.runSpacing, 16);
+    });
+
+    it('should expand children that fill the main axis', () => {
+        const parent = transformer.extractLayoutProperties({ layoutMode: 'VERTICAL' });
+        const child = transformer.extractLayoutProperties({
+            width: 10, height: 3, _layoutSizing: { horizontal: 'fixed', vertical: 'fill' }
+        });
+        const placement = transformer.transformChildLayout(child, parent);
+        assert.equal(placement.wrapper, 'Expanded');
+        assert.equal(placement.width, 80);
+        assert.equal(placement.height, null);
+    });
+});
+
+// ==========================================
+// DART LITERAL TESTS
+// ==========================================
+
+describe('Dart literals', () => {
+    it('should escape quotes, interpolation and newlines', () => {
+        assert.equal(dartString("It's $5\nnow"), "'It\\'s \\$5\\nnow'");
+    });
+
+    it('should convert hex colors', () => {
+        assert.equal(dartColor('#f00'), 'Color(0xFFFF0000)');
+        assert.equal(dartColor('red'), null);
+    });
+});
@@ -0,0 +1,287 @@
+/**
+ * Asciistrator - GTK Exporter Unit Tests
+ *
+ * Tests for exporting UI component mockups as GTK 4 GtkBuilder XML
+ * and Blueprint.
+ */
+
+import { describe, it, assert } from '../framework.js';
+import { ControlRegistry } from '../../scripts/components/controls/index.js';
+import {
+    GtkExporter,
+    GtkBlueprintExporter,
+    blueprintString,
+    xmlEscape
+} from '../../scripts/io/exporters/GtkExporter.js';
+import { GtkLayoutTransformer } from '../../scripts/io/exporters/layout/GtkLayoutTransformer.js';
+import { component, text, exportObjects as exportWith, assertInOrder, assertBalanced } from '../exporter-helpers.js';
+
+const exportObjects = (objects, options = {}) => exportWith(GtkBlueprintExporter, objects, options);
+const exportXml = (objects, options = {}) => exportWith(GtkExporter, objects, options);
+
+/**
+ * Fail when XML elements do not nest
+ */
+function assertWellFormedXml(content) {
+    const body = content.replace(/<\?xml[^>]*\?>/, '').replace(/<!--[\s\S]*?-->/g, '');
+    const stack = [];
+    for (const [, closing, name, selfClosing] of body.matchAll(/<(\/?)([\w-]+)[^>]*?(\/?)>/g)) {
+        if (selfClosing) continue;
+        if (closing) {
+            assert.equal(stack.pop(), name, `Mismatched </${name}>`);
+        } else {
+            stack.push(name);
+        }
+    }
+    assert.equal(stack.length, 0, `Unclosed <${stack[stack.length - 1]}>`);
+}
+
+// ==========================================
+// DOCUMENT TESTS
+// ==========================================
+
+describe('GtkExporter', () => {
+    it('should write a GtkBuilder interface by default', () => {
+        const exporter = new GtkExporter();
+        assert.equal(exporter.fileExtension, '.ui');
+
+        const content = exportXml([component('Button', 0, 0, 10, 3, { content: 'OK' })], {
+            className: 'LoginView'
+        });
+        assertInOrder(content, ['<?xml version="1.0" encoding="UTF-8"?>', '<interface>',
+            '<requires lib="gtk" version="4.0"/>', '<object class="GtkWindow" id="login_view">',
+            '<property name="default-width">480</property>', '<child>', '<object class="GtkOverlay">',
+            '<child type="overlay">', '<object class="GtkButton">',
+            '<property name="label" translatable="yes">OK</property>', '</interface>']);
+        assertWellFormedXml(content);
+    });
+
+    it('should write Blueprint from the same widget tree', () => {
+        const exporter = new GtkBlueprintExporter();
+        assert.equal(exporter.fileExtension, '.blp');
+
+        const content = exportObjects([component('Button', 2, 1, 10, 3, { content: 'OK' })], {
+            className: 'LoginView'
+        });
+        assertInOrder(content, ['using Gtk 4.0;', 'Window login_view {', 'default-width: 480;',
+            'Overlay {', '[overlay] Button {', 'halign: start;', 'valign: start;', 'margin-start: 16;',
+            'margin-top: 16;', 'width-request: 80;', 'height-request: 48;', 'label: _("OK");']);
+        assertBalanced(content);
+    });
+
+    it('should leave text untranslated on request', () => {
+        const content = exportObjects([component('Button', 0, 0, 10, 3, { content: 'OK' })], {
+            translatable: false
+        });
+        assert.ok(content.includes('label: "OK";'));
+        assert.ok(!content.includes('_("'));
+    });
+
+    it('should use the window title and content for a window mockup', () => {
+        const content = exportObjects([
+            component('Window', 0, 0, 40, 20, { title: 'Settings' }),
+            component('CheckBox', 2, 4, 20, 1, { content: 'Dark mode' })
+        ]);
+        assertInOrder(content, ['Window ascii_art_view {', 'title: _("Settings");', 'default-width: 320;',
+            'default-height: 320;', 'CheckButton {', 'label: _("Dark mode");']);
+        assert.ok(!content.includes('Overlay'));
+    });
+});
+
+// ==========================================
+// COMPONENT TESTS
+// ==========================================
+
+describe('GtkExporter components', () => {
+    it('should map text inputs to entries and text views', () => {
+        const content = exportObjects([
+            component('TextBox', 0, 0, 20, 3, { watermark: 'Email' }),
+            component('PasswordBox', 0, 4, 20, 3),
+            component('TextArea', 0, 8, 20, 5, { text: 'Notes' })
+        ]);
+        assertInOrder(content, ['Entry {', 'placeholder-text: _("Email");', 'PasswordEntry {',
+            'show-peek-icon: true;', 'TextView {', 'buffer: TextBuffer {', 'text: _("Notes");']);
+        assertBalanced(content);
+    });
+
+    it('should write drop-down items as a string list', () => {
+        const blueprint = exportObjects([component('ComboBox', 0, 0, 20, 3, { items: ['Red', 'Green'], selectedIndex: 1 })]);
+        assertInOrder(blueprint, ['DropDown {', 'model: StringList {', 'strings [_("Red"), _("Green")]', 'selected: 1;']);
+
+        const xml = exportXml([component('ComboBox', 0, 0, 20, 3, { items: ['Red', 'Green'] })]);
+        assertInOrder(xml, ['<property name="model">', '<object class="GtkStringList">', '<items>',
+            '<item translatable="yes">Red</item>', '<item translatable="yes">Green</item>', '</items>']);
+        assertWellFormedXml(xml);
+    });
+
+    it('should add a page and a tab label for each notebook tab', () => {
+        const content = exportObjects([
+            component('TabControl', 0, 0, 30, 12, { tabs: [{ header: 'General' }, { header: 'Advanced' }] }),
+            component('Label', 2, 4, 10, 1, { content: 'Inside' })
+        ]);
+        assertInOrder(content, ['Notebook {', 'Label {', 'label: _("Inside");', '[tab] Label {',
+            'label: _("General");', 'Box {}', '[tab] Label {', 'label: _("Advanced");']);
+
+        const xml = exportXml([component('TabControl', 0, 0, 30, 12, { tabs: [{ header: 'General' }] })]);
+        assertInOrder(xml, ['<object class="GtkNotebook"', '<child type="tab">']);
+    });
+
+    it('should note bound properties and leave them unset', () => {
+        const content = exportObjects([component('TextBox', 0, 0, 20, 3, { text: '{Binding UserName}' })]);
+        assertInOrder(content, ['// TextBox text is bound to UserName', 'Entry {']);
+        assert.ok(!content.includes('text:'));
+
+        const xml = exportXml([component('TextBox', 0, 0, 20, 3, { text: '{Binding UserName}' })]);
+        assert.ok(xml.includes('<!-- TextBox text is bound to UserName -->'));
+    });
+
+    it('should convert progress values to a fraction', () => {
+        const content = exportObjects([component('ProgressBar', 0, 0, 20, 1, { value: 25, minimum: 0, maximum: 50 })]);
+        assertInOrder(content, ['ProgressBar {', 'fraction: 0.5;']);
+    });
+
+    it('should mark components without a GTK mapping', () => {
+        const content = exportObjects([component('Rating', 0, 0, 10, 1)]);
+        assertInOrder(content, ['// Rating has no GTK mapping', '[overlay] Frame {', 'label: "Rating";']);
+    });
+
+    it('should apply tooltips, disabled state and style classes', () => {
+        const content = exportObjects([
+            component('Button', 0, 0, 10, 3, { content: 'Save', isDefault: true, isEnabled: false, toolTip: 'Save changes' })
+        ]);
+        assertInOrder(content, ['Button {', 'label: _("Save");', 'sensitive: false;',
+            'tooltip-text: _("Save changes");', 'styles ["suggested-action"]']);
+
+        const xml = exportXml([component('Button', 0, 0, 10, 3, { content: 'Save', isDefault: true })]);
+        assertInOrder(xml, ['<style>', '<class name="suggested-action"/>', '</style>']);
+    });
+});
+
+// ==========================================
+// LAYOUT TESTS
+// ==========================================
+
+describe('GtkExporter layouts', () => {
+    it('should lay out StackPanel children in a vertical box', () => {
+        const content = exportObjects([
+            component('StackPanel', 0, 0, 30, 10, { spacing: 1 }),
+            component('Button', 1, 5, 10, 3, { content: 'Second' }),
+            component('Button', 1, 1, 10, 3, { content: 'First' })
+        ]);
+        assertInOrder(content, ['[overlay] Box {', 'orientation: vertical;', 'spacing: 16;',
+            'Button {', 'halign: start;', '_("First")', 'Button {', '_("Second")']);
+    });
+
+    it('should place Grid children in their cells', () => {
+        const content = exportObjects([
+            component('Grid', 0, 0, 20, 10, { columnDefinitions: '*,*', rowDefinitions: '*,*' }),
+            component('Button', 11, 6, 8, 3, { content: 'Cell' })
+        ]);
+        assertInOrder(content, ['Grid {', 'Button {', 'hexpand: true;', 'vexpand: true;',
+            'layout {', 'column: 1;', 'row: 1;', '}']);
+
+        const xml = exportXml([
+            component('Grid', 0, 0, 20, 10, { columnDefinitions: '*,*', rowDefinitions: '*,*' }),
+            component('Button', 11, 6, 8, 3, { content: 'Cell' })
+        ]);
+        assertInOrder(xml, ['<layout>', '<property name="column">1</property>', '<property name="row">1</property>', '</layout>']);
+        assertWellFormedXml(xml);
+    });
+
+    it('should turn auto-layout frames into boxes with expanding fillers', () => {
+        const content = exportObjects([{
+            type: 'frame', x: 0, y: 0, width: 30, height: 3,
+            layoutMode: 'HORIZONTAL', primaryAxisAlignItems: 'SPACE_BETWEEN', counterAxisAlignItems: 'CENTER',
+            padding: { top: 0, right: 1, bottom: 0, left: 1 },
+            children: [text(1, 1, 'Back'), text(25, 1, 'Next')]
+        }]);
+        assertInOrder(content, ['[overlay] Box {', 'margin-start: 8;', 'margin-end: 8;', 'width-request: 224;',
+            'orientation: horizontal;', '"Back"', 'Box {', 'hexpand: true;', '"Next"']);
+        assertBalanced(content);
+    });
+});
+
+// ==========================================
+// CONFORMANCE TESTS
+// ==========================================
+
+describe('GtkExporter conformance', () => {
+    for (const type of Object.keys(ControlRegistry)) {
+        it(`should export ${type} as Blueprint and GtkBuilder XML`, () => {
+            const blueprint = exportObjects([component(type, 1, 1, 20, 6)]);
+            assertBalanced(blueprint);
+
+            const xml = exportXml([component(type, 1, 1, 20, 6)]);
+            assertWellFormedXml(xml);
+
+            // Unmapped controls are marked rather than dropped
+            if (blueprint.includes('has no GTK mapping')) {
+                assert.ok(blueprint.includes(`// ${type} has no GTK mapping`));
+                assert.ok(xml.includes(`<!-- ${type} has no GTK mapping -->`));
+            }
+        });
+    }
+});
+
+// ==========================================
+// LAYOUT TRANSFORMER TESTS
+// ==========================================
+
+describe('GtkLayoutTransformer', () => {
+    const transformer = new GtkLayoutTransformer();
+    const props = overrides => ({
+        ...transformer.extractLayoutProperties(overrides),
+        width: overrides.width || 0,
+        height: overrides.height || 0
+    });
+
+    it('should choose the container widget for each layout mode', () => {
+        assert.equal(transformer.transformContainerLayout(props({ layoutMode: 'VERTICAL' })).widget, 'GtkBox');
+        assert.equal(transformer.transformContainerLayout(props({ layoutMode: 'HORIZONTAL', layoutWrap: 'WRAP' })).widget, 'GtkFlowBox');
+        assert.equal(transformer.transformContainerLayout(props({})).widget, 'GtkOverlay');
+    });
+
+    it('should leave spare space at the end without fillers', () => {
+        assert.equal(transformer.transformContainerLayout(props({ layoutMode: 'VERTICAL' })).fillers, null);
+        assert.deepEqual(transformer.transformContainerLayout(props({
+            layoutMode: 'VERTICAL', primaryAxisAlignItems: 'MAX'
+        })).fillers, { before: true, between: false, after: false });
+    });
+
+    it('should convert padding to non-zero margins', () => {
+        assert.deepEqual(transformer.transformPadding({ top: 1, right: 0, bottom: 0, left: 2 }),
+            { 'margin-start': 16, 'margin-top': 16 });
+        assert.deepEqual(transformer.transformPadding(null), {});
+    });
+
+    it('should place children with alignment and margins', () => {
+        const parent = { x: 0, y: 0, width: 20, height: 10 };
+        const child = { x: 10, y: 2, width: 8, height: 3 };
+
+        const end = transformer.transformConstraints({ horizontal: 'MAX', vertical: 'MIN' }, parent, child);
+        assert.equal(end.halign, 'end');
+        assert.equal(end['margin-end'], 16);
+        assert.equal(end.valign, 'start');
+        assert.equal(end['margin-top'], 32);
+
+        const stretch = transformer.transformConstraints({ horizontal: 'STRETCH', vertical: 'CENTER' }, parent, child);
+        assert.equal(stretch.halign, 'fill');
+        assert.equal(stretch['margin-start'], 80);
+        assert.equal(stretch['width-request'], undefined);
+        assert.equal(stretch.valign, 'center');
+    });
+});
+
+// ==========================================
+// LITERAL TESTS
+// ==========================================
+
+describe('GTK literals', () => {
+    it('should escape Blueprint strings', () => {
+        assert.equal(blueprintString('Say "hi"\\\n'), '"Say \\"hi\\"\\\\\\n"');
+    });
+
+    it('should escape XML text', () => {
+        assert.equal(xmlEscape('<a & "b">'), '&lt;a &amp; &quot;b&quot;&gt;');
+    });
+});
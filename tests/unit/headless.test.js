@@ -0,0 +1,219 @@
+/**
+ * Asciistrator - Headless Rendering Unit Tests
+ *
+ * Tests for loading native documents without a browser, rendering and
+ * exporting them, and parsing the command line arguments of the CLI.
+ */
+
+import { describe, it, assert } from '../framework.js';
+import {
+    HeadlessDocument,
+    createExporterRegistry,
+    exportDocument,
+    normalizeExportResult
+} from '../../scripts/io/headless.js';
+import { parseArgs } from '../../scripts/cliArgs.js';
+
+/**
+ * v2 document with a red box and a label inside it
+ */
+function createDocument() {
+    return {
+        version: '2.0.0',
+        name: 'box.ascii',
+        document: {
+            id: '0:0',
+            type: 'DOCUMENT',
+            children: [{
+                id: 'page:0',
+                type: 'PAGE',
+                name: 'Layer 1',
+                canvasWidth: 12,
+                canvasHeight: 4,
+                children: [
+                    {
+                        id: 'box',
+                        type: 'RECTANGLE',
+                        name: 'Box',
+                        absoluteBoundingBox: { x: 0, y: 0, width: 8, height: 3 },
+                        ascii: { lineStyle: 'single', strokeColor: '#ff0000' }
+                    },
+                    {
+                        id: 'label',
+                        type: 'TEXT',
+                        name: 'Label',
+                        characters: 'Hi',
+                        absoluteBoundingBox: { x: 2, y: 1, width: 2, height: 1 }
+                    }
+                ]
+            }]
+        }
+    };
+}
+
+// ==========================================
+// DOCUMENT TESTS
+// ==========================================
+
+describe('HeadlessDocument', () => {
+    it('should load pages of a v2 document as layers of scene objects', () => {
+        const doc = HeadlessDocument.fromJSON(JSON.stringify(createDocument()));
+        assert.equal(doc.name, 'box.ascii');
+        assert.equal(doc.canvasWidth, 12);
+        assert.equal(doc.canvasHeight, 4);
+        assert.deepEqual(doc.objects.map(obj => obj.type), ['rectangle', 'text']);
+    });
+
+    it('should reject documents that are not v2', () => {
+        assert.throws(() => HeadlessDocument.fromJSON({ version: '1.0.0', layers: [] }), Error);
+    });
+
+    it('should render visible layers into a buffer', () => {
+        const doc = HeadlessDocument.fromJSON(createDocument());
+        const lines = doc.render().toString().split('\n');
+        assert.lengthOf(lines, 4);
+        assert.equal(lines[0], '┌──────┐    ');
+        assert.equal(lines[1], '│ Hi   │    ');
+
+        doc.layers[0].visible = false;
+        assert.equal(doc.render().toString().trim(), '');
+    });
+
+    it('should render banner text with the FIGlet fonts embedded in the document', () => {
+        // One-row font that draws every character twice
+        let source = 'flf2a$ 1 1 2 -1 0\n';
+        for (let code = 32; code <= 126; code++) {
+            const char = String.fromCharCode(code);
+            source += `${char}${char}@@\n`;
+        }
+
+        const data = createDocument();
+        data.figletFonts = { 'embedded-doubled': source };
+        data.document.children[0].children = [{
+            id: 'banner',
+            type: 'TEXT',
+            name: 'Banner',
+            characters: 'Hi',
+            absoluteBoundingBox: { x: 0, y: 0, width: 4, height: 1 },
+            ascii: { isAsciiText: true, figletFont: 'embedded-doubled' }
+        }];
+
+        const doc = HeadlessDocument.fromJSON(data);
+        assert.equal(doc.render().toString().split('\n')[0], 'HHii        ');
+    });
+});
+
+// ==========================================
+// EXPORT TESTS
+// ==========================================
+
+describe('exportDocument', () => {
+    const doc = HeadlessDocument.fromJSON(createDocument());
+
+    it('should export plain text by id or extension', () => {
+        const result = exportDocument(doc, 'text');
+        assert.ok(result.success);
+        assert.equal(result.content, '┌──────┐\n│ Hi   │\n└──────┘');
+        assert.equal(exportDocument(doc, '.txt').exporter.id, 'text');
+    });
+
+    it('should export ANSI with the object colors', () => {
+        const { content } = exportDocument(doc, 'ansi');
+        assert.includes(content, '\x1b[38;2;255;0;0m┌──────┐');
+        assert.includes(content, ' Hi ');
+    });
+
+    it('should export SVG text', () => {
+        const { content, exporter } = exportDocument(doc, 'svg');
+        assert.equal(exporter.fileExtension, '.svg');
+        assert.includes(content, '<svg');
+        assert.includes(content, 'Hi');
+    });
+
+    it('should throw for unknown formats', () => {
+        assert.throws(() => exportDocument(doc, 'nope'), Error);
+    });
+
+    it('should export through every registered exporter', () => {
+        const diagram = createDocument();
+        diagram.document.children[0].children.push({
+            id: 'step',
+            type: 'FLOWCHART_PROCESS',
+            name: 'Step',
+            absoluteBoundingBox: { x: 0, y: 5, width: 10, height: 3 },
+            ascii: { label: 'Go' }
+        });
+        const flowchart = HeadlessDocument.fromJSON(diagram);
+        const registry = createExporterRegistry();
+
+        for (const exporter of registry.getAll()) {
+            const result = exportDocument(flowchart, exporter.id, {}, registry);
+            assert.ok(result.success, `${exporter.id}: ${result.errors.join(', ')}`);
+            assert.ok(result.content, `${exporter.id} should produce content`);
+        }
+    });
+});
+
+describe('normalizeExportResult', () => {
+    it('should wrap plain string results', () => {
+        const result = normalizeExportResult('text');
+        assert.ok(result.success);
+        assert.equal(result.content, 'text');
+        assert.equal(result.files.size, 0);
+    });
+
+    it('should collect companion files without the main file', () => {
+        const result = normalizeExportResult({
+            content: '<Window/>',
+            filename: 'Main.axaml',
+            files: {
+                'Main.axaml': { content: '<Window/>' },
+                'Main.axaml.cs': { content: 'class Main {}' },
+                'App.axaml': '<Application/>'
+            }
+        });
+        assert.deepEqual([...result.files.keys()], ['Main.axaml.cs', 'App.axaml']);
+        assert.equal(result.files.get('Main.axaml.cs'), 'class Main {}');
+    });
+
+    it('should turn errors into messages', () => {
+        const result = normalizeExportResult({ success: false, errors: [new Error('bad node')], error: 'failed' });
+        assert.ok(!result.success);
+        assert.deepEqual(result.errors, ['bad node', 'failed']);
+        assert.isNull(result.content);
+    });
+});
+
+// ==========================================
+// ARGUMENT TESTS
+// ==========================================
+
+describe('parseArgs', () => {
+    it('should default to plain text on stdout', () => {
+        const args = parseArgs(['diagram.ascii']);
+        assert.deepEqual(args.inputs, ['diagram.ascii']);
+        assert.equal(args.format, 'text');
+        assert.isNull(args.output);
+    });
+
+    it('should read formats, outputs, typed options and data files', () => {
+        const args = parseArgs(['a.ascii', '-', '-f', 'svg', '-d', 'out', '-O', 'cellWidth=12',
+            '--option', 'includeBackground=false', '-O', 'className=Form', '--data', 'latency=week.csv']);
+        assert.deepEqual(args.inputs, ['a.ascii', '-']);
+        assert.equal(args.format, 'svg');
+        assert.equal(args.outDir, 'out');
+        assert.deepEqual(args.options, { cellWidth: 12, includeBackground: false, className: 'Form' });
+        assert.deepEqual(args.data, [{ name: 'latency', file: 'week.csv' }]);
+    });
+
+    it('should reject unknown flags', () => {
+        assert.throws(() => parseArgs(['a.ascii', '--colour']), Error);
+    });
+
+    it('should reject flags with a missing value', () => {
+        assert.throws(() => parseArgs(['a.ascii', '-f']), Error);
+        assert.throws(() => parseArgs(['a.ascii', '-o', '--format', 'svg']), Error);
+        assert.throws(() => parseArgs(['a.ascii', '-O', 'className']), Error);
+        assert.throws(() => parseArgs(['a.ascii', '--data', '=week.csv']), Error);
+    });
+});
@@ -0,0 +1,284 @@
+/**
+ * Asciistrator - Document History Unit Tests
+ *
+ * Tests for patch-based undo/redo, transactions, step names and scoped
+ * captures.
+ */
+
+import { describe, it, assert } from '../framework.js';
+import { CommandHistory, normalizeState, diffStates } from '../../scripts/core/document/history.js';
+
+/**
+ * A minimal document the history can capture and patch. With `scoped`, the
+ * history only serializes the selected objects and those it asks for;
+ * `serialized` lists the ids serialized by the last capture.
+ */
+function createDocument(scoped = false) {
+    const doc = {
+        layers: [{ id: 0, name: 'Layer 1', visible: true, locked: false, objects: [] }],
+        selectedObjectIds: [],
+        serialized: []
+    };
+    const capture = (include) => {
+        doc.serialized = [];
+        return {
+            layers: doc.layers.map(({ objects, ...layer }) => ({
+                ...layer,
+                objectIds: objects.map(obj => obj.id),
+                objects: objects
+                    .filter(obj => include(obj.id, (obj.children || []).map(child => child.id)))
+                    .map(obj => {
+                        doc.serialized.push(obj.id);
+                        return JSON.parse(JSON.stringify(obj));
+                    })
+            })),
+            selectedObjectIds: [...doc.selectedObjectIds]
+        };
+    };
+    const history = new CommandHistory({
+        capture: scoped ? capture : () => JSON.parse(JSON.stringify({ layers: doc.layers, selectedObjectIds: doc.selectedObjectIds })),
+        scope: scoped ? () => doc.selectedObjectIds : undefined,
+        apply: (patch) => {
+            const existing = new Map(doc.layers.flatMap(layer => layer.objects).map(obj => [obj.id, obj]));
+            doc.layers = patch.layers.map(layer => ({
+                id: layer.id,
+                name: layer.name,
+                visible: layer.visible,
+                locked: layer.locked,
+                blendMode: layer.blendMode,
+                opacity: layer.opacity,
+                objects: layer.objectIds.map(id => patch.objects.has(id) ? patch.objects.get(id) : existing.get(id))
+            }));
+            doc.selectedObjectIds = patch.view.selectedObjectIds;
+        }
+    });
+    return { doc, history };
+}
+
+const box = (id, x = 0, y = 0) => ({ id, type: 'rectangle', x, y, width: 10, height: 3, strokeColor: null });
+
+describe('diffStates', () => {
+    it('should only contain the objects that changed', () => {
+        const before = normalizeState({ layers: [{ id: 0, objects: [box('a'), box('b')] }] });
+        const after = normalizeState({ layers: [{ id: 0, objects: [box('a', 5), box('b')] }] });
+
+        const changes = diffStates(before, after);
+        assert.deepEqual([...changes.objects.keys()], ['a']);
+        assert.isNull(changes.layersBefore);
+    });
+
+    it('should record the layer structure when objects are added', () => {
+        const before = normalizeState({ layers: [{ id: 0, objects: [] }] });
+        const after = normalizeState({ layers: [{ id: 0, objects: [box('a')] }] });
+
+        const changes = diffStates(before, after);
+        assert.isNull(changes.objects.get('a').before);
+        assert.deepEqual(changes.layersAfter[0].objectIds, ['a']);
+    });
+});
+
+describe('CommandHistory', () => {
+    it('should undo and redo a step', () => {
+        const { doc, history } = createDocument();
+        history.checkpoint();
+        doc.layers[0].objects.push(box('a'));
+        history.checkpoint();
+        doc.layers[0].objects[0].x = 7;
+
+        history.undo();
+        assert.equal(doc.layers[0].objects[0].x, 0);
+        history.undo();
+        assert.lengthOf(doc.layers[0].objects, 0);
+
+        history.redo();
+        history.redo();
+        assert.equal(doc.layers[0].objects[0].x, 7);
+        assert.ok(!history.canRedo());
+    });
+
+    it('should name steps after what changed', () => {
+        const { doc, history } = createDocument();
+        history.checkpoint();
+        doc.layers[0].objects.push(box('a'), box('b', 20), box('c', 40));
+        history.checkpoint();
+        doc.layers[0].objects.forEach(obj => { obj.y += 2; });
+        history.checkpoint();
+        doc.layers[0].objects[0].strokeColor = '#ff0000';
+        history.checkpoint();
+        doc.layers[0].objects.pop();
+        history.flush();
+
+        assert.deepEqual(history.undoStack.map(c => c.name), [
+            'Added 3 objects',
+            'Moved 3 objects',
+            'Changed stroke color',
+            'Deleted rectangle'
+        ]);
+    });
+
+    it('should prefer names given at the checkpoint', () => {
+        const { doc, history } = createDocument();
+        history.checkpoint('Auto-layout');
+        doc.layers[0].objects.push(box('a'));
+        history.flush();
+
+        assert.equal(history.undoStack[0].name, 'Auto-layout');
+    });
+
+    it('should group a transaction into one step', () => {
+        const { doc, history } = createDocument();
+        history.beginTransaction('Paste and align');
+        history.checkpoint();
+        doc.layers[0].objects.push(box('a'));
+        history.checkpoint();
+        doc.layers[0].objects[0].x = 3;
+        history.commitTransaction();
+
+        assert.lengthOf(history.undoStack, 1);
+        assert.equal(history.undoStack[0].name, 'Paste and align');
+        history.undo();
+        assert.lengthOf(doc.layers[0].objects, 0);
+    });
+
+    it('should revert a rolled back transaction', () => {
+        const { doc, history } = createDocument();
+        history.checkpoint();
+        doc.layers[0].objects.push(box('a'));
+        history.beginTransaction('Try');
+        doc.layers[0].objects[0].x = 9;
+        history.rollbackTransaction();
+
+        assert.equal(doc.layers[0].objects[0].x, 0);
+        assert.lengthOf(history.undoStack, 1);
+    });
+
+    it('should merge quick repeated moves of the same objects', () => {
+        const { doc, history } = createDocument();
+        history.checkpoint();
+        doc.layers[0].objects.push(box('a'));
+        for (let i = 0; i < 3; i++) {
+            history.checkpoint();
+            doc.layers[0].objects[0].x++;
+        }
+        history.flush();
+
+        assert.lengthOf(history.undoStack, 2);
+        history.undo();
+        assert.equal(doc.layers[0].objects[0].x, 0);
+    });
+
+    it('should restore the selection of a step', () => {
+        const { doc, history } = createDocument();
+        history.checkpoint();
+        doc.layers[0].objects.push(box('a'));
+        doc.selectedObjectIds = ['a'];
+        history.checkpoint();
+        doc.layers[0].objects = [];
+        doc.selectedObjectIds = [];
+
+        history.undo();
+        assert.deepEqual(doc.selectedObjectIds, ['a']);
+    });
+
+    it('should jump to any step', () => {
+        const { doc, history } = createDocument();
+        history.checkpoint();
+        doc.layers[0].objects.push(box('a'));
+        history.checkpoint('First move');
+        doc.layers[0].objects[0].x = 5;
+        history.checkpoint('Second move');
+        doc.layers[0].objects[0].x = 10;
+        history.flush();
+
+        const [added, first] = history.undoStack;
+        history.goTo(added.id);
+        assert.equal(doc.layers[0].objects[0].x, 0);
+        history.goTo(first.id);
+        assert.equal(doc.layers[0].objects[0].x, 5);
+        history.goTo(null);
+        assert.lengthOf(doc.layers[0].objects, 0);
+        assert.lengthOf(history.redoStack, 3);
+    });
+
+    it('should restore deleted layers with their objects', () => {
+        const { doc, history } = createDocument();
+        doc.layers.push({ id: 1, name: 'Notes', visible: true, locked: false, objects: [box('n')] });
+        history.checkpoint();
+        doc.layers.pop();
+        history.flush();
+
+        assert.equal(history.undoStack[0].name, 'Deleted layer "Notes"');
+        history.undo();
+        assert.deepEqual(doc.layers[1].objects, [box('n')]);
+    });
+
+    it('should record layer blend mode and opacity', () => {
+        const { doc, history } = createDocument();
+        history.checkpoint();
+        doc.layers[0].blendMode = 'multiply';
+        history.checkpoint();
+        doc.layers[0].opacity = 0.5;
+        history.flush();
+
+        assert.deepEqual(history.undoStack.map(step => step.name), [
+            'Set blend mode of layer "Layer 1" to multiply',
+            'Set opacity of layer "Layer 1" to 50%'
+        ]);
+        history.undo();
+        assert.equal(doc.layers[0].opacity, 1);
+        history.undo();
+        assert.equal(doc.layers[0].blendMode, 'normal');
+    });
+});
+
+describe('CommandHistory scope', () => {
+    it('should only serialize the objects a step may touch', () => {
+        const { doc, history } = createDocument(true);
+        doc.layers[0].objects.push(box('a'), box('b'), box('c'));
+        history.checkpoint();
+        assert.deepEqual(doc.serialized, ['a', 'b', 'c'], 'The first capture reads everything');
+
+        doc.selectedObjectIds = ['b'];
+        history.checkpoint();
+        doc.layers[0].objects[1].x = 4;
+        history.flush();
+        assert.deepEqual(doc.serialized, ['b']);
+        assert.equal(history.undoStack[0].name, 'Moved rectangle');
+
+        history.undo();
+        assert.equal(doc.layers[0].objects[1].x, 0);
+        history.redo();
+        assert.equal(doc.layers[0].objects[1].x, 4);
+    });
+
+    it('should record unselected objects named at the checkpoint', () => {
+        const { doc, history } = createDocument(true);
+        doc.layers[0].objects.push(box('a'), box('b'));
+        history.checkpoint();
+
+        history.checkpoint('Fill', ['b']);
+        doc.layers[0].objects[1].strokeColor = '#ff0000';
+        history.flush();
+        assert.deepEqual(doc.serialized, ['b']);
+
+        history.undo();
+        assert.isNull(doc.layers[0].objects[1].strokeColor);
+    });
+
+    it('should notice added, removed and nested objects outside the scope', () => {
+        const { doc, history } = createDocument(true);
+        doc.layers[0].objects.push({ ...box('g'), type: 'group', children: [] }, box('a'));
+        history.checkpoint();
+
+        history.checkpoint();
+        doc.layers[0].objects[0].children.push(box('n'));
+        doc.layers[0].objects.push(box('c'));
+        doc.layers[0].objects.splice(1, 1);
+        history.flush();
+        assert.deepEqual(doc.serialized, ['g', 'c']);
+
+        history.undo();
+        assert.deepEqual(doc.layers[0].objects.map(obj => obj.id), ['g', 'a']);
+        assert.lengthOf(doc.layers[0].objects[0].children, 0);
+    });
+});
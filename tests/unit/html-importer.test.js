@@ -0,0 +1,275 @@
+/**
+ * Asciistrator - HTML Import Unit Tests
+ *
+ * Tests for the HTML parser, the CSS cascade, flex and grid layout at cell
+ * scale and scene object creation.
+ */
+
+import { describe, it, assert } from '../framework.js';
+import { HtmlParser, importHtml, createObjectsFromHtml, isHtml } from '../../scripts/io/html.js';
+
+const LOGIN = `<!DOCTYPE html>
+<html>
+<head>
+    <title>Sign in</title>
+    <style>
+        /* card centered on the page */
+        .card { border: 1px solid #ccc; border-radius: 4px; padding: 10px 20px; width: 400px; margin: 0 auto }
+        .actions { display: flex; gap: 20px; align-items: center }
+        .actions .primary { flex: 1 }
+        @media (max-width: 600px) { .card { width: auto } }
+    </style>
+</head>
+<body>
+    <div class="card">
+        <label for="user">User</label> <input id="user" placeholder="Name">
+        <label><input type="checkbox" checked> Remember me</label>
+        <div class="actions">
+            <button>Cancel</button>
+            <button class="primary">Sign in</button>
+        </div>
+    </div>
+</body>
+</html>`;
+
+/**
+ * Flatten a tree of scene objects into a list
+ */
+function flatten(objects) {
+    return objects.flatMap(obj => [obj, ...flatten(obj.children || [])]);
+}
+
+function find(objects, componentType) {
+    return flatten(objects).find(obj => obj.uiComponentType === componentType);
+}
+
+// ==========================================
+// PARSER TESTS
+// ==========================================
+
+describe('HtmlParser', () => {
+    it('should build the element tree with decoded attributes and text', () => {
+        const document = new HtmlParser().parse('<!doctype html><!-- c --><p class=intro title="a &amp; b">Save &lt;now&gt;</p>');
+        const [p] = document.children;
+        assert.equal(p.name, 'p');
+        assert.deepEqual(p.attributes, { class: 'intro', title: 'a & b' });
+        assert.equal(p.children[0].text, 'Save <now>');
+    });
+
+    it('should close elements whose end tags are implied', () => {
+        const document = new HtmlParser().parse('<ul><li>One<li>Two</ul><p>A<div>B</div><input><br/>');
+        const [list, paragraph, div, input, br] = document.children;
+        assert.deepEqual(list.children.map(li => li.children[0].text), ['One', 'Two']);
+        assert.equal(paragraph.children.length, 1);
+        assert.equal(div.name, 'div');
+        assert.deepEqual([input.name, br.name], ['input', 'br']);
+    });
+
+    it('should keep script and style content as text', () => {
+        const document = new HtmlParser().parse('<style>a > b { color: red }</style><script>if (a < b) {}</script>');
+        assert.equal(document.children[0].children[0].text, 'a > b { color: red }');
+        assert.equal(document.children[1].children[0].text, 'if (a < b) {}');
+    });
+});
+
+// ==========================================
+// LAYOUT TESTS
+// ==========================================
+
+describe('importHtml', () => {
+    it('should take the title and lay out the page at the page width', () => {
+        const page = importHtml(LOGIN);
+        assert.equal(page.title, 'Sign in');
+        assert.equal(page.width, 100);
+        assert.lengthOf(page.warnings, 0);
+    });
+
+    it('should turn bordered blocks into frames centered by auto margins', () => {
+        const [card] = importHtml(LOGIN).objects;
+        assert.equal(card.type, 'frame');
+        assert.equal(card.name, 'div.card');
+        assert.deepEqual([card.x, card.width], [30, 40]);
+        assert.equal(card.showBorder, true);
+        assert.equal(card.borderStyle, 'rounded');
+        assert.deepEqual(card.padding, { top: 2, right: 3, bottom: 2, left: 3 });
+    });
+
+    it('should wrap text to the width of its block', () => {
+        const page = importHtml('<p style="width: 100px">The quick brown fox jumps</p>');
+        const [text] = page.objects;
+        assert.equal(text.text, 'The quick\nbrown fox\njumps');
+        assert.deepEqual([text.x, text.y], [0, 1]);
+        assert.equal(page.height, 5);
+    });
+
+    it('should number ordered lists and indent them', () => {
+        const page = importHtml('<ol start="3"><li>Draft</li><li>Review</li></ol><pre>  a\n    b</pre>');
+        assert.deepEqual(page.objects.map(obj => [obj.x, obj.text]), [[4, '3. Draft'], [4, '4. Review'], [0, '  a\n    b']]);
+    });
+
+    it('should apply the cascade by specificity, importance and inline style', () => {
+        const page = importHtml(`<style>
+            #box { width: 200px !important }
+            div.box { width: 300px; border: 1px solid }
+            .box { border-style: double }
+        </style><div id="box" class="box" style="width: 500px">x</div>`);
+        const [frame] = page.objects;
+        assert.equal(frame.width, 20);
+        assert.equal(frame.borderStyle, 'single');
+    });
+
+    it('should lay out floated and positioned elements in flow with a warning', () => {
+        const page = importHtml('<div style="float: left">A</div>\n<div style="position: absolute">B</div>');
+        assert.deepEqual(page.objects.map(obj => obj.y), [0, 1]);
+        assert.deepEqual(page.warnings, [
+            'Line 1: <div> is floated; laid out in flow',
+            'Line 2: <div> is positioned; laid out in flow'
+        ]);
+    });
+});
+
+// ==========================================
+// FLEX AND GRID TESTS
+// ==========================================
+
+describe('HTML flex and grid layout', () => {
+    it('should make flex containers auto-layout frames', () => {
+        const actions = flatten(importHtml(LOGIN).objects).find(obj => obj.name === 'div.actions');
+        assert.equal(actions.layoutMode, 'HORIZONTAL');
+        assert.equal(actions.itemSpacing, 2);
+        assert.equal(actions.counterAxisAlignItems, 'CENTER');
+        assert.equal(actions.layoutWrap, 'NO_WRAP');
+    });
+
+    it('should let growing flex items fill the remaining space', () => {
+        const actions = flatten(importHtml(LOGIN).objects).find(obj => obj.name === 'div.actions');
+        const [cancel, signIn] = actions.children;
+        assert.equal(cancel.uiRenderWidth, 10);
+        assert.equal(signIn.x, cancel.x + 12);
+        assert.equal(signIn.uiRenderWidth, actions.width - 12);
+        assert.deepEqual(signIn._layoutSizing, { horizontal: 'fill', vertical: 'fixed' });
+    });
+
+    it('should wrap flex items onto new lines with the row gap', () => {
+        const [frame] = importHtml(`<div style="display: flex; flex-wrap: wrap; gap: 18px 20px; width: 200px">
+            <button>Alpha</button><button>Beta</button><button>Gamma</button>
+        </div>`).objects;
+        assert.equal(frame.layoutWrap, 'WRAP');
+        assert.equal(frame.counterAxisSpacing, 1);
+        assert.deepEqual(frame.children.map(child => [child.x, child.y]), [[0, 0], [11, 0], [0, 4]]);
+    });
+
+    it('should reverse flex items and their alignment', () => {
+        const [frame] = importHtml(`<div style="display: flex; flex-direction: row-reverse">
+            <span>A</span><span>B</span>
+        </div>`, { width: 20 }).objects;
+        assert.equal(frame.primaryAxisAlignItems, 'MAX');
+        assert.equal(frame.itemReverseZIndex, true);
+        assert.deepEqual(frame.children.map(child => child.x), [19, 18]);
+    });
+
+    it('should stack column flex items across the container width', () => {
+        const [frame] = importHtml(`<div style="display: flex; flex-direction: column; gap: 18px; width: 300px; border: 1px solid">
+            <input><button>Go</button>
+        </div>`).objects;
+        assert.equal(frame.layoutMode, 'VERTICAL');
+        assert.deepEqual(frame.children.map(child => [child.y, child.uiRenderWidth]), [[1, 28], [5, 28]]);
+        assert.equal(frame.height, 9);
+    });
+
+    it('should place grid items on the tracks as a wrapping frame', () => {
+        const [grid] = importHtml(`<div style="display: grid; grid-template-columns: 100px 1fr; column-gap: 10px">
+            <label>Name</label><input>
+            <label>Email</label><input type="email">
+        </div>`, { width: 50 }).objects;
+        assert.deepEqual(grid.children.map(child => [child.x, child.y]), [[0, 0], [11, 0], [0, 3], [11, 3]]);
+        assert.equal(grid.children[1].uiRenderWidth, 39);
+        assert.equal(grid.layoutMode, 'HORIZONTAL');
+        assert.equal(grid.layoutWrap, 'WRAP');
+    });
+
+    it('should keep grids with spanning items as fixed frames', () => {
+        const [grid] = importHtml(`<div style="display: grid; grid-template-columns: repeat(3, 1fr)">
+            <div style="grid-column: 2 / span 2">Wide</div><div>Left</div>
+        </div>`, { width: 30 }).objects;
+        assert.deepEqual(grid.children.map(child => [child.x, child.y, child.width]), [[10, 0, 20], [0, 1, 10]]);
+        assert.equal(grid.layoutMode, 'NONE');
+    });
+});
+
+// ==========================================
+// CONTROL TESTS
+// ==========================================
+
+describe('HTML form controls', () => {
+    it('should turn form elements into the matching components', () => {
+        const page = importHtml(`<form>
+            <input type="password"><input type="range" min="0" max="10"><input type="number" value="3">
+            <select><option>Red</option><option selected>Green</option></select>
+            <select multiple><option>A</option></select>
+            <textarea rows="4" cols="20">Notes</textarea><progress value="0.5"></progress><hr>
+        </form>`);
+        assert.deepEqual(page.objects.map(obj => obj.uiComponentType), [
+            'PasswordBox', 'Slider', 'NumericUpDown', 'ComboBox', 'ListBox', 'TextArea', 'ProgressBar', 'Separator'
+        ]);
+        const [, slider, number, combo, , textArea] = page.objects.map(obj => obj.uiProperties);
+        assert.equal(slider.value, 5);
+        assert.equal(number.value, 3);
+        assert.deepEqual([combo.items, combo.selectedIndex], [['Red', 'Green'], 1]);
+        assert.equal(textArea.text, 'Notes');
+        assert.deepEqual([page.objects[5].uiRenderWidth, page.objects[5].uiRenderHeight], [22, 6]);
+    });
+
+    it('should use labels as check box text and keep other labels as text', () => {
+        const objects = flatten(importHtml(LOGIN).objects);
+        const check = find(objects, 'CheckBox');
+        assert.deepEqual(check.uiProperties, { content: 'Remember me', isChecked: true });
+        assert.equal(check.text, '[✓] Remember me');
+        assert.ok(objects.some(obj => obj.text === 'User'));
+        assert.ok(!objects.some(obj => obj.text === 'Remember me'));
+        assert.equal(find(objects, 'TextBox').uiProperties.watermark, 'Name');
+    });
+
+    it('should warn about values the component rejects', () => {
+        const page = importHtml('<input type="range" value="lots">');
+        assert.equal(page.objects[0].uiProperties.value, undefined);
+        assert.deepEqual(page.warnings, ['Line 1: invalid value "lots" on <input>']);
+    });
+
+    it('should read fieldsets as group boxes and tables as data grids', () => {
+        const page = importHtml(`<fieldset><legend>Team</legend>
+            <table><thead><tr><th>Name</th><th>Role</th></tr></thead>
+            <tr><td>Ada</td><td>Lead</td></tr><tr><td>Bo</td><td>Dev</td></tr></table>
+        </fieldset>`);
+        const [group, grid] = page.objects;
+        assert.equal(group.uiProperties.header, 'Team');
+        assert.deepEqual([grid.x, grid.y], [1, 1]);
+        assert.deepEqual(grid.uiProperties.columns.map(column => column.header), ['Name', 'Role']);
+        assert.deepEqual(grid.uiProperties.items, [{ col1: 'Ada', col2: 'Lead' }, { col1: 'Bo', col2: 'Dev' }]);
+    });
+});
+
+// ==========================================
+// OBJECT CREATION TESTS
+// ==========================================
+
+describe('createObjectsFromHtml', () => {
+    it('should offset objects and their children and give them ids', () => {
+        const page = importHtml(LOGIN);
+        const objects = createObjectsFromHtml(page, 2, 1);
+        const [card] = objects;
+        assert.deepEqual([card.x, card.y], [page.objects[0].x + 2, page.objects[0].y + 1]);
+        assert.equal(card.children[0].x, page.objects[0].children[0].x + 2);
+        assert.ok(flatten(objects).every(obj => typeof obj.id === 'string'));
+        assert.equal(page.objects[0].id, undefined);
+    });
+});
+
+describe('isHtml', () => {
+    it('should recognize pages and fragments only', () => {
+        assert.ok(isHtml(LOGIN));
+        assert.ok(isHtml('<div class="row"><button>OK</button></div>'));
+        assert.ok(!isHtml('<Window xmlns="https://github.com/avaloniaui"/>'));
+        assert.ok(!isHtml('flowchart TD\n  A --> B'));
+    });
+});
@@ -0,0 +1,118 @@
+/**
+ * Asciistrator - Paint Fill Unit Tests
+ *
+ * Tests for sampling gradient and pattern fills against object bounds,
+ * the painted buffer and dragging gradient handles and stops.
+ */
+
+import { describe, it, assert } from '../framework.js';
+import {
+    FillType,
+    PaintedBuffer,
+    createFill,
+    createFillPaint,
+    getGradientHandles,
+    moveGradientHandle,
+    moveGradientStop,
+    hexToPaintColor
+} from '../../scripts/tools/paint.js';
+import { AsciiBuffer } from '../../scripts/core/ascii/rasterizer.js';
+
+/**
+ * Two-stop gradient from '.' to '#', black to white
+ */
+function gradient(type, options = {}) {
+    return createFill(type, {
+        gradientStops: [
+            { position: 0, color: hexToPaintColor('#000000'), char: '.' },
+            { position: 1, color: hexToPaintColor('#ffffff'), char: '#' }
+        ],
+        ...options
+    });
+}
+
+/**
+ * Fill a rectangle through a paint and return its text
+ */
+function paint(fills, bounds, width = 12, height = 6) {
+    const buffer = new AsciiBuffer(width, height);
+    const painted = new PaintedBuffer(buffer, createFillPaint(fills, bounds));
+    for (let y = bounds.y; y < bounds.y + bounds.height; y++) {
+        for (let x = bounds.x; x < bounds.x + bounds.width; x++) {
+            painted.setChar(x, y, '*', '#ff0000');
+        }
+    }
+    return { buffer, lines: buffer.toString().split('\n') };
+}
+
+describe('createFillPaint', () => {
+    it('should leave plain solid fills to the object fill color', () => {
+        assert.equal(createFillPaint([createFill(FillType.SOLID)], { x: 0, y: 0, width: 4, height: 4 }), null);
+        assert.equal(createFillPaint([{ ...gradient(FillType.GRADIENT_LINEAR), visible: false }], { x: 0, y: 0, width: 4, height: 4 }), null);
+    });
+
+    it('should spread a linear gradient across the bounds', () => {
+        const { buffer, lines } = paint([gradient(FillType.GRADIENT_LINEAR)], { x: 1, y: 1, width: 10, height: 2 });
+        assert.equal(lines[1], ' .....##### ');
+        assert.equal(buffer.getColor(1, 1), '#000000');
+        assert.equal(buffer.getColor(10, 1), '#ffffff');
+    });
+
+    it('should follow the bounds when the shape moves or resizes', () => {
+        const fills = [gradient(FillType.GRADIENT_LINEAR)];
+        assert.equal(paint(fills, { x: 0, y: 0, width: 4, height: 1 }).lines[0].trimEnd(), '..##');
+        assert.equal(paint(fills, { x: 6, y: 0, width: 6, height: 1 }).lines[0], '      ...###');
+    });
+
+    it('should fit radial gradients to the handles', () => {
+        const { lines } = paint([gradient(FillType.GRADIENT_RADIAL)], { x: 0, y: 0, width: 11, height: 5 });
+        assert.equal(lines[2][5], '.', 'The centre should be the first stop');
+        assert.equal(lines[2][0], '#', 'The ends of the main axis should be the last stop');
+        assert.equal(lines[0][5], '#', 'The ends of the cross axis should be the last stop');
+    });
+
+    it('should anchor patterns to the bounds and keep their holes', () => {
+        const pattern = createFill(FillType.PATTERN, { pattern: ['x ', '  '] });
+        const { lines } = paint([pattern], { x: 3, y: 1, width: 4, height: 2 });
+        assert.equal(lines[1].trimEnd(), '   x x');
+        assert.equal(lines[2].trim(), '');
+    });
+
+    it('should show lower fills through pattern holes', () => {
+        const fills = [
+            createFill(FillType.SOLID, { color: hexToPaintColor('#00ff00') }),
+            createFill(FillType.PATTERN, { pattern: ['x '], color: hexToPaintColor('#0000ff') })
+        ];
+        const { buffer, lines } = paint(fills, { x: 0, y: 0, width: 4, height: 1 });
+        assert.equal(lines[0].slice(0, 4), 'x*x*');
+        assert.equal(buffer.getColor(0, 0), '#0000ff');
+        assert.equal(buffer.getColor(1, 0), '#00ff00');
+    });
+});
+
+describe('Gradient handles', () => {
+    const bounds = { x: 2, y: 2, width: 11, height: 5 };
+
+    it('should place handles and stops on the canvas', () => {
+        const fill = gradient(FillType.GRADIENT_LINEAR);
+        const { handles, stops } = getGradientHandles(fill, bounds);
+        assert.lengthOf(handles, 2);
+        assert.deepEqual(handles, [{ x: 2, y: 4 }, { x: 12, y: 4 }]);
+        assert.deepEqual(stops.map(stop => stop.x), [2, 12]);
+        assert.lengthOf(getGradientHandles(gradient(FillType.GRADIENT_RADIAL), bounds).handles, 3);
+    });
+
+    it('should store dragged handles relative to the bounds', () => {
+        const fill = gradient(FillType.GRADIENT_LINEAR);
+        moveGradientHandle(fill, bounds, 1, { x: 7, y: 6 });
+        assert.deepEqual(fill.gradientHandlePositions[1], { x: 0.5, y: 1 });
+    });
+
+    it('should slide dragged stops along the gradient line', () => {
+        const fill = gradient(FillType.GRADIENT_LINEAR);
+        moveGradientStop(fill, bounds, 1, { x: 7, y: 0 });
+        assert.equal(fill.gradientStops[1].position, 0.5);
+        moveGradientStop(fill, bounds, 1, { x: 40, y: 4 });
+        assert.equal(fill.gradientStops[1].position, 1);
+    });
+});
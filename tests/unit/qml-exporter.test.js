@@ -0,0 +1,215 @@
+/**
+ * Asciistrator - QML Exporter Unit Tests
+ *
+ * Tests for exporting UI component mockups as a Qt Quick QML item.
+ */
+
+import { describe, it, assert } from '../framework.js';
+import { ControlRegistry } from '../../scripts/components/controls/index.js';
+import { QmlExporter, qmlString, qmlColor } from '../../scripts/io/exporters/QmlExporter.js';
+import { QmlLayoutTransformer } from '../../scripts/io/exporters/layout/QmlLayoutTransformer.js';
+import { component, text, exportObjects as exportWith, assertInOrder, assertBalanced } from '../exporter-helpers.js';
+
+const exportObjects = (objects, options = {}) => exportWith(QmlExporter, objects, options);
+
+// ==========================================
+// DOCUMENT TESTS
+// ==========================================
+
+describe('QmlExporter', () => {
+    it('should write a root item with the imports it uses', () => {
+        const content = exportObjects([component('Button', 0, 0, 10, 3, { content: 'OK' })], {
+            className: 'login-view'
+        });
+        assertInOrder(content, ['// LoginView.qml', 'import QtQuick', 'import QtQuick.Controls',
+            'Item {', 'id: root', 'width: 480', 'height: 480', 'Button {']);
+        assert.ok(!content.includes('import QtQuick.Layouts'));
+    });
+
+    it('should place root items with x and y', () => {
+        const content = exportObjects([component('Button', 2, 1, 10, 3, { content: 'OK' })]);
+        assertInOrder(content, ['Button {', 'x: 16', 'y: 16', 'width: 80', 'height: 48', 'text: qsTr("OK")']);
+    });
+
+    it('should leave text untranslated on request', () => {
+        const content = exportObjects([component('Button', 0, 0, 10, 3, { content: 'OK' })], {
+            translatable: false
+        });
+        assert.ok(content.includes('text: "OK"'));
+        assert.ok(!content.includes('qsTr'));
+    });
+
+    it('should use the window title and content for a window mockup', () => {
+        const content = exportObjects([
+            component('Window', 0, 0, 40, 20, { title: 'Settings' }),
+            component('CheckBox', 2, 4, 20, 1, { content: 'Dark mode' })
+        ]);
+        assertInOrder(content, ['Page {', 'header: ToolBar {', 'text: qsTr("Settings")',
+            'CheckBox {', 'text: qsTr("Dark mode")']);
+        assertBalanced(content);
+    });
+});
+
+// ==========================================
+// COMPONENT TESTS
+// ==========================================
+
+describe('QmlExporter components', () => {
+    it('should map text inputs to TextField and TextArea', () => {
+        const content = exportObjects([
+            component('TextBox', 0, 0, 20, 3, { watermark: 'Email' }),
+            component('PasswordBox', 0, 4, 20, 3),
+            component('TextArea', 0, 8, 20, 5, { text: 'Notes' })
+        ]);
+        assertInOrder(content, ['TextField {', 'placeholderText: qsTr("Email")',
+            'TextField {', 'echoMode: TextInput.Password', 'TextArea {']);
+    });
+
+    it('should map selections to ComboBox and ListView', () => {
+        const content = exportObjects([
+            component('ComboBox', 0, 0, 20, 3, { items: ['Red', 'Green'], selectedIndex: 1 }),
+            component('ListBox', 0, 4, 20, 6, { items: ['One', 'Two'] })
+        ]);
+        assertInOrder(content, ['ComboBox {', 'qsTr("Red")', 'qsTr("Green")', 'currentIndex:',
+            'ListView {', 'qsTr("One")', 'delegate: ItemDelegate {']);
+    });
+
+    it('should write tab pages into a StackLayout following the TabBar', () => {
+        const content = exportObjects([
+            component('TabControl', 0, 0, 30, 12, { tabs: [{ header: 'General' }, { header: 'Advanced' }] }),
+            component('Label', 2, 4, 10, 1, { content: 'Inside' })
+        ]);
+        assertInOrder(content, ['TabBar {', 'id: tabControlBar', 'TabButton { text: qsTr("General") }',
+            'TabButton { text: qsTr("Advanced") }', 'StackLayout {', 'currentIndex: tabControlBar.currentIndex',
+            'text: qsTr("Inside")']);
+    });
+
+    it('should bind {Binding} properties to root properties', () => {
+        const content = exportObjects([
+            component('TextBox', 0, 0, 20, 3, { text: '{Binding UserName}' }),
+            component('Label', 0, 4, 20, 1, { content: '{Binding UserName}' })
+        ]);
+        assertInOrder(content, ['property string userName: ""', 'text: root.userName', 'text: root.userName']);
+        assert.equal(content.split('property string userName').length, 2);
+    });
+
+    it('should mark components without a QML mapping', () => {
+        const content = exportObjects([component('Rating', 0, 0, 10, 1)]);
+        assertInOrder(content, ['// Rating has no QML mapping', 'Rectangle {', 'color: "transparent"']);
+    });
+
+    it('should apply tooltips and disabled state', () => {
+        const content = exportObjects([
+            component('Button', 0, 0, 10, 3, { content: 'Save', isEnabled: false, toolTip: 'Save changes' })
+        ]);
+        assertInOrder(content, ['Button {', 'enabled: false', 'ToolTip.text: qsTr("Save changes")',
+            'ToolTip.visible: hovered']);
+    });
+});
+
+// ==========================================
+// LAYOUT TESTS
+// ==========================================
+
+describe('QmlExporter layouts', () => {
+    it('should lay out StackPanel children in a ColumnLayout', () => {
+        const content = exportObjects([
+            component('StackPanel', 0, 0, 30, 10, { spacing: 1 }),
+            component('Button', 1, 5, 10, 3, { content: 'Second' }),
+            component('Button', 1, 1, 10, 3, { content: 'First' })
+        ]);
+        assertInOrder(content, ['import QtQuick.Layouts', 'ColumnLayout {', 'spacing: 16',
+            'qsTr("First")', 'qsTr("Second")', 'Item { Layout.fillHeight: true }']);
+    });
+
+    it('should place Grid children in their cells', () => {
+        const content = exportObjects([
+            component('Grid', 0, 0, 20, 10, { columnDefinitions: '*,*', rowDefinitions: '*,*' }),
+            component('Button', 11, 6, 8, 3, { content: 'Cell' })
+        ]);
+        assertInOrder(content, ['GridLayout {', 'rows: 2', 'columns: 2', 'Button {',
+            'Layout.row: 1', 'Layout.column: 1', 'Layout.fillWidth: true']);
+    });
+
+    it('should turn auto-layout frames into RowLayouts with fillers', () => {
+        const content = exportObjects([{
+            type: 'frame', x: 0, y: 0, width: 30, height: 3,
+            layoutMode: 'HORIZONTAL', primaryAxisAlignItems: 'SPACE_BETWEEN', counterAxisAlignItems: 'CENTER',
+            children: [text(1, 1, 'Back'), text(25, 1, 'Next')]
+        }]);
+        assertInOrder(content, ['RowLayout {', '"Back"', 'Item { Layout.fillWidth: true }', '"Next"']);
+        assertBalanced(content);
+    });
+});
+
+// ==========================================
+// CONFORMANCE TESTS
+// ==========================================
+
+describe('QmlExporter conformance', () => {
+    for (const type of Object.keys(ControlRegistry)) {
+        it(`should export ${type}`, () => {
+            const content = exportObjects([component(type, 1, 1, 20, 6)]);
+            assertBalanced(content);
+            assert.ok(content.includes('Item {'));
+            // Unmapped controls are marked rather than dropped
+            if (content.includes('has no QML mapping')) {
+                assert.ok(content.includes(`// ${type} has no QML mapping`));
+            }
+        });
+    }
+});
+
+// ==========================================
+// LAYOUT TRANSFORMER TESTS
+// ==========================================
+
+describe('QmlLayoutTransformer', () => {
+    const transformer = new QmlLayoutTransformer();
+    const props = overrides => ({
+        ...transformer.extractLayoutProperties(overrides),
+        width: overrides.width || 0,
+        height: overrides.height || 0
+    });
+
+    it('should choose the layout type for each layout mode', () => {
+        assert.equal(transformer.transformContainerLayout(props({ layoutMode: 'VERTICAL' })).type, 'ColumnLayout');
+        assert.equal(transformer.transformContainerLayout(props({ layoutMode: 'HORIZONTAL' })).type, 'RowLayout');
+        assert.equal(transformer.transformContainerLayout(props({ layoutMode: 'HORIZONTAL', layoutWrap: 'WRAP' })).type, 'Flow');
+        assert.equal(transformer.transformContainerLayout(props({})).type, 'Item');
+    });
+
+    it('should convert padding to anchor margins', () => {
+        assert.deepEqual(transformer.transformPadding({ top: 1, right: 1, bottom: 1, left: 1 }),
+            { 'anchors.topMargin': 16, 'anchors.bottomMargin': 16, 'anchors.leftMargin': 8, 'anchors.rightMargin': 8 });
+        assert.deepEqual(transformer.transformPadding(null), {});
+    });
+
+    it('should anchor children to the far edge for MAX constraints', () => {
+        const result = transformer.transformConstraints(
+            { horizontal: 'MAX', vertical: 'MIN' },
+            { x: 0, y: 0, width: 20, height: 10 },
+            { x: 10, y: 2, width: 8, height: 3 }
+        );
+        assert.equal(result['anchors.right'], 'parent.right');
+        assert.equal(result['anchors.rightMargin'], 16);
+        assert.equal(result.y, 32);
+        assert.equal(result.width, 64);
+    });
+});
+
+// ==========================================
+// LITERAL TESTS
+// ==========================================
+
+describe('QML literals', () => {
+    it('should escape strings', () => {
+        assert.equal(qmlString('Say "hi"\\\n'), '"Say \\"hi\\"\\\\\\n"');
+    });
+
+    it('should quote colors', () => {
+        assert.equal(qmlColor('#f00'), '"#f00"');
+        assert.equal(qmlColor('red'), '"red"');
+        assert.equal(qmlColor('rgb(1, 2, 3)'), null);
+    });
+});
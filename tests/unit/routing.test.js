@@ -0,0 +1,121 @@
+/**
+ * Asciistrator - Connector Routing Unit Tests
+ *
+ * Tests for obstacle-avoiding orthogonal connector routes.
+ */
+
+import { describe, it, assert } from '../framework.js';
+import { OrthogonalRouter } from '../../scripts/core/routing.js';
+
+/**
+ * Every cell a path passes through, in order
+ */
+function cellsOf(points) {
+    const cells = [points[0]];
+    for (let i = 0; i < points.length - 1; i++) {
+        const a = points[i];
+        const b = points[i + 1];
+        const steps = Math.abs(b.x - a.x) + Math.abs(b.y - a.y);
+        for (let k = 1; k <= steps; k++) {
+            cells.push({ x: a.x + Math.sign(b.x - a.x) * k, y: a.y + Math.sign(b.y - a.y) * k });
+        }
+    }
+    return cells;
+}
+
+const inside = (p, r) => p.x >= r.x && p.x < r.x + r.width && p.y >= r.y && p.y < r.y + r.height;
+
+describe('OrthogonalRouter', () => {
+    it('should route a straight line when nothing is in the way', () => {
+        const router = new OrthogonalRouter();
+        router.setObstacles([
+            { x: 0, y: 0, width: 10, height: 3 },
+            { x: 20, y: 0, width: 10, height: 3 }
+        ]);
+
+        const path = router.route({ x: 9, y: 1 }, { x: 20, y: 1 }, { startSide: 'right', endSide: 'left' });
+        assert.deepEqual(path, [{ x: 9, y: 1 }, { x: 20, y: 1 }]);
+    });
+
+    it('should only use horizontal and vertical segments', () => {
+        const router = new OrthogonalRouter();
+        const path = router.route({ x: 0, y: 0 }, { x: 12, y: 7 });
+
+        assert.ok(path.length >= 3);
+        for (let i = 0; i < path.length - 1; i++) {
+            assert.ok(path[i].x === path[i + 1].x || path[i].y === path[i + 1].y);
+        }
+    });
+
+    it('should go around shapes in the way', () => {
+        const blocker = { x: -3, y: 7, width: 16, height: 3 };
+        const router = new OrthogonalRouter();
+        router.setObstacles([
+            { x: 0, y: 0, width: 10, height: 3 },
+            { x: 0, y: 14, width: 10, height: 3 },
+            blocker
+        ]);
+
+        const path = router.route({ x: 5, y: 2 }, { x: 5, y: 14 }, { startSide: 'bottom', endSide: 'top' });
+        assert.ok(path !== null);
+        assert.ok(cellsOf(path).every(cell => !inside(cell, blocker)));
+    });
+
+    it('should leave and enter shapes perpendicular to their sides', () => {
+        const router = new OrthogonalRouter();
+        router.setObstacles([
+            { x: 0, y: 0, width: 10, height: 3 },
+            { x: 20, y: 0, width: 10, height: 3 }
+        ]);
+
+        const path = router.route({ x: 5, y: 2 }, { x: 25, y: 2 }, { startSide: 'bottom', endSide: 'bottom' });
+        assert.deepEqual(path, [{ x: 5, y: 2 }, { x: 5, y: 4 }, { x: 25, y: 4 }, { x: 25, y: 2 }]);
+    });
+
+    it('should prefer routes with fewer bends', () => {
+        const router = new OrthogonalRouter();
+        const path = router.route({ x: 0, y: 0 }, { x: 10, y: 6 }, { startSide: 'right', endSide: 'top' });
+
+        assert.deepEqual(path, [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 6 }]);
+    });
+
+    it('should spread parallel connectors into separate lanes', () => {
+        const router = new OrthogonalRouter();
+        router.setObstacles([
+            { x: 0, y: 0, width: 6, height: 3 },
+            { x: 30, y: 0, width: 6, height: 3 }
+        ]);
+
+        const first = router.route({ x: 2, y: 2 }, { x: 32, y: 2 }, { startSide: 'bottom', endSide: 'bottom' });
+        router.addPath(first);
+        const second = router.route({ x: 3, y: 2 }, { x: 33, y: 2 }, { startSide: 'bottom', endSide: 'bottom' });
+
+        assert.equal(first[1].y, 4);
+        assert.ok(second[1].y !== first[1].y);
+    });
+
+    it('should stay inside the bounds', () => {
+        const router = new OrthogonalRouter();
+        router.setBounds({ x: 0, y: 0, width: 40, height: 20 });
+        router.setObstacles([
+            { x: 0, y: 5, width: 30, height: 3 }
+        ]);
+
+        const path = router.route({ x: 2, y: 1 }, { x: 2, y: 12 });
+        assert.ok(path !== null);
+        assert.ok(cellsOf(path).every(cell => cell.x >= 0 && cell.y >= 0 && cell.x < 40 && cell.y < 20));
+    });
+
+    it('should return null when the end is walled in', () => {
+        const router = new OrthogonalRouter();
+        router.setBounds({ x: 0, y: 0, width: 30, height: 30 });
+        router.setObstacles([
+            { x: 10, y: 10, width: 10, height: 1 },
+            { x: 10, y: 19, width: 10, height: 1 },
+            { x: 10, y: 10, width: 1, height: 10 },
+            { x: 19, y: 10, width: 1, height: 10 }
+        ]);
+
+        assert.isNull(router.route({ x: 2, y: 2 }, { x: 15, y: 15 }));
+    });
+});
@@ -0,0 +1,163 @@
+/**
+ * Asciistrator - Sequence Diagram Unit Tests
+ *
+ * Tests for the sequence diagram parser, the automatic layout and the
+ * box-drawing renderer.
+ */
+
+import { describe, it, assert } from '../framework.js';
+import {
+    SequenceMessageType,
+    SequenceFragmentType,
+    isSequenceDiagram,
+    parseSequenceDiagram,
+    layoutSequenceDiagram,
+    renderSequenceDiagram
+} from '../../scripts/io/sequenceDiagram.js';
+import { AsciiBuffer } from '../../scripts/core/ascii/rasterizer.js';
+
+const MERMAID = [
+    'sequenceDiagram',
+    '    %% checkout',
+    '    actor U as User',
+    '    participant API',
+    '    U->>+API: GET /orders',
+    '    alt cached',
+    '        API-->>U: 200 (cache)',
+    '    else',
+    '        API->>DB: SELECT',
+    '        DB-->>API: rows',
+    '    end',
+    '    note right of DB: read replica',
+    '    API-->>-U: 200'
+].join('\n');
+
+const PLANTUML = [
+    '@startuml',
+    'title Login',
+    'participant "Web App" as W',
+    'W ->> Queue : publish',
+    'loop every minute',
+    '    Queue -> Queue : retry',
+    'end',
+    'note over W, Queue',
+    '  first line',
+    '  second line',
+    'end note',
+    '@enduml'
+].join('\n');
+
+/**
+ * Message of the error parsing a source throws
+ */
+function errorOf(source) {
+    try {
+        parseSequenceDiagram(source);
+    } catch (error) {
+        return error.message;
+    }
+    return '';
+}
+
+/**
+ * Render a diagram to text lines
+ */
+function draw(source) {
+    const layout = layoutSequenceDiagram(parseSequenceDiagram(source));
+    const buffer = new AsciiBuffer(layout.width, layout.height);
+    renderSequenceDiagram(layout, buffer);
+    return { layout, lines: buffer.toString().split('\n') };
+}
+
+// ==========================================
+// PARSER TESTS
+// ==========================================
+
+describe('parseSequenceDiagram', () => {
+    it('should detect Mermaid and PlantUML sources', () => {
+        assert.ok(isSequenceDiagram(MERMAID));
+        assert.ok(isSequenceDiagram(PLANTUML));
+        assert.ok(!isSequenceDiagram('flowchart TD\n    A --> B'));
+    });
+
+    it('should read participants in order of appearance', () => {
+        const diagram = parseSequenceDiagram(MERMAID);
+        assert.deepEqual(diagram.participants.map(p => p.id), ['U', 'API', 'DB']);
+        assert.equal(diagram.participants[0].label, 'User');
+        assert.equal(diagram.participants[0].kind, 'actor');
+    });
+
+    it('should read message types and activation markers', () => {
+        const [call] = parseSequenceDiagram(MERMAID).items;
+        assert.equal(call.type, SequenceMessageType.SYNC);
+        assert.ok(call.activate);
+
+        const last = parseSequenceDiagram(MERMAID).items.at(-1);
+        assert.equal(last.type, SequenceMessageType.RETURN);
+        assert.ok(last.deactivate);
+    });
+
+    it('should nest fragment sections', () => {
+        const fragment = parseSequenceDiagram(MERMAID).items[1];
+        assert.equal(fragment.type, SequenceFragmentType.ALT);
+        assert.lengthOf(fragment.sections, 2);
+        assert.equal(fragment.sections[0].label, 'cached');
+        assert.lengthOf(fragment.sections[1].items, 2);
+    });
+
+    it('should read PlantUML names, async arrows and multi-line notes', () => {
+        const diagram = parseSequenceDiagram(PLANTUML);
+        assert.equal(diagram.title, 'Login');
+        assert.equal(diagram.participants[0].label, 'Web App');
+        assert.equal(diagram.items[0].type, SequenceMessageType.ASYNC);
+        assert.equal(diagram.items[2].text, 'first line\nsecond line');
+        assert.deepEqual(diagram.items[2].participants, ['W', 'Queue']);
+    });
+
+    it('should report the line of a bad statement', () => {
+        assert.includes(errorOf('sequenceDiagram\n    A ~> B'), 'line 2');
+        assert.includes(errorOf('sequenceDiagram\n    loop\n    A->>B: x'), '"loop" without "end"');
+        assert.includes(errorOf('sequenceDiagram\n    end'), 'without a fragment');
+    });
+});
+
+// ==========================================
+// LAYOUT AND RENDERING TESTS
+// ==========================================
+
+describe('layoutSequenceDiagram', () => {
+    it('should space lifelines so message labels fit', () => {
+        const { layout } = draw('sequenceDiagram\n    A->>B: a rather long message label');
+        const [a, b] = layout.participants;
+        assert.ok(b.center - a.center > 'a rather long message label'.length);
+    });
+
+    it('should grow fragments around their content', () => {
+        const { layout } = draw(MERMAID);
+        const [fragment] = layout.fragments;
+        const db = layout.participants[2];
+        assert.ok(fragment.x + fragment.width > db.center, 'Fragment should enclose the DB lifeline');
+        assert.lengthOf(fragment.sections, 2);
+    });
+
+    it('should draw lifelines, activations and arrows with box drawing', () => {
+        const { lines } = draw(MERMAID);
+        const text = lines.join('\n');
+
+        assert.ok(lines[0].startsWith('╭'), 'Actors should have a rounded box');
+        assert.ok(text.includes('┆'), 'Lifelines should be dashed');
+        assert.ok(text.includes('┃'), 'Activations should be drawn');
+        assert.ok(text.includes('─▶'), 'Calls should have a filled head');
+        assert.ok(text.includes('<┄'), 'Returns should be dotted');
+        assert.ok(text.includes('alt [cached]'));
+        assert.ok(text.includes('read replica'));
+    });
+
+    it('should draw self messages as a loop', () => {
+        const { layout, lines } = draw(PLANTUML);
+        const retry = layout.messages.find(message => message.self);
+        assert.includes(lines[retry.arrowY], '┆──┐');
+        assert.includes(lines[retry.arrowY + 1], '┆◀─┘');
+        assert.ok(lines.join('\n').includes('loop [every minute]'));
+    });
+});
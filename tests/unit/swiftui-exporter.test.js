@@ -0,0 +1,225 @@
+/**
+ * Asciistrator - SwiftUI Exporter Unit Tests
+ *
+ * Tests for exporting UI component mockups as a SwiftUI view.
+ */
+
+import { describe, it, assert } from '../framework.js';
+import { SwiftUIExporter, swiftString, swiftColor } from '../../scripts/io/exporters/SwiftUIExporter.js';
+import { SwiftUILayoutTransformer, swiftAlignment } from '../../scripts/io/exporters/layout/SwiftUILayoutTransformer.js';
+import { component, text, exportObjects as exportWith, assertInOrder } from '../exporter-helpers.js';
+
+const exportObjects = (objects, options = {}) => exportWith(SwiftUIExporter, objects, options);
+
+// ==========================================
+// DOCUMENT TESTS
+// ==========================================
+
+describe('SwiftUIExporter', () => {
+    it('should write a View struct named after the class name option', () => {
+        const content = exportObjects([component('Button', 0, 0, 10, 3, { content: 'OK' })], {
+            className: 'login-view'
+        });
+        assertInOrder(content, ['import SwiftUI', 'struct LoginView: View {', 'var body: some View {',
+            '#Preview {', 'LoginView()']);
+    });
+
+    it('should leave out the preview on request', () => {
+        const content = exportObjects([], { includePreview: false });
+        assert.ok(!content.includes('#Preview'));
+    });
+
+    it('should place root views in a top-leading ZStack', () => {
+        const content = exportObjects([component('Button', 2, 1, 10, 3, { content: 'OK' })]);
+        assertInOrder(content, ['ZStack(alignment: .topLeading) {', 'Button("OK") {}', '.buttonStyle(.bordered)',
+            '.frame(width: 80, height: 48)', '.padding(EdgeInsets(top: 16, leading: 16, bottom: 0, trailing: 0))',
+            '.frame(width: 480, height: 480, alignment: .topLeading)']);
+    });
+
+    it('should be registered for the .swift extension', () => {
+        const exporter = new SwiftUIExporter();
+        assert.equal(exporter.id, 'swiftui');
+        assert.equal(exporter.fileExtension, '.swift');
+    });
+});
+
+// ==========================================
+// COMPONENT TESTS
+// ==========================================
+
+describe('SwiftUIExporter components', () => {
+    it('should nest components drawn inside a StackPanel in a VStack', () => {
+        const content = exportObjects([
+            component('StackPanel', 1, 1, 30, 20, { spacing: 1 }),
+            component('TextBox', 2, 2, 20, 3, { watermark: 'Name' }),
+            component('PasswordBox', 2, 6, 20, 3),
+            component('Button', 2, 10, 10, 3, { content: 'Log in' })
+        ]);
+        assertInOrder(content, ['VStack(alignment: .leading, spacing: 16) {',
+            'TextField("Name", text: $textBoxText)', 'SecureField("Password", text: $passwordBoxPassword)',
+            'Button("Log in") {}', '.frame(width: 240, height: 320, alignment: .topLeading)']);
+    });
+
+    it('should map toggles, sliders, pickers and tab controls to native views', () => {
+        const content = exportObjects([
+            component('ToggleSwitch', 0, 0, 20, 1, { content: 'Wi-Fi', isChecked: true }),
+            component('Slider', 0, 2, 20, 1, { value: 30 }),
+            component('ComboBox', 0, 4, 20, 3, { items: ['Red', 'Green'], selectedIndex: 1 }),
+            component('TabControl', 25, 0, 30, 12, { tabs: [{ header: 'One' }, { header: 'Two' }] })
+        ]);
+        assertInOrder(content, ['Toggle("Wi-Fi", isOn: $toggleSwitchIsOn)', '.toggleStyle(.switch)']);
+        assert.includes(content, 'Slider(value: $sliderValue, in: 0...100)');
+        assertInOrder(content, ['Picker("Select...", selection: $comboBoxSelection) {',
+            'Text("Red")', '.tag(0)', 'Text("Green")', '.tag(1)']);
+        assertInOrder(content, ['TabView(selection: $tabControlSelection) {',
+            '.tabItem { Text("One") }', '.tag(0)', '.tabItem { Text("Two") }', '.tag(1)']);
+    });
+
+    it('should place Grid children into GridRow cells', () => {
+        const content = exportObjects([
+            component('Grid', 0, 0, 20, 10, { columnDefinitions: '*,*', rowDefinitions: '*,*' }),
+            component('Label', 12, 6, 4, 1, { content: 'B' })
+        ]);
+        assertInOrder(content, ['Grid(alignment: .topLeading, horizontalSpacing: 0, verticalSpacing: 0) {',
+            'GridRow {', 'Color.clear', 'Color.clear', 'GridRow {', 'Color.clear', 'Text("B")']);
+        assert.ok(!content.includes('Color.clear()'));
+    });
+
+    it('should mark components without a mapping', () => {
+        const content = exportObjects([
+            component('StackPanel', 0, 0, 30, 10),
+            component('Rating', 1, 1, 10, 1),
+            component('Button', 1, 5, 10, 3, { content: 'OK' })
+        ]);
+        assertInOrder(content, ['// Rating has no SwiftUI mapping', 'Rectangle()', 'dash: [4]']);
+    });
+});
+
+// ==========================================
+// STATE TESTS
+// ==========================================
+
+describe('SwiftUIExporter state', () => {
+    it('should declare @State properties with the control values', () => {
+        const content = exportObjects([
+            component('CheckBox', 0, 0, 20, 1, { content: 'Remember me', isChecked: true }),
+            component('CheckBox', 0, 2, 20, 1, { content: 'Newsletter' }),
+            component('Slider', 0, 4, 20, 1, { value: 30 })
+        ]);
+        assertInOrder(content, [
+            '@State private var checkBoxIsOn: Bool = true',
+            '@State private var checkBoxIsOn2: Bool = false',
+            '@State private var sliderValue: Double = 30',
+            'var body: some View {'
+        ]);
+    });
+
+    it('should name state after the component name', () => {
+        const textBox = component('TextBox', 0, 0, 20, 3);
+        textBox.name = 'User name';
+        const content = exportObjects([textBox]);
+        assert.includes(content, '@State private var userNameText: String = ""');
+        assert.includes(content, 'text: $userNameText');
+    });
+
+    it('should share one property between controls bound to the same path', () => {
+        const content = exportObjects([
+            component('TextBox', 0, 0, 20, 3, { text: '{Binding Email}' }),
+            component('Label', 0, 4, 20, 1, { content: '{Binding Email}' })
+        ]);
+        assert.lengthOf(content.match(/@State private var email: String = ""/g), 1);
+        assert.includes(content, 'TextField("", text: $email)');
+        assert.includes(content, 'Text(email)');
+    });
+});
+
+// ==========================================
+// AUTO-LAYOUT TESTS
+// ==========================================
+
+describe('SwiftUIExporter auto-layout', () => {
+    it('should turn frame auto-layout into a stack with alignment, spacing and padding', () => {
+        const content = exportObjects([{
+            type: 'frame', x: 0, y: 0, width: 30, height: 6,
+            layoutMode: 'HORIZONTAL', itemSpacing: 2,
+            primaryAxisAlignItems: 'CENTER', counterAxisAlignItems: 'MAX',
+            padding: { top: 1, right: 1, bottom: 1, left: 1 },
+            children: [text(1, 1, 'Hi'), text(9, 1, 'There')]
+        }]);
+        assertInOrder(content, ['HStack(alignment: .bottom, spacing: 16) {', 'Text("Hi")', 'Text("There")',
+            '.padding(.horizontal, 8)', '.padding(.vertical, 16)', '.frame(width: 240, height: 96, alignment: .bottom)']);
+    });
+
+    it('should distribute space-between children with spacers', () => {
+        const content = exportObjects([{
+            type: 'frame', x: 0, y: 0, width: 30, height: 3,
+            layoutMode: 'HORIZONTAL', primaryAxisAlignItems: 'SPACE_BETWEEN',
+            children: [text(0, 0, 'Back'), text(26, 0, 'Next')]
+        }]);
+        assertInOrder(content, ['HStack(alignment: .top, spacing: 0) {', 'Text("Back")',
+            'Spacer(minLength: 0)', 'Text("Next")']);
+    });
+});
+
+// ==========================================
+// LAYOUT TRANSFORMER TESTS
+// ==========================================
+
+describe('SwiftUILayoutTransformer', () => {
+    const transformer = new SwiftUILayoutTransformer();
+
+    it('should combine axis alignments', () => {
+        assert.equal(swiftAlignment('leading', 'top'), '.topLeading');
+        assert.equal(swiftAlignment('center', 'bottom'), '.bottom');
+        assert.equal(swiftAlignment('center', 'center'), '.center');
+    });
+
+    it('should map vertical layouts to VStack alignment', () => {
+        const props = transformer.extractLayoutProperties({
+            layoutMode: 'VERTICAL', primaryAxisAlignItems: 'MAX', counterAxisAlignItems: 'CENTER', itemSpacing: 1
+        });
+        const layout = transformer.transformContainerLayout(props);
+        assert.equal(layout.view, 'VStack');
+        assert.equal(layout.args.alignment, '.center');
+        assert.equal(layout.args.spacing, 16);
+        assert.equal(layout.alignment, '.bottom');
+    });
+
+    it('should use adaptive grid items for wrapping layouts', () => {
+        const props = transformer.extractLayoutProperties({ layoutMode: 'HORIZONTAL', layoutWrap: 'WRAP', itemSpacing: 1 });
+        const layout = transformer.transformContainerLayout(props, { minItemSize: 6 });
+        assert.equal(layout.view, 'LazyVGrid');
+        assert.equal(layout.args.columns, '[GridItem(.adaptive(minimum: 48), spacing: 8)]');
+    });
+
+    it('should collapse padding to the shortest form', () => {
+        assert.deepEqual(transformer.transformPadding({ top: 1, right: 2, bottom: 1, left: 2 }), ['16']);
+        assert.deepEqual(transformer.transformPadding({ top: 0, right: 0, bottom: 0, left: 3 }), ['.leading, 24']);
+        assert.deepEqual(transformer.transformPadding({ top: 0, right: 0, bottom: 0, left: 0 }), []);
+    });
+
+    it('should anchor children constrained to the far edge', () => {
+        const placement = transformer.transformConstraints(
+            { horizontal: 'MAX', vertical: 'MIN' },
+            { x: 0, y: 0, width: 30, height: 10 },
+            { x: 20, y: 2, width: 10, height: 3 }
+        );
+        assert.deepEqual(placement.padding, ['.top, 32']);
+        assert.equal(placement.anchor.alignment, '.topTrailing');
+    });
+});
+
+// ==========================================
+// SWIFT LITERAL TESTS
+// ==========================================
+
+describe('Swift literals', () => {
+    it('should escape quotes, backslashes and newlines', () => {
+        assert.equal(swiftString('Say "hi"\\\n'), '"Say \\"hi\\"\\\\\\n"');
+    });
+
+    it('should convert hex colors', () => {
+        assert.equal(swiftColor('#f00'), 'Color(red: 1, green: 0, blue: 0)');
+        assert.equal(swiftColor('red'), null);
+    });
+});
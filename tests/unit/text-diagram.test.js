@@ -0,0 +1,149 @@
+/**
+ * Asciistrator - Text Diagram Recognition Unit Tests
+ *
+ * Tests for finding boxes, connectors and labels in plain-text diagrams.
+ */
+
+import { describe, it, assert } from '../framework.js';
+import { TextDiagramRecognizer, createObjectsFromDiagram } from '../../scripts/io/textDiagram.js';
+
+const ASCII_DIAGRAM = [
+    '+--------+      +--------+',
+    '| Client |----->| Server |',
+    '+--------+      +---+----+',
+    '                    |',
+    '                    v',
+    '               +---------+',
+    '               |   DB    |',
+    '               +---------+'
+].join('\n');
+
+const UNICODE_DIAGRAM = [
+    '╔══════╗   ┌──────┐',
+    '║ Main ║◀──┤ Job  │',
+    '╚══════╝   └──┬───┘',
+    '              │',
+    '              └────▶ queue'
+].join('\n');
+
+// ==========================================
+// BOX TESTS
+// ==========================================
+
+describe('TextDiagramRecognizer boxes', () => {
+    it('should find +--+ boxes', () => {
+        const { boxes } = new TextDiagramRecognizer().recognize(ASCII_DIAGRAM);
+
+        assert.lengthOf(boxes, 3);
+        assert.deepEqual(boxes[0], { x: 0, y: 0, width: 10, height: 3, style: 'ascii' });
+        assert.deepEqual(boxes[2], { x: 15, y: 5, width: 11, height: 3, style: 'ascii' });
+    });
+
+    it('should find box-drawing boxes with their style', () => {
+        const { boxes } = new TextDiagramRecognizer().recognize(UNICODE_DIAGRAM);
+
+        assert.lengthOf(boxes, 2);
+        assert.equal(boxes[0].style, 'double');
+        assert.equal(boxes[1].style, 'single');
+    });
+
+    it('should not treat an open outline as a box', () => {
+        const { boxes } = new TextDiagramRecognizer().recognize('+----+\n|    |\n+----');
+
+        assert.lengthOf(boxes, 0);
+    });
+});
+
+// ==========================================
+// CONNECTOR TESTS
+// ==========================================
+
+describe('TextDiagramRecognizer connectors', () => {
+    it('should connect boxes and keep the arrow direction', () => {
+        const { paths } = new TextDiagramRecognizer().recognize(ASCII_DIAGRAM);
+        const horizontal = paths.find(p => p.points[0].y === 1);
+
+        assert.deepEqual(horizontal.points, [{ x: 10, y: 1 }, { x: 15, y: 1 }]);
+        assert.deepEqual(horizontal.from, { box: 0, side: 'right' });
+        assert.deepEqual(horizontal.to, { box: 1, side: 'left' });
+        assert.ok(horizontal.arrowEnd);
+    });
+
+    it('should attach lines leaving through a border junction', () => {
+        const { paths } = new TextDiagramRecognizer().recognize(ASCII_DIAGRAM);
+        const vertical = paths.find(p => p.points[0].x === 20);
+
+        assert.deepEqual(vertical.from, { box: 1, side: 'bottom' });
+        assert.deepEqual(vertical.to, { box: 2, side: 'top' });
+    });
+
+    it('should put a start arrowhead at the end of the path', () => {
+        const { paths } = new TextDiagramRecognizer().recognize(UNICODE_DIAGRAM);
+        const path = paths.find(p => p.points[0].y === 1);
+
+        assert.deepEqual(path.from, { box: 1, side: 'left' });
+        assert.deepEqual(path.to, { box: 0, side: 'right' });
+        assert.ok(path.arrowEnd);
+        assert.ok(!path.arrowStart);
+    });
+
+    it('should keep the corners of bent connectors', () => {
+        const { paths } = new TextDiagramRecognizer().recognize(UNICODE_DIAGRAM);
+        const bent = paths.find(p => p.points.length === 3);
+
+        assert.deepEqual(bent.points, [{ x: 14, y: 3 }, { x: 14, y: 4 }, { x: 19, y: 4 }]);
+        assert.isNull(bent.to);
+    });
+
+    it('should leave hyphenated words and short ASCII runs as text', () => {
+        const { paths, texts } = new TextDiagramRecognizer().recognize('well-known a > b C++');
+
+        assert.lengthOf(paths, 0);
+        assert.equal(texts[0].text, 'well-known a > b C++');
+    });
+});
+
+// ==========================================
+// TEXT AND OBJECT TESTS
+// ==========================================
+
+describe('TextDiagramRecognizer text', () => {
+    it('should split labels on wide gaps', () => {
+        const { texts } = new TextDiagramRecognizer().recognize('alpha beta    gamma');
+
+        assert.deepEqual(texts.map(t => t.text), ['alpha beta', 'gamma']);
+        assert.equal(texts[1].x, 14);
+    });
+
+    it('should find labels inside boxes', () => {
+        const { texts } = new TextDiagramRecognizer().recognize(ASCII_DIAGRAM);
+
+        assert.deepEqual(texts.map(t => t.text), ['Client', 'Server', 'DB']);
+    });
+});
+
+describe('createObjectsFromDiagram', () => {
+    it('should link connectors to the created rectangles', () => {
+        const diagram = new TextDiagramRecognizer().recognize(ASCII_DIAGRAM);
+        const objects = createObjectsFromDiagram(diagram, 5, 2);
+        const rectangles = objects.filter(o => o.type === 'rectangle');
+        const connectors = objects.filter(o => o.type === 'connector');
+
+        assert.lengthOf(rectangles, 3);
+        assert.lengthOf(connectors, 2);
+        assert.equal(connectors[0].fromShapeId, rectangles[0].id);
+        assert.equal(connectors[0].toShapeId, rectangles[1].id);
+        assert.equal(connectors[0].fromSnapPoint, 'right');
+        assert.equal(rectangles[0].x, 5);
+    });
+
+    it('should create line objects for free-standing lines', () => {
+        const diagram = new TextDiagramRecognizer().recognize('title\n─────');
+        const objects = createObjectsFromDiagram(diagram);
+        const line = objects.find(o => o.type === 'line');
+
+        assert.equal(line.x1, 0);
+        assert.equal(line.x2, 4);
+        assert.equal(line.lineStyle, 'single');
+    });
+});
@@ -0,0 +1,323 @@
+/**
+ * Asciistrator - Terminal UI Exporter Unit Tests
+ *
+ * Tests for the shared terminal layout and for exporting UI component
+ * mockups as Textual, Bubble Tea and Ratatui code.
+ */
+
+import { describe, it, assert } from '../framework.js';
+import { ControlRegistry } from '../../scripts/components/controls/index.js';
+import { BorderStyle } from '../../scripts/components/UIComponent.js';
+import {
+    TerminalBorder,
+    buildTerminalLayout,
+    splitCells,
+    detectBorderStyle,
+    toIdentifier
+} from '../../scripts/io/exporters/TerminalLayout.js';
+import { TextualExporter, pythonString } from '../../scripts/io/exporters/TextualExporter.js';
+import { BubbleTeaExporter, goString } from '../../scripts/io/exporters/BubbleTeaExporter.js';
+import { RatatuiExporter, rustString } from '../../scripts/io/exporters/RatatuiExporter.js';
+import { component, text, exportObjects, assertInOrder, assertBalanced } from '../exporter-helpers.js';
+
+const node = (width, height) => ({ width, height });
+
+// ==========================================
+// LAYOUT TESTS
+// ==========================================
+
+describe('TerminalLayout', () => {
+    it('should cut items into rows with the gap before each', () => {
+        const layout = splitCells([
+            { node: node(10, 3), x: 2, y: 1 },
+            { node: node(10, 1), x: 0, y: 6 }
+        ], 40, 20);
+        assert.equal(layout.kind, 'rows');
+        assert.deepEqual(layout.parts.map(part => [part.gap, part.size]), [[1, 3], [2, 1]]);
+        assert.equal(layout.rest, 13);
+        assert.equal(layout.parts[0].content.kind, 'node');
+        assert.equal(layout.parts[0].content.x, 2);
+        assert.equal(layout.parts[0].content.y, 0);
+    });
+
+    it('should cut side by side items into columns', () => {
+        const layout = splitCells([
+            { node: node(10, 3), x: 0, y: 0 },
+            { node: node(5, 5), x: 12, y: 1 }
+        ], 40, 20);
+        assert.equal(layout.kind, 'columns');
+        assert.deepEqual(layout.parts.map(part => [part.gap, part.size]), [[0, 10], [2, 5]]);
+        assert.equal(layout.parts[1].content.y, 1);
+    });
+
+    it('should keep overlapping items as layers', () => {
+        const layout = splitCells([
+            { node: node(10, 3), x: 3, y: 1 },
+            { node: node(10, 3), x: 0, y: 0 }
+        ], 40, 20);
+        assert.equal(layout.kind, 'layers');
+        assert.deepEqual(layout.items.map(item => [item.x, item.y]), [[0, 0], [3, 1]]);
+    });
+
+    it('should place children inside the border of their container', () => {
+        const document = { width: 60, height: 30, layers: [{ visible: true, objects: [
+            component('GroupBox', 0, 0, 30, 10, { header: 'Account' }),
+            component('Button', 3, 2, 10, 3)
+        ] }] };
+        const { layout, nodes } = buildTerminalLayout(document, { getMapping: () => null, width: 60, height: 30 });
+        const group = layout.node;
+        assert.equal(group.border, TerminalBorder.Single);
+        assert.equal(group.title, 'Account');
+        assert.deepEqual(group.insets, { top: 1, right: 1, bottom: 1, left: 1 });
+        assert.equal(group.layout.x, 2);
+        assert.equal(group.layout.y, 1);
+        assert.deepEqual(nodes.map(n => n.name), ['groupBox', 'button']);
+    });
+
+    it('should take borders from the control drawing and from frames', () => {
+        const document = { width: 60, height: 30, layers: [{ visible: true, objects: [
+            component('Window', 0, 0, 20, 6),
+            component('Card', 21, 0, 20, 6),
+            component('CheckBox', 0, 7, 20, 1),
+            { type: 'frame', x: 0, y: 10, width: 20, height: 5, borderStyle: 'thick', children: [] },
+            { type: 'frame', x: 21, y: 10, width: 20, height: 5, showBorder: false, children: [] }
+        ] }] };
+        const { nodes } = buildTerminalLayout(document, { getMapping: () => null, width: 60, height: 30 });
+        assert.deepEqual(nodes.map(n => n.border), [
+            TerminalBorder.Double, TerminalBorder.Rounded, null, TerminalBorder.Heavy, null
+        ]);
+    });
+
+    it('should detect every BorderStyle set', () => {
+        for (const [name, set] of Object.entries(BorderStyle)) {
+            if (name === 'None') continue;
+            const lines = [
+                set.topLeft + set.top.repeat(4) + set.topRight,
+                set.left + '    ' + set.right,
+                set.bottomLeft + set.bottom.repeat(4) + set.bottomRight
+            ];
+            assert.equal(detectBorderStyle(lines), TerminalBorder[name], name);
+        }
+        assert.equal(detectBorderStyle(['[ ] Check']), null);
+    });
+
+    it('should convert names to identifiers', () => {
+        assert.equal(toIdentifier('loginButton', 'snake'), 'login_button');
+        assert.equal(toIdentifier('loginButton', 'kebab'), 'login-button');
+        assert.equal(toIdentifier('login view', 'pascal'), 'LoginView');
+        assert.equal(toIdentifier('2fa code', 'camel'), 'item2faCode');
+        assert.equal(toIdentifier('type', 'camel', new Set(['type'])), 'type_');
+    });
+});
+
+// ==========================================
+// TEXTUAL TESTS
+// ==========================================
+
+describe('TextualExporter', () => {
+    it('should write an App with TCSS and compose()', () => {
+        const content = exportObjects(TextualExporter, [component('Button', 0, 0, 10, 3, { content: 'OK' })], {
+            className: 'login-app'
+        });
+        assertInOrder(content, ['from textual.app import App, ComposeResult', 'from textual.widgets import Button',
+            'class LoginApp(App):', 'CSS = """', '#button {', 'width: 10;', 'height: 3;', 'border: solid;',
+            'def compose(self) -> ComposeResult:', 'yield Button("OK", id="button")',
+            'if __name__ == "__main__":', 'LoginApp().run()']);
+    });
+
+    it('should keep gaps as margins in rows and columns', () => {
+        const content = exportObjects(TextualExporter, [
+            component('TextBox', 2, 1, 20, 3, { watermark: 'Email' }),
+            component('Button', 25, 1, 10, 3, { content: 'Go' }),
+            component('CheckBox', 2, 6, 20, 1, { content: 'Remember me', isChecked: true })
+        ]);
+        assertInOrder(content, ['#row-1 {', 'height: 3;', 'margin: 1 0 0 0;', 'layout: horizontal;',
+            '#text-box {', 'margin: 0 0 0 2;', '#button {', 'margin: 0 0 0 3;', '#check-box {',
+            'border: none;', 'margin: 2 0 0 2;']);
+        assertInOrder(content, ['with Horizontal(id="row-1"):', 'yield Input(placeholder="Email", id="text-box")',
+            'yield Button("Go", id="button")', 'yield Checkbox("Remember me", value=True, id="check-box")']);
+    });
+
+    it('should keep border styles and titles', () => {
+        const content = exportObjects(TextualExporter, [
+            component('Window', 0, 0, 40, 12, { title: 'Settings' }),
+            component('Label', 2, 3, 10, 1, { content: 'Inside' })
+        ]);
+        assertInOrder(content, ['#window {', 'border: double;', 'with Container(id="window") as window:',
+            'window.border_title = "Settings"', 'yield Label("Inside", markup=False, id="label")']);
+    });
+
+    it('should position overlapping components absolutely', () => {
+        const content = exportObjects(TextualExporter, [
+            component('Button', 0, 0, 10, 3, { content: 'A' }),
+            component('Button', 3, 1, 10, 3, { content: 'B' })
+        ]);
+        assertInOrder(content, ['#button2 {', 'position: absolute;', 'offset: 3 1;']);
+    });
+
+    it('should fill tab panes, trees and tables', () => {
+        const content = exportObjects(TextualExporter, [
+            component('TabControl', 0, 0, 30, 10, { tabs: [{ header: 'General' }, { header: 'Advanced' }] }),
+            component('TreeView', 31, 0, 20, 8, { items: [{ header: 'Root', items: [{ header: 'Leaf' }] }] }),
+            component('DataGrid', 0, 12, 30, 8, { columns: [{ header: 'Name', binding: 'name' }], items: [{ name: 'Ada' }] })
+        ]);
+        assertInOrder(content, ['with TabbedContent(initial="tab-control-tab-1", id="tab-control"):',
+            'yield TabPane("General", id="tab-control-tab-1")', 'tree_view = Tree("Root", id="tree-view")',
+            'tree_view.root.add_leaf("Leaf")', 'yield tree_view', 'def on_mount(self) -> None:',
+            'add_columns("Name")', 'add_rows([("Ada",)])']);
+    });
+
+    it('should draw components without a widget as text', () => {
+        const content = exportObjects(TextualExporter, [component('Rating', 0, 0, 10, 1)]);
+        assertInOrder(content, ['# Rating has no Textual widget; drawn as text', 'yield Static(', 'markup=False']);
+    });
+
+    it('should leave bound values empty and note the binding', () => {
+        const content = exportObjects(TextualExporter, [component('TextBox', 0, 0, 20, 3, { text: '{Binding UserName}' })]);
+        assertInOrder(content, ['# text is bound to UserName', 'yield Input(id="text-box")']);
+    });
+});
+
+// ==========================================
+// BUBBLE TEA TESTS
+// ==========================================
+
+describe('BubbleTeaExporter', () => {
+    it('should write a program with a model, Update and View', () => {
+        const content = exportObjects(BubbleTeaExporter, [component('TextBox', 0, 0, 20, 3, { watermark: 'Email' })], {
+            className: 'login-view'
+        });
+        assertInOrder(content, ['package main', '"github.com/charmbracelet/bubbles/textinput"',
+            'tea "github.com/charmbracelet/bubbletea"', '"github.com/charmbracelet/lipgloss"',
+            'textBoxStyle = lipgloss.NewStyle().Border(lipgloss.NormalBorder()).Width(18).Height(1)',
+            'type LoginView struct {', 'textBox textinput.Model', 'func NewLoginView() LoginView {',
+            'm.textBox.Placeholder = "Email"', 'm.textBox.Focus()', 'return textinput.Blink',
+            'm.textBox, cmd = m.textBox.Update(msg)', 'func (m LoginView) View() string {',
+            'return textBoxStyle.Render(m.textBox.View())', 'tea.NewProgram(NewLoginView()).Run()']);
+        assertBalanced(content, /\/\/.*$/gm);
+    });
+
+    it('should join rows and columns with their gaps', () => {
+        const content = exportObjects(BubbleTeaExporter, [
+            component('Button', 2, 1, 10, 3, { content: 'One' }),
+            component('Button', 14, 1, 10, 3, { content: 'Two' }),
+            component('Label', 2, 6, 10, 1, { content: 'Below' })
+        ]);
+        assertInOrder(content, ['func row(gap, height int, block string) string', 'func column(gap, width int',
+            'lipgloss.JoinVertical(lipgloss.Left,', 'row(1, 3, lipgloss.JoinHorizontal(lipgloss.Top,',
+            'column(2, 10, buttonStyle.Render("One"))', 'column(2, 10, button2Style.Render("Two"))',
+            'row(2, 1, offset(2, 0, labelStyle.Render("Below")))']);
+        assertBalanced(content, /\/\/.*$/gm);
+    });
+
+    it('should write dashed borders and titles', () => {
+        const content = exportObjects(BubbleTeaExporter, [{
+            type: 'frame', x: 0, y: 0, width: 20, height: 6, borderStyle: 'dashed', title: 'Files',
+            children: [text(2, 2, 'readme')]
+        }]);
+        const set = BorderStyle.Dashed;
+        assertInOrder(content, ['var dashedBorder = lipgloss.Border{', `Top: "${set.top}"`, `Left: "${set.left}"`,
+            'frameStyle = lipgloss.NewStyle().Border(dashedBorder).Width(18).Height(4)',
+            'func withTitle(block, title string) string', 'withTitle(frameStyle.Render(', '"Files")']);
+    });
+
+    it('should stack overlapping components with a note', () => {
+        const content = exportObjects(BubbleTeaExporter, [
+            component('Button', 0, 0, 10, 3, { content: 'A' }),
+            component('Button', 3, 1, 10, 3, { content: 'B' })
+        ]);
+        assertInOrder(content, ['// Overlapping components are stacked', 'buttonStyle.Render("A")',
+            'offset(3, 1, button2Style.Render("B"))']);
+    });
+});
+
+// ==========================================
+// RATATUI TESTS
+// ==========================================
+
+describe('RatatuiExporter', () => {
+    it('should write a Widget that renders into a buffer', () => {
+        const content = exportObjects(RatatuiExporter, [component('Button', 2, 1, 10, 3, { content: 'OK' })], {
+            className: 'login-view'
+        });
+        assertInOrder(content, ['use ratatui::{', 'widgets::{Block, Paragraph, Widget},', 'pub struct LoginView;',
+            'impl Widget for &LoginView {', 'fn render(self, area: Rect, buf: &mut Buffer) {',
+            'let button_area = place(area, 2, 1, 10, 3);', 'Paragraph::new("OK")', '.centered()',
+            '.block(Block::bordered())', '.render(button_area, buf);', 'fn place(area: Rect',
+            'fn main() -> std::io::Result<()> {']);
+        assertBalanced(content, /\/\/.*$/gm);
+    });
+
+    it('should split rows and columns with Length constraints', () => {
+        const content = exportObjects(RatatuiExporter, [
+            component('ProgressBar', 0, 2, 20, 1, { value: 25 }),
+            component('Slider', 0, 5, 20, 1, { value: 50 })
+        ]);
+        assertInOrder(content, ['let [_, progress_bar_slot, _, slider_slot, _] = Layout::vertical([',
+            'Constraint::Length(2),', 'Constraint::Length(1),', 'Constraint::Length(2),', 'Constraint::Length(1),',
+            'Constraint::Fill(1),', '.areas(area);', 'Gauge::default()', '.ratio(0.25)',
+            'LineGauge::default()', '.ratio(0.5)']);
+    });
+
+    it('should draw containers as Blocks with their border type and title', () => {
+        const content = exportObjects(RatatuiExporter, [
+            component('Window', 0, 0, 40, 12, { title: 'Settings' }),
+            component('ListBox', 2, 3, 20, 5, { items: ['One', 'Two'] })
+        ]);
+        assertInOrder(content, ['let window = Block::bordered()', '.border_type(BorderType::Double)',
+            '.title("Settings");', 'let window_inner = window.inner(window_area);', 'window.render(window_area, buf);',
+            'let list_box_area = place(window_inner, 1, 2, 20, 5);', 'List::new(["One", "Two"])']);
+        assertBalanced(content, /\/\/.*$/gm);
+    });
+
+    it('should use a custom border set for dashed borders', () => {
+        const content = exportObjects(RatatuiExporter, [
+            { type: 'rectangle', x: 0, y: 0, width: 10, height: 4, boxStyle: 'dashed', children: [] }
+        ]);
+        assertInOrder(content, ['symbols::border,', 'const DASHED: border::Set = border::Set {',
+            `horizontal_top: "${BorderStyle.Dashed.top}"`, 'Block::bordered()', '.border_set(DASHED)']);
+    });
+
+    it('should draw tab strips above the page block', () => {
+        const content = exportObjects(RatatuiExporter, [
+            component('TabControl', 0, 0, 30, 10, { tabs: [{ header: 'A' }, { header: 'B' }], selectedIndex: 1 }),
+            component('Label', 2, 4, 10, 1, { content: 'Page' })
+        ]);
+        assertInOrder(content, ['let [tab_control_tabs, tab_control_page] =', 'Constraint::Length(2), Constraint::Fill(1)',
+            'Tabs::new(["A", "B"])', '.select(1)', 'let tab_control_inner = tab_control.inner(tab_control_page);',
+            'place(tab_control_inner, 1, 1, 10, 1)', 'Paragraph::new("Page")']);
+    });
+});
+
+// ==========================================
+// CONFORMANCE TESTS
+// ==========================================
+
+describe('Terminal UI exporter conformance', () => {
+    const exporters = [
+        [TextualExporter, /#.*$/gm, 'class AsciiArtView(App):'],
+        [BubbleTeaExporter, /\/\/.*$/gm, 'func (m AsciiArtView) View() string'],
+        [RatatuiExporter, /\/\/.*$/gm, 'impl Widget for &AsciiArtView']
+    ];
+    for (const type of Object.keys(ControlRegistry)) {
+        it(`should export ${type}`, () => {
+            for (const [Exporter, comment, marker] of exporters) {
+                const content = exportObjects(Exporter, [component(type, 1, 1, 20, 6)]);
+                assert.ok(content.includes(marker), `${Exporter.name} output`);
+                assertBalanced(content, comment);
+            }
+        });
+    }
+});
+
+// ==========================================
+// LITERAL TESTS
+// ==========================================
+
+describe('Terminal UI literals', () => {
+    it('should escape strings', () => {
+        for (const quote of [pythonString, goString, rustString]) {
+            assert.equal(quote('Say "hi"\\\n'), '"Say \\"hi\\"\\\\\\n"');
+        }
+    });
+});
@@ -0,0 +1,248 @@
+/**
+ * Asciistrator - XAML Import Unit Tests
+ *
+ * Tests for the XAML parser, panel layout at cell scale and scene object creation.
+ */
+
+import { describe, it, assert } from '../framework.js';
+import { XamlParser, importXaml, createObjectsFromXaml, isXaml } from '../../scripts/io/xaml.js';
+
+const AVALONIA = 'xmlns="https://github.com/avaloniaui" xmlns:x="http://schemas.microsoft.com/winfx/2006/xaml"';
+const WPF = 'xmlns="http://schemas.microsoft.com/winfx/2006/xaml/presentation" xmlns:x="http://schemas.microsoft.com/winfx/2006/xaml"';
+
+const LOGIN = `<?xml version="1.0" encoding="utf-8"?>
+<Window ${AVALONIA} x:Class="App.Views.LoginWindow" Title="Sign in" Width="400" Height="270">
+    <!-- header, form, buttons -->
+    <Grid RowDefinitions="Auto,*,Auto" ColumnDefinitions="*,*">
+        <TextBlock Grid.ColumnSpan="2" Text="Welcome &amp; sign in"/>
+        <StackPanel Grid.Row="1" Spacing="18">
+            <CheckBox Content="Remember me" IsChecked="True"/>
+            <CheckBox Content="Stay online"/>
+        </StackPanel>
+        <ListBox Grid.Row="1" Grid.Column="1">
+            <ListBoxItem>Alpha</ListBoxItem>
+            <ListBoxItem IsSelected="True">Beta</ListBoxItem>
+        </ListBox>
+        <Button Grid.Row="2" Grid.Column="1" Content="OK" HorizontalAlignment="Right"/>
+    </Grid>
+</Window>`;
+
+/**
+ * Flatten a tree of scene objects into a list
+ */
+function flatten(objects) {
+    return objects.flatMap(obj => [obj, ...flatten(obj.children || [])]);
+}
+
+function find(objects, componentType) {
+    return flatten(objects).find(obj => obj.uiComponentType === componentType);
+}
+
+// ==========================================
+// PARSER TESTS
+// ==========================================
+
+describe('XamlParser', () => {
+    it('should build the element tree with decoded attributes and text', () => {
+        const root = new XamlParser().parse(
+            '<?xml version="1.0"?><!-- c --><Button a="x &lt; y">Save &amp; <![CDATA[<close>]]></Button>');
+        assert.equal(root.name, 'Button');
+        assert.equal(root.attributes.a, 'x < y');
+        assert.deepEqual(root.nodes, ['Save & ', '<close>']);
+    });
+
+    it('should report the line of malformed markup', () => {
+        try {
+            new XamlParser().parse('<Grid>\n  <Button>\n</Grid>');
+            assert.fail('Expected a parse error');
+        } catch (err) {
+            assert.equal(err.message, 'XAML line 3: expected </Button>');
+        }
+    });
+
+    it('should reject unclosed elements', () => {
+        assert.throws(() => new XamlParser().parse('<Grid><Button/>'));
+    });
+});
+
+// ==========================================
+// LAYOUT TESTS
+// ==========================================
+
+describe('importXaml', () => {
+    it('should size the view from the window and take its title', () => {
+        const view = importXaml(LOGIN);
+        assert.equal(view.title, 'Sign in');
+        assert.equal(view.width, 40);
+        assert.equal(view.height, 15);
+        assert.lengthOf(view.warnings, 0);
+    });
+
+    it('should arrange grid rows and columns inside the window chrome', () => {
+        const objects = createObjectsFromXaml(importXaml(LOGIN));
+        const grid = flatten(objects).find(obj => obj.type === 'frame');
+        assert.deepEqual([grid.x, grid.y, grid.width, grid.height], [1, 2, 38, 11]);
+
+        const title = find(objects, 'TextBlock');
+        assert.deepEqual([title.x, title.y, title.uiRenderWidth], [1, 2, 38]);
+
+        const list = find(objects, 'ListBox');
+        assert.deepEqual([list.x, list.y, list.uiRenderWidth, list.uiRenderHeight], [20, 3, 19, 7]);
+
+        const button = find(objects, 'Button');
+        assert.deepEqual([button.x, button.y, button.uiRenderWidth, button.uiRenderHeight], [33, 10, 6, 3]);
+    });
+
+    it('should honor pixel, auto and weighted star tracks', () => {
+        const view = importXaml(`<Grid ${AVALONIA} Width="300">
+            <Grid.ColumnDefinitions>
+                <ColumnDefinition Width="50"/>
+                <ColumnDefinition Width="*"/>
+                <ColumnDefinition Width="2*"/>
+            </Grid.ColumnDefinitions>
+            <Border Grid.Column="1" Height="18"/>
+            <Border Grid.Column="2" Height="18"/>
+        </Grid>`);
+        const [first, second] = view.root.children;
+        assert.deepEqual([first.rect.x, first.rect.width], [5, 8]);
+        assert.deepEqual([second.rect.x, second.rect.width], [13, 17]);
+    });
+
+    it('should dock children and fill the rest with the last one', () => {
+        const view = importXaml(`<DockPanel ${AVALONIA} Width="400" Height="180">
+            <Menu DockPanel.Dock="Top"><MenuItem Header="File"/></Menu>
+            <TextBlock DockPanel.Dock="Bottom" Text="Ready"/>
+            <ListBox DockPanel.Dock="Left" Width="100"/>
+            <TextBox/>
+        </DockPanel>`);
+        const [menu, status, list, editor] = view.root.children.map(box => box.rect);
+        assert.deepEqual([menu.x, menu.y, menu.width], [0, 0, 40]);
+        assert.deepEqual([status.y, status.height], [9, 1]);
+        assert.deepEqual([list.x, list.y, list.width, list.height], [0, menu.height, 10, 9 - menu.height]);
+        assert.deepEqual([editor.x, editor.width], [10, 30]);
+    });
+
+    it('should skip hidden elements and warn about unknown ones', () => {
+        const view = importXaml(`<StackPanel ${AVALONIA}>
+            <Button Content="A" IsVisible="False"/>
+            <local:Chart xmlns:local="using:App"/>
+            <TextBlock Text="B"/>
+        </StackPanel>`);
+        assert.lengthOf(view.root.children, 1);
+        assert.lengthOf(view.warnings, 1);
+        assert.ok(view.warnings[0].startsWith('Line 3: <Chart>'));
+    });
+});
+
+// ==========================================
+// PROPERTY TESTS
+// ==========================================
+
+describe('XAML properties', () => {
+    it('should convert attributes through the property schema', () => {
+        const view = importXaml(`<StackPanel ${AVALONIA}>
+            <CheckBox Content="Remember" IsChecked="True"/>
+            <Slider Minimum="0" Maximum="10" Value="4"/>
+            <TextBox Text="{Binding UserName}" Watermark="Name"/>
+        </StackPanel>`);
+        const [check, slider, text] = view.root.children.map(box => box.props);
+        assert.deepEqual(check, { content: 'Remember', isChecked: true });
+        assert.equal(slider.value, 4);
+        assert.equal(text.text, '{Binding UserName}');
+        assert.equal(text.watermark, 'Name');
+    });
+
+    it('should warn about values the schema rejects', () => {
+        const view = importXaml(`<Slider ${AVALONIA} Value="lots"/>`);
+        assert.equal(view.root.props.value, undefined);
+        assert.deepEqual(view.warnings, ['Line 1: invalid Value="lots" on <Slider>']);
+    });
+
+    it('should read WPF text boxes as text areas and password boxes', () => {
+        const view = importXaml(`<StackPanel ${WPF}>
+            <TextBox AcceptsReturn="True"/>
+            <TextBox PasswordChar="*"/>
+        </StackPanel>`);
+        assert.deepEqual(view.root.children.map(box => box.type), ['TextArea', 'PasswordBox']);
+    });
+
+    it('should read items, the selected item and data grid columns', () => {
+        const view = importXaml(`<StackPanel ${AVALONIA}>
+            <ComboBox><ComboBoxItem>Red</ComboBoxItem><ComboBoxItem IsSelected="True">Green</ComboBoxItem></ComboBox>
+            <DataGrid>
+                <DataGrid.Columns>
+                    <DataGridTextColumn Header="Name" Binding="{Binding Name}" Width="2*"/>
+                </DataGrid.Columns>
+            </DataGrid>
+        </StackPanel>`);
+        const [combo, grid] = view.root.children.map(box => box.props);
+        assert.deepEqual(combo.items, ['Red', 'Green']);
+        assert.equal(combo.selectedIndex, 1);
+        assert.deepEqual(grid.columns, [{ header: 'Name', binding: 'Name', width: '2*' }]);
+    });
+
+    it('should lay out only the selected tab inside a tab control', () => {
+        const view = importXaml(`<TabControl ${AVALONIA} Width="300" Height="180">
+            <TabItem Header="General"><TextBlock Text="One"/></TabItem>
+            <TabItem Header="Advanced" IsSelected="True"><TextBlock Text="Two"/></TabItem>
+        </TabControl>`);
+        assert.deepEqual(view.root.props.tabs, [{ header: 'General' }, { header: 'Advanced' }]);
+        assert.lengthOf(view.root.children, 1);
+        const page = view.root.children[0];
+        assert.equal(page.props.text, 'Two');
+        assert.deepEqual([page.rect.x, page.rect.y], [1, 3]);
+    });
+});
+
+// ==========================================
+// OBJECT CREATION TESTS
+// ==========================================
+
+describe('createObjectsFromXaml', () => {
+    it('should make evenly spaced stack panels auto-layout frames', () => {
+        const objects = createObjectsFromXaml(importXaml(LOGIN));
+        const stack = flatten(objects).find(obj => obj.name === 'StackPanel');
+        assert.equal(stack.layoutMode, 'VERTICAL');
+        assert.equal(stack.itemSpacing, 1);
+        assert.deepEqual(stack.children.map(child => child.y), [3, 5]);
+        assert.equal(stack.children[0].text, '[✓] Remember me');
+    });
+
+    it('should leave stack panels with uneven children as fixed frames', () => {
+        const objects = createObjectsFromXaml(importXaml(`<StackPanel ${AVALONIA} Orientation="Horizontal">
+            <Button Content="A"/>
+            <Button Content="B" Margin="10,0,0,0"/>
+            <Button Content="C" VerticalAlignment="Bottom"/>
+        </StackPanel>`));
+        assert.equal(objects[0].layoutMode, 'NONE');
+    });
+
+    it('should turn borders into frames offset by their thickness and padding', () => {
+        const objects = createObjectsFromXaml(importXaml(`<Border ${AVALONIA} BorderThickness="1" CornerRadius="4" Padding="10" Width="200">
+            <TextBlock Text="Boxed"/>
+        </Border>`), 2, 1);
+        const [frame] = objects;
+        assert.equal(frame.showBorder, true);
+        assert.equal(frame.borderStyle, 'rounded');
+        assert.deepEqual(frame.padding, { top: 2, right: 2, bottom: 2, left: 2 });
+        assert.deepEqual([frame.children[0].x, frame.children[0].y], [4, 3]);
+    });
+
+    it('should import the content of user controls without a wrapper', () => {
+        const objects = createObjectsFromXaml(importXaml(`<UserControl ${AVALONIA} d:DesignWidth="200"
+            xmlns:d="http://schemas.microsoft.com/expression/blend/2008">
+            <Button Content="Go"/>
+        </UserControl>`));
+        assert.lengthOf(objects, 1);
+        assert.equal(objects[0].uiComponentType, 'Button');
+    });
+});
+
+describe('isXaml', () => {
+    it('should recognize Avalonia and WPF namespaces only', () => {
+        assert.ok(isXaml(LOGIN));
+        assert.ok(isXaml(`<Page ${WPF}/>`));
+        assert.ok(!isXaml('<svg xmlns="http://www.w3.org/2000/svg"/>'));
+        assert.ok(!isXaml('flowchart TD\n  A --> B'));
+    });
+});